@@ -42,4 +42,17 @@ module.exports = {
       });
     }
   },
+  // Dedicated client for transactions (BEGIN/COMMIT); caller must release()
+  getClient: async () => {
+    if (pool) {
+      return pool.connect();
+    }
+    return {
+      query: (text) => {
+        console.log('Mock query:', text);
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      },
+      release: () => {}
+    };
+  },
 };
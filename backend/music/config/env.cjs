@@ -123,6 +123,80 @@ const config = {
     }
   },
   
+  // ISRC/UPC assignment
+  codes: {
+    // Fill in missing track ISRCs and the release UPC when a release is submitted
+    autoAssignOnSubmit: process.env.MUSIC_AUTO_ASSIGN_CODES !== 'false'
+  },
+
+  // Exchange Rates (royalties are converted at the rate of their reporting period)
+  exchangeRates: {
+    source: process.env.FX_RATE_SOURCE || 'ecb',
+    ecbFile: process.env.FX_ECB_FILE, // Local eurofxref XML instead of downloading
+    ecbUrl: process.env.FX_ECB_URL,
+    // Download the 90-day/history feed when an ingestion needs rates not yet stored
+    autoImport: process.env.FX_AUTO_IMPORT !== 'false',
+    royaltyRateBasis: process.env.FX_ROYALTY_RATE_BASIS || 'period_end' // period_end | period_start
+  },
+
+  // Payout Batches (originator accounts written into the payment files)
+  payouts: {
+    executionLeadDays: parseInt(process.env.PAYOUT_EXECUTION_LEAD_DAYS) || 1,
+    sepa: {
+      debtorName: process.env.PAYOUT_SEPA_DEBTOR_NAME,
+      debtorIban: process.env.PAYOUT_SEPA_DEBTOR_IBAN,
+      debtorBic: process.env.PAYOUT_SEPA_DEBTOR_BIC,
+      initiatingPartyId: process.env.PAYOUT_SEPA_INITIATING_PARTY_ID,
+      itemFee: parseFloat(process.env.PAYOUT_SEPA_ITEM_FEE) || 0 // Bank charge per credit transfer, EUR
+    },
+    ach: {
+      odfiRouting: process.env.PAYOUT_ACH_ODFI_ROUTING, // 9-digit routing number of the originating bank
+      destinationName: process.env.PAYOUT_ACH_DESTINATION_NAME,
+      originId: process.env.PAYOUT_ACH_ORIGIN_ID, // Immediate origin, usually 1 + EIN
+      companyName: process.env.PAYOUT_ACH_COMPANY_NAME,
+      companyId: process.env.PAYOUT_ACH_COMPANY_ID,
+      secCode: process.env.PAYOUT_ACH_SEC_CODE || 'PPD',
+      entryDescription: process.env.PAYOUT_ACH_ENTRY_DESCRIPTION || 'ROYALTIES',
+      itemFee: parseFloat(process.env.PAYOUT_ACH_ITEM_FEE) || 0 // Bank charge per ACH credit, USD
+    },
+    paypal: {
+      note: process.env.PAYOUT_PAYPAL_NOTE || 'Royalty payout',
+      feePercent: process.env.PAYOUT_PAYPAL_FEE_PERCENT ? parseFloat(process.env.PAYOUT_PAYPAL_FEE_PERCENT) : 2,
+      fixedFee: process.env.PAYOUT_PAYPAL_FIXED_FEE ? parseFloat(process.env.PAYOUT_PAYPAL_FIXED_FEE) : 0.30 // In the payout currency
+    }
+  },
+
+  // Recoupment terms for artists without a recoupment contract
+  recoupment: {
+    defaultWaterfall: process.env.RECOUP_DEFAULT_WATERFALL || 'cross_collateralized', // cross_collateralized | per_release
+    defaultPercentage: parseFloat(process.env.RECOUP_DEFAULT_PERCENTAGE) || 50 // Share of earnings withheld until costs are recouped
+  },
+
+  // Payee Tax (US payer: withholding on royalty payouts, 1099 reporting)
+  tax: {
+    withholdingEnabled: process.env.TAX_WITHHOLDING_ENABLED !== 'false',
+    backupWithholdingRate: parseFloat(process.env.TAX_BACKUP_WITHHOLDING_RATE || '24'), // W-9 missing, TIN not certified or IRS B-notice
+    nonResidentRate: parseFloat(process.env.TAX_NONRESIDENT_WITHHOLDING_RATE || '30'), // Foreign payees without a treaty rate
+    miscRoyaltyThreshold: parseFloat(process.env.TAX_1099_MISC_ROYALTY_THRESHOLD || '10'),
+    necThreshold: parseFloat(process.env.TAX_1099_NEC_THRESHOLD || '600'),
+    tinEncryptionKey: process.env.TAX_TIN_ENCRYPTION_KEY,
+    payer: {
+      tin: process.env.TAX_PAYER_TIN, // EIN, 9 digits
+      name: process.env.TAX_PAYER_NAME,
+      address: process.env.TAX_PAYER_ADDRESS,
+      city: process.env.TAX_PAYER_CITY,
+      state: process.env.TAX_PAYER_STATE,
+      zip: process.env.TAX_PAYER_ZIP,
+      phone: process.env.TAX_PAYER_PHONE
+    },
+    fire: {
+      transmitterControlCode: process.env.TAX_FIRE_TCC, // 5-character TCC issued by the IRS
+      contactName: process.env.TAX_FIRE_CONTACT_NAME,
+      contactPhone: process.env.TAX_FIRE_CONTACT_PHONE,
+      contactEmail: process.env.TAX_FIRE_CONTACT_EMAIL
+    }
+  },
+  
   // File Processing
   files: {
     maxAudioSize: process.env.MAX_AUDIO_SIZE || '100MB',
@@ -0,0 +1,146 @@
+/**
+ * Artwork Controller - Release Cover Art REST API
+ * Upload, validation and platform variants of release artwork
+ */
+
+const ArtworkService = require('../services/artwork.service.cjs');
+const ReleaseService = require('../services/release.service.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const multer = require('multer');
+
+// Covers are decoded in memory, so they never touch the upload directory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 25 * 1024 * 1024,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (['image/jpeg', 'image/jpg', 'image/png'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new AppError(`Artwork format ${file.mimetype} not supported; upload a JPEG or PNG`, 400), false);
+        }
+    }
+});
+
+class ArtworkController {
+    /**
+     * Parse the multipart artwork field, then run the handler
+     */
+    static withUpload(handler) {
+        return (req, res, next) => {
+            upload.single('artwork')(req, res, (err) => {
+                if (err) {
+                    return next(err instanceof AppError ? err : new AppError(err.message, 400));
+                }
+                if (!req.file) {
+                    return next(new AppError('Artwork file is required (field "artwork")', 400));
+                }
+                handler(req, res, next);
+            });
+        };
+    }
+
+    static parsePlatforms(value) {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(platform => platform.trim()).filter(Boolean);
+    }
+
+    static async checkAccess(releaseId, userId) {
+        const release = await ArtworkService.getRelease(releaseId);
+
+        const hasAccess = await ReleaseService.verifyUserAccess(release.id, userId);
+        if (!hasAccess) {
+            throw new AppError('Access denied to release', 403);
+        }
+        return release;
+    }
+
+    /**
+     * Get stored artwork, inspection and variants
+     * GET /api/music/releases/:id/artwork
+     */
+    static async getArtwork(req, res, next) {
+        try {
+            const { id } = req.params;
+            const release = await ArtworkController.checkAccess(id, req.user.id);
+
+            if (!release.artwork || !release.artwork.cover) {
+                throw new AppError('Release has no artwork', 404);
+            }
+
+            res.json({
+                success: true,
+                data: release.artwork
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Upload a cover; stored with its platform variants only if it passes
+     * every requested platform
+     * POST /api/music/releases/:id/artwork
+     */
+    static uploadArtwork(req, res, next) {
+        ArtworkController.withUpload(async (req, res, next) => {
+            try {
+                const { id } = req.params;
+                const release = await ArtworkController.checkAccess(id, req.user.id);
+                const platforms = ArtworkController.parsePlatforms(req.body.platforms || req.query.platforms);
+
+                const result = await ArtworkService.uploadArtwork(release, req.file, { platforms });
+
+                if (!result.accepted) {
+                    return res.status(422).json({
+                        success: false,
+                        message: `Artwork rejected for ${result.validation.summary.incompatible.join(', ')}`,
+                        data: {
+                            inspection: result.inspection,
+                            validation: result.validation
+                        }
+                    });
+                }
+
+                res.status(201).json({
+                    success: true,
+                    message: 'Artwork uploaded and platform variants generated',
+                    data: result.artwork
+                });
+            } catch (error) {
+                next(error);
+            }
+        })(req, res, next);
+    }
+
+    /**
+     * Check a cover against platform requirements without storing it
+     * POST /api/music/releases/:id/artwork/validate
+     */
+    static validateArtwork(req, res, next) {
+        ArtworkController.withUpload(async (req, res, next) => {
+            try {
+                const { id } = req.params;
+                await ArtworkController.checkAccess(id, req.user.id);
+                const platforms = ArtworkController.parsePlatforms(req.body.platforms || req.query.platforms);
+
+                const result = ArtworkService.validateArtwork(req.file.buffer, { platforms });
+
+                res.json({
+                    success: true,
+                    message: result.is_valid
+                        ? 'Artwork meets all platform requirements'
+                        : `Artwork does not meet requirements for ${result.validation.summary.incompatible.join(', ')}`,
+                    data: result
+                });
+            } catch (error) {
+                next(error);
+            }
+        })(req, res, next);
+    }
+}
+
+module.exports = ArtworkController;
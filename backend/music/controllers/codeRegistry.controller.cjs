@@ -0,0 +1,312 @@
+/**
+ * Code Registry Controller - ISRC and UPC/EAN Management API
+ * Registrant and company prefix setup, bulk allocation, assignment to
+ * tracks and releases, and cancellation
+ */
+
+const CodeRegistryService = require('../services/codeRegistry.service.cjs');
+const ReleaseService = require('../services/release.service.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+
+class CodeRegistryController {
+    static async checkReleaseAccess(releaseId, userId) {
+        const hasAccess = await ReleaseService.verifyUserAccess(releaseId, userId);
+        if (!hasAccess) {
+            throw new AppError('Access denied to release', 403);
+        }
+    }
+
+    // ========== Registrants and Prefixes ==========
+
+    /**
+     * List ISRC registrants
+     * GET /api/music/codes/registrants
+     */
+    static async getRegistrants(req, res, next) {
+        try {
+            const { label_id, include_inactive = 'false' } = req.query;
+
+            const registrants = await CodeRegistryService.listRegistrants({
+                labelId: label_id,
+                includeInactive: include_inactive === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: registrants
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Add an ISRC registrant (country + registrant code)
+     * POST /api/music/codes/registrants
+     */
+    static async createRegistrant(req, res, next) {
+        try {
+            const registrant = await CodeRegistryService.createRegistrant(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'ISRC registrant added successfully',
+                data: registrant
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Activate, deactivate or make default
+     * PATCH /api/music/codes/registrants/:id
+     */
+    static async updateRegistrant(req, res, next) {
+        try {
+            const registrant = await CodeRegistryService.updateSource('registrant', req.params.id, req.body);
+
+            res.json({
+                success: true,
+                message: 'ISRC registrant updated successfully',
+                data: registrant
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List GS1 company prefixes
+     * GET /api/music/codes/prefixes
+     */
+    static async getPrefixes(req, res, next) {
+        try {
+            const { label_id, include_inactive = 'false' } = req.query;
+
+            const prefixes = await CodeRegistryService.listPrefixes({
+                labelId: label_id,
+                includeInactive: include_inactive === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: prefixes
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Add a GS1 company prefix
+     * POST /api/music/codes/prefixes
+     */
+    static async createPrefix(req, res, next) {
+        try {
+            const prefix = await CodeRegistryService.createPrefix(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Company prefix added successfully',
+                data: prefix
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Activate, deactivate or make default
+     * PATCH /api/music/codes/prefixes/:id
+     */
+    static async updatePrefix(req, res, next) {
+        try {
+            const prefix = await CodeRegistryService.updateSource('prefix', req.params.id, req.body);
+
+            res.json({
+                success: true,
+                message: 'Company prefix updated successfully',
+                data: prefix
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ========== Allocation and Lifecycle ==========
+
+    /**
+     * Pre-allocate a block of codes
+     * POST /api/music/codes/:type/allocate
+     */
+    static async allocateCodes(req, res, next) {
+        try {
+            const { type } = req.params;
+            const { registrant_id, prefix_id, count } = req.body;
+
+            const allocated = type === 'isrc'
+                ? await CodeRegistryService.allocateIsrcs({ registrantId: registrant_id, count }, req.user.id)
+                : await CodeRegistryService.allocateUpcs({ prefixId: prefix_id, count }, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: `${allocated.length} ${type.toUpperCase()} code(s) allocated`,
+                data: allocated
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List registry codes
+     * GET /api/music/codes/:type
+     */
+    static async getCodes(req, res, next) {
+        try {
+            const { type } = req.params;
+            const {
+                status,
+                registrant_id,
+                prefix_id,
+                search,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            const result = await CodeRegistryService.listCodes(type, {
+                status,
+                registrantId: registrant_id,
+                prefixId: prefix_id,
+                search,
+                pagination: {
+                    page: parseInt(page),
+                    limit: Math.min(parseInt(limit), 200)
+                }
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Cancel codes that have not been delivered
+     * POST /api/music/codes/:type/cancel
+     */
+    static async cancelCodes(req, res, next) {
+        try {
+            const { type } = req.params;
+            const { codes, reason } = req.body;
+
+            const cancelled = await CodeRegistryService.cancelCodes(type, codes, reason);
+
+            res.json({
+                success: true,
+                message: `${cancelled.length} ${type.toUpperCase()} code(s) cancelled`,
+                data: cancelled
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Validate an ISRC/UPC/EAN and show its registry entry
+     * GET /api/music/codes/lookup/:code
+     */
+    static async lookupCode(req, res, next) {
+        try {
+            const result = await CodeRegistryService.lookupCode(req.params.code);
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ========== Assignment ==========
+
+    /**
+     * Assign an ISRC to a track
+     * POST /api/music/codes/tracks/:trackId/isrc
+     */
+    static async assignTrackIsrc(req, res, next) {
+        try {
+            const { trackId } = req.params;
+            const { isrc, registrant_id } = req.body;
+
+            const track = await CodeRegistryService.getTrack(trackId);
+            await CodeRegistryController.checkReleaseAccess(track.release_id, req.user.id);
+
+            const result = await CodeRegistryService.assignIsrc(trackId, { isrc, registrantId: registrant_id }, req.user.id);
+
+            res.status(result.assigned ? 201 : 200).json({
+                success: true,
+                message: result.assigned ? 'ISRC assigned to track' : 'Track already has an ISRC',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Assign a UPC/EAN to a release
+     * POST /api/music/codes/releases/:releaseId/upc
+     */
+    static async assignReleaseUpc(req, res, next) {
+        try {
+            const { releaseId } = req.params;
+            const { upc, prefix_id } = req.body;
+
+            await CodeRegistryController.checkReleaseAccess(releaseId, req.user.id);
+
+            const result = await CodeRegistryService.assignUpc(releaseId, { upc, prefixId: prefix_id }, req.user.id);
+
+            res.status(result.assigned ? 201 : 200).json({
+                success: true,
+                message: result.assigned ? 'UPC assigned to release' : 'Release already has a UPC',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Assign the release UPC and all missing track ISRCs
+     * POST /api/music/codes/releases/:releaseId/assign
+     */
+    static async assignReleaseCodes(req, res, next) {
+        try {
+            const { releaseId } = req.params;
+            const { registrant_id, prefix_id } = req.body;
+
+            await CodeRegistryController.checkReleaseAccess(releaseId, req.user.id);
+
+            const result = await CodeRegistryService.assignReleaseCodes(releaseId, {
+                registrantId: registrant_id,
+                prefixId: prefix_id
+            }, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Release codes assigned',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = CodeRegistryController;
@@ -7,6 +7,8 @@
 
 const DistributionService = require('../services/distribution.service.cjs');
 const ReleaseService = require('../services/release.service.cjs');
+const DistributionJob = require('../jobs/distribution.job.cjs');
+const DdexService = require('../services/ddex.service.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 
 class DistributionController {
@@ -658,6 +660,101 @@ class DistributionController {
             next(error);
         }
     }
+
+    /**
+     * Get bulk operation status (batch ID or single distribution job ID)
+     * GET /api/music/distribution/bulk/status/:jobId
+     */
+    static async getBulkOperationStatus(req, res, next) {
+        try {
+            const { jobId } = req.params;
+            const userId = req.user.id;
+
+            const status = await DistributionJob.getBulkOperationStatus(jobId);
+            if (!status) {
+                throw new AppError('Bulk operation not found', 404);
+            }
+
+            if (status.created_by && status.created_by !== userId && req.user.role !== 'admin') {
+                throw new AppError('Access denied to bulk operation', 403);
+            }
+
+            res.json({
+                success: true,
+                data: status
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Generate DDEX ERN 4.3 NewReleaseMessage for release
+     * GET /api/music/distribution/releases/:releaseId/ddex
+     */
+    static async generateDdexMessage(req, res, next) {
+        try {
+            const { releaseId } = req.params;
+            const {
+                recipient,
+                recipient_dpid,
+                recipient_name,
+                test = 'false',
+                strict = 'false',
+                format = 'json'
+            } = req.query;
+
+            const userId = req.user.id;
+
+            const hasAccess = await ReleaseService.verifyUserAccess(releaseId, userId);
+            if (!hasAccess) {
+                throw new AppError('Access denied to release', 403);
+            }
+
+            if (!recipient && !recipient_dpid) {
+                throw new AppError('Recipient channel or recipient_dpid is required', 400);
+            }
+
+            const message = await DdexService.generateNewReleaseMessage(releaseId, {
+                recipient: recipient_dpid ? { dpid: recipient_dpid, name: recipient_name } : recipient,
+                testMessage: test === 'true',
+                strict: strict === 'true'
+            });
+
+            if (format === 'xml') {
+                res.set('Content-Disposition', `attachment; filename="${message.message_id}.xml"`);
+                return res.type('application/xml').send(message.xml);
+            }
+
+            res.json({
+                success: true,
+                data: message
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Validate DDEX ERN message
+     * POST /api/music/distribution/ddex/validate
+     */
+    static async validateDdexMessage(req, res, next) {
+        try {
+            const { xml } = req.body;
+
+            if (!xml) {
+                throw new AppError('ERN XML is required', 400);
+            }
+
+            res.json({
+                success: true,
+                data: DdexService.validateMessage(xml)
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = DistributionController;
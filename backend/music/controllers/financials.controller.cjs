@@ -7,6 +7,12 @@
 
 const FinancialsService = require('../services/financials.service.cjs');
 const ReleaseService = require('../services/release.service.cjs');
+const ExchangeRateService = require('../services/exchangeRate.service.cjs');
+const RecoupmentService = require('../services/recoupment.service.cjs');
+const LedgerService = require('../services/ledger.service.cjs');
+const TaxService = require('../services/tax.service.cjs');
+const StatementExportService = require('../services/statementExport.service.cjs');
+const CurrencyUtil = require('../utils/currency.util.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 
 class FinancialsController {
@@ -289,14 +295,15 @@ class FinancialsController {
                 date_to = null,
                 category = 'all',
                 release_id = null,
-                include_pending = true,
+                artist_id = null,
                 page = 1,
                 limit = 20
             } = req.query;
 
             const userId = req.user.id;
+            const isFinance = ['admin', 'finance'].includes(req.user.role);
 
-            if (release_id) {
+            if (release_id && !isFinance) {
                 const hasAccess = await ReleaseService.verifyUserAccess(release_id, userId);
                 if (!hasAccess) {
                     throw new AppError('Access denied to release', 403);
@@ -304,17 +311,18 @@ class FinancialsController {
             }
 
             const expenseOptions = {
-                date_from: date_from ? new Date(date_from) : null,
-                date_to: date_to ? new Date(date_to) : null,
-                category,
-                release_id,
-                include_pending: include_pending === 'true',
-                page: parseInt(page),
-                limit: Math.min(parseInt(limit), 100),
-                user_id: userId
+                dateFrom: date_from,
+                dateTo: date_to,
+                expenseType: category === 'all' ? null : category,
+                releaseId: release_id,
+                artistId: isFinance ? artist_id : null,
+                // Without a release, non-finance users see the expenses they entered
+                createdBy: isFinance || release_id ? null : userId,
+                page: parseInt(page) || 1,
+                limit: Math.min(parseInt(limit) || 20, 100)
             };
 
-            const expenses = await FinancialsService.getExpenses(
+            const expenses = await RecoupmentService.listExpenses(
                 expenseOptions
             );
 
@@ -344,8 +352,9 @@ class FinancialsController {
                 description = '',
                 expense_date = null,
                 release_id = null,
+                artist_id = null,
                 receipt_url = null,
-                tax_deductible = false
+                recoupable = true
             } = req.body;
 
             const userId = req.user.id;
@@ -354,6 +363,11 @@ class FinancialsController {
                 throw new AppError('Amount and category are required', 400);
             }
 
+            // Artist-level costs and advances are charged by the label's finance team
+            if (artist_id && !['admin', 'finance'].includes(req.user.role)) {
+                throw new AppError('Only finance users can charge costs to an artist', 403);
+            }
+
             if (release_id) {
                 const hasAccess = await ReleaseService.verifyUserAccess(release_id, userId);
                 if (!hasAccess) {
@@ -364,16 +378,16 @@ class FinancialsController {
             const expenseData = {
                 amount: parseFloat(amount),
                 currency,
-                category,
+                expense_type: category,
                 description,
-                expense_date: expense_date ? new Date(expense_date) : new Date(),
+                date_incurred: expense_date || new Date().toISOString().slice(0, 10),
                 release_id,
+                artist_id,
                 receipt_url,
-                tax_deductible,
-                added_by: userId
+                is_recoupable: recoupable !== false && recoupable !== 'false'
             };
 
-            const expense = await FinancialsService.addExpense(
+            const expense = await RecoupmentService.recordExpense(
                 expenseData,
                 userId
             );
@@ -520,6 +534,32 @@ class FinancialsController {
         }
     }
 
+    /**
+     * Export payee royalty statement (PDF, CSV or XLSX)
+     * POST /api/music/financials/reports/:id/export
+     */
+    static async exportFinancialReport(req, res, next) {
+        try {
+            const {
+                format = 'pdf',
+                template_id = null
+            } = req.body;
+
+            await StatementExportService.assertStatementAccess(req.params.id, req.user);
+
+            const file = await StatementExportService.exportStatement(req.params.id, {
+                format: format === 'excel' ? 'xlsx' : format,
+                templateId: template_id
+            });
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+            res.send(file.content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Get recoupment status
      * GET /api/music/financials/recoupment
@@ -528,29 +568,27 @@ class FinancialsController {
         try {
             const {
                 release_id = null,
-                include_projections = false,
-                breakdown_by_cost_type = true
+                artist_id = null
             } = req.query;
 
             const userId = req.user.id;
+            const isFinance = ['admin', 'finance'].includes(req.user.role);
 
-            if (release_id) {
+            if (artist_id && !isFinance) {
+                throw new AppError('Access denied to artist recoupment', 403);
+            }
+
+            if (release_id && !isFinance) {
                 const hasAccess = await ReleaseService.verifyUserAccess(release_id, userId);
                 if (!hasAccess) {
                     throw new AppError('Access denied to release', 403);
                 }
             }
 
-            const recoupmentOptions = {
-                release_id,
-                include_projections: include_projections === 'true',
-                breakdown_by_cost_type: breakdown_by_cost_type === 'true',
-                user_id: userId
-            };
-
-            const recoupment = await FinancialsService.getRecoupmentStatus(
-                recoupmentOptions
-            );
+            const recoupment = await RecoupmentService.getRecoupmentStatus({
+                artistId: artist_id,
+                releaseId: release_id
+            });
 
             res.json({
                 success: true,
@@ -561,6 +599,458 @@ class FinancialsController {
         }
     }
 
+    /**
+     * Get recoupment ledger entries
+     * GET /api/music/financials/recoupment/ledger
+     */
+    static async getRecoupmentLedger(req, res, next) {
+        try {
+            const {
+                artist_id = null,
+                statement_id = null,
+                expense_id = null,
+                limit = 100,
+                offset = 0
+            } = req.query;
+
+            const entries = await RecoupmentService.getLedger({
+                artistId: artist_id,
+                statementId: statement_id,
+                expenseId: expense_id,
+                limit: Math.min(parseInt(limit) || 100, 500),
+                offset: parseInt(offset) || 0
+            });
+
+            res.json({
+                success: true,
+                data: entries
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get recoupment contracts
+     * GET /api/music/financials/recoupment/contracts
+     */
+    static async getRecoupmentContracts(req, res, next) {
+        try {
+            const contracts = await RecoupmentService.listContracts({
+                artistId: req.query.artist_id || null
+            });
+
+            res.json({
+                success: true,
+                data: contracts
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create recoupment contract
+     * POST /api/music/financials/recoupment/contracts
+     */
+    static async createRecoupmentContract(req, res, next) {
+        try {
+            const contract = await RecoupmentService.createContract(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Recoupment contract created',
+                data: contract
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update recoupment contract terms
+     * PUT /api/music/financials/recoupment/contracts/:id
+     */
+    static async updateRecoupmentContract(req, res, next) {
+        try {
+            const contract = await RecoupmentService.updateContract(req.params.id, req.body, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Recoupment contract updated',
+                data: contract
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get ledger accounts with their balances
+     * GET /api/music/financials/ledger/accounts
+     */
+    static async getLedgerAccounts(req, res, next) {
+        try {
+            const {
+                code = null,
+                party_type = null,
+                party_id = null,
+                currency = null
+            } = req.query;
+
+            const accounts = await LedgerService.listAccounts({
+                code,
+                partyType: party_type,
+                partyId: party_id,
+                currency
+            });
+
+            res.json({
+                success: true,
+                data: accounts
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get trial balance
+     * GET /api/music/financials/ledger/trial-balance
+     */
+    static async getTrialBalance(req, res, next) {
+        try {
+            const { as_of = null, currency = null } = req.query;
+
+            const trialBalance = await LedgerService.getTrialBalance({ asOf: as_of, currency });
+
+            res.json({
+                success: true,
+                data: trialBalance
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get account statement (postings with running balance)
+     * GET /api/music/financials/ledger/accounts/:id/statement
+     */
+    static async getAccountStatement(req, res, next) {
+        try {
+            const {
+                date_from = null,
+                date_to = null,
+                page = 1,
+                limit = 100
+            } = req.query;
+
+            const statement = await LedgerService.getAccountStatement(req.params.id, {
+                dateFrom: date_from,
+                dateTo: date_to,
+                page: Math.max(parseInt(page) || 1, 1),
+                limit: Math.min(parseInt(limit) || 100, 500)
+            });
+
+            res.json({
+                success: true,
+                data: statement
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get journal entries
+     * GET /api/music/financials/ledger/entries
+     */
+    static async getJournalEntries(req, res, next) {
+        try {
+            const {
+                source_type = null,
+                source_id = null,
+                date_from = null,
+                date_to = null,
+                limit = 50,
+                offset = 0
+            } = req.query;
+
+            const entries = await LedgerService.listEntries({
+                sourceType: source_type,
+                sourceId: source_id,
+                dateFrom: date_from,
+                dateTo: date_to,
+                limit: Math.min(parseInt(limit) || 50, 500),
+                offset: parseInt(offset) || 0
+            });
+
+            res.json({
+                success: true,
+                data: entries
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get journal entry with its lines
+     * GET /api/music/financials/ledger/entries/:id
+     */
+    static async getJournalEntry(req, res, next) {
+        try {
+            const entry = await LedgerService.getEntry(req.params.id);
+
+            res.json({
+                success: true,
+                data: entry
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Post manual journal entry (adjustments, platform remittances, opening balances)
+     * POST /api/music/financials/ledger/entries
+     */
+    static async createJournalEntry(req, res, next) {
+        try {
+            const entry = await LedgerService.postManualEntry(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Journal entry posted',
+                data: entry
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ========== Payee Tax ==========
+
+    /**
+     * Get 1099 recipients for a year, or the IRS FIRE file with format=fire
+     * GET /api/music/financials/reports/tax/1099
+     */
+    static async get1099Forms(req, res, next) {
+        try {
+            const {
+                year = new Date().getFullYear() - 1,
+                format = 'json',
+                test = 'false'
+            } = req.query;
+
+            if (format === 'fire') {
+                const file = await TaxService.buildFireFile(year, { test: test === 'true' });
+
+                res.setHeader('Content-Type', 'text/plain; charset=us-ascii');
+                res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+                res.setHeader('X-Record-Count', file.recordCount);
+                return res.send(file.content);
+            }
+
+            const forms = await TaxService.get1099Data(year);
+
+            res.json({
+                success: true,
+                data: forms
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get payee tax profiles (form on file, masked TIN, validity)
+     * GET /api/music/financials/tax/profiles
+     */
+    static async getTaxProfiles(req, res, next) {
+        try {
+            const {
+                status = null,
+                form_type = null,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            const profiles = await TaxService.listProfiles({
+                status,
+                formType: form_type,
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
+
+            res.json({
+                success: true,
+                data: profiles
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get treaty withholding rates
+     * GET /api/music/financials/tax/treaty-rates
+     */
+    static async getTreatyRates(req, res, next) {
+        try {
+            const rates = await TaxService.listTreatyRates();
+
+            res.json({
+                success: true,
+                data: rates
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Set treaty withholding rate for a country
+     * PUT /api/music/financials/tax/treaty-rates/:country
+     */
+    static async setTreatyRate(req, res, next) {
+        try {
+            const { rate, article, notes } = req.body;
+
+            if (rate === undefined || rate === null) {
+                throw new AppError('Treaty rate is required', 400);
+            }
+
+            const treatyRate = await TaxService.setTreatyRate(req.params.country, { rate, article, notes }, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Treaty rate saved',
+                data: treatyRate
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a payee's annual tax summary (format=pdf for the printable version)
+     * GET /api/music/financials/reports/tax/summary/:artistId
+     */
+    static async getPayeeTaxSummary(req, res, next) {
+        try {
+            const {
+                year = new Date().getFullYear() - 1,
+                format = 'json'
+            } = req.query;
+
+            const summary = await TaxService.getAnnualSummary(req.params.artistId, year);
+
+            if (format === 'pdf') {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="tax-summary-${summary.year}-${summary.artist.id}.pdf"`);
+                return res.send(TaxService.renderAnnualSummaryPdf(summary));
+            }
+
+            res.json({
+                success: true,
+                data: summary
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ========== Statement Templates ==========
+
+    /**
+     * Get statement templates (house template and one per label)
+     * GET /api/music/financials/statement-templates
+     */
+    static async getStatementTemplates(req, res, next) {
+        try {
+            const templates = await StatementExportService.listTemplates();
+
+            res.json({
+                success: true,
+                data: templates
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get statement template
+     * GET /api/music/financials/statement-templates/:id
+     */
+    static async getStatementTemplate(req, res, next) {
+        try {
+            const template = await StatementExportService.getTemplate(req.params.id);
+
+            res.json({
+                success: true,
+                data: template
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create statement template (label_id omitted for the house template)
+     * POST /api/music/financials/statement-templates
+     */
+    static async createStatementTemplate(req, res, next) {
+        try {
+            const template = await StatementExportService.createTemplate(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Statement template created',
+                data: template
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update statement template
+     * PUT /api/music/financials/statement-templates/:id
+     */
+    static async updateStatementTemplate(req, res, next) {
+        try {
+            const template = await StatementExportService.updateTemplate(req.params.id, req.body, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Statement template updated',
+                data: template
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete statement template
+     * DELETE /api/music/financials/statement-templates/:id
+     */
+    static async deleteStatementTemplate(req, res, next) {
+        try {
+            await StatementExportService.deleteTemplate(req.params.id);
+
+            res.json({
+                success: true,
+                message: 'Statement template deleted'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Get balance sheet
      * GET /api/music/financials/balance
@@ -646,24 +1136,29 @@ class FinancialsController {
     /**
      * Get currency exchange rates
      * GET /api/music/financials/exchange-rates
+     * With `date` the rates published on that day (or the last day before it)
      */
     static async getExchangeRates(req, res, next) {
         try {
             const {
                 base_currency = 'USD',
                 target_currencies = [],
-                historical = false,
                 date = null
             } = req.query;
 
-            const rateOptions = {
-                base_currency,
-                target_currencies: target_currencies.length > 0 ? target_currencies : ['EUR', 'GBP', 'JPY', 'CAD'],
-                historical: historical === 'true',
-                date: date ? new Date(date) : new Date()
-            };
+            const targets = Array.isArray(target_currencies)
+                ? target_currencies
+                : String(target_currencies).split(',').filter(Boolean);
 
-            const rates = await FinancialsService.getExchangeRates(rateOptions);
+            if (date && isNaN(Date.parse(date))) {
+                throw new AppError('Invalid date', 400);
+            }
+
+            const rates = await ExchangeRateService.getRates({
+                base: base_currency,
+                targets: targets.length > 0 ? targets : ['EUR', 'GBP', 'JPY', 'CAD'],
+                date
+            });
 
             res.json({
                 success: true,
@@ -674,6 +1169,62 @@ class FinancialsController {
         }
     }
 
+    /**
+     * Convert an amount, optionally at a historical date's rate
+     * POST /api/music/financials/currency/convert
+     */
+    static async convertCurrency(req, res, next) {
+        try {
+            const { amount, from, to, date = null } = req.body;
+
+            const value = Number(amount);
+            if (!Number.isFinite(value)) {
+                throw new AppError('Valid amount is required', 400);
+            }
+            if (!CurrencyUtil.isSupported(from) || !CurrencyUtil.isSupported(to)) {
+                throw new AppError(`Unsupported currency conversion: ${from} to ${to}`, 400);
+            }
+
+            const rate = await ExchangeRateService.quote(from, to, date);
+
+            res.json({
+                success: true,
+                data: {
+                    amount: value,
+                    from: from.toUpperCase(),
+                    to: to.toUpperCase(),
+                    converted: CurrencyUtil.roundToCurrencyPrecision(value * rate.rate, to.toUpperCase()),
+                    rate: rate.rate,
+                    rate_date: rate.rate_date,
+                    source: rate.source
+                }
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Import daily rates from the configured source (ECB by default)
+     * POST /api/music/financials/admin/exchange-rates/import
+     */
+    static async importExchangeRates(req, res, next) {
+        try {
+            const { source, feed = 'daily' } = req.body;
+
+            // Local files and custom URLs come from configuration only
+            const result = await ExchangeRateService.importRates({ source, feed }, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: `Imported ${result.rates} exchange rates for ${result.days} day(s)`,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Bulk financial operations
      * POST /api/music/financials/bulk-operations
@@ -15,8 +15,10 @@ class PayoutController {
         try {
             const userId = req.user.id;
             const {
+                artistId,
                 amount,
                 currency,
+                payoutCurrency,
                 paymentMethod,
                 paymentDetails,
                 includeStatements
@@ -35,8 +37,10 @@ class PayoutController {
 
             const payout = await PayoutService.requestPayout({
                 userId,
+                artistId,
                 amount,
                 currency: currency || 'USD',
+                payoutCurrency,
                 paymentMethod,
                 paymentDetails,
                 includeStatements
@@ -144,9 +148,9 @@ class PayoutController {
     static async getBalance(req, res) {
         try {
             const userId = req.user.id;
-            const { currency = 'USD' } = req.query;
+            const { currency = 'USD', artistId = null } = req.query;
 
-            const balance = await PayoutService.getAvailableBalance(userId, currency);
+            const balance = await PayoutService.getAvailableBalance(userId, currency, null, artistId);
 
             res.json({
                 success: true,
@@ -5,9 +5,21 @@
  * Integrates with payment gateways and financial service providers
  */
 
+const multer = require('multer');
 const PayoutService = require('../services/payout.service.cjs');
+const PayoutBatchService = require('../services/payoutBatch.service.cjs');
+const TaxService = require('../services/tax.service.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 
+// Bank reconciliation files are parsed straight from memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024,
+        files: 1
+    }
+});
+
 class PayoutsController {
     /**
      * Get available balance for payout
@@ -17,21 +29,16 @@ class PayoutsController {
         try {
             const {
                 currency = 'USD',
-                include_pending = false,
-                include_breakdown = true
+                artist_id = null
             } = req.query;
 
             const userId = req.user.id;
 
-            const balanceOptions = {
-                currency,
-                include_pending: include_pending === 'true',
-                include_breakdown: include_breakdown === 'true',
-                user_id: userId
-            };
-
             const balance = await PayoutService.getAvailableBalance(
-                balanceOptions
+                userId,
+                currency.toUpperCase(),
+                null,
+                artist_id
             );
 
             res.json({
@@ -757,6 +764,113 @@ class PayoutsController {
         }
     }
 
+    /**
+     * Get tax forms on file and the withholding applied to payouts
+     * GET /api/music/payouts/tax/forms
+     */
+    static async getTaxForms(req, res, next) {
+        try {
+            const { artist_id = null } = req.query;
+
+            const artistIds = await PayoutService.getPayeeArtistIds(req.user.id, artist_id);
+            const forms = await TaxService.getPayeeTaxStatus(artistIds);
+
+            res.json({
+                success: true,
+                data: forms
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Submit W-9 tax form (US payees)
+     * POST /api/music/payouts/tax/w9
+     */
+    static async submitW9Form(req, res, next) {
+        try {
+            const artistId = await PayoutService.getPayeeArtistId(req.user.id, req.body.artist_id);
+            const profile = await TaxService.submitW9(artistId, req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'W-9 form submitted',
+                data: profile
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Submit W-8BEN / W-8BEN-E tax form (foreign payees)
+     * POST /api/music/payouts/tax/w8ben
+     */
+    static async submitW8BenForm(req, res, next) {
+        try {
+            const artistId = await PayoutService.getPayeeArtistId(req.user.id, req.body.artist_id);
+            const profile = await TaxService.submitW8(artistId, req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: `${profile.form_type} form submitted`,
+                data: profile
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get 1099 form data for specific year
+     * GET /api/music/payouts/tax/1099/:year
+     */
+    static async get1099Form(req, res, next) {
+        try {
+            const { artist_id = null } = req.query;
+
+            const artistIds = await PayoutService.getPayeeArtistIds(req.user.id, artist_id);
+            const forms = await TaxService.get1099Data(req.params.year, { artistIds });
+
+            res.json({
+                success: true,
+                data: forms
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get annual tax summary (format=pdf for the printable version)
+     * GET /api/music/payouts/tax/summary/:year
+     */
+    static async getAnnualTaxSummary(req, res, next) {
+        try {
+            const {
+                artist_id = null,
+                format = 'json'
+            } = req.query;
+
+            const artistId = await PayoutService.getPayeeArtistId(req.user.id, artist_id);
+            const summary = await TaxService.getAnnualSummary(artistId, req.params.year);
+
+            if (format === 'pdf') {
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `attachment; filename="tax-summary-${summary.year}.pdf"`);
+                return res.send(TaxService.renderAnnualSummaryPdf(summary));
+            }
+
+            res.json({
+                success: true,
+                data: summary
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Set payout preferences
      * POST /api/music/payouts/preferences
@@ -801,6 +915,225 @@ class PayoutsController {
             next(error);
         }
     }
+
+    // ========== Admin: Approval and Payment Batches ==========
+
+    /**
+     * Approve payout for batching
+     * POST /api/music/payouts/admin/:id/approve
+     */
+    static async approvePayout(req, res, next) {
+        try {
+            const payout = await PayoutService.approvePayout(req.params.id, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Payout approved',
+                data: payout
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reject payout request
+     * POST /api/music/payouts/admin/:id/reject
+     */
+    static async rejectPayout(req, res, next) {
+        try {
+            const { reason } = req.body;
+
+            const payout = await PayoutService.rejectPayout(req.params.id, req.user.id, reason);
+
+            res.json({
+                success: true,
+                message: 'Payout rejected',
+                data: payout
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Generate payment files for approved payouts
+     * POST /api/music/payouts/admin/process-batch
+     */
+    static async processBatchPayouts(req, res, next) {
+        try {
+            const {
+                payout_ids,
+                payment_method,
+                currency,
+                execution_date
+            } = req.body;
+
+            if (payout_ids !== undefined && !Array.isArray(payout_ids)) {
+                throw new AppError('payout_ids must be an array', 400);
+            }
+
+            const result = await PayoutBatchService.createBatches({
+                payoutIds: payout_ids,
+                paymentMethod: payment_method,
+                currency,
+                executionDate: execution_date
+            }, req.user.id);
+
+            res.status(result.batches.length > 0 ? 201 : 200).json({
+                success: true,
+                message: `${result.batches.length} payment batch(es) generated, ${result.skipped.length} payout(s) skipped`,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * List payment batches
+     * GET /api/music/payouts/admin/batches
+     */
+    static async getPayoutBatches(req, res, next) {
+        try {
+            const { status, rail, limit = 50, offset = 0 } = req.query;
+
+            const batches = await PayoutBatchService.listBatches({
+                status,
+                rail,
+                limit: Math.min(parseInt(limit) || 50, 200),
+                offset: parseInt(offset) || 0
+            });
+
+            res.json({
+                success: true,
+                data: batches
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get payment batch with its payouts
+     * GET /api/music/payouts/admin/batches/:batchId
+     */
+    static async getPayoutBatch(req, res, next) {
+        try {
+            const batch = await PayoutBatchService.getBatch(req.params.batchId);
+
+            res.json({
+                success: true,
+                data: batch
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Download the batch's payment file
+     * GET /api/music/payouts/admin/batches/:batchId/file
+     */
+    static async downloadPayoutBatchFile(req, res, next) {
+        try {
+            const file = await PayoutBatchService.getBatchFile(req.params.batchId);
+
+            res.setHeader('Content-Type', file.mimeType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+            res.setHeader('X-Checksum-SHA256', file.checksum);
+            res.send(file.content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Mark batch as sent to the bank or PayPal
+     * POST /api/music/payouts/admin/batches/:batchId/submit
+     */
+    static async submitPayoutBatch(req, res, next) {
+        try {
+            const batch = await PayoutBatchService.submitBatch(req.params.batchId, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Payment batch marked as submitted',
+                data: batch
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Complete the batch's unconfirmed payouts
+     * POST /api/music/payouts/admin/batches/:batchId/settle
+     */
+    static async settlePayoutBatch(req, res, next) {
+        try {
+            const batch = await PayoutBatchService.settleBatch(req.params.batchId, req.user.id);
+
+            res.json({
+                success: true,
+                message: `${batch.completed} payout(s) completed`,
+                data: batch
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Cancel a batch that was not submitted
+     * POST /api/music/payouts/admin/batches/:batchId/cancel
+     */
+    static async cancelPayoutBatch(req, res, next) {
+        try {
+            const batch = await PayoutBatchService.cancelBatch(req.params.batchId, req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Payment batch cancelled; its payouts are approved again',
+                data: batch
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Import a camt.054 notification or NACHA return file
+     * (multipart field "file", or JSON { content, file_name })
+     * POST /api/music/payouts/admin/reconciliation
+     */
+    static importReconciliationFile(req, res, next) {
+        upload.single('file')(req, res, async (err) => {
+            try {
+                if (err) {
+                    throw new AppError(err.message, 400);
+                }
+
+                const content = req.file ? req.file.buffer : req.body.content;
+                if (!content) {
+                    throw new AppError('Reconciliation file is required (field "file" or "content")', 400);
+                }
+
+                const result = await PayoutBatchService.importReconciliationFile({
+                    content,
+                    fileName: req.file ? req.file.originalname : req.body.file_name
+                }, req.user.id);
+
+                res.status(201).json({
+                    success: true,
+                    message: `${result.completed} payout(s) completed, ${result.returned} returned, ${result.unmatched.length} entr(ies) unmatched`,
+                    data: result
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
 }
 
 module.exports = PayoutsController;
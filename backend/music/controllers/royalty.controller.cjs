@@ -5,6 +5,9 @@
 
 const RoyaltyService = require('../services/royalty.service.cjs');
 const PayoutService = require('../services/payout.service.cjs');
+const RoyaltyMatchingService = require('../services/royaltyMatching.service.cjs');
+const RoyaltyStatementService = require('../services/royaltyStatement.service.cjs');
+const StatementExportService = require('../services/statementExport.service.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 const logger = require('../config/logger.cjs');
 
@@ -120,6 +123,32 @@ class RoyaltyController {
         }
     }
 
+    /**
+     * Generate payee royalty statements for a platform period
+     * POST /api/music/royalties/admin/statements/generate
+     */
+    static async generateRoyaltyStatements(req, res, next) {
+        try {
+            const { userId } = req.user;
+            const { platform, period_start, period_end } = req.body;
+
+            const result = await RoyaltyStatementService.generateStatements({
+                platform,
+                periodStart: period_start,
+                periodEnd: period_end,
+                userId
+            });
+
+            res.json({
+                success: true,
+                data: result,
+                message: 'Royalty statements generated successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Calculate royalties for period
      * POST /api/music/royalties/calculate
@@ -192,6 +221,7 @@ class RoyaltyController {
             const {
                 amount,
                 currency = 'USD',
+                payout_currency,
                 payment_method,
                 payment_details,
                 include_statements = []
@@ -207,6 +237,7 @@ class RoyaltyController {
                 userId,
                 amount,
                 currency,
+                payoutCurrency: payout_currency,
                 paymentMethod: payment_method,
                 paymentDetails: payment_details,
                 includeStatements: include_statements
@@ -353,6 +384,33 @@ class RoyaltyController {
         }
     }
 
+    /**
+     * Export royalty statement as PDF, CSV or XLSX
+     * GET /api/music/royalties/statements/:statementId/export
+     */
+    static async exportRoyaltyStatement(req, res, next) {
+        try {
+            const { statementId } = req.params;
+            const {
+                format = 'pdf',
+                template_id = null
+            } = req.query;
+
+            await StatementExportService.assertStatementAccess(statementId, req.user);
+
+            const file = await StatementExportService.exportStatement(statementId, {
+                format,
+                templateId: template_id
+            });
+
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+            res.send(file.content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Get royalty analytics
      * GET /api/music/royalties/analytics
@@ -400,6 +458,201 @@ class RoyaltyController {
             next(error);
         }
     }
+
+    /**
+     * Get unmatched royalty lines (suspense queue)
+     * GET /api/music/royalties/admin/unmatched
+     */
+    static async getUnmatchedLines(req, res, next) {
+        try {
+            const {
+                status = 'pending',
+                platform,
+                ingestion_id,
+                search,
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            const lines = await RoyaltyMatchingService.getUnmatchedLines({
+                status: status !== 'all' ? status : undefined,
+                platform,
+                ingestionId: ingestion_id,
+                search,
+                pagination: {
+                    page: parseInt(page),
+                    limit: Math.min(parseInt(limit), 200)
+                }
+            });
+
+            res.json({
+                success: true,
+                data: lines
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get unmatched royalty line with candidate tracks
+     * GET /api/music/royalties/admin/unmatched/:lineId
+     */
+    static async getUnmatchedLine(req, res, next) {
+        try {
+            const { lineId } = req.params;
+            const { refresh = 'false' } = req.query;
+
+            const line = await RoyaltyMatchingService.getUnmatchedLine(lineId, {
+                refreshCandidates: refresh === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: line
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Assign unmatched royalty lines to tracks
+     * POST /api/music/royalties/admin/unmatched/assign
+     *
+     * Body: { assignments: [{ line_id, track_id }] } or { line_ids, track_id }
+     */
+    static async assignUnmatchedLines(req, res, next) {
+        try {
+            const { userId } = req.user;
+            const {
+                assignments,
+                line_ids,
+                track_id,
+                create_rules = true,
+                note
+            } = req.body;
+
+            const resolvedAssignments = assignments
+                || (Array.isArray(line_ids) ? line_ids.map(lineId => ({ line_id: lineId, track_id })) : null);
+
+            if (!Array.isArray(resolvedAssignments) || resolvedAssignments.length === 0) {
+                throw new AppError('Provide assignments or line_ids with track_id', 400);
+            }
+
+            const result = await RoyaltyMatchingService.assignLines({
+                assignments: resolvedAssignments,
+                createRules: create_rules !== false,
+                userId,
+                note
+            });
+
+            res.json({
+                success: true,
+                data: result,
+                message: 'Royalty lines assigned successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Ignore unmatched royalty lines
+     * POST /api/music/royalties/admin/unmatched/ignore
+     */
+    static async ignoreUnmatchedLines(req, res, next) {
+        try {
+            const { userId } = req.user;
+            const { line_ids, note } = req.body;
+
+            const result = await RoyaltyMatchingService.ignoreLines({
+                lineIds: line_ids,
+                userId,
+                note
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get royalty mapping rules
+     * GET /api/music/royalties/admin/mapping-rules
+     */
+    static async getMappingRules(req, res, next) {
+        try {
+            const {
+                platform,
+                track_id,
+                include_inactive = 'false',
+                page = 1,
+                limit = 50
+            } = req.query;
+
+            const rules = await RoyaltyMatchingService.getMappingRules({
+                platform,
+                trackId: track_id,
+                includeInactive: include_inactive === 'true',
+                pagination: {
+                    page: parseInt(page),
+                    limit: Math.min(parseInt(limit), 200)
+                }
+            });
+
+            res.json({
+                success: true,
+                data: rules
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create royalty mapping rule
+     * POST /api/music/royalties/admin/mapping-rules
+     */
+    static async createMappingRule(req, res, next) {
+        try {
+            const { userId } = req.user;
+
+            const result = await RoyaltyMatchingService.createMappingRule(req.body, userId);
+
+            res.status(201).json({
+                success: true,
+                data: result,
+                message: 'Mapping rule created successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Deactivate royalty mapping rule
+     * DELETE /api/music/royalties/admin/mapping-rules/:ruleId
+     */
+    static async deleteMappingRule(req, res, next) {
+        try {
+            const { ruleId } = req.params;
+
+            const rule = await RoyaltyMatchingService.deactivateMappingRule(ruleId);
+
+            res.json({
+                success: true,
+                data: rule,
+                message: 'Mapping rule deactivated successfully'
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = RoyaltyController;
@@ -7,9 +7,15 @@
 
 const TrackService = require('../services/track.service.cjs');
 const ReleaseService = require('../services/release.service.cjs');
+const AudioInspectionService = require('../services/audioInspection.service.cjs');
+const LoudnessAnalysisService = require('../services/loudnessAnalysis.service.cjs');
+const AudioPreviewService = require('../services/audioPreview.service.cjs');
+const audioInspector = require('../utils/audioInspector.util.cjs');
+const waveformUtil = require('../utils/waveform.util.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 
 // Configure multer for audio file uploads
 const storage = multer.diskStorage({
@@ -37,6 +43,8 @@ const upload = multer({
             'audio/mp3',
             'audio/flac',
             'audio/x-flac',
+            'audio/aiff',
+            'audio/x-aiff',
             'audio/aac',
             'audio/m4a',
             'audio/ogg',
@@ -96,6 +104,18 @@ class TrackController {
                     throw new AppError('Access denied to release', 403);
                 }
 
+                // Read the real specs from the file; declared values are only cross-checked
+                const inspection = await AudioInspectionService.inspectUpload(req.files.audio_file[0]);
+                if (inspection.errors.length > 0) {
+                    await fs.promises.unlink(req.files.audio_file[0].path).catch(() => {});
+                    throw new AppError(`Audio file rejected: ${inspection.errors.join('; ')}`, 422);
+                }
+
+                const mismatches = audioInspector.compareWithDeclared(inspection, {
+                    duration: duration ? parseInt(duration) * 1000 : null,
+                    isrc
+                });
+
                 const trackData = {
                     release_id,
                     title,
@@ -103,8 +123,9 @@ class TrackController {
                     duration: duration ? parseInt(duration) : null,
                     genre,
                     explicit_content: explicit_content === 'true',
-                    isrc,
+                    isrc: isrc || inspection.metadata.isrc,
                     metadata: typeof metadata === 'string' ? JSON.parse(metadata) : metadata,
+                    audio_metadata: inspection,
                     files: {
                         audio_file: req.files.audio_file[0],
                         artwork: req.files.artwork ? req.files.artwork[0] : null,
@@ -125,7 +146,17 @@ class TrackController {
                 res.status(201).json({
                     success: true,
                     message: 'Track uploaded and processing started',
-                    data: result
+                    data: result,
+                    audio_inspection: {
+                        format: inspection.format,
+                        sample_rate: inspection.sample_rate,
+                        bit_depth: inspection.bit_depth,
+                        channels: inspection.channels,
+                        duration_ms: inspection.duration_ms,
+                        checksums: inspection.checksums,
+                        warnings: inspection.warnings,
+                        mismatches
+                    }
                 });
             } catch (error) {
                 next(error);
@@ -332,53 +363,90 @@ class TrackController {
     }
 
     /**
-     * Generate track waveform
-     * POST /api/music/tracks/:trackId/waveform
+     * Get track waveform peaks (audiowaveform JSON)
+     * GET /api/music/tracks/:id/audio/waveform
      */
-    static async generateWaveform(req, res, next) {
+    static async getWaveform(req, res, next) {
         try {
-            const { trackId } = req.params;
+            const { id } = req.params;
             const {
-                resolution = 'standard',
-                format = 'json',
-                width = 1200,
-                height = 200,
-                color_scheme = 'default'
-            } = req.body;
-
+                samples_per_pixel,
+                pixels,
+                split_channels = 'false',
+                refresh = 'false'
+            } = req.query;
             const userId = req.user.id;
 
-            const waveformOptions = {
-                track_id: trackId,
-                resolution,
-                format,
-                dimensions: {
-                    width: parseInt(width),
-                    height: parseInt(height)
-                },
-                color_scheme,
-                generated_by: userId
-            };
+            const track = await AudioInspectionService.getTrack(id);
 
-            const waveform = await TrackService.generateWaveform(
-                waveformOptions,
-                userId
-            );
+            const hasAccess = await ReleaseService.verifyUserAccess(track.release_id, userId);
+            if (!hasAccess) {
+                throw new AppError('Access denied to release', 403);
+            }
 
-            if (format === 'image') {
-                res.setHeader('Content-Type', 'image/png');
-                res.send(waveform.data);
-            } else {
-                res.json({
-                    success: true,
-                    data: waveform
-                });
+            const waveform = await AudioPreviewService.getWaveform(track, {
+                refresh: refresh === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: TrackController.formatWaveform(waveform, {
+                    samplesPerPixel: parseInt(samples_per_pixel) || null,
+                    pixels: parseInt(pixels) || null,
+                    splitChannels: split_channels === 'true'
+                })
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Rebuild track waveform peaks from the master
+     * POST /api/music/tracks/:id/audio/waveform
+     */
+    static async generateWaveform(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { samples_per_pixel, pixels, split_channels = false } = req.body || {};
+            const userId = req.user.id;
+
+            const track = await AudioInspectionService.getTrack(id);
+
+            const hasAccess = await ReleaseService.verifyUserAccess(track.release_id, userId);
+            if (!hasAccess) {
+                throw new AppError('Access denied to release', 403);
             }
+
+            const waveform = await AudioPreviewService.getWaveform(track, { refresh: true });
+
+            res.json({
+                success: true,
+                message: 'Track waveform generated',
+                data: TrackController.formatWaveform(waveform, {
+                    samplesPerPixel: parseInt(samples_per_pixel) || null,
+                    pixels: parseInt(pixels) || null,
+                    splitChannels: split_channels === true || split_channels === 'true'
+                })
+            });
         } catch (error) {
             next(error);
         }
     }
 
+    /**
+     * One zoom level of a cached waveform, merged to mono unless split
+     */
+    static formatWaveform(waveform, { samplesPerPixel, pixels, splitChannels }) {
+        const level = waveformUtil.selectLevel(waveform.levels, { samplesPerPixel, pixels });
+
+        return {
+            ...(splitChannels ? level : waveformUtil.mergeChannels(level)),
+            duration_ms: waveform.duration_ms,
+            zoom_levels: waveform.levels.map(zoom => zoom.samples_per_pixel)
+        };
+    }
+
     /**
      * Get track analytics
      * GET /api/music/tracks/:trackId/analytics
@@ -590,38 +658,104 @@ class TrackController {
     }
 
     /**
-     * Generate track preview
-     * POST /api/music/tracks/:trackId/preview
+     * Inspect the stored audio file and extract its real specs and tags
+     * POST /api/music/tracks/:id/metadata/extract
+     */
+    static async extractAudioMetadata(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { platforms = [], save = true } = req.body || {};
+            const userId = req.user.id;
+
+            const track = await AudioInspectionService.getTrack(id);
+
+            const hasAccess = await ReleaseService.verifyUserAccess(track.release_id, userId);
+            if (!hasAccess) {
+                throw new AppError('Access denied to release', 403);
+            }
+
+            const result = await AudioInspectionService.inspectTrack(track, {
+                platforms: Array.isArray(platforms) ? platforms : [platforms],
+                save: save !== false && save !== 'false'
+            });
+
+            res.json({
+                success: true,
+                message: result.is_valid
+                    ? 'Audio metadata extracted'
+                    : 'Audio metadata extracted; the file does not match the track',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Measure loudness (EBU R128) and predict platform normalisation
+     * POST /api/music/tracks/:id/loudness-analysis
+     */
+    static async analyzeLoudness(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { platforms = [], save = true } = req.body || {};
+            const userId = req.user.id;
+
+            const track = await AudioInspectionService.getTrack(id);
+
+            const hasAccess = await ReleaseService.verifyUserAccess(track.release_id, userId);
+            if (!hasAccess) {
+                throw new AppError('Access denied to release', 403);
+            }
+
+            const analysis = await LoudnessAnalysisService.analyzeTrack(track, {
+                platforms: Array.isArray(platforms) ? platforms : [platforms],
+                save: save !== false && save !== 'false'
+            });
+
+            res.json({
+                success: true,
+                message: analysis.recommendation.different_master_recommended
+                    ? 'Loudness analysis completed; a different master is recommended'
+                    : 'Loudness analysis completed',
+                data: analysis
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Render a track preview clip
+     * POST /api/music/tracks/:id/audio/preview
      */
     static async generatePreview(req, res, next) {
         try {
-            const { trackId } = req.params;
+            const { id } = req.params;
             const {
                 duration = 30,
                 start_time = 'auto',
                 fade_in = 2,
                 fade_out = 2,
-                format = 'mp3',
-                bitrate = 128
-            } = req.body;
+                format = 'wav'
+            } = req.body || {};
 
             const userId = req.user.id;
 
-            const previewOptions = {
-                track_id: trackId,
-                duration: parseInt(duration),
-                start_time: start_time === 'auto' ? null : parseInt(start_time),
-                fade_in: parseFloat(fade_in),
-                fade_out: parseFloat(fade_out),
-                format,
-                bitrate: parseInt(bitrate),
-                generated_by: userId
-            };
+            const track = await AudioInspectionService.getTrack(id);
 
-            const preview = await TrackService.generateTrackPreview(
-                previewOptions,
-                userId
-            );
+            const hasAccess = await ReleaseService.verifyUserAccess(track.release_id, userId);
+            if (!hasAccess) {
+                throw new AppError('Access denied to release', 403);
+            }
+
+            const preview = await AudioPreviewService.generatePreview(track, {
+                duration: parseInt(duration),
+                startTime: start_time === 'auto' || start_time === null ? null : parseFloat(start_time),
+                fadeIn: parseFloat(fade_in),
+                fadeOut: parseFloat(fade_out),
+                format
+            });
 
             res.json({
                 success: true,
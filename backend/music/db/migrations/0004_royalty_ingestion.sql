@@ -0,0 +1,83 @@
+-- Royalty ingestion tracking
+-- Plik: 0004_royalty_ingestion.sql
+-- Idempotent imports: file fingerprints, line keys and re-import reconciliation
+
+-- Earnings lines (one row per ingested report line key)
+CREATE TABLE IF NOT EXISTS earnings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    artist_id UUID REFERENCES artists(id) ON DELETE SET NULL,
+    release_id UUID REFERENCES releases(id) ON DELETE SET NULL,
+    track_id UUID REFERENCES tracks(id) ON DELETE SET NULL,
+    platform VARCHAR(50) NOT NULL,
+    territory VARCHAR(50) DEFAULT 'worldwide',
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    revenue_type VARCHAR(30) NOT NULL DEFAULT 'stream',
+    gross_revenue DECIMAL(14,6) NOT NULL DEFAULT 0,
+    net_revenue DECIMAL(14,6) NOT NULL DEFAULT 0,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    streams BIGINT NOT NULL DEFAULT 0,
+    downloads BIGINT NOT NULL DEFAULT 0,
+    report_date DATE,
+    line_key TEXT,
+    metadata JSONB DEFAULT '{}',
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ingested report files
+CREATE TABLE IF NOT EXISTS royalty_ingestions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id VARCHAR(100),
+    platform VARCHAR(50) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    file_fingerprint CHAR(64) NOT NULL, -- SHA-256 of (decompressed) report content
+    file_name TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'superseded', 'failed')),
+    supersedes_id UUID REFERENCES royalty_ingestions(id) ON DELETE SET NULL,
+    line_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_line_count INTEGER NOT NULL DEFAULT 0,
+    total_revenue DECIMAL(14,6) NOT NULL DEFAULT 0, -- USD
+    reconciliation JSONB, -- Added/changed/removed summary against superseded ingestion
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    superseded_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Report lines keyed by platform/period/territory/ISRC
+CREATE TABLE IF NOT EXISTS royalty_ingestion_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ingestion_id UUID NOT NULL REFERENCES royalty_ingestions(id) ON DELETE CASCADE,
+    line_key TEXT NOT NULL,
+    isrc CHAR(12),
+    track_title TEXT,
+    artist_name TEXT,
+    territory VARCHAR(50),
+    revenue_type VARCHAR(30),
+    period_start DATE,
+    period_end DATE,
+    streams BIGINT NOT NULL DEFAULT 0,
+    revenue DECIMAL(14,6) NOT NULL DEFAULT 0,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    usd_revenue DECIMAL(14,6) NOT NULL DEFAULT 0,
+    source_rows INTEGER NOT NULL DEFAULT 1,
+    track_id UUID REFERENCES tracks(id) ON DELETE SET NULL,
+    release_id UUID REFERENCES releases(id) ON DELETE SET NULL,
+    earnings_id UUID REFERENCES earnings(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'superseded', 'removed')),
+    raw_data JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_earnings_track_period ON earnings(track_id, period_start, period_end);
+CREATE INDEX IF NOT EXISTS idx_earnings_platform_period ON earnings(platform, period_start, period_end);
+CREATE INDEX IF NOT EXISTS idx_royalty_ingestions_fingerprint ON royalty_ingestions(file_fingerprint);
+CREATE INDEX IF NOT EXISTS idx_royalty_ingestions_platform_period ON royalty_ingestions(platform, period_start, period_end);
+CREATE INDEX IF NOT EXISTS idx_royalty_ingestion_lines_ingestion ON royalty_ingestion_lines(ingestion_id);
+
+-- A line key can only be active once, so overlapping reports cannot double-count earnings
+CREATE UNIQUE INDEX IF NOT EXISTS idx_royalty_ingestion_lines_active_key ON royalty_ingestion_lines(line_key) WHERE status = 'active';
+
+CREATE TRIGGER update_earnings_updated_at BEFORE UPDATE ON earnings FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
@@ -0,0 +1,69 @@
+-- Royalty line matching
+-- Plik: 0005_royalty_matching.sql
+-- Suspense queue for report lines without a catalog track, plus confirmed mapping rules
+
+-- Confirmed report identity -> track mappings, reused by later ingestions
+CREATE TABLE IF NOT EXISTS royalty_mapping_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    platform VARCHAR(50), -- NULL applies to every platform
+    match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('isrc', 'upc_title', 'title_artist')),
+    isrc CHAR(12),
+    upc VARCHAR(14),
+    title_key TEXT, -- Normalized track title
+    artist_key TEXT, -- Normalized primary artist
+    track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+    release_id UUID REFERENCES releases(id) ON DELETE SET NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    times_applied INTEGER NOT NULL DEFAULT 0,
+    last_applied_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    deactivated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Unmatched report lines awaiting manual resolution
+CREATE TABLE IF NOT EXISTS royalty_unmatched_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    line_key TEXT NOT NULL,
+    ingestion_id UUID NOT NULL REFERENCES royalty_ingestions(id) ON DELETE CASCADE,
+    ingestion_line_id UUID REFERENCES royalty_ingestion_lines(id) ON DELETE SET NULL,
+    platform VARCHAR(50) NOT NULL,
+    isrc CHAR(12),
+    upc VARCHAR(14),
+    track_title TEXT,
+    artist_name TEXT,
+    album_name TEXT,
+    title_key TEXT, -- Normalized title/artist, matched against mapping rules
+    artist_key TEXT,
+    duration INTEGER, -- Reported duration in seconds
+    territory VARCHAR(50),
+    revenue_type VARCHAR(30),
+    period_start DATE,
+    period_end DATE,
+    streams BIGINT NOT NULL DEFAULT 0,
+    revenue DECIMAL(14,6) NOT NULL DEFAULT 0,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    usd_revenue DECIMAL(14,6) NOT NULL DEFAULT 0,
+    candidates JSONB NOT NULL DEFAULT '[]', -- Scored catalog candidates, best first
+    best_score DECIMAL(5,4),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'assigned', 'ignored', 'superseded')),
+    assigned_track_id UUID REFERENCES tracks(id) ON DELETE SET NULL,
+    assigned_release_id UUID REFERENCES releases(id) ON DELETE SET NULL,
+    mapping_rule_id UUID REFERENCES royalty_mapping_rules(id) ON DELETE SET NULL,
+    resolution_note TEXT,
+    resolved_by UUID,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_royalty_mapping_rules_isrc ON royalty_mapping_rules(isrc) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_royalty_mapping_rules_title ON royalty_mapping_rules(title_key, artist_key) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_royalty_unmatched_lines_status ON royalty_unmatched_lines(status, platform);
+CREATE INDEX IF NOT EXISTS idx_royalty_unmatched_lines_ingestion ON royalty_unmatched_lines(ingestion_id);
+
+-- One open (pending or ignored) suspense entry per report line key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_royalty_unmatched_lines_open_key ON royalty_unmatched_lines(line_key) WHERE status IN ('pending', 'ignored');
+
+CREATE TRIGGER update_royalty_unmatched_lines_updated_at BEFORE UPDATE ON royalty_unmatched_lines FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
@@ -0,0 +1,57 @@
+-- Royalty statement line items
+-- Plik: 0006_royalty_statement_lines.sql
+-- Per-payee statements built from track x territory x revenue type earnings lines
+
+-- Payee statements share the table with channel statements
+ALTER TABLE royalty_statements ALTER COLUMN channel_id DROP NOT NULL;
+ALTER TABLE royalty_statements ALTER COLUMN statement_period_start DROP NOT NULL;
+ALTER TABLE royalty_statements ALTER COLUMN statement_period_end DROP NOT NULL;
+
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS artist_id UUID REFERENCES artists(id) ON DELETE CASCADE;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS platform VARCHAR(50);
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS period_start DATE;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS period_end DATE;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS total_streams BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS gross_revenue DECIMAL(14,6) NOT NULL DEFAULT 0;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS net_revenue DECIMAL(14,6) NOT NULL DEFAULT 0;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS payable_amount DECIMAL(14,6) NOT NULL DEFAULT 0;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS revenue_by_territory JSONB DEFAULT '{}';
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS revenue_by_track JSONB DEFAULT '{}';
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS revenue_by_type JSONB DEFAULT '{}';
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS ingestion_id UUID REFERENCES royalty_ingestions(id) ON DELETE SET NULL;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS generated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS created_by UUID;
+
+ALTER TABLE royalty_statements DROP CONSTRAINT IF EXISTS royalty_statements_status_check;
+ALTER TABLE royalty_statements ADD CONSTRAINT royalty_statements_status_check
+    CHECK (status IN ('pending', 'processing', 'processed', 'error', 'draft', 'generated', 'approved', 'paid', 'superseded'));
+
+-- Statement line items (one per earnings line and payee)
+CREATE TABLE IF NOT EXISTS royalty_statement_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    statement_id UUID NOT NULL REFERENCES royalty_statements(id) ON DELETE CASCADE,
+    artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE, -- Payee
+    earnings_id UUID REFERENCES earnings(id) ON DELETE SET NULL,
+    ingestion_line_id UUID REFERENCES royalty_ingestion_lines(id) ON DELETE SET NULL,
+    track_id UUID REFERENCES tracks(id) ON DELETE SET NULL,
+    release_id UUID REFERENCES releases(id) ON DELETE SET NULL,
+    platform VARCHAR(50) NOT NULL,
+    territory VARCHAR(50) NOT NULL DEFAULT 'unknown',
+    revenue_type VARCHAR(30) NOT NULL DEFAULT 'stream',
+    period_start DATE,
+    period_end DATE,
+    streams BIGINT NOT NULL DEFAULT 0,
+    line_revenue DECIMAL(14,6) NOT NULL DEFAULT 0, -- Full earnings line, USD
+    split_id UUID REFERENCES royalty_splits(id) ON DELETE SET NULL, -- NULL: primary artist without split / unallocated remainder
+    split_percentage DECIMAL(5,2) NOT NULL DEFAULT 100,
+    amount DECIMAL(14,6) NOT NULL DEFAULT 0, -- Payee share, USD
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_royalty_statement_lines_statement ON royalty_statement_lines(statement_id);
+CREATE INDEX IF NOT EXISTS idx_royalty_statement_lines_artist ON royalty_statement_lines(artist_id, period_start);
+CREATE INDEX IF NOT EXISTS idx_royalty_statement_lines_track ON royalty_statement_lines(track_id);
+
+-- One statement per payee, platform and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_royalty_statements_payee_period ON royalty_statements(artist_id, platform, period_start, period_end) WHERE artist_id IS NOT NULL;
@@ -0,0 +1,41 @@
+-- Background jobs
+-- Plik: 0007_background_jobs.sql
+-- Durable job queue shared by distribution and royalty ingestion workers
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+    id VARCHAR(100) PRIMARY KEY, -- e.g. dist_..., royalty_...
+    queue VARCHAR(50) NOT NULL,
+    batch_id VARCHAR(100), -- Groups jobs created by one bulk operation
+    status VARCHAR(30) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'retrying', 'completed', 'partially_completed', 'failed', 'timeout', 'cancelled')),
+    priority SMALLINT NOT NULL DEFAULT 3, -- 1 = urgent ... 5 = batch
+    data JSONB NOT NULL DEFAULT '{}',
+    progress JSONB NOT NULL DEFAULT '{}',
+    progress_percentage SMALLINT NOT NULL DEFAULT 0,
+    result JSONB,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP, -- Scheduled time or next retry
+    timeout_ms INTEGER NOT NULL DEFAULT 1800000,
+    locked_by VARCHAR(150), -- Worker holding the lease
+    locked_until TIMESTAMP WITH TIME ZONE, -- Expired leases are reclaimed by other workers
+    cancel_requested BOOLEAN NOT NULL DEFAULT false,
+    cancellation_reason TEXT,
+    last_error TEXT,
+    error_history JSONB NOT NULL DEFAULT '[]',
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Claim order: waiting jobs by priority, then due time
+CREATE INDEX IF NOT EXISTS idx_background_jobs_claim ON background_jobs(queue, priority, run_at) WHERE status IN ('queued', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_background_jobs_lease ON background_jobs(queue, locked_until) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_background_jobs_batch ON background_jobs(batch_id) WHERE batch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_background_jobs_data ON background_jobs USING GIN (data);
+
+DROP TRIGGER IF EXISTS update_background_jobs_updated_at ON background_jobs;
+CREATE TRIGGER update_background_jobs_updated_at BEFORE UPDATE ON background_jobs FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
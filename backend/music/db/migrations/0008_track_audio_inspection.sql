@@ -0,0 +1,10 @@
+-- Track audio inspection
+-- Plik: 0008_track_audio_inspection.sql
+-- Technical parameters, embedded tags and checksums read from the uploaded master
+
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS audio_metadata JSONB; -- AudioInspectorUtil result
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS audio_checksum_sha256 CHAR(64);
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS audio_inspected_at TIMESTAMP WITH TIME ZONE;
+
+-- Finds the same master uploaded to several tracks
+CREATE INDEX IF NOT EXISTS idx_tracks_audio_checksum ON tracks(audio_checksum_sha256) WHERE audio_checksum_sha256 IS NOT NULL;
@@ -0,0 +1,9 @@
+-- Track loudness
+-- Plik: 0009_track_loudness.sql
+-- BS.1770 / EBU R128 measurements of the master and the predicted platform normalisation
+
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS loudness_integrated_lufs NUMERIC(6,2);
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS loudness_range_lu NUMERIC(6,2);
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS true_peak_dbtp NUMERIC(6,2);
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS loudness_analysis JSONB; -- Full measurement and per-platform prediction
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS loudness_analyzed_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,10 @@
+-- Track waveform and preview clips
+-- Plik: 0010_track_waveform_preview.sql
+-- Cached min/max peaks of the master and the rendered 30/60/90 second previews
+
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS waveform_data JSONB; -- audiowaveform v2 zoom levels
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS waveform_generated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS preview_url VARCHAR(500);
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS preview_start_time INTEGER; -- seconds
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS preview_duration INTEGER; -- seconds
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS preview_clips JSONB DEFAULT '{}'; -- Rendered clips keyed by duration
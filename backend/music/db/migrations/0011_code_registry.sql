@@ -0,0 +1,80 @@
+-- ISRC and UPC/EAN code management
+-- Plik: 0011_code_registry.sql
+-- Label registrant prefixes, GS1 company prefixes and the counters codes are allocated from
+
+-- ISRC registrants (CC-XXX); label_id NULL is the distributor's own registrant
+CREATE TABLE IF NOT EXISTS isrc_registrants (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    label_id UUID REFERENCES labels(id) ON DELETE CASCADE,
+    country_code CHAR(2) NOT NULL,
+    registrant_code CHAR(3) NOT NULL,
+    description TEXT,
+    is_default BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(country_code, registrant_code)
+);
+
+-- Last designation code issued per registrant and year of reference; the row lock serializes allocation
+CREATE TABLE IF NOT EXISTS isrc_sequences (
+    registrant_id UUID NOT NULL REFERENCES isrc_registrants(id) ON DELETE CASCADE,
+    year_of_reference CHAR(2) NOT NULL,
+    last_designation INTEGER NOT NULL DEFAULT 0 CHECK (last_designation BETWEEN 0 AND 99999),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (registrant_id, year_of_reference)
+);
+
+-- GS1 company prefixes; capacity is the number of item references the prefix leaves room for
+CREATE TABLE IF NOT EXISTS gs1_prefixes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    label_id UUID REFERENCES labels(id) ON DELETE CASCADE,
+    company_prefix VARCHAR(12) NOT NULL UNIQUE,
+    code_format VARCHAR(10) NOT NULL CHECK (code_format IN ('upc', 'ean')),
+    capacity BIGINT NOT NULL,
+    last_item_reference BIGINT NOT NULL DEFAULT -1, -- -1 until the first code is allocated
+    description TEXT,
+    is_default BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (last_item_reference < capacity)
+);
+
+-- One default registrant and prefix per label (and one distributor-wide default)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_isrc_registrants_default
+    ON isrc_registrants (COALESCE(label_id, '00000000-0000-0000-0000-000000000000'::uuid)) WHERE is_default;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gs1_prefixes_default
+    ON gs1_prefixes (COALESCE(label_id, '00000000-0000-0000-0000-000000000000'::uuid)) WHERE is_default;
+
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS registrant_id UUID REFERENCES isrc_registrants(id) ON DELETE SET NULL;
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS country_code CHAR(2);
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS allocated_by UUID;
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE isrc_registry ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- EAN-13 codes need the extra digit
+ALTER TABLE upc_registry ALTER COLUMN upc_code TYPE VARCHAR(13);
+ALTER TABLE releases ALTER COLUMN upc TYPE VARCHAR(13);
+
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS prefix_id UUID REFERENCES gs1_prefixes(id) ON DELETE SET NULL;
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS item_reference BIGINT;
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS allocated_by UUID;
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE upc_registry ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- A track or release holds at most one live code
+CREATE UNIQUE INDEX IF NOT EXISTS idx_isrc_registry_track
+    ON isrc_registry(track_id) WHERE status IN ('assigned', 'used');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_upc_registry_release
+    ON upc_registry(release_id) WHERE status IN ('assigned', 'used');
+
+-- Pre-allocated codes waiting to be assigned
+CREATE INDEX IF NOT EXISTS idx_isrc_registry_pool ON isrc_registry(registrant_id, isrc_code) WHERE status = 'allocated';
+CREATE INDEX IF NOT EXISTS idx_upc_registry_pool ON upc_registry(prefix_id, item_reference) WHERE status = 'allocated';
@@ -0,0 +1,36 @@
+-- Historical exchange rates
+-- Plik: 0012_exchange_rates.sql
+-- Daily reference rates and the rate each converted royalty line and payout used
+
+-- Units of `currency` per 1 `base_currency` as published on rate_date
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    rate_date DATE NOT NULL,
+    base_currency CHAR(3) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    rate DECIMAL(18,8) NOT NULL CHECK (rate > 0),
+    source VARCHAR(50) NOT NULL,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (rate_date, base_currency, currency)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_currency ON exchange_rates(currency, rate_date);
+
+-- Rate used to convert the line to USD and the day it was published
+ALTER TABLE royalty_ingestion_lines ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18,8);
+ALTER TABLE royalty_ingestion_lines ADD COLUMN IF NOT EXISTS fx_rate_date DATE;
+ALTER TABLE royalty_ingestion_lines ADD COLUMN IF NOT EXISTS fx_source VARCHAR(50);
+
+-- Rates per currency the ingestion converted with: { "EUR": { "rate": ..., "rate_date": ... } }
+ALTER TABLE royalty_ingestions ADD COLUMN IF NOT EXISTS exchange_rates JSONB DEFAULT '{}';
+
+ALTER TABLE royalty_statement_lines ADD COLUMN IF NOT EXISTS original_revenue DECIMAL(14,6);
+ALTER TABLE royalty_statement_lines ADD COLUMN IF NOT EXISTS original_currency CHAR(3);
+ALTER TABLE royalty_statement_lines ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18,8);
+ALTER TABLE royalty_statement_lines ADD COLUMN IF NOT EXISTS fx_rate_date DATE;
+
+-- Payouts are requested against the USD balance and paid in the payee's currency
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS base_currency CHAR(3) DEFAULT 'USD';
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS base_amount DECIMAL(12,2);
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18,8);
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS fx_rate_date DATE;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS fx_source VARCHAR(50);
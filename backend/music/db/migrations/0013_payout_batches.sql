@@ -0,0 +1,90 @@
+-- Payout batches
+-- Plik: 0013_payout_batches.sql
+-- Payment files generated for approved payouts (SEPA, ACH, PayPal) and the bank files reconciling them
+
+-- Approval step between a payout request and its batch; failed payouts keep the bank's reason
+ALTER TABLE IF EXISTS payouts DROP CONSTRAINT IF EXISTS payouts_status_check;
+ALTER TABLE IF EXISTS payouts ADD CONSTRAINT payouts_status_check
+    CHECK (status IN ('requested', 'pending', 'approved', 'processing', 'completed', 'failed', 'cancelled'));
+
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS approved_by UUID;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS processed_by UUID;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(255);
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS transaction_id VARCHAR(255);
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+CREATE SEQUENCE IF NOT EXISTS payout_batch_number_seq;
+
+-- One payment file per rail and currency
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_reference VARCHAR(35) NOT NULL UNIQUE,
+    batch_number BIGINT NOT NULL,
+    rail VARCHAR(20) NOT NULL CHECK (rail IN ('sepa', 'ach', 'paypal')),
+    currency CHAR(3) NOT NULL,
+    execution_date DATE NOT NULL,
+    payout_count INTEGER NOT NULL DEFAULT 0,
+    total_amount DECIMAL(14,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'generated'
+        CHECK (status IN ('generated', 'submitted', 'partially_settled', 'settled', 'failed', 'cancelled')),
+    file_name VARCHAR(255) NOT NULL,
+    file_format VARCHAR(30) NOT NULL, -- pain.001.001.03 | nacha | paypal_payouts_csv
+    mime_type VARCHAR(100) NOT NULL,
+    file_content TEXT NOT NULL,
+    file_checksum CHAR(64) NOT NULL, -- SHA-256 of file_content
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    submitted_by UUID,
+    settled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_status ON payout_batches(status, created_at);
+
+-- Payouts carried by a batch; end_to_end_id is the reference the bank echoes back
+-- (SEPA EndToEndId, ACH trace number, PayPal reference ID)
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    payout_id UUID NOT NULL,
+    end_to_end_id VARCHAR(35) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    payee_name VARCHAR(140),
+    status VARCHAR(20) NOT NULL DEFAULT 'included'
+        CHECK (status IN ('included', 'completed', 'returned', 'cancelled')),
+    bank_reference VARCHAR(255),
+    return_code VARCHAR(10),
+    return_reason TEXT,
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_batch_items_reference ON payout_batch_items(end_to_end_id);
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch ON payout_batch_items(batch_id, status);
+-- A payout is in at most one live batch; returned or cancelled payouts can be batched again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_batch_items_live_payout
+    ON payout_batch_items(payout_id) WHERE status IN ('included', 'completed');
+
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL;
+
+-- Bank confirmation and return files (camt.054, ACH returns); a file is applied once
+CREATE TABLE IF NOT EXISTS payout_reconciliation_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_name VARCHAR(255),
+    file_format VARCHAR(30) NOT NULL, -- camt.054 | nacha_returns
+    file_checksum CHAR(64) NOT NULL UNIQUE,
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    completed_count INTEGER NOT NULL DEFAULT 0,
+    returned_count INTEGER NOT NULL DEFAULT 0,
+    unmatched JSONB DEFAULT '[]', -- Entries without a matching batch item, for manual review
+    imported_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
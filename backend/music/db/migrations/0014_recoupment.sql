@@ -0,0 +1,80 @@
+-- Recoupment
+-- Plik: 0014_recoupment.sql
+-- Contract terms, the append-only ledger of recouped costs and statement deductions
+
+-- Deal terms per artist; the contract in effect at a statement's period end applies
+CREATE TABLE IF NOT EXISTS recoupment_contracts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    artist_id UUID NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    -- cross_collateralized: all costs recoup from all earnings
+    -- per_release: release costs recoup from that release only, artist-level costs from what is left
+    waterfall VARCHAR(30) NOT NULL DEFAULT 'cross_collateralized'
+        CHECK (waterfall IN ('cross_collateralized', 'per_release')),
+    recoup_percentage DECIMAL(5,2) NOT NULL DEFAULT 100.00
+        CHECK (recoup_percentage > 0 AND recoup_percentage <= 100), -- Share of earnings applied to recoupment
+    effective_date DATE NOT NULL,
+    end_date DATE,
+    notes TEXT,
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date IS NULL OR end_date >= effective_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recoupment_contracts_artist ON recoupment_contracts(artist_id, effective_date);
+
+DROP TRIGGER IF EXISTS update_recoupment_contracts_updated_at ON recoupment_contracts;
+CREATE TRIGGER update_recoupment_contracts_updated_at BEFORE UPDATE ON recoupment_contracts
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Advances are expenses with expense_type 'advance'; costs are recouped in USD
+-- converted at the rate of the day they were incurred
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recoupable_amount DECIMAL(12,2);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18,8);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS fx_rate_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_artist ON expenses(artist_id);
+
+-- Every amount withheld from a statement, and its reversal when the statement is regenerated
+CREATE TABLE IF NOT EXISTS recoupment_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    artist_id UUID NOT NULL REFERENCES artists(id),
+    expense_id UUID NOT NULL REFERENCES expenses(id),
+    statement_id UUID NOT NULL REFERENCES royalty_statements(id),
+    contract_id UUID REFERENCES recoupment_contracts(id), -- NULL: default terms
+    release_id UUID REFERENCES releases(id), -- Pool the cost was recouped from; NULL: artist-wide
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('recoupment', 'reversal')),
+    amount DECIMAL(14,2) NOT NULL, -- Positive when recouped, negative for reversals
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    waterfall VARCHAR(30) NOT NULL,
+    recoup_percentage DECIMAL(5,2) NOT NULL,
+    period_start DATE,
+    period_end DATE,
+    reverses_entry_id UUID REFERENCES recoupment_ledger(id),
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((entry_type = 'recoupment' AND amount > 0) OR (entry_type = 'reversal' AND amount < 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_recoupment_ledger_expense ON recoupment_ledger(expense_id);
+CREATE INDEX IF NOT EXISTS idx_recoupment_ledger_statement ON recoupment_ledger(statement_id);
+CREATE INDEX IF NOT EXISTS idx_recoupment_ledger_artist ON recoupment_ledger(artist_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recoupment_ledger_reversal ON recoupment_ledger(reverses_entry_id) WHERE reverses_entry_id IS NOT NULL;
+
+-- Ledger rows are corrected by reversal entries, never edited
+CREATE OR REPLACE FUNCTION prevent_recoupment_ledger_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'recoupment_ledger is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS recoupment_ledger_append_only ON recoupment_ledger;
+CREATE TRIGGER recoupment_ledger_append_only BEFORE UPDATE OR DELETE ON recoupment_ledger
+    FOR EACH ROW EXECUTE PROCEDURE prevent_recoupment_ledger_change();
+
+-- payable_amount = gross_revenue - recouped_amount
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS recouped_amount DECIMAL(14,6) NOT NULL DEFAULT 0;
+-- Costs deducted on the statement: [{ expense_id, expense_type, description, release_id, amount, remaining }]
+ALTER TABLE royalty_statements ADD COLUMN IF NOT EXISTS recoupment_details JSONB DEFAULT '[]';
@@ -0,0 +1,96 @@
+-- General ledger
+-- Plik: 0015_general_ledger.sql
+-- Double-entry accounts and immutable journal entries; payee balances are read from here
+
+-- Chart of accounts; party accounts (one per artist or platform) share their parent's code
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(10) NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('asset', 'liability', 'equity', 'revenue', 'expense')),
+    party_type VARCHAR(20) CHECK (party_type IN ('artist', 'platform')),
+    party_id VARCHAR(100), -- Artist id or platform name
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((party_type IS NULL) = (party_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_key
+    ON ledger_accounts(code, COALESCE(party_type, ''), COALESCE(party_id, ''), currency);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_party ON ledger_accounts(party_type, party_id);
+
+CREATE SEQUENCE IF NOT EXISTS journal_entry_number_seq;
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_number BIGINT NOT NULL UNIQUE DEFAULT nextval('journal_entry_number_seq'),
+    entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    source_type VARCHAR(20) NOT NULL
+        CHECK (source_type IN ('ingestion', 'statement', 'recoupment', 'expense', 'payout', 'manual')),
+    source_id VARCHAR(100), -- Ingestion, statement, expense or payout the entry was posted for
+    description TEXT NOT NULL,
+    reverses_entry_id UUID REFERENCES journal_entries(id),
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_source ON journal_entries(source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_date ON journal_entries(entry_date);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journal_entries_reversal ON journal_entries(reverses_entry_id) WHERE reverses_entry_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS journal_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_id UUID NOT NULL REFERENCES journal_entries(id),
+    account_id UUID NOT NULL REFERENCES ledger_accounts(id),
+    debit DECIMAL(14,2) NOT NULL DEFAULT 0,
+    credit DECIMAL(14,2) NOT NULL DEFAULT 0,
+    memo TEXT,
+    CHECK (debit >= 0 AND credit >= 0 AND (debit = 0) <> (credit = 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(account_id);
+
+-- Posted entries are corrected by reversing entries, never edited
+CREATE OR REPLACE FUNCTION prevent_journal_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_entries_append_only ON journal_entries;
+CREATE TRIGGER journal_entries_append_only BEFORE UPDATE OR DELETE ON journal_entries
+    FOR EACH ROW EXECUTE PROCEDURE prevent_journal_change();
+
+DROP TRIGGER IF EXISTS journal_lines_append_only ON journal_lines;
+CREATE TRIGGER journal_lines_append_only BEFORE UPDATE OR DELETE ON journal_lines
+    FOR EACH ROW EXECUTE PROCEDURE prevent_journal_change();
+
+-- Checked at commit, once all lines of the entry are in
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    difference DECIMAL(14,2);
+BEGIN
+    SELECT COALESCE(SUM(debit), 0) - COALESCE(SUM(credit), 0) INTO difference
+    FROM journal_lines
+    WHERE entry_id = NEW.entry_id;
+
+    IF difference <> 0 THEN
+        RAISE EXCEPTION 'Journal entry % does not balance (debits - credits = %)', NEW.entry_id, difference;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS journal_lines_balanced ON journal_lines;
+CREATE CONSTRAINT TRIGGER journal_lines_balanced AFTER INSERT ON journal_lines
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE PROCEDURE check_journal_entry_balanced();
+
+-- Payouts draw on one artist's royalties payable account
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS artist_id UUID REFERENCES artists(id);
+
+-- Fee the payment rail charged the label for sending the payout, in the payout currency
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS processing_fee DECIMAL(12,2) NOT NULL DEFAULT 0;
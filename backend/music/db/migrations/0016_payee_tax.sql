@@ -0,0 +1,64 @@
+-- Payee tax
+-- Plik: 0016_payee_tax.sql
+-- W-9 / W-8BEN profiles per payee, treaty withholding rates and the tax withheld on payouts
+
+CREATE TABLE IF NOT EXISTS payee_tax_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    artist_id UUID NOT NULL UNIQUE REFERENCES artists(id) ON DELETE CASCADE,
+    form_type VARCHAR(10) NOT NULL CHECK (form_type IN ('W-9', 'W-8BEN', 'W-8BEN-E')),
+    legal_name VARCHAR(200) NOT NULL,
+    business_name VARCHAR(200), -- W-9 line 2 (DBA / disregarded entity)
+    entity_type VARCHAR(30) NOT NULL DEFAULT 'individual'
+        CHECK (entity_type IN ('individual', 'sole_proprietor', 'c_corporation', 's_corporation', 'partnership', 'trust_estate', 'llc', 'corporation', 'other')),
+    tin_type VARCHAR(10) CHECK (tin_type IN ('SSN', 'EIN', 'ITIN', 'FOREIGN')),
+    tin_encrypted TEXT, -- AES-256-GCM, see TaxService.encryptTin
+    tin_last4 CHAR(4),
+    address_line1 VARCHAR(200),
+    address_line2 VARCHAR(200),
+    city VARCHAR(100),
+    state VARCHAR(50),
+    postal_code VARCHAR(20),
+    country CHAR(2) NOT NULL, -- Residence for tax purposes
+    treaty_country CHAR(2), -- W-8BEN Part II claim
+    treaty_article VARCHAR(50),
+    treaty_rate DECIMAL(5,2) CHECK (treaty_rate >= 0 AND treaty_rate <= 100),
+    form_1099_type VARCHAR(4) NOT NULL DEFAULT 'MISC' CHECK (form_1099_type IN ('MISC', 'NEC')),
+    exempt_payee_code VARCHAR(2), -- W-9 line 4: exempt from backup withholding and 1099 reporting
+    backup_withholding BOOLEAN NOT NULL DEFAULT false, -- Certification item 2 crossed out, or an IRS B-notice
+    vat_status VARCHAR(20) NOT NULL DEFAULT 'not_registered'
+        CHECK (vat_status IN ('not_registered', 'registered', 'exempt')),
+    vat_number VARCHAR(20),
+    signature_name VARCHAR(200) NOT NULL,
+    signed_at DATE NOT NULL,
+    expires_at DATE, -- W-8 forms: end of the third calendar year after signing
+    submitted_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (vat_status <> 'registered' OR vat_number IS NOT NULL)
+);
+
+DROP TRIGGER IF EXISTS update_payee_tax_profiles_updated_at ON payee_tax_profiles;
+CREATE TRIGGER update_payee_tax_profiles_updated_at BEFORE UPDATE ON payee_tax_profiles
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Treaty rates on royalties by residence country; countries without one get the statutory rate
+CREATE TABLE IF NOT EXISTS tax_treaty_rates (
+    country_code CHAR(2) PRIMARY KEY,
+    rate DECIMAL(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    article VARCHAR(50),
+    notes TEXT,
+    updated_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_tax_treaty_rates_updated_at ON tax_treaty_rates;
+CREATE TRIGGER update_tax_treaty_rates_updated_at BEFORE UPDATE ON tax_treaty_rates
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- gross_amount is drawn from the balance; withholding_amount of it is kept for the IRS and
+-- base_amount (gross - withholding) is sent, converted to the payout currency
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS gross_amount DECIMAL(12,2);
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS withholding_amount DECIMAL(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS withholding_rate DECIMAL(5,2);
+ALTER TABLE IF EXISTS payouts ADD COLUMN IF NOT EXISTS withholding_reason VARCHAR(20); -- w9 | exempt | backup | undocumented | treaty | nonresident | expired | disabled
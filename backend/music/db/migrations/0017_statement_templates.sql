@@ -0,0 +1,31 @@
+-- Statement templates
+-- Plik: 0017_statement_templates.sql
+-- Branding and layout of rendered royalty statements, one template per label plus the house default
+
+CREATE TABLE IF NOT EXISTS statement_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    label_id UUID UNIQUE REFERENCES labels(id) ON DELETE CASCADE, -- NULL: house template for statements without a label
+    name VARCHAR(100) NOT NULL,
+    title VARCHAR(100) NOT NULL DEFAULT 'Royalty Statement',
+    company_name VARCHAR(200),
+    company_address TEXT, -- Printed as-is, one line per address line
+    contact_email VARCHAR(200),
+    footer_text TEXT,
+    logo_image BYTEA, -- PNG or JPEG, printed in the header
+    accent_color CHAR(7) NOT NULL DEFAULT '#1F3A5F' CHECK (accent_color ~ '^#[0-9A-Fa-f]{6}$'),
+    paper_size VARCHAR(10) NOT NULL DEFAULT 'letter' CHECK (paper_size IN ('letter', 'a4')),
+    number_locale VARCHAR(10) NOT NULL DEFAULT 'en-US',
+    sections JSONB NOT NULL DEFAULT '["summary", "platforms", "territories", "tracks", "deductions", "payments"]',
+    max_rows INTEGER NOT NULL DEFAULT 25 CHECK (max_rows > 0), -- Rows per breakdown before the rest is grouped as "Other"
+    show_isrc BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID,
+    updated_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_statement_templates_house ON statement_templates((label_id IS NULL)) WHERE label_id IS NULL;
+
+DROP TRIGGER IF EXISTS update_statement_templates_updated_at ON statement_templates;
+CREATE TRIGGER update_statement_templates_updated_at BEFORE UPDATE ON statement_templates
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
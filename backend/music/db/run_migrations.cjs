@@ -14,7 +14,21 @@ const supabase = createClient(supabaseUrl, supabaseKey);
 const migrationFiles = [
     '0001_core_music_tables.sql',
     '0002_music_indexes.sql',
-    '0003_publishing_tables.sql'
+    '0003_publishing_tables.sql',
+    '0004_royalty_ingestion.sql',
+    '0005_royalty_matching.sql',
+    '0006_royalty_statement_lines.sql',
+    '0007_background_jobs.sql',
+    '0008_track_audio_inspection.sql',
+    '0009_track_loudness.sql',
+    '0010_track_waveform_preview.sql',
+    '0011_code_registry.sql',
+    '0012_exchange_rates.sql',
+    '0013_payout_batches.sql',
+    '0014_recoupment.sql',
+    '0015_general_ledger.sql',
+    '0016_payee_tax.sql',
+    '0017_statement_templates.sql'
 ];
 
 async function runMigration(filename) {
@@ -38,9 +38,9 @@ const releaseSchema = Joi.object({
   originalReleaseDate: Joi.date().iso().optional(),
   
   // Identifiers
-  upc: Joi.string().pattern(/^\d{12}$/).optional()
+  upc: Joi.string().pattern(/^\d{12,13}$/).optional()
     .messages({
-      'string.pattern.base': 'UPC must be 12 digits'
+      'string.pattern.base': 'UPC must be 12 digits (EAN: 13)'
     }),
   
   catalogNumber: Joi.string().max(50).optional(),
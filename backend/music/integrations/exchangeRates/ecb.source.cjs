@@ -0,0 +1,81 @@
+/**
+ * ECB Exchange Rate Source
+ * Euro foreign exchange reference rates published by the European Central Bank
+ * (eurofxref XML), read from a local file or downloaded from a URL
+ */
+
+const fs = require('fs').promises;
+const { parseXml, findAll, childElements } = require('../../../utils/xml.util.cjs');
+
+const ECB_BASE_URL = 'https://www.ecb.europa.eu/stats/eurofxref';
+
+// Published feeds: latest day, last 90 days and the full history since 1999
+const ECB_FEEDS = {
+  daily: `${ECB_BASE_URL}/eurofxref-daily.xml`,
+  '90d': `${ECB_BASE_URL}/eurofxref-hist-90d.xml`,
+  history: `${ECB_BASE_URL}/eurofxref-hist.xml`
+};
+
+class EcbRateSource {
+  constructor(options = {}) {
+    this.name = 'ecb';
+    this.baseCurrency = 'EUR';
+    this.file = options.file || null;
+    this.url = options.url || null;
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  /**
+   * Rates per publication day, oldest first: [{ date, base, rates: { USD: 1.0845, ... } }]
+   * `feed` picks one of the ECB feeds when neither a file nor a URL is given
+   */
+  async fetchRates({ file, url, feed = 'daily' } = {}) {
+    const xml = await this.readFeed({ file: file || this.file, url: url || this.url, feed });
+    return this.parse(xml);
+  }
+
+  async readFeed({ file, url, feed }) {
+    if (file) {
+      return fs.readFile(file, 'utf8');
+    }
+
+    const feedUrl = url || ECB_FEEDS[feed];
+    if (!feedUrl) {
+      throw new Error(`Unknown ECB feed: ${feed}. Use one of: ${Object.keys(ECB_FEEDS).join(', ')}`);
+    }
+
+    const response = await fetch(feedUrl, { signal: AbortSignal.timeout(this.timeoutMs) });
+    if (!response.ok) {
+      throw new Error(`ECB rates download failed (${feedUrl}): HTTP ${response.status}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * Day cubes (<Cube time="...">) hold one <Cube currency rate> per currency
+   */
+  parse(xml) {
+    const days = findAll(parseXml(xml), 'Cube')
+      .filter(cube => cube.attributes.time)
+      .map(cube => {
+        const rates = { [this.baseCurrency]: 1 };
+        for (const entry of childElements(cube, 'Cube')) {
+          const rate = parseFloat(entry.attributes.rate);
+          if (entry.attributes.currency && rate > 0) {
+            rates[entry.attributes.currency.toUpperCase()] = rate;
+          }
+        }
+        return { date: cube.attributes.time, base: this.baseCurrency, rates };
+      })
+      .filter(day => /^\d{4}-\d{2}-\d{2}$/.test(day.date) && Object.keys(day.rates).length > 1);
+
+    if (days.length === 0) {
+      throw new Error('No exchange rates found in ECB feed');
+    }
+
+    return days.sort((a, b) => a.date.localeCompare(b.date));
+  }
+}
+
+module.exports = EcbRateSource;
+module.exports.ECB_FEEDS = ECB_FEEDS;
@@ -0,0 +1,296 @@
+/**
+ * ACH Payment Rail
+ * Writes USD credit batches as NACHA files (94-character records, blocked
+ * by 10) and reads returned entries (addenda type 99) from return files
+ */
+
+const RECORD_LENGTH = 94;
+const BLOCKING_FACTOR = 10;
+
+// Transaction codes for credits (prenotes are not generated)
+const CREDIT_CODES = { checking: '22', savings: '32' };
+
+// Service class: credits only
+const SERVICE_CLASS_CREDITS = '220';
+
+const RETURN_REASONS = {
+  R01: 'Insufficient funds',
+  R02: 'Account closed',
+  R03: 'No account / unable to locate account',
+  R04: 'Invalid account number',
+  R06: 'Returned per ODFI request',
+  R07: 'Authorization revoked by customer',
+  R08: 'Payment stopped',
+  R10: 'Customer advises not authorized',
+  R14: 'Representative payee deceased',
+  R15: 'Beneficiary or account holder deceased',
+  R16: 'Account frozen',
+  R17: 'File record edit criteria',
+  R20: 'Non-transaction account',
+  R23: 'Credit entry refused by receiver',
+  R29: 'Corporate customer advises not authorized'
+};
+
+class AchRail {
+  constructor(originator = {}) {
+    this.name = 'ach';
+    this.fileFormat = 'nacha';
+    this.reconciliationFormat = 'nacha_returns';
+    this.mimeType = 'text/plain';
+    this.paymentMethods = ['ach', 'bank_transfer'];
+    this.currencies = ['USD'];
+    this.maxItems = 999; // Trace numbers carry the batch number and a 3-digit entry sequence
+    this.originator = originator;
+  }
+
+  accepts(payout) {
+    const details = payout.payment_details || {};
+    return this.paymentMethods.includes(payout.payment_method)
+      && this.currencies.includes(payout.currency)
+      && Boolean(details.routing_number);
+  }
+
+  /**
+   * Bank charge per entry, in cents
+   */
+  fee() {
+    return Math.round((Number(this.originator.itemFee) || 0) * 100);
+  }
+
+  missingConfig() {
+    const missing = [];
+    if (!this.isValidRouting(this.originator.odfiRouting)) missing.push('PAYOUT_ACH_ODFI_ROUTING');
+    if (!this.originator.companyName) missing.push('PAYOUT_ACH_COMPANY_NAME');
+    if (!this.originator.companyId) missing.push('PAYOUT_ACH_COMPANY_ID');
+    return missing;
+  }
+
+  validatePayee(details = {}) {
+    if (!this.isValidRouting(details.routing_number)) return 'Invalid routing number';
+    if (!/^[0-9A-Za-z-]{4,17}$/.test(String(details.account_number || '').trim())) return 'Invalid account number';
+    if (details.account_type && !CREDIT_CODES[details.account_type]) return 'Account type must be checking or savings';
+    if (!this.payeeName(details)) return 'Account holder name required';
+    return null;
+  }
+
+  payeeName(details) {
+    return this.text(details.account_holder_name || details.account_holder || details.name, 22);
+  }
+
+  /**
+   * Trace number: ODFI routing (8 digits) + 7-digit sequence made of the
+   * batch number and the entry's position
+   */
+  referenceFor(batch, index) {
+    const sequence = ((batch.number % 10000) * 1000 + index + 1) % 10000000;
+    return `${this.odfi()}${String(sequence).padStart(7, '0')}`;
+  }
+
+  /**
+   * ABA check digit: weights 3, 7, 1 repeated, sum divisible by 10
+   */
+  isValidRouting(routing) {
+    const value = String(routing || '').trim();
+    if (!/^\d{9}$/.test(value)) return false;
+
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    const sum = [...value].reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+    return sum % 10 === 0;
+  }
+
+  odfi() {
+    return String(this.originator.odfiRouting).slice(0, 8);
+  }
+
+  text(value, maxLength) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9 .,&'/-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase()
+      .slice(0, maxLength);
+  }
+
+  alpha(value, length) {
+    return String(value || '').slice(0, length).padEnd(length, ' ');
+  }
+
+  numeric(value, length) {
+    return String(value).padStart(length, '0').slice(-length);
+  }
+
+  // Immediate destination/origin: a routing number is written with a leading blank
+  immediateId(value) {
+    const id = String(value).trim();
+    return id.length === 9 ? ` ${id}` : this.alpha(id, 10);
+  }
+
+  yymmdd(date) {
+    return date.replace(/-/g, '').slice(2);
+  }
+
+  // ========== NACHA ==========
+
+  /**
+   * One PPD/CCD credit batch per file
+   * batch: { reference, number, executionDate, createdAt }; items: [{ reference, amountCents, details }]
+   */
+  buildFile(batch, items) {
+    const origin = this.originator;
+    const createdAt = batch.createdAt.toISOString();
+    const batchNumber = this.numeric(batch.number % 10000000, 7);
+    const routing = String(origin.odfiRouting).trim();
+
+    const records = [];
+
+    // File header
+    records.push([
+      '1', '01',
+      this.immediateId(routing),
+      this.immediateId(origin.originId || routing),
+      this.yymmdd(createdAt.slice(0, 10)),
+      createdAt.slice(11, 16).replace(':', ''),
+      'A', '094', String(BLOCKING_FACTOR), '1',
+      this.alpha(this.text(origin.destinationName, 23), 23),
+      this.alpha(this.text(origin.companyName, 23), 23),
+      this.alpha(batch.reference.replace(/[^A-Z0-9]/gi, '').slice(-8), 8)
+    ].join(''));
+
+    // Batch header
+    records.push([
+      '5', SERVICE_CLASS_CREDITS,
+      this.alpha(this.text(origin.companyName, 16), 16),
+      this.alpha('', 20),
+      this.alpha(origin.companyId, 10),
+      this.alpha(origin.secCode || 'PPD', 3),
+      this.alpha(this.text(origin.entryDescription || 'ROYALTIES', 10), 10),
+      this.alpha('', 6),
+      this.yymmdd(batch.executionDate),
+      '   ', '1',
+      this.odfi(),
+      batchNumber
+    ].join(''));
+
+    let entryHash = 0;
+    let totalCents = 0;
+
+    for (const item of items) {
+      const routingNumber = String(item.details.routing_number).trim();
+      entryHash += Number(routingNumber.slice(0, 8));
+      totalCents += item.amountCents;
+
+      records.push([
+        '6',
+        CREDIT_CODES[item.details.account_type || 'checking'],
+        routingNumber,
+        this.alpha(String(item.details.account_number).trim(), 17),
+        this.numeric(item.amountCents, 10),
+        this.alpha(item.payoutId.replace(/-/g, '').slice(0, 15).toUpperCase(), 15),
+        this.alpha(this.payeeName(item.details), 22),
+        '  ', '0',
+        item.reference
+      ].join(''));
+    }
+
+    const hash = this.numeric(entryHash, 10);
+
+    // Batch control
+    records.push([
+      '8', SERVICE_CLASS_CREDITS,
+      this.numeric(items.length, 6),
+      hash,
+      this.numeric(0, 12),
+      this.numeric(totalCents, 12),
+      this.alpha(origin.companyId, 10),
+      this.alpha('', 19),
+      this.alpha('', 6),
+      this.odfi(),
+      batchNumber
+    ].join(''));
+
+    const blockCount = Math.ceil((records.length + 1) / BLOCKING_FACTOR);
+
+    // File control
+    records.push([
+      '9',
+      this.numeric(1, 6),
+      this.numeric(blockCount, 6),
+      this.numeric(items.length, 8),
+      hash,
+      this.numeric(0, 12),
+      this.numeric(totalCents, 12),
+      this.alpha('', 39)
+    ].join(''));
+
+    while (records.length % BLOCKING_FACTOR !== 0) {
+      records.push('9'.repeat(RECORD_LENGTH));
+    }
+
+    const invalid = records.find(record => record.length !== RECORD_LENGTH);
+    if (invalid) {
+      throw new Error(`NACHA record has ${invalid.length} characters instead of ${RECORD_LENGTH}: ${invalid.slice(0, 1)}`);
+    }
+
+    return {
+      content: records.join('\r\n') + '\r\n',
+      fileName: `${batch.reference}.ach`
+    };
+  }
+
+  // ========== Returns ==========
+
+  detectReconciliation(content) {
+    const first = String(content).split(/\r?\n/)[0];
+    return first.length === RECORD_LENGTH && first.startsWith('101');
+  }
+
+  /**
+   * Returned entries, matched on the original trace number in the 99 addenda
+   * Notifications of change (98) do not settle anything and are skipped
+   */
+  parseReconciliation(content) {
+    const lines = String(content).split(/\r?\n/).filter(line => line.trim() !== '');
+    const entries = [];
+    let entry = null;
+    let settlementDate = null;
+
+    for (const line of lines) {
+      switch (line[0]) {
+        case '5':
+          settlementDate = line.slice(69, 75).trim();
+          break;
+        case '6':
+          entry = { amountCents: Number(line.slice(29, 39)), trace: line.slice(79, 94) };
+          break;
+        case '7':
+          if (entry && line.slice(1, 3) === '99') {
+            const reasonCode = line.slice(3, 6);
+            entries.push({
+              reference: line.slice(6, 21),
+              batchReference: null,
+              status: 'failed',
+              amount: entry.amountCents / 100,
+              currency: 'USD',
+              reasonCode,
+              reason: RETURN_REASONS[reasonCode] || line.slice(35, 79).trim() || 'Returned by the receiving bank',
+              bookingDate: /^\d{6}$/.test(settlementDate || '')
+                ? `20${settlementDate.slice(0, 2)}-${settlementDate.slice(2, 4)}-${settlementDate.slice(4, 6)}`
+                : null,
+              bankReference: entry.trace
+            });
+          }
+          entry = null;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = AchRail;
+module.exports.RETURN_REASONS = RETURN_REASONS;
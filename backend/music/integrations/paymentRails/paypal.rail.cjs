@@ -0,0 +1,90 @@
+/**
+ * PayPal Payment Rail
+ * Writes Payouts bulk-upload CSVs (recipient, amount, currency, reference,
+ * note, wallet; no header row). PayPal reports results through its own
+ * dashboard, so these batches are settled manually
+ */
+
+// Currencies PayPal Payouts can send
+const PAYPAL_CURRENCIES = [
+  'AUD', 'BRL', 'CAD', 'CZK', 'DKK', 'EUR', 'HKD', 'HUF', 'ILS', 'JPY', 'MXN', 'NOK',
+  'NZD', 'PHP', 'PLN', 'GBP', 'SGD', 'SEK', 'CHF', 'TWD', 'THB', 'USD'
+];
+
+// No decimal places in PayPal amounts for these currencies
+const ZERO_DECIMAL = ['HUF', 'JPY', 'TWD'];
+
+class PaypalRail {
+  constructor(options = {}) {
+    this.name = 'paypal';
+    this.fileFormat = 'paypal_payouts_csv';
+    this.reconciliationFormat = null;
+    this.mimeType = 'text/csv';
+    this.paymentMethods = ['paypal'];
+    this.currencies = PAYPAL_CURRENCIES;
+    this.maxItems = 15000;
+    this.note = options.note || 'Royalty payout';
+    this.feePercent = options.feePercent ?? 2;
+    this.fixedFee = options.fixedFee ?? 0.30;
+  }
+
+  accepts(payout) {
+    return this.paymentMethods.includes(payout.payment_method) && this.currencies.includes(payout.currency);
+  }
+
+  missingConfig() {
+    return [];
+  }
+
+  validatePayee(details = {}) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.recipient(details)) ? null : 'Valid PayPal email required';
+  }
+
+  recipient(details) {
+    return String(details.paypal_email || details.email || '').trim();
+  }
+
+  /**
+   * Fee PayPal charges the sender per payout, in cents of the payout currency
+   */
+  fee(amountCents, currency) {
+    const fee = Math.round(amountCents * this.feePercent / 100) + Math.round(this.fixedFee * 100);
+    // Whole units only in zero-decimal currencies
+    return ZERO_DECIMAL.includes(currency) ? Math.round(fee / 100) * 100 : fee;
+  }
+
+  referenceFor(batch, index) {
+    return `${batch.reference}-${index + 1}`;
+  }
+
+  formatAmount(cents, currency) {
+    return ZERO_DECIMAL.includes(currency) ? String(Math.round(cents / 100)) : (cents / 100).toFixed(2);
+  }
+
+  escapeCsv(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  buildFile(batch, items) {
+    const rows = items.map(item => [
+      this.recipient(item.details),
+      this.formatAmount(item.amountCents, item.currency),
+      item.currency,
+      item.reference,
+      this.note.slice(0, 4000),
+      'PAYPAL'
+    ].map(value => this.escapeCsv(value)).join(','));
+
+    return {
+      content: rows.join('\r\n') + '\r\n',
+      fileName: `${batch.reference}.csv`
+    };
+  }
+
+  detectReconciliation() {
+    return false;
+  }
+}
+
+module.exports = PaypalRail;
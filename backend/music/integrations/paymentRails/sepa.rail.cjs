@@ -0,0 +1,277 @@
+/**
+ * SEPA Payment Rail
+ * Writes EUR credit transfer batches as pain.001.001.03 and reads the bank's
+ * camt.054 debit/credit notifications back (bookings and returns)
+ */
+
+const { element, serializeXml, parseXml, findAll, findFirst, firstChild, textContent, textAt } = require('../../../utils/xml.util.cjs');
+
+const PAIN_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03';
+
+// Characters allowed in SEPA text fields (EPC Latin subset)
+const TRANSLITERATIONS = { 'ł': 'l', 'Ł': 'L', 'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'ø': 'o', 'Ø': 'O', 'đ': 'd', 'Đ': 'D', '&': '+' };
+
+// ISO 20022 external return reasons seen on SEPA credit transfers
+const RETURN_REASONS = {
+  AC01: 'Incorrect account number',
+  AC04: 'Account closed',
+  AC06: 'Account blocked',
+  AG01: 'Transaction forbidden on this account',
+  AM05: 'Duplicate payment',
+  BE04: 'Creditor address missing or incorrect',
+  MD07: 'Account holder deceased',
+  MS02: 'Refused by the creditor',
+  MS03: 'Reason not specified by the bank',
+  RC01: 'Bank identifier incorrect',
+  RR01: 'Regulatory reason: debtor account or identification missing',
+  FOCR: 'Returned following a cancellation request'
+};
+
+class SepaRail {
+  constructor(originator = {}) {
+    this.name = 'sepa';
+    this.fileFormat = 'pain.001.001.03';
+    this.reconciliationFormat = 'camt.054';
+    this.mimeType = 'application/xml';
+    this.paymentMethods = ['bank_transfer', 'sepa'];
+    this.currencies = ['EUR'];
+    this.maxItems = 9999;
+    this.originator = originator;
+  }
+
+  accepts(payout) {
+    const details = payout.payment_details || {};
+    return this.paymentMethods.includes(payout.payment_method)
+      && this.currencies.includes(payout.currency)
+      && Boolean(details.iban);
+  }
+
+  /**
+   * Bank charge per credit transfer, in cents
+   */
+  fee() {
+    return Math.round((Number(this.originator.itemFee) || 0) * 100);
+  }
+
+  /**
+   * Originator settings the file cannot be written without
+   */
+  missingConfig() {
+    const missing = [];
+    if (!this.originator.debtorName) missing.push('PAYOUT_SEPA_DEBTOR_NAME');
+    if (!this.isValidIban(this.originator.debtorIban)) missing.push('PAYOUT_SEPA_DEBTOR_IBAN');
+    return missing;
+  }
+
+  /**
+   * Problem with the payee's account details, or null when they can be paid
+   */
+  validatePayee(details = {}) {
+    if (!this.isValidIban(details.iban)) return 'Invalid IBAN';
+    if (details.bic && !this.isValidBic(details.bic)) return 'Invalid BIC';
+    if (!this.payeeName(details)) return 'Account holder name required';
+    return null;
+  }
+
+  payeeName(details) {
+    return this.text(details.account_holder_name || details.account_holder || details.name, 70);
+  }
+
+  referenceFor(batch, index) {
+    return `${batch.reference}-${index + 1}`;
+  }
+
+  normalizeIban(iban) {
+    return String(iban || '').replace(/\s+/g, '').toUpperCase();
+  }
+
+  /**
+   * ISO 13616 check: country + check digits moved to the end, letters as numbers, mod 97 = 1
+   */
+  isValidIban(iban) {
+    const value = this.normalizeIban(iban);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+
+    const numeric = (value.slice(4) + value.slice(0, 4))
+      .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+    let remainder = 0;
+    for (let i = 0; i < numeric.length; i += 7) {
+      remainder = Number(String(remainder) + numeric.slice(i, i + 7)) % 97;
+    }
+    return remainder === 1;
+  }
+
+  isValidBic(bic) {
+    return /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(String(bic || '').replace(/\s+/g, '').toUpperCase());
+  }
+
+  text(value, maxLength) {
+    return String(value || '')
+      .replace(/[łŁßæÆøØđĐ&]/g, char => TRANSLITERATIONS[char])
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  formatAmount(cents) {
+    return (cents / 100).toFixed(2);
+  }
+
+  // ========== pain.001 ==========
+
+  /**
+   * One payment information block for the whole batch, one transaction per payout
+   * batch: { reference, executionDate, createdAt }; items: [{ reference, amountCents, details, remittance }]
+   */
+  buildFile(batch, items) {
+    const totalCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+    const controlSum = this.formatAmount(totalCents);
+    const createdAt = batch.createdAt.toISOString().slice(0, 19);
+
+    const initiatingParty = element('InitgPty', {}, [
+      element('Nm', {}, this.text(this.originator.debtorName, 70)),
+      this.originator.initiatingPartyId && element('Id', {}, [
+        element('OrgId', {}, [
+          element('Othr', {}, [element('Id', {}, this.text(this.originator.initiatingPartyId, 35))])
+        ])
+      ])
+    ]);
+
+    const transactions = items.map(item => element('CdtTrfTxInf', {}, [
+      element('PmtId', {}, [element('EndToEndId', {}, item.reference)]),
+      element('Amt', {}, [element('InstdAmt', { Ccy: 'EUR' }, this.formatAmount(item.amountCents))]),
+      item.details.bic && element('CdtrAgt', {}, [
+        element('FinInstnId', {}, [element('BIC', {}, String(item.details.bic).replace(/\s+/g, '').toUpperCase())])
+      ]),
+      element('Cdtr', {}, [element('Nm', {}, this.payeeName(item.details))]),
+      element('CdtrAcct', {}, [element('Id', {}, [element('IBAN', {}, this.normalizeIban(item.details.iban))])]),
+      element('RmtInf', {}, [element('Ustrd', {}, this.text(item.remittance, 140))])
+    ]));
+
+    const document = element('Document', { xmlns: PAIN_NAMESPACE }, [
+      element('CstmrCdtTrfInitn', {}, [
+        element('GrpHdr', {}, [
+          element('MsgId', {}, batch.reference),
+          element('CreDtTm', {}, createdAt),
+          element('NbOfTxs', {}, items.length),
+          element('CtrlSum', {}, controlSum),
+          initiatingParty
+        ]),
+        element('PmtInf', {}, [
+          element('PmtInfId', {}, batch.reference),
+          element('PmtMtd', {}, 'TRF'),
+          element('BtchBookg', {}, 'true'),
+          element('NbOfTxs', {}, items.length),
+          element('CtrlSum', {}, controlSum),
+          element('PmtTpInf', {}, [element('SvcLvl', {}, [element('Cd', {}, 'SEPA')])]),
+          element('ReqdExctnDt', {}, batch.executionDate),
+          element('Dbtr', {}, [element('Nm', {}, this.text(this.originator.debtorName, 70))]),
+          element('DbtrAcct', {}, [element('Id', {}, [element('IBAN', {}, this.normalizeIban(this.originator.debtorIban))])]),
+          element('DbtrAgt', {}, [
+            element('FinInstnId', {}, this.originator.debtorBic
+              ? [element('BIC', {}, this.originator.debtorBic)]
+              : [element('Othr', {}, [element('Id', {}, 'NOTPROVIDED')])])
+          ]),
+          element('ChrgBr', {}, 'SLEV'),
+          transactions
+        ])
+      ])
+    ]);
+
+    return {
+      content: serializeXml(document),
+      fileName: `${batch.reference}.xml`
+    };
+  }
+
+  // ========== camt.054 ==========
+
+  detectReconciliation(content) {
+    return /<(\w+:)?BkToCstmrDbtCdtNtfctn[\s>]/.test(content);
+  }
+
+  /**
+   * Booked entries as [{ reference, batchReference, status, amount, currency, reasonCode, reason, bookingDate, bankReference }]
+   * Outgoing bookings complete a payout; returns (RtrInf or the RRTN
+   * transaction code) fail it. Batch-booked entries without transaction
+   * details carry only the PmtInfId (our batch reference)
+   */
+  parseReconciliation(content) {
+    let document;
+    try {
+      document = parseXml(content);
+    } catch (error) {
+      throw new Error(`Invalid camt.054 file: ${error.message}`);
+    }
+
+    const entries = [];
+
+    for (const entry of findAll(document, 'Ntry')) {
+      const status = textAt(entry, 'Sts/Cd') || textAt(entry, 'Sts');
+      if (status !== 'BOOK') continue;
+
+      const direction = textAt(entry, 'CdtDbtInd');
+      const entryAmount = firstChild(entry, 'Amt');
+      const bookingDate = textAt(entry, 'BookgDt/Dt') || (textAt(entry, 'BookgDt/DtTm') || '').slice(0, 10) || null;
+      const bankReference = textAt(entry, 'AcctSvcrRef');
+      const isReturnCode = textAt(entry, 'BkTxCd/Domn/Fmly/SubFmlyCd') === 'RRTN';
+      const transactions = findAll(entry, 'TxDtls');
+
+      if (transactions.length === 0) {
+        const batchReference = textAt(findFirst(entry, 'Btch') || {}, 'PmtInfId');
+        if (batchReference && direction === 'DBIT') {
+          entries.push({
+            reference: null,
+            batchReference,
+            status: 'completed',
+            amount: entryAmount ? Number(textContent(entryAmount)) : null,
+            currency: entryAmount ? entryAmount.attributes.Ccy : null,
+            reasonCode: null,
+            reason: null,
+            bookingDate,
+            bankReference
+          });
+        }
+        continue;
+      }
+
+      for (const transaction of transactions) {
+        const reference = textAt(transaction, 'Refs/EndToEndId');
+        const returnInfo = firstChild(transaction, 'RtrInf');
+        const failed = Boolean(returnInfo) || isReturnCode;
+
+        if (!reference || reference === 'NOTPROVIDED') continue;
+        // Incoming credits other than returns are not payouts
+        if (!failed && direction !== 'DBIT') continue;
+
+        const amountNode = findFirst(firstChild(transaction, 'AmtDtls') || {}, 'Amt')
+          || firstChild(transaction, 'Amt')
+          || (transactions.length === 1 ? entryAmount : null);
+        const reasonCode = returnInfo ? textAt(returnInfo, 'Rsn/Cd') : null;
+
+        entries.push({
+          reference,
+          batchReference: textAt(transaction, 'Refs/PmtInfId'),
+          status: failed ? 'failed' : 'completed',
+          amount: amountNode ? Number(textContent(amountNode)) : null,
+          currency: amountNode ? amountNode.attributes.Ccy : null,
+          reasonCode,
+          reason: failed
+            ? (returnInfo && textAt(returnInfo, 'AddtlInf')) || RETURN_REASONS[reasonCode] || 'Returned by the beneficiary bank'
+            : null,
+          bookingDate,
+          bankReference: textAt(transaction, 'Refs/AcctSvcrRef') || bankReference
+        });
+      }
+    }
+
+    return entries;
+  }
+}
+
+module.exports = SepaRail;
+module.exports.RETURN_REASONS = RETURN_REASONS;
@@ -0,0 +1,197 @@
+/**
+ * IRS FIRE Filing
+ * Writes 1099-MISC and 1099-NEC information returns in the fixed-width format
+ * of IRS Publication 1220: 750-byte T, A, B, C and F records, one A/B.../C
+ * group per return type
+ */
+
+const RECORD_LENGTH = 750;
+
+// Amount code order of the B record payment amounts and C record control totals
+const AMOUNT_CODES = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J'];
+
+// Type of return (A record 26-27)
+const RETURN_TYPES = { MISC: 'A', NEC: 'NE' };
+
+// Type of TIN (B record 11): 1 = EIN, 2 = SSN/ITIN
+const TIN_TYPES = { EIN: '1', SSN: '2', ITIN: '2' };
+
+class FireFiling {
+  /**
+   * transmitter: { tin, tcc, name, address, city, state, zip, contactName, contactPhone, contactEmail }
+   * payer: { tin, name, address, city, state, zip, phone }
+   */
+  constructor({ transmitter = {}, payer = {}, test = false } = {}) {
+    this.transmitter = transmitter;
+    this.payer = payer;
+    this.test = test;
+  }
+
+  missingConfig() {
+    const missing = [];
+    if (!/^\d{9}$/.test(String(this.payer.tin || ''))) missing.push('TAX_PAYER_TIN');
+    if (!this.payer.name) missing.push('TAX_PAYER_NAME');
+    if (!this.payer.address || !this.payer.city || !this.payer.state || !this.payer.zip) missing.push('TAX_PAYER_ADDRESS');
+    if (!/^[A-Z0-9]{5}$/i.test(String(this.transmitter.tcc || ''))) missing.push('TAX_FIRE_TCC');
+    if (!this.transmitter.contactName || !this.transmitter.contactPhone) missing.push('TAX_FIRE_CONTACT_NAME');
+    return missing;
+  }
+
+  text(value, length) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9 &,.'/#-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toUpperCase()
+      .slice(0, length);
+  }
+
+  digits(value) {
+    return String(value || '').replace(/\D/g, '');
+  }
+
+  /**
+   * fields: [[start (1-based), length, value, numeric]]
+   */
+  record(fields) {
+    const chars = Array(RECORD_LENGTH - 2).fill(' ');
+
+    for (const [start, length, value, numeric] of fields) {
+      const formatted = numeric
+        ? String(Math.round(value || 0)).padStart(length, '0').slice(-length)
+        : String(value ?? '').slice(0, length).padEnd(length, ' ');
+      for (let i = 0; i < length; i++) {
+        chars[start - 1 + i] = formatted[i];
+      }
+    }
+
+    return chars.join('');
+  }
+
+  /**
+   * Name control: first four characters of an individual's (or sole proprietor's)
+   * surname, or of an entity's legal name without a leading "The"
+   */
+  nameControl(payee) {
+    const words = this.text(payee.name, 80).replace(/[^A-Z0-9& -]/g, '').split(' ').filter(Boolean);
+    const individual = ['individual', 'sole_proprietor'].includes(payee.entityType || 'individual');
+
+    const source = individual
+      ? words[words.length - 1] || ''
+      : (words.length > 1 && words[0] === 'THE' ? words.slice(1) : words).join('');
+    return source.replace(/[^A-Z0-9&-]/g, '').slice(0, 4);
+  }
+
+  zip(value) {
+    return this.digits(value).slice(0, 9);
+  }
+
+  /**
+   * year: payment year; returns: [{ formType: 'MISC' | 'NEC', payees: [{ tin, tinType, name,
+   * businessName, entityType, accountNumber, address, city, state, zip, amounts: { code: cents } }] }]
+   */
+  build(year, returns) {
+    const groups = returns.filter(group => group.payees.length > 0);
+    const records = [];
+    const sequence = () => records.length + 1;
+    const totalPayees = groups.reduce((sum, group) => sum + group.payees.length, 0);
+    const transmitter = this.transmitter;
+    const payer = this.payer;
+
+    records.push(this.record([
+      [1, 1, 'T'],
+      [2, 4, year, true],
+      [7, 9, this.digits(transmitter.tin || payer.tin)],
+      [16, 5, String(transmitter.tcc || '').toUpperCase()],
+      [28, 1, this.test ? 'T' : ''],
+      [30, 40, this.text(transmitter.name || payer.name, 40)],
+      [110, 40, this.text(transmitter.name || payer.name, 40)],
+      [190, 40, this.text(transmitter.address || payer.address, 40)],
+      [230, 40, this.text(transmitter.city || payer.city, 40)],
+      [270, 2, this.text(transmitter.state || payer.state, 2)],
+      [272, 9, this.zip(transmitter.zip || payer.zip)],
+      [296, 8, totalPayees, true],
+      [304, 40, this.text(transmitter.contactName, 40)],
+      [344, 15, this.digits(transmitter.contactPhone).slice(0, 15)],
+      [359, 50, String(transmitter.contactEmail || '').slice(0, 50)],
+      [500, 8, sequence(), true],
+      [518, 1, 'I']
+    ]));
+
+    for (const group of groups) {
+      const codes = AMOUNT_CODES.filter(code => group.payees.some(payee => (payee.amounts[code] || 0) !== 0));
+      const totals = {};
+
+      records.push(this.record([
+        [1, 1, 'A'],
+        [2, 4, year, true],
+        [12, 9, this.digits(payer.tin)],
+        [26, 2, RETURN_TYPES[group.formType]],
+        [28, 18, codes.join('')],
+        [53, 40, this.text(payer.name, 40)],
+        [133, 1, '0'],
+        [134, 40, this.text(payer.address, 40)],
+        [174, 40, this.text(payer.city, 40)],
+        [214, 2, this.text(payer.state, 2)],
+        [216, 9, this.zip(payer.zip)],
+        [225, 15, this.digits(payer.phone).slice(0, 15)],
+        [500, 8, sequence(), true]
+      ]));
+
+      for (const payee of group.payees) {
+        const amountFields = AMOUNT_CODES.map((code, index) => {
+          const cents = codes.includes(code) ? payee.amounts[code] || 0 : 0;
+          totals[code] = (totals[code] || 0) + cents;
+          return [55 + index * 12, 12, cents, true];
+        });
+        const tin = this.digits(payee.tin);
+
+        records.push(this.record([
+          [1, 1, 'B'],
+          [2, 4, year, true],
+          [7, 4, this.nameControl(payee)],
+          [11, 1, tin ? TIN_TYPES[payee.tinType] || '' : ''],
+          [12, 9, tin.length === 9 ? tin : ''],
+          [21, 20, String(payee.accountNumber || '').replace(/-/g, '').slice(0, 20)],
+          ...amountFields,
+          [288, 40, this.text(payee.name, 40)],
+          [328, 40, this.text(payee.businessName, 40)],
+          [368, 40, this.text([payee.address, payee.address2].filter(Boolean).join(' '), 40)],
+          [448, 40, this.text(payee.city, 40)],
+          [488, 2, this.text(payee.state, 2)],
+          [490, 9, this.zip(payee.zip)],
+          [500, 8, sequence(), true],
+          [723, 12, 0, true],
+          [735, 12, 0, true]
+        ]));
+      }
+
+      records.push(this.record([
+        [1, 1, 'C'],
+        [2, 8, group.payees.length, true],
+        ...AMOUNT_CODES.map((code, index) => [16 + index * 18, 18, totals[code] || 0, true]),
+        [500, 8, sequence(), true]
+      ]));
+    }
+
+    records.push(this.record([
+      [1, 1, 'F'],
+      [2, 8, groups.length, true],
+      [10, 21, 0, true],
+      [50, 8, totalPayees, true],
+      [500, 8, sequence(), true]
+    ]));
+
+    return {
+      content: records.join('\r\n') + '\r\n',
+      fileName: `IRS-1099-${year}${this.test ? '-TEST' : ''}.txt`,
+      recordCount: records.length,
+      payeeCount: totalPayees
+    };
+  }
+}
+
+module.exports = FireFiling;
+module.exports.AMOUNT_CODES = AMOUNT_CODES;
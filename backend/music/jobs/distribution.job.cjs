@@ -8,6 +8,9 @@ const logger = require('../../config/logger.cjs');
 const ReleaseService = require('../services/release.service.cjs');
 const ChannelService = require('../services/channel.service.cjs');
 const NotificationService = require('../services/notifications.service.cjs');
+const JobQueue = require('./jobQueue.cjs');
+const ArtworkService = require('../services/artwork.service.cjs');
+const CodeRegistryService = require('../services/codeRegistry.service.cjs');
 
 class DistributionJob {
   constructor() {
@@ -16,11 +19,6 @@ class DistributionJob {
     this.retryDelay = 5 * 60 * 1000; // 5 minutes
     this.timeoutMs = 30 * 60 * 1000; // 30 minutes per platform
     
-    // Job status tracking
-    this.activeJobs = new Map();
-    this.jobQueue = [];
-    this.isProcessing = false;
-    
     // Distribution priorities
     this.priorities = {
       urgent: 1,
@@ -39,6 +37,17 @@ class DistributionJob {
       'tidal',
       'deezer'
     ];
+
+    // Durable queue: job state lives in background_jobs and survives restarts
+    this.queue = new JobQueue(this.jobName, {
+      idPrefix: 'dist',
+      handler: this.processDistributionJob.bind(this),
+      maxAttempts: this.maxRetries,
+      retryDelay: this.retryDelay,
+      timeoutMs: this.timeoutMs,
+      isRetryable: this.isRetryableError.bind(this),
+      onFailed: this.sendFailureNotification.bind(this)
+    });
   }
 
   // ========== Job Queue Management ==========
@@ -46,44 +55,35 @@ class DistributionJob {
   /**
    * Add distribution job to queue
    */
-  async addDistributionJob(jobData, priority = 'normal') {
+  async addDistributionJob(jobData, priority = 'normal', options = {}) {
     try {
-      const jobId = this.generateJobId();
-      const job = {
-        id: jobId,
-        type: 'distribution',
-        priority: this.priorities[priority] || this.priorities.normal,
-        data: jobData,
-        status: 'queued',
-        attempts: 0,
-        created_at: new Date().toISOString(),
-        scheduled_for: jobData.scheduled_for || new Date().toISOString(),
-        timeout_at: new Date(Date.now() + this.timeoutMs).toISOString()
-      };
-
       // Validate job data
       this.validateDistributionJobData(jobData);
 
-      // Add to queue with priority ordering
-      this.insertJobByPriority(job);
-      
+      const job = await this.queue.enqueue(jobData, {
+        jobId: this.generateJobId(),
+        priority: this.priorities[priority] || this.priorities.normal,
+        runAt: jobData.scheduled_for,
+        // Timeout budget grows with the number of platforms
+        timeoutMs: this.timeoutMs * jobData.platforms.length,
+        batchId: options.batchId,
+        createdBy: options.userId || jobData.user_id || null
+      });
+
       logger.info('Distribution job added to queue', {
-        jobId,
+        jobId: job.id,
         releaseId: jobData.release_id,
         platforms: jobData.platforms,
         priority
       });
 
-      // Start processing if not already running
-      if (!this.isProcessing) {
-        this.processQueue();
-      }
+      const queuePosition = await this.queue.getQueuePosition(job);
 
       return {
-        jobId,
+        jobId: job.id,
         status: 'queued',
-        estimatedStartTime: this.estimateStartTime(job),
-        queuePosition: this.getQueuePosition(jobId)
+        estimatedStartTime: this.estimateStartTime(job, queuePosition),
+        queuePosition
       };
     } catch (error) {
       logger.error('Failed to add distribution job', { error: error.message, jobData });
@@ -92,62 +92,52 @@ class DistributionJob {
   }
 
   /**
-   * Process job queue
+   * Queue one distribution job per release under a shared batch ID
    */
-  async processQueue() {
-    if (this.isProcessing) return;
-    
-    this.isProcessing = true;
-    logger.info('Starting distribution job queue processing');
-
-    try {
-      while (this.jobQueue.length > 0) {
-        // Get next job (highest priority first)
-        const job = this.jobQueue.shift();
-        
-        // Check if job is scheduled for future
-        if (new Date(job.scheduled_for) > new Date()) {
-          // Re-add to queue and wait
-          this.insertJobByPriority(job);
-          await this.sleep(60000); // Check again in 1 minute
-          continue;
-        }
+  async addBulkDistributionJob(releaseIds, platforms, settings = {}, options = {}) {
+    if (!Array.isArray(releaseIds) || releaseIds.length === 0) {
+      throw new Error('Release IDs must be a non-empty array');
+    }
 
-        // Check for timeout
-        if (new Date() > new Date(job.timeout_at)) {
-          await this.handleJobTimeout(job);
-          continue;
-        }
+    const batchId = `bulk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const jobs = [];
 
-        await this.processDistributionJob(job);
-      }
-    } catch (error) {
-      logger.error('Error processing job queue', { error: error.message });
-    } finally {
-      this.isProcessing = false;
-      logger.info('Distribution job queue processing completed');
+    for (const releaseId of releaseIds) {
+      jobs.push(await this.addDistributionJob(
+        { release_id: releaseId, platforms, settings, scheduled_for: options.scheduledFor },
+        options.priority || 'batch',
+        { batchId, userId: options.userId }
+      ));
     }
+
+    return { batchId, status: 'queued', jobs };
   }
 
   /**
-   * Process individual distribution job
+   * Start claiming distribution jobs in this process
    */
-  async processDistributionJob(job) {
+  start() {
+    this.queue.start();
+  }
+
+  async stop(graceMs) {
+    await this.queue.stop(graceMs);
+  }
+
+  /**
+   * Process individual distribution job (queue handler)
+   */
+  async processDistributionJob(job, context) {
     const startTime = Date.now();
-    this.activeJobs.set(job.id, job);
 
     try {
       logger.info('Processing distribution job', {
         jobId: job.id,
         releaseId: job.data.release_id,
-        platforms: job.data.platforms
+        platforms: job.data.platforms,
+        attempt: job.attempts
       });
 
-      // Update job status
-      job.status = 'processing';
-      job.started_at = new Date().toISOString();
-      job.attempts += 1;
-
       // Get release data
       const release = await ReleaseService.findById(job.data.release_id);
       if (!release) {
@@ -160,9 +150,18 @@ class DistributionJob {
         throw new Error(`Release validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Process each platform
+      // Process each platform; platforms delivered by an interrupted attempt are not resubmitted
       const results = {};
       for (const platform of this.getOrderedPlatforms(job.data.platforms)) {
+        const previous = job.progress[platform];
+        if (previous?.status === 'completed' && previous.result) {
+          results[platform] = previous.result;
+          continue;
+        }
+
+        // Cancellation takes effect between platforms
+        context.throwIfCancelled();
+
         try {
           logger.info('Distributing to platform', {
             jobId: job.id,
@@ -182,7 +181,7 @@ class DistributionJob {
           };
 
           // Update job progress
-          await this.updateJobProgress(job, platform, 'completed');
+          await this.updateJobProgress(job, platform, 'completed', results[platform]);
 
         } catch (platformError) {
           logger.error('Platform distribution failed', {
@@ -197,20 +196,15 @@ class DistributionJob {
             retry_possible: this.isRetryableError(platformError)
           };
 
-          await this.updateJobProgress(job, platform, 'failed');
+          await this.updateJobProgress(job, platform, 'failed', results[platform]);
         }
       }
 
       // Complete job
-      await this.completeDistributionJob(job, results);
-
-    } catch (error) {
-      await this.handleJobError(job, error);
+      return await this.completeDistributionJob(job, results);
     } finally {
-      this.activeJobs.delete(job.id);
-      
       const duration = Date.now() - startTime;
-      logger.info('Distribution job completed', {
+      logger.info('Distribution job finished', {
         jobId: job.id,
         duration: `${duration}ms`,
         status: job.status
@@ -270,7 +264,7 @@ class DistributionJob {
     const audioFiles = await this.prepareAudioFiles(release, requirements);
     
     // Prepare artwork
-    const artwork = await this.prepareArtwork(release, requirements);
+    const artwork = await this.prepareArtwork(release, requirements, platform);
     
     return {
       release_info: {
@@ -308,14 +302,15 @@ class DistributionJob {
   /**
    * Update job progress
    */
-  async updateJobProgress(job, platform, status) {
+  async updateJobProgress(job, platform, status, result = null) {
     if (!job.progress) {
       job.progress = {};
     }
 
     job.progress[platform] = {
       status,
-      updated_at: new Date().toISOString()
+      updated_at: new Date().toISOString(),
+      ...(result && { result })
     };
 
     // Calculate overall progress
@@ -326,12 +321,14 @@ class DistributionJob {
 
     job.progress_percentage = Math.round((completedPlatforms / totalPlatforms) * 100);
 
+    await this.queue.updateProgress(job.id, job.progress, job.progress_percentage);
+
     // Send progress update notification
     await this.sendProgressNotification(job);
   }
 
   /**
-   * Complete distribution job
+   * Complete distribution job; returns the final state for the queue
    */
   async completeDistributionJob(job, results) {
     const successCount = Object.values(results).filter(r => r.status === 'success').length;
@@ -348,67 +345,26 @@ class DistributionJob {
     // Update release distribution status
     await this.updateReleaseDistributionStatus(job.data.release_id, results);
 
+    // Delivered ISRCs/UPCs are public now and must never be cancelled or reissued
+    if (successCount > 0) {
+      try {
+        await CodeRegistryService.markReleaseCodesUsed(job.data.release_id);
+      } catch (error) {
+        logger.warn('Could not mark release codes as used', { releaseId: job.data.release_id, error: error.message });
+      }
+    }
+
     logger.info('Distribution job completed', {
       jobId: job.id,
       status: job.status,
       successRate: job.success_rate,
       results: Object.keys(results)
     });
-  }
-
-  /**
-   * Handle job error
-   */
-  async handleJobError(job, error) {
-    logger.error('Distribution job error', {
-      jobId: job.id,
-      attempt: job.attempts,
-      error: error.message
-    });
 
-    if (job.attempts < this.maxRetries && this.isRetryableError(error)) {
-      // Retry job
-      job.status = 'retrying';
-      job.retry_at = new Date(Date.now() + this.retryDelay).toISOString();
-      job.last_error = error.message;
-
-      // Re-add to queue for retry
-      setTimeout(() => {
-        this.insertJobByPriority(job);
-        if (!this.isProcessing) {
-          this.processQueue();
-        }
-      }, this.retryDelay);
-
-      logger.info('Distribution job scheduled for retry', {
-        jobId: job.id,
-        retryAt: job.retry_at,
-        attempt: job.attempts
-      });
-    } else {
-      // Job failed permanently
-      job.status = 'failed';
-      job.failed_at = new Date().toISOString();
-      job.error = error.message;
-
-      await this.sendFailureNotification(job, error);
-    }
-  }
-
-  /**
-   * Handle job timeout
-   */
-  async handleJobTimeout(job) {
-    logger.warn('Distribution job timed out', {
-      jobId: job.id,
-      timeoutAt: job.timeout_at
-    });
-
-    job.status = 'timeout';
-    job.failed_at = new Date().toISOString();
-    job.error = 'Job execution timed out';
-
-    await this.sendFailureNotification(job, new Error('Job timeout'));
+    return {
+      status: job.status,
+      result: { ...results, success_rate: job.success_rate }
+    };
   }
 
   // ========== Job Scheduling and Management ==========
@@ -431,79 +387,95 @@ class DistributionJob {
    * Cancel distribution job
    */
   async cancelDistributionJob(jobId, reason = 'User cancelled') {
-    // Remove from queue if not started
-    const queueIndex = this.jobQueue.findIndex(job => job.id === jobId);
-    if (queueIndex !== -1) {
-      const job = this.jobQueue.splice(queueIndex, 1)[0];
-      job.status = 'cancelled';
-      job.cancelled_at = new Date().toISOString();
-      job.cancellation_reason = reason;
+    const { status } = await this.queue.cancel(jobId, reason);
 
+    if (status === 'cancelled') {
       logger.info('Distribution job cancelled', { jobId, reason });
-      return { status: 'cancelled', message: 'Job removed from queue' };
+      return { status, message: 'Job removed from queue' };
     }
 
-    // Check if job is currently processing
-    const activeJob = this.activeJobs.get(jobId);
-    if (activeJob) {
-      activeJob.status = 'cancelling';
-      activeJob.cancellation_reason = reason;
-      
+    if (status === 'cancelling') {
       logger.info('Distribution job marked for cancellation', { jobId, reason });
-      return { status: 'cancelling', message: 'Job will be cancelled after current platform' };
+      return { status, message: 'Job will be cancelled after current platform' };
     }
 
-    return { status: 'not_found', message: 'Job not found in queue or active jobs' };
+    if (status === 'not_found') {
+      return { status, message: 'Job not found' };
+    }
+
+    return { status, message: `Job already ${status}` };
   }
 
   /**
    * Get job status
    */
   async getJobStatus(jobId) {
-    // Check active jobs
-    const activeJob = this.activeJobs.get(jobId);
-    if (activeJob) {
-      return {
-        ...activeJob,
-        queue_position: null,
-        estimated_completion: this.estimateCompletionTime(activeJob)
-      };
-    }
+    const job = await this.queue.get(jobId);
+    if (!job) return null;
 
-    // Check queue
-    const queuedJob = this.jobQueue.find(job => job.id === jobId);
-    if (queuedJob) {
+    if (job.status === 'processing' || job.status === 'cancelling') {
       return {
-        ...queuedJob,
-        queue_position: this.getQueuePosition(jobId),
-        estimated_start: this.estimateStartTime(queuedJob)
+        ...job,
+        queue_position: null,
+        estimated_completion: this.estimateCompletionTime(job)
       };
     }
 
-    return null;
+    const queuePosition = await this.queue.getQueuePosition(job);
+    return {
+      ...job,
+      queue_position: queuePosition,
+      ...(queuePosition && { estimated_start: this.estimateStartTime(job, queuePosition) })
+    };
   }
 
   /**
-   * Get all jobs for release
+   * Get status of a bulk operation: a batch ID or a single job ID
    */
-  async getReleaseJobs(releaseId) {
-    const jobs = [];
+  async getBulkOperationStatus(operationId) {
+    const jobs = operationId.startsWith('bulk_')
+      ? await this.queue.list({ batchId: operationId, limit: 1000 })
+      : [await this.queue.get(operationId)].filter(Boolean);
 
-    // Add active jobs
-    for (const job of this.activeJobs.values()) {
-      if (job.data.release_id === releaseId) {
-        jobs.push(job);
-      }
-    }
+    if (jobs.length === 0) return null;
 
-    // Add queued jobs
-    for (const job of this.jobQueue) {
-      if (job.data.release_id === releaseId) {
-        jobs.push(job);
-      }
+    const counts = {};
+    for (const job of jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
     }
 
-    return jobs.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    const finished = jobs.filter(job => !['queued', 'retrying', 'processing', 'cancelling'].includes(job.status)).length;
+    const progress = jobs.reduce((sum, job) => sum + (job.progress_percentage || 0), 0) / jobs.length;
+
+    return {
+      id: operationId,
+      status: finished === jobs.length ? 'finished' : 'in_progress',
+      total_jobs: jobs.length,
+      finished_jobs: finished,
+      status_counts: counts,
+      progress_percentage: Math.round(progress),
+      created_by: jobs[0].created_by,
+      created_at: jobs.reduce((earliest, job) => (job.created_at < earliest ? job.created_at : earliest), jobs[0].created_at),
+      jobs: jobs.map(job => ({
+        id: job.id,
+        release_id: job.data.release_id,
+        platforms: job.data.platforms,
+        status: job.status,
+        attempts: job.attempts,
+        progress_percentage: job.progress_percentage,
+        results: job.results,
+        error: job.error,
+        retry_at: job.retry_at,
+        completed_at: job.completed_at || job.failed_at || job.cancelled_at
+      }))
+    };
+  }
+
+  /**
+   * Get all jobs for release
+   */
+  async getReleaseJobs(releaseId) {
+    return await this.queue.list({ data: { release_id: releaseId } });
   }
 
   // ========== Helper Methods ==========
@@ -531,24 +503,6 @@ class DistributionJob {
     return `dist_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  /**
-   * Insert job by priority
-   */
-  insertJobByPriority(job) {
-    let inserted = false;
-    for (let i = 0; i < this.jobQueue.length; i++) {
-      if (job.priority < this.jobQueue[i].priority) {
-        this.jobQueue.splice(i, 0, job);
-        inserted = true;
-        break;
-      }
-    }
-    
-    if (!inserted) {
-      this.jobQueue.push(job);
-    }
-  }
-
   /**
    * Get ordered platforms for processing
    */
@@ -561,6 +515,9 @@ class DistributionJob {
    * Check if error is retryable
    */
   isRetryableError(error) {
+    // Platforms delivered before the timeout are skipped when the job resumes
+    if (error instanceof JobQueue.JobTimeoutError) return true;
+
     const retryableErrors = [
       'network timeout',
       'connection refused',
@@ -578,26 +535,12 @@ class DistributionJob {
   /**
    * Estimate start time for job
    */
-  estimateStartTime(job) {
-    const position = this.getQueuePosition(job.id);
+  estimateStartTime(job, queuePosition) {
     const avgJobTime = 10 * 60 * 1000; // 10 minutes average
-    const estimatedDelay = position * avgJobTime;
-    
-    return new Date(Date.now() + estimatedDelay);
-  }
-
-  /**
-   * Get queue position
-   */
-  getQueuePosition(jobId) {
-    return this.jobQueue.findIndex(job => job.id === jobId) + 1;
-  }
+    const estimatedDelay = Math.max(0, (queuePosition || 1) - 1) * avgJobTime;
+    const startTime = Math.max(Date.now() + estimatedDelay, new Date(job.run_at).getTime() || 0);
 
-  /**
-   * Sleep utility
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Date(startTime);
   }
 
   // ========== Notification Methods ==========
@@ -692,13 +635,16 @@ class DistributionJob {
     return [];
   }
 
-  async prepareArtwork(releaseData, reqData) {
-    // Prepare artwork according to platform requirements
+  async prepareArtwork(releaseData, reqData, platform) {
+    // Deliver the variant rendered for this platform when the cover was uploaded
+    const artwork = ArtworkService.getPlatformArtwork(releaseData.artwork, platform);
     logger.info('Preparing artwork', { 
       release: releaseData.release_id, 
+      platform,
+      variant: artwork ? `${artwork.width}x${artwork.height}` : null,
       requirements: Object.keys(reqData).length 
     });
-    return {};
+    return artwork || {};
   }
 
   async validateReleaseForDistribution(releaseData) {
@@ -0,0 +1,541 @@
+/**
+ * Job Queue - Durable Background Job Queue
+ * Postgres-backed queue shared by the music background jobs (background_jobs table)
+ * Provides priorities, delayed runs, retries with backoff, timeouts, cancellation and worker leasing
+ */
+
+const os = require('os');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+
+const WAITING_STATUSES = ['queued', 'retrying'];
+
+class JobCancelledError extends Error {
+  constructor(reason) {
+    super(reason || 'Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Job execution timed out after ${Math.round(timeoutMs / 1000)}s`);
+    this.name = 'JobTimeoutError';
+  }
+}
+
+class JobQueue {
+  /**
+   * @param {string} queueName - background_jobs.queue value
+   * @param {Object} options
+   * @param {Function} options.handler - async (job, context) => ({ status, result })
+   * @param {Function} [options.isRetryable] - (error) => boolean, defaults to retrying every error
+   * @param {Function} [options.onFailed] - async (job, error) called once a job fails for good
+   */
+  constructor(queueName, options = {}) {
+    this.queueName = queueName;
+    this.idPrefix = options.idPrefix || queueName;
+    this.handler = options.handler;
+    this.isRetryable = options.isRetryable || (() => true);
+    this.onFailed = options.onFailed || null;
+
+    this.concurrency = options.concurrency || 1;
+    this.pollInterval = options.pollInterval || 5000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.timeoutMs = options.timeoutMs || 30 * 60 * 1000;
+
+    // Lease is extended by a heartbeat while the handler runs; a crashed worker's lease simply expires
+    this.leaseMs = options.leaseMs || 2 * 60 * 1000;
+    this.heartbeatMs = Math.max(1000, Math.floor(this.leaseMs / 3));
+
+    // Exponential backoff: retryDelay * 2^(attempt - 1), capped, with +/-10% jitter
+    this.retryDelay = options.retryDelay || 60 * 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 6 * 60 * 60 * 1000;
+
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 6)}`;
+    this.running = new Map();
+    this.started = false;
+    this.polling = false;
+    this.pollTimer = null;
+  }
+
+  // ========== Producer API ==========
+
+  /**
+   * Persist a new job; it runs once run_at is due and a worker claims it
+   */
+  async enqueue(data, options = {}) {
+    const {
+      jobId = this.generateJobId(),
+      priority = 3,
+      runAt = null,
+      maxAttempts = this.maxAttempts,
+      timeoutMs = this.timeoutMs,
+      batchId = null,
+      createdBy = null
+    } = options;
+
+    const result = await db.query(
+      `INSERT INTO background_jobs (
+        id, queue, batch_id, priority, data, max_attempts, timeout_ms, run_at, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamptz, NOW()), $9)
+      RETURNING *`,
+      [
+        jobId,
+        this.queueName,
+        batchId,
+        priority,
+        JSON.stringify(data || {}),
+        maxAttempts,
+        Math.round(timeoutMs),
+        runAt ? new Date(runAt).toISOString() : null,
+        createdBy
+      ]
+    );
+
+    this.wake();
+    return this.format(result.rows[0]);
+  }
+
+  /**
+   * Get job by ID (null when missing or owned by another queue)
+   */
+  async get(jobId) {
+    const result = await db.query(
+      'SELECT * FROM background_jobs WHERE id = $1 AND queue = $2',
+      [jobId, this.queueName]
+    );
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  /**
+   * List jobs, newest first; `data` filters by JSONB containment
+   */
+  async list(filters = {}) {
+    const { status, data, batchId, limit = 50, offset = 0 } = filters;
+    const conditions = ['queue = $1'];
+    const params = [this.queueName];
+
+    if (status) {
+      params.push(Array.isArray(status) ? status : [status]);
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    if (data) {
+      params.push(JSON.stringify(data));
+      conditions.push(`data @> $${params.length}::jsonb`);
+    }
+    if (batchId) {
+      params.push(batchId);
+      conditions.push(`batch_id = $${params.length}`);
+    }
+
+    params.push(limit, offset);
+    const result = await db.query(
+      `SELECT * FROM background_jobs
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows.map(row => this.format(row));
+  }
+
+  /**
+   * 1-based position among waiting jobs, null once the job left the queue
+   */
+  async getQueuePosition(job) {
+    if (!WAITING_STATUSES.includes(job.status)) return null;
+
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS ahead FROM background_jobs
+       WHERE queue = $1 AND status = ANY($2) AND id <> $3
+         AND (priority < $4 OR (priority = $4 AND run_at < $5))`,
+      [this.queueName, WAITING_STATUSES, job.id, job.priority, job.run_at]
+    );
+
+    return result.rows[0].ahead + 1;
+  }
+
+  /**
+   * Cancel job: waiting jobs are cancelled at once, running jobs are flagged
+   * and stop at the handler's next cancellation check
+   */
+  async cancel(jobId, reason = 'User cancelled') {
+    const waiting = await db.query(
+      `UPDATE background_jobs
+       SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $3
+       WHERE id = $1 AND queue = $2 AND status = ANY($4)
+       RETURNING *`,
+      [jobId, this.queueName, reason, WAITING_STATUSES]
+    );
+    if (waiting.rows[0]) {
+      return { status: 'cancelled', job: this.format(waiting.rows[0]) };
+    }
+
+    const active = await db.query(
+      `UPDATE background_jobs
+       SET cancel_requested = true, cancellation_reason = $3
+       WHERE id = $1 AND queue = $2 AND status = 'processing'
+       RETURNING *`,
+      [jobId, this.queueName, reason]
+    );
+    if (active.rows[0]) {
+      // Running in this process: no need to wait for the next heartbeat
+      const execution = this.running.get(jobId);
+      if (execution) this.markCancelled(execution);
+
+      return { status: 'cancelling', job: this.format(active.rows[0]) };
+    }
+
+    const job = await this.get(jobId);
+    return { status: job ? job.status : 'not_found', job };
+  }
+
+  /**
+   * Persist handler progress
+   */
+  async updateProgress(jobId, progress, percentage = null) {
+    await db.query(
+      `UPDATE background_jobs
+       SET progress = $2, progress_percentage = COALESCE($3, progress_percentage)
+       WHERE id = $1`,
+      [jobId, JSON.stringify(progress || {}), percentage]
+    );
+  }
+
+  // ========== Worker ==========
+
+  start() {
+    if (this.started) return;
+    if (typeof this.handler !== 'function') {
+      throw new Error(`Job queue ${this.queueName} has no handler`);
+    }
+
+    this.started = true;
+    logger.info('Job queue worker started', { queue: this.queueName, workerId: this.workerId });
+    this.wake();
+  }
+
+  /**
+   * Stop claiming jobs and wait for running ones; jobs still running after
+   * the grace period are handed back to the queue without using up an attempt
+   */
+  async stop(graceMs = 30000) {
+    this.started = false;
+    clearTimeout(this.pollTimer);
+
+    const pending = [...this.running.values()].map(execution => execution.promise);
+    if (pending.length > 0) {
+      let graceTimer;
+      await Promise.race([
+        Promise.allSettled(pending),
+        new Promise(resolve => { graceTimer = setTimeout(resolve, graceMs); })
+      ]);
+      clearTimeout(graceTimer);
+    }
+
+    for (const execution of this.running.values()) {
+      await db.query(
+        `UPDATE background_jobs
+         SET status = 'queued', attempts = GREATEST(attempts - 1, 0), locked_by = NULL, locked_until = NULL, run_at = NOW()
+         WHERE id = $1 AND locked_by = $2 AND status = 'processing'`,
+        [execution.job.id, this.workerId]
+      ).catch(error => logger.warn('Failed to release job lease', { jobId: execution.job.id, error: error.message }));
+    }
+
+    logger.info('Job queue worker stopped', { queue: this.queueName, released: this.running.size });
+  }
+
+  wake() {
+    if (!this.started) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), 0);
+  }
+
+  async poll() {
+    if (!this.started || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.started && this.running.size < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+        this.execute(job);
+      }
+    } catch (error) {
+      logger.error('Job queue poll failed', { queue: this.queueName, error: error.message });
+    } finally {
+      this.polling = false;
+      if (this.started) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+        if (this.pollTimer.unref) this.pollTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Lease the next due job; SKIP LOCKED keeps concurrent workers off the same row
+   * and jobs whose lease expired (crashed worker) are picked up again
+   */
+  async claim() {
+    const result = await db.query(
+      `UPDATE background_jobs
+       SET status = 'processing',
+           attempts = attempts + 1,
+           locked_by = $2,
+           locked_until = NOW() + $3 * INTERVAL '1 millisecond',
+           started_at = NOW()
+       WHERE id = (
+         SELECT id FROM background_jobs
+         WHERE queue = $1
+           AND ((status = ANY($4) AND run_at <= NOW())
+             OR (status = 'processing' AND locked_until < NOW()))
+         ORDER BY priority ASC, run_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [this.queueName, this.workerId, this.leaseMs, WAITING_STATUSES]
+    );
+
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  execute(job) {
+    const controller = new AbortController();
+    const execution = { job, controller, cancelled: job.cancel_requested, timedOut: false, leaseLost: false };
+    this.running.set(job.id, execution);
+
+    execution.promise = this.run(execution)
+      .catch(error => logger.error('Job execution bookkeeping failed', { jobId: job.id, error: error.message }))
+      .finally(() => {
+        this.running.delete(job.id);
+        this.wake();
+      });
+
+    return execution.promise;
+  }
+
+  async run(execution) {
+    const { job, controller } = execution;
+
+    // Lease expired repeatedly without the job finishing (worker crashes)
+    if (job.attempts > job.max_attempts) {
+      const error = new Error('Job lease expired too many times');
+      await this.finish(job, 'failed', { error });
+      await this.notifyFailed(job, error);
+      return;
+    }
+
+    if (execution.cancelled) {
+      await this.finish(job, 'cancelled');
+      return;
+    }
+
+    // A timed-out handler is aborted but keeps its slot and lease until it stops,
+    // so the job is not claimed again while the first attempt is still writing
+    const heartbeat = setInterval(() => this.heartbeat(execution), this.heartbeatMs);
+    const timeoutTimer = setTimeout(() => {
+      execution.timedOut = true;
+      controller.abort();
+      logger.warn('Job timed out, waiting for the handler to stop', { jobId: job.id, timeoutMs: job.timeout_ms });
+    }, job.timeout_ms);
+
+    const context = {
+      signal: controller.signal,
+      isCancelled: () => execution.cancelled,
+      throwIfCancelled: () => {
+        if (execution.cancelled) throw new JobCancelledError(job.cancellation_reason);
+        if (execution.timedOut) throw new JobTimeoutError(job.timeout_ms);
+      },
+      updateProgress: (progress, percentage) => this.updateProgress(job.id, progress, percentage)
+    };
+
+    try {
+      const outcome = await this.handler(job, context) || {};
+      await this.finish(job, outcome.status || 'completed', { result: outcome.result });
+    } catch (error) {
+      if (execution.leaseLost) {
+        logger.warn('Job lease lost, result discarded', { jobId: job.id, error: error.message });
+      } else if (error instanceof JobCancelledError || execution.cancelled) {
+        await this.finish(job, 'cancelled');
+        logger.info('Job cancelled', { jobId: job.id, queue: this.queueName });
+      } else if (execution.timedOut) {
+        // Whatever the aborted handler threw, the attempt failed by running out of time
+        await this.fail(job, error instanceof JobTimeoutError ? error : new JobTimeoutError(job.timeout_ms), 'timeout');
+      } else {
+        await this.fail(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      clearTimeout(timeoutTimer);
+    }
+  }
+
+  /**
+   * Extend lease and pick up cancellation requests from other processes
+   */
+  async heartbeat(execution) {
+    try {
+      const result = await db.query(
+        `UPDATE background_jobs
+         SET locked_until = NOW() + $3 * INTERVAL '1 millisecond'
+         WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+         RETURNING cancel_requested, cancellation_reason`,
+        [execution.job.id, this.workerId, this.leaseMs]
+      );
+
+      const row = result.rows[0];
+      if (!row) {
+        execution.leaseLost = true;
+        execution.controller.abort();
+        logger.warn('Job lease lost', { jobId: execution.job.id, workerId: this.workerId });
+      } else if (row.cancel_requested && !execution.cancelled) {
+        execution.job.cancellation_reason = row.cancellation_reason;
+        this.markCancelled(execution);
+      }
+    } catch (error) {
+      logger.warn('Job heartbeat failed', { jobId: execution.job.id, error: error.message });
+    }
+  }
+
+  markCancelled(execution) {
+    execution.cancelled = true;
+    execution.controller.abort();
+  }
+
+  /**
+   * Write final state; guarded by the lease so a worker that lost it cannot overwrite
+   */
+  async finish(job, status, { result = null, error = null } = {}) {
+    const timestampColumn = {
+      completed: 'completed_at',
+      partially_completed: 'completed_at',
+      cancelled: 'cancelled_at'
+    }[status] || 'failed_at';
+
+    const update = await db.query(
+      `UPDATE background_jobs
+       SET status = $3,
+           result = COALESCE($4, result),
+           last_error = COALESCE($5, last_error),
+           error_history = CASE WHEN $5::text IS NULL THEN error_history
+             ELSE error_history || jsonb_build_array(jsonb_build_object('attempt', attempts, 'error', $5::text, 'at', NOW())) END,
+           progress_percentage = CASE WHEN $3 IN ('completed', 'partially_completed') THEN 100 ELSE progress_percentage END,
+           ${timestampColumn} = NOW(),
+           locked_by = NULL,
+           locked_until = NULL
+       WHERE id = $1 AND locked_by = $2`,
+      [job.id, this.workerId, status, result ? JSON.stringify(result) : null, error ? error.message : null]
+    );
+
+    if (update.rowCount === 0) {
+      logger.warn('Job state not saved, lease no longer held', { jobId: job.id, status });
+    }
+
+    job.status = status;
+    return update.rowCount > 0;
+  }
+
+  /**
+   * Schedule a retry with backoff, or fail for good with `finalStatus`
+   */
+  async fail(job, error, finalStatus = 'failed') {
+    const retryable = job.attempts < job.max_attempts && this.isRetryable(error);
+
+    logger.error('Job attempt failed', {
+      jobId: job.id,
+      queue: this.queueName,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      willRetry: retryable,
+      error: error.message
+    });
+
+    if (!retryable) {
+      await this.finish(job, finalStatus, { error });
+      await this.notifyFailed(job, error);
+      return;
+    }
+
+    const delay = this.getRetryDelay(job.attempts);
+    await db.query(
+      `UPDATE background_jobs
+       SET status = 'retrying',
+           run_at = NOW() + $3 * INTERVAL '1 millisecond',
+           last_error = $4,
+           error_history = error_history || jsonb_build_array(jsonb_build_object('attempt', attempts, 'error', $4::text, 'at', NOW())),
+           locked_by = NULL,
+           locked_until = NULL
+       WHERE id = $1 AND locked_by = $2`,
+      [job.id, this.workerId, delay, error.message]
+    );
+
+    job.status = 'retrying';
+  }
+
+  getRetryDelay(attempt) {
+    const base = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, Math.max(0, attempt - 1)));
+    const jitter = base * 0.1 * (Math.random() * 2 - 1);
+    return Math.round(base + jitter);
+  }
+
+  async notifyFailed(job, error) {
+    if (!this.onFailed) return;
+
+    try {
+      await this.onFailed(job, error);
+    } catch (hookError) {
+      logger.warn('Job failure hook failed', { jobId: job.id, error: hookError.message });
+    }
+  }
+
+  // ========== Helper Methods ==========
+
+  generateJobId() {
+    return `${this.idPrefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Map a background_jobs row to the job shape used by job classes and the API
+   */
+  format(row) {
+    const status = row.status === 'processing' && row.cancel_requested ? 'cancelling' : row.status;
+
+    return {
+      id: row.id,
+      type: row.queue,
+      batch_id: row.batch_id,
+      priority: row.priority,
+      data: row.data || {},
+      status,
+      attempts: row.attempts,
+      max_attempts: row.max_attempts,
+      progress: row.progress || {},
+      progress_percentage: row.progress_percentage,
+      results: row.result,
+      error: row.last_error,
+      error_history: row.error_history || [],
+      run_at: row.run_at,
+      scheduled_for: row.run_at,
+      retry_at: row.status === 'retrying' ? row.run_at : null,
+      timeout_ms: row.timeout_ms,
+      cancel_requested: row.cancel_requested,
+      cancellation_reason: row.cancellation_reason,
+      created_by: row.created_by,
+      created_at: row.created_at,
+      started_at: row.started_at,
+      completed_at: row.completed_at,
+      failed_at: row.failed_at,
+      cancelled_at: row.cancelled_at,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+JobQueue.JobCancelledError = JobCancelledError;
+JobQueue.JobTimeoutError = JobTimeoutError;
+
+module.exports = JobQueue;
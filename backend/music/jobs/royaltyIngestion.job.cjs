@@ -5,12 +5,17 @@
  */
 
 const logger = require('../../config/logger.cjs');
-const RoyaltyService = require('../services/royalty.service.cjs');
-const ReleaseService = require('../services/release.service.cjs');
+const config = require('../config/env.cjs');
 const TrackService = require('../services/track.service.cjs');
 const NotificationService = require('../services/notifications.service.cjs');
-const CurrencyUtil = require('../utils/currency.util.cjs');
 const DateUtil = require('../utils/date.util.cjs');
+const ReportParser = require('../utils/reportParser.util.cjs');
+const DsrParser = require('../utils/dsrParser.util.cjs');
+const RoyaltyImportService = require('../services/royaltyImport.service.cjs');
+const RoyaltyMatchingService = require('../services/royaltyMatching.service.cjs');
+const RoyaltyStatementService = require('../services/royaltyStatement.service.cjs');
+const ExchangeRateService = require('../services/exchangeRate.service.cjs');
+const JobQueue = require('./jobQueue.cjs');
 
 class RoyaltyIngestionJob {
   constructor() {
@@ -19,11 +24,6 @@ class RoyaltyIngestionJob {
     this.retryDelay = 10 * 60 * 1000; // 10 minutes
     this.timeoutMs = 60 * 60 * 1000; // 60 minutes
     
-    // Job tracking
-    this.activeJobs = new Map();
-    this.jobQueue = [];
-    this.isProcessing = false;
-    
     // Processing priorities
     this.priorities = {
       urgent: 1,    // Manual upload, errors
@@ -40,7 +40,9 @@ class RoyaltyIngestionJob {
       youtube_music: this.processYouTubeMusicReport.bind(this),
       amazon_music: this.processAmazonMusicReport.bind(this),
       tidal: this.processTidalReport.bind(this),
-      deezer: this.processDeezerReport.bind(this)
+      deezer: this.processDeezerReport.bind(this),
+      // Aggregators and DSPs without a proprietary layout here that report via DDEX DSR
+      ddex_dsr: this.processDsrReport.bind(this)
     };
 
     // Expected report formats
@@ -48,8 +50,19 @@ class RoyaltyIngestionJob {
       csv: ['text/csv', '.csv'],
       excel: ['application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', '.xlsx', '.xls'],
       json: ['application/json', '.json'],
-      xml: ['application/xml', 'text/xml', '.xml']
+      xml: ['application/xml', 'text/xml', '.xml'],
+      dsr: ['.dsr']
     };
+
+    // Durable queue; re-running an interrupted import is safe thanks to file fingerprints
+    this.queue = new JobQueue(this.jobName, {
+      idPrefix: 'royalty',
+      handler: this.processRoyaltyIngestionJob.bind(this),
+      maxAttempts: this.maxRetries,
+      retryDelay: this.retryDelay,
+      timeoutMs: this.timeoutMs,
+      onFailed: this.sendFailureNotification.bind(this)
+    });
   }
 
   // ========== Job Queue Management ==========
@@ -57,44 +70,32 @@ class RoyaltyIngestionJob {
   /**
    * Add royalty ingestion job to queue
    */
-  async addRoyaltyIngestionJob(jobData, priority = 'normal') {
+  async addRoyaltyIngestionJob(jobData, priority = 'normal', options = {}) {
     try {
-      const jobId = this.generateJobId();
-      const job = {
-        id: jobId,
-        type: 'royalty_ingestion',
-        priority: this.priorities[priority] || this.priorities.normal,
-        data: jobData,
-        status: 'queued',
-        attempts: 0,
-        created_at: new Date().toISOString(),
-        scheduled_for: jobData.scheduled_for || new Date().toISOString(),
-        timeout_at: new Date(Date.now() + this.timeoutMs).toISOString()
-      };
-
       // Validate job data
       this.validateIngestionJobData(jobData);
 
-      // Add to queue with priority ordering
-      this.insertJobByPriority(job);
-      
+      const job = await this.queue.enqueue(jobData, {
+        jobId: this.generateJobId(),
+        priority: this.priorities[priority] || this.priorities.normal,
+        runAt: jobData.scheduled_for,
+        createdBy: options.userId || jobData.user_id || null
+      });
+
       logger.info('Royalty ingestion job added to queue', {
-        jobId,
+        jobId: job.id,
         platform: jobData.platform,
         reportType: jobData.report_type,
         priority
       });
 
-      // Start processing if not already running
-      if (!this.isProcessing) {
-        this.processQueue();
-      }
+      const queuePosition = await this.queue.getQueuePosition(job);
 
       return {
-        jobId,
+        jobId: job.id,
         status: 'queued',
-        estimatedStartTime: this.estimateStartTime(job),
-        queuePosition: this.getQueuePosition(jobId)
+        estimatedStartTime: this.estimateStartTime(job, queuePosition),
+        queuePosition
       };
     } catch (error) {
       logger.error('Failed to add royalty ingestion job', { error: error.message, jobData });
@@ -103,67 +104,80 @@ class RoyaltyIngestionJob {
   }
 
   /**
-   * Process job queue
+   * Start claiming royalty ingestion jobs in this process
    */
-  async processQueue() {
-    if (this.isProcessing) return;
-    
-    this.isProcessing = true;
-    logger.info('Starting royalty ingestion job queue processing');
+  start() {
+    this.queue.start();
+  }
 
-    try {
-      while (this.jobQueue.length > 0) {
-        // Get next job (highest priority first)
-        const job = this.jobQueue.shift();
-        
-        // Check if job is scheduled for future
-        if (new Date(job.scheduled_for) > new Date()) {
-          // Re-add to queue and wait
-          this.insertJobByPriority(job);
-          await this.sleep(60000); // Check again in 1 minute
-          continue;
-        }
+  async stop(graceMs) {
+    await this.queue.stop(graceMs);
+  }
 
-        // Check for timeout
-        if (new Date() > new Date(job.timeout_at)) {
-          await this.handleJobTimeout(job);
-          continue;
-        }
+  /**
+   * Get job status
+   */
+  async getJobStatus(jobId) {
+    const job = await this.queue.get(jobId);
+    if (!job) return null;
 
-        await this.processRoyaltyIngestionJob(job);
-      }
-    } catch (error) {
-      logger.error('Error processing royalty ingestion queue', { error: error.message });
-    } finally {
-      this.isProcessing = false;
-      logger.info('Royalty ingestion job queue processing completed');
-    }
+    const queuePosition = await this.queue.getQueuePosition(job);
+    return {
+      ...job,
+      queue_position: queuePosition,
+      ...(queuePosition && { estimated_start: this.estimateStartTime(job, queuePosition) })
+    };
   }
 
   /**
-   * Process individual royalty ingestion job
+   * Cancel royalty ingestion job; a running import stops before its earnings are written
    */
-  async processRoyaltyIngestionJob(job) {
+  async cancelIngestionJob(jobId, reason = 'User cancelled') {
+    const { status } = await this.queue.cancel(jobId, reason);
+    logger.info('Royalty ingestion job cancellation requested', { jobId, reason, status });
+    return { status };
+  }
+
+  /**
+   * Process individual royalty ingestion job (queue handler)
+   */
+  async processRoyaltyIngestionJob(job, context) {
     const startTime = Date.now();
-    this.activeJobs.set(job.id, job);
 
     try {
       logger.info('Processing royalty ingestion job', {
         jobId: job.id,
         platform: job.data.platform,
-        reportType: job.data.report_type
+        reportType: job.data.report_type,
+        attempt: job.attempts
       });
 
-      // Update job status
-      job.status = 'processing';
-      job.started_at = new Date().toISOString();
-      job.attempts += 1;
-
       // Download and validate report file
       const reportData = await this.downloadAndValidateReport(job.data);
+
+      // Skip files that were already ingested byte-for-byte
+      const fingerprint = await ReportParser.fingerprint(reportData);
+      const existingIngestion = await RoyaltyImportService.findByFingerprint(fingerprint, job.data.platform);
+      if (existingIngestion && !job.data.force_reimport) {
+        logger.info('Royalty report already ingested, skipping', {
+          jobId: job.id,
+          fingerprint,
+          ingestionId: existingIngestion.id
+        });
+
+        return await this.completeIngestionJob(job, {
+          skipped: true,
+          reason: 'duplicate_file',
+          duplicate_of: existingIngestion.id,
+          fingerprint
+        });
+      }
       
+      context.throwIfCancelled();
+
       // Parse report based on platform and format
       const parsedData = await this.parseReport(reportData, job.data);
+      context.throwIfCancelled();
       
       // Validate parsed data
       const validation = await this.validateParsedData(parsedData, job.data);
@@ -171,28 +185,42 @@ class RoyaltyIngestionJob {
         throw new Error(`Data validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Process earnings data
-      const ingestionResult = await this.processEarningsData(parsedData, job.data);
+      context.throwIfCancelled();
+
+      // Process earnings data; cancellation and timeouts take effect until the earnings are recorded
+      const ingestionResult = await this.processEarningsData(parsedData, job.data, {
+        jobId: job.id,
+        fingerprint,
+        fileName: reportData.fileName
+      }, context);
+
+      if (ingestionResult.skipped) {
+        return await this.completeIngestionJob(job, {
+          skipped: true,
+          reason: ingestionResult.skip_reason,
+          duplicate_of: ingestionResult.ingestion_id,
+          fingerprint
+        });
+      }
 
       // Generate royalty statements
       const statements = await this.generateRoyaltyStatements(ingestionResult, job.data);
 
       // Complete job
-      await this.completeIngestionJob(job, {
+      return await this.completeIngestionJob(job, {
         parsed_records: parsedData.length,
         processed_earnings: ingestionResult.earnings_count,
         generated_statements: statements.length,
         total_revenue: ingestionResult.total_revenue,
+        ingestion_id: ingestionResult.ingestion_id,
+        reconciliation: ingestionResult.reconciliation,
+        unmatched_lines: ingestionResult.unmatched_count,
+        unmatched_revenue: ingestionResult.unmatched_revenue,
         processing_summary: ingestionResult.summary
       });
-
-    } catch (error) {
-      await this.handleJobError(job, error);
     } finally {
-      this.activeJobs.delete(job.id);
-      
       const duration = Date.now() - startTime;
-      logger.info('Royalty ingestion job completed', {
+      logger.info('Royalty ingestion job finished', {
         jobId: job.id,
         duration: `${duration}ms`,
         status: job.status
@@ -215,10 +243,12 @@ class RoyaltyIngestionJob {
 
     if (jobData.source_type === 'file_upload') {
       // Process uploaded file
-      reportData = await this.processUploadedFile(jobData.file_path);
+      reportData = await this.processUploadedFile(jobData.file_path, jobData);
     } else if (jobData.source_type === 'api_fetch') {
       // Fetch from platform API
-      reportData = await this.fetchFromPlatformAPI(jobData);
+      reportData = ReportParser.fromBuffer(await this.fetchFromPlatformAPI(jobData), {
+        fileName: jobData.file_name
+      });
     } else if (jobData.source_type === 'url_download') {
       // Download from URL
       reportData = await this.downloadFromURL(jobData.file_url);
@@ -245,10 +275,15 @@ class RoyaltyIngestionJob {
 
     logger.info('Parsing report', { 
       platform,
-      format: jobData.expected_format,
-      size: reportData.length 
+      format: reportData.format,
+      size: reportData.size 
     });
 
+    // Any platform may deliver a DSR instead of its proprietary report
+    if (reportData.format === 'dsr') {
+      return await this.processDsrReport(reportData, jobData);
+    }
+
     return await processor(reportData, jobData);
   }
 
@@ -256,279 +291,110 @@ class RoyaltyIngestionJob {
    * Process Spotify royalty report
    */
   async processSpotifyReport(reportData, jobData) {
-    const records = [];
-    
-    // Parse CSV format (Spotify's standard format)
-    const lines = reportData.split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const values = this.parseCSVLine(line);
-      if (values.length !== headers.length) continue;
-      
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
-      });
-      
-      // Map Spotify fields to standardized format
-      const standardRecord = {
-        platform: 'spotify',
-        track_title: record['Track Name'] || record['Song'],
-        artist_name: record['Artist Name'] || record['Artist'],
-        album_name: record['Album Name'] || record['Album'],
-        isrc: record['ISRC'],
-        upc: record['UPC'],
-        territory: record['Territory'] || record['Country'],
-        streams: parseInt(record['Quantity'] || record['Streams']) || 0,
-        revenue: parseFloat(record['Royalty'] || record['Revenue']) || 0,
-        currency: record['Currency'] || 'USD',
-        period_start: record['Sales Date'] || record['Period Start'],
-        period_end: record['Sales Date'] || record['Period End'],
-        report_date: jobData.report_date,
-        product_type: record['Product Type'] || 'stream'
-      };
-      
-      records.push(standardRecord);
-    }
-    
-    return records;
+    return await this.parsePlatformReport('spotify', reportData, jobData);
   }
 
   /**
    * Process Apple Music royalty report
    */
   async processAppleMusicReport(reportData, jobData) {
-    const records = [];
-    
-    // Apple Music typically provides tab-separated files
-    const lines = reportData.split('\n');
-    const headers = lines[0].split('\t').map(h => h.trim());
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const values = line.split('\t');
-      if (values.length !== headers.length) continue;
-      
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
-      });
-      
-      // Map Apple Music fields
-      const standardRecord = {
-        platform: 'apple_music',
-        track_title: record['Song/Album'] || record['Title'],
-        artist_name: record['Artist/Show'] || record['Artist'],
-        album_name: record['Album/Season'] || record['Album'],
-        isrc: record['ISRC'],
-        upc: record['UPC'],
-        territory: record['Country Code'] || record['Territory'],
-        streams: parseInt(record['Units'] || record['Plays']) || 0,
-        revenue: parseFloat(record['Artist Royalties'] || record['Royalty']) || 0,
-        currency: record['Currency'] || 'USD',
-        period_start: record['Begin Date'] || jobData.period_start,
-        period_end: record['End Date'] || jobData.period_end,
-        report_date: jobData.report_date,
-        product_type: record['Product Type Identity'] || 'stream'
-      };
-      
-      records.push(standardRecord);
-    }
-    
-    return records;
+    // Apple Music typically provides tab-separated files; the delimiter is detected
+    return await this.parsePlatformReport('apple_music', reportData, jobData);
   }
 
   /**
    * Process YouTube Music royalty report
    */
   async processYouTubeMusicReport(reportData, jobData) {
-    const records = [];
-    
     try {
       // YouTube provides JSON or CSV format
-      let data;
-      if (jobData.expected_format === 'json') {
-        data = JSON.parse(reportData);
-      } else {
-        // Parse CSV
-        const lines = reportData.split('\n');
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        
-        data = [];
-        for (let i = 1; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (!line) continue;
-          
-          const values = this.parseCSVLine(line);
-          const record = {};
-          headers.forEach((header, index) => {
-            record[header] = values[index];
-          });
-          data.push(record);
-        }
-      }
-      
-      // Process records
-      for (const record of data) {
-        const standardRecord = {
-          platform: 'youtube_music',
-          track_title: record['Video Title'] || record['Content Title'],
-          artist_name: record['Channel'] || record['Artist'],
-          album_name: record['Album'] || '',
-          isrc: record['ISRC'] || record['Asset ID'],
-          territory: record['Country'] || record['Territory'],
-          streams: parseInt(record['Views'] || record['Plays']) || 0,
-          revenue: parseFloat(record['Your estimated revenue (USD)'] || record['Revenue']) || 0,
-          currency: 'USD', // YouTube typically reports in USD
-          period_start: record['Date'] || jobData.period_start,
-          period_end: record['Date'] || jobData.period_end,
-          report_date: jobData.report_date,
-          product_type: 'stream',
-          watch_time: record['Watch time (hours)'] || null,
-          cpm: record['CPM'] || null
-        };
-        
-        records.push(standardRecord);
-      }
+      return await this.parsePlatformReport('youtube_music', reportData, jobData);
     } catch (error) {
       logger.error('Error parsing YouTube Music report', { error: error.message });
       throw new Error(`YouTube Music report parsing failed: ${error.message}`);
     }
-    
-    return records;
   }
 
   /**
    * Process Amazon Music royalty report
    */
   async processAmazonMusicReport(reportData, jobData) {
-    const records = [];
-    
-    // Amazon provides CSV format
-    const lines = reportData.split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const values = this.parseCSVLine(line);
-      if (values.length !== headers.length) continue;
-      
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
-      });
-      
-      const standardRecord = {
-        platform: 'amazon_music',
-        track_title: record['Track Title'] || record['Song'],
-        artist_name: record['Artist Name'] || record['Artist'],
-        album_name: record['Album Title'] || record['Album'],
-        isrc: record['ISRC'],
-        upc: record['UPC'],
-        territory: record['Territory'] || record['Country'],
-        streams: parseInt(record['Streams'] || record['Quantity']) || 0,
-        revenue: parseFloat(record['Net Revenue'] || record['Royalty']) || 0,
-        currency: record['Currency'] || 'USD',
-        period_start: record['Period Start'] || jobData.period_start,
-        period_end: record['Period End'] || jobData.period_end,
-        report_date: jobData.report_date,
-        product_type: record['Product Type'] || 'stream'
-      };
-      
-      records.push(standardRecord);
-    }
-    
-    return records;
+    return await this.parsePlatformReport('amazon_music', reportData, jobData);
   }
 
   /**
    * Process Tidal royalty report
    */
   async processTidalReport(reportData, jobData) {
+    return await this.parsePlatformReport('tidal', reportData, jobData);
+  }
+
+  /**
+   * Process Deezer royalty report
+   */
+  async processDeezerReport(reportData, jobData) {
+    return await this.parsePlatformReport('deezer', reportData, jobData);
+  }
+
+  /**
+   * Process DDEX DSR flat file (Basic Audio Profile)
+   */
+  async processDsrReport(reportData, jobData) {
+    if (reportData.format !== 'dsr') {
+      throw new Error(`Expected a DDEX DSR flat file, got ${reportData.format} content`);
+    }
+
     const records = [];
-    
-    const lines = reportData.split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const values = this.parseCSVLine(line);
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
-      });
-      
-      const standardRecord = {
-        platform: 'tidal',
-        track_title: record['Track'],
-        artist_name: record['Artist'],
-        album_name: record['Album'],
-        isrc: record['ISRC'],
-        territory: record['Country'],
-        streams: parseInt(record['Quantity']) || 0,
-        revenue: parseFloat(record['Net Revenue']) || 0,
-        currency: record['Currency'] || 'USD',
-        period_start: record['Period Start'] || jobData.period_start,
-        period_end: record['Period End'] || jobData.period_end,
-        report_date: jobData.report_date,
-        product_type: 'stream',
-        tier: record['Subscription Tier'] || 'standard'
-      };
-      
-      records.push(standardRecord);
+    for await (const record of DsrParser.iterateRecords(reportData, jobData)) {
+      records.push(record);
     }
-    
+
+    logger.info('DSR report parsed', {
+      platform: jobData.platform,
+      records: records.length
+    });
+
     return records;
   }
 
   /**
-   * Process Deezer royalty report
+   * Stream report records and normalize them with the platform column layout
    */
-  async processDeezerReport(reportData, jobData) {
+  async parsePlatformReport(platform, reportData, jobData) {
     const records = [];
-    
-    const lines = reportData.split('\n');
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      const values = this.parseCSVLine(line);
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
-      });
-      
-      const standardRecord = {
-        platform: 'deezer',
-        track_title: record['Title'] || record['Track'],
-        artist_name: record['Artist'],
-        album_name: record['Album'],
-        isrc: record['ISRC'],
-        territory: record['Territory'],
-        streams: parseInt(record['Streams']) || 0,
-        revenue: parseFloat(record['Revenue']) || 0,
-        currency: record['Currency'] || 'EUR',
-        period_start: record['Period Start'] || jobData.period_start,
-        period_end: record['Period End'] || jobData.period_end,
-        report_date: jobData.report_date,
-        product_type: 'stream'
-      };
-      
-      records.push(standardRecord);
+    let layout = null;
+    let skipped = 0;
+
+    for await (const raw of ReportParser.iterateRecords(reportData, platform)) {
+      if (!layout) {
+        const headers = Object.keys(raw);
+        layout = ReportParser.resolveLayout(headers, platform);
+
+        const detectedPlatform = ReportParser.detectPlatform(headers);
+        if (detectedPlatform && detectedPlatform !== platform) {
+          logger.warn('Report columns look like a different platform layout', {
+            declared: platform,
+            detected: detectedPlatform
+          });
+        }
+      }
+
+      if (ReportParser.isSummaryRow(raw)) {
+        skipped++;
+        continue;
+      }
+
+      records.push(ReportParser.normalizeRecord(raw, layout, jobData));
     }
-    
+
+    logger.info('Report parsed', {
+      platform,
+      format: reportData.format,
+      records: records.length,
+      skippedSummaryRows: skipped,
+      columns: layout ? layout.columns : null
+    });
+
     return records;
   }
 
@@ -565,7 +431,8 @@ class RoyaltyIngestionJob {
         continue;
       }
 
-      if (isNaN(record.revenue) || record.revenue < 0) {
+      // Corrections, refunds and chargebacks are reported as negative revenue
+      if (isNaN(record.revenue)) {
         invalidRecords++;
         continue;
       }
@@ -599,14 +466,21 @@ class RoyaltyIngestionJob {
 
   /**
    * Process earnings data
+   * Lines are keyed and recorded through RoyaltyImportService, so re-importing a
+   * period reconciles against the previous import instead of doubling earnings
    */
-  async processEarningsData(parsedData, jobData) {
+  async processEarningsData(parsedData, jobData, reportInfo = {}, context = null) {
     const results = {
       earnings_count: 0,
       total_revenue: 0,
       currency_totals: {},
       territory_totals: {},
       track_totals: {},
+      ingestion_id: null,
+      reconciliation: null,
+      unmatched_count: 0,
+      unmatched_revenue: 0,
+      skipped: false,
       summary: {
         platform: jobData.platform,
         period_start: jobData.period_start,
@@ -615,167 +489,260 @@ class RoyaltyIngestionJob {
       }
     };
 
-    for (const record of parsedData) {
+    const { lines, duplicates } = this.buildIngestionLines(parsedData, jobData);
+
+    // Find or create track mapping
+    for (const line of lines) {
+      if (context) context.throwIfCancelled();
+
       try {
-        // Skip invalid records
-        if (!record.track_title || !record.artist_name) continue;
-
-        // Find or create track mapping
-        const trackMapping = await this.findTrackMapping(record);
-        if (!trackMapping) {
-          logger.warn('Track mapping not found', {
-            title: record.track_title,
-            artist: record.artist_name,
-            isrc: record.isrc
-          });
-          continue;
-        }
+        const trackMapping = await this.findTrackMapping(line);
+        // Unmatched lines are recorded without a track and queued for review below
+        if (!trackMapping) continue;
 
-        // Convert revenue to USD for totals
-        const usdRevenue = CurrencyUtil.convert(
-          record.revenue,
-          record.currency || 'USD',
-          'USD'
-        );
-
-        // Create earnings record
-        const earningsData = {
-          track_id: trackMapping.track_id,
-          release_id: trackMapping.release_id,
-          platform: record.platform,
-          territory: record.territory || 'unknown',
-          revenue_type: record.product_type || 'stream',
-          streams: record.streams || 0,
-          revenue: record.revenue || 0,
-          currency: record.currency || 'USD',
-          period_start: DateUtil.createDate(record.period_start || jobData.period_start),
-          period_end: DateUtil.createDate(record.period_end || jobData.period_end),
-          report_date: DateUtil.createDate(jobData.report_date),
-          raw_data: record
-        };
+        line.track_id = trackMapping.track_id;
+        line.release_id = trackMapping.release_id;
+      } catch (error) {
+        logger.error('Error processing earnings record', {
+          record: line.track_title,
+          error: error.message
+        });
+      }
+    }
 
-        // Save earnings record
-        await RoyaltyService.createEarnings(earningsData);
+    const period = this.resolveReportPeriod(lines, jobData);
+    results.summary.period_start = period.start;
+    results.summary.period_end = period.end;
 
-        // Update totals
-        results.earnings_count++;
-        results.total_revenue += usdRevenue;
+    if (jobData.reimport_mode === 'skip') {
+      const previous = await RoyaltyImportService.findActiveIngestion(jobData.platform, period.start, period.end);
+      if (previous) {
+        logger.info('Platform period already ingested, skipping re-import', {
+          platform: jobData.platform,
+          ingestionId: previous.id
+        });
+        return { ...results, skipped: true, skip_reason: 'period_already_ingested', ingestion_id: previous.id };
+      }
+    }
 
-        // Currency totals
-        const currency = record.currency || 'USD';
-        if (!results.currency_totals[currency]) {
-          results.currency_totals[currency] = 0;
-        }
-        results.currency_totals[currency] += record.revenue;
+    const exchangeRates = await this.convertLineRevenue(lines, period);
+    results.summary.exchange_rates = exchangeRates;
+
+    // Last point where stopping leaves no earnings behind
+    if (context) context.throwIfCancelled();
+
+    const ingestion = await RoyaltyImportService.recordIngestion({
+      jobId: reportInfo.jobId,
+      platform: jobData.platform,
+      periodStart: period.start,
+      periodEnd: period.end,
+      fingerprint: reportInfo.fingerprint,
+      fileName: reportInfo.fileName,
+      reportDate: jobData.report_date,
+      lines,
+      duplicateLineCount: duplicates,
+      exchangeRates,
+      userId: jobData.user_id
+    });
 
-        // Territory totals
-        const territory = record.territory || 'unknown';
-        if (!results.territory_totals[territory]) {
-          results.territory_totals[territory] = { streams: 0, revenue: 0 };
-        }
-        results.territory_totals[territory].streams += record.streams || 0;
-        results.territory_totals[territory].revenue += usdRevenue;
+    results.ingestion_id = ingestion.ingestion.id;
+    results.reconciliation = ingestion.reconciliation;
 
-        // Track totals
-        const trackKey = `${trackMapping.track_id}`;
-        if (!results.track_totals[trackKey]) {
-          results.track_totals[trackKey] = { streams: 0, revenue: 0 };
-        }
-        results.track_totals[trackKey].streams += record.streams || 0;
-        results.track_totals[trackKey].revenue += usdRevenue;
+    // Lines without a track are kept in the suspense queue instead of being dropped
+    try {
+      const suspense = await RoyaltyMatchingService.queueUnmatchedLines(ingestion.ingestion, ingestion.lines);
+      results.unmatched_count = suspense.queued;
+      results.unmatched_revenue = suspense.usd_revenue;
+    } catch (error) {
+      logger.error('Failed to queue unmatched royalty lines', {
+        ingestionId: results.ingestion_id,
+        error: error.message
+      });
+    }
 
-      } catch (error) {
-        logger.error('Error processing earnings record', {
-          record: record.track_title,
-          error: error.message
-        });
+    for (const line of ingestion.lines) {
+      if (!line.track_id) continue;
+
+      const revenue = Number(line.revenue);
+      const usdRevenue = Number(line.usd_revenue);
+      const streams = Number(line.streams);
+
+      // Update totals
+      results.earnings_count++;
+      results.total_revenue += usdRevenue;
+
+      // Currency totals
+      const currency = line.currency || 'USD';
+      if (!results.currency_totals[currency]) {
+        results.currency_totals[currency] = 0;
+      }
+      results.currency_totals[currency] += revenue;
+
+      // Territory totals
+      const territory = line.territory || 'unknown';
+      if (!results.territory_totals[territory]) {
+        results.territory_totals[territory] = { streams: 0, revenue: 0 };
+      }
+      results.territory_totals[territory].streams += streams;
+      results.territory_totals[territory].revenue += usdRevenue;
+
+      // Track totals
+      const trackKey = `${line.track_id}`;
+      if (!results.track_totals[trackKey]) {
+        results.track_totals[trackKey] = { streams: 0, revenue: 0 };
       }
+      results.track_totals[trackKey].streams += streams;
+      results.track_totals[trackKey].revenue += usdRevenue;
     }
 
     logger.info('Earnings processing completed', {
       processed: results.earnings_count,
       totalRevenue: results.total_revenue,
       currencies: Object.keys(results.currency_totals),
-      territories: Object.keys(results.territory_totals).length
+      territories: Object.keys(results.territory_totals).length,
+      duplicates,
+      reconciliation: results.reconciliation
     });
 
     return results;
   }
 
   /**
-   * Generate royalty statements
+   * Collapse parsed records into keyed ingestion lines
+   * Byte-identical rows are counted as duplicates; distinct rows sharing a
+   * line key (e.g. split by sub-service) are summed into one line
    */
-  async generateRoyaltyStatements(ingestionResult, jobData) {
-    const statements = [];
+  buildIngestionLines(parsedData, jobData) {
+    const linesByKey = new Map();
+    const seenRows = new Set();
+    let duplicates = 0;
 
-    // Group earnings by artist and create statements
-    const artistGroups = await this.groupEarningsByArtist(ingestionResult, jobData);
+    for (const record of parsedData) {
+      // Skip invalid records
+      if (!record.track_title || !record.artist_name) continue;
+      if (isNaN(record.streams) || isNaN(record.revenue)) continue;
 
-    for (const [artistId, artistData] of Object.entries(artistGroups)) {
-      try {
-        const statementData = {
-          artist_id: artistId,
-          period_start: jobData.period_start,
-          period_end: jobData.period_end,
-          currency: 'USD',
-          total_streams: artistData.total_streams,
-          total_gross_revenue: artistData.total_revenue,
-          total_deductions: 0, // Calculate based on agreements
-          total_net_revenue: artistData.total_revenue,
-          payable_amount: artistData.total_revenue, // After splits
-          platforms: [jobData.platform],
-          territories: Object.keys(artistData.territories),
-          revenue_by_platform: { [jobData.platform]: artistData.total_revenue },
-          revenue_by_territory: artistData.territories,
-          processing_status: 'completed',
-          generated_at: new Date().toISOString()
-        };
+      const rowSignature = JSON.stringify(record);
+      if (seenRows.has(rowSignature)) {
+        duplicates++;
+        continue;
+      }
+      seenRows.add(rowSignature);
+
+      const currency = (record.currency || 'USD').toUpperCase();
+      const line = {
+        platform: record.platform || jobData.platform,
+        isrc: record.isrc || null,
+        upc: record.upc || null,
+        track_title: record.track_title,
+        artist_name: record.artist_name,
+        album_name: record.album_name,
+        territory: record.territory || 'unknown',
+        revenue_type: record.product_type || 'stream',
+        period_start: this.toISODate(record.period_start || jobData.period_start),
+        period_end: this.toISODate(record.period_end || jobData.period_end),
+        streams: record.streams || 0,
+        revenue: record.revenue || 0,
+        currency,
+        source_rows: 1,
+        raw_data: record
+      };
+      line.line_key = RoyaltyImportService.buildLineKey(line);
+
+      const existing = linesByKey.get(line.line_key);
+      if (existing) {
+        existing.streams += line.streams;
+        existing.revenue += line.revenue;
+        existing.source_rows += 1;
+      } else {
+        linesByKey.set(line.line_key, line);
+      }
+    }
 
-        const statement = await RoyaltyService.createStatement(statementData);
-        statements.push(statement);
+    const lines = [...linesByKey.values()];
 
-        logger.info('Royalty statement generated', {
-          statementId: statement.statement_id,
-          artistId,
-          revenue: artistData.total_revenue
-        });
+    if (duplicates > 0) {
+      logger.warn('Duplicate report lines skipped', { platform: jobData.platform, duplicates });
+    }
 
-      } catch (error) {
-        logger.error('Failed to generate royalty statement', {
-          artistId,
-          error: error.message
-        });
-      }
+    return { lines, duplicates };
+  }
+
+  /**
+   * Convert line revenue to USD at the rate of the line's reporting period
+   * Returns the rates used per currency and rate date
+   */
+  async convertLineRevenue(lines, period) {
+    return await ExchangeRateService.convertLines(lines, period, config.exchangeRates.royaltyRateBasis);
+  }
+
+  /**
+   * Reporting period of an ingestion: declared on the job, else spanned by its lines
+   */
+  resolveReportPeriod(lines, jobData) {
+    const starts = lines.map(line => line.period_start).filter(Boolean).sort();
+    const ends = lines.map(line => line.period_end).filter(Boolean).sort();
+
+    const start = this.toISODate(jobData.period_start) || starts[0];
+    const end = this.toISODate(jobData.period_end) || ends[ends.length - 1] || start;
+
+    if (!start) {
+      throw new Error('Reporting period could not be determined; provide period_start and period_end');
     }
 
-    return statements;
+    return { start, end };
   }
 
-  // ========== Helper Methods ==========
+  toISODate(value) {
+    if (!value) return null;
+    return DateUtil.createDate(value).toISOString().slice(0, 10);
+  }
 
   /**
-   * Parse CSV line handling quotes and commas
+   * Generate royalty statements
+   * Statements are rebuilt for the whole platform period from the active earnings
+   * lines, so a restated report replaces the figures of the report it supersedes
    */
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+  async generateRoyaltyStatements(ingestionResult, jobData) {
+    if (!ingestionResult.ingestion_id) return [];
 
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
+    try {
+      const { statements } = await RoyaltyStatementService.generateStatements({
+        platform: jobData.platform,
+        periodStart: ingestionResult.summary.period_start,
+        periodEnd: ingestionResult.summary.period_end,
+        ingestionId: ingestionResult.ingestion_id,
+        userId: jobData.user_id
+      });
+
+      for (const statement of statements) {
+        logger.info('Royalty statement generated', {
+          statementId: statement.id,
+          artistId: statement.artist_id,
+          revenue: statement.gross_revenue,
+          lines: statement.line_count
+        });
       }
+
+      return statements;
+    } catch (error) {
+      // Earnings are already recorded; statements can be regenerated for the period
+      logger.error('Failed to generate royalty statements', {
+        ingestionId: ingestionResult.ingestion_id,
+        platform: jobData.platform,
+        error: error.message
+      });
+      return [];
     }
-    
-    result.push(current.trim());
-    return result.map(val => val.replace(/^"|"$/g, '')); // Remove surrounding quotes
+  }
+
+  // ========== Helper Methods ==========
+
+  /**
+   * Parse CSV line handling quotes, escaped quotes and commas
+   */
+  parseCSVLine(line, delimiter = ',') {
+    return ReportParser.parseDelimitedLine(line, delimiter).map(val => val.trim());
   }
 
   /**
@@ -783,6 +750,16 @@ class RoyaltyIngestionJob {
    */
   async findTrackMapping(recordData) {
     try {
+      // Confirmed manual mappings take precedence over automatic lookups
+      const rule = await RoyaltyMatchingService.findMappingRule(recordData);
+      if (rule) {
+        return {
+          track_id: rule.track_id,
+          release_id: rule.release_id,
+          mapping_rule_id: rule.id
+        };
+      }
+
       // Try to find by ISRC first (most reliable)
       if (recordData.isrc) {
         const track = await TrackService.findByISRC(recordData.isrc);
@@ -814,56 +791,6 @@ class RoyaltyIngestionJob {
     }
   }
 
-  /**
-   * Group earnings by artist
-   */
-  async groupEarningsByArtist(ingestionResult, reportData) {
-    // This would typically query the database for release/artist mappings
-    // For now, return a simplified structure
-    const groups = {};
-    
-    logger.info('Grouping earnings by artist', { 
-      platform: reportData.platform,
-      tracks: Object.keys(ingestionResult.track_totals).length 
-    });
-    
-    for (const [trackId, trackData] of Object.entries(ingestionResult.track_totals)) {
-      try {
-        const track = await TrackService.findById(trackId);
-        if (!track) continue;
-
-        const release = await ReleaseService.findById(track.release_id);
-        if (!release) continue;
-
-        const artistId = release.artist_id;
-        
-        if (!groups[artistId]) {
-          groups[artistId] = {
-            total_streams: 0,
-            total_revenue: 0,
-            territories: {}
-          };
-        }
-
-        groups[artistId].total_streams += trackData.streams;
-        groups[artistId].total_revenue += trackData.revenue;
-
-        // Add territory data (simplified)
-        for (const [territory, territoryData] of Object.entries(ingestionResult.territory_totals)) {
-          if (!groups[artistId].territories[territory]) {
-            groups[artistId].territories[territory] = 0;
-          }
-          groups[artistId].territories[territory] += territoryData.revenue / Object.keys(ingestionResult.track_totals).length;
-        }
-
-      } catch (error) {
-        logger.error('Error grouping earnings by artist', { trackId, error: error.message });
-      }
-    }
-
-    return groups;
-  }
-
   // Job management methods (similar to DistributionJob)
   validateIngestionJobData(jobData) {
     const required = ['platform', 'source_type'];
@@ -878,35 +805,11 @@ class RoyaltyIngestionJob {
     return `royalty_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  insertJobByPriority(job) {
-    let inserted = false;
-    for (let i = 0; i < this.jobQueue.length; i++) {
-      if (job.priority < this.jobQueue[i].priority) {
-        this.jobQueue.splice(i, 0, job);
-        inserted = true;
-        break;
-      }
-    }
-    
-    if (!inserted) {
-      this.jobQueue.push(job);
-    }
-  }
-
-  estimateStartTime(job) {
-    const position = this.getQueuePosition(job.id);
+  estimateStartTime(job, queuePosition) {
     const avgJobTime = 20 * 60 * 1000; // 20 minutes average
-    const estimatedDelay = position * avgJobTime;
-    
-    return new Date(Date.now() + estimatedDelay);
-  }
+    const estimatedDelay = Math.max(0, (queuePosition || 1) - 1) * avgJobTime;
 
-  getQueuePosition(jobId) {
-    return this.jobQueue.findIndex(job => job.id === jobId) + 1;
-  }
-
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Date(Math.max(Date.now() + estimatedDelay, new Date(job.run_at).getTime() || 0));
   }
 
   async completeIngestionJob(job, results) {
@@ -921,46 +824,26 @@ class RoyaltyIngestionJob {
       platform: job.data.platform,
       results
     });
+
+    return { status: job.status, result: results };
   }
 
-  async handleJobError(job, error) {
-    logger.error('Royalty ingestion job error', {
-      jobId: job.id,
-      attempt: job.attempts,
-      error: error.message
-    });
+  // ========== Report Sources ==========
 
-    if (job.attempts < this.maxRetries) {
-      job.status = 'retrying';
-      job.retry_at = new Date(Date.now() + this.retryDelay).toISOString();
-      
-      setTimeout(() => {
-        this.insertJobByPriority(job);
-        if (!this.isProcessing) {
-          this.processQueue();
-        }
-      }, this.retryDelay);
-    } else {
-      job.status = 'failed';
-      job.failed_at = new Date().toISOString();
-      job.error = error.message;
+  /**
+   * Open uploaded report file; content is streamed during parsing
+   */
+  async processUploadedFile(filePath, jobData = {}) {
+    logger.info('Processing uploaded file', { filePath });
 
-      await this.sendFailureNotification(job, error);
+    if (!filePath) {
+      throw new Error('Missing file_path for uploaded report');
     }
-  }
 
-  async handleJobTimeout(job) {
-    job.status = 'timeout';
-    job.failed_at = new Date().toISOString();
-    job.error = 'Job execution timed out';
-
-    await this.sendFailureNotification(job, new Error('Job timeout'));
-  }
-
-  // Placeholder methods for file processing
-  async processUploadedFile(filePath) {
-    logger.info('Processing uploaded file', { filePath });
-    return 'file_content'; // Read file content
+    return await ReportParser.fromFile(filePath, {
+      fileName: jobData.file_name,
+      mimeType: jobData.mime_type
+    });
   }
 
   async fetchFromPlatformAPI(jobData) {
@@ -970,12 +853,53 @@ class RoyaltyIngestionJob {
 
   async downloadFromURL(fileUrl) {
     logger.info('Downloading from URL', { fileUrl });
-    return 'downloaded_content'; // Download file
+
+    if (!/^https?:\/\//i.test(fileUrl || '')) {
+      throw new Error(`Invalid report URL: ${fileUrl}`);
+    }
+
+    return await ReportParser.fromURL(fileUrl);
   }
 
+  /**
+   * Validate detected report content against the declared format
+   */
   async validateReportFormat(reportData, expectedFormat) {
-    logger.info('Validating report format', { format: expectedFormat, size: reportData.length });
-    return true; // Format validation logic
+    logger.info('Validating report format', { format: expectedFormat, size: reportData.size });
+
+    if (!reportData.size) {
+      throw new Error('Report file is empty');
+    }
+
+    if (!this.reportFormats[reportData.format]) {
+      throw new Error(`Unsupported report format: ${reportData.format}`);
+    }
+
+    if (expectedFormat && !this.isCompatibleFormat(expectedFormat, reportData.format)) {
+      throw new Error(`Report content is ${reportData.format}, expected ${expectedFormat}`);
+    }
+
+    const declaredFormat = ReportParser.formatFromMetadata(
+      this.reportFormats,
+      reportData.fileName,
+      reportData.mimeType
+    );
+    if (declaredFormat && !this.isCompatibleFormat(declaredFormat, reportData.format)) {
+      logger.warn('Report file name or MIME type does not match its content', {
+        fileName: reportData.fileName,
+        mimeType: reportData.mimeType,
+        detected: reportData.format
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * DSR files are tab-separated text, commonly named and served as .tsv/.txt
+   */
+  isCompatibleFormat(declared, detected) {
+    return declared === detected || (declared === 'csv' && detected === 'dsr');
   }
 
   async sendCompletionNotification(job) {
@@ -0,0 +1,162 @@
+/**
+ * Code Registry Routes - ISRC and UPC/EAN Management API Endpoints
+ * Registrant/prefix administration and code allocation are admin-only;
+ * assigning codes to a release's tracks needs access to the release
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const CodeRegistryController = require('../controllers/codeRegistry.controller.cjs');
+
+// Import middleware
+const { requireAuth } = require('../../middleware/auth.cjs');
+const { requireRole } = require('../../middleware/authRole.cjs');
+
+// ========== Registrants and Prefixes ==========
+
+/**
+ * @route   GET /api/music/codes/registrants
+ * @desc    List ISRC registrants with their available and assigned code counts
+ * @access  Private (Admin)
+ */
+router.get('/registrants',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.getRegistrants
+);
+
+/**
+ * @route   POST /api/music/codes/registrants
+ * @desc    Add an ISRC registrant (country_code, registrant_code, label_id, is_default)
+ * @access  Private (Admin)
+ */
+router.post('/registrants',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.createRegistrant
+);
+
+/**
+ * @route   PATCH /api/music/codes/registrants/:id
+ * @desc    Activate, deactivate or make an ISRC registrant its label's default
+ * @access  Private (Admin)
+ */
+router.patch('/registrants/:id',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.updateRegistrant
+);
+
+/**
+ * @route   GET /api/music/codes/prefixes
+ * @desc    List GS1 company prefixes with remaining capacity
+ * @access  Private (Admin)
+ */
+router.get('/prefixes',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.getPrefixes
+);
+
+/**
+ * @route   POST /api/music/codes/prefixes
+ * @desc    Add a GS1 company prefix (company_prefix, code_format upc|ean, starting_item_reference)
+ * @access  Private (Admin)
+ */
+router.post('/prefixes',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.createPrefix
+);
+
+/**
+ * @route   PATCH /api/music/codes/prefixes/:id
+ * @desc    Activate, deactivate or make a company prefix its label's default
+ * @access  Private (Admin)
+ */
+router.patch('/prefixes/:id',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.updatePrefix
+);
+
+// ========== Assignment ==========
+
+/**
+ * @route   POST /api/music/codes/tracks/:trackId/isrc
+ * @desc    Assign the next ISRC to a track, or register an existing one ({ isrc })
+ * @access  Private
+ */
+router.post('/tracks/:trackId/isrc',
+    requireAuth,
+    CodeRegistryController.assignTrackIsrc
+);
+
+/**
+ * @route   POST /api/music/codes/releases/:releaseId/upc
+ * @desc    Assign the next UPC/EAN to a release, or register an existing one ({ upc })
+ * @access  Private
+ */
+router.post('/releases/:releaseId/upc',
+    requireAuth,
+    CodeRegistryController.assignReleaseUpc
+);
+
+/**
+ * @route   POST /api/music/codes/releases/:releaseId/assign
+ * @desc    Assign the release UPC and every missing track ISRC in one step
+ * @access  Private
+ */
+router.post('/releases/:releaseId/assign',
+    requireAuth,
+    CodeRegistryController.assignReleaseCodes
+);
+
+// ========== Registry ==========
+
+/**
+ * @route   GET /api/music/codes/lookup/:code
+ * @desc    Validate an ISRC, UPC or EAN (check digit) and show its registry entry
+ * @access  Private
+ */
+router.get('/lookup/:code',
+    requireAuth,
+    CodeRegistryController.lookupCode
+);
+
+/**
+ * @route   POST /api/music/codes/:type/allocate
+ * @desc    Pre-allocate a block of ISRCs ({ registrant_id, count }) or UPCs ({ prefix_id, count })
+ * @access  Private (Admin)
+ */
+router.post('/:type(isrc|upc)/allocate',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.allocateCodes
+);
+
+/**
+ * @route   POST /api/music/codes/:type/cancel
+ * @desc    Cancel allocated or assigned codes ({ codes, reason }); delivered codes cannot be cancelled
+ * @access  Private (Admin)
+ */
+router.post('/:type(isrc|upc)/cancel',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.cancelCodes
+);
+
+/**
+ * @route   GET /api/music/codes/:type
+ * @desc    List ISRC or UPC registry entries by status, registrant/prefix or code prefix
+ * @access  Private (Admin)
+ */
+router.get('/:type(isrc|upc)',
+    requireAuth,
+    requireRole(['admin']),
+    CodeRegistryController.getCodes
+);
+
+module.exports = router;
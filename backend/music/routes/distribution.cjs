@@ -146,6 +146,26 @@ router.get('/releases/:releaseId/timeline',
     DistributionController.getDistributionTimeline
 );
 
+/**
+ * @route   GET /api/music/distribution/releases/:releaseId/ddex
+ * @desc    Generate DDEX ERN 4.3 NewReleaseMessage for release
+ * @access  Private
+ */
+router.get('/releases/:releaseId/ddex', 
+    requireAuth,
+    DistributionController.generateDdexMessage
+);
+
+/**
+ * @route   POST /api/music/distribution/ddex/validate
+ * @desc    Validate DDEX ERN message
+ * @access  Private
+ */
+router.post('/ddex/validate', 
+    requireAuth,
+    DistributionController.validateDdexMessage
+);
+
 // ========== Platform-Specific Distribution ==========
 
 /**
@@ -305,7 +305,7 @@ router.get('/reports/:id',
 
 /**
  * @route   POST /api/music/financials/reports/:id/export
- * @desc    Export financial report
+ * @desc    Export royalty statement as PDF, CSV or XLSX
  * @access  Private
  */
 router.post('/reports/:id/export', 
@@ -316,14 +316,26 @@ router.post('/reports/:id/export',
 
 /**
  * @route   GET /api/music/financials/reports/tax/1099
- * @desc    Get 1099 tax forms
- * @access  Private
+ * @desc    Get 1099 tax forms (format=fire for the IRS FIRE file)
+ * @access  Private (Admin only)
  */
 router.get('/reports/tax/1099', 
     requireAuth,
+    requireRole(['admin', 'finance']),
     FinancialsController.get1099Forms
 );
 
+/**
+ * @route   GET /api/music/financials/reports/tax/summary/:artistId
+ * @desc    Get payee annual tax summary
+ * @access  Private (Admin only)
+ */
+router.get('/reports/tax/summary/:artistId', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getPayeeTaxSummary
+);
+
 // ========== Expense Management ==========
 
 /**
@@ -378,6 +390,222 @@ router.get('/expenses/categories',
     FinancialsController.getExpenseCategories
 );
 
+// ========== Recoupment ==========
+
+/**
+ * @route   GET /api/music/financials/recoupment
+ * @desc    Get recouped and outstanding costs per release
+ * @access  Private
+ */
+router.get('/recoupment', 
+    requireAuth,
+    FinancialsController.getRecoupmentStatus
+);
+
+/**
+ * @route   GET /api/music/financials/recoupment/ledger
+ * @desc    Get recoupment ledger entries (by artist, statement or expense)
+ * @access  Private (Admin only)
+ */
+router.get('/recoupment/ledger', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getRecoupmentLedger
+);
+
+/**
+ * @route   GET /api/music/financials/recoupment/contracts
+ * @desc    Get recoupment contracts
+ * @access  Private (Admin only)
+ */
+router.get('/recoupment/contracts', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getRecoupmentContracts
+);
+
+/**
+ * @route   POST /api/music/financials/recoupment/contracts
+ * @desc    Create recoupment contract (waterfall and recoupment percentage)
+ * @access  Private (Admin only)
+ */
+router.post('/recoupment/contracts', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.createRecoupmentContract
+);
+
+/**
+ * @route   PUT /api/music/financials/recoupment/contracts/:id
+ * @desc    Update recoupment contract terms
+ * @access  Private (Admin only)
+ */
+router.put('/recoupment/contracts/:id', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.updateRecoupmentContract
+);
+
+// ========== General Ledger ==========
+
+/**
+ * @route   GET /api/music/financials/ledger/accounts
+ * @desc    Get ledger accounts with balances
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/accounts', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getLedgerAccounts
+);
+
+/**
+ * @route   GET /api/music/financials/ledger/accounts/:id/statement
+ * @desc    Get account statement with running balance
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/accounts/:id/statement', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getAccountStatement
+);
+
+/**
+ * @route   GET /api/music/financials/ledger/trial-balance
+ * @desc    Get trial balance as of a date
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/trial-balance', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getTrialBalance
+);
+
+/**
+ * @route   GET /api/music/financials/ledger/entries
+ * @desc    Get journal entries (by source or date)
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/entries', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getJournalEntries
+);
+
+/**
+ * @route   GET /api/music/financials/ledger/entries/:id
+ * @desc    Get journal entry with its lines
+ * @access  Private (Admin only)
+ */
+router.get('/ledger/entries/:id', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getJournalEntry
+);
+
+/**
+ * @route   POST /api/music/financials/ledger/entries
+ * @desc    Post manual journal entry
+ * @access  Private (Admin only)
+ */
+router.post('/ledger/entries', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.createJournalEntry
+);
+
+// ========== Payee Tax ==========
+
+/**
+ * @route   GET /api/music/financials/tax/profiles
+ * @desc    Get payee tax profiles
+ * @access  Private (Admin only)
+ */
+router.get('/tax/profiles', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getTaxProfiles
+);
+
+/**
+ * @route   GET /api/music/financials/tax/treaty-rates
+ * @desc    Get treaty withholding rates
+ * @access  Private (Admin only)
+ */
+router.get('/tax/treaty-rates', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getTreatyRates
+);
+
+/**
+ * @route   PUT /api/music/financials/tax/treaty-rates/:country
+ * @desc    Set treaty withholding rate
+ * @access  Private (Admin only)
+ */
+router.put('/tax/treaty-rates/:country', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.setTreatyRate
+);
+
+// ========== Statement Templates ==========
+
+/**
+ * @route   GET /api/music/financials/statement-templates
+ * @desc    Get statement templates
+ * @access  Private (Admin only)
+ */
+router.get('/statement-templates', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getStatementTemplates
+);
+
+/**
+ * @route   POST /api/music/financials/statement-templates
+ * @desc    Create statement template
+ * @access  Private (Admin only)
+ */
+router.post('/statement-templates', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.createStatementTemplate
+);
+
+/**
+ * @route   GET /api/music/financials/statement-templates/:id
+ * @desc    Get statement template
+ * @access  Private (Admin only)
+ */
+router.get('/statement-templates/:id', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.getStatementTemplate
+);
+
+/**
+ * @route   PUT /api/music/financials/statement-templates/:id
+ * @desc    Update statement template
+ * @access  Private (Admin only)
+ */
+router.put('/statement-templates/:id', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.updateStatementTemplate
+);
+
+/**
+ * @route   DELETE /api/music/financials/statement-templates/:id
+ * @desc    Delete statement template
+ * @access  Private (Admin only)
+ */
+router.delete('/statement-templates/:id', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    FinancialsController.deleteStatementTemplate
+);
+
 // ========== Financial Goals & Budgeting ==========
 
 /**
@@ -457,7 +685,7 @@ router.get('/currencies',
 
 /**
  * @route   GET /api/music/financials/exchange-rates
- * @desc    Get current exchange rates
+ * @desc    Get current exchange rates, or those of a past date (?date=YYYY-MM-DD)
  * @access  Private
  */
 router.get('/exchange-rates', 
@@ -467,7 +695,7 @@ router.get('/exchange-rates',
 
 /**
  * @route   POST /api/music/financials/currency/convert
- * @desc    Convert currency amounts
+ * @desc    Convert currency amounts (at a date's rate when `date` is given)
  * @access  Private
  */
 router.post('/currency/convert', 
@@ -511,6 +739,17 @@ router.post('/admin/process-payouts',
     PayoutsController.processPayouts
 );
 
+/**
+ * @route   POST /api/music/financials/admin/exchange-rates/import
+ * @desc    Import daily exchange rates (feed: daily, 90d or history)
+ * @access  Private (Admin only)
+ */
+router.post('/admin/exchange-rates/import', 
+    requireAuth,
+    requireRole(['admin']),
+    FinancialsController.importExchangeRates
+);
+
 /**
  * @route   GET /api/music/financials/admin/financial-health
  * @desc    Get platform financial health metrics
@@ -19,6 +19,7 @@ const notificationsRoutes = require('./notifications.cjs');
 const artistRoutes = require('./artist.routes.cjs');
 const royaltyRoutes = require('./royalty.routes.cjs');
 const payoutRoutes = require('./payout.routes.cjs');
+const codesRoutes = require('./codes.cjs');
 
 // Import middleware
 const logger = require('../config/logger.cjs');
@@ -85,6 +86,12 @@ router.use('/royalties', royaltyRoutes);
  */
 router.use('/payouts-new', payoutRoutes);
 
+/**
+ * ISRC and UPC/EAN code registry routes
+ * All routes under /api/music/codes
+ */
+router.use('/codes', codesRoutes);
+
 /**
  * Notifications management routes
  * All routes under /api/music/notifications
@@ -140,6 +147,11 @@ router.get('/', (req, res) => {
                 methods: ['GET', 'POST', 'PUT'],
                 description: 'Royalty payouts and earnings management'
             },
+            codes: {
+                base: '/api/music/codes',
+                methods: ['GET', 'POST', 'PATCH'],
+                description: 'ISRC and UPC/EAN allocation and assignment'
+            },
             notifications: {
                 base: '/api/music/notifications',
                 methods: ['GET', 'POST', 'PUT', 'DELETE'],
@@ -317,6 +317,17 @@ router.post('/tax/w9',
     PayoutsController.submitW9Form
 );
 
+/**
+ * @route   POST /api/music/payouts/tax/w8ben
+ * @desc    Submit W-8BEN / W-8BEN-E tax form
+ * @access  Private
+ */
+router.post('/tax/w8ben', 
+    requireAuth,
+    validateRequest('submitW8BenForm'),
+    PayoutsController.submitW8BenForm
+);
+
 /**
  * @route   GET /api/music/payouts/tax/1099/:year
  * @desc    Get 1099 form for specific year
@@ -429,7 +440,7 @@ router.get('/admin/queue',
 
 /**
  * @route   POST /api/music/payouts/admin/process-batch
- * @desc    Process batch of payouts
+ * @desc    Generate SEPA, ACH and PayPal payment files for approved payouts
  * @access  Private (Admin only)
  */
 router.post('/admin/process-batch', 
@@ -438,6 +449,83 @@ router.post('/admin/process-batch',
     PayoutsController.processBatchPayouts
 );
 
+/**
+ * @route   GET /api/music/payouts/admin/batches
+ * @desc    List payment batches
+ * @access  Private (Admin only)
+ */
+router.get('/admin/batches', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.getPayoutBatches
+);
+
+/**
+ * @route   GET /api/music/payouts/admin/batches/:batchId
+ * @desc    Get payment batch with its payouts
+ * @access  Private (Admin only)
+ */
+router.get('/admin/batches/:batchId', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.getPayoutBatch
+);
+
+/**
+ * @route   GET /api/music/payouts/admin/batches/:batchId/file
+ * @desc    Download payment file (pain.001 XML, NACHA, PayPal CSV)
+ * @access  Private (Admin only)
+ */
+router.get('/admin/batches/:batchId/file', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.downloadPayoutBatchFile
+);
+
+/**
+ * @route   POST /api/music/payouts/admin/batches/:batchId/submit
+ * @desc    Mark payment batch as sent
+ * @access  Private (Admin only)
+ */
+router.post('/admin/batches/:batchId/submit', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.submitPayoutBatch
+);
+
+/**
+ * @route   POST /api/music/payouts/admin/batches/:batchId/settle
+ * @desc    Complete payouts not confirmed by a bank file (PayPal, ACH after the return window)
+ * @access  Private (Admin only)
+ */
+router.post('/admin/batches/:batchId/settle', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.settlePayoutBatch
+);
+
+/**
+ * @route   POST /api/music/payouts/admin/batches/:batchId/cancel
+ * @desc    Cancel payment batch before submission
+ * @access  Private (Admin only)
+ */
+router.post('/admin/batches/:batchId/cancel', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.cancelPayoutBatch
+);
+
+/**
+ * @route   POST /api/music/payouts/admin/reconciliation
+ * @desc    Import camt.054 or ACH return file to complete or fail payouts
+ * @access  Private (Admin only)
+ */
+router.post('/admin/reconciliation', 
+    requireAuth,
+    requireRole(['admin', 'finance']),
+    PayoutsController.importReconciliationFile
+);
+
 /**
  * @route   GET /api/music/payouts/admin/analytics
  * @desc    Get admin payout analytics
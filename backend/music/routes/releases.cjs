@@ -11,6 +11,7 @@ const router = express.Router();
 const ReleaseController = require('../controllers/release.controller.cjs');
 const DistributionController = require('../controllers/distribution.controller.cjs');
 const AnalyticsController = require('../controllers/analytics.controller.cjs');
+const ArtworkController = require('../controllers/artwork.controller.cjs');
 
 // Import middleware
 const { validateRequest } = require('../../middleware/validate.cjs');
@@ -249,6 +250,38 @@ router.put('/:id/metadata',
     ReleaseController.updateReleaseMetadata
 );
 
+// ========== Release Artwork ==========
+
+/**
+ * @route   GET /api/music/releases/:id/artwork
+ * @desc    Get release artwork with its inspection and platform variants
+ * @access  Private
+ */
+router.get('/:id/artwork', 
+    requireAuth,
+    ArtworkController.getArtwork
+);
+
+/**
+ * @route   POST /api/music/releases/:id/artwork
+ * @desc    Upload cover artwork (multipart field "artwork"); validated per platform and rendered into delivery variants
+ * @access  Private
+ */
+router.post('/:id/artwork', 
+    requireAuth,
+    ArtworkController.uploadArtwork
+);
+
+/**
+ * @route   POST /api/music/releases/:id/artwork/validate
+ * @desc    Check cover artwork against platform requirements without storing it
+ * @access  Private
+ */
+router.post('/:id/artwork/validate', 
+    requireAuth,
+    ArtworkController.validateArtwork
+);
+
 // ========== Release Collaborators ==========
 
 /**
@@ -41,4 +41,15 @@ router.post('/admin/statements/generate', RoyaltyController.generateRoyaltyState
 // Process royalty calculations (admin)
 router.post('/admin/calculate', RoyaltyController.calculateRoyalties);
 
+// Unmatched report lines (admin)
+router.get('/admin/unmatched', RoyaltyController.getUnmatchedLines);
+router.post('/admin/unmatched/assign', RoyaltyController.assignUnmatchedLines);
+router.post('/admin/unmatched/ignore', RoyaltyController.ignoreUnmatchedLines);
+router.get('/admin/unmatched/:lineId', RoyaltyController.getUnmatchedLine);
+
+// Report line mapping rules (admin)
+router.get('/admin/mapping-rules', RoyaltyController.getMappingRules);
+router.post('/admin/mapping-rules', RoyaltyController.createMappingRule);
+router.delete('/admin/mapping-rules/:ruleId', RoyaltyController.deleteMappingRule);
+
 module.exports = router;
@@ -113,6 +113,16 @@ router.get('/:id/audio/waveform',
     TrackController.getWaveform
 );
 
+/**
+ * @route   POST /api/music/tracks/:id/audio/waveform
+ * @desc    Regenerate track waveform data from the master
+ * @access  Private
+ */
+router.post('/:id/audio/waveform', 
+    requireAuth,
+    TrackController.generateWaveform
+);
+
 /**
  * @route   POST /api/music/tracks/:id/audio/preview
  * @desc    Generate track preview clips
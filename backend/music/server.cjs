@@ -73,6 +73,23 @@ if (require.main === module) {
     console.log(`🎵 Music Distribution Server running on port ${PORT}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   });
+
+  // Background job workers; API-only instances can opt out with DISABLE_JOB_WORKERS=true
+  if (process.env.DISABLE_JOB_WORKERS !== 'true') {
+    const workers = [
+      require('./jobs/distribution.job.cjs'),
+      require('./jobs/royaltyIngestion.job.cjs')
+    ];
+    workers.forEach(worker => worker.start());
+
+    // Running jobs get a grace period, then go back to the queue for another worker
+    const shutdown = async () => {
+      await Promise.allSettled(workers.map(worker => worker.stop(20000)));
+      process.exit(0);
+    };
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+  }
 }
 
 module.exports = app;
@@ -0,0 +1,227 @@
+/**
+ * Artwork Service - Release Cover Inspection and Delivery Variants
+ * Decodes uploaded cover art, validates its real pixels against each
+ * platform's image spec and stores the resized JPEG variants platforms
+ * are delivered
+ */
+
+const crypto = require('crypto');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const { storageHelpers } = require('../../config/storage.cjs');
+const imageUtil = require('../../utils/image.util.cjs');
+const imageSpecs = require('../utils/imageSpecs.util.cjs');
+
+class ArtworkService {
+    static async getRelease(releaseId) {
+        const result = await db.query('SELECT id, title, status, artwork FROM releases WHERE id = $1', [releaseId]);
+        if (result.rows.length === 0) {
+            throw new AppError('Release not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Requested platforms, defaulting to every platform with an image spec
+     */
+    static resolvePlatforms(platforms = []) {
+        if (platforms.length === 0) return imageSpecs.getSupportedPlatforms();
+
+        const unknown = platforms.filter(platform => !imageSpecs.getPlatformSpecs(platform));
+        if (unknown.length > 0) {
+            throw new AppError(`Unsupported platforms: ${unknown.join(', ')}. Supported: ${imageSpecs.getSupportedPlatforms().join(', ')}`, 400);
+        }
+        return platforms;
+    }
+
+    /**
+     * Inspect and decode an image, then validate it for the platforms
+     * @returns {Object} { inspection, image, validation }
+     */
+    static analyze(buffer, platforms) {
+        let inspection;
+        try {
+            inspection = imageUtil.inspectImage(buffer);
+        } catch (error) {
+            throw new AppError(`Artwork cannot be read: ${error.message}`, 422);
+        }
+
+        // CMYK covers fail validation on their color mode; anything else must decode
+        let image = null;
+        if (inspection.color_mode !== 'CMYK') {
+            if (!inspection.decodable) {
+                throw new AppError('Artwork uses a JPEG encoding that cannot be processed; save it as a baseline or progressive JPEG', 422);
+            }
+            try {
+                image = imageUtil.decodeImage(buffer);
+            } catch (error) {
+                throw new AppError(`Artwork cannot be decoded: ${error.message}`, 422);
+            }
+            inspection.transparent = imageUtil.hasTransparency(image);
+        }
+
+        const validation = imageSpecs.validateImageForPlatforms(imageSpecs.fromInspection(inspection), platforms);
+        return { inspection, image, validation };
+    }
+
+    /**
+     * Check a cover without storing anything
+     */
+    static validateArtwork(buffer, options = {}) {
+        const platforms = this.resolvePlatforms(options.platforms);
+        const { inspection, validation } = this.analyze(buffer, platforms);
+
+        return {
+            is_valid: validation.summary.incompatible.length === 0,
+            inspection,
+            validation
+        };
+    }
+
+    /**
+     * Validate and store a release cover with its platform variants. Artwork
+     * failing any requested platform is not stored
+     * @param {Object} release - releases row
+     * @param {Object} file - { buffer, originalname }
+     * @param {Object} options - { platforms }
+     * @returns {Object} { accepted, inspection, validation, artwork }
+     */
+    static async uploadArtwork(release, file, options = {}) {
+        const platforms = this.resolvePlatforms(options.platforms);
+        const { inspection, image, validation } = this.analyze(file.buffer, platforms);
+
+        if (validation.summary.incompatible.length > 0) {
+            logger.warn('Release artwork rejected', {
+                releaseId: release.id,
+                incompatible: validation.summary.incompatible
+            });
+            return { accepted: false, inspection, validation };
+        }
+
+        const stamp = Date.now();
+        const basePath = `artwork/release_${release.id}/cover_${stamp}`;
+        const masterPath = `${basePath}.${inspection.format === 'png' ? 'png' : 'jpg'}`;
+        await storageHelpers.uploadFile(file.buffer, masterPath, { contentType: inspection.mime_type });
+
+        const { variants, platformVariants } = await this.renderVariants(image, file.buffer, inspection, platforms, basePath);
+
+        const artwork = {
+            ...(release.artwork || {}),
+            cover: {
+                url: storageHelpers.getPublicUrl(masterPath),
+                path: masterPath,
+                format: inspection.format,
+                width: inspection.width,
+                height: inspection.height,
+                file_size: inspection.file_size,
+                md5: crypto.createHash('md5').update(file.buffer).digest('hex'),
+                original_name: file.originalname || null,
+                uploaded_at: new Date(stamp).toISOString()
+            },
+            inspection,
+            validation,
+            variants,
+            platform_variants: platformVariants
+        };
+
+        await db.query('UPDATE releases SET artwork = $2, updated_at = NOW() WHERE id = $1', [release.id, JSON.stringify(artwork)]);
+        await this.removeReplacedFiles(release.id, release.artwork, artwork);
+
+        logger.info('Release artwork stored', {
+            releaseId: release.id,
+            dimensions: `${inspection.width}x${inspection.height}`,
+            variants: Object.keys(variants).length
+        });
+
+        return { accepted: true, inspection, validation, artwork };
+    }
+
+    /**
+     * Render and upload every planned variant as JPEG
+     * @returns {Object} { variants: { name: {...} }, platformVariants: { platform: name } }
+     */
+    static async renderVariants(image, buffer, inspection, platforms, basePath) {
+        const plan = imageSpecs.planVariants(imageSpecs.fromInspection(inspection), platforms);
+
+        // Keep a wide-gamut source profile so color-managed clients show the same colors
+        const iccProfile = inspection.icc_profile && inspection.icc_profile.color_space === 'RGB'
+            ? imageUtil.extractIccProfile(buffer)
+            : null;
+
+        const variants = {};
+        for (const variant of plan.variants) {
+            await new Promise(resolve => setImmediate(resolve));
+
+            const rendered = imageUtil.renderJpeg(image, {
+                width: variant.width,
+                height: variant.height,
+                fit: variant.fit,
+                quality: variant.quality,
+                maxFileSize: variant.maxFileSize,
+                iccProfile
+            });
+            const filePath = `${basePath}${variant.suffix}.jpg`;
+            await storageHelpers.uploadFile(rendered.buffer, filePath, { contentType: 'image/jpeg' });
+
+            variants[variant.name] = {
+                url: storageHelpers.getPublicUrl(filePath),
+                path: filePath,
+                format: 'jpeg',
+                width: rendered.width,
+                height: rendered.height,
+                quality: rendered.quality,
+                file_size: rendered.file_size,
+                fit: variant.fit,
+                platforms: variant.platforms
+            };
+        }
+
+        return { variants, platformVariants: plan.platforms };
+    }
+
+    /**
+     * Delete the previous cover and its variants once the new ones are saved
+     */
+    static async removeReplacedFiles(releaseId, previous, current) {
+        if (!previous) return;
+
+        const keep = new Set([current.cover.path, ...Object.values(current.variants).map(variant => variant.path)]);
+        const paths = [
+            previous.cover && previous.cover.path,
+            ...Object.values(previous.variants || {}).map(variant => variant.path)
+        ].filter(path => path && !keep.has(path));
+
+        for (const path of paths) {
+            try {
+                await storageHelpers.deleteFile(path);
+            } catch (error) {
+                logger.warn('Could not remove replaced artwork file', { releaseId, path, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Stored variant for a platform's delivery, falling back to the cover
+     * itself for artwork stored before variants were rendered
+     */
+    static getPlatformArtwork(artwork, platform) {
+        if (!artwork) return null;
+
+        const variantName = artwork.platform_variants && artwork.platform_variants[platform];
+        if (variantName && artwork.variants && artwork.variants[variantName]) {
+            return artwork.variants[variantName];
+        }
+
+        const result = artwork.validation && artwork.validation.platforms && artwork.validation.platforms[platform];
+        if (result && !result.isValid) {
+            throw new AppError(`Artwork does not meet ${platform} requirements: ${result.errors.join('; ')}`, 422);
+        }
+
+        const cover = artwork.cover || artwork;
+        const url = cover.url || cover.coverImage || artwork.coverImage;
+        return url ? { url, width: cover.width, height: cover.height, format: cover.format } : null;
+    }
+}
+
+module.exports = ArtworkService;
@@ -0,0 +1,190 @@
+/**
+ * Audio Inspection Service - Server-Side Checks of Uploaded Masters
+ * Reads the stored audio file of a track, records what it really contains
+ * and compares that with the specs and ISRC declared for the track
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const audioInspector = require('../utils/audioInspector.util.cjs');
+const audioSpecs = require('../utils/audioSpecs.util.cjs');
+const pcmDecoder = require('../utils/pcmDecoder.util.cjs');
+
+const MAX_REMOTE_AUDIO_BYTES = 500 * 1024 * 1024;
+
+class AudioInspectionService {
+    /**
+     * Track row with its audio file reference and declared specs
+     */
+    static async getTrack(trackId) {
+        const result = await db.query('SELECT * FROM tracks WHERE id = $1', [trackId]);
+        if (result.rows.length === 0) {
+            throw new AppError('Track not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Inspect a file just received by multer
+     */
+    static async inspectUpload(file) {
+        const inspection = await audioInspector.inspectFile(file.path, { filename: file.originalname });
+        inspection.file_name = file.originalname;
+        return inspection;
+    }
+
+    /**
+     * Inspect a track's stored audio, persist the result and report
+     * mismatches and platform compliance based on the real file
+     */
+    static async inspectTrack(track, options = {}) {
+        const { platforms = [], save = true } = options;
+
+        const reference = this.getAudioReference(track);
+        const buffer = await this.readAudio(reference);
+        const inspection = audioInspector.inspect(buffer, { filename: reference.split('?')[0] });
+        const mismatches = audioInspector.compareWithDeclared(inspection, this.getDeclaredSpecs(track));
+
+        if (save) {
+            await this.saveInspection(track.id, inspection);
+        }
+
+        const audioData = audioSpecs.fromInspection(inspection);
+        const targetPlatforms = platforms.length > 0 ? platforms : audioSpecs.getSupportedPlatforms();
+
+        logger.info('Audio file inspected', {
+            trackId: track.id,
+            format: inspection.format,
+            errors: inspection.errors.length,
+            mismatches: mismatches.length
+        });
+
+        return {
+            track_id: track.id,
+            inspection,
+            mismatches,
+            duplicates: await this.findDuplicateMasters(track.id, inspection.checksums && inspection.checksums.sha256),
+            is_valid: inspection.errors.length === 0 && !mismatches.some(m => m.severity === 'error'),
+            platform_validation: inspection.format ? audioSpecs.validateAudioForPlatforms(audioData, targetPlatforms) : null,
+            quality: inspection.format ? audioSpecs.assessAudioQuality(audioData) : null
+        };
+    }
+
+    /**
+     * Storage URL or upload path of the track's master
+     */
+    static getAudioReference(track) {
+        const reference = track.audio_file_url || track.file_url || track.audio_file;
+        if (!reference) {
+            throw new AppError('Track has no audio file', 400);
+        }
+        return reference;
+    }
+
+    /**
+     * Master loaded for sample-level work (loudness, peaks, previews)
+     * @param {string} purpose - Named in the error when the file cannot be decoded
+     * @returns {Object} { reference, buffer, inspection }
+     */
+    static async loadDecodableAudio(track, purpose) {
+        const reference = this.getAudioReference(track);
+        const buffer = await this.readAudio(reference);
+        const inspection = audioInspector.inspect(buffer, { filename: reference.split('?')[0], checksums: false });
+
+        if (inspection.errors.length > 0) {
+            throw new AppError(`Audio file cannot be analysed: ${inspection.errors.join('; ')}`, 422);
+        }
+        if (!pcmDecoder.canDecode(inspection)) {
+            throw new AppError(`${purpose} needs a WAV, AIFF or FLAC master; ${inspection.codec} audio cannot be decoded`, 422);
+        }
+
+        return { reference, buffer, inspection };
+    }
+
+    /**
+     * Specs stored with the track, in compareWithDeclared() terms
+     */
+    static getDeclaredSpecs(track) {
+        let duration = track.duration_ms;
+        if (!duration && track.duration) {
+            duration = track.duration * 1000; // legacy column holds seconds
+        }
+
+        return {
+            format: track.audio_file_format || track.file_format,
+            sampleRate: track.sample_rate,
+            bitDepth: track.bit_depth,
+            channels: track.audio_channels,
+            duration,
+            bitrate: track.audio_bitrate,
+            isrc: track.isrc
+        };
+    }
+
+    static async saveInspection(trackId, inspection) {
+        await db.query(`
+            UPDATE tracks
+            SET audio_metadata = $2,
+                audio_checksum_sha256 = $3,
+                audio_inspected_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [trackId, JSON.stringify(inspection), inspection.checksums ? inspection.checksums.sha256 : null]);
+    }
+
+    /**
+     * Other tracks carrying the exact same file
+     */
+    static async findDuplicateMasters(trackId, sha256) {
+        if (!sha256) return [];
+
+        const result = await db.query(`
+            SELECT id, title, release_id, isrc
+            FROM tracks
+            WHERE audio_checksum_sha256 = $1 AND id <> $2
+        `, [sha256, trackId]);
+        return result.rows;
+    }
+
+    /**
+     * Load audio from a storage URL or from the local upload directory
+     */
+    static async readAudio(reference) {
+        if (/^https?:\/\//i.test(reference)) {
+            const response = await fetch(reference);
+            if (!response.ok) {
+                throw new AppError(`Could not download audio file (HTTP ${response.status})`, 502);
+            }
+
+            const length = Number(response.headers.get('content-length'));
+            if (length > MAX_REMOTE_AUDIO_BYTES) {
+                throw new AppError('Audio file is too large to inspect', 413);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+
+        const uploadDir = path.resolve(process.env.AUDIO_UPLOAD_DIR || './uploads/audio');
+        const localPath = reference.replace(/^file:\/\//, '');
+        // multer records paths relative to the working directory; bare names live in the upload dir
+        const filePath = path.isAbsolute(localPath) || localPath.startsWith('.')
+            ? path.resolve(localPath)
+            : path.resolve(uploadDir, localPath);
+        if (filePath !== uploadDir && !filePath.startsWith(uploadDir + path.sep)) {
+            throw new AppError('Audio file path is outside the upload directory', 400);
+        }
+
+        try {
+            return await fs.promises.readFile(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new AppError('Audio file not found in storage', 404);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = AudioInspectionService;
@@ -0,0 +1,185 @@
+/**
+ * Audio Preview Service - Waveforms and Preview Clips for Tracks
+ * Builds cached multi-resolution peak data from the stored master and
+ * renders faded 30/60/90 second preview clips into storage
+ */
+
+const crypto = require('crypto');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const { storageHelpers } = require('../../config/storage.cjs');
+const AudioInspectionService = require('./audioInspection.service.cjs');
+const waveformUtil = require('../utils/waveform.util.cjs');
+const previewClip = require('../utils/previewClip.util.cjs');
+
+class AudioPreviewService {
+    /**
+     * Cached waveform of the track, rebuilt when missing, forced or made
+     * from a different master than the one now inspected
+     * @param {Object} track - tracks row
+     * @param {Object} options - { refresh, master }
+     */
+    static async getWaveform(track, options = {}) {
+        const { refresh = false, master = null } = options;
+
+        if (!refresh && this.isWaveformCurrent(track)) {
+            return track.waveform_data;
+        }
+        return this.generateWaveform(track, master);
+    }
+
+    static isWaveformCurrent(track) {
+        const cached = track.waveform_data;
+        if (!cached || !Array.isArray(cached.levels) || cached.levels.length === 0) return false;
+        return !track.audio_checksum_sha256 || cached.source_sha256 === track.audio_checksum_sha256;
+    }
+
+    static async generateWaveform(track, master = null) {
+        const { buffer, inspection } = master || await AudioInspectionService.loadDecodableAudio(track, 'Waveform generation');
+
+        let waveform;
+        try {
+            waveform = await waveformUtil.generate(buffer, inspection);
+        } catch (error) {
+            throw new AppError(`Audio file cannot be decoded: ${error.message}`, 422);
+        }
+        waveform.source_sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        await db.query(`
+            UPDATE tracks
+            SET waveform_data = $2,
+                waveform_generated_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [track.id, JSON.stringify(waveform)]);
+
+        logger.info('Track waveform generated', {
+            trackId: track.id,
+            levels: waveform.levels.length,
+            pixels: waveform.levels[0].length
+        });
+
+        return waveform;
+    }
+
+    /**
+     * Render a preview clip and store it
+     * @param {Object} track - tracks row
+     * @param {Object} options - { duration, startTime (null = loudest section), fadeIn, fadeOut, format }
+     */
+    static async generatePreview(track, options = {}) {
+        const {
+            duration = 30,
+            startTime = null,
+            fadeIn = previewClip.defaults.fadeIn,
+            fadeOut = previewClip.defaults.fadeOut,
+            format = 'wav'
+        } = options;
+
+        if (!previewClip.durations.includes(duration)) {
+            throw new AppError(`Preview duration must be one of ${previewClip.durations.join(', ')} seconds`, 400);
+        }
+        if (format !== 'wav') {
+            throw new AppError('Preview clips are rendered as WAV', 400);
+        }
+        if (startTime !== null && (!Number.isFinite(startTime) || startTime < 0)) {
+            throw new AppError('Preview start time must be a number of seconds from the start of the track', 400);
+        }
+        if (![fadeIn, fadeOut].every(fade => Number.isFinite(fade) && fade >= 0) || fadeIn + fadeOut > duration) {
+            throw new AppError('Fades must be non-negative and fit inside the preview', 400);
+        }
+
+        const master = await AudioInspectionService.loadDecodableAudio(track, 'Preview rendering');
+        const { inspection } = master;
+
+        // Peaks pick the loudest section and give the length of streams that don't declare it
+        const waveform = startTime === null || !inspection.duration_ms
+            ? await this.getWaveform(track, { master })
+            : null;
+        const trackSeconds = (inspection.duration_ms || waveform.duration_ms) / 1000;
+        const requestedStart = startTime === null
+            ? previewClip.suggestStart(waveform.levels[0], duration)
+            : startTime;
+        const clipWindow = previewClip.resolveWindow(trackSeconds, Math.round(requestedStart), duration);
+
+        let clip;
+        try {
+            clip = await previewClip.render(master.buffer, inspection, {
+                start: clipWindow.start,
+                duration: clipWindow.duration,
+                fadeIn,
+                fadeOut
+            });
+        } catch (error) {
+            throw new AppError(`Audio file cannot be decoded: ${error.message}`, 422);
+        }
+
+        const filePath = `previews/track_${track.id}_${duration}s_${Date.now()}.wav`;
+        await storageHelpers.uploadFile(clip.buffer, filePath, { contentType: 'audio/wav' });
+
+        const preview = {
+            url: storageHelpers.getPublicUrl(filePath),
+            path: filePath,
+            format: 'wav',
+            duration,
+            start_time: clipWindow.start,
+            auto_start: startTime === null,
+            truncated: clipWindow.truncated,
+            fade_in: fadeIn,
+            fade_out: fadeOut,
+            sample_rate: clip.sample_rate,
+            channels: clip.channels,
+            bit_depth: clip.bit_depth,
+            duration_ms: clip.duration_ms,
+            size: clip.buffer.length,
+            generated_at: new Date().toISOString()
+        };
+
+        await this.savePreview(track, preview);
+
+        logger.info('Track preview rendered', {
+            trackId: track.id,
+            duration,
+            startTime: clipWindow.start,
+            autoStart: preview.auto_start
+        });
+
+        return preview;
+    }
+
+    /**
+     * Record the clip as the track's current preview, replacing an older
+     * clip of the same length
+     */
+    static async savePreview(track, preview) {
+        const previous = track.preview_clips && track.preview_clips[preview.duration];
+
+        await db.query(`
+            UPDATE tracks
+            SET preview_url = $2,
+                preview_start_time = $3,
+                preview_duration = $4,
+                preview_clips = COALESCE(preview_clips, '{}'::jsonb) || jsonb_build_object($5::text, $6::jsonb),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [
+            track.id,
+            preview.url,
+            preview.start_time,
+            preview.duration,
+            String(preview.duration),
+            JSON.stringify(preview)
+        ]);
+
+        if (previous && previous.path && previous.path !== preview.path) {
+            try {
+                await storageHelpers.deleteFile(previous.path);
+            } catch (error) {
+                logger.warn('Could not remove replaced preview clip', { trackId: track.id, path: previous.path, error: error.message });
+            }
+        }
+    }
+}
+
+module.exports = AudioPreviewService;
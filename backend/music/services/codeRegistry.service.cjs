@@ -0,0 +1,823 @@
+/**
+ * Code Registry Service - ISRC and UPC/EAN Allocation
+ * Issues sequential codes from label ISRC registrants and GS1 company
+ * prefixes, assigns them to tracks and releases, and follows each code
+ * through allocated -> assigned -> used (or cancelled). Codes are never
+ * reissued once cancelled
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const codes = require('../utils/identifierCodes.util.cjs');
+
+// Upper bound of codes pre-allocated by one request
+const MAX_BULK_ALLOCATION = 1000;
+
+const CODE_TYPES = {
+    isrc: { table: 'isrc_registry', column: 'isrc_code', owner: 'track_id', ownerTable: 'tracks', ownerColumn: 'isrc' },
+    upc: { table: 'upc_registry', column: 'upc_code', owner: 'release_id', ownerTable: 'releases', ownerColumn: 'upc' }
+};
+
+class CodeRegistryService {
+    static getCodeType(type) {
+        const spec = CODE_TYPES[type];
+        if (!spec) {
+            throw new AppError(`Unknown code type: ${type}. Supported: ${Object.keys(CODE_TYPES).join(', ')}`, 400);
+        }
+        return spec;
+    }
+
+    static normalizeCode(type, value) {
+        return type === 'isrc' ? codes.normalizeIsrc(value) : codes.normalizeGtin(value);
+    }
+
+    static parseCount(count) {
+        const value = parseInt(count === undefined ? 1 : count, 10);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_BULK_ALLOCATION) {
+            throw new AppError(`Count must be between 1 and ${MAX_BULK_ALLOCATION}`, 400);
+        }
+        return value;
+    }
+
+    /**
+     * Run work in a transaction, mapping unique violations to a conflict
+     */
+    static async withTransaction(work) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                throw new AppError(`Code already registered: ${error.detail || error.message}`, 409);
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ========== Registrants and Prefixes ==========
+
+    static async listRegistrants({ labelId, includeInactive = false } = {}) {
+        const params = [];
+        const conditions = [];
+
+        if (!includeInactive) conditions.push('r.is_active = true');
+        if (labelId) {
+            params.push(labelId);
+            conditions.push(`(r.label_id = $${params.length} OR r.label_id IS NULL)`);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await db.query(`
+            SELECT r.*, l.name AS label_name,
+                   (SELECT COUNT(*) FROM isrc_registry i WHERE i.registrant_id = r.id AND i.status = 'allocated') AS available_codes,
+                   (SELECT COUNT(*) FROM isrc_registry i WHERE i.registrant_id = r.id AND i.status IN ('assigned', 'used')) AS assigned_codes
+            FROM isrc_registrants r
+            LEFT JOIN labels l ON l.id = r.label_id
+            ${where}
+            ORDER BY r.label_id NULLS FIRST, r.is_default DESC, r.country_code, r.registrant_code
+        `, params);
+
+        return result.rows;
+    }
+
+    static async createRegistrant(data, userId = null) {
+        const {
+            label_id: labelId = null,
+            description = null,
+            is_default: isDefault = false
+        } = data;
+        const countryCode = String(data.country_code || '').toUpperCase();
+        const registrantCode = String(data.registrant_code || '').toUpperCase();
+
+        const problem = codes.validateRegistrant(countryCode, registrantCode);
+        if (problem) throw new AppError(problem, 400);
+
+        const registrant = await this.withTransaction(async (client) => {
+            if (isDefault) await this.clearDefault(client, 'isrc_registrants', labelId);
+
+            const result = await client.query(`
+                INSERT INTO isrc_registrants (label_id, country_code, registrant_code, description, is_default, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING *
+            `, [labelId, countryCode, registrantCode, description, Boolean(isDefault), userId]);
+            return result.rows[0];
+        });
+
+        logger.info('ISRC registrant added', { registrantId: registrant.id, prefix: `${countryCode}-${registrantCode}`, labelId });
+        return registrant;
+    }
+
+    static async listPrefixes({ labelId, includeInactive = false } = {}) {
+        const params = [];
+        const conditions = [];
+
+        if (!includeInactive) conditions.push('p.is_active = true');
+        if (labelId) {
+            params.push(labelId);
+            conditions.push(`(p.label_id = $${params.length} OR p.label_id IS NULL)`);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await db.query(`
+            SELECT p.*, l.name AS label_name,
+                   p.capacity - p.last_item_reference - 1 AS remaining_codes,
+                   (SELECT COUNT(*) FROM upc_registry u WHERE u.prefix_id = p.id AND u.status = 'allocated') AS available_codes
+            FROM gs1_prefixes p
+            LEFT JOIN labels l ON l.id = p.label_id
+            ${where}
+            ORDER BY p.label_id NULLS FIRST, p.is_default DESC, p.company_prefix
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Register a GS1 company prefix. Labels that already issued codes under
+     * it outside this system pass the first free item reference
+     */
+    static async createPrefix(data, userId = null) {
+        const {
+            label_id: labelId = null,
+            code_format: format = 'upc',
+            description = null,
+            is_default: isDefault = false,
+            starting_item_reference: startingReference = 0
+        } = data;
+        const companyPrefix = String(data.company_prefix || '').trim();
+
+        const problem = codes.validatePrefix(companyPrefix, format);
+        if (problem) throw new AppError(problem, 400);
+
+        const capacity = codes.prefixCapacity(companyPrefix, format);
+        const start = parseInt(startingReference, 10);
+        if (!Number.isInteger(start) || start < 0 || start >= capacity) {
+            throw new AppError(`Starting item reference must be between 0 and ${capacity - 1}`, 400);
+        }
+
+        const prefix = await this.withTransaction(async (client) => {
+            if (isDefault) await this.clearDefault(client, 'gs1_prefixes', labelId);
+
+            const result = await client.query(`
+                INSERT INTO gs1_prefixes (label_id, company_prefix, code_format, capacity, last_item_reference, description, is_default, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [labelId, companyPrefix, format, capacity, start - 1, description, Boolean(isDefault), userId]);
+            return result.rows[0];
+        });
+
+        logger.info('GS1 company prefix added', { prefixId: prefix.id, companyPrefix, format, capacity, labelId });
+        return prefix;
+    }
+
+    /**
+     * Activate/deactivate a registrant or prefix, or make it its label's default
+     */
+    static async updateSource(kind, id, data) {
+        const table = kind === 'registrant' ? 'isrc_registrants' : 'gs1_prefixes';
+
+        return this.withTransaction(async (client) => {
+            const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [id]);
+            if (current.rows.length === 0) {
+                throw new AppError(`${kind === 'registrant' ? 'ISRC registrant' : 'Company prefix'} not found`, 404);
+            }
+
+            const source = current.rows[0];
+            const isDefault = data.is_default !== undefined ? Boolean(data.is_default) : source.is_default;
+            const isActive = data.is_active !== undefined ? Boolean(data.is_active) : source.is_active;
+            if (isDefault && !source.is_default) await this.clearDefault(client, table, source.label_id);
+
+            const result = await client.query(`
+                UPDATE ${table}
+                SET is_default = $2, is_active = $3, description = COALESCE($4, description), updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [id, isDefault && isActive, isActive, data.description ?? null]);
+            return result.rows[0];
+        });
+    }
+
+    static async clearDefault(client, table, labelId) {
+        await client.query(
+            `UPDATE ${table} SET is_default = false, updated_at = NOW() WHERE label_id IS NOT DISTINCT FROM $1 AND is_default`,
+            [labelId]
+        );
+    }
+
+    /**
+     * Registrant to issue from: the requested one, else the label's default,
+     * else the distributor-wide default. Null when optional and none exists
+     */
+    static async resolveRegistrant(client, registrantId, labelId, optional = false) {
+        if (registrantId) {
+            const result = await client.query('SELECT * FROM isrc_registrants WHERE id = $1', [registrantId]);
+            return this.checkSource(result.rows[0], labelId, 'ISRC registrant');
+        }
+
+        const result = await client.query(`
+            SELECT * FROM isrc_registrants
+            WHERE is_default = true AND is_active = true AND (label_id = $1 OR label_id IS NULL)
+            ORDER BY label_id NULLS LAST
+            LIMIT 1
+        `, [labelId || null]);
+
+        if (result.rows.length === 0 && !optional) {
+            throw new AppError('No default ISRC registrant is configured for this label', 409);
+        }
+        return result.rows[0] || null;
+    }
+
+    static async resolvePrefix(client, prefixId, labelId, optional = false) {
+        if (prefixId) {
+            const result = await client.query('SELECT * FROM gs1_prefixes WHERE id = $1', [prefixId]);
+            return this.checkSource(result.rows[0], labelId, 'Company prefix');
+        }
+
+        const result = await client.query(`
+            SELECT * FROM gs1_prefixes
+            WHERE is_default = true AND is_active = true AND (label_id = $1 OR label_id IS NULL)
+            ORDER BY label_id NULLS LAST
+            LIMIT 1
+        `, [labelId || null]);
+
+        if (result.rows.length === 0 && !optional) {
+            throw new AppError('No default GS1 company prefix is configured for this label', 409);
+        }
+        return result.rows[0] || null;
+    }
+
+    static checkSource(source, labelId, name) {
+        if (!source) throw new AppError(`${name} not found`, 404);
+        if (!source.is_active) throw new AppError(`${name} is inactive`, 409);
+        if (source.label_id && labelId !== undefined && source.label_id !== labelId) {
+            throw new AppError(`${name} belongs to another label`, 403);
+        }
+        return source;
+    }
+
+    // ========== Allocation ==========
+
+    /**
+     * Pre-allocate a block of ISRCs for the current year of reference
+     */
+    static async allocateIsrcs({ registrantId, count } = {}, userId = null) {
+        const total = this.parseCount(count);
+        if (!registrantId) throw new AppError('registrant_id is required', 400);
+
+        const allocated = await this.withTransaction(async (client) => {
+            const result = await client.query('SELECT * FROM isrc_registrants WHERE id = $1', [registrantId]);
+            const registrant = this.checkSource(result.rows[0], undefined, 'ISRC registrant');
+            return this.allocateIsrcRows(client, registrant, total, userId);
+        });
+
+        logger.info('ISRC codes allocated', { registrantId, count: allocated.length, first: allocated[0].isrc_code });
+        return allocated;
+    }
+
+    /**
+     * Insert the next `count` designation codes. The sequence row is seeded
+     * from codes registered before the registrant was set up, and its update
+     * lock keeps concurrent allocations from overlapping
+     */
+    static async allocateIsrcRows(client, registrant, count, userId, year = codes.isrcYear()) {
+        await client.query(`
+            INSERT INTO isrc_sequences (registrant_id, year_of_reference, last_designation)
+            SELECT $1, $2, COALESCE(MAX(designation_code::int), 0)
+            FROM isrc_registry
+            WHERE registrant_code = $3 AND year_of_reference = $2 AND (country_code IS NULL OR country_code = $4)
+            ON CONFLICT (registrant_id, year_of_reference) DO NOTHING
+        `, [registrant.id, year, registrant.registrant_code, registrant.country_code]);
+
+        const sequence = await client.query(`
+            UPDATE isrc_sequences
+            SET last_designation = last_designation + $3, updated_at = NOW()
+            WHERE registrant_id = $1 AND year_of_reference = $2 AND last_designation + $3 <= $4
+            RETURNING last_designation
+        `, [registrant.id, year, count, codes.maxDesignation]);
+
+        if (sequence.rows.length === 0) {
+            throw new AppError(`Registrant ${registrant.country_code}-${registrant.registrant_code} cannot fit ${count} more designation code(s) in year ${year}`, 409);
+        }
+
+        const last = sequence.rows[0].last_designation;
+        const result = await client.query(`
+            INSERT INTO isrc_registry (
+                isrc_code, registrant_id, country_code, registrant_code, year_of_reference,
+                designation_code, allocated_date, allocated_by, status
+            )
+            SELECT $1::text || $2::text || $3::text || LPAD(n::text, 5, '0'), $4, $1, $2, $3,
+                   LPAD(n::text, 5, '0'), CURRENT_DATE, $5, 'allocated'
+            FROM generate_series($6::int, $7::int) AS n
+            RETURNING *
+        `, [registrant.country_code, registrant.registrant_code, year, registrant.id, userId, last - count + 1, last]);
+
+        return result.rows.sort((a, b) => a.isrc_code.localeCompare(b.isrc_code));
+    }
+
+    /**
+     * Pre-allocate a block of UPC/EAN codes from a company prefix
+     */
+    static async allocateUpcs({ prefixId, count } = {}, userId = null) {
+        const total = this.parseCount(count);
+        if (!prefixId) throw new AppError('prefix_id is required', 400);
+
+        const allocated = await this.withTransaction(async (client) => {
+            const result = await client.query('SELECT * FROM gs1_prefixes WHERE id = $1', [prefixId]);
+            const prefix = this.checkSource(result.rows[0], undefined, 'Company prefix');
+            return this.allocateUpcRows(client, prefix, total, userId);
+        });
+
+        logger.info('UPC codes allocated', { prefixId, count: allocated.length, first: allocated[0].upc_code });
+        return allocated;
+    }
+
+    static async allocateUpcRows(client, prefix, count, userId) {
+        const counter = await client.query(`
+            UPDATE gs1_prefixes
+            SET last_item_reference = last_item_reference + $2, updated_at = NOW()
+            WHERE id = $1 AND last_item_reference + $2 < capacity
+            RETURNING last_item_reference, capacity
+        `, [prefix.id, count]);
+
+        if (counter.rows.length === 0) {
+            throw new AppError(`Company prefix ${prefix.company_prefix} cannot fit ${count} more item reference(s)`, 409);
+        }
+
+        const last = Number(counter.rows[0].last_item_reference);
+        const references = [];
+        for (let reference = last - count + 1; reference <= last; reference++) references.push(reference);
+        const upcs = references.map(reference => codes.buildGtin(prefix.company_prefix, reference, prefix.code_format));
+
+        const result = await client.query(`
+            INSERT INTO upc_registry (upc_code, prefix_id, item_reference, allocated_date, allocated_by, status)
+            SELECT code, $1, reference, CURRENT_DATE, $2, 'allocated'
+            FROM unnest($3::text[], $4::bigint[]) AS t(code, reference)
+            RETURNING *
+        `, [prefix.id, userId, upcs, references]);
+
+        return result.rows.sort((a, b) => Number(a.item_reference) - Number(b.item_reference));
+    }
+
+    /**
+     * Take pre-allocated codes first, allocating the shortfall. Pooled ISRCs
+     * from an earlier year are left alone: the year of reference is the year
+     * of assignment
+     */
+    static async takeIsrcs(client, registrant, count, userId) {
+        const year = codes.isrcYear();
+        const pooled = await client.query(`
+            SELECT * FROM isrc_registry
+            WHERE registrant_id = $1 AND year_of_reference = $2 AND status = 'allocated' AND track_id IS NULL
+            ORDER BY isrc_code
+            LIMIT $3
+            FOR UPDATE SKIP LOCKED
+        `, [registrant.id, year, count]);
+
+        const rows = pooled.rows;
+        if (rows.length < count) {
+            rows.push(...await this.allocateIsrcRows(client, registrant, count - rows.length, userId, year));
+        }
+        return rows;
+    }
+
+    static async takeUpcs(client, prefix, count, userId) {
+        const pooled = await client.query(`
+            SELECT * FROM upc_registry
+            WHERE prefix_id = $1 AND status = 'allocated' AND release_id IS NULL
+            ORDER BY item_reference
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+        `, [prefix.id, count]);
+
+        const rows = pooled.rows;
+        if (rows.length < count) {
+            rows.push(...await this.allocateUpcRows(client, prefix, count - rows.length, userId));
+        }
+        return rows;
+    }
+
+    // ========== Assignment ==========
+
+    static async getTrack(trackId, client = db, lock = false) {
+        const result = await client.query(`
+            SELECT t.id, t.title, t.isrc, t.release_id, t.track_number, t.disc_number, r.label_id
+            FROM tracks t
+            JOIN releases r ON r.id = t.release_id
+            WHERE t.id = $1
+            ${lock ? 'FOR UPDATE OF t' : ''}
+        `, [trackId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Track not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    static async getRelease(releaseId, client = db, lock = false) {
+        const result = await client.query(`
+            SELECT id, title, upc, label_id, status
+            FROM releases
+            WHERE id = $1
+            ${lock ? 'FOR UPDATE' : ''}
+        `, [releaseId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Release not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Give a track an ISRC: the one passed in (e.g. issued by a previous
+     * distributor) or the next code of the registrant
+     */
+    static async assignIsrc(trackId, options = {}, userId = null) {
+        const result = await this.withTransaction(async (client) => {
+            const track = await this.getTrack(trackId, client, true);
+            if (options.isrc) {
+                return this.registerExternalIsrc(client, track, options.isrc, userId);
+            }
+            if (track.isrc) {
+                return { track_id: track.id, isrc: track.isrc, assigned: false };
+            }
+
+            const registrant = await this.resolveRegistrant(client, options.registrantId, track.label_id);
+            const [code] = await this.takeIsrcs(client, registrant, 1, userId);
+            await this.linkIsrc(client, code.isrc_code, track.id);
+            return { track_id: track.id, isrc: code.isrc_code, assigned: true };
+        });
+
+        if (result.assigned) {
+            logger.info('ISRC assigned to track', { trackId, isrc: result.isrc });
+        }
+        return { ...result, isrc_formatted: codes.formatIsrc(result.isrc) };
+    }
+
+    static async registerExternalIsrc(client, track, value, userId) {
+        const parsed = codes.parseIsrc(value);
+        if (!parsed) throw new AppError(`Invalid ISRC: ${value}`, 400);
+        const { isrc } = parsed;
+
+        if (track.isrc === isrc) {
+            return { track_id: track.id, isrc, assigned: false };
+        }
+        if (track.isrc) {
+            throw new AppError(`Track already has ISRC ${track.isrc}; cancel it before assigning another`, 409);
+        }
+
+        const existing = await client.query('SELECT * FROM isrc_registry WHERE isrc_code = $1 FOR UPDATE', [isrc]);
+        if (existing.rows.length > 0) {
+            const code = existing.rows[0];
+            if (code.status !== 'allocated' || code.track_id) {
+                throw new AppError(`ISRC ${isrc} is already ${code.status}`, 409);
+            }
+            await this.linkIsrc(client, isrc, track.id);
+            return { track_id: track.id, isrc, assigned: true };
+        }
+
+        // Codes under our own registrants only come out of the sequence
+        const managed = await client.query(
+            'SELECT id FROM isrc_registrants WHERE country_code = $1 AND registrant_code = $2',
+            [parsed.countryCode, parsed.registrantCode]
+        );
+        if (managed.rows.length > 0) {
+            throw new AppError(`ISRC ${isrc} belongs to a registrant managed here but was never allocated; assign the next code instead`, 409);
+        }
+
+        const duplicate = await client.query('SELECT id FROM tracks WHERE isrc = $1 AND id <> $2 LIMIT 1', [isrc, track.id]);
+        if (duplicate.rows.length > 0) {
+            throw new AppError(`ISRC ${isrc} is already used by another track`, 409);
+        }
+
+        await client.query(`
+            INSERT INTO isrc_registry (
+                isrc_code, track_id, country_code, registrant_code, year_of_reference, designation_code,
+                allocated_date, allocated_by, status, assigned_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, CURRENT_DATE, $7, 'assigned', NOW())
+        `, [isrc, track.id, parsed.countryCode, parsed.registrantCode, parsed.year, String(parsed.designation).padStart(5, '0'), userId]);
+        await client.query('UPDATE tracks SET isrc = $1, updated_at = NOW() WHERE id = $2', [isrc, track.id]);
+
+        return { track_id: track.id, isrc, assigned: true, external: true };
+    }
+
+    static async linkIsrc(client, isrc, trackId) {
+        await client.query(`
+            UPDATE isrc_registry SET status = 'assigned', track_id = $2, assigned_at = NOW() WHERE isrc_code = $1
+        `, [isrc, trackId]);
+        await client.query('UPDATE tracks SET isrc = $1, updated_at = NOW() WHERE id = $2', [isrc, trackId]);
+    }
+
+    /**
+     * Give a release a UPC/EAN: the one passed in or the next code of the prefix
+     */
+    static async assignUpc(releaseId, options = {}, userId = null) {
+        const result = await this.withTransaction(async (client) => {
+            const release = await this.getRelease(releaseId, client, true);
+            if (options.upc) {
+                return this.registerExternalUpc(client, release, options.upc, userId);
+            }
+            if (release.upc) {
+                return { release_id: release.id, upc: release.upc.trim(), assigned: false };
+            }
+
+            const prefix = await this.resolvePrefix(client, options.prefixId, release.label_id);
+            const [code] = await this.takeUpcs(client, prefix, 1, userId);
+            await this.linkUpc(client, code.upc_code, release.id);
+            return { release_id: release.id, upc: code.upc_code, assigned: true };
+        });
+
+        if (result.assigned) {
+            logger.info('UPC assigned to release', { releaseId, upc: result.upc });
+        }
+        return result;
+    }
+
+    static async registerExternalUpc(client, release, value, userId) {
+        const upc = codes.normalizeGtin(value);
+        if (!codes.isValidGtin(upc)) {
+            throw new AppError(`Invalid UPC/EAN (length or check digit): ${value}`, 400);
+        }
+
+        const current = release.upc ? release.upc.trim() : null;
+        if (current === upc) {
+            return { release_id: release.id, upc, assigned: false };
+        }
+        if (current) {
+            throw new AppError(`Release already has UPC ${current}; cancel it before assigning another`, 409);
+        }
+
+        const existing = await client.query('SELECT * FROM upc_registry WHERE upc_code = $1 FOR UPDATE', [upc]);
+        if (existing.rows.length > 0) {
+            const code = existing.rows[0];
+            if (code.status !== 'allocated' || code.release_id) {
+                throw new AppError(`UPC ${upc} is already ${code.status}`, 409);
+            }
+            await this.linkUpc(client, upc, release.id);
+            return { release_id: release.id, upc, assigned: true };
+        }
+
+        const format = codes.gtinFormat(upc);
+        const managed = await client.query(
+            'SELECT company_prefix FROM gs1_prefixes WHERE code_format = $1 AND $2 LIKE company_prefix || \'%\'',
+            [format, upc]
+        );
+        if (managed.rows.length > 0) {
+            throw new AppError(`UPC ${upc} falls under company prefix ${managed.rows[0].company_prefix} managed here but was never allocated; assign the next code instead`, 409);
+        }
+
+        const duplicate = await client.query('SELECT id FROM releases WHERE upc = $1 AND id <> $2 LIMIT 1', [upc, release.id]);
+        if (duplicate.rows.length > 0) {
+            throw new AppError(`UPC ${upc} is already used by another release`, 409);
+        }
+
+        await client.query(`
+            INSERT INTO upc_registry (upc_code, release_id, allocated_date, allocated_by, status, assigned_at)
+            VALUES ($1, $2, CURRENT_DATE, $3, 'assigned', NOW())
+        `, [upc, release.id, userId]);
+        await client.query('UPDATE releases SET upc = $1, updated_at = NOW() WHERE id = $2', [upc, release.id]);
+
+        return { release_id: release.id, upc, assigned: true, external: true };
+    }
+
+    static async linkUpc(client, upc, releaseId) {
+        await client.query(`
+            UPDATE upc_registry SET status = 'assigned', release_id = $2, assigned_at = NOW() WHERE upc_code = $1
+        `, [upc, releaseId]);
+        await client.query('UPDATE releases SET upc = $1, updated_at = NOW() WHERE id = $2', [upc, releaseId]);
+    }
+
+    /**
+     * Fill in the release UPC and every missing track ISRC in one transaction.
+     * With `skipUnconfigured`, a label without a registrant or prefix keeps its
+     * gaps instead of failing (distribution validation reports them)
+     * @returns {Object} { release_id, upc, upc_assigned, tracks: [{ track_id, isrc, assigned }], skipped }
+     */
+    static async assignReleaseCodes(releaseId, options = {}, userId = null) {
+        const { registrantId, prefixId, skipUnconfigured = false } = options;
+
+        const result = await this.withTransaction(async (client) => {
+            const release = await this.getRelease(releaseId, client, true);
+            const skipped = [];
+
+            let upc = release.upc ? release.upc.trim() : null;
+            let upcAssigned = false;
+            if (!upc) {
+                const prefix = await this.resolvePrefix(client, prefixId, release.label_id, skipUnconfigured);
+                if (prefix) {
+                    const [code] = await this.takeUpcs(client, prefix, 1, userId);
+                    await this.linkUpc(client, code.upc_code, release.id);
+                    upc = code.upc_code;
+                    upcAssigned = true;
+                } else {
+                    skipped.push('upc');
+                }
+            }
+
+            const tracks = await client.query(`
+                SELECT id, isrc FROM tracks
+                WHERE release_id = $1
+                ORDER BY disc_number, track_number
+                FOR UPDATE
+            `, [release.id]);
+
+            const missing = tracks.rows.filter(track => !track.isrc);
+            const assigned = new Map();
+            if (missing.length > 0) {
+                const registrant = await this.resolveRegistrant(client, registrantId, release.label_id, skipUnconfigured);
+                if (registrant) {
+                    const isrcs = await this.takeIsrcs(client, registrant, missing.length, userId);
+                    for (let i = 0; i < missing.length; i++) {
+                        await this.linkIsrc(client, isrcs[i].isrc_code, missing[i].id);
+                        assigned.set(missing[i].id, isrcs[i].isrc_code);
+                    }
+                } else {
+                    skipped.push('isrc');
+                }
+            }
+
+            return {
+                release_id: release.id,
+                upc,
+                upc_assigned: upcAssigned,
+                tracks: tracks.rows.map(track => ({
+                    track_id: track.id,
+                    isrc: assigned.get(track.id) || (track.isrc ? track.isrc.trim() : null),
+                    assigned: assigned.has(track.id)
+                })),
+                skipped
+            };
+        });
+
+        logger.info('Release codes assigned', {
+            releaseId,
+            upcAssigned: result.upc_assigned,
+            isrcsAssigned: result.tracks.filter(track => track.assigned).length,
+            skipped: result.skipped
+        });
+        return result;
+    }
+
+    // ========== Lifecycle ==========
+
+    /**
+     * Cancel codes that have not been delivered. Assigned codes are detached
+     * from their track/release; cancelled codes are never issued again
+     */
+    static async cancelCodes(type, values, reason = null) {
+        const spec = this.getCodeType(type);
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new AppError('At least one code is required', 400);
+        }
+
+        const cancelled = await this.withTransaction(async (client) => {
+            const rows = [];
+            for (const value of values) {
+                const code = this.normalizeCode(type, value);
+                const existing = await client.query(`SELECT * FROM ${spec.table} WHERE ${spec.column} = $1 FOR UPDATE`, [code]);
+                if (existing.rows.length === 0) {
+                    throw new AppError(`${type.toUpperCase()} ${value} is not registered`, 404);
+                }
+
+                const row = existing.rows[0];
+                if (row.status === 'used') {
+                    throw new AppError(`${type.toUpperCase()} ${code} has been delivered and cannot be cancelled`, 409);
+                }
+                if (row.status === 'cancelled') {
+                    throw new AppError(`${type.toUpperCase()} ${code} is already cancelled`, 409);
+                }
+
+                if (row.status === 'assigned' && row[spec.owner]) {
+                    await client.query(
+                        `UPDATE ${spec.ownerTable} SET ${spec.ownerColumn} = NULL, updated_at = NOW() WHERE id = $1 AND ${spec.ownerColumn} = $2`,
+                        [row[spec.owner], code]
+                    );
+                }
+
+                const result = await client.query(`
+                    UPDATE ${spec.table}
+                    SET status = 'cancelled', cancelled_at = NOW(), cancellation_reason = $2
+                    WHERE id = $1
+                    RETURNING *
+                `, [row.id, reason]);
+                rows.push(result.rows[0]);
+            }
+            return rows;
+        });
+
+        logger.info(`${type.toUpperCase()} codes cancelled`, { count: cancelled.length, reason });
+        return cancelled;
+    }
+
+    /**
+     * Mark a release's codes as delivered once any platform accepted it
+     */
+    static async markReleaseCodesUsed(releaseId) {
+        const upcs = await db.query(`
+            UPDATE upc_registry SET status = 'used', used_at = NOW()
+            WHERE release_id = $1 AND status = 'assigned'
+        `, [releaseId]);
+        const isrcs = await db.query(`
+            UPDATE isrc_registry SET status = 'used', used_at = NOW()
+            WHERE status = 'assigned' AND track_id IN (SELECT id FROM tracks WHERE release_id = $1)
+        `, [releaseId]);
+
+        return { upcs: upcs.rowCount || 0, isrcs: isrcs.rowCount || 0 };
+    }
+
+    // ========== Queries ==========
+
+    static async listCodes(type, { status, registrantId, prefixId, search, pagination = { page: 1, limit: 50 } } = {}) {
+        const spec = this.getCodeType(type);
+        const params = [];
+        const conditions = [];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`c.status = $${params.length}`);
+        }
+        if (type === 'isrc' && registrantId) {
+            params.push(registrantId);
+            conditions.push(`c.registrant_id = $${params.length}`);
+        }
+        if (type === 'upc' && prefixId) {
+            params.push(prefixId);
+            conditions.push(`c.prefix_id = $${params.length}`);
+        }
+        if (search) {
+            params.push(`${this.normalizeCode(type, search) || search}%`);
+            conditions.push(`c.${spec.column} LIKE $${params.length}`);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const offset = (pagination.page - 1) * pagination.limit;
+        const owner = type === 'isrc'
+            ? 'LEFT JOIN tracks o ON o.id = c.track_id'
+            : 'LEFT JOIN releases o ON o.id = c.release_id';
+
+        const result = await db.query(`
+            SELECT c.*, o.title AS ${type === 'isrc' ? 'track_title' : 'release_title'}
+            FROM ${spec.table} c
+            ${owner}
+            ${where}
+            ORDER BY c.created_at DESC, c.${spec.column}
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pagination.limit, offset]);
+
+        const countResult = await db.query(`SELECT COUNT(*) AS total FROM ${spec.table} c ${where}`, params);
+        const total = parseInt(countResult.rows[0]?.total || 0);
+
+        return {
+            codes: result.rows,
+            pagination: {
+                page: pagination.page,
+                limit: pagination.limit,
+                total,
+                pages: Math.ceil(total / pagination.limit)
+            }
+        };
+    }
+
+    /**
+     * Validate a code and report its registry state
+     */
+    static async lookupCode(value) {
+        const isrc = codes.parseIsrc(value);
+        if (isrc) {
+            const result = await db.query('SELECT * FROM isrc_registry WHERE isrc_code = $1', [isrc.isrc]);
+            return {
+                type: 'isrc',
+                code: isrc.isrc,
+                formatted: codes.formatIsrc(isrc.isrc),
+                valid: true,
+                elements: isrc,
+                registry: result.rows[0] || null
+            };
+        }
+
+        const gtin = codes.normalizeGtin(value);
+        if (gtin && (gtin.length === 12 || gtin.length === 13)) {
+            const valid = codes.isValidGtin(gtin);
+            const result = valid ? await db.query('SELECT * FROM upc_registry WHERE upc_code = $1', [gtin]) : { rows: [] };
+            return {
+                type: codes.gtinFormat(gtin),
+                code: gtin,
+                valid,
+                expected_check_digit: codes.checkDigit(gtin.slice(0, -1)),
+                registry: result.rows[0] || null
+            };
+        }
+
+        return { type: null, code: value, valid: false, registry: null };
+    }
+}
+
+module.exports = CodeRegistryService;
+module.exports.MAX_BULK_ALLOCATION = MAX_BULK_ALLOCATION;
@@ -0,0 +1,265 @@
+/**
+ * DDEX Service - Release Delivery Messages
+ * Assembles catalog releases into DDEX ERN 4.3 NewReleaseMessages
+ * for delivery to DSPs and aggregators that accept DDEX
+ */
+
+const crypto = require('crypto');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const DdexErn = require('../utils/ddexErn.util.cjs');
+
+class DdexService {
+    /**
+     * Release with artist, label, tracks and contributors
+     */
+    static async getReleaseData(releaseId) {
+        const releaseResult = await db.query(`
+            SELECT r.*,
+                   a.name AS artist_name, a.stage_name AS artist_stage_name,
+                   l.name AS label_name
+            FROM releases r
+            JOIN artists a ON a.id = r.artist_id
+            LEFT JOIN labels l ON l.id = r.label_id
+            WHERE r.id = $1
+        `, [releaseId]);
+
+        const release = releaseResult.rows[0];
+        if (!release) {
+            throw new AppError('Release not found', 404);
+        }
+
+        const tracksResult = await db.query(`
+            SELECT * FROM tracks
+            WHERE release_id = $1
+            ORDER BY disc_number, track_number
+        `, [releaseId]);
+
+        const contributorsResult = await db.query(`
+            SELECT tc.track_id, tc.role, a.id AS artist_id, a.name, a.stage_name
+            FROM track_contributors tc
+            JOIN artists a ON a.id = tc.artist_id
+            WHERE tc.track_id = ANY($1)
+            ORDER BY tc.created_at
+        `, [tracksResult.rows.map(track => track.id)]);
+
+        return {
+            release,
+            tracks: tracksResult.rows,
+            contributors: contributorsResult.rows
+        };
+    }
+
+    /**
+     * Map catalog rows to the ERN builder model
+     */
+    static buildReleaseModel({ release, tracks, contributors }) {
+        const rights = release.rights_info || {};
+        const settings = release.distribution_settings || {};
+        const primaryArtist = {
+            id: release.artist_id,
+            name: release.artist_stage_name || release.artist_name,
+            role: 'primary'
+        };
+
+        const contributorsByTrack = new Map();
+        for (const row of contributors) {
+            if (!contributorsByTrack.has(row.track_id)) contributorsByTrack.set(row.track_id, []);
+            contributorsByTrack.get(row.track_id).push({
+                id: row.artist_id,
+                name: row.stage_name || row.name,
+                role: row.role
+            });
+        }
+
+        return {
+            release: {
+                id: release.id,
+                title: release.title,
+                type: release.type,
+                upc: release.upc ? String(release.upc).trim() : null,
+                catalog_number: release.catalog_number,
+                release_date: release.release_date,
+                original_release_date: release.original_release_date,
+                genres: this.toList(release.genres),
+                subgenres: this.toList(release.subgenres),
+                language: release.language,
+                explicit: release.explicit_content,
+                artists: [primaryArtist],
+                label: release.label_id ? { id: release.label_id, name: release.label_name } : null,
+                p_line: this.toCopyrightLine(rights.p_line || rights.pline, release.release_date),
+                c_line: this.toCopyrightLine(rights.c_line || rights.cline, release.release_date),
+                artwork: this.toArtwork(release.artwork)
+            },
+            tracks: tracks.map(track => {
+                const credits = contributorsByTrack.get(track.id) || [];
+                // Featured artists are display artists, other credits are contributors
+                const featured = credits.filter(credit => /^feat/i.test(credit.role));
+                const jsonCredits = Array.isArray(track.contributors) ? track.contributors : [];
+                const audio = track.audio_metadata || {};
+
+                return {
+                    id: track.id,
+                    title: track.title,
+                    isrc: track.isrc ? String(track.isrc).trim() : null,
+                    duration: track.duration,
+                    track_number: track.track_number,
+                    disc_number: track.disc_number,
+                    explicit: track.explicit_content,
+                    language: track.language,
+                    artists: featured.length > 0 ? [primaryArtist, ...featured] : [],
+                    contributors: [
+                        ...credits.filter(credit => !/^feat/i.test(credit.role)),
+                        ...jsonCredits.filter(credit => credit && credit.name && credit.role)
+                    ],
+                    audio: track.audio_file ? {
+                        url: track.audio_file,
+                        format: audio.format,
+                        sample_rate: audio.sample_rate,
+                        bit_depth: audio.bit_depth,
+                        channels: audio.channels,
+                        md5: audio.md5
+                    } : null
+                };
+            }),
+            deals: Array.isArray(settings.deals) && settings.deals.length > 0
+                ? settings.deals
+                : [{
+                    territories: settings.territories,
+                    excluded_territories: settings.excluded_territories,
+                    start_date: settings.start_date || release.release_date,
+                    commercial_models: settings.commercial_models
+                }]
+        };
+    }
+
+    /**
+     * Message recipient: explicit { dpid, name } or a distribution channel's DDEX settings
+     */
+    static async resolveRecipient(recipient) {
+        if (!recipient) {
+            throw new AppError('DDEX recipient is required', 400);
+        }
+        if (typeof recipient === 'object') {
+            return recipient;
+        }
+
+        const result = await db.query(
+            'SELECT name, display_name, delivery_requirements FROM distribution_channels WHERE name = $1',
+            [recipient]
+        );
+        const channel = result.rows[0];
+        const ddex = channel && channel.delivery_requirements && channel.delivery_requirements.ddex;
+        if (!ddex || !ddex.party_id) {
+            throw new AppError(`No DDEX party configured for channel ${recipient}`, 400);
+        }
+
+        return { dpid: ddex.party_id, name: ddex.party_name || channel.display_name };
+    }
+
+    /**
+     * Generate a NewReleaseMessage for a release
+     * Returns the XML together with its validation result; `strict` rejects invalid messages
+     */
+    static async generateNewReleaseMessage(releaseId, options = {}) {
+        const {
+            recipient,
+            deals = null,
+            testMessage = false,
+            strict = false
+        } = options;
+
+        const data = await this.getReleaseData(releaseId);
+        const model = this.buildReleaseModel(data);
+
+        const messageId = `${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
+        model.message = {
+            id: messageId,
+            threadId: messageId,
+            createdAt: new Date(),
+            controlType: testMessage ? 'TestMessage' : 'LiveMessage',
+            language: data.release.language || 'en'
+        };
+        model.sender = {
+            dpid: process.env.DDEX_SENDER_DPID,
+            name: process.env.DDEX_SENDER_NAME || 'HardbanRecords'
+        };
+        model.recipient = await this.resolveRecipient(recipient);
+        if (deals) model.deals = deals;
+
+        const { tree, xml } = DdexErn.generate(model);
+        const validation = DdexErn.validate(tree);
+
+        logger.info('DDEX NewReleaseMessage generated', {
+            releaseId,
+            messageId,
+            recipient: model.recipient.dpid,
+            valid: validation.valid,
+            errors: validation.errors.length
+        });
+
+        if (strict && !validation.valid) {
+            const error = new AppError('DDEX message failed validation', 422);
+            error.details = validation.errors;
+            throw error;
+        }
+
+        return {
+            message_id: messageId,
+            ern_version: DdexErn.version,
+            release_id: releaseId,
+            xml,
+            validation
+        };
+    }
+
+    /**
+     * Validate an ERN document supplied by a caller (e.g. a label's own delivery)
+     */
+    static validateMessage(xml) {
+        return DdexErn.validate(xml);
+    }
+
+    // ========== Helper Methods ==========
+
+    static toList(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value.filter(Boolean);
+        return [value];
+    }
+
+    /**
+     * P-line/C-line from "2024 Label" text or { year, text }
+     */
+    static toCopyrightLine(line, releaseDate) {
+        if (!line) return null;
+        if (typeof line === 'object') {
+            return line.text ? { year: line.year || null, text: line.text } : null;
+        }
+
+        const text = String(line).trim();
+        const year = /\b(19|20)\d{2}\b/.exec(text);
+        return {
+            year: year ? year[0] : (releaseDate ? new Date(releaseDate).getFullYear() : null),
+            text
+        };
+    }
+
+    static toArtwork(artwork) {
+        if (!artwork) return null;
+        const cover = artwork.cover || artwork;
+        const url = cover.url || cover.coverImage || artwork.coverImage;
+        if (!url) return null;
+
+        return {
+            url,
+            width: cover.width,
+            height: cover.height,
+            format: cover.format,
+            md5: cover.md5
+        };
+    }
+}
+
+module.exports = DdexService;
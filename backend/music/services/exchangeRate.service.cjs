@@ -0,0 +1,240 @@
+/**
+ * Exchange Rate Service
+ * Imports daily reference rates from a pluggable source into exchange_rates
+ * and loads them into CurrencyUtil, so royalties convert at the rate of their
+ * reporting period rather than today's
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const config = require('../config/env.cjs');
+const CurrencyUtil = require('../utils/currency.util.cjs');
+const EcbRateSource = require('../integrations/exchangeRates/ecb.source.cjs');
+
+// Sources by name; each exposes `name` and `fetchRates(options)` -> [{ date, base, rates }]
+const SOURCES = {
+    ecb: () => new EcbRateSource({
+        file: config.exchangeRates.ecbFile,
+        url: config.exchangeRates.ecbUrl
+    })
+};
+
+class ExchangeRateService {
+    static registerSource(name, factory) {
+        SOURCES[name] = factory;
+    }
+
+    static getSource(name = config.exchangeRates.source) {
+        const factory = SOURCES[name];
+        if (!factory) {
+            throw new AppError(`Unknown exchange rate source: ${name}. Available: ${Object.keys(SOURCES).join(', ')}`, 400);
+        }
+        return factory();
+    }
+
+    /**
+     * Fetch rates from a source and store them; days already stored are overwritten
+     */
+    static async importRates({ source: sourceName, file, url, feed } = {}, userId = null) {
+        const source = this.getSource(sourceName);
+
+        let days;
+        try {
+            days = await source.fetchRates({ file, url, feed });
+        } catch (error) {
+            throw new AppError(`Exchange rate import failed: ${error.message}`, 502);
+        }
+
+        const dates = [];
+        const bases = [];
+        const currencies = [];
+        const rates = [];
+
+        for (const day of days) {
+            for (const [currency, rate] of Object.entries(day.rates)) {
+                if (currency === day.base) continue;
+                dates.push(day.date);
+                bases.push(day.base);
+                currencies.push(currency);
+                rates.push(rate);
+            }
+        }
+
+        if (rates.length > 0) {
+            await db.query(`
+                INSERT INTO exchange_rates (rate_date, base_currency, currency, rate, source)
+                SELECT d, b, c, r, $5
+                FROM unnest($1::date[], $2::text[], $3::text[], $4::numeric[]) AS t(d, b, c, r)
+                ON CONFLICT (rate_date, base_currency, currency) DO UPDATE SET
+                    rate = EXCLUDED.rate,
+                    source = EXCLUDED.source,
+                    fetched_at = CURRENT_TIMESTAMP
+            `, [dates, bases, currencies, rates, source.name]);
+        }
+
+        CurrencyUtil.applyRates(days, source.name);
+
+        const summary = {
+            source: source.name,
+            days: days.length,
+            rates: rates.length,
+            firstDate: days[0]?.date || null,
+            lastDate: days[days.length - 1]?.date || null
+        };
+
+        logger.info('Exchange rates imported', { ...summary, userId });
+        return summary;
+    }
+
+    /**
+     * Load stored rates for a date range into CurrencyUtil, including the
+     * lookback window before `startDate` so weekends resolve to Friday
+     */
+    static async loadRates(startDate, endDate = startDate) {
+        const result = await db.query(`
+            SELECT to_char(rate_date, 'YYYY-MM-DD') AS rate_date, base_currency, currency, rate, source
+            FROM exchange_rates
+            WHERE rate_date BETWEEN $1::date - $3::int AND $2::date
+            ORDER BY rate_date
+        `, [startDate, endDate, CurrencyUtil.maxRateLookbackDays]);
+
+        const days = new Map();
+        for (const row of result.rows) {
+            const key = `${row.rate_date}|${row.base_currency}`;
+            if (!days.has(key)) {
+                days.set(key, { date: row.rate_date, base: row.base_currency, source: row.source, rates: {} });
+            }
+            days.get(key).rates[row.currency] = Number(row.rate);
+        }
+
+        for (const day of days.values()) {
+            CurrencyUtil.setHistoricalRates(day.date, day.rates, { base: day.base, source: day.source });
+        }
+
+        return days.size;
+    }
+
+    /**
+     * Make sure rates for every date are available, importing from the
+     * configured source when some are missing. Returns the dates still missing
+     */
+    static async prepareRates(dates) {
+        const wanted = [...new Set(dates.filter(Boolean).map(date => CurrencyUtil.toRateDate(date)))].sort();
+        if (wanted.length === 0) return [];
+
+        await this.loadRates(wanted[0], wanted[wanted.length - 1]);
+        let missing = wanted.filter(date => !CurrencyUtil.findHistoricalRates(date));
+
+        if (missing.length > 0 && config.exchangeRates.autoImport) {
+            // The 90-day feed covers the latest reports; older periods need the full history
+            const ageDays = (Date.now() - new Date(`${missing[0]}T00:00:00Z`).getTime()) / 86400000;
+            const feed = ageDays > 80 ? 'history' : '90d';
+
+            try {
+                await this.importRates({ feed });
+                await this.loadRates(missing[0], missing[missing.length - 1]);
+            } catch (error) {
+                logger.warn('Automatic exchange rate import failed', { feed, error: error.message });
+            }
+            missing = missing.filter(date => !CurrencyUtil.findHistoricalRates(date));
+        }
+
+        return missing;
+    }
+
+    /**
+     * Convert royalty line revenue to USD at the rate of the line's reporting period
+     * (`basis` period_end or period_start, else the ingestion period's) and record the
+     * rate on each line. Fails when a rate is missing rather than falling back to
+     * today's rate. Returns the rates used per currency and rate date
+     */
+    static async convertLines(lines, period, basis = 'period_end') {
+        const field = basis === 'period_start' ? 'period_start' : 'period_end';
+        const rateDateOf = line => line[field] || period[field === 'period_start' ? 'start' : 'end'];
+
+        const foreign = lines.filter(line => line.currency !== 'USD');
+        const missing = await this.prepareRates(foreign.map(rateDateOf));
+        if (missing.length > 0) {
+            throw new Error(`Exchange rates missing for ${missing.join(', ')}; import rates for the reporting period first`);
+        }
+
+        const used = {};
+
+        for (const line of lines) {
+            if (line.currency === 'USD') {
+                line.usd_revenue = line.revenue;
+                line.fx_rate = 1;
+                line.fx_rate_date = null;
+                line.fx_source = null;
+                continue;
+            }
+
+            const info = CurrencyUtil.getRateInfo(line.currency, 'USD', rateDateOf(line));
+            line.usd_revenue = line.revenue * info.rate;
+            line.fx_rate = info.rate;
+            line.fx_rate_date = info.rate_date;
+            line.fx_source = info.source;
+
+            const key = `${line.currency}:${info.rate_date}`;
+            used[key] = { currency: line.currency, rate: info.rate, rate_date: info.rate_date, source: info.source };
+        }
+
+        return Object.values(used);
+    }
+
+    /**
+     * Rate between two currencies on a date (latest rates when no date)
+     */
+    static async quote(from, to, date = null) {
+        if (date) {
+            await this.prepareRates([date]);
+        }
+
+        try {
+            return CurrencyUtil.getRateInfo(from, to, date);
+        } catch (error) {
+            throw new AppError(error.message, 422);
+        }
+    }
+
+    /**
+     * Rates from `base` to each target currency on a date
+     */
+    static async getRates({ base = 'USD', targets = null, date = null } = {}) {
+        const from = base.toUpperCase();
+        const currencies = targets && targets.length
+            ? targets.map(currency => currency.toUpperCase())
+            : CurrencyUtil.getAllCurrencies();
+
+        if (date) {
+            await this.prepareRates([date]);
+        }
+
+        const rates = {};
+        let rateDate = null;
+        let source = null;
+
+        for (const currency of currencies) {
+            if (currency === from) continue;
+            try {
+                const info = CurrencyUtil.getRateInfo(from, currency, date);
+                rates[currency] = info.rate;
+                rateDate = rateDate || info.rate_date;
+                source = source || info.source;
+            } catch (error) {
+                // Currency not published by the source
+            }
+        }
+
+        return {
+            base: from,
+            date: rateDate,
+            source,
+            rates,
+            lastUpdate: CurrencyUtil.getLastUpdateTime()
+        };
+    }
+}
+
+module.exports = ExchangeRateService;
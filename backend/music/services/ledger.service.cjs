@@ -0,0 +1,572 @@
+/**
+ * Ledger Service - Double-Entry General Ledger
+ * Posts a balanced, immutable journal entry for every royalty ingestion,
+ * statement, recoupment, expense and payout. Corrections are reversing
+ * entries; payee balances and the trial balance are read from the journal only
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+
+// Chart of accounts. Accounts with a partyType are kept per artist or platform
+const ACCOUNTS = {
+    bank: { code: '1000', name: 'Bank', type: 'asset' },
+    platformReceivable: { code: '1100', name: 'Platform receivables', type: 'asset', partyType: 'platform' },
+    recoupableCosts: { code: '1200', name: 'Recoupable advances and costs', type: 'asset', partyType: 'artist' },
+    royaltiesPayable: { code: '2100', name: 'Royalties payable', type: 'liability', partyType: 'artist' },
+    payoutsInTransit: { code: '2200', name: 'Payouts in transit', type: 'liability', partyType: 'artist' },
+    withholdingTax: { code: '2300', name: 'Withholding tax payable', type: 'liability' },
+    openingEquity: { code: '3000', name: 'Opening balance equity', type: 'equity' },
+    labelRevenue: { code: '4000', name: 'Label revenue', type: 'revenue' },
+    artistRoyalties: { code: '5000', name: 'Artist royalties', type: 'expense' },
+    labelCosts: { code: '5100', name: 'Label costs', type: 'expense' },
+    paymentFees: { code: '5200', name: 'Payment fees', type: 'expense' }
+};
+
+const DEBIT_NORMAL = ['asset', 'expense'];
+
+class LedgerService {
+    static toCents(amount) {
+        return Math.round(Number(amount || 0) * 100);
+    }
+
+    static toDate(value) {
+        if (!value) return null;
+        return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+    }
+
+    static chartEntry(key) {
+        const account = ACCOUNTS[key] || Object.values(ACCOUNTS).find(entry => entry.code === key);
+        if (!account) {
+            throw new AppError(`Unknown ledger account: ${key}`, 400);
+        }
+        return account;
+    }
+
+    /**
+     * Ledger account for a chart entry, created on first use
+     */
+    static async ensureAccount(client, key, partyId = null, currency = 'USD') {
+        const account = this.chartEntry(key);
+        if (account.partyType && !partyId) {
+            throw new AppError(`Account ${account.code} is kept per ${account.partyType}`, 400);
+        }
+
+        const partyType = account.partyType ? account.partyType : null;
+        const party = account.partyType ? String(partyId) : null;
+        const currencyCode = currency.toUpperCase();
+
+        await client.query(`
+            INSERT INTO ledger_accounts (code, name, account_type, party_type, party_id, currency)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (code, COALESCE(party_type, ''), COALESCE(party_id, ''), currency) DO NOTHING
+        `, [account.code, account.name, account.type, partyType, party, currencyCode]);
+
+        const result = await client.query(`
+            SELECT * FROM ledger_accounts
+            WHERE code = $1
+              AND party_type IS NOT DISTINCT FROM $2
+              AND party_id IS NOT DISTINCT FROM $3
+              AND currency = $4
+        `, [account.code, partyType, party, currencyCode]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Post a journal entry within the caller's transaction
+     * lines: [{ account, partyId, accountId, debit, credit, memo }], where account is a
+     * chart key or code (or accountId an existing account). Negative amounts move to the
+     * other side and zero lines are dropped; nothing is posted when no line is left
+     */
+    static async postEntry(client, { date = null, sourceType, sourceId = null, description, currency = 'USD', lines, reversesEntryId = null }, userId = null) {
+        const postings = [];
+
+        for (const line of lines) {
+            const net = this.toCents(line.debit) - this.toCents(line.credit);
+            if (net === 0) continue;
+
+            const account = line.accountId
+                ? await this.getAccountRow(client, line.accountId)
+                : await this.ensureAccount(client, line.account, line.partyId, currency);
+            if (account.currency !== currency.toUpperCase()) {
+                throw new AppError(`Account ${account.code} is kept in ${account.currency}, not ${currency.toUpperCase()}`, 400);
+            }
+
+            postings.push({
+                accountId: account.id,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0,
+                memo: line.memo || null
+            });
+        }
+
+        if (postings.length === 0) {
+            return null;
+        }
+
+        const debits = postings.reduce((sum, line) => sum + line.debit, 0);
+        const credits = postings.reduce((sum, line) => sum + line.credit, 0);
+        if (debits !== credits) {
+            throw new AppError(`Journal entry does not balance: debits ${debits / 100}, credits ${credits / 100}`, 400);
+        }
+
+        const entryResult = await client.query(`
+            INSERT INTO journal_entries (entry_date, source_type, source_id, description, reverses_entry_id, created_by)
+            VALUES (COALESCE($1::date, CURRENT_DATE), $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [this.toDate(date), sourceType, sourceId ? String(sourceId) : null, description, reversesEntryId, userId]);
+        const entry = entryResult.rows[0];
+
+        for (const line of postings) {
+            await client.query(`
+                INSERT INTO journal_lines (entry_id, account_id, debit, credit, memo)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [entry.id, line.accountId, line.debit / 100, line.credit / 100, line.memo]);
+        }
+
+        return { ...entry, total: debits / 100 };
+    }
+
+    /**
+     * Reverse the entries posted for a source that are not reversed yet
+     */
+    static async reverseSource(client, sourceType, sourceId, userId = null, reason = null) {
+        const entries = (await client.query(`
+            SELECT je.*
+            FROM journal_entries je
+            WHERE je.source_type = $1
+              AND je.source_id = $2
+              AND je.reverses_entry_id IS NULL
+              AND NOT EXISTS (SELECT 1 FROM journal_entries r WHERE r.reverses_entry_id = je.id)
+            ORDER BY je.entry_number
+        `, [sourceType, String(sourceId)])).rows;
+
+        const reversals = [];
+        for (const entry of entries) {
+            const lines = (await client.query(`
+                SELECT jl.account_id, jl.debit, jl.credit, jl.memo, a.currency
+                FROM journal_lines jl
+                JOIN ledger_accounts a ON a.id = jl.account_id
+                WHERE jl.entry_id = $1
+            `, [entry.id])).rows;
+
+            reversals.push(await this.postEntry(client, {
+                sourceType,
+                sourceId: entry.source_id,
+                description: `Reversal of #${entry.entry_number}${reason ? `: ${reason}` : ''}`,
+                currency: lines[0].currency,
+                reversesEntryId: entry.id,
+                lines: lines.map(line => ({ accountId: line.account_id, debit: line.credit, credit: line.debit, memo: line.memo }))
+            }, userId));
+        }
+
+        return reversals;
+    }
+
+    // ========== Postings ==========
+
+    /**
+     * Platform revenue reported for the period is owed to the label;
+     * a restated report reverses the one it supersedes
+     */
+    static async postIngestion(client, ingestion, previous, userId = null) {
+        if (previous) {
+            await this.reverseSource(client, 'ingestion', previous.id, userId, 'report superseded');
+        }
+
+        return this.postEntry(client, {
+            sourceType: 'ingestion',
+            sourceId: ingestion.id,
+            description: `${ingestion.platform} report ${this.toDate(ingestion.period_start)} - ${this.toDate(ingestion.period_end)}`,
+            lines: [
+                { account: 'platformReceivable', partyId: ingestion.platform, debit: ingestion.total_revenue },
+                { account: 'labelRevenue', credit: ingestion.total_revenue }
+            ]
+        }, userId);
+    }
+
+    static async postStatement(client, statement, userId = null) {
+        return this.postEntry(client, {
+            sourceType: 'statement',
+            sourceId: statement.id,
+            description: `${statement.platform} royalties ${this.toDate(statement.period_start)} - ${this.toDate(statement.period_end)}`,
+            lines: [
+                { account: 'artistRoyalties', debit: statement.gross_revenue },
+                { account: 'royaltiesPayable', partyId: statement.artist_id, credit: statement.gross_revenue }
+            ]
+        }, userId);
+    }
+
+    /**
+     * Costs withheld from a statement settle part of the artist's recoupable balance
+     */
+    static async postRecoupment(client, statement, amount, userId = null) {
+        return this.postEntry(client, {
+            sourceType: 'recoupment',
+            sourceId: statement.id,
+            description: `Recoupment on ${statement.platform} statement ${this.toDate(statement.period_start)} - ${this.toDate(statement.period_end)}`,
+            lines: [
+                { account: 'royaltiesPayable', partyId: statement.artist_id, debit: amount },
+                { account: 'recoupableCosts', partyId: statement.artist_id, credit: amount }
+            ]
+        }, userId);
+    }
+
+    /**
+     * Paid by the label at its USD amount; recoupable costs are carried as an asset
+     * against the artist until recouped
+     */
+    static async postExpense(client, expense, userId = null) {
+        const recoupable = expense.is_recoupable !== false && expense.artist_id;
+        const amount = expense.recoupable_amount;
+
+        return this.postEntry(client, {
+            date: expense.date_incurred,
+            sourceType: 'expense',
+            sourceId: expense.id,
+            description: `${expense.expense_type} expense${expense.description ? `: ${expense.description}` : ''}`,
+            lines: [
+                recoupable
+                    ? { account: 'recoupableCosts', partyId: expense.artist_id, debit: amount }
+                    : { account: 'labelCosts', debit: amount },
+                { account: 'bank', credit: amount }
+            ]
+        }, userId);
+    }
+
+    /**
+     * The requested amount leaves the artist's payable balance when the payout is
+     * requested; cancelling or failing the payout reverses this. Tax withheld from
+     * it is owed to the tax authority rather than sent to the artist
+     */
+    static async postPayoutRequest(client, payout, userId = null) {
+        const amount = payout.base_amount ?? payout.amount;
+        const gross = payout.gross_amount ?? amount;
+        const withheld = payout.withholding_amount || 0;
+
+        return this.postEntry(client, {
+            sourceType: 'payout',
+            sourceId: payout.id,
+            currency: payout.base_currency || payout.currency,
+            description: `Payout requested (${payout.payment_method})`,
+            lines: [
+                { account: 'royaltiesPayable', partyId: payout.artist_id, debit: gross },
+                { account: 'payoutsInTransit', partyId: payout.artist_id, credit: amount },
+                { account: 'withholdingTax', credit: withheld, memo: withheld ? `${payout.withholding_rate}% ${payout.withholding_reason}` : null }
+            ]
+        }, userId);
+    }
+
+    /**
+     * The rail's fee is paid by the label on top of the amount sent; it is kept in
+     * the payout currency and converted at the payout's own rate
+     */
+    static async postPayoutSettlement(client, payout, userId = null, date = null) {
+        const amount = payout.base_amount ?? payout.amount;
+        const rate = payout.base_amount != null && Number(payout.amount) ? Number(payout.base_amount) / Number(payout.amount) : 1;
+        const feeCents = this.toCents(Number(payout.processing_fee || 0) * rate);
+
+        return this.postEntry(client, {
+            date,
+            sourceType: 'payout',
+            sourceId: payout.id,
+            currency: payout.base_currency || payout.currency,
+            description: `Payout paid${payout.transaction_id ? ` (${payout.transaction_id})` : ''}`,
+            lines: [
+                { account: 'payoutsInTransit', partyId: payout.artist_id, debit: amount },
+                { account: 'paymentFees', debit: feeCents / 100, memo: feeCents ? `${payout.payment_method} fee` : null },
+                { account: 'bank', credit: (this.toCents(amount) + feeCents) / 100 }
+            ]
+        }, userId);
+    }
+
+    /**
+     * Accountant's adjustment, e.g. a platform remittance received or an opening balance
+     * lines: [{ account_id } or { code, party_id }, debit, credit, memo]
+     */
+    static async postManualEntry({ entry_date: date = null, description, currency = 'USD', lines = [] }, userId) {
+        if (!description || lines.length < 2) {
+            throw new AppError('description and at least two lines are required', 400);
+        }
+
+        return this.withTransaction(async (client) => {
+            const entry = await this.postEntry(client, {
+                date,
+                sourceType: 'manual',
+                description,
+                currency,
+                lines: lines.map(line => ({
+                    accountId: line.account_id,
+                    account: line.code,
+                    partyId: line.party_id,
+                    debit: line.debit,
+                    credit: line.credit,
+                    memo: line.memo
+                }))
+            }, userId);
+
+            if (!entry) {
+                throw new AppError('Journal entry has no amounts', 400);
+            }
+
+            logger.info('Manual journal entry posted', { entryId: entry.id, entryNumber: entry.entry_number, userId });
+            return this.getEntry(entry.id, client);
+        });
+    }
+
+    static async withTransaction(work) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ========== Balances and Reports ==========
+
+    static async getAccountRow(client, accountId) {
+        const result = await client.query('SELECT * FROM ledger_accounts WHERE id = $1', [accountId]);
+        if (result.rows.length === 0) {
+            throw new AppError('Ledger account not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    static signedBalance(accountType, debit, credit) {
+        const cents = DEBIT_NORMAL.includes(accountType)
+            ? this.toCents(debit) - this.toCents(credit)
+            : this.toCents(credit) - this.toCents(debit);
+        return cents / 100;
+    }
+
+    /**
+     * What the label owes the artists: royalties payable by source, plus payouts
+     * requested but not paid yet
+     */
+    static async getPayeeBalance(artistIds, currency = 'USD', client = db) {
+        const result = await client.query(`
+            SELECT a.code, je.source_type, SUM(jl.credit - jl.debit) AS net
+            FROM journal_lines jl
+            JOIN ledger_accounts a ON a.id = jl.account_id
+            JOIN journal_entries je ON je.id = jl.entry_id
+            WHERE a.party_type = 'artist'
+              AND a.party_id = ANY($1::text[])
+              AND a.currency = $2
+              AND a.code IN ($3, $4)
+            GROUP BY a.code, je.source_type
+        `, [artistIds.map(String), currency.toUpperCase(), ACCOUNTS.royaltiesPayable.code, ACCOUNTS.payoutsInTransit.code]);
+
+        const net = (code, sourceType = null) => result.rows
+            .filter(row => row.code === code && (!sourceType || row.source_type === sourceType))
+            .reduce((sum, row) => sum + this.toCents(row.net), 0);
+
+        const withdrawn = -net(ACCOUNTS.royaltiesPayable.code, 'payout');
+        const inTransit = net(ACCOUNTS.payoutsInTransit.code);
+
+        return {
+            earned: net(ACCOUNTS.royaltiesPayable.code, 'statement') / 100,
+            recouped: -net(ACCOUNTS.royaltiesPayable.code, 'recoupment') / 100,
+            paid: (withdrawn - inTransit) / 100,
+            inTransit: inTransit / 100,
+            available: net(ACCOUNTS.royaltiesPayable.code) / 100
+        };
+    }
+
+    static async listAccounts({ code = null, partyType = null, partyId = null, currency = null } = {}) {
+        const result = await db.query(`
+            SELECT a.*,
+                   ar.name AS party_name,
+                   COALESCE(SUM(jl.debit), 0) AS total_debit,
+                   COALESCE(SUM(jl.credit), 0) AS total_credit
+            FROM ledger_accounts a
+            LEFT JOIN artists ar ON a.party_type = 'artist' AND ar.id::text = a.party_id
+            LEFT JOIN journal_lines jl ON jl.account_id = a.id
+            WHERE ($1::text IS NULL OR a.code = $1)
+              AND ($2::text IS NULL OR a.party_type = $2)
+              AND ($3::text IS NULL OR a.party_id = $3)
+              AND ($4::text IS NULL OR a.currency = $4)
+            GROUP BY a.id, ar.name
+            ORDER BY a.code, a.currency, ar.name NULLS FIRST, a.party_id NULLS FIRST
+        `, [code, partyType, partyId, currency ? currency.toUpperCase() : null]);
+
+        return result.rows.map(row => this.formatAccount(row));
+    }
+
+    static formatAccount(row) {
+        return {
+            id: row.id,
+            code: row.code,
+            name: row.name,
+            account_type: row.account_type,
+            party_type: row.party_type,
+            party_id: row.party_id,
+            party_name: row.party_type === 'artist' ? row.party_name || null : row.party_id,
+            currency: row.currency,
+            total_debit: Number(row.total_debit),
+            total_credit: Number(row.total_credit),
+            balance: this.signedBalance(row.account_type, row.total_debit, row.total_credit)
+        };
+    }
+
+    /**
+     * Debit and credit totals of every account as of a date; per currency,
+     * total debits equal total credits
+     */
+    static async getTrialBalance({ asOf = null, currency = null } = {}) {
+        const result = await db.query(`
+            SELECT a.*,
+                   ar.name AS party_name,
+                   SUM(jl.debit) AS total_debit,
+                   SUM(jl.credit) AS total_credit
+            FROM journal_lines jl
+            JOIN journal_entries je ON je.id = jl.entry_id
+            JOIN ledger_accounts a ON a.id = jl.account_id
+            LEFT JOIN artists ar ON a.party_type = 'artist' AND ar.id::text = a.party_id
+            WHERE ($1::date IS NULL OR je.entry_date <= $1)
+              AND ($2::text IS NULL OR a.currency = $2)
+            GROUP BY a.id, ar.name
+            ORDER BY a.currency, a.code, ar.name NULLS FIRST, a.party_id NULLS FIRST
+        `, [asOf, currency ? currency.toUpperCase() : null]);
+
+        const totals = {};
+        const accounts = result.rows.map(row => {
+            const account = this.formatAccount(row);
+            // Shown on its normal side; a contra balance goes to the other column
+            const net = this.toCents(row.total_debit) - this.toCents(row.total_credit);
+            const debit = net > 0 ? net : 0;
+            const credit = net < 0 ? -net : 0;
+
+            const currencyTotals = totals[row.currency] || (totals[row.currency] = { debit: 0, credit: 0 });
+            currencyTotals.debit += debit;
+            currencyTotals.credit += credit;
+
+            return { ...account, debit: debit / 100, credit: credit / 100 };
+        });
+
+        return {
+            as_of: asOf || new Date().toISOString().slice(0, 10),
+            accounts,
+            totals: Object.entries(totals).map(([code, sums]) => ({
+                currency: code,
+                debit: sums.debit / 100,
+                credit: sums.credit / 100,
+                balanced: sums.debit === sums.credit
+            }))
+        };
+    }
+
+    /**
+     * Postings to one account in a date range with the running balance on the
+     * account's normal side
+     */
+    static async getAccountStatement(accountId, { dateFrom = null, dateTo = null, page = 1, limit = 100 } = {}) {
+        const account = await this.getAccountRow(db, accountId);
+
+        const opening = await db.query(`
+            SELECT COALESCE(SUM(jl.debit), 0) AS debit, COALESCE(SUM(jl.credit), 0) AS credit
+            FROM journal_lines jl
+            JOIN journal_entries je ON je.id = jl.entry_id
+            WHERE jl.account_id = $1 AND $2::date IS NOT NULL AND je.entry_date < $2
+        `, [accountId, dateFrom]);
+        const openingBalance = this.signedBalance(account.account_type, opening.rows[0].debit, opening.rows[0].credit);
+        const sign = DEBIT_NORMAL.includes(account.account_type) ? 1 : -1;
+
+        const result = await db.query(`
+            SELECT je.id AS entry_id, je.entry_number, je.entry_date, je.source_type, je.source_id,
+                   je.description, je.reverses_entry_id, jl.debit, jl.credit, jl.memo,
+                   SUM(jl.debit - jl.credit) OVER (ORDER BY je.entry_date, je.entry_number, jl.id) AS movement,
+                   COUNT(*) OVER () AS total_count
+            FROM journal_lines jl
+            JOIN journal_entries je ON je.id = jl.entry_id
+            WHERE jl.account_id = $1
+              AND ($2::date IS NULL OR je.entry_date >= $2)
+              AND ($3::date IS NULL OR je.entry_date <= $3)
+            ORDER BY je.entry_date, je.entry_number, jl.id
+            LIMIT $4 OFFSET $5
+        `, [accountId, dateFrom, dateTo, limit, (page - 1) * limit]);
+
+        const totals = await db.query(`
+            SELECT COALESCE(SUM(jl.debit), 0) AS debit, COALESCE(SUM(jl.credit), 0) AS credit
+            FROM journal_lines jl
+            JOIN journal_entries je ON je.id = jl.entry_id
+            WHERE jl.account_id = $1
+              AND ($2::date IS NULL OR je.entry_date >= $2)
+              AND ($3::date IS NULL OR je.entry_date <= $3)
+        `, [accountId, dateFrom, dateTo]);
+
+        const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+        const periodMovement = this.signedBalance(account.account_type, totals.rows[0].debit, totals.rows[0].credit);
+
+        return {
+            account: this.formatAccount({ ...account, total_debit: totals.rows[0].debit, total_credit: totals.rows[0].credit }),
+            date_from: dateFrom,
+            date_to: dateTo,
+            opening_balance: openingBalance,
+            closing_balance: (this.toCents(openingBalance) + this.toCents(periodMovement)) / 100,
+            lines: result.rows.map(row => ({
+                entry_id: row.entry_id,
+                entry_number: Number(row.entry_number),
+                entry_date: this.toDate(row.entry_date),
+                source_type: row.source_type,
+                source_id: row.source_id,
+                description: row.description,
+                reverses_entry_id: row.reverses_entry_id,
+                memo: row.memo,
+                debit: Number(row.debit),
+                credit: Number(row.credit),
+                balance: (this.toCents(openingBalance) + sign * this.toCents(row.movement)) / 100
+            })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+
+    static async listEntries({ sourceType = null, sourceId = null, dateFrom = null, dateTo = null, limit = 50, offset = 0 } = {}) {
+        const result = await db.query(`
+            SELECT je.*,
+                   (SELECT SUM(jl.debit) FROM journal_lines jl WHERE jl.entry_id = je.id) AS total
+            FROM journal_entries je
+            WHERE ($1::text IS NULL OR je.source_type = $1)
+              AND ($2::text IS NULL OR je.source_id = $2)
+              AND ($3::date IS NULL OR je.entry_date >= $3)
+              AND ($4::date IS NULL OR je.entry_date <= $4)
+            ORDER BY je.entry_number DESC
+            LIMIT $5 OFFSET $6
+        `, [sourceType, sourceId, dateFrom, dateTo, limit, offset]);
+
+        return result.rows.map(row => ({ ...row, entry_number: Number(row.entry_number), total: Number(row.total) }));
+    }
+
+    static async getEntry(entryId, client = db) {
+        const entryResult = await client.query('SELECT * FROM journal_entries WHERE id = $1', [entryId]);
+        if (entryResult.rows.length === 0) {
+            throw new AppError('Journal entry not found', 404);
+        }
+
+        const lines = await client.query(`
+            SELECT jl.*, a.code, a.name, a.account_type, a.party_type, a.party_id, a.currency
+            FROM journal_lines jl
+            JOIN ledger_accounts a ON a.id = jl.account_id
+            WHERE jl.entry_id = $1
+            ORDER BY jl.debit DESC, a.code
+        `, [entryId]);
+
+        return {
+            ...entryResult.rows[0],
+            entry_number: Number(entryResult.rows[0].entry_number),
+            lines: lines.rows.map(line => ({ ...line, debit: Number(line.debit), credit: Number(line.credit) }))
+        };
+    }
+}
+
+module.exports = LedgerService;
+module.exports.ACCOUNTS = ACCOUNTS;
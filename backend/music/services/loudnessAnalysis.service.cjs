@@ -0,0 +1,103 @@
+/**
+ * Loudness Analysis Service - EBU R128 Measurement of Track Masters
+ * Decodes the stored WAV/AIFF/FLAC master, measures it to ITU-R BS.1770-4
+ * and predicts how each platform's normalisation will play it back
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const AudioInspectionService = require('./audioInspection.service.cjs');
+const audioSpecs = require('../utils/audioSpecs.util.cjs');
+const loudness = require('../utils/loudness.util.cjs');
+
+// Difference between a BWF-declared and measured loudness worth reporting
+const BEXT_LOUDNESS_TOLERANCE_LU = 1;
+
+class LoudnessAnalysisService {
+    /**
+     * Measure a track's master and compare it with platform targets
+     * @param {Object} track - tracks row
+     * @param {Object} options - { platforms, save }
+     */
+    static async analyzeTrack(track, options = {}) {
+        const { platforms = [], save = true } = options;
+
+        const { buffer, inspection } = await AudioInspectionService.loadDecodableAudio(track, 'Loudness analysis');
+
+        let measurement;
+        try {
+            measurement = await loudness.analyze(buffer, inspection);
+        } catch (error) {
+            throw new AppError(`Audio file cannot be decoded: ${error.message}`, 422);
+        }
+
+        const normalization = audioSpecs.predictNormalization(
+            measurement,
+            platforms.length > 0 ? platforms : audioSpecs.getSupportedPlatforms()
+        );
+
+        const result = {
+            track_id: track.id,
+            format: inspection.format,
+            measurement,
+            normalization: normalization.platforms,
+            recommendation: normalization.summary,
+            warnings: this.compareWithBext(inspection.bext, measurement)
+        };
+
+        if (save) {
+            await this.saveAnalysis(track.id, result);
+        }
+
+        logger.info('Track loudness analysed', {
+            trackId: track.id,
+            integratedLufs: measurement.integrated_lufs,
+            truePeakDbtp: measurement.true_peak_dbtp,
+            differentMasterRecommended: normalization.summary.different_master_recommended
+        });
+
+        return result;
+    }
+
+    /**
+     * Broadcast WAVs may carry loudness written by the mastering tool
+     */
+    static compareWithBext(bext, measurement) {
+        const warnings = [];
+        if (!bext) return warnings;
+
+        if (bext.loudness_value !== null && measurement.integrated_lufs !== null
+            && Math.abs(bext.loudness_value - measurement.integrated_lufs) > BEXT_LOUDNESS_TOLERANCE_LU) {
+            warnings.push(`BWF header declares ${bext.loudness_value} LUFS but the audio measures ${measurement.integrated_lufs} LUFS`);
+        }
+        if (bext.max_true_peak_level !== null && measurement.true_peak_dbtp !== null
+            && Math.abs(bext.max_true_peak_level - measurement.true_peak_dbtp) > BEXT_LOUDNESS_TOLERANCE_LU) {
+            warnings.push(`BWF header declares a ${bext.max_true_peak_level} dBTP true peak but the audio measures ${measurement.true_peak_dbtp} dBTP`);
+        }
+
+        return warnings;
+    }
+
+    static async saveAnalysis(trackId, result) {
+        const { measurement } = result;
+        await db.query(`
+            UPDATE tracks
+            SET loudness_integrated_lufs = $2,
+                loudness_range_lu = $3,
+                true_peak_dbtp = $4,
+                loudness_analysis = $5,
+                loudness_analyzed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [
+            trackId,
+            measurement.integrated_lufs,
+            measurement.loudness_range_lu,
+            measurement.true_peak_dbtp,
+            JSON.stringify(result)
+        ]);
+    }
+}
+
+module.exports = LoudnessAnalysisService;
@@ -6,40 +6,91 @@
 const db = require('../../db.cjs');
 const logger = require('../config/logger.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
+const CurrencyUtil = require('../utils/currency.util.cjs');
+const ExchangeRateService = require('./exchangeRate.service.cjs');
+const LedgerService = require('./ledger.service.cjs');
+const TaxService = require('./tax.service.cjs');
 
 class PayoutService {
     /**
      * Request a payout
+     * `amount` is drawn from the `currency` balance; with a different
+     * `payoutCurrency` it is converted at the day's rate, which is stored
+     * with the payout. Users paid for several artists pick the artist with `artistId`.
+     * Tax withheld for the payee's tax status is kept back from the amount sent
      */
     static async requestPayout(options) {
-        const { userId, amount, currency, paymentMethod, paymentDetails, includeStatements } = options;
+        const { userId, artistId, amount, currency, payoutCurrency, paymentMethod, paymentDetails, includeStatements } = options;
+
+        const paidCurrency = (payoutCurrency || currency).toUpperCase();
+        let fx = { rate: 1, rate_date: null, source: null };
+
+        if (paidCurrency !== currency.toUpperCase()) {
+            fx = await ExchangeRateService.quote(currency, paidCurrency, new Date());
+        }
 
         const client = await db.getClient();
 
         try {
             await client.query('BEGIN');
 
+            const payeeArtistId = await this.getPayeeArtistId(userId, artistId, client);
+
+            // Concurrent requests for the same artist wait here so both cannot spend the balance
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payee:${payeeArtistId}`]);
+
             // Check available balance
-            const balance = await this.getAvailableBalance(userId, currency, client);
+            const balance = await this.getAvailableBalance(userId, currency, client, payeeArtistId);
             if (balance.availableBalance < amount) {
                 throw new AppError('Insufficient balance for payout', 400);
             }
 
+            const withholding = await TaxService.calculateWithholding(client, payeeArtistId, amount);
+            const netAmount = Math.round((amount - withholding.amount) * 100) / 100;
+            const paidAmount = paidCurrency === currency.toUpperCase() ? netAmount : CurrencyUtil.roundToCurrencyPrecision(netAmount * fx.rate, paidCurrency);
+
             // Create payout request
             const payoutResult = await client.query(`
                 INSERT INTO payouts (
                     user_id,
+                    artist_id,
                     amount,
                     currency,
                     payment_method,
                     payment_details,
                     status,
-                    requested_at
-                ) VALUES ($1, $2, $3, $4, $5, 'pending', NOW())
+                    requested_at,
+                    base_currency,
+                    base_amount,
+                    fx_rate,
+                    fx_rate_date,
+                    fx_source,
+                    gross_amount,
+                    withholding_amount,
+                    withholding_rate,
+                    withholding_reason
+                ) VALUES ($1, $2, $3, $4, $5, $6, 'pending', NOW(), $7, $8, $9, $10, $11, $12, $13, $14, $15)
                 RETURNING *
-            `, [userId, amount, currency, paymentMethod, JSON.stringify(paymentDetails)]);
+            `, [
+                userId,
+                payeeArtistId,
+                paidAmount,
+                paidCurrency,
+                paymentMethod,
+                JSON.stringify(paymentDetails),
+                currency,
+                netAmount,
+                fx.rate,
+                fx.rate_date,
+                fx.source,
+                amount,
+                withholding.amount,
+                withholding.rate,
+                withholding.reason
+            ]);
 
             const payout = payoutResult.rows[0];
+            await LedgerService.postPayoutRequest(client, payout, userId);
 
             // Link royalty statements to payout if specified
             if (includeStatements && includeStatements.length > 0) {
@@ -54,12 +105,27 @@ class PayoutService {
             await client.query('COMMIT');
 
             // Log payout request
-            logger.info(`Payout requested: ${amount} ${currency} for user ${userId}`);
+            logger.info(`Payout requested: ${amount} ${currency} for user ${userId}`, {
+                paid: `${payout.amount} ${paidCurrency}`,
+                withheld: withholding.amount,
+                fxRate: fx.rate,
+                fxRateDate: fx.rate_date
+            });
 
             return {
                 id: payout.id,
+                artistId: payout.artist_id,
                 amount: parseFloat(payout.amount),
                 currency: payout.currency,
+                baseAmount: parseFloat(payout.base_amount),
+                baseCurrency: payout.base_currency,
+                grossAmount: parseFloat(payout.gross_amount),
+                withholdingAmount: parseFloat(payout.withholding_amount),
+                withholdingRate: parseFloat(payout.withholding_rate),
+                withholdingReason: payout.withholding_reason,
+                fxRate: fx.rate,
+                fxRateDate: fx.rate_date,
+                fxSource: fx.source,
                 status: payout.status,
                 paymentMethod: payout.payment_method,
                 requestedAt: payout.requested_at
@@ -214,8 +280,12 @@ class PayoutService {
      * Cancel payout
      */
     static async cancelPayout(payoutId, userId) {
+        const client = await db.getClient();
+
         try {
-            const result = await db.query(`
+            await client.query('BEGIN');
+
+            const result = await client.query(`
                 UPDATE payouts
                 SET status = 'cancelled',
                     cancelled_at = NOW(),
@@ -228,6 +298,11 @@ class PayoutService {
                 throw new AppError('Payout not found or cannot be cancelled', 404);
             }
 
+            // The amount goes back to the artist's balance
+            await LedgerService.reverseSource(client, 'payout', payoutId, userId, 'payout cancelled');
+
+            await client.query('COMMIT');
+
             logger.info(`Payout cancelled: ${payoutId} by user ${userId}`);
 
             return {
@@ -237,8 +312,11 @@ class PayoutService {
             };
 
         } catch (error) {
+            await client.query('ROLLBACK');
             logger.error('Error cancelling payout:', error);
             throw error;
+        } finally {
+            client.release();
         }
     }
 
@@ -284,8 +362,12 @@ class PayoutService {
      * Complete payout (admin function)
      */
     static async completePayout(payoutId, processorId, transactionId) {
+        const client = await db.getClient();
+
         try {
-            const result = await db.query(`
+            await client.query('BEGIN');
+
+            const result = await client.query(`
                 UPDATE payouts
                 SET status = 'completed',
                     completed_at = NOW(),
@@ -298,13 +380,87 @@ class PayoutService {
                 throw new AppError('Payout not found or not in processing status', 404);
             }
 
+            await LedgerService.postPayoutSettlement(client, result.rows[0], processorId);
+
+            await client.query('COMMIT');
+
             logger.info(`Payout completed: ${payoutId} with transaction ${transactionId}`);
 
             return result.rows[0];
 
         } catch (error) {
+            await client.query('ROLLBACK');
             logger.error('Error completing payout:', error);
             throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Approve payout for the next payment batch (admin function)
+     */
+    static async approvePayout(payoutId, approverId) {
+        try {
+            const result = await db.query(`
+                UPDATE payouts
+                SET status = 'approved',
+                    approved_at = NOW(),
+                    approved_by = $2
+                WHERE id = $1 AND status = 'pending'
+                RETURNING *
+            `, [payoutId, approverId]);
+
+            if (result.rows.length === 0) {
+                throw new AppError('Payout not found or not awaiting approval', 404);
+            }
+
+            logger.info(`Payout approved: ${payoutId} by ${approverId}`);
+
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error('Error approving payout:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reject payout before it is batched (admin function)
+     */
+    static async rejectPayout(payoutId, approverId, reason) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE payouts
+                SET status = 'cancelled',
+                    cancelled_at = NOW(),
+                    cancellation_reason = $2
+                WHERE id = $1 AND status IN ('pending', 'approved')
+                RETURNING *
+            `, [payoutId, reason || 'Rejected by administrator']);
+
+            if (result.rows.length === 0) {
+                throw new AppError('Payout not found or already batched', 404);
+            }
+
+            await LedgerService.reverseSource(client, 'payout', payoutId, approverId, 'payout rejected');
+
+            await client.query('COMMIT');
+
+            logger.info(`Payout rejected: ${payoutId} by ${approverId}`);
+
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error rejecting payout:', error);
+            throw error;
+        } finally {
+            client.release();
         }
     }
 
@@ -326,50 +482,61 @@ class PayoutService {
     }
 
     /**
-     * Get available balance (internal method)
+     * Artists whose royalties the user is paid: the artists they manage, or the
+     * one given when it is theirs
      */
-    static async getAvailableBalance(userId, currency, client = null) {
+    static async getPayeeArtistIds(userId, artistId = null, client = null) {
         const dbClient = client || db;
 
-        try {
-            // Get total earned revenue
-            const earnedResult = await dbClient.query(`
-                SELECT COALESCE(SUM(net_revenue), 0) as total_earned
-                FROM revenue_reports rr
-                JOIN releases r ON rr.release_id = r.id
-                WHERE r.user_id = $1
-                    AND rr.currency = $2
-                    AND rr.status = 'finalized'
-            `, [userId, currency]);
-
-            // Get total paid out
-            const paidResult = await dbClient.query(`
-                SELECT COALESCE(SUM(amount), 0) as total_paid
-                FROM payouts
-                WHERE user_id = $1
-                    AND currency = $2
-                    AND status IN ('completed', 'processing')
-            `, [userId, currency]);
+        const result = await dbClient.query(`
+            SELECT id FROM artists
+            WHERE created_by = $1 AND ($2::uuid IS NULL OR id = $2)
+            ORDER BY created_at
+        `, [userId, artistId || null]);
 
-            // Get pending payouts
-            const pendingResult = await dbClient.query(`
-                SELECT COALESCE(SUM(amount), 0) as total_pending
-                FROM payouts
-                WHERE user_id = $1
-                    AND currency = $2
-                    AND status = 'pending'
-            `, [userId, currency]);
+        if (artistId && result.rows.length === 0) {
+            throw new AppError('Artist not found', 404);
+        }
 
-            const totalEarned = parseFloat(earnedResult.rows[0]?.total_earned || 0);
-            const totalPaid = parseFloat(paidResult.rows[0]?.total_paid || 0);
-            const totalPending = parseFloat(pendingResult.rows[0]?.total_pending || 0);
+        return result.rows.map(row => row.id);
+    }
+
+    /**
+     * The single artist a payout or tax form is for
+     */
+    static async getPayeeArtistId(userId, artistId = null, client = null) {
+        const [payeeArtistId, ...otherArtists] = await this.getPayeeArtistIds(userId, artistId, client);
+
+        if (!payeeArtistId) {
+            throw new AppError('No artist account to pay out from', 400);
+        }
+        if (otherArtists.length > 0) {
+            throw new AppError('artistId is required for users paid for several artists', 400);
+        }
+
+        return payeeArtistId;
+    }
+
+    /**
+     * Get available balance from the ledger's royalties payable accounts
+     * Requested payouts leave the balance at once and return to it when
+     * cancelled, rejected or returned by the bank
+     */
+    static async getAvailableBalance(userId, currency, client = null, artistId = null) {
+        const dbClient = client || db;
+
+        try {
+            const artistIds = await this.getPayeeArtistIds(userId, artistId, dbClient);
+            const balance = await LedgerService.getPayeeBalance(artistIds, currency, dbClient);
 
             return {
                 currency,
-                totalEarned,
-                totalPaid,
-                totalPending,
-                availableBalance: totalEarned - totalPaid - totalPending
+                artistIds,
+                totalEarned: balance.earned,
+                totalRecouped: balance.recouped,
+                totalPaid: balance.paid,
+                totalPending: balance.inTransit,
+                availableBalance: balance.available
             };
 
         } catch (error) {
@@ -390,7 +557,7 @@ class PayoutService {
                     currency,
                     COUNT(*) as total_payouts,
                     SUM(CASE WHEN status = 'completed' THEN amount ELSE 0 END) as total_paid,
-                    SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END) as total_pending,
+                    SUM(CASE WHEN status IN ('pending', 'approved') THEN amount ELSE 0 END) as total_pending,
                     AVG(CASE WHEN status = 'completed' THEN amount ELSE NULL END) as avg_payout,
                     MIN(CASE WHEN status = 'completed' THEN amount ELSE NULL END) as min_payout,
                     MAX(CASE WHEN status = 'completed' THEN amount ELSE NULL END) as max_payout
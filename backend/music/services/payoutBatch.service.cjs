@@ -0,0 +1,627 @@
+/**
+ * Payout Batch Service - Payment File Execution and Reconciliation
+ * Groups approved payouts by payment rail and currency, writes the payment
+ * file for each group (SEPA pain.001, NACHA ACH, PayPal Payouts CSV) and
+ * settles or fails the payouts from the bank's camt.054 / ACH return files
+ *
+ * Payout lifecycle: pending -> approved -> processing (in a batch) ->
+ * completed | failed. Completion and bank returns are posted to the ledger;
+ * a failed payout's amount goes back to the artist's balance
+ */
+
+const crypto = require('crypto');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const config = require('../config/env.cjs');
+const SepaRail = require('../integrations/paymentRails/sepa.rail.cjs');
+const AchRail = require('../integrations/paymentRails/ach.rail.cjs');
+const PaypalRail = require('../integrations/paymentRails/paypal.rail.cjs');
+const LedgerService = require('./ledger.service.cjs');
+
+// Rails in order of preference: a USD bank transfer with a routing number goes
+// through ACH, a EUR one with an IBAN through SEPA
+const RAILS = {
+    sepa: () => new SepaRail(config.payouts.sepa),
+    ach: () => new AchRail(config.payouts.ach),
+    paypal: () => new PaypalRail(config.payouts.paypal)
+};
+
+class PayoutBatchService {
+    static getRails() {
+        return Object.values(RAILS).map(factory => factory());
+    }
+
+    static getRail(name) {
+        const factory = RAILS[name];
+        if (!factory) {
+            throw new AppError(`Unknown payment rail: ${name}`, 400);
+        }
+        return factory();
+    }
+
+    static async withTransaction(work) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static parseDetails(details) {
+        if (!details) return {};
+        if (typeof details === 'string') {
+            try {
+                return JSON.parse(details);
+            } catch (error) {
+                return {};
+            }
+        }
+        return details;
+    }
+
+    static toCents(amount) {
+        return Math.round(Number(amount) * 100);
+    }
+
+    static checksum(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Requested execution date, or today plus the configured lead days
+     * moved past the weekend
+     */
+    static resolveExecutionDate(date = null) {
+        if (date) {
+            const requested = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+            if (isNaN(requested.getTime())) {
+                throw new AppError('Invalid execution date', 400);
+            }
+            return requested.toISOString().slice(0, 10);
+        }
+
+        const day = new Date();
+        day.setUTCDate(day.getUTCDate() + config.payouts.executionLeadDays);
+        while (day.getUTCDay() === 0 || day.getUTCDay() === 6) {
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+        return day.toISOString().slice(0, 10);
+    }
+
+    // ========== Batch Generation ==========
+
+    /**
+     * Batch approved payouts (optionally only some methods, a currency or
+     * given payout IDs). Payouts no rail can pay, or with unusable account
+     * details, stay approved and are reported as skipped
+     */
+    static async createBatches(options = {}, userId = null) {
+        const { paymentMethod = null, currency = null, payoutIds = null } = options;
+        const executionDate = this.resolveExecutionDate(options.executionDate);
+        const rails = this.getRails();
+
+        const result = await this.withTransaction(async (client) => {
+            const params = [];
+            const conditions = [`status = 'approved'`];
+
+            if (paymentMethod) {
+                params.push(paymentMethod);
+                conditions.push(`payment_method = $${params.length}`);
+            }
+            if (currency) {
+                params.push(currency.toUpperCase());
+                conditions.push(`currency = $${params.length}`);
+            }
+            if (payoutIds && payoutIds.length > 0) {
+                params.push(payoutIds);
+                conditions.push(`id = ANY($${params.length}::uuid[])`);
+            }
+
+            const payouts = (await client.query(`
+                SELECT * FROM payouts
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY approved_at NULLS LAST, requested_at
+                FOR UPDATE SKIP LOCKED
+            `, params)).rows;
+
+            const groups = new Map();
+            const skipped = [];
+
+            for (const payout of payouts) {
+                const details = this.parseDetails(payout.payment_details);
+                const candidate = { ...payout, payment_details: details };
+                const rail = rails.find(option => option.accepts(candidate));
+
+                if (!rail) {
+                    skipped.push({ payout_id: payout.id, reason: `No payment file format for ${payout.payment_method} payouts in ${payout.currency}` });
+                    continue;
+                }
+
+                const problem = rail.validatePayee(details);
+                const amountCents = this.toCents(payout.amount);
+                if (problem || amountCents <= 0) {
+                    skipped.push({ payout_id: payout.id, reason: problem || 'Payout amount must be positive' });
+                    continue;
+                }
+
+                const key = `${rail.name}:${payout.currency}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { rail, currency: payout.currency, payouts: [] });
+                }
+                groups.get(key).payouts.push({ payout, details, amountCents });
+            }
+
+            const batches = [];
+
+            for (const group of groups.values()) {
+                const missing = group.rail.missingConfig();
+                if (missing.length > 0) {
+                    for (const { payout } of group.payouts) {
+                        skipped.push({ payout_id: payout.id, reason: `${group.rail.name.toUpperCase()} originator not configured: ${missing.join(', ')}` });
+                    }
+                    continue;
+                }
+
+                for (let start = 0; start < group.payouts.length; start += group.rail.maxItems) {
+                    const chunk = group.payouts.slice(start, start + group.rail.maxItems);
+                    batches.push(await this.createBatch(client, group.rail, group.currency, chunk, executionDate, userId));
+                }
+            }
+
+            return { batches, skipped };
+        });
+
+        logger.info('Payout batches generated', {
+            batches: result.batches.map(batch => batch.batch_reference),
+            payouts: result.batches.reduce((sum, batch) => sum + batch.payout_count, 0),
+            skipped: result.skipped.length,
+            userId
+        });
+
+        return result;
+    }
+
+    static async createBatch(client, rail, currency, entries, executionDate, userId) {
+        const number = Number((await client.query(`SELECT nextval('payout_batch_number_seq') AS number`)).rows[0].number);
+        const createdAt = new Date();
+        const batch = {
+            reference: `PO-${createdAt.toISOString().slice(0, 10).replace(/-/g, '')}-${String(number).padStart(6, '0')}`,
+            number,
+            executionDate,
+            createdAt,
+            currency
+        };
+
+        const items = entries.map(({ payout, details, amountCents }, index) => {
+            const reference = rail.referenceFor(batch, index);
+            return {
+                payoutId: payout.id,
+                reference,
+                amountCents,
+                currency,
+                details,
+                remittance: `Royalty payout ${reference}`
+            };
+        });
+
+        const file = rail.buildFile(batch, items);
+        const totalCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+
+        const batchResult = await client.query(`
+            INSERT INTO payout_batches (
+                batch_reference, batch_number, rail, currency, execution_date, payout_count,
+                total_amount, file_name, file_format, mime_type, file_content, file_checksum, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING *
+        `, [
+            batch.reference,
+            number,
+            rail.name,
+            currency,
+            executionDate,
+            items.length,
+            totalCents / 100,
+            file.fileName,
+            rail.fileFormat,
+            rail.mimeType,
+            file.content,
+            this.checksum(file.content),
+            userId
+        ]);
+        const row = batchResult.rows[0];
+
+        for (const item of items) {
+            await client.query(`
+                INSERT INTO payout_batch_items (batch_id, payout_id, end_to_end_id, amount, currency, payee_name)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [row.id, item.payoutId, item.reference, item.amountCents / 100, currency, rail.payeeName ? rail.payeeName(item.details) : null]);
+        }
+
+        await client.query(`
+            UPDATE payouts p
+            SET status = 'processing',
+                batch_id = $1,
+                payment_reference = i.reference,
+                processed_at = NOW(),
+                processed_by = $4
+            FROM unnest($2::uuid[], $3::text[]) AS i(payout_id, reference)
+            WHERE p.id = i.payout_id
+        `, [row.id, items.map(item => item.payoutId), items.map(item => item.reference), userId]);
+
+        return this.formatBatch(row);
+    }
+
+    // ========== Batches ==========
+
+    static formatBatch(row) {
+        // The generated file is only served by getBatchFile
+        const batch = { ...row };
+        delete batch.file_content;
+        return {
+            ...batch,
+            total_amount: Number(row.total_amount),
+            payout_count: Number(row.payout_count)
+        };
+    }
+
+    static async listBatches({ status, rail, limit = 50, offset = 0 } = {}) {
+        const params = [];
+        const conditions = [];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+        if (rail) {
+            params.push(rail);
+            conditions.push(`rail = $${params.length}`);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        params.push(limit, offset);
+        const result = await db.query(`
+            SELECT * FROM payout_batches
+            ${where}
+            ORDER BY created_at DESC
+            LIMIT $${params.length - 1} OFFSET $${params.length}
+        `, params);
+
+        return result.rows.map(row => this.formatBatch(row));
+    }
+
+    static async getBatchRow(batchId, client = db, lock = false) {
+        const result = await client.query(`
+            SELECT * FROM payout_batches WHERE id = $1 ${lock ? 'FOR UPDATE' : ''}
+        `, [batchId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Payout batch not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    static async getBatch(batchId) {
+        const batch = await this.getBatchRow(batchId);
+        const items = await db.query(`
+            SELECT i.*, p.user_id, p.payment_method, p.status AS payout_status
+            FROM payout_batch_items i
+            JOIN payouts p ON p.id = i.payout_id
+            WHERE i.batch_id = $1
+            ORDER BY i.created_at, i.end_to_end_id
+        `, [batchId]);
+
+        return {
+            ...this.formatBatch(batch),
+            items: items.rows.map(item => ({ ...item, amount: Number(item.amount) }))
+        };
+    }
+
+    static async getBatchFile(batchId) {
+        const batch = await this.getBatchRow(batchId);
+        return {
+            fileName: batch.file_name,
+            mimeType: batch.mime_type,
+            content: batch.file_content,
+            checksum: batch.file_checksum
+        };
+    }
+
+    /**
+     * Record that the file was handed to the bank or PayPal
+     */
+    static async submitBatch(batchId, userId) {
+        const result = await db.query(`
+            UPDATE payout_batches
+            SET status = 'submitted', submitted_at = NOW(), submitted_by = $2
+            WHERE id = $1 AND status = 'generated'
+            RETURNING *
+        `, [batchId, userId]);
+
+        if (result.rows.length === 0) {
+            await this.getBatchRow(batchId);
+            throw new AppError('Only generated batches can be marked as submitted', 409);
+        }
+
+        logger.info('Payout batch submitted', { batchId, userId });
+        return this.formatBatch(result.rows[0]);
+    }
+
+    /**
+     * Withdraw a batch that was never sent; its payouts return to approved
+     */
+    static async cancelBatch(batchId, userId) {
+        return this.withTransaction(async (client) => {
+            const batch = await this.getBatchRow(batchId, client, true);
+            if (batch.status !== 'generated') {
+                throw new AppError('Only batches not yet submitted can be cancelled', 409);
+            }
+
+            await client.query(`
+                UPDATE payouts
+                SET status = 'approved', batch_id = NULL, payment_reference = NULL, processed_at = NULL, processed_by = NULL
+                WHERE batch_id = $1 AND status = 'processing'
+            `, [batchId]);
+            await client.query(`
+                UPDATE payout_batch_items SET status = 'cancelled' WHERE batch_id = $1
+            `, [batchId]);
+            const result = await client.query(`
+                UPDATE payout_batches SET status = 'cancelled', cancelled_at = NOW() WHERE id = $1 RETURNING *
+            `, [batchId]);
+
+            logger.info('Payout batch cancelled', { batchId, userId });
+            return this.formatBatch(result.rows[0]);
+        });
+    }
+
+    /**
+     * Complete every payout of a submitted batch still awaiting confirmation,
+     * e.g. a PayPal batch, or an ACH batch once the return window has passed
+     */
+    static async settleBatch(batchId, userId) {
+        return this.withTransaction(async (client) => {
+            const batch = await this.getBatchRow(batchId, client, true);
+            if (!['submitted', 'partially_settled'].includes(batch.status)) {
+                throw new AppError('Only submitted batches can be settled', 409);
+            }
+
+            const items = (await client.query(`
+                SELECT * FROM payout_batch_items WHERE batch_id = $1 AND status = 'included' FOR UPDATE
+            `, [batchId])).rows;
+
+            const rail = this.getRail(batch.rail);
+            for (const item of items) {
+                await this.completeItem(client, rail, item, {}, userId);
+            }
+
+            const updated = await this.refreshBatchStatus(client, batchId);
+            logger.info('Payout batch settled manually', { batchId, completed: items.length, userId });
+
+            return { ...this.formatBatch(updated), completed: items.length };
+        });
+    }
+
+    /**
+     * Settle a batch item; the rail's fee for it is recorded on the payout and
+     * posted to payment fees with the settlement
+     */
+    static async completeItem(client, rail, item, entry, userId = null) {
+        await client.query(`
+            UPDATE payout_batch_items
+            SET status = 'completed',
+                bank_reference = COALESCE($2, bank_reference),
+                settled_at = COALESCE($3::timestamptz, NOW())
+            WHERE id = $1
+        `, [item.id, entry.bankReference || null, entry.bookingDate || null]);
+
+        const payout = await client.query(`
+            UPDATE payouts
+            SET status = 'completed',
+                completed_at = NOW(),
+                transaction_id = COALESCE($2, payment_reference),
+                processing_fee = $3
+            WHERE id = $1 AND status = 'processing'
+            RETURNING *
+        `, [item.payout_id, entry.bankReference || null, rail.fee(this.toCents(item.amount), item.currency) / 100]);
+
+        if (payout.rows.length > 0) {
+            await LedgerService.postPayoutSettlement(client, payout.rows[0], userId, entry.bookingDate);
+        }
+    }
+
+    static async failItem(client, item, entry, userId = null) {
+        await client.query(`
+            UPDATE payout_batch_items
+            SET status = 'returned',
+                return_code = $2,
+                return_reason = $3,
+                bank_reference = COALESCE($4, bank_reference),
+                settled_at = COALESCE($5::timestamptz, NOW())
+            WHERE id = $1
+        `, [item.id, entry.reasonCode || null, entry.reason || null, entry.bankReference || null, entry.bookingDate || null]);
+
+        const payout = await client.query(`
+            UPDATE payouts
+            SET status = 'failed',
+                failed_at = NOW(),
+                error_message = $2
+            WHERE id = $1 AND status IN ('processing', 'completed')
+            RETURNING id
+        `, [item.payout_id, [entry.reasonCode, entry.reason].filter(Boolean).join(': ')]);
+
+        if (payout.rows.length > 0) {
+            await LedgerService.reverseSource(client, 'payout', item.payout_id, userId, `returned by bank${entry.reasonCode ? ` (${entry.reasonCode})` : ''}`);
+        }
+
+        logger.warn('Payout returned by bank', {
+            payoutId: item.payout_id,
+            reference: item.end_to_end_id,
+            reasonCode: entry.reasonCode
+        });
+    }
+
+    /**
+     * Settled once no payout awaits confirmation; failed when none went through
+     */
+    static async refreshBatchStatus(client, batchId) {
+        const counts = (await client.query(`
+            SELECT
+                COUNT(*) FILTER (WHERE status = 'included') AS included,
+                COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+                COUNT(*) FILTER (WHERE status = 'returned') AS returned
+            FROM payout_batch_items
+            WHERE batch_id = $1
+        `, [batchId])).rows[0];
+
+        const included = Number(counts.included);
+        const completed = Number(counts.completed);
+        const returned = Number(counts.returned);
+
+        let status = null;
+        if (included === 0) {
+            status = completed > 0 ? 'settled' : 'failed';
+        } else if (completed + returned > 0) {
+            status = 'partially_settled';
+        }
+
+        const result = await client.query(`
+            UPDATE payout_batches
+            SET status = COALESCE($2, status),
+                settled_at = CASE WHEN $2 IN ('settled', 'failed') THEN COALESCE(settled_at, NOW()) ELSE settled_at END
+            WHERE id = $1
+            RETURNING *
+        `, [batchId, status]);
+
+        return result.rows[0];
+    }
+
+    // ========== Reconciliation ==========
+
+    /**
+     * Apply a bank confirmation or return file. Booked transfers complete their
+     * payouts, returns fail them (also after completion); entries matching no
+     * batch item are kept on the import for review. A file is applied once
+     */
+    static async importReconciliationFile({ content, fileName = null }, userId = null) {
+        const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+        if (!text.trim()) {
+            throw new AppError('Reconciliation file is empty', 400);
+        }
+
+        const rail = this.getRails().find(option => option.detectReconciliation(text));
+        if (!rail) {
+            throw new AppError('Unrecognized reconciliation file; expected a camt.054 notification or a NACHA return file', 400);
+        }
+
+        let entries;
+        try {
+            entries = rail.parseReconciliation(text);
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+
+        const checksum = this.checksum(text);
+
+        const summary = await this.withTransaction(async (client) => {
+            const existing = await client.query(`
+                SELECT id, created_at FROM payout_reconciliation_imports WHERE file_checksum = $1
+            `, [checksum]);
+            if (existing.rows.length > 0) {
+                throw new AppError(`File already imported on ${new Date(existing.rows[0].created_at).toISOString().slice(0, 10)}`, 409);
+            }
+
+            let completed = 0;
+            let returned = 0;
+            let alreadyApplied = 0;
+            const unmatched = [];
+            const touchedBatches = new Set();
+
+            for (const entry of entries) {
+                const items = entry.reference
+                    ? (await client.query(`
+                        SELECT i.* FROM payout_batch_items i
+                        JOIN payout_batches b ON b.id = i.batch_id
+                        WHERE i.end_to_end_id = $1 AND b.rail = $2
+                        FOR UPDATE OF i
+                    `, [entry.reference, rail.name])).rows
+                    : (await client.query(`
+                        SELECT i.* FROM payout_batch_items i
+                        JOIN payout_batches b ON b.id = i.batch_id
+                        WHERE b.batch_reference = $1 AND b.rail = $2 AND i.status = 'included'
+                        FOR UPDATE OF i
+                    `, [entry.batchReference, rail.name])).rows;
+
+                if (items.length === 0) {
+                    unmatched.push({ ...entry, issue: 'no_matching_payout' });
+                    continue;
+                }
+
+                if (entry.amount !== null && entry.amount !== undefined) {
+                    const expectedCents = items.reduce((sum, item) => sum + this.toCents(item.amount), 0);
+                    if (this.toCents(entry.amount) !== expectedCents) {
+                        unmatched.push({ ...entry, issue: 'amount_mismatch', expected: expectedCents / 100 });
+                        continue;
+                    }
+                }
+
+                for (const item of items) {
+                    if (entry.status === 'completed' && item.status === 'included') {
+                        await this.completeItem(client, rail, item, entry, userId);
+                        completed++;
+                    } else if (entry.status === 'failed' && ['included', 'completed'].includes(item.status)) {
+                        await this.failItem(client, item, entry, userId);
+                        returned++;
+                    } else {
+                        alreadyApplied++;
+                        continue;
+                    }
+                    touchedBatches.add(item.batch_id);
+                }
+            }
+
+            for (const batchId of touchedBatches) {
+                await this.refreshBatchStatus(client, batchId);
+            }
+
+            const importResult = await client.query(`
+                INSERT INTO payout_reconciliation_imports (
+                    file_name, file_format, file_checksum, entry_count, completed_count,
+                    returned_count, unmatched, imported_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id, created_at
+            `, [fileName, rail.reconciliationFormat, checksum, entries.length, completed, returned, JSON.stringify(unmatched), userId]);
+
+            return {
+                import_id: importResult.rows[0].id,
+                format: rail.reconciliationFormat,
+                entries: entries.length,
+                completed,
+                returned,
+                already_applied: alreadyApplied,
+                unmatched,
+                batches: [...touchedBatches]
+            };
+        });
+
+        logger.info('Payout reconciliation file imported', {
+            fileName,
+            format: summary.format,
+            completed: summary.completed,
+            returned: summary.returned,
+            unmatched: summary.unmatched.length,
+            userId
+        });
+
+        return summary;
+    }
+}
+
+module.exports = PayoutBatchService;
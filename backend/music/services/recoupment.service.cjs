@@ -0,0 +1,535 @@
+/**
+ * Recoupment Service - Advances and Recoupable Costs
+ * Withholds recoupable expenses and advances from artist statements under the
+ * artist's recoupment contract and keeps every amount withheld in an
+ * append-only ledger; regenerated statements reverse their earlier entries
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const config = require('../config/env.cjs');
+const ExchangeRateService = require('./exchangeRate.service.cjs');
+const LedgerService = require('./ledger.service.cjs');
+
+const WATERFALLS = ['cross_collateralized', 'per_release'];
+
+class RecoupmentService {
+    static toCents(amount) {
+        return Math.round(Number(amount || 0) * 100);
+    }
+
+    // ========== Contracts ==========
+
+    static validateTerms({ waterfall, recoup_percentage: percentage }) {
+        if (waterfall !== undefined && !WATERFALLS.includes(waterfall)) {
+            throw new AppError(`waterfall must be one of: ${WATERFALLS.join(', ')}`, 400);
+        }
+        if (percentage !== undefined && !(Number(percentage) > 0 && Number(percentage) <= 100)) {
+            throw new AppError('recoup_percentage must be greater than 0 and at most 100', 400);
+        }
+    }
+
+    static async assertNoOverlap(artistId, effectiveDate, endDate, excludeId = null) {
+        const result = await db.query(`
+            SELECT id, name FROM recoupment_contracts
+            WHERE artist_id = $1
+              AND ($4::uuid IS NULL OR id <> $4)
+              AND effective_date <= COALESCE($3::date, 'infinity'::date)
+              AND COALESCE(end_date, 'infinity'::date) >= $2::date
+            LIMIT 1
+        `, [artistId, effectiveDate, endDate || null, excludeId]);
+
+        if (result.rows.length > 0) {
+            throw new AppError(`Contract "${result.rows[0].name}" already covers part of this period`, 409);
+        }
+    }
+
+    static async createContract(data, userId) {
+        const {
+            artist_id: artistId,
+            name,
+            waterfall = 'cross_collateralized',
+            recoup_percentage: percentage = 100,
+            effective_date: effectiveDate,
+            end_date: endDate = null,
+            notes = null
+        } = data;
+
+        if (!artistId || !name || !effectiveDate) {
+            throw new AppError('artist_id, name and effective_date are required', 400);
+        }
+        this.validateTerms({ waterfall, recoup_percentage: percentage });
+        await this.assertNoOverlap(artistId, effectiveDate, endDate);
+
+        const result = await db.query(`
+            INSERT INTO recoupment_contracts (artist_id, name, waterfall, recoup_percentage, effective_date, end_date, notes, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [artistId, name, waterfall, percentage, effectiveDate, endDate, notes, userId]);
+
+        logger.info('Recoupment contract created', { contractId: result.rows[0].id, artistId, waterfall, percentage });
+        return result.rows[0];
+    }
+
+    /**
+     * New terms apply to statements generated afterwards; ledger entries keep
+     * the terms they were recouped under
+     */
+    static async updateContract(contractId, data, userId) {
+        const current = await db.query('SELECT * FROM recoupment_contracts WHERE id = $1', [contractId]);
+        if (current.rows.length === 0) {
+            throw new AppError('Recoupment contract not found', 404);
+        }
+
+        const contract = current.rows[0];
+        this.validateTerms(data);
+
+        const endDate = data.end_date !== undefined ? data.end_date : contract.end_date;
+        if (data.end_date !== undefined) {
+            await this.assertNoOverlap(contract.artist_id, contract.effective_date, endDate, contractId);
+        }
+
+        const result = await db.query(`
+            UPDATE recoupment_contracts
+            SET name = COALESCE($2, name),
+                waterfall = COALESCE($3, waterfall),
+                recoup_percentage = COALESCE($4, recoup_percentage),
+                end_date = $5,
+                notes = COALESCE($6, notes)
+            WHERE id = $1
+            RETURNING *
+        `, [contractId, data.name || null, data.waterfall || null, data.recoup_percentage ?? null, endDate || null, data.notes ?? null]);
+
+        logger.info('Recoupment contract updated', { contractId, userId });
+        return result.rows[0];
+    }
+
+    static async listContracts({ artistId = null } = {}) {
+        const result = await db.query(`
+            SELECT c.*, a.name AS artist_name
+            FROM recoupment_contracts c
+            JOIN artists a ON a.id = c.artist_id
+            WHERE ($1::uuid IS NULL OR c.artist_id = $1)
+            ORDER BY a.name, c.effective_date DESC
+        `, [artistId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Contract in effect on the date, or the configured default terms
+     */
+    static async getContractForDate(artistId, date, client = db) {
+        const result = await client.query(`
+            SELECT * FROM recoupment_contracts
+            WHERE artist_id = $1
+              AND effective_date <= $2
+              AND (end_date IS NULL OR end_date >= $2)
+            ORDER BY effective_date DESC
+            LIMIT 1
+        `, [artistId, date]);
+
+        return result.rows[0] || {
+            id: null,
+            artist_id: artistId,
+            name: 'Default terms',
+            waterfall: config.recoupment.defaultWaterfall,
+            recoup_percentage: config.recoupment.defaultPercentage
+        };
+    }
+
+    // ========== Expenses ==========
+
+    /**
+     * Record an expense or advance (expense_type 'advance'). Release costs are
+     * charged to the release's artist unless another artist is given. The USD
+     * amount is fixed at the day's rate so the payment can be posted to the ledger
+     */
+    static async recordExpense(data, userId) {
+        const {
+            release_id: releaseId = null,
+            expense_type: expenseType,
+            amount,
+            currency = 'USD',
+            description = null,
+            receipt_url: receiptUrl = null,
+            date_incurred: dateIncurred,
+            is_recoupable: isRecoupable = true
+        } = data;
+        const currencyCode = currency.toUpperCase();
+        let artistId = data.artist_id || null;
+
+        if (!expenseType || !(Number(amount) > 0) || !dateIncurred) {
+            throw new AppError('expense_type, a positive amount and date_incurred are required', 400);
+        }
+
+        if (releaseId && !artistId) {
+            const release = await db.query('SELECT artist_id FROM releases WHERE id = $1', [releaseId]);
+            if (release.rows.length === 0) {
+                throw new AppError('Release not found', 404);
+            }
+            artistId = release.rows[0].artist_id;
+        }
+        if (!artistId) {
+            throw new AppError('artist_id or release_id is required', 400);
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                INSERT INTO expenses (
+                    release_id, artist_id, expense_type, amount, currency, description,
+                    receipt_url, date_incurred, is_recoupable, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *
+            `, [releaseId, artistId, expenseType, amount, currencyCode, description, receiptUrl, dateIncurred, isRecoupable, userId]);
+
+            const expense = await this.ensureRecoupableAmount(client, result.rows[0]);
+            await LedgerService.postExpense(client, expense, userId);
+
+            await client.query('COMMIT');
+
+            logger.info('Expense recorded', { expenseId: expense.id, artistId, releaseId, expenseType, amount, currency: currencyCode });
+            return expense;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async listExpenses({ artistId = null, releaseId = null, expenseType = null, dateFrom = null, dateTo = null, createdBy = null, page = 1, limit = 20 } = {}) {
+        const params = [artistId, releaseId, expenseType, dateFrom, dateTo, createdBy];
+        const where = `
+            WHERE ($1::uuid IS NULL OR COALESCE(e.artist_id, r.artist_id) = $1)
+              AND ($2::uuid IS NULL OR e.release_id = $2)
+              AND ($3::text IS NULL OR e.expense_type = $3)
+              AND ($4::date IS NULL OR e.date_incurred >= $4)
+              AND ($5::date IS NULL OR e.date_incurred <= $5)
+              AND ($6::uuid IS NULL OR e.created_by = $6)
+        `;
+
+        const result = await db.query(`
+            SELECT e.*,
+                   COALESCE(e.artist_id, r.artist_id) AS charged_artist_id,
+                   COALESCE(l.recouped, 0) AS recouped_amount,
+                   e.recoupable_amount - COALESCE(l.recouped, 0) AS remaining_amount
+            FROM expenses e
+            LEFT JOIN releases r ON r.id = e.release_id
+            LEFT JOIN (
+                SELECT expense_id, SUM(amount) AS recouped FROM recoupment_ledger GROUP BY expense_id
+            ) l ON l.expense_id = e.id
+            ${where}
+            ORDER BY e.date_incurred DESC, e.created_at DESC
+            LIMIT $7 OFFSET $8
+        `, [...params, limit, (page - 1) * limit]);
+
+        const summary = await db.query(`
+            SELECT COUNT(*) AS count,
+                   COALESCE(SUM(e.recoupable_amount) FILTER (WHERE COALESCE(e.is_recoupable, true)), 0) AS recoupable_usd
+            FROM expenses e
+            LEFT JOIN releases r ON r.id = e.release_id
+            ${where}
+        `, params);
+
+        const total = Number(summary.rows[0].count);
+
+        return {
+            expenses: result.rows.map(row => ({
+                ...row,
+                amount: Number(row.amount),
+                recouped_amount: Number(row.recouped_amount),
+                remaining_amount: row.remaining_amount === null ? null : Number(row.remaining_amount)
+            })),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            summary: { total_expenses: total, recoupable_usd: Number(summary.rows[0].recoupable_usd) }
+        };
+    }
+
+    // ========== Statement Recoupment ==========
+
+    /**
+     * Fix an expense's USD amount at the rate of the day it was incurred
+     */
+    static async ensureRecoupableAmount(client, expense) {
+        if (expense.recoupable_amount !== null && expense.recoupable_amount !== undefined) {
+            return expense;
+        }
+
+        const currency = (expense.currency || 'USD').toUpperCase();
+        const fx = currency === 'USD'
+            ? { rate: 1, rate_date: null }
+            : await ExchangeRateService.quote(currency, 'USD', expense.date_incurred);
+        const recoupableAmount = Math.round(Number(expense.amount) * fx.rate * 100) / 100;
+
+        await client.query(`
+            UPDATE expenses SET recoupable_amount = $2, fx_rate = $3, fx_rate_date = $4 WHERE id = $1
+        `, [expense.id, recoupableAmount, fx.rate, fx.rate_date]);
+
+        return { ...expense, recoupable_amount: recoupableAmount, fx_rate: fx.rate, fx_rate_date: fx.rate_date };
+    }
+
+    /**
+     * Recoupable costs of an artist incurred by the date with an open balance,
+     * oldest first. Rows are locked so concurrent statement runs queue up
+     */
+    static async getOutstandingCosts(client, artistId, date) {
+        const result = await client.query(`
+            SELECT e.*,
+                   COALESCE((SELECT SUM(l.amount) FROM recoupment_ledger l WHERE l.expense_id = e.id), 0) AS recouped
+            FROM expenses e
+            LEFT JOIN releases r ON r.id = e.release_id
+            WHERE COALESCE(e.artist_id, r.artist_id) = $1
+              AND COALESCE(e.is_recoupable, true) = true
+              AND e.date_incurred <= $2
+            ORDER BY e.date_incurred, e.created_at, e.id
+            FOR UPDATE OF e
+        `, [artistId, date]);
+
+        const costs = [];
+        for (const row of result.rows) {
+            const expense = await this.ensureRecoupableAmount(client, row);
+            const outstanding = this.toCents(expense.recoupable_amount) - this.toCents(expense.recouped);
+            if (outstanding > 0) {
+                costs.push({ ...expense, outstanding });
+            }
+        }
+        return costs;
+    }
+
+    /**
+     * Withhold costs from a payee's statement
+     *
+     * recoup_percentage of the statement's earnings is available. Cross-collateralized
+     * deals pay all costs from that share; per-release deals pay release costs only from
+     * the release's share and artist-level costs from whatever share is left.
+     * Amounts are rounded down to the cent so nothing beyond the share is withheld.
+     */
+    static async applyToStatement(client, statement, payee, context) {
+        const costs = await this.getOutstandingCosts(client, payee.artist_id, context.periodEnd);
+        if (costs.length === 0) {
+            return { recouped: 0, details: [], contract: null };
+        }
+
+        const contract = await this.getContractForDate(payee.artist_id, context.periodEnd, client);
+        const share = Number(contract.recoup_percentage) / 100;
+        const capacityOf = (amount) => Math.max(0, Math.floor(amount * share * 100 + 1e-6));
+
+        const earningsByRelease = new Map();
+        for (const line of payee.lines) {
+            earningsByRelease.set(line.release_id, (earningsByRelease.get(line.release_id) || 0) + Number(line.amount));
+        }
+
+        const pools = [];
+        if (contract.waterfall === 'per_release') {
+            const releaseIds = [...new Set(costs.map(cost => cost.release_id).filter(Boolean))];
+            for (const releaseId of releaseIds) {
+                pools.push({
+                    releaseId,
+                    capacity: capacityOf(earningsByRelease.get(releaseId) || 0),
+                    costs: costs.filter(cost => cost.release_id === releaseId)
+                });
+            }
+            pools.push({ releaseId: null, capacity: Infinity, costs: costs.filter(cost => !cost.release_id) });
+        } else {
+            pools.push({ releaseId: null, capacity: Infinity, costs });
+        }
+
+        let remaining = capacityOf(payee.gross_revenue);
+        const details = [];
+
+        for (const pool of pools) {
+            let available = Math.min(pool.capacity, remaining);
+
+            for (const cost of pool.costs) {
+                if (available <= 0) break;
+
+                const taken = Math.min(cost.outstanding, available);
+                available -= taken;
+                remaining -= taken;
+                cost.outstanding -= taken;
+
+                await client.query(`
+                    INSERT INTO recoupment_ledger (
+                        artist_id, expense_id, statement_id, contract_id, release_id, entry_type, amount,
+                        waterfall, recoup_percentage, period_start, period_end, created_by
+                    ) VALUES ($1, $2, $3, $4, $5, 'recoupment', $6, $7, $8, $9, $10, $11)
+                `, [
+                    payee.artist_id,
+                    cost.id,
+                    statement.id,
+                    contract.id,
+                    pool.releaseId,
+                    taken / 100,
+                    contract.waterfall,
+                    contract.recoup_percentage,
+                    context.periodStart,
+                    context.periodEnd,
+                    context.userId
+                ]);
+
+                details.push({
+                    expense_id: cost.id,
+                    expense_type: cost.expense_type,
+                    description: cost.description,
+                    release_id: cost.release_id,
+                    amount: taken / 100,
+                    remaining: cost.outstanding / 100
+                });
+            }
+        }
+
+        const recouped = details.reduce((sum, detail) => sum + this.toCents(detail.amount), 0) / 100;
+        await LedgerService.postRecoupment(client, statement, recouped, context.userId);
+
+        return {
+            recouped,
+            details,
+            contract: { id: contract.id, waterfall: contract.waterfall, recoup_percentage: Number(contract.recoup_percentage) }
+        };
+    }
+
+    /**
+     * Reverse the statement's recoupment entries not reversed yet, returning the costs
+     * to their open balance before the statement is rewritten
+     */
+    static async reverseStatement(client, statementId, userId = null) {
+        const result = await client.query(`
+            INSERT INTO recoupment_ledger (
+                artist_id, expense_id, statement_id, contract_id, release_id, entry_type, amount, currency,
+                waterfall, recoup_percentage, period_start, period_end, reverses_entry_id, created_by
+            )
+            SELECT l.artist_id, l.expense_id, l.statement_id, l.contract_id, l.release_id, 'reversal', -l.amount, l.currency,
+                   l.waterfall, l.recoup_percentage, l.period_start, l.period_end, l.id, $2
+            FROM recoupment_ledger l
+            WHERE l.statement_id = $1
+              AND l.entry_type = 'recoupment'
+              AND NOT EXISTS (SELECT 1 FROM recoupment_ledger r WHERE r.reverses_entry_id = l.id)
+            RETURNING amount
+        `, [statementId, userId]);
+        await LedgerService.reverseSource(client, 'recoupment', statementId, userId, 'statement rewritten');
+
+        return result.rows.reduce((sum, row) => sum - this.toCents(row.amount), 0) / 100;
+    }
+
+    /**
+     * Rewrite the artist's rows in the recoupment summary (one per release, one
+     * for artist-level costs) from the ledger
+     */
+    static async refreshSummary(client, artistId) {
+        const contract = await this.getContractForDate(artistId, new Date().toISOString().slice(0, 10), client);
+        const result = await client.query(`
+            SELECT e.release_id,
+                   SUM(e.recoupable_amount) AS total_expenses,
+                   COALESCE(SUM(l.recouped), 0) AS total_recouped
+            FROM expenses e
+            LEFT JOIN releases r ON r.id = e.release_id
+            LEFT JOIN (
+                SELECT expense_id, SUM(amount) AS recouped FROM recoupment_ledger GROUP BY expense_id
+            ) l ON l.expense_id = e.id
+            WHERE COALESCE(e.artist_id, r.artist_id) = $1
+              AND COALESCE(e.is_recoupable, true) = true
+              AND e.recoupable_amount IS NOT NULL
+            GROUP BY e.release_id
+        `, [artistId]);
+
+        for (const row of result.rows) {
+            const remaining = Math.max(0, this.toCents(row.total_expenses) - this.toCents(row.total_recouped)) / 100;
+            const params = [artistId, row.release_id, row.total_expenses, row.total_recouped, remaining, contract.recoup_percentage];
+
+            const updated = await client.query(`
+                UPDATE recoupment
+                SET total_expenses = $3,
+                    total_recouped = $4,
+                    remaining_balance = $5,
+                    recoup_percentage = $6,
+                    is_recouped = $5::numeric <= 0,
+                    currency = 'USD',
+                    last_calculated = NOW()
+                WHERE artist_id = $1 AND release_id IS NOT DISTINCT FROM $2
+            `, params);
+
+            if (updated.rowCount === 0) {
+                await client.query(`
+                    INSERT INTO recoupment (
+                        artist_id, release_id, total_expenses, total_recouped, remaining_balance,
+                        recoup_percentage, is_recouped, currency, last_calculated
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $5::numeric <= 0, 'USD', NOW())
+                `, params);
+            }
+        }
+    }
+
+    // ========== Reporting ==========
+
+    static async getLedger({ artistId = null, statementId = null, expenseId = null, limit = 100, offset = 0 } = {}) {
+        const result = await db.query(`
+            SELECT l.*, e.expense_type, e.description AS expense_description,
+                   s.platform, s.status AS statement_status
+            FROM recoupment_ledger l
+            JOIN expenses e ON e.id = l.expense_id
+            JOIN royalty_statements s ON s.id = l.statement_id
+            WHERE ($1::uuid IS NULL OR l.artist_id = $1)
+              AND ($2::uuid IS NULL OR l.statement_id = $2)
+              AND ($3::uuid IS NULL OR l.expense_id = $3)
+            ORDER BY l.created_at DESC, l.entry_type
+            LIMIT $4 OFFSET $5
+        `, [artistId, statementId, expenseId, limit, offset]);
+
+        return result.rows.map(row => ({ ...row, amount: Number(row.amount) }));
+    }
+
+    static async getRecoupmentStatus({ artistId = null, releaseId = null } = {}) {
+        if (!artistId && !releaseId) {
+            throw new AppError('artist_id or release_id is required', 400);
+        }
+
+        const result = await db.query(`
+            SELECT rc.*, a.name AS artist_name, rel.title AS release_title
+            FROM recoupment rc
+            JOIN artists a ON a.id = rc.artist_id
+            LEFT JOIN releases rel ON rel.id = rc.release_id
+            WHERE ($1::uuid IS NULL OR rc.artist_id = $1)
+              AND ($2::uuid IS NULL OR rc.release_id = $2)
+            ORDER BY a.name, rc.release_id NULLS LAST
+        `, [artistId, releaseId]);
+
+        const pools = result.rows.map(row => ({
+            ...row,
+            total_expenses: Number(row.total_expenses),
+            total_recouped: Number(row.total_recouped),
+            remaining_balance: Number(row.remaining_balance)
+        }));
+
+        const totals = pools.reduce((sum, pool) => ({
+            total_expenses: sum.total_expenses + this.toCents(pool.total_expenses),
+            total_recouped: sum.total_recouped + this.toCents(pool.total_recouped),
+            remaining_balance: sum.remaining_balance + this.toCents(pool.remaining_balance)
+        }), { total_expenses: 0, total_recouped: 0, remaining_balance: 0 });
+
+        const contractArtistId = artistId || pools[0]?.artist_id;
+        const contract = contractArtistId
+            ? await this.getContractForDate(contractArtistId, new Date().toISOString().slice(0, 10))
+            : null;
+
+        return {
+            contract,
+            pools,
+            totals: {
+                currency: 'USD',
+                total_expenses: totals.total_expenses / 100,
+                total_recouped: totals.total_recouped / 100,
+                remaining_balance: totals.remaining_balance / 100,
+                is_recouped: totals.remaining_balance <= 0
+            }
+        };
+    }
+}
+
+module.exports = RecoupmentService;
+module.exports.WATERFALLS = WATERFALLS;
@@ -9,6 +9,8 @@ const { validateCreateRelease, validateUpdateRelease, transformReleaseForRespons
 const logger = require('../config/logger.cjs');
 const distributionService = require('./distribution.service.cjs');
 const metadataValidatorService = require('./metadataValidator.service.cjs');
+const CodeRegistryService = require('./codeRegistry.service.cjs');
+const config = require('../config/env.cjs');
 
 class ReleaseService {
   constructor(supabaseClient = null) {
@@ -208,7 +210,7 @@ class ReleaseService {
    */
   async submitForDistribution(releaseId, userId) {
     try {
-      const release = await this.releaseModel.findById(releaseId);
+      let release = await this.releaseModel.findById(releaseId);
       if (!release) {
         throw new Error('Release not found');
       }
@@ -217,6 +219,14 @@ class ReleaseService {
         throw new Error('Only draft releases can be submitted for distribution');
       }
 
+      // Missing codes come from the label's registrant and prefix; labels without them fail validation below
+      if (config.codes.autoAssignOnSubmit) {
+        const assigned = await CodeRegistryService.assignReleaseCodes(releaseId, { skipUnconfigured: true }, userId);
+        if (assigned.upc_assigned || assigned.tracks.some(track => track.assigned)) {
+          release = await this.releaseModel.findById(releaseId);
+        }
+      }
+
       // Validate release data is complete
       const validation = await metadataValidatorService.validateForDistribution(release);
       if (!validation.isValid) {
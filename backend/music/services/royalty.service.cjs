@@ -6,6 +6,7 @@
 const db = require('../../db.cjs');
 const logger = require('../config/logger.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
+const RoyaltyStatementService = require('./royaltyStatement.service.cjs');
 
 class RoyaltyService {
 
@@ -310,44 +311,15 @@ class RoyaltyService {
         }
     }
 
-    // Wygeneruj zestawienie dla wszystkich artystów
+    // Wygeneruj zestawienia dla wszystkich artystów z zarobkami w okresie
+    // (podziały tantiem i rekupacja kosztów według kontraktów)
     async generateStatementsForPeriod(periodStart, periodEnd, platform, userId) {
         try {
-            // Pobierz wszystkich aktywnych artystów
-            const { data: artists } = await this.supabase
-                .from('artists')
-                .select('id')
-                .eq('status', 'active');
-
-            const statements = [];
-
-            for (const artist of artists || []) {
-                try {
-                    // TODO: Implementacja logiki obliczania tantiem z danych sprzedaży
-                    const statementData = {
-                        artistId: artist.id,
-                        periodStart,
-                        periodEnd,
-                        platform,
-                        totalStreams: 0,
-                        totalSales: 0,
-                        grossRevenue: 0,
-                        platformCommission: 0,
-                        netRevenue: 0,
-                        status: 'generated'
-                    };
-
-                    const statement = await this.createRoyaltyStatement(statementData, userId);
-                    statements.push(statement);
-                } catch (error) {
-                    logger.warn(`Błąd generowania zestawienia dla artysty ${artist.id}:`, error);
-                }
-            }
-
-            logger.info('Wygenerowano zestawienia tantiem:', {
-                period: `${periodStart} - ${periodEnd}`,
+            const { statements } = await RoyaltyStatementService.generateStatements({
                 platform,
-                count: statements.length
+                periodStart,
+                periodEnd,
+                userId
             });
 
             return statements;
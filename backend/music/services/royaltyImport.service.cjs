@@ -0,0 +1,464 @@
+/**
+ * Royalty Import Service - Idempotent Royalty Report Ingestion
+ * Tracks ingested report files and lines, detects duplicates and
+ * reconciles restated reports against the previous import of the same period
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const LedgerService = require('./ledger.service.cjs');
+
+const REVENUE_PRECISION = 1e6;
+
+class RoyaltyImportService {
+    /**
+     * Build stable line key for a report line
+     *
+     * platform | period | territory | ISRC (or normalized title/artist when the
+     * platform omits ISRC) | revenue type | currency. Revenue type and currency
+     * keep legitimately separate lines (e.g. subscription vs. ad-supported) apart.
+     */
+    static buildLineKey(line) {
+        const recording = line.isrc
+            ? line.isrc.toUpperCase()
+            : `title:${this.normalizeText(line.track_title)}/${this.normalizeText(line.artist_name)}`;
+
+        return [
+            line.platform,
+            line.period_start || '',
+            line.period_end || '',
+            (line.territory || 'unknown').toUpperCase(),
+            recording,
+            line.revenue_type || 'stream',
+            (line.currency || 'USD').toUpperCase()
+        ].join('|');
+    }
+
+    static normalizeText(value) {
+        return String(value || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    static roundRevenue(value) {
+        return Math.round((Number(value) || 0) * REVENUE_PRECISION) / REVENUE_PRECISION;
+    }
+
+    /**
+     * Find completed ingestion of an identical report file
+     */
+    static async findByFingerprint(fingerprint, platform = null) {
+        const params = [fingerprint];
+        let query = `
+            SELECT *
+            FROM royalty_ingestions
+            WHERE file_fingerprint = $1
+              AND status IN ('active', 'superseded')
+        `;
+
+        if (platform) {
+            params.push(platform);
+            query += ` AND platform = $2`;
+        }
+
+        query += ` ORDER BY created_at DESC LIMIT 1`;
+
+        const result = await db.query(query, params);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Find the active ingestion for a platform reporting period
+     */
+    static async findActiveIngestion(platform, periodStart, periodEnd, client = db) {
+        const result = await client.query(`
+            SELECT *
+            FROM royalty_ingestions
+            WHERE platform = $1
+              AND period_start = $2
+              AND period_end = $3
+              AND status = 'active'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [platform, periodStart, periodEnd]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get ingestion with its stored reconciliation summary
+     */
+    static async getIngestion(ingestionId) {
+        const result = await db.query(`
+            SELECT i.*,
+                   COUNT(l.id) FILTER (WHERE l.status = 'active') AS active_lines
+            FROM royalty_ingestions i
+            LEFT JOIN royalty_ingestion_lines l ON l.ingestion_id = i.id
+            WHERE i.id = $1
+            GROUP BY i.id
+        `, [ingestionId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Royalty ingestion not found', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Get import history for a platform
+     */
+    static async getIngestions({ platform, periodStart, periodEnd, limit = 50 } = {}) {
+        const params = [];
+        const conditions = [];
+
+        if (platform) {
+            params.push(platform);
+            conditions.push(`platform = $${params.length}`);
+        }
+        if (periodStart) {
+            params.push(periodStart);
+            conditions.push(`period_start >= $${params.length}`);
+        }
+        if (periodEnd) {
+            params.push(periodEnd);
+            conditions.push(`period_end <= $${params.length}`);
+        }
+
+        params.push(limit);
+        const result = await db.query(`
+            SELECT *
+            FROM royalty_ingestions
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Diff current report lines against the lines of the previous import
+     */
+    static reconcileLines(previousLines, currentLines) {
+        const previousByKey = new Map(previousLines.map(line => [line.line_key, line]));
+        const currentKeys = new Set();
+
+        const added = [];
+        const changed = [];
+        const unchanged = [];
+
+        for (const line of currentLines) {
+            currentKeys.add(line.line_key);
+            const previous = previousByKey.get(line.line_key);
+
+            if (!previous) {
+                added.push(line);
+            } else if (this.lineDiffers(previous, line)) {
+                changed.push({ previous, current: line });
+            } else {
+                unchanged.push({ previous, current: line });
+            }
+        }
+
+        const removed = previousLines.filter(line => !currentKeys.has(line.line_key));
+
+        const previousTotal = previousLines.reduce((sum, line) => sum + Number(line.usd_revenue || 0), 0);
+        const currentTotal = currentLines.reduce((sum, line) => sum + Number(line.usd_revenue || 0), 0);
+
+        const currencyDelta = {};
+        const addToCurrency = (line, sign) => {
+            const currency = line.currency || 'USD';
+            currencyDelta[currency] = (currencyDelta[currency] || 0) + sign * Number(line.revenue || 0);
+        };
+        previousLines.forEach(line => addToCurrency(line, -1));
+        currentLines.forEach(line => addToCurrency(line, 1));
+
+        return {
+            added,
+            changed,
+            unchanged,
+            removed,
+            summary: {
+                added: added.length,
+                changed: changed.length,
+                removed: removed.length,
+                unchanged: unchanged.length,
+                previous_revenue_usd: this.roundRevenue(previousTotal),
+                current_revenue_usd: this.roundRevenue(currentTotal),
+                revenue_delta_usd: this.roundRevenue(currentTotal - previousTotal),
+                revenue_delta_by_currency: Object.fromEntries(
+                    Object.entries(currencyDelta)
+                        .map(([currency, delta]) => [currency, this.roundRevenue(delta)])
+                        .filter(([, delta]) => delta !== 0)
+                )
+            }
+        };
+    }
+
+    static lineDiffers(previous, current) {
+        return Number(previous.streams) !== Number(current.streams)
+            || this.roundRevenue(previous.revenue) !== this.roundRevenue(current.revenue)
+            || (previous.currency || 'USD') !== (current.currency || 'USD')
+            || (previous.track_id || null) !== (current.track_id || null);
+    }
+
+    /**
+     * Persist report ingestion and apply earnings changes atomically
+     *
+     * The first import of a period inserts every matched line. A restated report
+     * supersedes the previous import: new lines add earnings, changed lines update
+     * them in place and lines no longer reported have their earnings removed.
+     */
+    static async recordIngestion(options) {
+        const {
+            jobId,
+            platform,
+            periodStart,
+            periodEnd,
+            fingerprint,
+            fileName,
+            reportDate,
+            lines,
+            duplicateLineCount = 0,
+            exchangeRates = [],
+            userId = null
+        } = options;
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            // Serialize imports of the same platform period
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+                `royalty_ingestion:${platform}:${periodStart}:${periodEnd}`
+            ]);
+
+            const previous = await this.findActiveIngestion(platform, periodStart, periodEnd, client);
+            const previousLines = previous
+                ? (await client.query(`
+                    SELECT * FROM royalty_ingestion_lines
+                    WHERE ingestion_id = $1 AND status = 'active'
+                `, [previous.id])).rows
+                : [];
+
+            // Lines already active under a different report (overlapping files) are duplicates
+            const keys = lines.map(line => line.line_key);
+            const overlapping = keys.length > 0
+                ? (await client.query(`
+                    SELECT line_key, ingestion_id
+                    FROM royalty_ingestion_lines
+                    WHERE status = 'active'
+                      AND line_key = ANY($1)
+                      AND ($2::uuid IS NULL OR ingestion_id <> $2)
+                `, [keys, previous ? previous.id : null])).rows
+                : [];
+            const overlappingKeys = new Set(overlapping.map(row => row.line_key));
+            const currentLines = lines.filter(line => !overlappingKeys.has(line.line_key));
+
+            if (overlappingKeys.size > 0) {
+                logger.warn('Report lines already ingested from another report were skipped', {
+                    platform,
+                    count: overlappingKeys.size,
+                    ingestions: [...new Set(overlapping.map(row => row.ingestion_id))]
+                });
+            }
+
+            const reconciliation = this.reconcileLines(previousLines, currentLines);
+            reconciliation.summary.duplicates_in_file = duplicateLineCount;
+            reconciliation.summary.duplicates_of_other_reports = overlappingKeys.size;
+
+            const totalRevenue = currentLines.reduce((sum, line) => sum + Number(line.usd_revenue || 0), 0);
+            const ingestionResult = await client.query(`
+                INSERT INTO royalty_ingestions (
+                    job_id, platform, period_start, period_end, file_fingerprint, file_name,
+                    status, supersedes_id, line_count, duplicate_line_count, total_revenue,
+                    reconciliation, exchange_rates, created_by, created_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, 'active', $7, $8, $9, $10, $11, $12, $13, NOW())
+                RETURNING *
+            `, [
+                jobId,
+                platform,
+                periodStart,
+                periodEnd,
+                fingerprint,
+                fileName,
+                previous ? previous.id : null,
+                currentLines.length,
+                duplicateLineCount + overlappingKeys.size,
+                this.roundRevenue(totalRevenue),
+                JSON.stringify(previous ? reconciliation.summary : null),
+                JSON.stringify(exchangeRates),
+                userId
+            ]);
+            const ingestion = ingestionResult.rows[0];
+
+            if (previous) {
+                await client.query(`
+                    UPDATE royalty_ingestions
+                    SET status = 'superseded', superseded_at = NOW()
+                    WHERE id = $1
+                `, [previous.id]);
+                await client.query(`
+                    UPDATE royalty_ingestion_lines
+                    SET status = 'superseded'
+                    WHERE ingestion_id = $1 AND status = 'active'
+                `, [previous.id]);
+            }
+
+            await LedgerService.postIngestion(client, ingestion, previous, userId);
+
+            const activeLines = [];
+            const context = { platform, reportDate, ingestionId: ingestion.id };
+
+            for (const line of reconciliation.added) {
+                const earningsId = line.track_id ? await this.insertEarnings(client, line, context) : null;
+                activeLines.push(await this.insertLine(client, ingestion.id, line, earningsId));
+            }
+
+            for (const { previous: previousLine, current } of reconciliation.changed) {
+                let earningsId = previousLine.earnings_id;
+                if (current.track_id && earningsId) {
+                    await this.updateEarnings(client, earningsId, current, context);
+                } else if (current.track_id) {
+                    earningsId = await this.insertEarnings(client, current, context);
+                } else if (earningsId) {
+                    await client.query('DELETE FROM earnings WHERE id = $1', [earningsId]);
+                    earningsId = null;
+                }
+                activeLines.push(await this.insertLine(client, ingestion.id, current, earningsId));
+            }
+
+            for (const { previous: previousLine, current } of reconciliation.unchanged) {
+                activeLines.push(await this.insertLine(client, ingestion.id, current, previousLine.earnings_id));
+            }
+
+            for (const removedLine of reconciliation.removed) {
+                if (removedLine.earnings_id) {
+                    await client.query('DELETE FROM earnings WHERE id = $1', [removedLine.earnings_id]);
+                }
+                await client.query(`
+                    UPDATE royalty_ingestion_lines SET status = 'removed' WHERE id = $1
+                `, [removedLine.id]);
+            }
+
+            await client.query('COMMIT');
+
+            logger.info('Royalty report ingestion recorded', {
+                ingestionId: ingestion.id,
+                platform,
+                period: `${periodStart} - ${periodEnd}`,
+                supersedes: previous ? previous.id : null,
+                ...reconciliation.summary
+            });
+
+            return {
+                ingestion,
+                previousIngestion: previous,
+                reconciliation: reconciliation.summary,
+                lines: activeLines
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error recording royalty ingestion:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async insertLine(client, ingestionId, line, earningsId) {
+        const result = await client.query(`
+            INSERT INTO royalty_ingestion_lines (
+                ingestion_id, line_key, isrc, track_title, artist_name, territory,
+                revenue_type, period_start, period_end, streams, revenue, currency,
+                usd_revenue, fx_rate, fx_rate_date, fx_source, source_rows, track_id, release_id,
+                earnings_id, status, raw_data
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, 'active', $21)
+            RETURNING *
+        `, [
+            ingestionId,
+            line.line_key,
+            line.isrc || null,
+            line.track_title,
+            line.artist_name,
+            line.territory,
+            line.revenue_type,
+            line.period_start,
+            line.period_end,
+            line.streams,
+            this.roundRevenue(line.revenue),
+            line.currency,
+            this.roundRevenue(line.usd_revenue),
+            line.fx_rate ?? null,
+            line.fx_rate_date || null,
+            line.fx_source || null,
+            line.source_rows || 1,
+            line.track_id || null,
+            line.release_id || null,
+            earningsId,
+            JSON.stringify(line.raw_data || null)
+        ]);
+
+        return result.rows[0];
+    }
+
+    static async insertEarnings(client, line, context) {
+        const result = await client.query(`
+            INSERT INTO earnings (
+                track_id, release_id, platform, territory, period_start, period_end,
+                revenue_type, gross_revenue, net_revenue, currency, streams,
+                report_date, line_key, metadata, processed_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11, $12, $13, NOW())
+            RETURNING id
+        `, [
+            line.track_id,
+            line.release_id || null,
+            context.platform,
+            line.territory,
+            line.period_start,
+            line.period_end,
+            line.revenue_type,
+            this.roundRevenue(line.revenue),
+            line.currency,
+            line.streams,
+            context.reportDate || null,
+            line.line_key,
+            JSON.stringify({ ingestion_id: context.ingestionId, source_rows: line.source_rows || 1 })
+        ]);
+
+        return result.rows[0].id;
+    }
+
+    static async updateEarnings(client, earningsId, line, context) {
+        await client.query(`
+            UPDATE earnings
+            SET track_id = $2,
+                release_id = $3,
+                gross_revenue = $4,
+                net_revenue = $4,
+                currency = $5,
+                streams = $6,
+                report_date = COALESCE($7, report_date),
+                metadata = COALESCE(metadata, '{}'::jsonb) || $8::jsonb,
+                processed_at = NOW()
+            WHERE id = $1
+        `, [
+            earningsId,
+            line.track_id,
+            line.release_id || null,
+            this.roundRevenue(line.revenue),
+            line.currency,
+            line.streams,
+            context.reportDate || null,
+            JSON.stringify({ ingestion_id: context.ingestionId, restated: true })
+        ]);
+    }
+}
+
+module.exports = RoyaltyImportService;
@@ -0,0 +1,757 @@
+/**
+ * Royalty Matching Service - Unmatched Report Line Resolution
+ * Keeps report lines without a catalog track in a suspense queue with scored
+ * candidates, and turns manual assignments into mapping rules for later imports
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const RoyaltyImportService = require('./royaltyImport.service.cjs');
+const RoyaltyStatementService = require('./royaltyStatement.service.cjs');
+const TrackMatcher = require('../utils/trackMatcher.util.cjs');
+
+// Upper bound of catalog rows scored per report line
+const CANDIDATE_POOL_SIZE = 200;
+
+const OPEN_STATUSES = ['pending', 'ignored'];
+
+class RoyaltyMatchingService {
+    /**
+     * Matching identity of a report line (in-memory ingestion line or stored row)
+     */
+    static lineIdentity(line, platform = null) {
+        const raw = line.raw_data || {};
+        const isrc = line.isrc ? String(line.isrc).replace(/[^A-Za-z0-9]/g, '').toUpperCase() : null;
+
+        return {
+            platform: platform || line.platform || raw.platform || null,
+            isrc: isrc || null,
+            upc: TrackMatcher.normalizeCode(line.upc || raw.upc),
+            title_key: TrackMatcher.normalizeTitle(line.track_title) || null,
+            artist_key: TrackMatcher.normalizeArtist(line.artist_name) || null,
+            album_name: line.album_name || raw.album_name || null,
+            duration: TrackMatcher.parseDuration(line.duration || raw.duration)
+        };
+    }
+
+    // ========== Mapping Rules ==========
+
+    /**
+     * Find confirmed mapping for a report line
+     * ISRC rules win over UPC+title rules, which win over title+artist rules;
+     * platform-specific rules win over global ones
+     */
+    static async findMappingRule(line, client = db) {
+        const identity = this.lineIdentity(line);
+        if (!identity.isrc && !identity.title_key) return null;
+
+        const result = await client.query(`
+            SELECT *
+            FROM royalty_mapping_rules
+            WHERE is_active = true
+              AND (platform IS NULL OR platform = $1)
+              AND (
+                  (match_type = 'isrc' AND isrc = $2)
+                  OR (match_type = 'upc_title' AND upc = $3 AND title_key = $4)
+                  OR (match_type = 'title_artist' AND title_key = $4 AND artist_key = $5)
+              )
+            ORDER BY
+                CASE match_type WHEN 'isrc' THEN 0 WHEN 'upc_title' THEN 1 ELSE 2 END,
+                (platform IS NULL),
+                created_at DESC
+            LIMIT 1
+        `, [identity.platform, identity.isrc, identity.upc, identity.title_key, identity.artist_key]);
+
+        const rule = result.rows[0];
+        if (!rule) return null;
+
+        await client.query(`
+            UPDATE royalty_mapping_rules
+            SET times_applied = times_applied + 1, last_applied_at = NOW()
+            WHERE id = $1
+        `, [rule.id]);
+
+        return rule;
+    }
+
+    /**
+     * List mapping rules
+     */
+    static async getMappingRules({ platform, trackId, includeInactive = false, pagination = { page: 1, limit: 50 } } = {}) {
+        const params = [];
+        const conditions = [];
+
+        if (!includeInactive) {
+            conditions.push('r.is_active = true');
+        }
+        if (platform) {
+            params.push(platform);
+            conditions.push(`(r.platform IS NULL OR r.platform = $${params.length})`);
+        }
+        if (trackId) {
+            params.push(trackId);
+            conditions.push(`r.track_id = $${params.length}`);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const offset = (pagination.page - 1) * pagination.limit;
+
+        const result = await db.query(`
+            SELECT r.*, t.title AS track_title, t.isrc AS track_isrc
+            FROM royalty_mapping_rules r
+            LEFT JOIN tracks t ON t.id = r.track_id
+            ${where}
+            ORDER BY r.created_at DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pagination.limit, offset]);
+
+        const countResult = await db.query(`
+            SELECT COUNT(*) AS total FROM royalty_mapping_rules r ${where}
+        `, params);
+        const total = parseInt(countResult.rows[0]?.total || 0);
+
+        return {
+            rules: result.rows,
+            pagination: {
+                page: pagination.page,
+                limit: pagination.limit,
+                total,
+                pages: Math.ceil(total / pagination.limit)
+            }
+        };
+    }
+
+    /**
+     * Create mapping rule and resolve pending lines it covers
+     */
+    static async createMappingRule(data, userId = null) {
+        const {
+            track_id: trackId,
+            platform = null,
+            isrc,
+            upc,
+            track_title: trackTitle,
+            artist_name: artistName,
+            notes = null,
+            apply_to_pending: applyToPending = true
+        } = data;
+
+        const identity = this.lineIdentity({ isrc, upc, track_title: trackTitle, artist_name: artistName }, platform);
+        if (identity.isrc && !/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(identity.isrc)) {
+            throw new AppError(`Invalid ISRC: ${isrc}`, 400);
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const track = await this.getTrack(client, trackId);
+            const rule = await this.saveRule(client, identity, track, { userId, notes });
+            const resolved = applyToPending ? await this.applyRuleToPending(client, rule, userId) : [];
+
+            await client.query('COMMIT');
+
+            if (resolved.length > 0) {
+                await this.refreshStatements(resolved);
+            }
+
+            logger.info('Royalty mapping rule created', {
+                ruleId: rule.id,
+                matchType: rule.match_type,
+                trackId: rule.track_id,
+                resolvedLines: resolved.length
+            });
+
+            return { rule, resolved_lines: resolved.length };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error creating royalty mapping rule:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Deactivate mapping rule; lines it already resolved keep their assignment
+     */
+    static async deactivateMappingRule(ruleId) {
+        const result = await db.query(`
+            UPDATE royalty_mapping_rules
+            SET is_active = false, deactivated_at = NOW()
+            WHERE id = $1 AND is_active = true
+            RETURNING *
+        `, [ruleId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Mapping rule not found', 404);
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Insert rule for an identity, replacing an active rule of the same identity
+     * that points elsewhere
+     */
+    static async saveRule(client, identity, track, { userId = null, notes = null } = {}) {
+        let matchType;
+        if (identity.isrc) {
+            matchType = 'isrc';
+        } else if (identity.upc && identity.title_key) {
+            matchType = 'upc_title';
+        } else if (identity.title_key && identity.artist_key) {
+            matchType = 'title_artist';
+        } else {
+            throw new AppError('Mapping rule needs an ISRC, a UPC and title, or a title and artist', 400);
+        }
+
+        const key = {
+            platform: identity.platform || null,
+            isrc: matchType === 'isrc' ? identity.isrc : null,
+            upc: matchType === 'upc_title' ? identity.upc : null,
+            title_key: matchType === 'isrc' ? null : identity.title_key,
+            artist_key: matchType === 'title_artist' ? identity.artist_key : null
+        };
+
+        const existing = await client.query(`
+            SELECT *
+            FROM royalty_mapping_rules
+            WHERE is_active = true
+              AND match_type = $1
+              AND platform IS NOT DISTINCT FROM $2
+              AND isrc IS NOT DISTINCT FROM $3
+              AND upc IS NOT DISTINCT FROM $4
+              AND title_key IS NOT DISTINCT FROM $5
+              AND artist_key IS NOT DISTINCT FROM $6
+            FOR UPDATE
+        `, [matchType, key.platform, key.isrc, key.upc, key.title_key, key.artist_key]);
+
+        const same = existing.rows.find(rule => rule.track_id === track.track_id);
+        if (same) return same;
+
+        if (existing.rows.length > 0) {
+            await client.query(`
+                UPDATE royalty_mapping_rules
+                SET is_active = false, deactivated_at = NOW()
+                WHERE id = ANY($1)
+            `, [existing.rows.map(rule => rule.id)]);
+        }
+
+        const result = await client.query(`
+            INSERT INTO royalty_mapping_rules (
+                platform, match_type, isrc, upc, title_key, artist_key,
+                track_id, release_id, notes, created_by, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+            RETURNING *
+        `, [
+            key.platform,
+            matchType,
+            key.isrc,
+            key.upc,
+            key.title_key,
+            key.artist_key,
+            track.track_id,
+            track.release_id,
+            notes,
+            userId
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Resolve every pending suspense line covered by a rule
+     */
+    static async applyRuleToPending(client, rule, userId = null) {
+        const pending = await client.query(`
+            SELECT *
+            FROM royalty_unmatched_lines
+            WHERE status = 'pending'
+              AND ($1::text IS NULL OR platform = $1)
+              AND (
+                  ($2 = 'isrc' AND isrc = $3)
+                  OR ($2 = 'upc_title' AND upc = $4 AND title_key = $5)
+                  OR ($2 = 'title_artist' AND title_key = $5 AND artist_key = $6)
+              )
+            FOR UPDATE
+        `, [rule.platform, rule.match_type, rule.isrc, rule.upc, rule.title_key, rule.artist_key]);
+
+        const track = { track_id: rule.track_id, release_id: rule.release_id };
+        const resolved = [];
+
+        for (const entry of pending.rows) {
+            const line = await this.resolveLine(client, entry, track, { ruleId: rule.id, userId });
+            if (line) resolved.push(line);
+        }
+
+        if (resolved.length > 0) {
+            await client.query(`
+                UPDATE royalty_mapping_rules
+                SET times_applied = times_applied + $2, last_applied_at = NOW()
+                WHERE id = $1
+            `, [rule.id, resolved.length]);
+        }
+
+        return resolved;
+    }
+
+    // ========== Suspense Queue ==========
+
+    /**
+     * Queue unmatched lines of a recorded ingestion
+     * Open entries of the superseded import that are matched or gone in the
+     * restated report are closed; ignored entries stay ignored across re-imports
+     */
+    static async queueUnmatchedLines(ingestion, lines) {
+        const unmatched = lines.filter(line => !line.track_id);
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            if (ingestion.supersedes_id) {
+                await client.query(`
+                    UPDATE royalty_unmatched_lines
+                    SET status = 'superseded'
+                    WHERE ingestion_id = $1
+                      AND status = ANY($2)
+                      AND line_key <> ALL($3)
+                `, [ingestion.supersedes_id, OPEN_STATUSES, unmatched.map(line => line.line_key)]);
+            }
+
+            // Lines of the same recording (e.g. one per territory) share their candidates
+            const candidateCache = new Map();
+            let revenue = 0;
+
+            for (const line of unmatched) {
+                const identity = this.lineIdentity(line, ingestion.platform);
+                const cacheKey = [identity.isrc, identity.upc, identity.title_key, identity.artist_key, identity.duration].join('|');
+
+                if (!candidateCache.has(cacheKey)) {
+                    candidateCache.set(cacheKey, await this.findCandidates(line, identity, client));
+                }
+                const candidates = candidateCache.get(cacheKey);
+
+                await this.upsertEntry(client, ingestion, line, identity, candidates);
+                revenue += Number(line.usd_revenue || 0);
+            }
+
+            await client.query('COMMIT');
+
+            if (unmatched.length > 0) {
+                logger.warn('Unmatched royalty lines queued for review', {
+                    ingestionId: ingestion.id,
+                    platform: ingestion.platform,
+                    lines: unmatched.length,
+                    usdRevenue: RoyaltyImportService.roundRevenue(revenue)
+                });
+            }
+
+            return {
+                queued: unmatched.length,
+                usd_revenue: RoyaltyImportService.roundRevenue(revenue)
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error queueing unmatched royalty lines:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async upsertEntry(client, ingestion, line, identity, candidates) {
+        const result = await client.query(`
+            INSERT INTO royalty_unmatched_lines (
+                line_key, ingestion_id, ingestion_line_id, platform, isrc, upc,
+                track_title, artist_name, album_name, title_key, artist_key, duration,
+                territory, revenue_type, period_start, period_end, streams, revenue,
+                currency, usd_revenue, candidates, best_score, status
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, 'pending'
+            )
+            ON CONFLICT (line_key) WHERE status IN ('pending', 'ignored')
+            DO UPDATE SET
+                ingestion_id = EXCLUDED.ingestion_id,
+                ingestion_line_id = EXCLUDED.ingestion_line_id,
+                streams = EXCLUDED.streams,
+                revenue = EXCLUDED.revenue,
+                usd_revenue = EXCLUDED.usd_revenue,
+                candidates = CASE WHEN royalty_unmatched_lines.status = 'pending'
+                    THEN EXCLUDED.candidates ELSE royalty_unmatched_lines.candidates END,
+                best_score = CASE WHEN royalty_unmatched_lines.status = 'pending'
+                    THEN EXCLUDED.best_score ELSE royalty_unmatched_lines.best_score END
+            RETURNING *
+        `, [
+            line.line_key,
+            ingestion.id,
+            line.id || null,
+            ingestion.platform,
+            identity.isrc,
+            identity.upc,
+            line.track_title,
+            line.artist_name,
+            identity.album_name,
+            identity.title_key,
+            identity.artist_key,
+            identity.duration,
+            line.territory,
+            line.revenue_type,
+            line.period_start,
+            line.period_end,
+            line.streams,
+            RoyaltyImportService.roundRevenue(line.revenue),
+            line.currency,
+            RoyaltyImportService.roundRevenue(line.usd_revenue),
+            JSON.stringify(candidates),
+            candidates.length > 0 ? candidates[0].score : null
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Score catalog tracks against a report line
+     * The catalog is pre-filtered by release UPC and title/artist words, then ranked
+     */
+    static async findCandidates(line, identity, client = db) {
+        const titleTerms = TrackMatcher.searchTerms(line.track_title).map(term => `%${term}%`);
+        const artistTerms = TrackMatcher.searchTerms(line.artist_name, 2).map(term => `%${term}%`);
+
+        if (!identity.upc && titleTerms.length === 0 && artistTerms.length === 0) {
+            return [];
+        }
+
+        const result = await client.query(`
+            SELECT
+                t.id AS track_id,
+                t.release_id,
+                t.title,
+                t.duration,
+                t.isrc,
+                r.title AS release_title,
+                r.upc,
+                a.name AS artist_name,
+                a.stage_name
+            FROM tracks t
+            JOIN releases r ON r.id = t.release_id
+            JOIN artists a ON a.id = r.artist_id
+            WHERE ($1::text IS NOT NULL AND r.upc = $1)
+               OR t.title ILIKE ANY($2::text[])
+               OR a.name ILIKE ANY($3::text[])
+               OR a.stage_name ILIKE ANY($3::text[])
+            LIMIT $4
+        `, [identity.upc, titleTerms, artistTerms, CANDIDATE_POOL_SIZE]);
+
+        return TrackMatcher.rankCandidates({
+            track_title: line.track_title,
+            artist_name: line.artist_name,
+            upc: identity.upc,
+            duration: identity.duration
+        }, result.rows);
+    }
+
+    /**
+     * List suspense queue, highest revenue first
+     */
+    static async getUnmatchedLines(options = {}) {
+        const {
+            status = 'pending',
+            platform,
+            ingestionId,
+            search,
+            pagination = { page: 1, limit: 50 }
+        } = options;
+
+        const params = [];
+        const conditions = [];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+        if (platform) {
+            params.push(platform);
+            conditions.push(`platform = $${params.length}`);
+        }
+        if (ingestionId) {
+            params.push(ingestionId);
+            conditions.push(`ingestion_id = $${params.length}`);
+        }
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(track_title ILIKE $${params.length} OR artist_name ILIKE $${params.length} OR isrc ILIKE $${params.length})`);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const offset = (pagination.page - 1) * pagination.limit;
+
+        const result = await db.query(`
+            SELECT *
+            FROM royalty_unmatched_lines
+            ${where}
+            ORDER BY usd_revenue DESC, created_at ASC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pagination.limit, offset]);
+
+        const summaryResult = await db.query(`
+            SELECT COUNT(*) AS total, COALESCE(SUM(usd_revenue), 0) AS usd_revenue
+            FROM royalty_unmatched_lines
+            ${where}
+        `, params);
+        const total = parseInt(summaryResult.rows[0]?.total || 0);
+
+        return {
+            lines: result.rows,
+            summary: {
+                total,
+                usd_revenue: parseFloat(summaryResult.rows[0]?.usd_revenue || 0)
+            },
+            pagination: {
+                page: pagination.page,
+                limit: pagination.limit,
+                total,
+                pages: Math.ceil(total / pagination.limit)
+            }
+        };
+    }
+
+    /**
+     * Get suspense entry, optionally re-scoring candidates against the current catalog
+     */
+    static async getUnmatchedLine(entryId, { refreshCandidates = false } = {}) {
+        const result = await db.query('SELECT * FROM royalty_unmatched_lines WHERE id = $1', [entryId]);
+        let entry = result.rows[0];
+
+        if (!entry) {
+            throw new AppError('Unmatched royalty line not found', 404);
+        }
+
+        if (refreshCandidates && entry.status === 'pending') {
+            const identity = this.lineIdentity(entry, entry.platform);
+            const candidates = await this.findCandidates(entry, identity);
+            const updated = await db.query(`
+                UPDATE royalty_unmatched_lines
+                SET candidates = $2, best_score = $3
+                WHERE id = $1
+                RETURNING *
+            `, [entry.id, JSON.stringify(candidates), candidates.length > 0 ? candidates[0].score : null]);
+            entry = updated.rows[0];
+        }
+
+        return entry;
+    }
+
+    /**
+     * Assign suspense lines to tracks
+     *
+     * assignments: [{ line_id, track_id }]. Each assignment creates earnings for the
+     * report line; with createRules a mapping rule is stored too, which also resolves
+     * other pending lines of the same recording and is reused by later ingestions.
+     */
+    static async assignLines({ assignments, createRules = true, userId = null, note = null }) {
+        if (!Array.isArray(assignments) || assignments.length === 0) {
+            throw new AppError('At least one assignment is required', 400);
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            const assigned = [];
+            const rules = new Map();
+            const tracks = new Map();
+
+            for (const { line_id: entryId, track_id: trackId } of assignments) {
+                const entryResult = await client.query(`
+                    SELECT * FROM royalty_unmatched_lines WHERE id = $1 FOR UPDATE
+                `, [entryId]);
+                const entry = entryResult.rows[0];
+
+                if (!entry) {
+                    throw new AppError(`Unmatched royalty line not found: ${entryId}`, 404);
+                }
+                if (!OPEN_STATUSES.includes(entry.status)) {
+                    throw new AppError(`Unmatched royalty line ${entryId} is already ${entry.status}`, 409);
+                }
+
+                if (!tracks.has(trackId)) {
+                    tracks.set(trackId, await this.getTrack(client, trackId));
+                }
+                const track = tracks.get(trackId);
+
+                let rule = null;
+                if (createRules) {
+                    // A confirmed recording identity holds on every platform
+                    const identity = { ...this.lineIdentity(entry), platform: null };
+                    rule = await this.saveRule(client, identity, track, { userId, notes: note });
+                    rules.set(rule.id, rule);
+                }
+
+                const line = await this.resolveLine(client, entry, track, {
+                    ruleId: rule ? rule.id : null,
+                    userId,
+                    note,
+                    required: true
+                });
+                assigned.push(line);
+            }
+
+            const resolvedByRules = [];
+            for (const rule of rules.values()) {
+                resolvedByRules.push(...await this.applyRuleToPending(client, rule, userId));
+            }
+
+            await client.query('COMMIT');
+
+            await this.refreshStatements([...assigned, ...resolvedByRules]);
+
+            logger.info('Unmatched royalty lines assigned', {
+                assigned: assigned.length,
+                rules: rules.size,
+                resolvedByRules: resolvedByRules.length,
+                userId
+            });
+
+            return {
+                assigned,
+                rules: [...rules.values()],
+                resolved_by_rules: resolvedByRules.length
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error assigning unmatched royalty lines:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Mark suspense lines as not payable from the catalog (e.g. third-party content)
+     */
+    static async ignoreLines({ lineIds, userId = null, note = null }) {
+        if (!Array.isArray(lineIds) || lineIds.length === 0) {
+            throw new AppError('At least one line id is required', 400);
+        }
+
+        const result = await db.query(`
+            UPDATE royalty_unmatched_lines
+            SET status = 'ignored',
+                resolution_note = $2,
+                resolved_by = $3,
+                resolved_at = NOW()
+            WHERE id = ANY($1) AND status = 'pending'
+            RETURNING *
+        `, [lineIds, note, userId]);
+
+        return { ignored: result.rows.length, lines: result.rows };
+    }
+
+    /**
+     * Attach track to the active ingestion line of a suspense entry and book its earnings
+     * Returns null when the line is no longer active, unless required
+     */
+    static async resolveLine(client, entry, track, { ruleId = null, userId = null, note = null, required = false } = {}) {
+        const lineResult = await client.query(`
+            SELECT l.*, i.platform
+            FROM royalty_ingestion_lines l
+            JOIN royalty_ingestions i ON i.id = l.ingestion_id
+            WHERE l.line_key = $1 AND l.status = 'active'
+            FOR UPDATE OF l
+        `, [entry.line_key]);
+        const line = lineResult.rows[0];
+
+        if (!line) {
+            if (required) {
+                throw new AppError(`Report line of ${entry.id} was superseded by a later import`, 409);
+            }
+            return null;
+        }
+
+        const resolved = { ...line, track_id: track.track_id, release_id: track.release_id };
+        const context = { platform: line.platform, ingestionId: line.ingestion_id };
+        let earningsId = line.earnings_id;
+
+        if (earningsId) {
+            await RoyaltyImportService.updateEarnings(client, earningsId, resolved, context);
+        } else {
+            earningsId = await RoyaltyImportService.insertEarnings(client, resolved, context);
+        }
+
+        await client.query(`
+            UPDATE royalty_ingestion_lines
+            SET track_id = $2, release_id = $3, earnings_id = $4
+            WHERE id = $1
+        `, [line.id, track.track_id, track.release_id, earningsId]);
+
+        const result = await client.query(`
+            UPDATE royalty_unmatched_lines
+            SET status = 'assigned',
+                ingestion_line_id = $2,
+                assigned_track_id = $3,
+                assigned_release_id = $4,
+                mapping_rule_id = $5,
+                resolution_note = $6,
+                resolved_by = $7,
+                resolved_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [entry.id, line.id, track.track_id, track.release_id, ruleId, note, userId]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Regenerate statements of the platform periods that resolved lines belong to
+     * Failures are logged only: the assignment is committed and statements can be regenerated
+     */
+    static async refreshStatements(resolvedEntries) {
+        const ingestionIds = [...new Set(resolvedEntries.map(entry => entry.ingestion_id).filter(Boolean))];
+        if (ingestionIds.length === 0) return;
+
+        try {
+            const periods = await db.query(`
+                SELECT DISTINCT platform, period_start, period_end
+                FROM royalty_ingestions
+                WHERE id = ANY($1) AND status = 'active'
+            `, [ingestionIds]);
+
+            for (const period of periods.rows) {
+                await RoyaltyStatementService.generateStatements({
+                    platform: period.platform,
+                    periodStart: period.period_start,
+                    periodEnd: period.period_end
+                });
+            }
+        } catch (error) {
+            logger.error('Failed to refresh royalty statements after line resolution', {
+                ingestions: ingestionIds,
+                error: error.message
+            });
+        }
+    }
+
+    static async getTrack(client, trackId) {
+        if (!trackId) {
+            throw new AppError('track_id is required', 400);
+        }
+
+        const result = await client.query(`
+            SELECT id AS track_id, release_id FROM tracks WHERE id = $1
+        `, [trackId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError(`Track not found: ${trackId}`, 404);
+        }
+
+        return result.rows[0];
+    }
+}
+
+module.exports = RoyaltyMatchingService;
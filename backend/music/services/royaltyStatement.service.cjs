@@ -0,0 +1,487 @@
+/**
+ * Royalty Statement Service - Payee Statement Generation
+ * Builds per-payee statements from ingested earnings lines, keeping
+ * track x territory x revenue type detail, applying release royalty splits
+ * and withholding recoupable costs
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const RoyaltyImportService = require('./royaltyImport.service.cjs');
+const RecoupmentService = require('./recoupment.service.cjs');
+const LedgerService = require('./ledger.service.cjs');
+
+// Statements already signed off are never rewritten by regeneration
+const FINAL_STATUSES = ['approved', 'paid'];
+
+// Platform earnings are master-side revenue
+const STATEMENT_SPLIT_TYPE = 'master';
+
+class RoyaltyStatementService {
+    /**
+     * Matched earnings lines of the active ingestion for a platform period
+     */
+    static async getStatementSourceLines(platform, periodStart, periodEnd, client = db) {
+        const result = await client.query(`
+            SELECT
+                l.id AS ingestion_line_id,
+                l.ingestion_id,
+                l.earnings_id,
+                l.track_id,
+                COALESCE(l.release_id, t.release_id) AS release_id,
+                r.artist_id AS primary_artist_id,
+                l.territory,
+                l.revenue_type,
+                l.period_start,
+                l.period_end,
+                l.streams,
+                l.revenue,
+                l.currency,
+                l.fx_rate,
+                l.fx_rate_date,
+                l.usd_revenue
+            FROM royalty_ingestion_lines l
+            JOIN royalty_ingestions i ON i.id = l.ingestion_id
+            LEFT JOIN tracks t ON t.id = l.track_id
+            LEFT JOIN releases r ON r.id = COALESCE(l.release_id, t.release_id)
+            WHERE i.platform = $1
+              AND i.period_start = $2
+              AND i.period_end = $3
+              AND i.status = 'active'
+              AND l.status = 'active'
+              AND l.track_id IS NOT NULL
+        `, [platform, periodStart, periodEnd]);
+
+        return result.rows;
+    }
+
+    /**
+     * Master splits in effect during the period, grouped by release
+     */
+    static async getReleaseSplits(releaseIds, periodStart, periodEnd, client = db) {
+        const splitsByRelease = new Map();
+        if (releaseIds.length === 0) return splitsByRelease;
+
+        const result = await client.query(`
+            SELECT *
+            FROM royalty_splits
+            WHERE release_id = ANY($1)
+              AND split_type = $2
+              AND COALESCE(is_active, true) = true
+              AND effective_date <= $4
+              AND (end_date IS NULL OR end_date >= $3)
+        `, [releaseIds, STATEMENT_SPLIT_TYPE, periodStart, periodEnd]);
+
+        for (const split of result.rows) {
+            if (!splitsByRelease.has(split.release_id)) {
+                splitsByRelease.set(split.release_id, []);
+            }
+            splitsByRelease.get(split.release_id).push(split);
+        }
+
+        return splitsByRelease;
+    }
+
+    /**
+     * Splits governing a line: track-level splits override release-level ones
+     */
+    static splitsForLine(line, releaseSplits = []) {
+        const trackSplits = releaseSplits.filter(split => split.track_id && split.track_id === line.track_id);
+        return trackSplits.length > 0 ? trackSplits : releaseSplits.filter(split => !split.track_id);
+    }
+
+    /**
+     * Allocate an earnings line to payees
+     *
+     * Without splits the release's primary artist receives the full line. Over-allocated
+     * splits are scaled down to 100%; an under-allocated remainder goes to the primary
+     * artist. Rounding differences are absorbed by the largest share so shares always
+     * sum to the line revenue.
+     */
+    static allocateLine(line, splits = []) {
+        const revenue = Number(line.usd_revenue) || 0;
+
+        let shares;
+        if (splits.length === 0) {
+            shares = line.primary_artist_id
+                ? [{ artist_id: line.primary_artist_id, split_id: null, split_percentage: 100 }]
+                : [];
+        } else {
+            const total = splits.reduce((sum, split) => sum + Number(split.percentage), 0);
+            const scale = total > 100 ? 100 / total : 1;
+
+            if (total > 100) {
+                logger.warn('Royalty splits exceed 100%, scaling down', {
+                    releaseId: line.release_id,
+                    trackId: line.track_id,
+                    total
+                });
+            }
+
+            shares = splits.map(split => ({
+                artist_id: split.artist_id,
+                split_id: split.id,
+                split_percentage: Number(split.percentage) * scale
+            }));
+
+            const allocated = shares.reduce((sum, share) => sum + share.split_percentage, 0);
+            if (allocated < 100 - 1e-9 && line.primary_artist_id) {
+                shares.push({
+                    artist_id: line.primary_artist_id,
+                    split_id: null,
+                    split_percentage: 100 - allocated
+                });
+            }
+        }
+
+        if (shares.length === 0) return [];
+
+        const allocations = shares.map(share => ({
+            ...share,
+            amount: RoyaltyImportService.roundRevenue(revenue * share.split_percentage / 100)
+        }));
+
+        const difference = RoyaltyImportService.roundRevenue(
+            revenue - allocations.reduce((sum, allocation) => sum + allocation.amount, 0)
+        );
+        if (difference !== 0) {
+            const largest = allocations.reduce((max, allocation) => (allocation.amount > max.amount ? allocation : max));
+            largest.amount = RoyaltyImportService.roundRevenue(largest.amount + difference);
+        }
+
+        return allocations;
+    }
+
+    /**
+     * Group allocated lines into one statement per payee
+     */
+    static groupLinesByPayee(lines, splitsByRelease = new Map()) {
+        const payees = new Map();
+
+        for (const line of lines) {
+            const splits = this.splitsForLine(line, splitsByRelease.get(line.release_id) || []);
+            const allocations = this.allocateLine(line, splits);
+
+            if (allocations.length === 0) {
+                logger.warn('Earnings line has no payee', {
+                    ingestionLineId: line.ingestion_line_id,
+                    trackId: line.track_id
+                });
+                continue;
+            }
+
+            for (const allocation of allocations) {
+                if (!payees.has(allocation.artist_id)) {
+                    payees.set(allocation.artist_id, {
+                        artist_id: allocation.artist_id,
+                        total_streams: 0,
+                        gross_revenue: 0,
+                        revenue_by_territory: {},
+                        revenue_by_track: {},
+                        revenue_by_type: {},
+                        lines: [],
+                        countedLines: new Set()
+                    });
+                }
+
+                const payee = payees.get(allocation.artist_id);
+                const territory = line.territory || 'unknown';
+                const revenueType = line.revenue_type || 'stream';
+                const streams = Number(line.streams) || 0;
+
+                payee.lines.push({
+                    ...line,
+                    territory,
+                    revenue_type: revenueType,
+                    streams,
+                    line_revenue: Number(line.usd_revenue) || 0,
+                    split_id: allocation.split_id,
+                    split_percentage: Math.round(allocation.split_percentage * 100) / 100,
+                    amount: allocation.amount
+                });
+
+                // A payee holding several shares of one line is credited its streams once
+                const lineStreams = payee.countedLines.has(line.ingestion_line_id) ? 0 : streams;
+                payee.countedLines.add(line.ingestion_line_id);
+
+                payee.total_streams += lineStreams;
+                payee.gross_revenue += allocation.amount;
+                payee.revenue_by_territory[territory] = (payee.revenue_by_territory[territory] || 0) + allocation.amount;
+                payee.revenue_by_type[revenueType] = (payee.revenue_by_type[revenueType] || 0) + allocation.amount;
+
+                if (!payee.revenue_by_track[line.track_id]) {
+                    payee.revenue_by_track[line.track_id] = { streams: 0, revenue: 0 };
+                }
+                payee.revenue_by_track[line.track_id].streams += lineStreams;
+                payee.revenue_by_track[line.track_id].revenue += allocation.amount;
+            }
+        }
+
+        for (const payee of payees.values()) {
+            delete payee.countedLines;
+            payee.gross_revenue = RoyaltyImportService.roundRevenue(payee.gross_revenue);
+            for (const breakdown of [payee.revenue_by_territory, payee.revenue_by_type]) {
+                for (const key of Object.keys(breakdown)) {
+                    breakdown[key] = RoyaltyImportService.roundRevenue(breakdown[key]);
+                }
+            }
+            for (const track of Object.values(payee.revenue_by_track)) {
+                track.revenue = RoyaltyImportService.roundRevenue(track.revenue);
+            }
+        }
+
+        return payees;
+    }
+
+    /**
+     * Generate (or regenerate) payee statements for a platform period
+     *
+     * Draft statements of the period are rewritten from the current earnings lines;
+     * approved and paid statements are left untouched and reported as skipped.
+     */
+    static async generateStatements({ platform, periodStart, periodEnd, ingestionId = null, userId = null }) {
+        if (!platform || !periodStart || !periodEnd) {
+            throw new AppError('platform, period_start and period_end are required', 400);
+        }
+
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+                `royalty_statements:${platform}:${periodStart}:${periodEnd}`
+            ]);
+
+            const lines = await this.getStatementSourceLines(platform, periodStart, periodEnd, client);
+            const releaseIds = [...new Set(lines.map(line => line.release_id).filter(Boolean))];
+            const splitsByRelease = await this.getReleaseSplits(releaseIds, periodStart, periodEnd, client);
+            const payees = this.groupLinesByPayee(lines, splitsByRelease);
+
+            const existingResult = await client.query(`
+                SELECT *
+                FROM royalty_statements
+                WHERE artist_id IS NOT NULL
+                  AND platform = $1
+                  AND period_start = $2
+                  AND period_end = $3
+                FOR UPDATE
+            `, [platform, periodStart, periodEnd]);
+            const existingByArtist = new Map(existingResult.rows.map(row => [row.artist_id, row]));
+
+            const statements = [];
+            const skipped = [];
+            const context = { platform, periodStart, periodEnd, ingestionId, userId };
+
+            for (const payee of payees.values()) {
+                const previous = existingByArtist.get(payee.artist_id);
+
+                if (previous && FINAL_STATUSES.includes(previous.status)) {
+                    skipped.push({ artist_id: payee.artist_id, statement_id: previous.id, status: previous.status });
+                    continue;
+                }
+
+                const statement = await this.saveStatement(client, payee, previous, context);
+                statements.push({ ...statement, line_count: payee.lines.length });
+            }
+
+            // Payees without earnings in the restated period
+            const superseded = [];
+            for (const previous of existingResult.rows) {
+                if (payees.has(previous.artist_id) || FINAL_STATUSES.includes(previous.status) || previous.status === 'superseded') {
+                    continue;
+                }
+
+                await RecoupmentService.reverseStatement(client, previous.id, userId);
+                await LedgerService.reverseSource(client, 'statement', previous.id, userId, 'statement superseded');
+                await client.query('DELETE FROM royalty_statement_lines WHERE statement_id = $1', [previous.id]);
+                await client.query(`
+                    UPDATE royalty_statements
+                    SET status = 'superseded',
+                        total_streams = 0,
+                        gross_revenue = 0,
+                        net_revenue = 0,
+                        payable_amount = 0,
+                        recouped_amount = 0,
+                        recoupment_details = '[]',
+                        updated_at = NOW()
+                    WHERE id = $1
+                `, [previous.id]);
+                superseded.push(previous.id);
+            }
+
+            const artistIds = new Set([
+                ...statements.map(statement => statement.artist_id),
+                ...existingResult.rows.filter(previous => superseded.includes(previous.id)).map(previous => previous.artist_id)
+            ]);
+            for (const artistId of artistIds) {
+                await RecoupmentService.refreshSummary(client, artistId);
+            }
+
+            await client.query('COMMIT');
+
+            if (skipped.length > 0) {
+                logger.warn('Finalized royalty statements were not regenerated', {
+                    platform,
+                    period: `${periodStart} - ${periodEnd}`,
+                    statements: skipped.map(entry => entry.statement_id)
+                });
+            }
+
+            logger.info('Royalty statements generated', {
+                platform,
+                period: `${periodStart} - ${periodEnd}`,
+                statements: statements.length,
+                lines: lines.length,
+                skipped: skipped.length,
+                superseded: superseded.length,
+                recouped: RoyaltyImportService.roundRevenue(statements.reduce((sum, statement) => sum + Number(statement.recouped_amount), 0))
+            });
+
+            return { statements, skipped, superseded };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error generating royalty statements:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    static async saveStatement(client, payee, previous, context) {
+        const breakdowns = [
+            JSON.stringify(payee.revenue_by_territory),
+            JSON.stringify(payee.revenue_by_track),
+            JSON.stringify(payee.revenue_by_type)
+        ];
+
+        let statement;
+        if (previous) {
+            await RecoupmentService.reverseStatement(client, previous.id, context.userId);
+            await LedgerService.reverseSource(client, 'statement', previous.id, context.userId, 'statement regenerated');
+            await client.query('DELETE FROM royalty_statement_lines WHERE statement_id = $1', [previous.id]);
+            const result = await client.query(`
+                UPDATE royalty_statements
+                SET total_streams = $2,
+                    gross_revenue = $3,
+                    net_revenue = $3,
+                    payable_amount = $3,
+                    revenue_by_territory = $4,
+                    revenue_by_track = $5,
+                    revenue_by_type = $6,
+                    ingestion_id = COALESCE($7, ingestion_id),
+                    status = 'generated',
+                    generated_at = NOW(),
+                    updated_at = NOW()
+                WHERE id = $1
+                RETURNING *
+            `, [previous.id, payee.total_streams, payee.gross_revenue, ...breakdowns, context.ingestionId]);
+            statement = result.rows[0];
+        } else {
+            const result = await client.query(`
+                INSERT INTO royalty_statements (
+                    artist_id, platform, period_start, period_end, currency,
+                    total_streams, gross_revenue, net_revenue, payable_amount,
+                    revenue_by_territory, revenue_by_track, revenue_by_type,
+                    ingestion_id, status, generated_at, created_by
+                ) VALUES ($1, $2, $3, $4, 'USD', $5, $6, $6, $6, $7, $8, $9, $10, 'generated', NOW(), $11)
+                RETURNING *
+            `, [
+                payee.artist_id,
+                context.platform,
+                context.periodStart,
+                context.periodEnd,
+                payee.total_streams,
+                payee.gross_revenue,
+                ...breakdowns,
+                context.ingestionId,
+                context.userId
+            ]);
+            statement = result.rows[0];
+        }
+
+        for (const line of payee.lines) {
+            await client.query(`
+                INSERT INTO royalty_statement_lines (
+                    statement_id, artist_id, earnings_id, ingestion_line_id, track_id, release_id,
+                    platform, territory, revenue_type, period_start, period_end, streams,
+                    line_revenue, split_id, split_percentage, amount, currency,
+                    original_revenue, original_currency, fx_rate, fx_rate_date
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'USD', $17, $18, $19, $20)
+            `, [
+                statement.id,
+                payee.artist_id,
+                line.earnings_id,
+                line.ingestion_line_id,
+                line.track_id,
+                line.release_id,
+                context.platform,
+                line.territory,
+                line.revenue_type,
+                line.period_start,
+                line.period_end,
+                line.streams,
+                RoyaltyImportService.roundRevenue(line.line_revenue),
+                line.split_id,
+                line.split_percentage,
+                line.amount,
+                line.revenue ?? null,
+                line.currency || null,
+                line.fx_rate ?? null,
+                line.fx_rate_date || null
+            ]);
+        }
+
+        await LedgerService.postStatement(client, statement, context.userId);
+
+        // Costs are withheld from what the payee would otherwise be paid
+        const recoupment = await RecoupmentService.applyToStatement(client, statement, payee, context);
+        const recouped = await client.query(`
+            UPDATE royalty_statements
+            SET recouped_amount = $2,
+                payable_amount = gross_revenue - $2,
+                recoupment_details = $3
+            WHERE id = $1
+            RETURNING *
+        `, [statement.id, recoupment.recouped, JSON.stringify(recoupment.details)]);
+
+        return recouped.rows[0];
+    }
+
+    /**
+     * Costs withheld from the statement, from the recoupment ledger
+     */
+    static async getStatementDeductions(statementId) {
+        const result = await db.query(`
+            SELECT l.expense_id, e.expense_type, e.description, l.release_id, l.contract_id,
+                   l.waterfall, l.recoup_percentage, SUM(l.amount) AS amount
+            FROM recoupment_ledger l
+            JOIN expenses e ON e.id = l.expense_id
+            WHERE l.statement_id = $1
+            GROUP BY l.expense_id, e.expense_type, e.description, e.date_incurred, l.release_id,
+                     l.contract_id, l.waterfall, l.recoup_percentage
+            HAVING SUM(l.amount) <> 0
+            ORDER BY e.date_incurred
+        `, [statementId]);
+
+        return result.rows.map(row => ({ ...row, amount: Number(row.amount) }));
+    }
+
+    /**
+     * Get statement line items
+     */
+    static async getStatementLines(statementId) {
+        const result = await db.query(`
+            SELECT sl.*, t.title AS track_title, t.isrc
+            FROM royalty_statement_lines sl
+            LEFT JOIN tracks t ON t.id = sl.track_id
+            WHERE sl.statement_id = $1
+            ORDER BY sl.amount DESC
+        `, [statementId]);
+
+        return result.rows;
+    }
+}
+
+module.exports = RoyaltyStatementService;
@@ -0,0 +1,633 @@
+/**
+ * Statement Export Service - Rendered Royalty Statements
+ * Assembles a payee statement document (balances from the general ledger, earnings
+ * breakdowns, split shares, recoupment deductions, payments and withholding) and
+ * renders it as a branded PDF, a CSV of statement lines or an XLSX workbook, using
+ * the statement template of the label the earnings belong to
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const LedgerService = require('./ledger.service.cjs');
+const RoyaltyStatementService = require('./royaltyStatement.service.cjs');
+const StatementPdfUtil = require('../utils/statementPdf.util.cjs');
+const { createXlsx, MIME_TYPE: XLSX_MIME_TYPE } = require('../../utils/xlsx.util.cjs');
+
+const { ACCOUNTS } = LedgerService;
+
+const SECTIONS = ['summary', 'platforms', 'territories', 'tracks', 'deductions', 'payments'];
+
+// Used when neither the label nor the house has a template
+const DEFAULT_TEMPLATE = {
+    id: null,
+    label_id: null,
+    name: 'Default',
+    title: 'Royalty Statement',
+    company_name: null,
+    company_address: null,
+    contact_email: null,
+    footer_text: null,
+    logo_image: null,
+    accent_color: '#1F3A5F',
+    paper_size: 'letter',
+    number_locale: 'en-US',
+    sections: SECTIONS,
+    max_rows: 25,
+    show_isrc: true
+};
+
+const EXPORT_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: XLSX_MIME_TYPE, extension: 'xlsx' }
+};
+
+const TEMPLATE_FIELDS = [
+    'name', 'title', 'company_name', 'company_address', 'contact_email', 'footer_text', 'logo_image',
+    'accent_color', 'paper_size', 'number_locale', 'sections', 'max_rows', 'show_isrc'
+];
+
+class StatementExportService {
+    static round(amount, places = 2) {
+        const factor = 10 ** places;
+        return Math.round(Number(amount || 0) * factor) / factor;
+    }
+
+    static toDate(value) {
+        return LedgerService.toDate(value);
+    }
+
+    // ========== Templates ==========
+
+    static isSupportedLocale(locale) {
+        try {
+            return Intl.NumberFormat.supportedLocalesOf([String(locale)]).length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static formatTemplate(row) {
+        if (!row) return null;
+
+        const { logo_image: logo, ...template } = row;
+        return { ...template, has_logo: Boolean(logo) };
+    }
+
+    /**
+     * Validate template fields; the logo is sent as base64 (optionally a data: URL)
+     */
+    static normalizeTemplate(data, partial = false) {
+        const template = {};
+
+        for (const field of TEMPLATE_FIELDS) {
+            if (data[field] !== undefined) template[field] = data[field] === '' ? null : data[field];
+        }
+
+        if ((!partial || template.name !== undefined) && !template.name) {
+            throw new AppError('Template name is required', 400);
+        }
+        if (template.title !== undefined && !template.title) {
+            throw new AppError('Template title cannot be empty', 400);
+        }
+        if (template.accent_color !== undefined && !/^#[0-9A-Fa-f]{6}$/.test(template.accent_color || '')) {
+            throw new AppError('accent_color must be a #RRGGBB color', 400);
+        }
+        if (template.paper_size !== undefined && !StatementPdfUtil.PAPER_SIZES[template.paper_size]) {
+            throw new AppError(`paper_size must be one of: ${Object.keys(StatementPdfUtil.PAPER_SIZES).join(', ')}`, 400);
+        }
+        if (template.number_locale !== undefined && !this.isSupportedLocale(template.number_locale)) {
+            throw new AppError(`Unsupported number_locale: ${template.number_locale}`, 400);
+        }
+        if (template.sections !== undefined) {
+            if (!Array.isArray(template.sections) || template.sections.some(section => !SECTIONS.includes(section))) {
+                throw new AppError(`sections must be a list of: ${SECTIONS.join(', ')}`, 400);
+            }
+            template.sections = JSON.stringify([...new Set(template.sections)]);
+        }
+        if (template.max_rows !== undefined && !(Number.isInteger(Number(template.max_rows)) && Number(template.max_rows) > 0)) {
+            throw new AppError('max_rows must be a positive integer', 400);
+        }
+        if (template.show_isrc !== undefined) {
+            template.show_isrc = template.show_isrc !== false && template.show_isrc !== 'false';
+        }
+        if (template.logo_image) {
+            const logo = Buffer.from(String(template.logo_image).replace(/^data:image\/[a-z]+;base64,/i, ''), 'base64');
+            const isPng = logo.length > 8 && logo.readUInt32BE(0) === 0x89504e47;
+            const isJpeg = logo.length > 2 && logo[0] === 0xff && logo[1] === 0xd8;
+            if (!isPng && !isJpeg) {
+                throw new AppError('logo_image must be a base64 PNG or JPEG image', 400);
+            }
+            template.logo_image = logo;
+        }
+
+        return template;
+    }
+
+    static async listTemplates() {
+        const result = await db.query(`
+            SELECT t.*, l.name AS label_name
+            FROM statement_templates t
+            LEFT JOIN labels l ON l.id = t.label_id
+            ORDER BY t.label_id NULLS FIRST, l.name
+        `);
+
+        return result.rows.map(row => this.formatTemplate(row));
+    }
+
+    static async getTemplateRow(templateId) {
+        const result = await db.query('SELECT * FROM statement_templates WHERE id = $1', [templateId]);
+        if (result.rows.length === 0) {
+            throw new AppError('Statement template not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    static async getTemplate(templateId) {
+        return this.formatTemplate(await this.getTemplateRow(templateId));
+    }
+
+    /**
+     * Create the template of a label, or the house template without label_id
+     */
+    static async createTemplate(data, userId) {
+        const template = this.normalizeTemplate(data);
+        const labelId = data.label_id || null;
+
+        if (labelId) {
+            const label = await db.query('SELECT id FROM labels WHERE id = $1', [labelId]);
+            if (label.rows.length === 0) {
+                throw new AppError('Label not found', 404);
+            }
+        }
+
+        const existing = await db.query('SELECT id FROM statement_templates WHERE label_id IS NOT DISTINCT FROM $1', [labelId]);
+        if (existing.rows.length > 0) {
+            throw new AppError(labelId ? 'The label already has a statement template' : 'The house statement template already exists', 409);
+        }
+
+        const columns = Object.keys(template);
+        const result = await db.query(`
+            INSERT INTO statement_templates (label_id, ${columns.join(', ')}, created_by, updated_by)
+            VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')}, $${columns.length + 2}, $${columns.length + 2})
+            RETURNING *
+        `, [labelId, ...columns.map(column => template[column]), userId]);
+
+        logger.info('Statement template created', { templateId: result.rows[0].id, labelId, userId });
+        return this.formatTemplate(result.rows[0]);
+    }
+
+    static async updateTemplate(templateId, data, userId) {
+        const template = this.normalizeTemplate(data, true);
+        const columns = Object.keys(template);
+
+        if (columns.length === 0) {
+            return this.getTemplate(templateId);
+        }
+
+        const result = await db.query(`
+            UPDATE statement_templates
+            SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')},
+                updated_by = $${columns.length + 2}
+            WHERE id = $1
+            RETURNING *
+        `, [templateId, ...columns.map(column => template[column]), userId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Statement template not found', 404);
+        }
+
+        logger.info('Statement template updated', { templateId, fields: columns, userId });
+        return this.formatTemplate(result.rows[0]);
+    }
+
+    static async deleteTemplate(templateId) {
+        const result = await db.query('DELETE FROM statement_templates WHERE id = $1 RETURNING id', [templateId]);
+        if (result.rows.length === 0) {
+            throw new AppError('Statement template not found', 404);
+        }
+    }
+
+    /**
+     * Template for a statement: the one asked for, else the template of the label
+     * earning most on the statement, else the house template
+     */
+    static async resolveTemplate(statementId, templateId = null) {
+        let row = templateId ? await this.getTemplateRow(templateId) : null;
+
+        if (!row) {
+            const result = await db.query(`
+                SELECT t.*
+                FROM statement_templates t
+                LEFT JOIN (
+                    SELECT r.label_id, SUM(sl.amount) AS amount
+                    FROM royalty_statement_lines sl
+                    JOIN releases r ON r.id = sl.release_id
+                    WHERE sl.statement_id = $1 AND r.label_id IS NOT NULL
+                    GROUP BY r.label_id
+                ) labels ON labels.label_id = t.label_id
+                WHERE labels.label_id IS NOT NULL OR t.label_id IS NULL
+                ORDER BY t.label_id IS NULL, labels.amount DESC
+                LIMIT 1
+            `, [statementId]);
+            row = result.rows[0] || null;
+        }
+
+        const template = { ...DEFAULT_TEMPLATE };
+        for (const [key, value] of Object.entries(row || {})) {
+            if (value !== null && value !== undefined) template[key] = value;
+        }
+        template.sections = (Array.isArray(template.sections) ? template.sections : SECTIONS).filter(section => SECTIONS.includes(section));
+        return template;
+    }
+
+    // ========== Statement Document ==========
+
+    /**
+     * Payees may export their own artists' statements; admin and finance any statement
+     */
+    static async assertStatementAccess(statementId, user) {
+        const result = await db.query(`
+            SELECT a.created_by
+            FROM royalty_statements s
+            JOIN artists a ON a.id = s.artist_id
+            WHERE s.id = $1
+        `, [statementId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Royalty statement not found', 404);
+        }
+        if (!['admin', 'finance'].includes(user.role) && result.rows[0].created_by !== user.id) {
+            throw new AppError('Access denied to royalty statement', 403);
+        }
+    }
+
+    /**
+     * Group statement lines by a key, summing units, full line revenue and the payee share
+     */
+    static breakdown(lines, keyOf, describe) {
+        const groups = new Map();
+
+        for (const line of lines) {
+            const key = keyOf(line);
+            let group = groups.get(key);
+            if (!group) {
+                group = { ...describe(line), streams: 0, line_revenue: 0, amount: 0, split_percentages: new Set() };
+                groups.set(key, group);
+            }
+            group.streams += Number(line.streams);
+            group.line_revenue += Number(line.line_revenue);
+            group.amount += Number(line.amount);
+            group.split_percentages.add(Number(line.split_percentage));
+        }
+
+        return [...groups.values()]
+            .map(({ split_percentages: splits, ...group }) => ({
+                ...group,
+                line_revenue: this.round(group.line_revenue, 6),
+                amount: this.round(group.amount, 6),
+                split_percentage: splits.size === 1 ? [...splits][0] : null
+            }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    /**
+     * The payee's royalties payable account between the previous statement and this one
+     *
+     * The opening balance is the account after the payee's previous statement (and its
+     * recoupment) was posted; this statement's royalties and recoupment, and the payouts
+     * and other postings since, lead to the closing balance. Null when the statement
+     * was never posted to the ledger.
+     */
+    static async getAccountSummary(statement) {
+        const result = await db.query(`
+            SELECT je.id, je.entry_number, je.entry_date, je.source_type, je.source_id,
+                   je.reverses_entry_id, je.description,
+                   SUM(jl.credit - jl.debit) AS net,
+                   EXISTS (SELECT 1 FROM journal_entries r WHERE r.reverses_entry_id = je.id) AS reversed
+            FROM journal_lines jl
+            JOIN ledger_accounts a ON a.id = jl.account_id
+            JOIN journal_entries je ON je.id = jl.entry_id
+            WHERE a.code = $1 AND a.party_type = 'artist' AND a.party_id = $2 AND a.currency = $3
+            GROUP BY je.id
+            ORDER BY je.entry_number
+        `, [ACCOUNTS.royaltiesPayable.code, String(statement.artist_id), statement.currency || 'USD']);
+
+        const entries = result.rows.map(row => ({ ...row, entry_number: Number(row.entry_number), cents: Math.round(Number(row.net) * 100) }));
+        const live = (entry) => !entry.reverses_entry_id && !entry.reversed;
+        const ownedBy = (statementId) => entries.filter(entry => live(entry)
+            && entry.source_id === statementId
+            && ['statement', 'recoupment'].includes(entry.source_type));
+
+        const postings = entries.filter(entry => entry.source_type === 'statement' && live(entry));
+        const index = postings.findIndex(entry => entry.source_id === statement.id);
+        if (index === -1) return null;
+
+        const lastOf = (statementId) => Math.max(...ownedBy(statementId).map(entry => entry.entry_number));
+        const start = index > 0 ? lastOf(postings[index - 1].source_id) : 0;
+        const end = lastOf(statement.id);
+
+        const sum = (list) => list.reduce((total, entry) => total + entry.cents, 0);
+        const window = entries.filter(entry => entry.entry_number > start && entry.entry_number <= end);
+        const own = window.filter(entry => ownedBy(statement.id).includes(entry));
+        const payouts = window.filter(entry => entry.source_type === 'payout');
+        const others = window.filter(entry => !own.includes(entry) && !payouts.includes(entry));
+
+        // Payout amounts drawn in the window, with the tax kept back from them
+        const payoutIds = [...new Set(payouts.map(entry => entry.source_id))];
+        const payoutRows = payoutIds.length > 0
+            ? (await db.query(`
+                SELECT id, payment_method, withholding_amount, requested_at
+                FROM payouts
+                WHERE id::text = ANY($1::text[])
+            `, [payoutIds])).rows
+            : [];
+
+        const paymentItems = payoutIds.map(payoutId => {
+            const drawn = -sum(payouts.filter(entry => entry.source_id === payoutId));
+            const payout = payoutRows.find(row => row.id === payoutId) || {};
+            const first = payouts.find(entry => entry.source_id === payoutId);
+            const withheld = Math.round(Number(payout.withholding_amount || 0) * 100);
+            return {
+                payout_id: payoutId,
+                date: this.toDate(first.entry_date),
+                description: drawn >= 0
+                    ? `Payout (${payout.payment_method || 'payment'})`
+                    : `Payout returned (${payout.payment_method || 'payment'})`,
+                amount: drawn / 100,
+                tax_withheld: (drawn === 0 ? 0 : Math.sign(drawn) * withheld) / 100
+            };
+        }).filter(item => item.amount !== 0);
+
+        const opening = sum(entries.filter(entry => entry.entry_number <= start));
+        const closing = opening + sum(window);
+
+        return {
+            opening_balance: opening / 100,
+            earnings: sum(own.filter(entry => entry.source_type === 'statement')) / 100,
+            recoupment: -sum(own.filter(entry => entry.source_type === 'recoupment')) / 100,
+            payments: -sum(payouts) / 100,
+            tax_withheld: paymentItems.reduce((total, item) => total + Math.round(item.tax_withheld * 100), 0) / 100,
+            adjustments: sum(others) / 100,
+            closing_balance: closing / 100,
+            payment_items: paymentItems
+        };
+    }
+
+    /**
+     * Everything a rendered statement shows, in the statement currency
+     */
+    static async getStatementDocument(statementId) {
+        const result = await db.query(`
+            SELECT s.*, a.name AS artist_name,
+                   p.legal_name, p.address_line1, p.address_line2, p.city, p.state, p.postal_code, p.country
+            FROM royalty_statements s
+            JOIN artists a ON a.id = s.artist_id
+            LEFT JOIN payee_tax_profiles p ON p.artist_id = s.artist_id
+            WHERE s.id = $1
+        `, [statementId]);
+
+        if (result.rows.length === 0) {
+            throw new AppError('Royalty statement not found', 404);
+        }
+
+        const row = result.rows[0];
+        const lineRows = await RoyaltyStatementService.getStatementLines(statementId);
+        const releaseIds = [...new Set([
+            ...lineRows.map(line => line.release_id),
+            ...(row.recoupment_details || []).map(detail => detail.release_id)
+        ].filter(Boolean))];
+        const releases = releaseIds.length > 0
+            ? (await db.query('SELECT id, title FROM releases WHERE id = ANY($1::uuid[])', [releaseIds])).rows
+            : [];
+        const releaseTitle = (releaseId) => (releases.find(release => release.id === releaseId) || {}).title || null;
+
+        const lines = lineRows.map(line => ({
+            track_id: line.track_id,
+            track_title: line.track_title,
+            isrc: line.isrc,
+            release_id: line.release_id,
+            release_title: releaseTitle(line.release_id),
+            platform: line.platform,
+            territory: line.territory,
+            revenue_type: line.revenue_type,
+            period_start: this.toDate(line.period_start),
+            period_end: this.toDate(line.period_end),
+            streams: Number(line.streams),
+            line_revenue: Number(line.line_revenue),
+            split_percentage: Number(line.split_percentage),
+            amount: Number(line.amount),
+            currency: line.currency
+        }));
+
+        const addressLines = [
+            row.address_line1,
+            row.address_line2,
+            [row.city, [row.state, row.postal_code].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+            row.country
+        ].filter(Boolean);
+
+        return {
+            statement: {
+                id: row.id,
+                reference: row.id.slice(0, 8).toUpperCase(),
+                artist_id: row.artist_id,
+                platform: row.platform,
+                period_start: this.toDate(row.period_start),
+                period_end: this.toDate(row.period_end),
+                currency: row.currency || 'USD',
+                status: row.status,
+                generated_at: this.toDate(row.generated_at || row.created_at)
+            },
+            payee: {
+                name: row.artist_name,
+                legal_name: row.legal_name || null,
+                address_lines: addressLines
+            },
+            totals: {
+                streams: lines.reduce((total, line) => total + line.streams, 0),
+                line_revenue: this.round(lines.reduce((total, line) => total + line.line_revenue, 0), 6),
+                gross_revenue: Number(row.gross_revenue),
+                recouped_amount: Number(row.recouped_amount || 0),
+                payable_amount: Number(row.payable_amount)
+            },
+            platforms: this.breakdown(lines, line => `${line.platform}|${line.revenue_type}`, line => ({ platform: line.platform, revenue_type: line.revenue_type })),
+            territories: this.breakdown(lines, line => line.territory, line => ({ territory: line.territory })),
+            tracks: this.breakdown(lines, line => line.track_id || line.track_title, line => ({
+                track_id: line.track_id,
+                track_title: line.track_title,
+                isrc: line.isrc,
+                release_title: line.release_title
+            })),
+            deductions: (row.recoupment_details || []).map(detail => ({
+                expense_id: detail.expense_id,
+                expense_type: detail.expense_type,
+                description: detail.description || null,
+                release_id: detail.release_id || null,
+                release_title: releaseTitle(detail.release_id),
+                amount: Number(detail.amount),
+                remaining: Number(detail.remaining || 0)
+            })),
+            account: await this.getAccountSummary(row),
+            lines
+        };
+    }
+
+    // ========== Rendering ==========
+
+    static escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * One row per statement line with the payee's split share
+     */
+    static toCsv(document) {
+        const { statement, payee } = document;
+        const header = [
+            'statement_id', 'payee', 'platform', 'period_start', 'period_end', 'track_title', 'isrc', 'release_title',
+            'territory', 'revenue_type', 'units', 'gross_revenue', 'split_percentage', 'amount', 'currency'
+        ];
+
+        const rows = document.lines.map(line => [
+            statement.id, payee.name, line.platform, line.period_start || statement.period_start, line.period_end || statement.period_end,
+            line.track_title, line.isrc, line.release_title, line.territory, line.revenue_type, line.streams,
+            line.line_revenue, line.split_percentage, line.amount, line.currency
+        ]);
+
+        return [header, ...rows].map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Summary, breakdown, deduction, payment and line sheets
+     */
+    static toXlsx(document, template) {
+        const { statement, payee, totals, account } = document;
+        const summaryRows = [
+            ['Payee', payee.legal_name || payee.name],
+            ['Statement', statement.reference],
+            ['Platform', statement.platform],
+            ['Period', `${statement.period_start} - ${statement.period_end}`],
+            ['Currency', statement.currency],
+            [],
+            ...(account
+                ? [
+                    { values: ['Opening balance', account.opening_balance], bold: true },
+                    ['Royalties this statement', account.earnings],
+                    ['Recoupment deductions', -account.recoupment],
+                    ['Adjustments', account.adjustments],
+                    ['Payments', -(account.payments - account.tax_withheld)],
+                    ['Tax withheld', -account.tax_withheld],
+                    { values: ['Closing balance', account.closing_balance], bold: true }
+                ]
+                : [
+                    ['Royalties this statement', totals.gross_revenue],
+                    ['Recoupment deductions', -totals.recouped_amount],
+                    { values: ['Payable', totals.payable_amount], bold: true }
+                ])
+        ];
+
+        const amountColumns = [
+            { header: 'Units', format: 'integer', width: 12 },
+            { header: 'Gross revenue', format: 'money', width: 15 },
+            { header: 'Your share', format: 'money', width: 15 }
+        ];
+        const amounts = (row) => [row.streams, row.line_revenue, row.amount];
+        const totalRow = (labels) => ({ values: [...labels, totals.streams, totals.line_revenue, totals.gross_revenue], bold: true });
+
+        const sheets = [
+            { name: 'Summary', columns: [{ header: template.title, width: 32 }, { header: '', format: 'money', width: 18 }], rows: summaryRows },
+            {
+                name: 'Platforms',
+                columns: [{ header: 'Platform', width: 20 }, { header: 'Revenue type', width: 16 }, ...amountColumns],
+                rows: [...document.platforms.map(row => [row.platform, row.revenue_type, ...amounts(row)]), totalRow(['Total', ''])]
+            },
+            {
+                name: 'Territories',
+                columns: [{ header: 'Territory', width: 16 }, ...amountColumns],
+                rows: [...document.territories.map(row => [row.territory, ...amounts(row)]), totalRow(['Total'])]
+            },
+            {
+                name: 'Tracks',
+                columns: [
+                    { header: 'Track', width: 36 }, { header: 'ISRC', width: 15 }, { header: 'Release', width: 28 },
+                    { header: 'Split', format: 'percent', width: 10 }, ...amountColumns
+                ],
+                rows: [
+                    ...document.tracks.map(row => [row.track_title, row.isrc, row.release_title, row.split_percentage, ...amounts(row)]),
+                    { values: ['Total', '', '', null, totals.streams, totals.line_revenue, totals.gross_revenue], bold: true }
+                ]
+            },
+            {
+                name: 'Deductions',
+                columns: [
+                    { header: 'Cost type', width: 16 }, { header: 'Description', width: 36 }, { header: 'Release', width: 28 },
+                    { header: 'Recouped', format: 'money', width: 15 }, { header: 'Unrecouped', format: 'money', width: 15 }
+                ],
+                rows: document.deductions.map(row => [row.expense_type, row.description, row.release_title || 'All releases', row.amount, row.remaining])
+            },
+            account && {
+                name: 'Payments',
+                columns: [
+                    { header: 'Date', format: 'date', width: 12 }, { header: 'Description', width: 32 },
+                    { header: 'Amount', format: 'money', width: 15 }, { header: 'Tax withheld', format: 'money', width: 15 },
+                    { header: 'Paid', format: 'money', width: 15 }
+                ],
+                rows: account.payment_items.map(item => [item.date, item.description, item.amount, item.tax_withheld, this.round(item.amount - item.tax_withheld)])
+            },
+            {
+                name: 'Lines',
+                columns: [
+                    { header: 'Track', width: 36 }, { header: 'ISRC', width: 15 }, { header: 'Release', width: 28 },
+                    { header: 'Platform', width: 14 }, { header: 'Territory', width: 10 }, { header: 'Revenue type', width: 14 },
+                    { header: 'Period start', format: 'date', width: 12 }, { header: 'Period end', format: 'date', width: 12 },
+                    { header: 'Units', format: 'integer', width: 12 }, { header: 'Gross revenue', format: 'money', width: 15 },
+                    { header: 'Split', format: 'percent', width: 10 }, { header: 'Your share', format: 'money', width: 15 }
+                ],
+                rows: document.lines.map(line => [
+                    line.track_title, line.isrc, line.release_title, line.platform, line.territory, line.revenue_type,
+                    line.period_start || statement.period_start, line.period_end || statement.period_end,
+                    line.streams, line.line_revenue, line.split_percentage, line.amount
+                ])
+            }
+        ].filter(Boolean);
+
+        return createXlsx(sheets);
+    }
+
+    /**
+     * Render a statement; returns the file content with its name and content type
+     */
+    static async exportStatement(statementId, { format = 'pdf', templateId = null } = {}) {
+        const output = EXPORT_FORMATS[String(format).toLowerCase()];
+        if (!output) {
+            throw new AppError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400);
+        }
+
+        const document = await this.getStatementDocument(statementId);
+        const template = await this.resolveTemplate(statementId, templateId);
+        const extension = output.extension;
+
+        let content;
+        if (extension === 'pdf') {
+            content = StatementPdfUtil.render(document, template);
+        } else if (extension === 'csv') {
+            content = this.toCsv(document);
+        } else {
+            content = this.toXlsx(document, template);
+        }
+
+        const payeeSlug = document.payee.name.normalize('NFD').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'payee';
+        logger.info('Royalty statement exported', { statementId, format: extension, templateId: template.id });
+
+        return {
+            content,
+            contentType: output.contentType,
+            fileName: `statement-${payeeSlug}-${document.statement.platform}-${document.statement.period_start}-${document.statement.period_end}.${extension}`
+        };
+    }
+}
+
+module.exports = StatementExportService;
@@ -0,0 +1,818 @@
+/**
+ * Tax Service - Payee Tax Profiles, Withholding and Year-End Forms
+ * Keeps each payee's W-9 or W-8BEN data, works out the withholding rate applied
+ * when a payout is requested, and produces the 1099-MISC/NEC data, the IRS
+ * FIRE file and per-payee annual summaries
+ */
+
+const crypto = require('crypto');
+const db = require('../../db.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const config = require('../config/env.cjs');
+const { PdfDocument } = require('../../utils/pdf.util.cjs');
+const FireFiling = require('../integrations/taxFilings/fire.filing.cjs');
+
+const W9_ENTITY_TYPES = ['individual', 'sole_proprietor', 'c_corporation', 's_corporation', 'partnership', 'trust_estate', 'llc', 'other'];
+const W8_ENTITY_TYPES = ['corporation', 'partnership', 'trust_estate', 'other'];
+
+// Recipients reported on 1099-MISC box 2 (royalties) or 1099-NEC box 1, tax withheld in box 4
+const FORM_BOXES = {
+    MISC: { amount: '2', withheld: '4' },
+    NEC: { amount: '1', withheld: '4' }
+};
+
+class TaxService {
+    static toCents(amount) {
+        return Math.round(Number(amount || 0) * 100);
+    }
+
+    static today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    static toDate(value) {
+        if (!value) return null;
+        return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+    }
+
+    // ========== TIN ==========
+
+    static encryptionKey() {
+        if (!config.tax.tinEncryptionKey) {
+            throw new AppError('TAX_TIN_ENCRYPTION_KEY is not configured', 500);
+        }
+        return crypto.createHash('sha256').update(config.tax.tinEncryptionKey).digest();
+    }
+
+    /**
+     * AES-256-GCM, stored as v1:iv:tag:ciphertext (base64)
+     */
+    static encryptTin(tin) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(tin, 'utf8'), cipher.final()]);
+        return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+    }
+
+    static decryptTin(value) {
+        if (!value) return null;
+
+        const [version, iv, tag, data] = value.split(':');
+        if (version !== 'v1') {
+            throw new AppError('Unsupported TIN encryption version', 500);
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * US TINs as 9 digits; SSNs and ITINs are checked against the SSA/IRS number ranges
+     */
+    static normalizeTin(tin, tinType) {
+        if (tinType === 'FOREIGN') {
+            const foreign = String(tin || '').replace(/\s+/g, '').toUpperCase();
+            if (!/^[A-Z0-9./-]{1,30}$/.test(foreign)) {
+                throw new AppError('Invalid foreign TIN', 400);
+            }
+            return foreign;
+        }
+
+        const digits = String(tin || '').replace(/[\s-]/g, '');
+        if (!/^\d{9}$/.test(digits)) {
+            throw new AppError(`${tinType} must have 9 digits`, 400);
+        }
+
+        const area = digits.slice(0, 3);
+        const group = Number(digits.slice(3, 5));
+        if (tinType === 'SSN' && (['000', '666'].includes(area) || area[0] === '9' || group === 0 || digits.slice(5) === '0000')) {
+            throw new AppError('Invalid SSN', 400);
+        }
+        if (tinType === 'ITIN' && (digits[0] !== '9' || !((group >= 50 && group <= 65) || (group >= 70 && group <= 88) || (group >= 90 && group <= 92) || group >= 94))) {
+            throw new AppError('Invalid ITIN', 400);
+        }
+        if (tinType === 'EIN' && digits.startsWith('00')) {
+            throw new AppError('Invalid EIN', 400);
+        }
+
+        return digits;
+    }
+
+    static maskTin(tinType, last4) {
+        if (!last4) return null;
+        if (tinType === 'EIN') return `**-***${last4}`;
+        if (tinType === 'FOREIGN') return `****${last4}`;
+        return `***-**-${last4}`;
+    }
+
+    // ========== Profiles ==========
+
+    static normalizeVat(data) {
+        const vatStatus = data.vat_status || 'not_registered';
+        if (!['not_registered', 'registered', 'exempt'].includes(vatStatus)) {
+            throw new AppError('vat_status must be not_registered, registered or exempt', 400);
+        }
+
+        const vatNumber = data.vat_number ? String(data.vat_number).replace(/[\s.-]/g, '').toUpperCase() : null;
+        if (vatStatus === 'registered' && !/^[A-Z]{2}[A-Z0-9]{2,13}$/.test(vatNumber || '')) {
+            throw new AppError('A VAT number with its country prefix is required for VAT-registered payees', 400);
+        }
+
+        return { vatStatus, vatNumber: vatStatus === 'registered' ? vatNumber : null };
+    }
+
+    /**
+     * W-9 for US persons. Crossing out certification item 2 (or an IRS B-notice)
+     * subjects the payee to backup withholding
+     */
+    static async submitW9(artistId, data, userId) {
+        const entityType = data.entity_type || 'individual';
+        const tinType = (data.tin_type || 'SSN').toUpperCase();
+
+        if (!data.legal_name || !data.address_line1 || !data.city || !data.state || !data.postal_code || !data.signature_name) {
+            throw new AppError('legal_name, address, signature_name and the TIN are required', 400);
+        }
+        if (!W9_ENTITY_TYPES.includes(entityType)) {
+            throw new AppError(`entity_type must be one of: ${W9_ENTITY_TYPES.join(', ')}`, 400);
+        }
+        if (!['SSN', 'EIN', 'ITIN'].includes(tinType)) {
+            throw new AppError('tin_type must be SSN, EIN or ITIN', 400);
+        }
+        if (data.form_1099_type && !FORM_BOXES[data.form_1099_type]) {
+            throw new AppError('form_1099_type must be MISC or NEC', 400);
+        }
+
+        const tin = this.normalizeTin(data.tin, tinType);
+        const vat = this.normalizeVat(data);
+
+        return this.saveProfile(artistId, {
+            form_type: 'W-9',
+            legal_name: data.legal_name,
+            business_name: data.business_name || null,
+            entity_type: entityType,
+            tin_type: tinType,
+            tin_encrypted: this.encryptTin(tin),
+            tin_last4: tin.slice(-4),
+            address_line1: data.address_line1,
+            address_line2: data.address_line2 || null,
+            city: data.city,
+            state: String(data.state).toUpperCase(),
+            postal_code: data.postal_code,
+            country: 'US',
+            treaty_country: null,
+            treaty_article: null,
+            treaty_rate: null,
+            form_1099_type: data.form_1099_type || 'MISC',
+            exempt_payee_code: data.exempt_payee_code || null,
+            backup_withholding: Boolean(data.backup_withholding),
+            vat_status: vat.vatStatus,
+            vat_number: vat.vatNumber,
+            signature_name: data.signature_name,
+            signed_at: data.signed_at || this.today(),
+            expires_at: null
+        }, userId);
+    }
+
+    /**
+     * W-8BEN (individuals) or W-8BEN-E (entities) for foreign payees; a treaty
+     * claim must be for the payee's country of residence. The form stays valid
+     * until the end of the third calendar year after it was signed
+     */
+    static async submitW8(artistId, data, userId) {
+        const formType = data.form_type === 'W-8BEN-E' ? 'W-8BEN-E' : 'W-8BEN';
+        const entityType = formType === 'W-8BEN' ? 'individual' : data.entity_type || 'corporation';
+        const country = String(data.country || '').toUpperCase();
+        const treatyCountry = data.treaty_country ? String(data.treaty_country).toUpperCase() : null;
+        const signedAt = data.signed_at || this.today();
+
+        if (!data.legal_name || !data.address_line1 || !data.city || !data.signature_name || !/^[A-Z]{2}$/.test(country)) {
+            throw new AppError('legal_name, address, country and signature_name are required', 400);
+        }
+        if (country === 'US') {
+            throw new AppError('US persons must submit a W-9', 400);
+        }
+        if (formType === 'W-8BEN-E' && !W8_ENTITY_TYPES.includes(entityType)) {
+            throw new AppError(`entity_type must be one of: ${W8_ENTITY_TYPES.join(', ')}`, 400);
+        }
+        if (treatyCountry && treatyCountry !== country) {
+            throw new AppError('Treaty benefits can only be claimed for the country of residence', 400);
+        }
+        if (data.treaty_rate !== undefined && data.treaty_rate !== null && !(Number(data.treaty_rate) >= 0 && Number(data.treaty_rate) <= 100)) {
+            throw new AppError('treaty_rate must be between 0 and 100', 400);
+        }
+
+        const tinType = data.tin ? (data.tin_type || 'FOREIGN').toUpperCase() : null;
+        const tin = data.tin ? this.normalizeTin(data.tin, tinType) : null;
+        const vat = this.normalizeVat(data);
+
+        return this.saveProfile(artistId, {
+            form_type: formType,
+            legal_name: data.legal_name,
+            business_name: data.business_name || null,
+            entity_type: entityType,
+            tin_type: tinType,
+            tin_encrypted: tin ? this.encryptTin(tin) : null,
+            tin_last4: tin ? tin.slice(-4) : null,
+            address_line1: data.address_line1,
+            address_line2: data.address_line2 || null,
+            city: data.city,
+            state: data.state || null,
+            postal_code: data.postal_code || null,
+            country,
+            treaty_country: treatyCountry,
+            treaty_article: treatyCountry ? data.treaty_article || null : null,
+            treaty_rate: treatyCountry && data.treaty_rate !== undefined && data.treaty_rate !== null ? Number(data.treaty_rate) : null,
+            form_1099_type: 'MISC',
+            exempt_payee_code: null,
+            backup_withholding: false,
+            vat_status: vat.vatStatus,
+            vat_number: vat.vatNumber,
+            signature_name: data.signature_name,
+            signed_at: signedAt,
+            expires_at: `${Number(signedAt.slice(0, 4)) + 3}-12-31`
+        }, userId);
+    }
+
+    /**
+     * A new form replaces the payee's previous one; payouts keep the rate they were taxed at
+     */
+    static async saveProfile(artistId, profile, userId) {
+        const columns = Object.keys(profile);
+        const values = columns.map(column => profile[column]);
+
+        const result = await db.query(`
+            INSERT INTO payee_tax_profiles (artist_id, ${columns.join(', ')}, submitted_by)
+            VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')}, $${columns.length + 2})
+            ON CONFLICT (artist_id) DO UPDATE SET
+                ${columns.map(column => `${column} = EXCLUDED.${column}`).join(',\n                ')},
+                submitted_by = EXCLUDED.submitted_by
+            RETURNING *
+        `, [artistId, ...values, userId]);
+
+        logger.info('Payee tax form submitted', { artistId, formType: profile.form_type, userId });
+        return this.formatProfile(result.rows[0]);
+    }
+
+    static profileStatus(row, date = this.today()) {
+        if (!row) return 'missing';
+        if (row.expires_at && this.toDate(row.expires_at) < date) return 'expired';
+        return 'valid';
+    }
+
+    static formatProfile(row) {
+        if (!row) return null;
+
+        const { tin_encrypted: tinEncrypted, tin_last4: last4, ...profile } = row;
+        return {
+            ...profile,
+            signed_at: this.toDate(row.signed_at),
+            expires_at: this.toDate(row.expires_at),
+            treaty_rate: row.treaty_rate === null ? null : Number(row.treaty_rate),
+            has_tin: Boolean(tinEncrypted),
+            tin_masked: this.maskTin(row.tin_type, last4),
+            status: this.profileStatus(row)
+        };
+    }
+
+    static async getProfile(artistId, client = db) {
+        const result = await client.query('SELECT * FROM payee_tax_profiles WHERE artist_id = $1', [artistId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Tax status of the given payees, with the rate their next payout would be withheld at
+     * (the artist columns follow p.* so a missing profile's NULL artist_id cannot replace them)
+     */
+    static async getPayeeTaxStatus(artistIds) {
+        const result = await db.query(`
+            SELECT p.*, a.id AS artist_id, a.name AS artist_name
+            FROM artists a
+            LEFT JOIN payee_tax_profiles p ON p.artist_id = a.id
+            WHERE a.id = ANY($1::uuid[])
+            ORDER BY a.name
+        `, [artistIds]);
+
+        const payees = [];
+        for (const row of result.rows) {
+            const profile = row.id ? this.formatProfile(row) : null;
+            payees.push({
+                artist_id: row.artist_id,
+                artist_name: row.artist_name,
+                status: this.profileStatus(row.id ? row : null),
+                profile,
+                withholding: await this.determineWithholding(row.artist_id)
+            });
+        }
+        return payees;
+    }
+
+    static async listProfiles({ status = null, formType = null, page = 1, limit = 50 } = {}) {
+        const result = await db.query(`
+            SELECT p.*, a.id AS artist_id, a.name AS artist_name,
+                   CASE
+                       WHEN p.id IS NULL THEN 'missing'
+                       WHEN p.expires_at < CURRENT_DATE THEN 'expired'
+                       ELSE 'valid'
+                   END AS profile_status,
+                   COUNT(*) OVER () AS total_count
+            FROM artists a
+            LEFT JOIN payee_tax_profiles p ON p.artist_id = a.id
+            WHERE ($1::text IS NULL OR $1 = CASE
+                       WHEN p.id IS NULL THEN 'missing'
+                       WHEN p.expires_at < CURRENT_DATE THEN 'expired'
+                       ELSE 'valid'
+                   END)
+              AND ($2::text IS NULL OR p.form_type = $2)
+            ORDER BY a.name
+            LIMIT $3 OFFSET $4
+        `, [status, formType, limit, (page - 1) * limit]);
+
+        const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+
+        return {
+            profiles: result.rows.map(({ profile_status: profileStatus, ...row }) => {
+                delete row.total_count;
+                return {
+                    artist_id: row.artist_id,
+                    artist_name: row.artist_name,
+                    status: profileStatus,
+                    profile: row.id ? this.formatProfile(row) : null
+                };
+            }),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+
+    // ========== Treaty Rates ==========
+
+    static async listTreatyRates() {
+        const result = await db.query('SELECT * FROM tax_treaty_rates ORDER BY country_code');
+        return result.rows.map(row => ({ ...row, rate: Number(row.rate) }));
+    }
+
+    static async setTreatyRate(countryCode, { rate, article = null, notes = null }, userId) {
+        const country = String(countryCode || '').toUpperCase();
+        if (!/^[A-Z]{2}$/.test(country) || country === 'US') {
+            throw new AppError('A two-letter foreign country code is required', 400);
+        }
+        if (!(Number(rate) >= 0 && Number(rate) <= 100)) {
+            throw new AppError('rate must be between 0 and 100', 400);
+        }
+
+        const result = await db.query(`
+            INSERT INTO tax_treaty_rates (country_code, rate, article, notes, updated_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (country_code) DO UPDATE SET
+                rate = EXCLUDED.rate,
+                article = EXCLUDED.article,
+                notes = EXCLUDED.notes,
+                updated_by = EXCLUDED.updated_by
+            RETURNING *
+        `, [country, Number(rate), article, notes, userId]);
+
+        logger.info('Treaty withholding rate set', { country, rate: Number(rate), userId });
+        return { ...result.rows[0], rate: Number(result.rows[0].rate) };
+    }
+
+    // ========== Withholding ==========
+
+    /**
+     * Rate (percent) and reason for the payee's withholding on a payout date
+     *
+     * US payees with a certified W-9 are not withheld on, unless subject to backup
+     * withholding; payees without a form are presumed US persons and backup withheld.
+     * Foreign payees get their country's treaty rate (or the higher rate they claimed)
+     * when the W-8 claims the treaty, otherwise the statutory non-resident rate
+     */
+    static async determineWithholding(artistId, date = this.today(), client = db) {
+        const { withholdingEnabled, backupWithholdingRate, nonResidentRate } = config.tax;
+        if (!withholdingEnabled) {
+            return { rate: 0, reason: 'disabled', form_type: null };
+        }
+
+        const profile = await this.getProfile(artistId, client);
+        if (!profile) {
+            return { rate: backupWithholdingRate, reason: 'undocumented', form_type: null };
+        }
+
+        if (profile.form_type === 'W-9') {
+            if (profile.exempt_payee_code) {
+                return { rate: 0, reason: 'exempt', form_type: 'W-9' };
+            }
+            return profile.backup_withholding || !profile.tin_encrypted
+                ? { rate: backupWithholdingRate, reason: 'backup', form_type: 'W-9' }
+                : { rate: 0, reason: 'w9', form_type: 'W-9' };
+        }
+
+        if (this.profileStatus(profile, this.toDate(date)) === 'expired') {
+            return { rate: nonResidentRate, reason: 'expired', form_type: profile.form_type };
+        }
+
+        if (profile.treaty_country) {
+            const treaty = await client.query('SELECT * FROM tax_treaty_rates WHERE country_code = $1', [profile.treaty_country]);
+            if (treaty.rows.length > 0) {
+                const claimed = profile.treaty_rate === null ? 0 : Number(profile.treaty_rate);
+                return {
+                    rate: Math.min(nonResidentRate, Math.max(Number(treaty.rows[0].rate), claimed)),
+                    reason: 'treaty',
+                    form_type: profile.form_type,
+                    treaty_country: profile.treaty_country,
+                    treaty_article: profile.treaty_article || treaty.rows[0].article
+                };
+            }
+        }
+
+        return { rate: nonResidentRate, reason: 'nonresident', form_type: profile.form_type };
+    }
+
+    /**
+     * Tax withheld from a payout of grossAmount, rounded to the cent
+     */
+    static async calculateWithholding(client, artistId, grossAmount, date = this.today()) {
+        const withholding = await this.determineWithholding(artistId, date, client);
+        const amount = Math.round(this.toCents(grossAmount) * withholding.rate / 100) / 100;
+        return { ...withholding, amount };
+    }
+
+    // ========== Year-End ==========
+
+    static payer() {
+        const payer = config.tax.payer;
+        return {
+            name: payer.name || null,
+            tin_masked: payer.tin ? this.maskTin('EIN', String(payer.tin).slice(-4)) : null,
+            address: payer.address || null,
+            city: payer.city || null,
+            state: payer.state || null,
+            zip: payer.zip || null,
+            phone: payer.phone || null
+        };
+    }
+
+    /**
+     * Completed USD payouts of the calendar year per payee (cash basis: by completion
+     * date, before withholding), with the payee's tax profile
+     */
+    static async getYearPayments(year, artistIds = null) {
+        const result = await db.query(`
+            SELECT p.*, a.id AS artist_id, a.name AS artist_name,
+                   pay.gross, pay.withheld, pay.payout_count
+            FROM (
+                SELECT artist_id,
+                       SUM(COALESCE(gross_amount, base_amount, amount)) AS gross,
+                       SUM(withholding_amount) AS withheld,
+                       COUNT(*) AS payout_count
+                FROM payouts
+                WHERE status = 'completed'
+                  AND artist_id IS NOT NULL
+                  AND COALESCE(base_currency, currency) = 'USD'
+                  AND completed_at >= make_date($1, 1, 1)
+                  AND completed_at < make_date($1 + 1, 1, 1)
+                  AND ($2::uuid[] IS NULL OR artist_id = ANY($2))
+                GROUP BY artist_id
+            ) pay
+            JOIN artists a ON a.id = pay.artist_id
+            LEFT JOIN payee_tax_profiles p ON p.artist_id = pay.artist_id
+            ORDER BY a.name
+        `, [year, artistIds]);
+
+        return result.rows;
+    }
+
+    /**
+     * 1099-MISC (royalties, box 2) and 1099-NEC (box 1) recipients for a year. Payees
+     * without a form are presumed US persons and reported without a TIN; foreign
+     * payees are listed apart for Form 1042-S
+     */
+    static async get1099Data(year, { artistIds = null, includeTin = false } = {}) {
+        const taxYear = parseInt(year);
+        if (!(taxYear >= 2000 && taxYear <= 2100)) {
+            throw new AppError('Invalid tax year', 400);
+        }
+
+        const rows = await this.getYearPayments(taxYear, artistIds);
+        const recipients = [];
+        const foreignRecipients = [];
+
+        for (const row of rows) {
+            const gross = Number(row.gross);
+            const withheld = Number(row.withheld);
+
+            if (row.id && row.form_type !== 'W-9') {
+                foreignRecipients.push({
+                    artist_id: row.artist_id,
+                    artist_name: row.artist_name,
+                    legal_name: row.legal_name,
+                    country: row.country,
+                    form_type: row.form_type,
+                    treaty_country: row.treaty_country,
+                    gross_amount: gross,
+                    tax_withheld: withheld,
+                    payout_count: Number(row.payout_count)
+                });
+                continue;
+            }
+            if (row.exempt_payee_code) continue;
+
+            const form = row.form_1099_type || 'MISC';
+            const threshold = form === 'NEC' ? config.tax.necThreshold : config.tax.miscRoyaltyThreshold;
+            if (gross < threshold && withheld <= 0) continue;
+
+            const boxes = FORM_BOXES[form];
+            recipients.push({
+                artist_id: row.artist_id,
+                artist_name: row.artist_name,
+                form: `1099-${form}`,
+                form_type: form,
+                legal_name: row.legal_name || row.artist_name,
+                business_name: row.business_name || null,
+                entity_type: row.entity_type || 'individual',
+                tin_type: row.tin_type || null,
+                tin_masked: this.maskTin(row.tin_type, row.tin_last4),
+                missing_tin: !row.tin_encrypted,
+                address_line1: row.address_line1 || null,
+                address_line2: row.address_line2 || null,
+                city: row.city || null,
+                state: row.state || null,
+                postal_code: row.postal_code || null,
+                boxes: { [boxes.amount]: gross, [boxes.withheld]: withheld },
+                gross_amount: gross,
+                tax_withheld: withheld,
+                payout_count: Number(row.payout_count),
+                ...(includeTin ? { tin: row.tin_encrypted ? this.decryptTin(row.tin_encrypted) : null } : {})
+            });
+        }
+
+        const totals = {};
+        for (const recipient of recipients) {
+            const formTotals = totals[recipient.form] || (totals[recipient.form] = { recipients: 0, amount: 0, tax_withheld: 0 });
+            formTotals.recipients++;
+            formTotals.amount = (this.toCents(formTotals.amount) + this.toCents(recipient.gross_amount)) / 100;
+            formTotals.tax_withheld = (this.toCents(formTotals.tax_withheld) + this.toCents(recipient.tax_withheld)) / 100;
+        }
+
+        return {
+            year: taxYear,
+            payer: this.payer(),
+            recipients,
+            foreign_recipients: foreignRecipients,
+            totals
+        };
+    }
+
+    /**
+     * 1099 returns for the year as an IRS FIRE (Publication 1220) file
+     */
+    static async buildFireFile(year, { test = false } = {}) {
+        const payer = config.tax.payer;
+        const fire = config.tax.fire;
+        const filing = new FireFiling({
+            transmitter: {
+                tin: payer.tin,
+                tcc: fire.transmitterControlCode,
+                name: payer.name,
+                address: payer.address,
+                city: payer.city,
+                state: payer.state,
+                zip: payer.zip,
+                contactName: fire.contactName,
+                contactPhone: fire.contactPhone,
+                contactEmail: fire.contactEmail
+            },
+            payer,
+            test
+        });
+
+        const missing = filing.missingConfig();
+        if (missing.length > 0) {
+            throw new AppError(`IRS filing settings missing: ${missing.join(', ')}`, 422);
+        }
+
+        const data = await this.get1099Data(year, { includeTin: true });
+        const returns = Object.keys(FORM_BOXES).map(form => ({
+            formType: form,
+            payees: data.recipients
+                .filter(recipient => recipient.form_type === form)
+                .map(recipient => ({
+                    tin: recipient.tin,
+                    tinType: recipient.tin_type,
+                    name: recipient.legal_name,
+                    businessName: recipient.business_name,
+                    entityType: recipient.entity_type,
+                    accountNumber: recipient.artist_id,
+                    address: recipient.address_line1,
+                    address2: recipient.address_line2,
+                    city: recipient.city,
+                    state: recipient.state,
+                    zip: recipient.postal_code,
+                    amounts: Object.fromEntries(Object.entries(recipient.boxes).map(([box, amount]) => [box, this.toCents(amount)]))
+                }))
+        }));
+
+        if (returns.every(group => group.payees.length === 0)) {
+            throw new AppError(`No 1099 recipients for ${data.year}`, 404);
+        }
+
+        const file = filing.build(data.year, returns);
+        logger.info('IRS FIRE file generated', { year: data.year, payees: file.payeeCount, test });
+
+        return { ...file, missingTins: data.recipients.filter(recipient => recipient.missing_tin).length };
+    }
+
+    /**
+     * A payee's year: statement earnings and recoupment by period end, payouts by
+     * completion date with the tax withheld, and what is reported to the IRS
+     */
+    static async getAnnualSummary(artistId, year) {
+        const taxYear = parseInt(year);
+        if (!(taxYear >= 2000 && taxYear <= 2100)) {
+            throw new AppError('Invalid tax year', 400);
+        }
+
+        const artist = await db.query('SELECT id, name FROM artists WHERE id = $1', [artistId]);
+        if (artist.rows.length === 0) {
+            throw new AppError('Artist not found', 404);
+        }
+
+        const earnings = await db.query(`
+            SELECT platform,
+                   COUNT(*) AS statements,
+                   SUM(gross_revenue) AS gross_revenue,
+                   SUM(recouped_amount) AS recouped_amount,
+                   SUM(payable_amount) AS payable_amount
+            FROM royalty_statements
+            WHERE artist_id = $1
+              AND status <> 'superseded'
+              AND period_end >= make_date($2, 1, 1)
+              AND period_end < make_date($2 + 1, 1, 1)
+            GROUP BY platform
+            ORDER BY platform
+        `, [artistId, taxYear]);
+
+        const payouts = await db.query(`
+            SELECT id, completed_at, payment_method, amount, currency,
+                   COALESCE(gross_amount, base_amount, amount) AS gross_amount,
+                   COALESCE(base_currency, currency) AS base_currency,
+                   withholding_amount, withholding_rate, withholding_reason
+            FROM payouts
+            WHERE artist_id = $1
+              AND status = 'completed'
+              AND completed_at >= make_date($2, 1, 1)
+              AND completed_at < make_date($2 + 1, 1, 1)
+            ORDER BY completed_at
+        `, [artistId, taxYear]);
+
+        const profile = await this.getProfile(artistId);
+        const reporting = await this.get1099Data(taxYear, { artistIds: [artistId] });
+        const sum = (rows, key) => rows.reduce((total, row) => total + this.toCents(row[key]), 0) / 100;
+
+        return {
+            year: taxYear,
+            payer: this.payer(),
+            artist: artist.rows[0],
+            profile: this.formatProfile(profile),
+            earnings: {
+                by_platform: earnings.rows.map(row => ({
+                    platform: row.platform,
+                    statements: Number(row.statements),
+                    gross_revenue: Number(row.gross_revenue),
+                    recouped_amount: Number(row.recouped_amount),
+                    payable_amount: Number(row.payable_amount)
+                })),
+                gross_revenue: sum(earnings.rows, 'gross_revenue'),
+                recouped_amount: sum(earnings.rows, 'recouped_amount'),
+                payable_amount: sum(earnings.rows, 'payable_amount')
+            },
+            payouts: {
+                items: payouts.rows.map(row => ({
+                    id: row.id,
+                    completed_at: row.completed_at,
+                    payment_method: row.payment_method,
+                    gross_amount: Number(row.gross_amount),
+                    base_currency: row.base_currency,
+                    tax_withheld: Number(row.withholding_amount),
+                    withholding_rate: row.withholding_rate === null ? null : Number(row.withholding_rate),
+                    withholding_reason: row.withholding_reason,
+                    paid_amount: Number(row.amount),
+                    paid_currency: row.currency
+                })),
+                gross_amount: sum(payouts.rows, 'gross_amount'),
+                tax_withheld: sum(payouts.rows, 'withholding_amount')
+            },
+            reporting: reporting.recipients[0]
+                ? { form: reporting.recipients[0].form, boxes: reporting.recipients[0].boxes }
+                : reporting.foreign_recipients[0]
+                    ? { form: '1042-S', gross_amount: reporting.foreign_recipients[0].gross_amount, tax_withheld: reporting.foreign_recipients[0].tax_withheld }
+                    : null
+        };
+    }
+
+    /**
+     * Annual summary as a one- or multi-page US Letter PDF
+     */
+    static renderAnnualSummaryPdf(summary) {
+        const doc = new PdfDocument({
+            Title: `Annual tax summary ${summary.year} - ${summary.artist.name}`,
+            Creator: summary.payer.name || 'Royalty accounting'
+        });
+        doc.addFont('regular', 'Times-Roman');
+        doc.addFont('bold', 'Times-Bold');
+
+        const margin = 54;
+        const width = 612;
+        const money = (amount) => Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        let page;
+        let y;
+
+        const newPage = () => {
+            page = doc.addPage({ width, height: 792 });
+            y = 792 - margin;
+        };
+        const ensureSpace = (height) => {
+            if (y - height < margin) newPage();
+        };
+        const line = (text, { font = 'regular', size = 10, gap = 14 } = {}) => {
+            ensureSpace(gap);
+            page.text(font, size, margin, y, text);
+            y -= gap;
+        };
+        const row = (cells, columns, { font = 'regular', size = 9 } = {}) => {
+            ensureSpace(13);
+            cells.forEach((cell, i) => {
+                const text = String(cell ?? '');
+                const column = columns[i];
+                const x = column.align === 'right' ? column.x - doc.widthOf(font, text, size) : column.x;
+                page.text(font, size, x, y, text);
+            });
+            y -= 13;
+        };
+        const rule = () => {
+            page.line(margin, y + 9, width - margin, y + 9, 0.5, [0.6, 0.6, 0.6]);
+        };
+
+        newPage();
+        line(`Annual Tax Summary ${summary.year}`, { font: 'bold', size: 16, gap: 24 });
+        if (summary.payer.name) line(`Payer: ${summary.payer.name}${summary.payer.tin_masked ? ` (EIN ${summary.payer.tin_masked})` : ''}`);
+        line(`Payee: ${summary.profile ? summary.profile.legal_name : summary.artist.name} (${summary.artist.name})`);
+
+        const profile = summary.profile;
+        if (profile) {
+            line(`Tax form: ${profile.form_type}, signed ${profile.signed_at}${profile.expires_at ? `, valid until ${profile.expires_at}` : ''}`);
+            if (profile.tin_masked) line(`TIN: ${profile.tin_masked}`);
+            if (profile.treaty_country) line(`Treaty claim: ${profile.treaty_country}${profile.treaty_article ? ` art. ${profile.treaty_article}` : ''}`);
+            line(`VAT: ${profile.vat_status.replace('_', ' ')}${profile.vat_number ? ` (${profile.vat_number})` : ''}`);
+        } else {
+            line('Tax form: none on file (backup withholding applies)');
+        }
+
+        y -= 10;
+        line('Royalty earnings (statements for periods ending in the year)', { font: 'bold', size: 11, gap: 18 });
+        const earningColumns = [{ x: margin }, { x: 300, align: 'right' }, { x: 400, align: 'right' }, { x: 500, align: 'right' }];
+        row(['Platform', 'Gross', 'Recouped', 'Payable'], earningColumns, { font: 'bold' });
+        rule();
+        for (const platform of summary.earnings.by_platform) {
+            row([platform.platform, money(platform.gross_revenue), money(platform.recouped_amount), money(platform.payable_amount)], earningColumns);
+        }
+        rule();
+        row(['Total (USD)', money(summary.earnings.gross_revenue), money(summary.earnings.recouped_amount), money(summary.earnings.payable_amount)], earningColumns, { font: 'bold' });
+
+        y -= 10;
+        line('Payouts completed in the year', { font: 'bold', size: 11, gap: 18 });
+        const payoutColumns = [{ x: margin }, { x: 150 }, { x: 300, align: 'right' }, { x: 400, align: 'right' }, { x: 500, align: 'right' }, { x: 505 }];
+        row(['Date', 'Method', 'Gross', 'Tax withheld', 'Paid', ''], payoutColumns, { font: 'bold' });
+        rule();
+        for (const payout of summary.payouts.items) {
+            row([
+                this.toDate(payout.completed_at),
+                payout.payment_method,
+                money(payout.gross_amount),
+                `${money(payout.tax_withheld)}${payout.withholding_rate ? ` (${payout.withholding_rate}%)` : ''}`,
+                money(payout.paid_amount),
+                payout.paid_currency
+            ], payoutColumns);
+        }
+        rule();
+        row(['Total', '', money(summary.payouts.gross_amount), money(summary.payouts.tax_withheld), '', ''], payoutColumns, { font: 'bold' });
+
+        y -= 10;
+        line('Reported to the IRS', { font: 'bold', size: 11, gap: 18 });
+        const reporting = summary.reporting;
+        if (!reporting) {
+            line('Nothing reportable for the year.');
+        } else if (reporting.form === '1042-S') {
+            line(`Form 1042-S: gross income ${money(reporting.gross_amount)}, federal tax withheld ${money(reporting.tax_withheld)}`);
+        } else {
+            for (const [box, amount] of Object.entries(reporting.boxes)) {
+                line(`Form ${reporting.form} box ${box}: ${money(amount)}`);
+            }
+        }
+
+        y -= 10;
+        line(`Generated ${this.today()}. This summary is not a tax form.`, { size: 8, gap: 10 });
+
+        return doc.toBuffer();
+    }
+}
+
+module.exports = TaxService;
@@ -0,0 +1,1044 @@
+/**
+ * Audio Inspector Utilities
+ * Reads technical parameters and embedded metadata straight from uploaded
+ * audio files (WAV/BWF/RF64, AIFF/AIFC, FLAC, MP3) so declared specs can be
+ * checked against the real master before distribution
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+const MPEG_BITRATES = {
+  'v1l1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  'v1l2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  'v1l3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  'v2l1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  'v2l2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  'v2l3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+const WAVE_FORMATS = {
+  0x0001: 'pcm',
+  0x0003: 'float',
+  0x0006: 'alaw',
+  0x0007: 'mulaw',
+  0x0055: 'mp3'
+};
+
+class AudioInspectorUtil {
+  constructor() {
+    this.supportedFormats = ['wav', 'aiff', 'flac', 'mp3'];
+
+    // Metadata fields reported for every format
+    this.metadataFields = ['title', 'artist', 'album', 'genre', 'date', 'isrc', 'upc', 'publisher', 'copyright', 'comment', 'encoder'];
+
+    this.riffInfoFields = {
+      INAM: 'title',
+      IART: 'artist',
+      IPRD: 'album',
+      IGNR: 'genre',
+      ICRD: 'date',
+      ICOP: 'copyright',
+      ICMT: 'comment',
+      ISFT: 'encoder'
+    };
+
+    this.id3Frames = {
+      TIT2: 'title', TT2: 'title',
+      TPE1: 'artist', TP1: 'artist',
+      TALB: 'album', TAL: 'album',
+      TCON: 'genre', TCO: 'genre',
+      TDRC: 'date', TYER: 'date', TYE: 'date',
+      TSRC: 'isrc', TRC: 'isrc',
+      TPUB: 'publisher', TPB: 'publisher',
+      TCOP: 'copyright', TCR: 'copyright',
+      TSSE: 'encoder', TSS: 'encoder', TENC: 'encoder', TEN: 'encoder'
+    };
+
+    this.vorbisFields = {
+      TITLE: 'title',
+      ARTIST: 'artist',
+      ALBUM: 'album',
+      GENRE: 'genre',
+      DATE: 'date',
+      YEAR: 'date',
+      ISRC: 'isrc',
+      BARCODE: 'upc',
+      UPC: 'upc',
+      EAN: 'upc',
+      LABEL: 'publisher',
+      ORGANIZATION: 'publisher',
+      PUBLISHER: 'publisher',
+      COPYRIGHT: 'copyright',
+      COMMENT: 'comment',
+      DESCRIPTION: 'comment',
+      ENCODER: 'encoder',
+      ENCODED_BY: 'encoder'
+    };
+
+    // User-defined ID3 (TXXX) descriptions carrying identifiers
+    this.id3UserFields = {
+      ISRC: 'isrc',
+      BARCODE: 'upc',
+      UPC: 'upc',
+      EAN: 'upc'
+    };
+  }
+
+  // ========== Entry Points ==========
+
+  /**
+   * Inspect an audio file on disk
+   */
+  async inspectFile(filePath, options = {}) {
+    const buffer = await fs.promises.readFile(filePath);
+    return this.inspect(buffer, { filename: filePath, ...options });
+  }
+
+  /**
+   * Inspect an audio file held in memory
+   * @param {Buffer} buffer - Complete file contents
+   * @param {Object} options - { filename, checksums }
+   * @returns {Object} Technical parameters, metadata, checksums, warnings and errors
+   */
+  inspect(buffer, options = {}) {
+    const { filename = null, checksums = true } = options;
+    const result = this.emptyResult(buffer.length, filename);
+
+    const format = this.detectFormat(buffer);
+    if (!format) {
+      result.errors.push('Unrecognised audio file: expected WAV, AIFF, FLAC or MP3 data');
+    } else {
+      try {
+        switch (format) {
+          case 'wav':
+            this.parseWav(buffer, result);
+            break;
+          case 'aiff':
+            this.parseAiff(buffer, result);
+            break;
+          case 'flac':
+            this.parseFlac(buffer, result);
+            break;
+          case 'mp3':
+            this.parseMp3(buffer, result);
+            break;
+        }
+      } catch (error) {
+        result.errors.push(`Could not parse ${format.toUpperCase()} file: ${error.message}`);
+      }
+    }
+
+    this.finalize(result, buffer, checksums);
+
+    if (filename) {
+      const extension = filename.split('.').pop().toLowerCase();
+      const aliases = { wave: 'wav', bwf: 'wav', aif: 'aiff', aifc: 'aiff', fla: 'flac' };
+      const expected = aliases[extension] || extension;
+      if (result.format && this.supportedFormats.includes(expected) && expected !== result.format) {
+        result.warnings.push(`File extension .${extension} does not match ${result.format.toUpperCase()} content`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Identify the container from its magic bytes
+   */
+  detectFormat(buffer) {
+    if (buffer.length < 12) return null;
+
+    const magic = buffer.toString('latin1', 0, 4);
+    const kind = buffer.toString('latin1', 8, 12);
+
+    if (['RIFF', 'RF64', 'BW64'].includes(magic) && kind === 'WAVE') return 'wav';
+    if (magic === 'FORM' && (kind === 'AIFF' || kind === 'AIFC')) return 'aiff';
+    if (magic === 'fLaC') return 'flac';
+
+    if (magic.startsWith('ID3')) {
+      const tagEnd = this.id3TagEnd(buffer);
+      if (buffer.toString('latin1', tagEnd, tagEnd + 4) === 'fLaC') return 'flac';
+      return this.findMpegFrame(buffer, tagEnd) !== -1 ? 'mp3' : null;
+    }
+
+    return this.readMpegHeader(buffer, 0) ? 'mp3' : null;
+  }
+
+  emptyResult(fileSize, filename) {
+    return {
+      format: null,
+      container: null,
+      codec: null,
+      mime_type: null,
+      lossless: null,
+      is_bwf: false,
+      sample_rate: null,
+      bit_depth: null,
+      channels: null,
+      total_samples: null,
+      duration_ms: null,
+      bitrate_kbps: null,
+      bitrate_mode: null,
+      audio_offset: null,
+      audio_size: null,
+      byte_order: null,
+      metadata: Object.fromEntries(this.metadataFields.map(field => [field, null])),
+      bext: null,
+      artwork: null,
+      checksums: null,
+      file_name: filename ? filename.split(/[\\/]/).pop() : null,
+      file_size: fileSize,
+      warnings: [],
+      errors: []
+    };
+  }
+
+  /**
+   * Derived values, identifier normalisation and checksums
+   */
+  finalize(result, buffer, checksums) {
+    if (result.sample_rate && result.total_samples !== null && result.duration_ms === null) {
+      result.duration_ms = Math.round((result.total_samples / result.sample_rate) * 1000);
+    }
+
+    if (result.bitrate_kbps === null && result.audio_size && result.duration_ms) {
+      result.bitrate_kbps = Math.round((result.audio_size * 8) / result.duration_ms);
+    }
+
+    const metadata = result.metadata;
+    if (metadata.isrc) {
+      const isrc = metadata.isrc.replace(/[\s-]/g, '').toUpperCase();
+      if (ISRC_PATTERN.test(isrc)) {
+        metadata.isrc = isrc;
+      } else {
+        result.warnings.push(`Embedded ISRC "${metadata.isrc}" is not a valid ISRC`);
+      }
+    }
+    if (metadata.upc) {
+      metadata.upc = metadata.upc.replace(/\D/g, '') || null;
+    }
+
+    if (result.format && !result.duration_ms) {
+      result.errors.push('File contains no audio data');
+    }
+
+    if (!checksums) return;
+
+    result.checksums = {
+      md5: crypto.createHash('md5').update(buffer).digest('hex'),
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      // Same audio with different tags hashes the same here
+      audio_md5: result.audio_offset !== null && result.audio_size
+        ? crypto.createHash('md5').update(buffer.subarray(result.audio_offset, result.audio_offset + result.audio_size)).digest('hex')
+        : null,
+      flac_md5: result.checksums ? result.checksums.flac_md5 : null
+    };
+  }
+
+  setMetadata(result, field, value) {
+    if (!field || value === null || value === undefined) return;
+    const text = String(value).replace(/\0+$/, '').trim();
+    if (text && !result.metadata[field]) {
+      result.metadata[field] = text;
+    }
+  }
+
+  // ========== WAV / BWF / RF64 ==========
+
+  parseWav(buffer, result) {
+    const magic = buffer.toString('latin1', 0, 4);
+    Object.assign(result, {
+      format: 'wav',
+      container: magic === 'RIFF' ? 'RIFF' : magic,
+      mime_type: 'audio/wav',
+      byte_order: 'little'
+    });
+
+    let ds64 = null;
+    let fmt = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('latin1', offset, offset + 4);
+      let size = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (id === 'data' && size === 0xFFFFFFFF && ds64) {
+        size = ds64.dataSize;
+      }
+
+      const available = Math.max(0, buffer.length - body);
+      const chunk = buffer.subarray(body, body + Math.min(size, available));
+
+      switch (id) {
+        case 'ds64':
+          ds64 = {
+            riffSize: Number(chunk.readBigUInt64LE(0)),
+            dataSize: Number(chunk.readBigUInt64LE(8)),
+            sampleCount: Number(chunk.readBigUInt64LE(16))
+          };
+          break;
+        case 'fmt ':
+          fmt = this.parseWaveFormat(chunk);
+          break;
+        case 'data':
+          result.audio_offset = body;
+          result.audio_size = chunk.length;
+          if (size > available) {
+            result.errors.push(`Audio data is truncated: header declares ${size} bytes, file holds ${available}`);
+          }
+          break;
+        case 'bext':
+          result.bext = this.parseBext(chunk);
+          result.is_bwf = true;
+          break;
+        case 'LIST':
+          if (chunk.toString('latin1', 0, 4) === 'INFO') {
+            this.parseRiffInfo(chunk.subarray(4), result);
+          }
+          break;
+        case 'id3 ':
+        case 'ID3 ':
+          this.parseId3v2(chunk, 0, result);
+          break;
+        case 'axml':
+        case 'iXML':
+          this.findIsrcInText(chunk.toString('utf8'), result);
+          break;
+      }
+
+      offset = body + size + (size % 2);
+    }
+
+    if (!fmt) {
+      throw new Error('missing fmt chunk');
+    }
+    if (result.audio_offset === null) {
+      throw new Error('missing data chunk');
+    }
+
+    if (result.is_bwf) result.container = result.container === 'RIFF' ? 'BWF' : `${result.container}/BWF`;
+
+    result.sample_rate = fmt.sampleRate;
+    result.channels = fmt.channels;
+    result.bit_depth = fmt.bitDepth;
+    result.codec = fmt.codec;
+    result.lossless = fmt.encoding === 'pcm' || fmt.encoding === 'float';
+    result.bitrate_mode = result.lossless ? 'cbr' : null;
+
+    if (fmt.blockAlign > 0) {
+      result.total_samples = Math.floor(result.audio_size / fmt.blockAlign);
+      if (result.audio_size % fmt.blockAlign !== 0) {
+        result.warnings.push('Audio data does not end on a whole sample frame');
+      }
+    }
+    if (fmt.channels > 0 && fmt.blockAlign !== fmt.channels * Math.ceil(fmt.containerBits / 8) && result.lossless) {
+      result.warnings.push(`Inconsistent block alignment ${fmt.blockAlign} for ${fmt.channels} channel(s) of ${fmt.containerBits}-bit samples`);
+    }
+    if (result.lossless) {
+      result.bitrate_kbps = Math.round((fmt.sampleRate * fmt.channels * fmt.containerBits) / 1000);
+    }
+  }
+
+  parseWaveFormat(chunk) {
+    if (chunk.length < 16) throw new Error('fmt chunk too short');
+
+    let tag = chunk.readUInt16LE(0);
+    const channels = chunk.readUInt16LE(2);
+    const sampleRate = chunk.readUInt32LE(4);
+    const blockAlign = chunk.readUInt16LE(12);
+    const containerBits = chunk.readUInt16LE(14);
+    let bitDepth = containerBits;
+
+    // WAVE_FORMAT_EXTENSIBLE: valid bits and the real format live in the extension
+    if (tag === 0xFFFE && chunk.length >= 40) {
+      const validBits = chunk.readUInt16LE(18);
+      if (validBits) bitDepth = validBits;
+      tag = chunk.readUInt16LE(24);
+    }
+
+    const encoding = WAVE_FORMATS[tag] || `0x${tag.toString(16).padStart(4, '0')}`;
+    let codec;
+    if (encoding === 'pcm') codec = containerBits === 8 ? 'pcm_u8' : `pcm_s${containerBits}le`;
+    else if (encoding === 'float') codec = `pcm_f${containerBits}le`;
+    else codec = encoding;
+
+    return { tag, encoding, codec, channels, sampleRate, blockAlign, containerBits, bitDepth };
+  }
+
+  /**
+   * Broadcast Wave extension chunk (EBU Tech 3285)
+   */
+  parseBext(chunk) {
+    if (chunk.length < 348) return null;
+
+    const text = (start, length) => chunk.toString('latin1', start, start + length).replace(/\0.*$/s, '').trim() || null;
+    const version = chunk.readUInt16LE(346);
+    const timeReference = chunk.readUInt32LE(342) * 0x100000000 + chunk.readUInt32LE(338);
+    const loudness = (position) => {
+      if (version < 2 || chunk.length < position + 2) return null;
+      const value = chunk.readInt16LE(position);
+      return value === 0x7FFF ? null : value / 100;
+    };
+
+    const umid = version >= 1 ? chunk.subarray(348, 412) : null;
+
+    return {
+      description: text(0, 256),
+      originator: text(256, 32),
+      originator_reference: text(288, 32),
+      origination_date: text(320, 10),
+      origination_time: text(330, 8),
+      time_reference: timeReference,
+      version,
+      umid: umid && umid.some(byte => byte !== 0) ? umid.toString('hex') : null,
+      loudness_value: loudness(412),
+      loudness_range: loudness(414),
+      max_true_peak_level: loudness(416),
+      max_momentary_loudness: loudness(418),
+      max_short_term_loudness: loudness(420),
+      coding_history: chunk.length > 602 ? text(602, chunk.length - 602) : null
+    };
+  }
+
+  parseRiffInfo(chunk, result) {
+    let offset = 0;
+    while (offset + 8 <= chunk.length) {
+      const id = chunk.toString('latin1', offset, offset + 4);
+      const size = chunk.readUInt32LE(offset + 4);
+      const value = chunk.toString('utf8', offset + 8, Math.min(chunk.length, offset + 8 + size)).replace(/\0.*$/s, '');
+
+      if (this.riffInfoFields[id]) {
+        this.setMetadata(result, this.riffInfoFields[id], value);
+      } else if (id === 'ISRC' && ISRC_PATTERN.test(value.replace(/[\s-]/g, '').toUpperCase())) {
+        // INFO/ISRC officially means "source", but some DAWs write the recording code there
+        this.setMetadata(result, 'isrc', value);
+      }
+
+      offset += 8 + size + (size % 2);
+    }
+  }
+
+  findIsrcInText(text, result) {
+    const match = text.match(/ISRC[^A-Za-z0-9]{0,60}([A-Z]{2}-?[A-Z0-9]{3}-?\d{2}-?\d{5})/i);
+    if (match) this.setMetadata(result, 'isrc', match[1]);
+  }
+
+  // ========== AIFF / AIFC ==========
+
+  parseAiff(buffer, result) {
+    const kind = buffer.toString('latin1', 8, 12);
+    Object.assign(result, {
+      format: 'aiff',
+      container: kind,
+      mime_type: 'audio/aiff',
+      byte_order: 'big'
+    });
+
+    let comm = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('latin1', offset, offset + 4);
+      const size = buffer.readUInt32BE(offset + 4);
+      const body = offset + 8;
+      const available = Math.max(0, buffer.length - body);
+      const chunk = buffer.subarray(body, body + Math.min(size, available));
+
+      switch (id) {
+        case 'COMM':
+          comm = this.parseAiffCommon(chunk, kind);
+          break;
+        case 'SSND': {
+          const dataOffset = chunk.readUInt32BE(0);
+          result.audio_offset = body + 8 + dataOffset;
+          result.audio_size = Math.max(0, chunk.length - 8 - dataOffset);
+          if (size > available) {
+            result.errors.push(`Audio data is truncated: header declares ${size - 8 - dataOffset} bytes, file holds ${result.audio_size}`);
+          }
+          break;
+        }
+        case 'ID3 ':
+        case 'id3 ':
+          this.parseId3v2(chunk, 0, result);
+          break;
+        case 'NAME':
+          this.setMetadata(result, 'title', chunk.toString('latin1'));
+          break;
+        case 'AUTH':
+          this.setMetadata(result, 'artist', chunk.toString('latin1'));
+          break;
+        case '(c) ':
+          this.setMetadata(result, 'copyright', chunk.toString('latin1'));
+          break;
+        case 'ANNO':
+          this.setMetadata(result, 'comment', chunk.toString('latin1'));
+          this.findIsrcInText(chunk.toString('latin1'), result);
+          break;
+      }
+
+      offset = body + size + (size % 2);
+    }
+
+    if (!comm) throw new Error('missing COMM chunk');
+    if (result.audio_offset === null) throw new Error('missing SSND chunk');
+
+    result.sample_rate = comm.sampleRate;
+    result.channels = comm.channels;
+    result.bit_depth = comm.bitDepth;
+    result.codec = comm.codec;
+    result.lossless = comm.lossless;
+    result.byte_order = comm.byteOrder;
+    result.total_samples = comm.frames;
+
+    const frameBytes = comm.channels * Math.ceil(comm.bitDepth / 8);
+    if (comm.lossless && frameBytes > 0) {
+      result.bitrate_mode = 'cbr';
+      result.bitrate_kbps = Math.round((comm.sampleRate * comm.channels * Math.ceil(comm.bitDepth / 8) * 8) / 1000);
+      const available = Math.floor(result.audio_size / frameBytes);
+      if (available < comm.frames) {
+        result.errors.push(`COMM declares ${comm.frames} sample frames but only ${available} are present`);
+        result.total_samples = available;
+      }
+    }
+  }
+
+  parseAiffCommon(chunk, kind) {
+    const channels = chunk.readInt16BE(0);
+    const frames = chunk.readUInt32BE(2);
+    const bitDepth = chunk.readInt16BE(6);
+    const sampleRate = Math.round(this.readExtended(chunk, 8));
+
+    let compression = 'NONE';
+    if (kind === 'AIFC' && chunk.length >= 22) {
+      compression = chunk.toString('latin1', 18, 22);
+    }
+
+    const codecs = {
+      NONE: { codec: `pcm_s${bitDepth}be`, lossless: true, byteOrder: 'big' },
+      twos: { codec: `pcm_s${bitDepth}be`, lossless: true, byteOrder: 'big' },
+      sowt: { codec: `pcm_s${bitDepth}le`, lossless: true, byteOrder: 'little' },
+      fl32: { codec: 'pcm_f32be', lossless: true, byteOrder: 'big' },
+      FL32: { codec: 'pcm_f32be', lossless: true, byteOrder: 'big' },
+      fl64: { codec: 'pcm_f64be', lossless: true, byteOrder: 'big' },
+      FL64: { codec: 'pcm_f64be', lossless: true, byteOrder: 'big' }
+    };
+    const codec = codecs[compression] || { codec: compression.trim().toLowerCase(), lossless: false, byteOrder: 'big' };
+
+    return { channels, frames, bitDepth, sampleRate, compression, ...codec };
+  }
+
+  /**
+   * 80-bit IEEE 754 extended float (AIFF sample rate)
+   */
+  readExtended(buffer, offset) {
+    const sign = buffer[offset] & 0x80 ? -1 : 1;
+    const exponent = ((buffer[offset] & 0x7F) << 8) | buffer[offset + 1];
+    const mantissa = buffer.readUInt32BE(offset + 2) * 0x100000000 + buffer.readUInt32BE(offset + 6);
+    if (exponent === 0 && mantissa === 0) return 0;
+    return sign * mantissa * Math.pow(2, exponent - 16383 - 63);
+  }
+
+  // ========== FLAC ==========
+
+  parseFlac(buffer, result) {
+    Object.assign(result, {
+      format: 'flac',
+      container: 'FLAC',
+      codec: 'flac',
+      mime_type: 'audio/flac',
+      lossless: true,
+      bitrate_mode: 'vbr'
+    });
+
+    let offset = 0;
+    if (buffer.toString('latin1', 0, 3) === 'ID3') {
+      this.parseId3v2(buffer, 0, result);
+      offset = this.id3TagEnd(buffer);
+      result.warnings.push('FLAC file starts with an ID3 tag; some players and stores reject this');
+    }
+    if (buffer.toString('latin1', offset, offset + 4) !== 'fLaC') {
+      throw new Error('missing fLaC marker');
+    }
+    offset += 4;
+
+    let streamInfo = false;
+    let last = false;
+    while (!last && offset + 4 <= buffer.length) {
+      const header = buffer[offset];
+      last = (header & 0x80) !== 0;
+      const type = header & 0x7F;
+      const length = buffer.readUIntBE(offset + 1, 3);
+      const block = buffer.subarray(offset + 4, Math.min(buffer.length, offset + 4 + length));
+
+      if (type === 0) {
+        this.parseFlacStreamInfo(block, result);
+        streamInfo = true;
+      } else if (type === 4) {
+        this.parseVorbisComment(block, result);
+      } else if (type === 6) {
+        result.artwork = result.artwork || this.parseFlacPicture(block);
+      }
+
+      offset += 4 + length;
+    }
+
+    if (!streamInfo) throw new Error('missing STREAMINFO block');
+
+    result.audio_offset = Math.min(offset, buffer.length);
+    result.audio_size = buffer.length - result.audio_offset;
+
+    if (result.audio_size < 2 || (buffer.readUInt16BE(result.audio_offset) & 0xFFFE) !== 0xFFF8) {
+      result.errors.push('No FLAC audio frame follows the metadata blocks');
+    }
+  }
+
+  parseFlacStreamInfo(block, result) {
+    if (block.length < 34) throw new Error('STREAMINFO block too short');
+
+    const packed = block.readBigUInt64BE(10);
+    result.sample_rate = Number(packed >> 44n);
+    result.channels = Number((packed >> 41n) & 0x7n) + 1;
+    result.bit_depth = Number((packed >> 36n) & 0x1Fn) + 1;
+    const totalSamples = Number(packed & 0xFFFFFFFFFn);
+    result.total_samples = totalSamples || null;
+    result.codec = `flac_s${result.bit_depth}`;
+
+    if (!totalSamples) {
+      result.warnings.push('STREAMINFO does not record the number of samples; duration is unknown');
+    }
+
+    const md5 = block.subarray(18, 34);
+    result.checksums = { flac_md5: md5.some(byte => byte !== 0) ? md5.toString('hex') : null };
+    if (!result.checksums.flac_md5) {
+      result.warnings.push('FLAC stream has no audio MD5 signature');
+    }
+  }
+
+  parseVorbisComment(block, result) {
+    let offset = 0;
+    const vendorLength = block.readUInt32LE(offset);
+    const vendor = block.toString('utf8', 4, 4 + vendorLength);
+    offset = 4 + vendorLength;
+
+    const count = block.readUInt32LE(offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= block.length; i++) {
+      const length = block.readUInt32LE(offset);
+      const comment = block.toString('utf8', offset + 4, offset + 4 + length);
+      offset += 4 + length;
+
+      const separator = comment.indexOf('=');
+      if (separator <= 0) continue;
+      const key = comment.slice(0, separator).toUpperCase();
+      this.setMetadata(result, this.vorbisFields[key], comment.slice(separator + 1));
+    }
+
+    this.setMetadata(result, 'encoder', vendor);
+  }
+
+  parseFlacPicture(block) {
+    let offset = 4;
+    const mimeLength = block.readUInt32BE(offset);
+    const mimeType = block.toString('latin1', offset + 4, offset + 4 + mimeLength);
+    offset += 4 + mimeLength;
+    const descriptionLength = block.readUInt32BE(offset);
+    offset += 4 + descriptionLength;
+
+    return {
+      picture_type: block.readUInt32BE(0),
+      mime_type: mimeType || null,
+      width: block.readUInt32BE(offset) || null,
+      height: block.readUInt32BE(offset + 4) || null,
+      size: block.readUInt32BE(offset + 16)
+    };
+  }
+
+  // ========== MP3 / ID3 ==========
+
+  parseMp3(buffer, result) {
+    Object.assign(result, {
+      format: 'mp3',
+      container: 'MPEG',
+      mime_type: 'audio/mpeg',
+      lossless: false
+    });
+
+    let start = 0;
+    if (buffer.toString('latin1', 0, 3) === 'ID3') {
+      this.parseId3v2(buffer, 0, result);
+      start = this.id3TagEnd(buffer);
+    }
+
+    let end = buffer.length;
+    if (end >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+      this.parseId3v1(buffer.subarray(end - 128), result);
+      end -= 128;
+    }
+
+    const first = this.findMpegFrame(buffer, start, end);
+    if (first === -1) throw new Error('no MPEG audio frame found');
+    if (first > start) {
+      result.warnings.push(`${first - start} bytes of unknown data precede the first audio frame`);
+    }
+
+    const header = this.readMpegHeader(buffer, first);
+    result.sample_rate = header.sampleRate;
+    result.channels = header.channels;
+    result.codec = `mpeg${header.version}_layer${header.layer}`;
+    result.audio_offset = first;
+    result.audio_size = end - first;
+
+    if (header.layer !== 3) {
+      result.warnings.push(`MPEG layer ${header.layer} audio in an .mp3 container`);
+    }
+
+    const vbrHeader = this.readVbrHeader(buffer, first, header);
+    if (vbrHeader && vbrHeader.frames) {
+      result.total_samples = vbrHeader.frames * header.samplesPerFrame;
+      result.bitrate_mode = vbrHeader.type === 'Info' ? 'cbr' : 'vbr';
+      if (vbrHeader.encoder) this.setMetadata(result, 'encoder', vbrHeader.encoder);
+      // The tag frame itself carries no audio
+      result.audio_offset = first + header.frameLength;
+      result.audio_size = (vbrHeader.bytes || end - first) - header.frameLength;
+    } else {
+      const scan = this.scanMpegFrames(buffer, first, end);
+      result.total_samples = scan.frames * header.samplesPerFrame;
+      result.bitrate_mode = scan.bitrates.size > 1 ? 'vbr' : 'cbr';
+      if (scan.bitrates.size === 1) result.bitrate_kbps = header.bitrate;
+      if (scan.trailing > 0) {
+        result.warnings.push(`${scan.trailing} bytes after the last complete audio frame (truncated file or unknown tag)`);
+      }
+    }
+
+    result.duration_ms = Math.round((result.total_samples / header.sampleRate) * 1000);
+  }
+
+  readMpegHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) return null;
+    const b1 = buffer[offset + 1];
+    const b2 = buffer[offset + 2];
+    const b3 = buffer[offset + 3];
+    if (buffer[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+    const versionBits = (b1 >> 3) & 0x3;
+    const layerBits = (b1 >> 1) & 0x3;
+    const bitrateIndex = b2 >> 4;
+    const sampleRateIndex = (b2 >> 2) & 0x3;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null;
+    }
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const layer = 4 - layerBits;
+    const table = `${version === 1 ? 'v1' : 'v2'}l${layer}`;
+    const bitrate = MPEG_BITRATES[table][bitrateIndex];
+    const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (b2 >> 1) & 0x1;
+    const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+    const frameLength = layer === 1
+      ? (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4
+      : Math.floor(((samplesPerFrame / 8) * bitrate * 1000) / sampleRate) + padding;
+
+    return {
+      version,
+      layer,
+      bitrate,
+      sampleRate,
+      padding,
+      channels: (b3 >> 6) === 3 ? 1 : 2,
+      samplesPerFrame,
+      frameLength
+    };
+  }
+
+  /**
+   * First offset holding two consecutive valid frame headers
+   */
+  findMpegFrame(buffer, start, end = buffer.length) {
+    const limit = Math.min(end - 4, start + 256 * 1024);
+    for (let offset = start; offset <= limit; offset++) {
+      if (buffer[offset] !== 0xFF) continue;
+      const header = this.readMpegHeader(buffer, offset);
+      if (!header) continue;
+      const next = offset + header.frameLength;
+      if (next >= end || this.readMpegHeader(buffer, next)) return offset;
+    }
+    return -1;
+  }
+
+  readVbrHeader(buffer, offset, header) {
+    const sideInfo = header.version === 1
+      ? (header.channels === 1 ? 17 : 32)
+      : (header.channels === 1 ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    const tag = buffer.toString('latin1', xing, xing + 4);
+
+    if (tag === 'Xing' || tag === 'Info') {
+      const flags = buffer.readUInt32BE(xing + 4);
+      let position = xing + 8;
+      const frames = flags & 0x1 ? buffer.readUInt32BE(position) : null;
+      if (flags & 0x1) position += 4;
+      const bytes = flags & 0x2 ? buffer.readUInt32BE(position) : null;
+      if (flags & 0x2) position += 4;
+      if (flags & 0x4) position += 100;
+      if (flags & 0x8) position += 4;
+
+      const encoder = buffer.toString('latin1', position, position + 9).replace(/[^\x20-\x7E]/g, '').trim();
+      return { type: tag, frames, bytes, encoder: /^(LAME|Lavc|Lavf|GOGO)/.test(encoder) ? encoder : null };
+    }
+
+    const vbri = offset + 4 + 32;
+    if (buffer.toString('latin1', vbri, vbri + 4) === 'VBRI') {
+      return {
+        type: 'VBRI',
+        bytes: buffer.readUInt32BE(vbri + 10),
+        frames: buffer.readUInt32BE(vbri + 14),
+        encoder: null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk every frame when the encoder left no VBR header
+   */
+  scanMpegFrames(buffer, offset, end) {
+    let frames = 0;
+    const bitrates = new Set();
+
+    while (offset + 4 <= end) {
+      const header = this.readMpegHeader(buffer, offset);
+      if (!header || offset + header.frameLength > end) break;
+      frames++;
+      bitrates.add(header.bitrate);
+      offset += header.frameLength;
+    }
+
+    return { frames, bitrates, trailing: end - offset };
+  }
+
+  id3TagEnd(buffer, offset = 0) {
+    if (buffer.toString('latin1', offset, offset + 3) !== 'ID3' || buffer.length < offset + 10) return offset;
+    const footer = buffer[offset + 5] & 0x10 ? 10 : 0;
+    return offset + 10 + this.syncsafe(buffer, offset + 6) + footer;
+  }
+
+  syncsafe(buffer, offset) {
+    return ((buffer[offset] & 0x7F) << 21) | ((buffer[offset + 1] & 0x7F) << 14)
+      | ((buffer[offset + 2] & 0x7F) << 7) | (buffer[offset + 3] & 0x7F);
+  }
+
+  parseId3v2(buffer, offset, result) {
+    if (buffer.toString('latin1', offset, offset + 3) !== 'ID3') return;
+
+    const major = buffer[offset + 3];
+    const flags = buffer[offset + 5];
+    const size = this.syncsafe(buffer, offset + 6);
+    let tag = buffer.subarray(offset + 10, Math.min(buffer.length, offset + 10 + size));
+
+    if (major < 2 || major > 4) {
+      result.warnings.push(`Unsupported ID3v2.${major} tag ignored`);
+      return;
+    }
+
+    if (flags & 0x80 && major < 4) {
+      tag = this.removeUnsynchronisation(tag);
+    }
+
+    let position = 0;
+    if (flags & 0x40 && major === 3) position = 4 + tag.readUInt32BE(0);
+    if (flags & 0x40 && major === 4) position = this.syncsafe(tag, 0);
+
+    const idLength = major === 2 ? 3 : 4;
+    const headerLength = major === 2 ? 6 : 10;
+
+    while (position + headerLength <= tag.length) {
+      const id = tag.toString('latin1', position, position + idLength);
+      if (!/^[A-Z0-9]+$/.test(id)) break;
+
+      let frameSize;
+      if (major === 2) frameSize = tag.readUIntBE(position + 3, 3);
+      else if (major === 4) frameSize = this.syncsafe(tag, position + 4);
+      else frameSize = tag.readUInt32BE(position + 4);
+
+      const formatFlags = major === 2 ? 0 : tag[position + 9];
+      let frame = tag.subarray(position + headerLength, position + headerLength + frameSize);
+      position += headerLength + frameSize;
+
+      if (major === 4 && formatFlags & 0x02) frame = this.removeUnsynchronisation(frame);
+      if (major === 4 && formatFlags & 0x01) frame = frame.subarray(4); // data length indicator
+      if (formatFlags & 0x0C) continue; // compressed or encrypted
+
+      this.applyId3Frame(id, frame, result);
+    }
+  }
+
+  applyId3Frame(id, frame, result) {
+    if (frame.length === 0) return;
+
+    if (this.id3Frames[id]) {
+      this.setMetadata(result, this.id3Frames[id], this.decodeId3Text(frame[0], frame.subarray(1)).split('\0')[0]);
+    } else if (id === 'TXXX' || id === 'TXX') {
+      const [description, value] = this.decodeId3Text(frame[0], frame.subarray(1)).split('\0');
+      this.setMetadata(result, this.id3UserFields[(description || '').trim().toUpperCase()], value);
+    } else if (id === 'COMM' || id === 'COM') {
+      const parts = this.decodeId3Text(frame[0], frame.subarray(4)).split('\0');
+      this.setMetadata(result, 'comment', parts[parts.length - 1]);
+    } else if ((id === 'APIC' || id === 'PIC') && !result.artwork) {
+      result.artwork = this.parseId3Picture(id, frame);
+    }
+  }
+
+  parseId3Picture(id, frame) {
+    const encoding = frame[0];
+    let offset = 1;
+    let mimeType;
+    if (id === 'PIC') {
+      const format = frame.toString('latin1', 1, 4).toLowerCase();
+      mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+      offset = 4;
+    } else {
+      const end = frame.indexOf(0, offset);
+      mimeType = frame.toString('latin1', offset, end);
+      offset = end + 1;
+    }
+
+    const pictureType = frame[offset];
+    offset += 1;
+    const wide = encoding === 1 || encoding === 2;
+    while (offset < frame.length) {
+      if (wide ? frame[offset] === 0 && frame[offset + 1] === 0 : frame[offset] === 0) {
+        offset += wide ? 2 : 1;
+        break;
+      }
+      offset += wide ? 2 : 1;
+    }
+
+    return { picture_type: pictureType, mime_type: mimeType || null, width: null, height: null, size: frame.length - offset };
+  }
+
+  decodeId3Text(encoding, data) {
+    let text;
+    switch (encoding) {
+      case 1: {
+        const bigEndian = data[0] === 0xFE && data[1] === 0xFF;
+        const body = data[0] === 0xFF || data[0] === 0xFE ? data.subarray(2) : data;
+        text = bigEndian ? this.decodeUtf16BE(body) : body.toString('utf16le');
+        break;
+      }
+      case 2:
+        text = this.decodeUtf16BE(data);
+        break;
+      case 3:
+        text = data.toString('utf8');
+        break;
+      default:
+        text = data.toString('latin1');
+    }
+    return text.replace(/\uFEFF/g, '').replace(/\0+$/, '');
+  }
+
+  decodeUtf16BE(data) {
+    const swapped = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+
+  removeUnsynchronisation(data) {
+    const output = [];
+    for (let i = 0; i < data.length; i++) {
+      output.push(data[i]);
+      if (data[i] === 0xFF && data[i + 1] === 0x00) i++;
+    }
+    return Buffer.from(output);
+  }
+
+  parseId3v1(tag, result) {
+    const text = (start, length) => tag.toString('latin1', start, start + length).replace(/\0.*$/s, '').trim();
+    this.setMetadata(result, 'title', text(3, 30));
+    this.setMetadata(result, 'artist', text(33, 30));
+    this.setMetadata(result, 'album', text(63, 30));
+    this.setMetadata(result, 'date', text(93, 4));
+    this.setMetadata(result, 'comment', text(97, tag[125] === 0 && tag[126] !== 0 ? 28 : 30));
+  }
+
+  // ========== Comparison ==========
+
+  /**
+   * Differences between what the uploader declared and what the file contains
+   * @param {Object} inspection - Result of inspect()
+   * @param {Object} declared - { format, sampleRate, bitDepth, channels, duration (ms), bitrate, isrc }
+   * @returns {Array<Object>} { field, declared, actual, severity, message }
+   */
+  compareWithDeclared(inspection, declared = {}) {
+    const mismatches = [];
+    const add = (field, declaredValue, actual, severity, message) => {
+      mismatches.push({ field, declared: declaredValue, actual, severity, message });
+    };
+
+    if (!inspection.format) return mismatches;
+
+    if (declared.format) {
+      const aliases = { wave: 'wav', bwf: 'wav', aif: 'aiff', aifc: 'aiff' };
+      const format = String(declared.format).toLowerCase();
+      if ((aliases[format] || format) !== inspection.format) {
+        add('format', declared.format, inspection.format, 'error',
+          `Declared format ${declared.format} but the file is ${inspection.format.toUpperCase()}`);
+      }
+    }
+
+    if (declared.sampleRate && inspection.sample_rate && Number(declared.sampleRate) !== inspection.sample_rate) {
+      add('sample_rate', Number(declared.sampleRate), inspection.sample_rate, 'error',
+        `Declared ${declared.sampleRate}Hz but the file is ${inspection.sample_rate}Hz`);
+    }
+
+    if (declared.bitDepth && inspection.bit_depth && Number(declared.bitDepth) !== inspection.bit_depth) {
+      add('bit_depth', Number(declared.bitDepth), inspection.bit_depth, 'error',
+        `Declared ${declared.bitDepth}-bit but the file is ${inspection.bit_depth}-bit`);
+    }
+
+    if (declared.channels && inspection.channels && Number(declared.channels) !== inspection.channels) {
+      add('channels', Number(declared.channels), inspection.channels, 'error',
+        `Declared ${declared.channels} channel(s) but the file has ${inspection.channels}`);
+    }
+
+    // Encoder delay and padding make lossy durations drift slightly
+    if (declared.duration && inspection.duration_ms && Math.abs(Number(declared.duration) - inspection.duration_ms) > 1000) {
+      add('duration', Number(declared.duration), inspection.duration_ms, 'error',
+        `Declared duration ${Math.round(declared.duration / 1000)}s but the audio runs ${Math.round(inspection.duration_ms / 1000)}s`);
+    }
+
+    if (declared.bitrate && !inspection.lossless && inspection.bitrate_kbps) {
+      const tolerance = inspection.bitrate_mode === 'vbr' ? 32 : 1;
+      if (Math.abs(Number(declared.bitrate) - inspection.bitrate_kbps) > tolerance) {
+        add('bitrate', Number(declared.bitrate), inspection.bitrate_kbps, 'warning',
+          `Declared ${declared.bitrate}kbps but the file averages ${inspection.bitrate_kbps}kbps`);
+      }
+    }
+
+    const embeddedIsrc = inspection.metadata && inspection.metadata.isrc;
+    if (declared.isrc && embeddedIsrc) {
+      const isrc = String(declared.isrc).replace(/[\s-]/g, '').toUpperCase();
+      if (isrc !== embeddedIsrc) {
+        add('isrc', isrc, embeddedIsrc, 'error',
+          `File is tagged with ISRC ${embeddedIsrc}, not the track's ${isrc}; it may be the wrong master`);
+      }
+    }
+
+    return mismatches;
+  }
+}
+
+module.exports = new AudioInspectorUtil();
@@ -25,6 +25,7 @@ class AudioSpecsUtil {
         minDuration: 0.5 * 1000, // 0.5 seconds in ms
         loudnessTarget: -14, // LUFS
         loudnessTolerance: 2,
+        normalizesUp: true, // Quiet tracks are raised until they reach the peak limit
         peakLimit: -1 // dBFS
       },
       
@@ -43,6 +44,7 @@ class AudioSpecsUtil {
         minDuration: 0.5 * 1000,
         loudnessTarget: -16, // LUFS
         loudnessTolerance: 2,
+        normalizesUp: true, // Sound Check raises quiet tracks, peak permitting
         peakLimit: -1
       },
       
@@ -61,6 +63,7 @@ class AudioSpecsUtil {
         minDuration: 1 * 1000, // 1 second
         loudnessTarget: -14,
         loudnessTolerance: 3,
+        normalizesUp: false, // Only turns loud tracks down
         peakLimit: -0.1
       },
       
@@ -79,6 +82,7 @@ class AudioSpecsUtil {
         minDuration: 0.5 * 1000,
         loudnessTarget: -18, // LUFS for high quality
         loudnessTolerance: 2,
+        normalizesUp: false,
         peakLimit: -0.3,
         supportsHiRes: true,
         supportsMQA: true
@@ -99,6 +103,7 @@ class AudioSpecsUtil {
         minDuration: 0.5 * 1000,
         loudnessTarget: -14,
         loudnessTolerance: 2,
+        normalizesUp: false,
         peakLimit: -1
       },
       
@@ -117,6 +122,7 @@ class AudioSpecsUtil {
         minDuration: 30 * 1000, // 30 seconds minimum
         loudnessTarget: -14,
         loudnessTolerance: 2,
+        normalizesUp: false,
         peakLimit: -1
       }
     };
@@ -179,6 +185,27 @@ class AudioSpecsUtil {
 
   // ========== Audio Validation ==========
 
+  /**
+   * Build the audioData shape used by the validators from an
+   * AudioInspectorUtil result, so checks run on the file's real parameters
+   */
+  fromInspection(inspection) {
+    const bext = inspection.bext || {};
+
+    return {
+      format: inspection.format,
+      sampleRate: inspection.sample_rate,
+      bitDepth: inspection.bit_depth,
+      channels: inspection.channels,
+      duration: inspection.duration_ms,
+      // PCM bitrate is implied by rate and depth; only lossy files are bitrate-checked
+      bitrate: inspection.lossless ? null : inspection.bitrate_kbps,
+      loudness: bext.loudness_value ?? null,
+      peakLevel: bext.max_true_peak_level ?? null,
+      fileSize: inspection.file_size
+    };
+  }
+
   /**
    * Validate audio file against platform requirements
    */
@@ -285,6 +312,104 @@ class AudioSpecsUtil {
     };
   }
 
+  /**
+   * Predict what each platform's loudness normalisation does to a measured master
+   * @param {Object} measurement - LoudnessUtil result (integrated_lufs, true_peak_dbtp)
+   * @param {Array<string>} platforms - Platform keys, all supported platforms by default
+   */
+  predictNormalization(measurement, platforms = this.getSupportedPlatforms()) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const loudness = measurement.integrated_lufs;
+    const truePeak = measurement.true_peak_dbtp;
+    const results = [];
+
+    for (const platform of platforms) {
+      const specs = this.getPlatformSpecs(platform);
+      if (!specs) continue;
+
+      if (loudness === null || loudness === undefined) {
+        results.push({ platform, target_lufs: specs.loudnessTarget, action: 'silent', within_target: false, issues: ['No programme loudness could be measured'] });
+        continue;
+      }
+
+      let gain = specs.loudnessTarget - loudness;
+      let limitedBy = null;
+      if (gain > 0 && !specs.normalizesUp) {
+        gain = 0;
+        limitedBy = 'no_upward_normalization';
+      } else if (gain > 0 && truePeak !== null && truePeak + gain > specs.peakLimit) {
+        gain = Math.max(0, specs.peakLimit - truePeak);
+        limitedBy = 'peak_limit';
+      }
+
+      const playback = loudness + gain;
+      const issues = [];
+      if (truePeak !== null && truePeak > specs.peakLimit) {
+        issues.push(`True peak ${truePeak} dBTP is above the ${specs.peakLimit} dBTP ceiling; encoding to lossy formats may clip`);
+      }
+      if (gain < -specs.loudnessTolerance) {
+        issues.push(`Turned down ${round(-gain)} dB to ${specs.loudnessTarget} LUFS; the extra loudness only costs dynamics`);
+      }
+      if (playback < specs.loudnessTarget - specs.loudnessTolerance) {
+        issues.push(`Plays back at ${round(playback)} LUFS, quieter than the ${specs.loudnessTarget} LUFS reference`);
+      }
+
+      results.push({
+        platform,
+        target_lufs: specs.loudnessTarget,
+        tolerance_lu: specs.loudnessTolerance,
+        peak_limit_dbtp: specs.peakLimit,
+        gain_db: round(gain),
+        action: gain < -0.05 ? 'turned_down' : gain > 0.05 ? 'turned_up' : 'unchanged',
+        limited_by: limitedBy,
+        playback_lufs: round(playback),
+        true_peak_after_dbtp: truePeak === null ? null : round(truePeak + gain),
+        within_target: issues.length === 0,
+        issues
+      });
+    }
+
+    return { platforms: results, summary: this.summarizeNormalization(measurement, results) };
+  }
+
+  /**
+   * Whether a different master would serve the target platforms better
+   */
+  summarizeNormalization(measurement, results) {
+    const measured = results.filter(result => result.action !== 'silent');
+    if (measured.length === 0) {
+      return { different_master_recommended: false, reasons: [], suggested_master: null };
+    }
+
+    const ceiling = Math.min(...measured.map(result => result.peak_limit_dbtp));
+    const loudestTarget = Math.max(...measured.map(result => result.target_lufs));
+    const reasons = [];
+
+    const clipping = measured.filter(result => measurement.true_peak_dbtp > result.peak_limit_dbtp);
+    if (clipping.length > 0) {
+      reasons.push(`True peak exceeds the ceiling on ${clipping.map(result => result.platform).join(', ')}`);
+    }
+
+    const turnedDown = measured.filter(result => result.gain_db < -result.tolerance_lu);
+    if (turnedDown.length === measured.length) {
+      const gains = turnedDown.map(result => -result.gain_db);
+      reasons.push(`Every platform turns the master down (${Math.min(...gains)} to ${Math.max(...gains)} dB)`);
+    }
+
+    const quiet = measured.filter(result => result.playback_lufs < result.target_lufs - result.tolerance_lu);
+    if (quiet.length > 0) {
+      reasons.push(`Plays quieter than the reference on ${quiet.map(result => result.platform).join(', ')}`);
+    }
+
+    return {
+      different_master_recommended: reasons.length > 0,
+      reasons,
+      suggested_master: reasons.length > 0
+        ? { integrated_lufs: loudestTarget, true_peak_dbtp: ceiling }
+        : null
+    };
+  }
+
   // ========== Quality Assessment ==========
 
   /**
@@ -320,7 +445,7 @@ class AudioSpecsUtil {
     }
 
     // Bitrate/format scoring (25 points)
-    const isLossless = ['flac', 'wav', 'alac'].includes(audioData.format?.toLowerCase());
+    const isLossless = ['flac', 'wav', 'aiff', 'alac'].includes(audioData.format?.toLowerCase());
     if (isLossless) {
       score += 25;
     } else if (audioData.bitrate >= 320) {
@@ -4,7 +4,7 @@
  * Handles multiple currencies, exchange rates, and platform-specific pricing
  */
 
-const logger = require('../../config/logger.cjs');
+const logger = require('../config/logger.cjs');
 
 class CurrencyUtil {
   constructor() {
@@ -109,6 +109,13 @@ class CurrencyUtil {
     };
 
     this.lastRateUpdate = new Date();
+    this.latestRateDate = null; // Publication date of the rates in exchangeRates (null: static table)
+    this.latestRateSource = 'static';
+
+    // Daily rates by ISO date: { base, rates, source }. Sources such as the ECB
+    // publish on working days only, so a date falls back to the last published day
+    this.historicalRates = new Map();
+    this.maxRateLookbackDays = 7;
   }
 
   // ========== Currency Information ==========
@@ -157,8 +164,10 @@ class CurrencyUtil {
 
   /**
    * Convert amount between currencies
+   * With a date the historical rate of that day (or the last published day
+   * before it) is used; without one, the latest rates
    */
-  convert(amount, fromCurrency, toCurrency) {
+  convert(amount, fromCurrency, toCurrency, date = null) {
     if (!amount || amount === 0) return 0;
     
     const from = fromCurrency?.toUpperCase();
@@ -170,37 +179,58 @@ class CurrencyUtil {
       throw new Error(`Unsupported currency conversion: ${from} to ${to}`);
     }
 
-    const fromRate = this.exchangeRates[from];
-    const toRate = this.exchangeRates[to];
+    const { rate } = this.getRateInfo(from, to, date);
+    return this.roundToCurrencyPrecision(amount * rate, to);
+  }
 
-    if (!fromRate || !toRate) {
-      throw new Error(`Missing exchange rate for ${from} or ${to}`);
+  /**
+   * Get exchange rate between currencies
+   */
+  getExchangeRate(fromCurrency, toCurrency, date = null) {
+    try {
+      return this.getRateInfo(fromCurrency, toCurrency, date).rate;
+    } catch (error) {
+      return null;
     }
-
-    // Convert to USD first, then to target currency
-    const usdAmount = amount / fromRate;
-    const convertedAmount = usdAmount * toRate;
-
-    return this.roundToCurrencyPrecision(convertedAmount, to);
   }
 
   /**
-   * Get exchange rate between currencies
+   * Rate with the day it was published and its source, for recording next to
+   * converted amounts: { rate, rate_date, source }
    */
-  getExchangeRate(fromCurrency, toCurrency) {
+  getRateInfo(fromCurrency, toCurrency, date = null) {
     const from = fromCurrency?.toUpperCase();
     const to = toCurrency?.toUpperCase();
 
-    if (from === to) return 1;
+    if (from === to) {
+      return { rate: 1, rate_date: null, source: null };
+    }
+
+    if (date) {
+      const day = this.findHistoricalRates(date);
+      const fromRate = day?.rates[from];
+      const toRate = day?.rates[to];
+
+      if (!fromRate || !toRate) {
+        throw new Error(`No ${from}/${to} exchange rate on or before ${this.toRateDate(date)}`);
+      }
+
+      return { rate: toRate / fromRate, rate_date: day.date, source: day.source };
+    }
 
     const fromRate = this.exchangeRates[from];
     const toRate = this.exchangeRates[to];
 
     if (!fromRate || !toRate) {
-      return null;
+      throw new Error(`Missing exchange rate for ${from} or ${to}`);
     }
 
-    return toRate / fromRate;
+    return { rate: toRate / fromRate, rate_date: this.latestRateDate, source: this.latestRateSource };
+  }
+
+  toRateDate(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+    return new Date(date).toISOString().slice(0, 10);
   }
 
   /**
@@ -449,29 +479,62 @@ class CurrencyUtil {
   // ========== Exchange Rate Management ==========
 
   /**
-   * Update exchange rates (mock implementation)
+   * Store one day of rates, quoted as units of each currency per 1 `base`
    */
-  async updateExchangeRates() {
-    // In production, fetch from a real API like:
-    // - Exchange Rates API
-    // - CurrencyLayer
-    // - Fixer.io
-    // - OpenExchangeRates
-    
-    try {
-      // Mock update - in production, make API call
-      this.lastRateUpdate = new Date();
-      logger.info('Exchange rates updated', { timestamp: this.lastRateUpdate });
-      
-      return {
-        success: true,
-        lastUpdate: this.lastRateUpdate,
-        ratesCount: Object.keys(this.exchangeRates).length
-      };
-    } catch (error) {
-      logger.error('Failed to update exchange rates', { error: error.message });
-      throw error;
+  setHistoricalRates(date, rates, { base = 'EUR', source = null } = {}) {
+    const key = this.toRateDate(date);
+    const normalized = { [base.toUpperCase()]: 1 };
+
+    for (const [currency, rate] of Object.entries(rates)) {
+      const value = Number(rate);
+      if (value > 0) normalized[currency.toUpperCase()] = value;
+    }
+
+    this.historicalRates.set(key, { date: key, base: base.toUpperCase(), rates: normalized, source });
+  }
+
+  /**
+   * Rates of the date, or of the last published day within maxRateLookbackDays
+   */
+  findHistoricalRates(date) {
+    const day = new Date(`${this.toRateDate(date)}T00:00:00Z`);
+
+    for (let back = 0; back <= this.maxRateLookbackDays; back++) {
+      const entry = this.historicalRates.get(day.toISOString().slice(0, 10));
+      if (entry) return entry;
+      day.setUTCDate(day.getUTCDate() - 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Load fetched days into the historical store and make the most recent
+   * one the latest rates (kept relative to USD like the static table)
+   */
+  applyRates(days, sourceName = null) {
+    if (!days || days.length === 0) return null;
+
+    for (const day of days) {
+      this.setHistoricalRates(day.date, day.rates, { base: day.base, source: sourceName });
     }
+
+    const latest = days.reduce((newest, day) => (day.date > newest.date ? day : newest));
+    const { rates } = this.historicalRates.get(this.toRateDate(latest.date));
+    const usdRate = rates.USD;
+
+    if (usdRate) {
+      for (const [currency, rate] of Object.entries(rates)) {
+        if (this.isSupported(currency)) {
+          this.exchangeRates[currency] = rate / usdRate;
+        }
+      }
+      this.latestRateDate = this.toRateDate(latest.date);
+      this.latestRateSource = sourceName;
+    }
+
+    this.lastRateUpdate = new Date();
+    return this.latestRateDate;
   }
 
   /**
@@ -0,0 +1,780 @@
+/**
+ * DDEX ERN Utilities
+ * Builds ERN 4.3 NewReleaseMessage documents for audio releases (single, EP, album)
+ * and validates them against the schema's required elements and references
+ */
+
+const {
+  element,
+  serializeXml,
+  parseXml,
+  localName,
+  childElements,
+  firstChild,
+  findAll,
+  findPath,
+  textContent,
+  textAt
+} = require('../../utils/xml.util.cjs');
+
+class DdexErnUtil {
+  constructor() {
+    this.version = '4.3';
+    this.namespace = 'http://ddex.net/xml/ern/43';
+    this.schemaLocation = 'http://ddex.net/xml/ern/43 http://service.ddex.net/xml/ern/43/release-notification.xsd';
+    this.avsVersionId = '4';
+
+    // Release profiles (ReleaseProfileVersionId) and ERN ReleaseType per catalog release type
+    this.releaseProfiles = {
+      single: { profile: 'CommonReleaseTypes/14/AudioSingle', releaseType: 'Single' },
+      ep: { profile: 'CommonReleaseTypes/14/AudioAlbumMusicOnly', releaseType: 'EP' },
+      album: { profile: 'CommonReleaseTypes/14/AudioAlbumMusicOnly', releaseType: 'Album' },
+      compilation: { profile: 'CommonReleaseTypes/14/AudioAlbumMusicOnly', releaseType: 'Album' },
+      remix: { profile: 'CommonReleaseTypes/14/AudioAlbumMusicOnly', releaseType: 'Album' },
+      live: { profile: 'CommonReleaseTypes/14/AudioAlbumMusicOnly', releaseType: 'Album' }
+    };
+
+    // Use types granted by default for each commercial model
+    this.commercialModels = {
+      SubscriptionModel: ['OnDemandStream', 'NonInteractiveStream'],
+      AdvertisementSupportedModel: ['OnDemandStream', 'NonInteractiveStream'],
+      PayAsYouGoModel: ['PermanentDownload'],
+      FreeOfChargeModel: ['OnDemandStream']
+    };
+
+    this.defaultCommercialModels = ['SubscriptionModel', 'AdvertisementSupportedModel', 'PayAsYouGoModel'];
+
+    this.displayArtistRoles = {
+      primary: 'MainArtist',
+      main: 'MainArtist',
+      main_artist: 'MainArtist',
+      featured: 'FeaturedArtist',
+      featuring: 'FeaturedArtist',
+      featured_artist: 'FeaturedArtist'
+    };
+
+    this.contributorRoles = {
+      songwriter: 'ComposerLyricist',
+      composer: 'Composer',
+      lyricist: 'Lyricist',
+      producer: 'Producer',
+      co_producer: 'CoProducer',
+      mixer: 'MixingEngineer',
+      mixing_engineer: 'MixingEngineer',
+      mastering_engineer: 'MasteringEngineer',
+      recording_engineer: 'RecordingEngineer',
+      engineer: 'RecordingEngineer',
+      arranger: 'Arranger',
+      remixer: 'Remixer',
+      performer: 'AssociatedPerformer',
+      publisher: 'MusicPublisher'
+    };
+
+    this.audioCodecs = {
+      flac: 'FLAC',
+      wav: 'PCM',
+      wave: 'PCM',
+      aiff: 'PCM',
+      mp3: 'MP3',
+      aac: 'AAC',
+      m4a: 'AAC',
+      alac: 'ALAC'
+    };
+
+    this.imageCodecs = {
+      jpg: 'JPEG',
+      jpeg: 'JPEG',
+      png: 'PNG',
+      tif: 'TIFF',
+      tiff: 'TIFF'
+    };
+
+    this.parentalWarningTypes = ['Explicit', 'ExplicitContentEdited', 'NotExplicit', 'NoAdviceAvailable', 'Unknown'];
+  }
+
+  // ========== Message Building ==========
+
+  /**
+   * Build NewReleaseMessage element tree
+   *
+   * model: {
+   *   message: { id, threadId, createdAt, controlType, language },
+   *   sender: { dpid, name }, recipient: { dpid, name },
+   *   release: { id, title, type, upc, catalog_number, release_date, original_release_date,
+   *              genres, subgenres, explicit, artists, label, p_line, c_line, artwork },
+   *   tracks: [{ id, title, isrc, duration, track_number, disc_number, explicit, language,
+   *              artists, contributors, p_line, audio }],
+   *   deals: [{ territories, excluded_territories, start_date, end_date, commercial_models, use_types }]
+   * }
+   */
+  buildNewReleaseMessage(model) {
+    const { message = {}, sender = {}, recipient = {}, release, tracks = [] } = model;
+    const profile = this.releaseProfiles[release.type] || this.releaseProfiles.album;
+    const parties = this.createPartyRegistry();
+    const namespace = sender.dpid ? `DPID:${sender.dpid}` : null;
+
+    const labelReference = release.label ? parties.reference(release.label) : null;
+    const releaseArtists = (release.artists || []).map(artist => ({ ...artist, reference: parties.reference(artist) }));
+
+    // Resources: one SoundRecording per track, front cover image last
+    const orderedTracks = [...tracks].sort((a, b) =>
+      (a.disc_number || 1) - (b.disc_number || 1) || (a.track_number || 0) - (b.track_number || 0)
+    );
+    const soundRecordings = orderedTracks.map((track, index) => ({
+      track,
+      reference: `A${index + 1}`,
+      technicalReference: `T${index + 1}`,
+      releaseReference: `R${index + 1}`,
+      artists: (track.artists && track.artists.length > 0 ? track.artists : release.artists || [])
+        .map(artist => ({ ...artist, reference: parties.reference(artist) })),
+      contributors: (track.contributors || []).map(contributor => ({ ...contributor, reference: parties.reference(contributor) }))
+    }));
+
+    const image = release.artwork && release.artwork.url ? {
+      artwork: release.artwork,
+      reference: `A${soundRecordings.length + 1}`,
+      technicalReference: `T${soundRecordings.length + 1}`
+    } : null;
+
+    const resourceList = element('ResourceList', {}, [
+      soundRecordings.map(recording => this.buildSoundRecording(recording, release)),
+      image && this.buildImage(image, release, namespace)
+    ]);
+
+    const releaseList = element('ReleaseList', {}, [
+      this.buildRelease(release, profile, soundRecordings, image, releaseArtists, labelReference, namespace),
+      soundRecordings.map(recording => this.buildTrackRelease(recording, release, labelReference))
+    ]);
+
+    const releaseReferences = ['R0', ...soundRecordings.map(recording => recording.releaseReference)];
+    const dealList = element('DealList', {}, releaseReferences.map(reference =>
+      element('ReleaseDeal', {}, [
+        element('DealReleaseReference', {}, reference),
+        this.normalizeDeals(model.deals, release).map(deal => this.buildDeal(deal))
+      ])
+    ));
+
+    return element('ern:NewReleaseMessage', {
+      'xmlns:ern': this.namespace,
+      'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      'xsi:schemaLocation': this.schemaLocation,
+      ReleaseProfileVersionId: profile.profile,
+      LanguageAndScriptCode: message.language || 'en',
+      AvsVersionId: this.avsVersionId
+    }, [
+      this.buildMessageHeader(message, sender, recipient),
+      element('PartyList', {}, parties.list().map(party => this.buildParty(party))),
+      resourceList,
+      releaseList,
+      dealList
+    ]);
+  }
+
+  /**
+   * Build and serialize NewReleaseMessage
+   */
+  generate(model, options = {}) {
+    const tree = this.buildNewReleaseMessage(model);
+    return {
+      tree,
+      xml: serializeXml(tree, { indent: options.indent !== undefined ? options.indent : '  ' })
+    };
+  }
+
+  buildMessageHeader(message, sender, recipient) {
+    const party = (tag, info) => element(tag, {}, [
+      info.dpid && element('PartyId', {}, info.dpid),
+      info.name && element('PartyName', {}, element('FullName', {}, info.name))
+    ]);
+
+    return element('MessageHeader', {}, [
+      element('MessageThreadId', {}, message.threadId || message.id),
+      element('MessageId', {}, message.id),
+      party('MessageSender', sender),
+      party('MessageRecipient', recipient),
+      element('MessageCreatedDateTime', {}, this.formatDateTime(message.createdAt || new Date())),
+      element('MessageControlType', {}, message.controlType || 'LiveMessage')
+    ]);
+  }
+
+  buildParty(party) {
+    return element('Party', {}, [
+      element('PartyReference', {}, party.reference),
+      party.dpid && element('PartyId', {}, element('DPID', {}, party.dpid)),
+      element('PartyName', {}, element('FullName', {}, party.name))
+    ]);
+  }
+
+  buildSoundRecording(recording, release) {
+    const { track } = recording;
+    const audio = track.audio || {};
+    const pLine = track.p_line || release.p_line;
+
+    return element('SoundRecording', {}, [
+      element('ResourceReference', {}, recording.reference),
+      element('Type', {}, 'MusicalWorkSoundRecording'),
+      element('SoundRecordingEdition', {}, [
+        element('ResourceId', {}, track.isrc && element('ISRC', {}, track.isrc)),
+        this.buildPLine(pLine),
+        element('TechnicalDetails', {}, [
+          element('TechnicalResourceDetailsReference', {}, recording.technicalReference),
+          audio.url && element('DeliveryFile', {}, [
+            element('Type', {}, 'AudioFile'),
+            element('AudioCodecType', {}, this.audioCodec(audio)),
+            audio.channels && element('NumberOfChannels', {}, audio.channels),
+            audio.sample_rate && element('SamplingRate', { UnitOfMeasure: 'kHz' }, this.formatSampleRate(audio.sample_rate)),
+            audio.bit_depth && element('BitsPerSample', {}, audio.bit_depth),
+            this.buildFile(audio)
+          ])
+        ])
+      ]),
+      element('DisplayTitleText', {}, track.title),
+      element('DisplayTitle', {}, [
+        element('TitleText', {}, track.title),
+        track.version && element('SubTitle', {}, track.version)
+      ]),
+      this.buildDisplayArtistName(recording.artists),
+      recording.artists.map((artist, index) => this.buildDisplayArtist(artist, index)),
+      recording.contributors.map((contributor, index) => element('Contributor', { SequenceNumber: index + 1 }, [
+        element('ContributorPartyReference', {}, contributor.reference),
+        this.buildRole(contributor.role)
+      ])),
+      track.duration && element('Duration', {}, this.formatDuration(track.duration)),
+      element('ParentalWarningType', {}, this.parentalWarning(track.explicit)),
+      (track.language || release.language) && element('LanguageOfPerformance', {}, track.language || release.language)
+    ]);
+  }
+
+  buildImage(image, release, namespace) {
+    const { artwork } = image;
+
+    return element('Image', {}, [
+      element('ResourceReference', {}, image.reference),
+      element('Type', {}, 'FrontCoverImage'),
+      element('ResourceId', {}, element('ProprietaryId', { Namespace: namespace || 'PADPIDA' }, `${release.id}-cover`)),
+      element('ParentalWarningType', {}, this.parentalWarning(release.explicit)),
+      element('TechnicalDetails', {}, [
+        element('TechnicalResourceDetailsReference', {}, image.technicalReference),
+        element('ImageCodecType', {}, this.imageCodec(artwork)),
+        artwork.height && element('ImageHeight', {}, artwork.height),
+        artwork.width && element('ImageWidth', {}, artwork.width),
+        this.buildFile(artwork)
+      ])
+    ]);
+  }
+
+  buildRelease(release, profile, soundRecordings, image, artists, labelReference, namespace) {
+    // Disc-level groups inside the release-level group
+    const discs = new Map();
+    for (const recording of soundRecordings) {
+      const disc = recording.track.disc_number || 1;
+      if (!discs.has(disc)) discs.set(disc, []);
+      discs.get(disc).push(recording);
+    }
+
+    const resourceGroup = element('ResourceGroup', {}, [
+      [...discs.entries()].sort(([a], [b]) => a - b).map(([disc, recordings]) =>
+        element('ResourceGroup', {}, [
+          element('SequenceNumber', {}, disc),
+          recordings.map((recording, index) => element('ResourceGroupContentItem', {}, [
+            element('SequenceNumber', {}, index + 1),
+            element('ReleaseResourceReference', {}, recording.reference)
+          ]))
+        ])
+      ),
+      image && element('LinkedReleaseResourceReference', {}, image.reference)
+    ]);
+
+    return element('Release', {}, [
+      element('ReleaseReference', {}, 'R0'),
+      element('ReleaseType', {}, profile.releaseType),
+      element('ReleaseId', {}, [
+        release.upc && element('ICPN', {}, release.upc),
+        release.catalog_number && element('CatalogNumber', { Namespace: namespace || 'PADPIDA' }, release.catalog_number)
+      ]),
+      element('DisplayTitleText', {}, release.title),
+      element('DisplayTitle', {}, element('TitleText', {}, release.title)),
+      this.buildDisplayArtistName(artists),
+      artists.map((artist, index) => this.buildDisplayArtist(artist, index)),
+      labelReference && element('ReleaseLabelReference', {}, labelReference),
+      this.buildPLine(release.p_line),
+      release.c_line && element('CLine', {}, [
+        release.c_line.year && element('Year', {}, release.c_line.year),
+        element('CLineText', {}, release.c_line.text)
+      ]),
+      element('Duration', {}, this.formatDuration(
+        soundRecordings.reduce((total, recording) => total + (Number(recording.track.duration) || 0), 0)
+      )),
+      this.buildGenre(release),
+      release.release_date && element('ReleaseDate', {}, this.formatDate(release.release_date)),
+      release.original_release_date && element('OriginalReleaseDate', {}, this.formatDate(release.original_release_date)),
+      element('ParentalWarningType', {}, this.parentalWarning(
+        release.explicit || soundRecordings.some(recording => recording.track.explicit)
+      )),
+      resourceGroup
+    ]);
+  }
+
+  buildTrackRelease(recording, release, labelReference) {
+    const { track } = recording;
+
+    return element('TrackRelease', {}, [
+      element('ReleaseReference', {}, recording.releaseReference),
+      element('ReleaseId', {}, track.isrc && element('ISRC', {}, track.isrc)),
+      element('ReleaseResourceReference', {}, recording.reference),
+      labelReference && element('ReleaseLabelReference', {}, labelReference),
+      this.buildGenre(release)
+    ]);
+  }
+
+  buildDeal(deal) {
+    return element('Deal', {}, element('DealTerms', {}, [
+      deal.territories.map(territory => element('TerritoryCode', {}, territory)),
+      deal.excluded_territories.map(territory => element('ExcludedTerritoryCode', {}, territory)),
+      element('ValidityPeriod', {}, [
+        deal.start_date && element('StartDate', {}, this.formatDate(deal.start_date)),
+        deal.end_date && element('EndDate', {}, this.formatDate(deal.end_date))
+      ]),
+      deal.commercial_models.map(model => element('CommercialModelType', {}, model)),
+      deal.use_types.map(useType => element('UseType', {}, useType))
+    ]));
+  }
+
+  buildDisplayArtistName(artists) {
+    const main = artists.filter(artist => this.displayArtistRole(artist.role) === 'MainArtist');
+    const names = (main.length > 0 ? main : artists).map(artist => artist.name);
+    return names.length > 0 ? element('DisplayArtistName', {}, names.join(' & ')) : null;
+  }
+
+  buildDisplayArtist(artist, index) {
+    return element('DisplayArtist', { SequenceNumber: index + 1 }, [
+      element('ArtistPartyReference', {}, artist.reference),
+      element('DisplayArtistRole', {}, this.displayArtistRole(artist.role))
+    ]);
+  }
+
+  buildRole(role) {
+    const key = String(role || '').toLowerCase().replace(/[\s-]+/g, '_');
+    const ddexRole = this.contributorRoles[key];
+    return ddexRole
+      ? element('Role', {}, ddexRole)
+      : element('Role', { UserDefinedValue: role || 'Unknown' }, 'UserDefined');
+  }
+
+  buildPLine(pLine) {
+    if (!pLine || !pLine.text) return null;
+    return element('PLine', {}, [
+      pLine.year && element('Year', {}, pLine.year),
+      element('PLineText', {}, pLine.text)
+    ]);
+  }
+
+  buildGenre(release) {
+    const genre = (release.genres || [])[0];
+    if (!genre) return null;
+    const subGenre = (release.subgenres || [])[0];
+    return element('Genre', {}, [
+      element('GenreText', {}, genre),
+      subGenre && element('SubGenre', {}, subGenre)
+    ]);
+  }
+
+  buildFile(file) {
+    return element('File', {}, [
+      element('URI', {}, file.url),
+      file.md5 && element('HashSum', {}, [
+        element('Algorithm', {}, 'MD5'),
+        element('HashSumValue', {}, file.md5)
+      ])
+    ]);
+  }
+
+  // ========== Parties and Deals ==========
+
+  /**
+   * Parties are deduplicated by catalog ID (or name) and numbered P1, P2, ...
+   */
+  createPartyRegistry() {
+    const parties = new Map();
+
+    return {
+      reference: (party) => {
+        const key = party.id ? `id:${party.id}` : `name:${String(party.name || '').toLowerCase()}`;
+        if (!parties.has(key)) {
+          parties.set(key, { ...party, reference: `P${parties.size + 1}` });
+        }
+        return parties.get(key).reference;
+      },
+      list: () => [...parties.values()]
+    };
+  }
+
+  /**
+   * Fill deal defaults: worldwide, from the release date, standard commercial models
+   */
+  normalizeDeals(deals, release) {
+    const source = Array.isArray(deals) && deals.length > 0 ? deals : [{}];
+
+    return source.map(deal => {
+      const commercialModels = deal.commercial_models && deal.commercial_models.length > 0
+        ? deal.commercial_models
+        : this.defaultCommercialModels;
+      const useTypes = deal.use_types && deal.use_types.length > 0
+        ? deal.use_types
+        : [...new Set(commercialModels.flatMap(model => this.commercialModels[model] || []))];
+      const excluded = deal.excluded_territories || [];
+
+      return {
+        territories: deal.territories && deal.territories.length > 0
+          ? deal.territories.map(territory => this.territoryCode(territory))
+          : (excluded.length > 0 ? [] : ['Worldwide']),
+        excluded_territories: excluded.map(territory => this.territoryCode(territory)),
+        start_date: deal.start_date || release.release_date,
+        end_date: deal.end_date || null,
+        commercial_models: commercialModels,
+        use_types: useTypes
+      };
+    });
+  }
+
+  territoryCode(territory) {
+    const value = String(territory).trim();
+    return ['worldwide', 'ww', 'world'].includes(value.toLowerCase()) ? 'Worldwide' : value.toUpperCase();
+  }
+
+  // ========== Validation ==========
+
+  /**
+   * Validate NewReleaseMessage (XML string or element tree)
+   * Checks elements the ERN 4.3 schema and Audio profiles require, value formats
+   * and that every reference resolves. Returns { valid, errors, warnings }.
+   */
+  validate(message) {
+    const errors = [];
+    const warnings = [];
+    let root = message;
+
+    if (typeof message === 'string' || Buffer.isBuffer(message)) {
+      try {
+        root = parseXml(message);
+      } catch (error) {
+        return { valid: false, errors: [{ path: '/', message: `Malformed XML: ${error.message}` }], warnings };
+      }
+    }
+
+    const error = (path, text) => errors.push({ path, message: text });
+    const warn = (path, text) => warnings.push({ path, message: text });
+    const requireText = (node, path, label) => {
+      if (!textAt(node, path)) error(`${label}/${path}`, `${path} is required`);
+      return textAt(node, path);
+    };
+
+    if (!root || localName(root.name) !== 'NewReleaseMessage') {
+      return { valid: false, errors: [{ path: '/', message: 'Root element must be NewReleaseMessage' }], warnings };
+    }
+
+    if (!Object.values(root.attributes || {}).includes(this.namespace)) {
+      error('/NewReleaseMessage', `Namespace ${this.namespace} is required`);
+    }
+    if (!root.attributes.ReleaseProfileVersionId) {
+      warn('/NewReleaseMessage', 'ReleaseProfileVersionId is missing');
+    }
+
+    // Message header
+    const header = firstChild(root, 'MessageHeader');
+    if (!header) {
+      error('/MessageHeader', 'MessageHeader is required');
+    } else {
+      requireText(header, 'MessageId', '/MessageHeader');
+      for (const party of ['MessageSender', 'MessageRecipient']) {
+        const node = firstChild(header, party);
+        if (!node) {
+          error(`/MessageHeader/${party}`, `${party} is required`);
+        } else if (!textAt(node, 'PartyId')) {
+          error(`/MessageHeader/${party}/PartyId`, `${party} needs a PartyId (DPID)`);
+        }
+      }
+      const created = requireText(header, 'MessageCreatedDateTime', '/MessageHeader');
+      if (created && Number.isNaN(Date.parse(created))) {
+        error('/MessageHeader/MessageCreatedDateTime', 'Must be an ISO 8601 date-time');
+      }
+    }
+
+    // Parties
+    const partyReferences = new Set();
+    for (const party of findAll(firstChild(root, 'PartyList'), 'Party')) {
+      const reference = textAt(party, 'PartyReference');
+      if (!reference) {
+        error('/PartyList/Party', 'PartyReference is required');
+        continue;
+      }
+      if (partyReferences.has(reference)) error(`/PartyList/Party[${reference}]`, 'Duplicate PartyReference');
+      partyReferences.add(reference);
+      if (!textAt(party, 'PartyName/FullName') && !firstChild(party, 'PartyId')) {
+        error(`/PartyList/Party[${reference}]`, 'PartyName or PartyId is required');
+      }
+    }
+
+    const checkPartyReference = (path, reference) => {
+      if (reference && !partyReferences.has(reference)) error(path, `Unknown party reference ${reference}`);
+    };
+
+    // Resources
+    const resourceList = firstChild(root, 'ResourceList');
+    const soundRecordings = childElements(resourceList, 'SoundRecording');
+    const resourceReferences = new Set();
+    if (soundRecordings.length === 0) {
+      error('/ResourceList', 'At least one SoundRecording is required');
+    }
+
+    for (const resource of childElements(resourceList)) {
+      const reference = textAt(resource, 'ResourceReference');
+      if (!reference) {
+        error(`/ResourceList/${localName(resource.name)}`, 'ResourceReference is required');
+      } else {
+        if (resourceReferences.has(reference)) error(`/ResourceList/${reference}`, 'Duplicate ResourceReference');
+        resourceReferences.add(reference);
+      }
+      const path = `/ResourceList/${localName(resource.name)}[${reference || '?'}]`;
+      requireText(resource, 'Type', path);
+
+      const warning = textAt(resource, 'ParentalWarningType');
+      if (!warning) {
+        error(`${path}/ParentalWarningType`, 'ParentalWarningType is required');
+      } else if (!this.parentalWarningTypes.includes(warning)) {
+        error(`${path}/ParentalWarningType`, `Unknown ParentalWarningType ${warning}`);
+      }
+
+      if (localName(resource.name) === 'SoundRecording') {
+        const isrc = textAt(resource, 'SoundRecordingEdition/ResourceId/ISRC');
+        if (!isrc) {
+          error(`${path}/SoundRecordingEdition/ResourceId/ISRC`, 'ISRC is required');
+        } else if (!this.isValidIsrc(isrc)) {
+          error(`${path}/SoundRecordingEdition/ResourceId/ISRC`, `Invalid ISRC ${isrc}`);
+        }
+
+        requireText(resource, 'DisplayTitleText', path);
+        requireText(resource, 'DisplayArtistName', path);
+        this.validateDisplayArtists(resource, path, error, checkPartyReference);
+        for (const contributor of childElements(resource, 'Contributor')) {
+          checkPartyReference(`${path}/Contributor`, textAt(contributor, 'ContributorPartyReference'));
+          if (!textAt(contributor, 'Role')) error(`${path}/Contributor`, 'Contributor Role is required');
+        }
+
+        const duration = requireText(resource, 'Duration', path);
+        if (duration && !/^P(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)$/.test(duration)) {
+          error(`${path}/Duration`, `Duration must be an ISO 8601 duration, got ${duration}`);
+        }
+
+        if (!findPath(resource, 'SoundRecordingEdition/TechnicalDetails/DeliveryFile/File/URI')) {
+          warn(`${path}/SoundRecordingEdition/TechnicalDetails`, 'No audio file URI; resource will be delivered without a file');
+        }
+      } else if (localName(resource.name) === 'Image') {
+        if (!textAt(resource, 'TechnicalDetails/File/URI')) {
+          error(`${path}/TechnicalDetails/File/URI`, 'Image file URI is required');
+        }
+      }
+    }
+
+    if (!childElements(resourceList, 'Image').some(image => textAt(image, 'Type') === 'FrontCoverImage')) {
+      warn('/ResourceList', 'No FrontCoverImage resource');
+    }
+
+    // Releases
+    const releaseList = firstChild(root, 'ReleaseList');
+    const releases = childElements(releaseList, 'Release');
+    const releaseReferences = new Set();
+    const referencedResources = new Set();
+
+    if (releases.length !== 1) {
+      error('/ReleaseList', `Exactly one main Release is required, found ${releases.length}`);
+    }
+
+    for (const release of releases) {
+      const reference = requireText(release, 'ReleaseReference', '/ReleaseList/Release');
+      if (reference) releaseReferences.add(reference);
+      const path = `/ReleaseList/Release[${reference || '?'}]`;
+
+      requireText(release, 'ReleaseType', path);
+      const icpn = textAt(release, 'ReleaseId/ICPN');
+      if (!icpn) {
+        error(`${path}/ReleaseId/ICPN`, 'ICPN (UPC/EAN) is required');
+      } else if (!this.isValidIcpn(icpn)) {
+        error(`${path}/ReleaseId/ICPN`, `Invalid ICPN ${icpn}`);
+      }
+
+      requireText(release, 'DisplayTitleText', path);
+      requireText(release, 'DisplayArtistName', path);
+      this.validateDisplayArtists(release, path, error, checkPartyReference);
+
+      const label = requireText(release, 'ReleaseLabelReference', path);
+      checkPartyReference(`${path}/ReleaseLabelReference`, label);
+      requireText(release, 'Genre/GenreText', path);
+      requireText(release, 'ParentalWarningType', path);
+
+      const releaseDate = textAt(release, 'ReleaseDate');
+      if (releaseDate && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(releaseDate)) {
+        error(`${path}/ReleaseDate`, 'ReleaseDate must be YYYY-MM-DD');
+      }
+
+      const group = firstChild(release, 'ResourceGroup');
+      if (!group) {
+        error(`${path}/ResourceGroup`, 'ResourceGroup is required');
+      } else {
+        for (const node of [...findAll(group, 'ReleaseResourceReference'), ...findAll(group, 'LinkedReleaseResourceReference')]) {
+          const resourceReference = textContent(node).trim();
+          referencedResources.add(resourceReference);
+          if (!resourceReferences.has(resourceReference)) {
+            error(`${path}/ResourceGroup`, `Unknown resource reference ${resourceReference}`);
+          }
+        }
+      }
+    }
+
+    for (const trackRelease of childElements(releaseList, 'TrackRelease')) {
+      const reference = requireText(trackRelease, 'ReleaseReference', '/ReleaseList/TrackRelease');
+      if (reference) {
+        if (releaseReferences.has(reference)) error(`/ReleaseList/TrackRelease[${reference}]`, 'Duplicate ReleaseReference');
+        releaseReferences.add(reference);
+      }
+      const resourceReference = requireText(trackRelease, 'ReleaseResourceReference', `/ReleaseList/TrackRelease[${reference || '?'}]`);
+      if (resourceReference && !resourceReferences.has(resourceReference)) {
+        error(`/ReleaseList/TrackRelease[${reference}]`, `Unknown resource reference ${resourceReference}`);
+      }
+    }
+
+    for (const recording of soundRecordings) {
+      const reference = textAt(recording, 'ResourceReference');
+      if (reference && !referencedResources.has(reference)) {
+        error(`/ResourceList/SoundRecording[${reference}]`, 'SoundRecording is not part of the main Release ResourceGroup');
+      }
+    }
+
+    // Deals
+    const dealtReleases = new Set();
+    const releaseDeals = childElements(firstChild(root, 'DealList'), 'ReleaseDeal');
+    for (const releaseDeal of releaseDeals) {
+      const reference = textAt(releaseDeal, 'DealReleaseReference');
+      const path = `/DealList/ReleaseDeal[${reference || '?'}]`;
+      if (!reference) {
+        error(path, 'DealReleaseReference is required');
+      } else if (!releaseReferences.has(reference)) {
+        error(path, `Unknown release reference ${reference}`);
+      }
+      dealtReleases.add(reference);
+
+      const deals = childElements(releaseDeal, 'Deal');
+      if (deals.length === 0) error(path, 'At least one Deal is required');
+
+      for (const deal of deals) {
+        const terms = firstChild(deal, 'DealTerms');
+        if (!terms) {
+          error(`${path}/Deal`, 'DealTerms is required');
+          continue;
+        }
+        if (childElements(terms, 'TerritoryCode').length === 0 && childElements(terms, 'ExcludedTerritoryCode').length === 0) {
+          error(`${path}/Deal/DealTerms`, 'TerritoryCode or ExcludedTerritoryCode is required');
+        }
+        if (!textAt(terms, 'ValidityPeriod/StartDate') && !textAt(terms, 'ValidityPeriod/StartDateTime')) {
+          error(`${path}/Deal/DealTerms/ValidityPeriod`, 'StartDate is required');
+        }
+        if (childElements(terms, 'CommercialModelType').length === 0) {
+          error(`${path}/Deal/DealTerms`, 'CommercialModelType is required');
+        }
+        if (childElements(terms, 'UseType').length === 0) {
+          error(`${path}/Deal/DealTerms`, 'UseType is required');
+        }
+      }
+    }
+
+    for (const reference of releaseReferences) {
+      if (!dealtReleases.has(reference)) {
+        (reference === textAt(releases[0], 'ReleaseReference') ? error : warn)(
+          `/DealList`, `No ReleaseDeal for ${reference}`
+        );
+      }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  validateDisplayArtists(node, path, error, checkPartyReference) {
+    const artists = childElements(node, 'DisplayArtist');
+    if (artists.length === 0) {
+      error(`${path}/DisplayArtist`, 'At least one DisplayArtist is required');
+    }
+    for (const artist of artists) {
+      checkPartyReference(`${path}/DisplayArtist`, textAt(artist, 'ArtistPartyReference'));
+      if (!textAt(artist, 'DisplayArtistRole')) error(`${path}/DisplayArtist`, 'DisplayArtistRole is required');
+    }
+  }
+
+  // ========== Helper Methods ==========
+
+  isValidIsrc(isrc) {
+    return /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/.test(isrc);
+  }
+
+  /**
+   * UPC-A / EAN-13 with GS1 check digit
+   */
+  isValidIcpn(icpn) {
+    if (!/^\d{12,14}$/.test(icpn)) return false;
+    const digits = icpn.split('').map(Number);
+    const check = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10 === check;
+  }
+
+  displayArtistRole(role) {
+    return this.displayArtistRoles[String(role || 'primary').toLowerCase().replace(/[\s-]+/g, '_')] || 'MainArtist';
+  }
+
+  parentalWarning(explicit) {
+    if (explicit === null || explicit === undefined) return 'NoAdviceAvailable';
+    return explicit ? 'Explicit' : 'NotExplicit';
+  }
+
+  audioCodec(audio) {
+    const format = String(audio.format || audio.url.split('?')[0].split('.').pop() || '').toLowerCase();
+    return this.audioCodecs[format] || 'UserDefined';
+  }
+
+  imageCodec(image) {
+    const format = String(image.format || image.url.split('?')[0].split('.').pop() || '').toLowerCase();
+    return this.imageCodecs[format] || 'JPEG';
+  }
+
+  /**
+   * Seconds to ISO 8601 duration (PT3M25S)
+   */
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.round(Number(seconds) || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = total % 60;
+    return `PT${hours > 0 ? `${hours}H` : ''}${minutes}M${rest}S`;
+  }
+
+  formatSampleRate(sampleRate) {
+    const rate = Number(sampleRate);
+    return rate > 1000 ? String(rate / 1000) : String(rate);
+  }
+
+  /**
+   * YYYY-MM-DD; Date objects (pg DATE columns) are read in local time to avoid a day shift
+   */
+  formatDate(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = value instanceof Date ? value : new Date(value);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  formatDateTime(value) {
+    return new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+}
+
+module.exports = new DdexErnUtil();
@@ -0,0 +1,283 @@
+/**
+ * DDEX DSR Parser Utilities
+ * Reads DDEX Digital Sales Reporting flat files (Basic Audio Profile) and
+ * turns sales/usage records into normalized earnings records
+ */
+
+const { StringDecoder } = require('string_decoder');
+const logger = require('../config/logger.cjs');
+const ReportParser = require('./reportParser.util.cjs');
+
+class DsrParserUtil {
+  constructor() {
+    // Field order per record type, used when a file carries no "#" header rows
+    const summaryFields = [
+      'SummaryRecordId', 'DistributionChannel', 'DistributionChannelDPID', 'CommercialModel',
+      'UseType', 'Territory', 'ServiceDescription', 'Usages', 'Users', 'Currency',
+      'NetRevenue', 'IndirectNetRevenue', 'RightsController', 'RightsControllerPartyId',
+      'AllocatedUsages', 'AllocatedRevenue', 'AllocatedNetRevenue'
+    ];
+    const resourceFields = [
+      'BlockId', 'ResourceReference', 'DspResourceId', 'ISRC', 'Title', 'SubTitle',
+      'DisplayArtistName', 'DisplayArtistPartyId', 'Duration', 'ResourceType'
+    ];
+    const usageFields = [
+      'BlockId', 'SummaryRecordId', 'SalesTransactionId', 'ResourceReference', 'DspResourceId',
+      'ReleaseReference', 'DspReleaseId', 'CommercialModel', 'UseType', 'Territory',
+      'ServiceDescription', 'Usages', 'Currency', 'NetRevenue'
+    ];
+
+    this.recordLayouts = {
+      HEAD: [
+        'MessageVersion', 'Profile', 'ProfileVersion', 'MessageId', 'MessageCreatedDateTime',
+        'FileNumber', 'NumberOfFiles', 'UsageStartDate', 'UsageEndDate', 'SenderPartyId',
+        'SenderName', 'ServiceDescription', 'RecipientPartyId', 'RecipientName', 'RepresentedRepertoire'
+      ],
+      SY01: summaryFields,
+      SY02: summaryFields,
+      SY03: summaryFields,
+      RE01: [
+        'BlockId', 'ReleaseReference', 'DspReleaseId', 'ProprietaryReleaseId', 'CatalogNumber',
+        'ICPN', 'DisplayArtistName', 'DisplayArtistPartyId', 'Title', 'SubTitle', 'ReleaseType',
+        'Label', 'PLine', 'DataProvider'
+      ],
+      AS01: resourceFields,
+      AS02: [
+        ...resourceFields,
+        'ComposerAuthor', 'ComposerAuthorPartyId', 'Arranger', 'ArrangerPartyId', 'Publisher',
+        'PublisherPartyId', 'ProprietaryWorkId', 'ISWC', 'MusicalWorkTitle'
+      ],
+      SU01: usageFields,
+      SU02: [...usageFields, 'ValidityPeriodStart', 'ValidityPeriodEnd', 'PriceConsumerPaidExcSalesTax'],
+      FOOT: [
+        'NumberOfLinesInFile', 'NumberOfLinesInReport', 'NumberOfSummaryRecords',
+        'NumberOfBlocksInFile', 'NumberOfBlocksInReport'
+      ]
+    };
+  }
+
+  // ========== Reading ==========
+
+  /**
+   * Stream typed records of a DSR file as { type, fields, line }
+   */
+  async *iterateRows(report) {
+    const layouts = { ...this.recordLayouts };
+    let decoder = null;
+    let pending = '';
+    let lineNumber = 0;
+
+    const toRow = (line) => {
+      lineNumber++;
+      const text = line.replace(/\r$/, '');
+      if (!text.trim()) return null;
+
+      const cells = text.split('\t');
+      const type = cells[0].trim();
+
+      // Column header rows ("#SU02\tBlockId\t...") override the default layouts
+      if (type.startsWith('#')) {
+        layouts[type.slice(1)] = cells.slice(1).map(cell => cell.trim());
+        return null;
+      }
+
+      const names = layouts[type] || [];
+      const fields = {};
+      cells.slice(1).forEach((cell, index) => {
+        fields[names[index] || `Field${index + 1}`] = cell.trim();
+      });
+      return { type, fields, line: lineNumber };
+    };
+
+    for await (const chunk of ReportParser.openReportStream(report)) {
+      if (!decoder) {
+        const head = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        decoder = new StringDecoder(ReportParser.detectEncoding(head));
+      }
+
+      pending += Buffer.isBuffer(chunk) ? decoder.write(chunk) : chunk;
+      if (lineNumber === 0) pending = pending.replace(/^\uFEFF/, '');
+
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        const row = toRow(line);
+        if (row) yield row;
+      }
+    }
+
+    pending += decoder ? decoder.end() : '';
+    const row = toRow(pending);
+    if (row) yield row;
+  }
+
+  /**
+   * Stream normalized earnings records from a DSR file
+   *
+   * Summary (SY) records carry the commercial context of the usage records that
+   * reference them. Release (RE), resource (AS) and usage (SU) records are grouped
+   * into blocks by BlockId; blocks are contiguous, so each is flushed when the next begins.
+   */
+  async *iterateRecords(report, jobData = {}) {
+    const context = { header: {}, summaries: new Map(), jobData };
+    let block = null;
+
+    for await (const row of this.iterateRows(report)) {
+      const kind = row.type.slice(0, 2);
+
+      if (row.type === 'HEAD') {
+        context.header = row.fields;
+        continue;
+      }
+      if (kind === 'SY') {
+        context.summaries.set(row.fields.SummaryRecordId, row.fields);
+        continue;
+      }
+      if (row.type === 'FOOT') continue;
+      if (kind !== 'RE' && kind !== 'AS' && kind !== 'SU') {
+        logger.debug('Skipping unsupported DSR record type', { type: row.type, line: row.line });
+        continue;
+      }
+
+      const blockId = row.fields.BlockId;
+      if (!block || block.id !== blockId) {
+        if (block) yield* this.blockToRecords(block, context);
+        block = { id: blockId, releases: [], resources: [], usages: [] };
+      }
+
+      if (kind === 'RE') block.releases.push(row.fields);
+      else if (kind === 'AS') block.resources.push(row.fields);
+      else block.usages.push({ ...row.fields, line: row.line });
+    }
+
+    if (block) yield* this.blockToRecords(block, context);
+
+    const numberOfFiles = parseInt(context.header.NumberOfFiles, 10);
+    if (numberOfFiles > 1) {
+      logger.warn('DSR report is split across several files', {
+        messageId: context.header.MessageId,
+        fileNumber: context.header.FileNumber,
+        numberOfFiles
+      });
+    }
+  }
+
+  /**
+   * Resolve the usage records of one block against its release and resources
+   */
+  *blockToRecords(block, context) {
+    const { header, summaries, jobData } = context;
+    const periodStart = ReportParser.parseReportDate(header.UsageStartDate, 'start') || jobData.period_start || null;
+    const periodEnd = ReportParser.parseReportDate(header.UsageEndDate, 'end') || jobData.period_end || null;
+
+    for (const usage of block.usages) {
+      const summary = summaries.get(usage.SummaryRecordId) || {};
+      const release = this.findRelease(block, usage);
+      const resource = this.findResource(block, usage);
+
+      if (!resource && !release) {
+        logger.warn('DSR usage record references no release or resource', {
+          blockId: block.id,
+          line: usage.line
+        });
+        continue;
+      }
+
+      // Release-level sales of a multi-track release are reported against the release
+      const subject = resource || release;
+      const usages = ReportParser.parseInteger(usage.Usages);
+      const useType = this.firstValue(usage.UseType || summary.UseType);
+
+      yield {
+        platform: jobData.platform,
+        track_title: this.joinValues(subject.Title),
+        artist_name: this.joinValues(subject.DisplayArtistName || (release && release.DisplayArtistName)),
+        album_name: release ? this.joinValues(release.Title) : '',
+        isrc: resource ? ReportParser.normalizeIdentifier(this.firstValue(resource.ISRC)) : null,
+        upc: release ? ReportParser.normalizeIdentifier(this.firstValue(release.ICPN)) : null,
+        territory: ReportParser.normalizeTerritory(this.firstValue(usage.Territory || summary.Territory)),
+        streams: usages,
+        revenue: this.resolveRevenue(usage, summary, usages),
+        currency: (usage.Currency || summary.Currency || jobData.currency || 'USD').toUpperCase(),
+        period_start: ReportParser.parseReportDate(usage.ValidityPeriodStart, 'start') || periodStart,
+        period_end: ReportParser.parseReportDate(usage.ValidityPeriodEnd, 'end') || periodEnd,
+        report_date: jobData.report_date,
+        product_type: ReportParser.normalizeProductType(useType) || 'stream',
+        commercial_model: this.firstValue(usage.CommercialModel || summary.CommercialModel),
+        duration: resource ? this.parseDuration(resource.Duration) : null,
+        dsp_resource_id: resource ? resource.DspResourceId || null : null,
+        dsp_release_id: release ? release.DspReleaseId || null : null,
+        sales_transaction_id: usage.SalesTransactionId || null
+      };
+    }
+  }
+
+  findRelease(block, usage) {
+    if (usage.ReleaseReference || usage.DspReleaseId) {
+      const match = block.releases.find(release =>
+        (usage.ReleaseReference && release.ReleaseReference === usage.ReleaseReference)
+        || (usage.DspReleaseId && release.DspReleaseId === usage.DspReleaseId)
+      );
+      if (match) return match;
+    }
+    return block.releases[0] || null;
+  }
+
+  findResource(block, usage) {
+    if (usage.ResourceReference || usage.DspResourceId) {
+      return block.resources.find(resource =>
+        (usage.ResourceReference && resource.ResourceReference === usage.ResourceReference)
+        || (usage.DspResourceId && resource.DspResourceId === usage.DspResourceId)
+      ) || null;
+    }
+    return block.resources.length === 1 ? block.resources[0] : null;
+  }
+
+  /**
+   * Revenue of a usage record; when only the summary carries revenue it is
+   * allocated pro rata by usages
+   */
+  resolveRevenue(usage, summary, usages) {
+    const reported = usage.AllocatedNetRevenue || usage.NetRevenue || usage.AllocatedRevenue;
+    if (reported) return ReportParser.parseAmount(reported);
+
+    const summaryRevenue = ReportParser.parseAmount(summary.AllocatedNetRevenue || summary.NetRevenue);
+    const summaryUsages = ReportParser.parseInteger(summary.AllocatedUsages || summary.Usages);
+    if (!summaryRevenue || !summaryUsages) return 0;
+
+    return summaryRevenue * usages / summaryUsages;
+  }
+
+  // ========== Value Parsing ==========
+
+  /**
+   * Split a multi-value cell ("A|B"), honouring "\|" escapes
+   */
+  splitValues(value) {
+    if (!value) return [];
+    return String(value)
+      .split(/(?<!\\)\|/)
+      .map(part => part.replace(/\\([|\\])/g, '$1').trim())
+      .filter(Boolean);
+  }
+
+  firstValue(value) {
+    return this.splitValues(value)[0] || null;
+  }
+
+  joinValues(value) {
+    const values = this.splitValues(value);
+    return values.length > 0 ? values.join(', ') : null;
+  }
+
+  /**
+   * ISO 8601 duration (PT3M25S) to seconds
+   */
+  parseDuration(value) {
+    const match = /^P(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(value || '').trim());
+    if (!match || !value.includes('T')) return null;
+    return (parseInt(match[1] || 0, 10) * 3600) + (parseInt(match[2] || 0, 10) * 60) + Math.round(parseFloat(match[3] || 0));
+  }
+}
+
+module.exports = new DsrParserUtil();
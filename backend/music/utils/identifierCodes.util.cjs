@@ -0,0 +1,161 @@
+/**
+ * Identifier Code Utilities
+ * ISRC (ISO 3901) composition and parsing, and GS1 GTIN-12 (UPC-A) /
+ * GTIN-13 (EAN-13) construction with check digits
+ */
+
+class IdentifierCodesUtil {
+  constructor() {
+    this.isrcPattern = /^([A-Z]{2})([A-Z0-9]{3})(\d{2})(\d{5})$/;
+    this.maxDesignation = 99999;
+
+    // Total GTIN length per code format; the last digit is the check digit
+    this.gtinLengths = { upc: 12, ean: 13 };
+
+    // Company prefix lengths that leave at least one item reference digit
+    this.prefixLengths = {
+      upc: { min: 6, max: 10 },
+      ean: { min: 7, max: 11 }
+    };
+  }
+
+  // ========== ISRC ==========
+
+  /**
+   * Uppercase and strip hyphens/spaces ('pl-a1b-24-00001' -> 'PLA1B2400001')
+   */
+  normalizeIsrc(value) {
+    if (!value) return null;
+    const isrc = String(value).replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    return isrc || null;
+  }
+
+  /**
+   * Split an ISRC into its elements, or null when it is malformed
+   */
+  parseIsrc(value) {
+    const isrc = this.normalizeIsrc(value);
+    const match = isrc && isrc.match(this.isrcPattern);
+    if (!match) return null;
+
+    return {
+      isrc,
+      countryCode: match[1],
+      registrantCode: match[2],
+      year: match[3],
+      designation: parseInt(match[4], 10)
+    };
+  }
+
+  isValidIsrc(value) {
+    return this.parseIsrc(value) !== null;
+  }
+
+  /**
+   * Display form CC-XXX-YY-NNNNN
+   */
+  formatIsrc(value) {
+    const parsed = this.parseIsrc(value);
+    if (!parsed) return value;
+    const { isrc } = parsed;
+    return `${isrc.slice(0, 2)}-${isrc.slice(2, 5)}-${isrc.slice(5, 7)}-${isrc.slice(7)}`;
+  }
+
+  buildIsrc(countryCode, registrantCode, year, designation) {
+    if (designation < 1 || designation > this.maxDesignation) {
+      throw new Error(`ISRC designation code ${designation} is out of range`);
+    }
+    return `${countryCode}${registrantCode}${year}${String(designation).padStart(5, '0')}`.toUpperCase();
+  }
+
+  /**
+   * Two-digit year of reference: the year the code is assigned
+   */
+  isrcYear(date = new Date()) {
+    return String(date.getUTCFullYear() % 100).padStart(2, '0');
+  }
+
+  /**
+   * Problem with a registrant prefix, or null when it is usable
+   */
+  validateRegistrant(countryCode, registrantCode) {
+    if (!/^[A-Z]{2}$/.test(String(countryCode || '').toUpperCase())) {
+      return 'Country code must be two letters';
+    }
+    if (!/^[A-Z0-9]{3}$/.test(String(registrantCode || '').toUpperCase())) {
+      return 'Registrant code must be three letters or digits';
+    }
+    return null;
+  }
+
+  // ========== GTIN (UPC / EAN) ==========
+
+  normalizeGtin(value) {
+    if (!value) return null;
+    const digits = String(value).replace(/[\s-]/g, '');
+    return /^\d+$/.test(digits) ? digits : null;
+  }
+
+  /**
+   * GS1 mod-10 check digit of the code body (all digits but the check digit)
+   */
+  checkDigit(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      // Weights 3, 1, 3, ... counted from the rightmost digit of the body
+      const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+      sum += Number(body[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * True for a 12-digit UPC-A or 13-digit EAN with a correct check digit
+   */
+  isValidGtin(value) {
+    const code = this.normalizeGtin(value);
+    if (!code || (code.length !== 12 && code.length !== 13)) return false;
+    return this.checkDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+  }
+
+  gtinFormat(value) {
+    const code = this.normalizeGtin(value);
+    if (!code) return null;
+    return Object.keys(this.gtinLengths).find(format => this.gtinLengths[format] === code.length) || null;
+  }
+
+  /**
+   * Problem with a GS1 company prefix, or null when it is usable
+   */
+  validatePrefix(companyPrefix, format) {
+    const limits = this.prefixLengths[format];
+    if (!limits) return `Code format must be one of: ${Object.keys(this.prefixLengths).join(', ')}`;
+    if (!/^\d+$/.test(String(companyPrefix || ''))) return 'Company prefix must contain digits only';
+    if (companyPrefix.length < limits.min || companyPrefix.length > limits.max) {
+      return `A ${format.toUpperCase()} company prefix must be ${limits.min}-${limits.max} digits`;
+    }
+    return null;
+  }
+
+  /**
+   * Number of item references a company prefix leaves room for
+   */
+  prefixCapacity(companyPrefix, format) {
+    const itemDigits = this.gtinLengths[format] - 1 - companyPrefix.length;
+    return Math.pow(10, itemDigits);
+  }
+
+  /**
+   * Full code for an item reference under a company prefix
+   */
+  buildGtin(companyPrefix, itemReference, format) {
+    const itemDigits = this.gtinLengths[format] - 1 - companyPrefix.length;
+    if (itemReference < 0 || itemReference >= Math.pow(10, itemDigits)) {
+      throw new Error(`Item reference ${itemReference} does not fit prefix ${companyPrefix}`);
+    }
+    const body = `${companyPrefix}${String(itemReference).padStart(itemDigits, '0')}`;
+    return `${body}${this.checkDigit(body)}`;
+  }
+}
+
+module.exports = new IdentifierCodesUtil();
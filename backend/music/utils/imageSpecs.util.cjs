@@ -5,6 +5,7 @@
  */
 
 const logger = require('../../config/logger.cjs');
+const imageUtil = require('../../utils/image.util.cjs');
 
 class ImageSpecsUtil {
   constructor() {
@@ -19,6 +20,7 @@ class ImageSpecsUtil {
         maxFileSize: 10 * 1024 * 1024, // 10MB
         minFileSize: 100 * 1024, // 100KB
         colorMode: 'RGB',
+        minDpi: 72,
         quality: 85, // JPEG quality
         requiresSquare: true
       },
@@ -32,6 +34,7 @@ class ImageSpecsUtil {
         maxFileSize: 10 * 1024 * 1024,
         minFileSize: 500 * 1024, // 500KB
         colorMode: 'RGB',
+        minDpi: 72,
         quality: 90,
         requiresSquare: true,
         supportsTransparency: false
@@ -46,6 +49,7 @@ class ImageSpecsUtil {
         maxFileSize: 2 * 1024 * 1024, // 2MB
         minFileSize: 100 * 1024,
         colorMode: 'RGB',
+        minDpi: 72,
         quality: 80,
         requiresSquare: false,
         supportsCustomThumbnails: true
@@ -60,6 +64,7 @@ class ImageSpecsUtil {
         maxFileSize: 10 * 1024 * 1024,
         minFileSize: 300 * 1024,
         colorMode: 'RGB',
+        minDpi: 72,
         quality: 95, // High quality for Tidal
         requiresSquare: true
       },
@@ -73,6 +78,7 @@ class ImageSpecsUtil {
         maxFileSize: 10 * 1024 * 1024,
         minFileSize: 400 * 1024,
         colorMode: 'RGB',
+        minDpi: 72,
         quality: 85,
         requiresSquare: true
       },
@@ -86,6 +92,7 @@ class ImageSpecsUtil {
         maxFileSize: 5 * 1024 * 1024, // 5MB
         minFileSize: 200 * 1024,
         colorMode: 'RGB',
+        minDpi: 72,
         quality: 80,
         requiresSquare: true
       }
@@ -202,53 +209,8 @@ class ImageSpecsUtil {
       };
     }
 
-    const errors = [];
-    const warnings = [];
-
-    // Format validation
-    if (!specs.formats.includes(imageData.format?.toLowerCase())) {
-      errors.push(`Unsupported format '${imageData.format}' for ${platform}. Supported: ${specs.formats.join(', ')}`);
-    }
-
-    // Dimensions validation
-    if (imageData.width && imageData.height) {
-      if (imageData.width < specs.minDimensions.width || imageData.height < specs.minDimensions.height) {
-        errors.push(`Dimensions ${imageData.width}x${imageData.height} below minimum ${specs.minDimensions.width}x${specs.minDimensions.height} for ${platform}`);
-      }
-
-      if (imageData.width > specs.maxDimensions.width || imageData.height > specs.maxDimensions.height) {
-        warnings.push(`Dimensions ${imageData.width}x${imageData.height} exceed recommended maximum ${specs.maxDimensions.width}x${specs.maxDimensions.height} for ${platform}`);
-      }
-
-      // Aspect ratio validation
-      const actualRatio = imageData.width / imageData.height;
-      const expectedRatio = specs.aspectRatio;
-      const tolerance = 0.05; // 5% tolerance
-
-      if (Math.abs(actualRatio - expectedRatio) > tolerance) {
-        if (specs.requiresSquare && expectedRatio === 1) {
-          errors.push(`Image must be square (1:1 aspect ratio) for ${platform}. Current: ${Math.round(actualRatio * 100) / 100}:1`);
-        } else {
-          warnings.push(`Aspect ratio ${Math.round(actualRatio * 100) / 100}:1 doesn't match recommended ${expectedRatio}:1 for ${platform}`);
-        }
-      }
-    }
-
-    // File size validation
-    if (imageData.fileSize) {
-      if (imageData.fileSize > specs.maxFileSize) {
-        errors.push(`File size ${this.formatFileSize(imageData.fileSize)} exceeds maximum ${this.formatFileSize(specs.maxFileSize)} for ${platform}`);
-      }
-
-      if (imageData.fileSize < specs.minFileSize) {
-        warnings.push(`File size ${this.formatFileSize(imageData.fileSize)} below recommended minimum ${this.formatFileSize(specs.minFileSize)} for ${platform}`);
-      }
-    }
-
-    // Color mode validation
-    if (imageData.colorMode && imageData.colorMode !== specs.colorMode) {
-      warnings.push(`Color mode '${imageData.colorMode}' should be '${specs.colorMode}' for ${platform}`);
-    }
+    // Format, dimensions, aspect ratio, file size, color space/ICC, transparency and DPI
+    const { errors, warnings } = imageUtil.checkImageSpec(imageData, specs, platform);
 
     return {
       isValid: errors.length === 0,
@@ -258,6 +220,13 @@ class ImageSpecsUtil {
     };
   }
 
+  /**
+   * Image data for validation from a decoded upload (see imageUtil.inspectImage)
+   */
+  fromInspection(inspection) {
+    return imageUtil.toImageData(inspection);
+  }
+
   /**
    * Validate image against multiple platforms
    */
@@ -476,6 +445,82 @@ class ImageSpecsUtil {
     };
   }
 
+  /**
+   * Variants to render for a cover: the responsive sizes from
+   * generateSizeVariants plus each platform's preferred size. Nothing is
+   * upscaled; a platform whose preferred size is larger than the source
+   * gets the source size, capped at its maximum
+   * @returns {Object} { variants: [{ name, width, height, suffix, fit, quality, maxFileSize, platforms }], platforms: { platform: variantName } }
+   */
+  planVariants(imageData, platforms = this.getSupportedPlatforms()) {
+    const { width, height } = imageData;
+    const byDimensions = new Map();
+    const qualityFor = (w, h) => {
+      const standard = Object.values(this.qualityStandards)
+        .find(level => level.dimensions.width >= w && level.dimensions.height >= h);
+      return (standard || this.qualityStandards.ultra).quality;
+    };
+
+    const addVariant = (name, w, h, suffix, fields = {}) => {
+      const key = `${w}x${h}`;
+      const existing = byDimensions.get(key);
+      if (existing) {
+        existing.quality = Math.max(existing.quality, fields.quality || 0);
+        if (fields.maxFileSize) {
+          existing.maxFileSize = existing.maxFileSize ? Math.min(existing.maxFileSize, fields.maxFileSize) : fields.maxFileSize;
+        }
+        return existing;
+      }
+      const variant = {
+        name,
+        width: w,
+        height: h,
+        suffix,
+        fit: fields.fit || 'cover',
+        quality: fields.quality || qualityFor(w, h),
+        maxFileSize: fields.maxFileSize || null,
+        platforms: []
+      };
+      byDimensions.set(key, variant);
+      return variant;
+    };
+
+    const sizes = this.generateSizeVariants(width, height);
+    for (const [name, size] of Object.entries(sizes)) {
+      if (name === 'original' || size.width > width || size.height > height) continue;
+      addVariant(name, size.width, size.height, size.suffix);
+    }
+
+    const assignments = {};
+    for (const platform of platforms) {
+      const specs = this.getPlatformSpecs(platform);
+      if (!specs) continue;
+
+      let target = specs.preferredDimensions;
+      if (target.width > width || target.height > height) {
+        // Largest box of the platform's shape that the source fills
+        const scale = Math.min(width / target.width, height / target.height, 1);
+        target = { width: Math.floor(target.width * scale), height: Math.floor(target.height * scale) };
+        target.width = Math.min(target.width, specs.maxDimensions.width);
+        target.height = Math.min(target.height, specs.maxDimensions.height);
+      }
+      if (target.width < specs.minDimensions.width || target.height < specs.minDimensions.height) continue;
+
+      const sourceRatio = width / height;
+      const variant = addVariant(`${target.width}x${target.height}`, target.width, target.height, `_${target.width}x${target.height}`, {
+        quality: specs.quality,
+        maxFileSize: specs.maxFileSize,
+        // Square covers are letterboxed for wide platforms rather than cropped
+        fit: Math.abs(sourceRatio - specs.aspectRatio) > 0.05 ? 'contain' : 'cover'
+      });
+      variant.platforms.push(platform);
+      assignments[platform] = variant.name;
+    }
+
+    const variants = [...byDimensions.values()].sort((a, b) => b.width * b.height - a.width * a.height);
+    return { variants, platforms: assignments };
+  }
+
   // ========== Utility Methods ==========
 
   /**
@@ -0,0 +1,285 @@
+/**
+ * Loudness Utilities
+ * ITU-R BS.1770-4 / EBU R128 measurement: integrated loudness, loudness
+ * range (EBU Tech 3342), momentary and short-term maxima, and true peak
+ * from 4x oversampling
+ */
+
+const pcmDecoder = require('./pcmDecoder.util.cjs');
+
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = -10;
+const LRA_RELATIVE_GATE_LU = -20;
+
+// Momentary = 4 and short-term = 30 segments of 100 ms
+const MOMENTARY_SEGMENTS = 4;
+const SHORT_TERM_SEGMENTS = 30;
+
+// BS.1770-4 Annex 2 interpolation filter, one row per output phase
+const TRUE_PEAK_PHASES = [
+  [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625,
+    0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+  [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250,
+    0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+  [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500,
+    0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+  [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500,
+    0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+];
+const TRUE_PEAK_TAPS = TRUE_PEAK_PHASES[0].length;
+const TRUE_PEAK_FILTER = Float64Array.from(TRUE_PEAK_PHASES.flat());
+// Largest possible ratio between an interpolated value and the input window peak
+const TRUE_PEAK_MAX_GAIN = Math.max(...TRUE_PEAK_PHASES.map(taps => taps.reduce((sum, tap) => sum + Math.abs(tap), 0)));
+
+const toLufs = (power) => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity);
+const toDb = (amplitude) => (amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity);
+const maxOf = (values) => values.reduce((max, value) => (value > max ? value : max), 0);
+const round = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+/**
+ * Streaming meter for one programme; feed blocks with process(), then finish()
+ */
+class LoudnessMeter {
+  constructor(sampleRate, channelCount) {
+    this.sampleRate = sampleRate;
+    this.channelCount = channelCount;
+    this.weights = LoudnessMeter.channelWeights(channelCount);
+    this.filters = Array.from({ length: channelCount }, () => new Float64Array(8));
+    this.coefficients = LoudnessMeter.kWeighting(sampleRate);
+
+    this.segmentLength = Math.round(sampleRate / 10);
+    this.segmentEnergy = 0;
+    this.segmentFill = 0;
+    this.segments = [];
+
+    this.history = Array.from({ length: channelCount }, () => new Float32Array(TRUE_PEAK_TAPS - 1));
+    this.truePeaks = new Float64Array(channelCount);
+    this.samplePeaks = new Float64Array(channelCount);
+    this.power = new Float64Array(0);
+    this.frames = 0;
+  }
+
+  /**
+   * BS.1770 weights; 5.1 is assumed to be in L R C LFE Ls Rs order
+   */
+  static channelWeights(channelCount) {
+    if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41];
+    return new Array(channelCount).fill(1);
+  }
+
+  /**
+   * Pre-filter (high shelf) and RLB high-pass as biquads for any sample rate,
+   * derived from the analogue prototypes behind the 48 kHz coefficients
+   */
+  static kWeighting(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const Q1 = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q1 + K * K;
+    const shelf = {
+      b0: (Vh + Vb * K / Q1 + K * K) / a0,
+      b1: 2 * (K * K - Vh) / a0,
+      b2: (Vh - Vb * K / Q1 + K * K) / a0,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q1 + K * K) / a0
+    };
+
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const Q2 = 0.5003270373238773;
+    a0 = 1 + K / Q2 + K * K;
+    const highPass = {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q2 + K * K) / a0
+    };
+
+    return { shelf, highPass };
+  }
+
+  process(channels, frames) {
+    if (this.power.length < frames) this.power = new Float64Array(frames);
+    const power = this.power;
+    power.fill(0, 0, frames);
+
+    const { shelf, highPass } = this.coefficients;
+
+    for (let c = 0; c < this.channelCount; c++) {
+      const input = channels[c];
+      const weight = this.weights[c];
+      const state = this.filters[c];
+      let [x1, x2, y1, y2, z1, z2, w1, w2] = state;
+
+      for (let i = 0; i < frames; i++) {
+        const x = input[i];
+        const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+        x2 = x1; x1 = x;
+        y2 = y1; y1 = y;
+        const z = highPass.b0 * y + highPass.b1 * z1 + highPass.b2 * z2 - highPass.a1 * w1 - highPass.a2 * w2;
+        z2 = z1; z1 = y;
+        w2 = w1; w1 = z;
+        if (weight !== 0) power[i] += weight * z * z;
+      }
+
+      state[0] = x1; state[1] = x2; state[2] = y1; state[3] = y2;
+      state[4] = z1; state[5] = z2; state[6] = w1; state[7] = w2;
+
+      this.measurePeaks(c, input, frames);
+    }
+
+    for (let i = 0; i < frames; i++) {
+      this.segmentEnergy += power[i];
+      if (++this.segmentFill === this.segmentLength) {
+        this.segments.push(this.segmentEnergy);
+        this.segmentEnergy = 0;
+        this.segmentFill = 0;
+      }
+    }
+
+    this.frames += frames;
+  }
+
+  /**
+   * Sample peak plus the peak of the 4x upsampled signal
+   */
+  measurePeaks(channel, input, frames) {
+    const history = this.history[channel];
+    const historyLength = history.length;
+    const extended = new Float32Array(historyLength + frames);
+    extended.set(history);
+    extended.set(input.subarray(0, frames), historyLength);
+
+    let samplePeak = this.samplePeaks[channel];
+    let truePeak = this.truePeaks[channel];
+
+    for (let start = 0; start < frames; start += TRUE_PEAK_TAPS) {
+      const stop = Math.min(frames, start + TRUE_PEAK_TAPS);
+
+      let windowPeak = 0;
+      for (let j = start; j < stop + historyLength; j++) {
+        const sample = Math.abs(extended[j]);
+        if (sample > windowPeak) windowPeak = sample;
+        if (j >= historyLength && sample > samplePeak) samplePeak = sample;
+      }
+      // Nothing in this stretch can beat the peak found so far
+      if (windowPeak * TRUE_PEAK_MAX_GAIN <= truePeak) continue;
+
+      for (let newest = start + historyLength; newest < stop + historyLength; newest++) {
+        for (let offset = 0; offset < TRUE_PEAK_FILTER.length; offset += TRUE_PEAK_TAPS) {
+          let value = 0;
+          for (let k = 0; k < TRUE_PEAK_TAPS; k++) {
+            value += TRUE_PEAK_FILTER[offset + k] * extended[newest - k];
+          }
+          if (value < 0) value = -value;
+          if (value > truePeak) truePeak = value;
+        }
+      }
+    }
+
+    history.set(extended.subarray(extended.length - historyLength));
+    this.samplePeaks[channel] = samplePeak;
+    this.truePeaks[channel] = truePeak;
+  }
+
+  /**
+   * Mean-square power of each sliding window of `size` segments
+   */
+  windowPowers(size) {
+    const powers = [];
+    let sum = 0;
+    for (let i = 0; i < this.segments.length; i++) {
+      sum += this.segments[i];
+      if (i >= size) sum -= this.segments[i - size];
+      if (i >= size - 1) powers.push(Math.max(0, sum) / (size * this.segmentLength));
+    }
+    return powers;
+  }
+
+  finish() {
+    const momentary = this.windowPowers(MOMENTARY_SEGMENTS);
+    const shortTerm = this.windowPowers(SHORT_TERM_SEGMENTS);
+
+    // Integrated: absolute gate, then a relative gate 10 LU under the absolutely gated mean
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const aboveAbsolute = momentary.filter(power => toLufs(power) > ABSOLUTE_GATE_LUFS);
+    let integrated = -Infinity;
+    let relativeGate = null;
+    let gatedBlocks = 0;
+    if (aboveAbsolute.length > 0) {
+      relativeGate = toLufs(mean(aboveAbsolute)) + RELATIVE_GATE_LU;
+      const gated = aboveAbsolute.filter(power => toLufs(power) > relativeGate);
+      gatedBlocks = gated.length;
+      integrated = toLufs(mean(gated));
+    }
+
+    const truePeak = Math.max(maxOf(this.truePeaks), maxOf(this.samplePeaks));
+
+    return {
+      integrated_lufs: round(integrated),
+      loudness_range_lu: round(this.loudnessRange(shortTerm)),
+      momentary_max_lufs: round(toLufs(maxOf(momentary))),
+      short_term_max_lufs: round(toLufs(maxOf(shortTerm))),
+      true_peak_dbtp: round(toDb(truePeak)),
+      sample_peak_dbfs: round(toDb(maxOf(this.samplePeaks))),
+      channels: Array.from(this.truePeaks, (peak, c) => ({
+        channel: c + 1,
+        true_peak_dbtp: round(toDb(Math.max(peak, this.samplePeaks[c]))),
+        sample_peak_dbfs: round(toDb(this.samplePeaks[c]))
+      })),
+      relative_gate_lufs: round(relativeGate),
+      gated_blocks: gatedBlocks,
+      duration_ms: Math.round((this.frames / this.sampleRate) * 1000),
+      sample_rate: this.sampleRate,
+      standard: 'ITU-R BS.1770-4 / EBU R128'
+    };
+  }
+
+  /**
+   * EBU Tech 3342: spread between the 10th and 95th percentile of gated short-term loudness
+   */
+  loudnessRange(shortTerm) {
+    const aboveAbsolute = shortTerm.filter(power => toLufs(power) > ABSOLUTE_GATE_LUFS);
+    if (aboveAbsolute.length === 0) return null;
+
+    const gate = toLufs(aboveAbsolute.reduce((sum, power) => sum + power, 0) / aboveAbsolute.length) + LRA_RELATIVE_GATE_LU;
+    const values = aboveAbsolute
+      .map(toLufs)
+      .filter(loudness => loudness > gate)
+      .sort((a, b) => a - b);
+    if (values.length === 0) return null;
+
+    const percentile = (fraction) => values[Math.round((values.length - 1) * fraction)];
+    return percentile(0.95) - percentile(0.10);
+  }
+}
+
+class LoudnessUtil {
+  createMeter(sampleRate, channelCount) {
+    return new LoudnessMeter(sampleRate, channelCount);
+  }
+
+  /**
+   * Measure a WAV, AIFF or FLAC file already run through AudioInspectorUtil
+   */
+  async analyze(buffer, inspection) {
+    const meter = this.createMeter(inspection.sample_rate, inspection.channels);
+    let sinceYield = 0;
+
+    for (const { channels, frames } of pcmDecoder.blocks(buffer, inspection)) {
+      meter.process(channels, frames);
+
+      // A long master takes seconds; let other requests run about once per second of audio
+      sinceYield += frames;
+      if (sinceYield >= inspection.sample_rate) {
+        sinceYield = 0;
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    return meter.finish();
+  }
+}
+
+module.exports = new LoudnessUtil();
@@ -0,0 +1,406 @@
+/**
+ * PCM Decoder Utilities
+ * Streams normalised float samples out of WAV, AIFF and FLAC masters for
+ * measurements (loudness, peaks) without loading the whole track as floats
+ */
+
+const DEFAULT_BLOCK_FRAMES = 4096;
+
+const FLAC_SAMPLE_RATES = [null, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000];
+const FLAC_SAMPLE_SIZES = [null, 8, 12, null, 16, 20, 24, 32];
+
+/**
+ * MSB-first bit reader over a Buffer
+ */
+class BitReader {
+  constructor(buffer, offset, end = buffer.length) {
+    this.buffer = buffer;
+    this.byte = offset;
+    this.bit = 0;
+    this.end = end;
+  }
+
+  readBits(count) {
+    let value = 0;
+    while (count > 0) {
+      if (this.byte >= this.end) {
+        throw new Error('unexpected end of stream');
+      }
+      const available = 8 - this.bit;
+      const take = available < count ? available : count;
+      const bits = (this.buffer[this.byte] >>> (available - take)) & ((1 << take) - 1);
+      // Multiplication keeps 32-bit reads positive
+      value = value * (1 << take) + bits;
+      this.bit += take;
+      count -= take;
+      if (this.bit === 8) {
+        this.bit = 0;
+        this.byte++;
+      }
+    }
+    return value;
+  }
+
+  readSigned(count) {
+    if (count === 0) return 0;
+    const value = this.readBits(count);
+    const limit = Math.pow(2, count - 1);
+    return value >= limit ? value - limit * 2 : value;
+  }
+
+  /**
+   * Number of 0 bits before the next 1 bit (consumed)
+   */
+  readUnary() {
+    let count = 0;
+    for (;;) {
+      if (this.byte >= this.end) {
+        throw new Error('unexpected end of stream');
+      }
+      const byte = (this.buffer[this.byte] << this.bit) & 0xFF;
+      if (byte === 0) {
+        count += 8 - this.bit;
+        this.bit = 0;
+        this.byte++;
+        continue;
+      }
+      const zeros = Math.clz32(byte) - 24;
+      count += zeros;
+      this.bit += zeros + 1;
+      if (this.bit === 8) {
+        this.bit = 0;
+        this.byte++;
+      }
+      return count;
+    }
+  }
+
+  alignToByte() {
+    if (this.bit !== 0) {
+      this.bit = 0;
+      this.byte++;
+    }
+  }
+}
+
+class PcmDecoderUtil {
+  constructor() {
+    this.decodableFormats = ['wav', 'aiff', 'flac'];
+  }
+
+  /**
+   * Whether samples can be decoded from an inspected file
+   */
+  canDecode(inspection) {
+    if (!inspection || !this.decodableFormats.includes(inspection.format)) return false;
+    return inspection.format === 'flac' || /^pcm_[suf]\d+(le|be)?$/.test(inspection.codec || '');
+  }
+
+  /**
+   * Decoded audio as { channels, frames } blocks of per-channel
+   * Float32Arrays in [-1, 1); the arrays are reused between blocks
+   * @param {Buffer} buffer - Complete file contents
+   * @param {Object} inspection - AudioInspectorUtil result for the buffer
+   */
+  *blocks(buffer, inspection, options = {}) {
+    if (!this.canDecode(inspection)) {
+      throw new Error(`Cannot decode ${inspection && inspection.codec ? inspection.codec : 'unknown'} audio; a WAV, AIFF or FLAC master is required`);
+    }
+
+    if (inspection.format === 'flac') {
+      yield* this.decodeFlac(buffer, inspection);
+    } else {
+      yield* this.decodePcm(buffer, inspection, options.blockFrames || DEFAULT_BLOCK_FRAMES);
+    }
+  }
+
+  /**
+   * Decode the whole file, calling onBlock(channels, frames) per block
+   * @returns {Object} { sample_rate, channels, frames }
+   */
+  decode(buffer, inspection, onBlock, options = {}) {
+    let frames = 0;
+    for (const block of this.blocks(buffer, inspection, options)) {
+      onBlock(block.channels, block.frames);
+      frames += block.frames;
+    }
+    return { sample_rate: inspection.sample_rate, channels: inspection.channels, frames };
+  }
+
+  // ========== WAV / AIFF ==========
+
+  *decodePcm(buffer, inspection, blockFrames) {
+    const [, type, bits, order] = inspection.codec.match(/^pcm_([suf])(\d+)(le|be)?$/);
+    const bytes = Math.ceil(Number(bits) / 8);
+    const littleEndian = order !== 'be';
+    const channelCount = inspection.channels;
+    const frameBytes = bytes * channelCount;
+    const readSample = this.sampleReader(type, bytes, littleEndian);
+
+    const start = inspection.audio_offset;
+    const totalFrames = Math.floor(inspection.audio_size / frameBytes);
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(blockFrames));
+
+    for (let frame = 0; frame < totalFrames; frame += blockFrames) {
+      const count = Math.min(blockFrames, totalFrames - frame);
+      let position = start + frame * frameBytes;
+      for (let i = 0; i < count; i++) {
+        for (let c = 0; c < channelCount; c++) {
+          channels[c][i] = readSample(buffer, position);
+          position += bytes;
+        }
+      }
+      yield { channels, frames: count };
+    }
+  }
+
+  /**
+   * Reader for one sample; integer formats are scaled by their container
+   * size, which also covers left-justified 20-bit data
+   */
+  sampleReader(type, bytes, littleEndian) {
+    if (type === 'f') {
+      if (bytes === 4) return littleEndian ? (b, p) => b.readFloatLE(p) : (b, p) => b.readFloatBE(p);
+      return littleEndian ? (b, p) => b.readDoubleLE(p) : (b, p) => b.readDoubleBE(p);
+    }
+
+    if (type === 'u' || bytes === 1) {
+      // 8-bit WAV is unsigned; 8-bit AIFF is signed
+      return type === 'u' ? (b, p) => (b[p] - 128) / 128 : (b, p) => ((b[p] << 24) >> 24) / 128;
+    }
+
+    const scale = Math.pow(2, bytes * 8 - 1);
+    if (bytes === 2) {
+      return littleEndian ? (b, p) => b.readInt16LE(p) / scale : (b, p) => b.readInt16BE(p) / scale;
+    }
+    if (bytes === 3) {
+      return littleEndian
+        ? (b, p) => (((b[p + 2] << 24) | (b[p + 1] << 16) | (b[p] << 8)) >> 8) / scale
+        : (b, p) => (((b[p] << 24) | (b[p + 1] << 16) | (b[p + 2] << 8)) >> 8) / scale;
+    }
+    return littleEndian ? (b, p) => b.readInt32LE(p) / scale : (b, p) => b.readInt32BE(p) / scale;
+  }
+
+  // ========== FLAC ==========
+
+  *decodeFlac(buffer, inspection) {
+    const stream = {
+      sampleRate: inspection.sample_rate,
+      channels: inspection.channels,
+      bitDepth: inspection.bit_depth
+    };
+    const reader = new BitReader(buffer, inspection.audio_offset);
+    const scale = Math.pow(2, stream.bitDepth - 1);
+    let output = [];
+
+    while (reader.byte + 2 <= buffer.length) {
+      // Trailing tags (e.g. ID3v1) end the audio
+      if (buffer[reader.byte] !== 0xFF || (buffer[reader.byte + 1] & 0xFE) !== 0xF8) break;
+
+      const frameStart = reader.byte;
+      let decoded;
+      try {
+        decoded = this.decodeFlacFrame(reader, stream);
+      } catch (error) {
+        throw new Error(`Corrupt FLAC frame at byte ${frameStart}: ${error.message}`);
+      }
+
+      const { blockSize, channels } = decoded;
+      if (output.length !== channels.length || output[0].length < blockSize) {
+        output = channels.map(() => new Float32Array(blockSize));
+      }
+      for (let c = 0; c < channels.length; c++) {
+        const source = channels[c];
+        const target = output[c];
+        for (let i = 0; i < blockSize; i++) target[i] = source[i] / scale;
+      }
+
+      yield { channels: output, frames: blockSize };
+    }
+  }
+
+  decodeFlacFrame(reader, stream) {
+    reader.readBits(16); // sync code and blocking strategy
+
+    const blockSizeCode = reader.readBits(4);
+    const sampleRateCode = reader.readBits(4);
+    const channelCode = reader.readBits(4);
+    const sampleSizeCode = reader.readBits(3);
+    reader.readBits(1);
+
+    // Frame or sample number, UTF-8 style variable length
+    const first = reader.readBits(8);
+    let extraBytes = 0;
+    for (let mask = 0x80; first & mask && mask > 0x01; mask >>= 1) extraBytes++;
+    if (extraBytes > 0) reader.readBits(8 * (extraBytes - 1));
+
+    let blockSize;
+    if (blockSizeCode === 0) throw new Error('reserved block size');
+    else if (blockSizeCode === 1) blockSize = 192;
+    else if (blockSizeCode <= 5) blockSize = 576 << (blockSizeCode - 2);
+    else if (blockSizeCode === 6) blockSize = reader.readBits(8) + 1;
+    else if (blockSizeCode === 7) blockSize = reader.readBits(16) + 1;
+    else blockSize = 256 << (blockSizeCode - 8);
+
+    if (sampleRateCode === 12) reader.readBits(8);
+    else if (sampleRateCode === 13 || sampleRateCode === 14) reader.readBits(16);
+    else if (sampleRateCode === 15) throw new Error('invalid sample rate');
+    else if (sampleRateCode !== 0 && FLAC_SAMPLE_RATES[sampleRateCode] !== stream.sampleRate) {
+      throw new Error('sample rate changes mid-stream');
+    }
+
+    const sampleSize = sampleSizeCode === 0 ? stream.bitDepth : FLAC_SAMPLE_SIZES[sampleSizeCode];
+    if (!sampleSize) throw new Error('reserved sample size');
+    if (sampleSize !== stream.bitDepth) throw new Error('bit depth changes mid-stream');
+
+    reader.readBits(8); // header CRC-8
+
+    const channelCount = channelCode < 8 ? channelCode + 1 : 2;
+    if (channelCode > 10) throw new Error('reserved channel assignment');
+    if (channelCount !== stream.channels) throw new Error('channel count changes mid-stream');
+
+    // The side channel of a stereo pair carries one extra bit
+    const sideChannel = channelCode === 9 ? 0 : channelCode === 8 || channelCode === 10 ? 1 : -1;
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+      channels.push(this.decodeFlacSubframe(reader, blockSize, sampleSize + (c === sideChannel ? 1 : 0)));
+    }
+
+    if (channelCode >= 8) {
+      this.restoreStereo(channelCode, channels[0], channels[1], blockSize);
+    }
+
+    reader.alignToByte();
+    reader.readBits(16); // frame CRC-16
+
+    return { blockSize, channels };
+  }
+
+  decodeFlacSubframe(reader, blockSize, bitsPerSample) {
+    if (reader.readBits(1) !== 0) throw new Error('invalid subframe padding');
+    const type = reader.readBits(6);
+
+    let wasted = 0;
+    if (reader.readBits(1)) {
+      wasted = reader.readUnary() + 1;
+    }
+    const bits = bitsPerSample - wasted;
+    const samples = new Float64Array(blockSize);
+
+    if (type === 0) {
+      samples.fill(reader.readSigned(bits));
+    } else if (type === 1) {
+      for (let i = 0; i < blockSize; i++) samples[i] = reader.readSigned(bits);
+    } else if (type >= 8 && type <= 12) {
+      const order = type - 8;
+      for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+      this.readResidual(reader, samples, blockSize, order);
+      this.restoreFixed(samples, blockSize, order);
+    } else if (type >= 32) {
+      const order = type - 31;
+      for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+      const precision = reader.readBits(4) + 1;
+      if (precision === 16) throw new Error('invalid LPC precision');
+      const shift = reader.readSigned(5);
+      if (shift < 0) throw new Error('negative LPC shift');
+      const coefficients = [];
+      for (let i = 0; i < order; i++) coefficients.push(reader.readSigned(precision));
+      this.readResidual(reader, samples, blockSize, order);
+      this.restoreLpc(samples, blockSize, coefficients, Math.pow(2, shift));
+    } else {
+      throw new Error(`reserved subframe type ${type}`);
+    }
+
+    if (wasted > 0) {
+      const factor = Math.pow(2, wasted);
+      for (let i = 0; i < blockSize; i++) samples[i] *= factor;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Rice-coded residual written into samples[order..]
+   */
+  readResidual(reader, samples, blockSize, order) {
+    const method = reader.readBits(2);
+    if (method > 1) throw new Error('reserved residual coding method');
+    const parameterBits = method === 0 ? 4 : 5;
+    const escape = method === 0 ? 15 : 31;
+    const partitionOrder = reader.readBits(4);
+    const partitions = 1 << partitionOrder;
+    const partitionSize = blockSize >> partitionOrder;
+
+    let index = order;
+    for (let p = 0; p < partitions; p++) {
+      const count = partitionSize - (p === 0 ? order : 0);
+      if (count < 0) throw new Error('partition smaller than predictor order');
+      const parameter = reader.readBits(parameterBits);
+
+      if (parameter === escape) {
+        const rawBits = reader.readBits(5);
+        for (let i = 0; i < count; i++) samples[index++] = reader.readSigned(rawBits);
+        continue;
+      }
+
+      const multiplier = Math.pow(2, parameter);
+      for (let i = 0; i < count; i++) {
+        const value = reader.readUnary() * multiplier + (parameter ? reader.readBits(parameter) : 0);
+        samples[index++] = value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+      }
+    }
+  }
+
+  restoreFixed(samples, blockSize, order) {
+    for (let i = order; i < blockSize; i++) {
+      const residual = samples[i];
+      switch (order) {
+        case 0:
+          break;
+        case 1:
+          samples[i] = residual + samples[i - 1];
+          break;
+        case 2:
+          samples[i] = residual + 2 * samples[i - 1] - samples[i - 2];
+          break;
+        case 3:
+          samples[i] = residual + 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+          break;
+        case 4:
+          samples[i] = residual + 4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+          break;
+      }
+    }
+  }
+
+  restoreLpc(samples, blockSize, coefficients, divisor) {
+    const order = coefficients.length;
+    for (let i = order; i < blockSize; i++) {
+      let prediction = 0;
+      for (let j = 0; j < order; j++) {
+        prediction += coefficients[j] * samples[i - 1 - j];
+      }
+      samples[i] += Math.floor(prediction / divisor);
+    }
+  }
+
+  restoreStereo(channelCode, first, second, blockSize) {
+    for (let i = 0; i < blockSize; i++) {
+      if (channelCode === 8) {
+        // left/side
+        second[i] = first[i] - second[i];
+      } else if (channelCode === 9) {
+        // side/right
+        first[i] = first[i] + second[i];
+      } else {
+        // mid/side: the side's low bit was dropped from mid
+        const side = second[i];
+        const mid = first[i] * 2 + (Math.abs(side) % 2);
+        first[i] = (mid + side) / 2;
+        second[i] = (mid - side) / 2;
+      }
+    }
+  }
+}
+
+module.exports = new PcmDecoderUtil();
@@ -0,0 +1,172 @@
+/**
+ * Preview Clip Utilities
+ * Cuts 30/60/90 second previews out of WAV, AIFF and FLAC masters with
+ * fade-in/fade-out and writes them as 16-bit PCM WAV
+ */
+
+const pcmDecoder = require('./pcmDecoder.util.cjs');
+
+const PREVIEW_DURATIONS = [30, 60, 90];
+const OUTPUT_BIT_DEPTH = 16;
+
+class PreviewClipUtil {
+  constructor() {
+    this.durations = PREVIEW_DURATIONS;
+    this.defaults = {
+      fadeIn: 2,
+      fadeOut: 2
+    };
+  }
+
+  /**
+   * Start (in whole seconds) of the loudest stretch of the track, judged from
+   * the mean square of its waveform peaks
+   * @param {Object} waveform - audiowaveform v2 object
+   * @param {number} duration - Clip length in seconds
+   */
+  suggestStart(waveform, duration) {
+    const secondsPerPixel = waveform.samples_per_pixel / waveform.sample_rate;
+    const windowPixels = Math.max(1, Math.round(duration / secondsPerPixel));
+    const scale = waveform.bits === 8 ? 128 : 32768;
+    if (waveform.length <= windowPixels) return 0;
+
+    const energy = new Float64Array(waveform.length);
+    for (let pixel = 0; pixel < waveform.length; pixel++) {
+      let peak = 0;
+      for (let c = 0; c < waveform.channels; c++) {
+        const index = (pixel * waveform.channels + c) * 2;
+        peak = Math.max(peak, -waveform.data[index], waveform.data[index + 1]);
+      }
+      energy[pixel] = (peak / scale) ** 2;
+    }
+
+    let sum = 0;
+    for (let pixel = 0; pixel < windowPixels; pixel++) sum += energy[pixel];
+
+    let best = sum;
+    let bestStart = 0;
+    for (let start = 1; start + windowPixels <= waveform.length; start++) {
+      sum += energy[start + windowPixels - 1] - energy[start - 1];
+      // Prefer the earliest of several near-equal windows
+      if (sum > best * 1.001) {
+        best = sum;
+        bestStart = start;
+      }
+    }
+
+    return Math.round(bestStart * secondsPerPixel);
+  }
+
+  /**
+   * Clip window inside a track of `trackSeconds`; a start too close to the
+   * end is pulled back so the clip keeps its full length
+   */
+  resolveWindow(trackSeconds, start, duration) {
+    if (trackSeconds <= duration) {
+      return { start: 0, duration: trackSeconds, truncated: true };
+    }
+    const latestStart = trackSeconds - duration;
+    return {
+      start: Math.max(0, Math.min(start, latestStart)),
+      duration,
+      truncated: false
+    };
+  }
+
+  /**
+   * Gain of a quarter-sine fade at `position` frames into a fade of `length` frames
+   */
+  fadeGain(position, length) {
+    if (length <= 0 || position >= length) return 1;
+    return Math.sin((Math.PI / 2) * (position / length));
+  }
+
+  /**
+   * Render the clip; decoding stops once the window has been copied
+   * @param {Buffer} buffer - Complete master file
+   * @param {Object} inspection - AudioInspectorUtil result for the buffer
+   * @param {Object} options - { start, duration, fadeIn, fadeOut } in seconds
+   * @returns {Object} { buffer, sample_rate, channels, bit_depth, frames, duration_ms }
+   */
+  async render(buffer, inspection, options) {
+    const { start, duration, fadeIn, fadeOut } = { ...this.defaults, ...options };
+    const sampleRate = inspection.sample_rate;
+    const channelCount = inspection.channels;
+
+    const firstFrame = Math.round(start * sampleRate);
+    const frameCount = Math.round(duration * sampleRate);
+    const fadeInFrames = Math.min(frameCount, Math.round(fadeIn * sampleRate));
+    const fadeOutFrames = Math.min(frameCount, Math.round(fadeOut * sampleRate));
+
+    const samples = new Int16Array(frameCount * channelCount);
+    const dither = (inspection.bit_depth || OUTPUT_BIT_DEPTH) > OUTPUT_BIT_DEPTH;
+    let position = 0;
+    let written = 0;
+    let sinceYield = 0;
+
+    for (const { channels, frames } of pcmDecoder.blocks(buffer, inspection)) {
+      const blockStart = position;
+      position += frames;
+      if (position <= firstFrame) continue;
+
+      const from = Math.max(0, firstFrame - blockStart);
+      const to = Math.min(frames, firstFrame + frameCount - blockStart);
+      for (let i = from; i < to; i++) {
+        const gain = this.fadeGain(written, fadeInFrames) * this.fadeGain(frameCount - 1 - written, fadeOutFrames);
+        for (let c = 0; c < channelCount; c++) {
+          let value = channels[c][i] * gain * 32768;
+          // TPDF dither when cutting a 24-bit master down to 16 bits
+          if (dither) value += Math.random() - Math.random();
+          samples[written * channelCount + c] = Math.max(-32768, Math.min(32767, Math.round(value)));
+        }
+        written++;
+      }
+
+      if (written >= frameCount) break;
+
+      sinceYield += frames;
+      if (sinceYield >= sampleRate * 5) {
+        sinceYield = 0;
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    const clip = written < frameCount ? samples.subarray(0, written * channelCount) : samples;
+
+    return {
+      buffer: this.encodeWav(clip, sampleRate, channelCount),
+      sample_rate: sampleRate,
+      channels: channelCount,
+      bit_depth: OUTPUT_BIT_DEPTH,
+      frames: written,
+      duration_ms: Math.round((written / sampleRate) * 1000)
+    };
+  }
+
+  /**
+   * Interleaved 16-bit samples as a canonical RIFF/WAVE file
+   */
+  encodeWav(samples, sampleRate, channelCount) {
+    const dataSize = samples.length * 2;
+    const header = Buffer.alloc(44);
+    const blockAlign = channelCount * 2;
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(channelCount, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(OUTPUT_BIT_DEPTH, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataSize, 40);
+
+    return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataSize)]);
+  }
+}
+
+module.exports = new PreviewClipUtil();
@@ -0,0 +1,1017 @@
+/**
+ * Report Parser Utilities
+ * Streaming parsers for royalty reports delivered by streaming platforms
+ * Handles CSV/TSV, XLSX, JSON and XML sources and per-platform column layouts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+const logger = require('../config/logger.cjs');
+const { readZip, readZipText } = require('../../utils/zip.util.cjs');
+const { parseXml, findAll, childElements, localName, textContent } = require('../../utils/xml.util.cjs');
+
+const HEADER_SCAN_ROWS = 25;
+const MAX_DOWNLOAD_BYTES = 512 * 1024 * 1024; // 512 MB
+
+/**
+ * RFC 4180 state machine for delimited text
+ * Accepts arbitrary chunks, so quoted fields may span chunk and line boundaries
+ */
+class DelimitedRowParser {
+  constructor(delimiter = ',') {
+    this.delimiter = delimiter;
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    this.quotePending = false;
+    this.fieldStarted = false;
+    this.skipLineFeed = false;
+  }
+
+  push(text) {
+    const rows = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.skipLineFeed) {
+        // Second half of a CRLF pair, possibly split across chunks
+        this.skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (char === '"') {
+            // Escaped quote ("")
+            this.field += '"';
+            continue;
+          }
+          this.inQuotes = false;
+          // Fall through: char is handled as unquoted content below
+        } else if (char === '"') {
+          this.quotePending = true;
+          continue;
+        } else {
+          this.field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && !this.fieldStarted) {
+        this.inQuotes = true;
+        this.fieldStarted = true;
+      } else if (char === this.delimiter) {
+        this.endField();
+      } else if (char === '\n' || char === '\r') {
+        this.endField();
+        rows.push(this.endRow());
+        this.skipLineFeed = char === '\r';
+      } else {
+        this.field += char;
+        this.fieldStarted = true;
+      }
+    }
+
+    return rows;
+  }
+
+  end() {
+    if (this.quotePending) {
+      this.inQuotes = false;
+      this.quotePending = false;
+    }
+    if (this.inQuotes) {
+      throw new Error('Unterminated quoted field at end of report');
+    }
+    if (this.fieldStarted || this.row.length > 0) {
+      this.endField();
+      return [this.endRow()];
+    }
+    return [];
+  }
+
+  endField() {
+    this.row.push(this.field);
+    this.field = '';
+    this.fieldStarted = false;
+  }
+
+  endRow() {
+    const row = this.row;
+    this.row = [];
+    return row;
+  }
+}
+
+class ReportParserUtil {
+  constructor() {
+    // Candidate delimiters for delimited text reports
+    this.delimiters = [',', '\t', ';', '|'];
+
+    // Per-platform column layouts: normalized field -> header aliases (first match wins)
+    this.platformLayouts = {
+      spotify: {
+        defaults: { currency: 'USD', product_type: 'stream' },
+        columns: {
+          track_title: ['Track Name', 'Track', 'Song', 'Track Title'],
+          artist_name: ['Artist Name', 'Artist'],
+          album_name: ['Album Name', 'Album', 'Release Title'],
+          isrc: ['ISRC'],
+          upc: ['UPC', 'EAN'],
+          territory: ['Territory', 'Country', 'Country Code', 'Market'],
+          streams: ['Quantity', 'Streams', 'Units'],
+          revenue: ['Royalty', 'Revenue', 'Net Revenue', 'Payable Amount', 'Amount'],
+          currency: ['Currency', 'Royalty Currency'],
+          period_start: ['Period Start', 'Start Date', 'Sales Date', 'Reporting Period'],
+          period_end: ['Period End', 'End Date', 'Sales Date', 'Reporting Period'],
+          product_type: ['Product Type', 'Usage Type', 'Sale Type']
+        },
+        extras: {
+          product_tier: ['Product', 'Subscription Type'],
+          duration: ['Duration', 'Track Duration', 'Length']
+        }
+      },
+      apple_music: {
+        defaults: { currency: 'USD', product_type: 'stream' },
+        columns: {
+          track_title: ['Title', 'Song/Album', 'Song Title', 'Item Title'],
+          artist_name: ['Artist', 'Artist/Show', 'Artist Name'],
+          album_name: ['Album', 'Album/Season', 'Album Title'],
+          isrc: ['ISRC', 'ISRC/ISBN'],
+          upc: ['UPC', 'EAN'],
+          territory: ['Country Code', 'Country Of Sale', 'Storefront', 'Territory'],
+          streams: ['Units', 'Quantity', 'Plays'],
+          revenue: ['Extended Partner Share', 'Artist Royalties', 'Royalty', 'Partner Share Amount'],
+          currency: ['Partner Share Currency', 'Currency'],
+          period_start: ['Start Date', 'Begin Date'],
+          period_end: ['End Date'],
+          product_type: ['Product Type Identifier', 'Product Type Identity', 'Product Type']
+        },
+        extras: {
+          vendor_identifier: ['Vendor Identifier', 'Vendor ID']
+        }
+      },
+      youtube_music: {
+        defaults: { currency: 'USD', product_type: 'stream' },
+        columns: {
+          track_title: ['Asset Title', 'Video Title', 'Content Title', 'Title'],
+          artist_name: ['Artist', 'Asset Artist', 'Channel', 'Channel Name'],
+          album_name: ['Album', 'Asset Album'],
+          isrc: ['ISRC', 'Asset ISRC'],
+          upc: ['UPC', 'Asset UPC'],
+          territory: ['Country', 'Territory', 'Country Code'],
+          streams: ['Views', 'Plays', 'Total Views', 'Streams'],
+          revenue: ['Your estimated revenue (USD)', 'Partner Revenue', 'Net Partner Revenue', 'Revenue', 'Earnings'],
+          currency: ['Currency'],
+          period_start: ['Date', 'Day', 'Start Date', 'Period Start'],
+          period_end: ['Date', 'Day', 'End Date', 'Period End'],
+          product_type: ['Revenue Type', 'Content Type', 'Product Type']
+        },
+        extras: {
+          asset_id: ['Asset ID'],
+          watch_time: ['Watch time (hours)'],
+          cpm: ['CPM'],
+          duration: ['Duration', 'Asset Duration', 'Video Duration']
+        }
+      },
+      amazon_music: {
+        defaults: { currency: 'USD', product_type: 'stream' },
+        columns: {
+          track_title: ['Track Title', 'Track Name', 'Song', 'Title'],
+          artist_name: ['Artist Name', 'Artist'],
+          album_name: ['Album Title', 'Album Name', 'Album'],
+          isrc: ['ISRC'],
+          upc: ['UPC', 'EAN'],
+          territory: ['Territory', 'Country', 'Country Code', 'Marketplace'],
+          streams: ['Streams', 'Quantity', 'Units', 'Stream Count'],
+          revenue: ['Net Revenue', 'Royalty', 'Royalty Amount', 'Earnings'],
+          currency: ['Currency', 'Royalty Currency'],
+          period_start: ['Period Start', 'Start Date', 'Transaction Date'],
+          period_end: ['Period End', 'End Date', 'Transaction Date'],
+          product_type: ['Product Type', 'Offering', 'Service Type']
+        },
+        extras: {
+          duration: ['Duration', 'Track Duration', 'Length']
+        }
+      },
+      tidal: {
+        defaults: { currency: 'USD', product_type: 'stream' },
+        columns: {
+          track_title: ['Track', 'Track Title', 'Title'],
+          artist_name: ['Artist', 'Artist Name'],
+          album_name: ['Album', 'Album Title'],
+          isrc: ['ISRC'],
+          upc: ['UPC', 'EAN'],
+          territory: ['Country', 'Territory', 'Country Code'],
+          streams: ['Quantity', 'Streams', 'Plays'],
+          revenue: ['Net Revenue', 'Revenue', 'Royalty'],
+          currency: ['Currency'],
+          period_start: ['Period Start', 'Start Date'],
+          period_end: ['Period End', 'End Date'],
+          product_type: ['Product Type', 'Usage Type']
+        },
+        extras: {
+          tier: ['Subscription Tier', 'Tier'],
+          duration: ['Duration', 'Track Duration', 'Length']
+        }
+      },
+      deezer: {
+        defaults: { currency: 'EUR', product_type: 'stream', decimal_separator: ',' },
+        columns: {
+          track_title: ['Title', 'Track', 'Track Title', 'Song Title'],
+          artist_name: ['Artist', 'Artist Name'],
+          album_name: ['Album', 'Album Title'],
+          isrc: ['ISRC'],
+          upc: ['UPC', 'EAN'],
+          territory: ['Territory', 'Country', 'Country Code'],
+          streams: ['Streams', 'Nb of plays', 'Quantity', 'Plays'],
+          revenue: ['Revenue', 'Royalties', 'Net Revenue', 'Amount'],
+          currency: ['Currency'],
+          period_start: ['Period Start', 'Start Date'],
+          period_end: ['Period End', 'End Date'],
+          product_type: ['Service', 'Offer', 'Product Type']
+        },
+        extras: {
+          duration: ['Duration', 'Track Duration', 'Length']
+        }
+      }
+    };
+
+    // Product type vocabulary mapped onto earnings revenue types
+    this.productTypeMap = {
+      stream: 'stream',
+      streaming: 'stream',
+      subscription: 'stream',
+      premium: 'stream',
+      free: 'stream',
+      'ad-supported': 'stream',
+      ad_supported: 'stream',
+      views: 'stream',
+      download: 'download',
+      purchase: 'download',
+      sale: 'download',
+      ugc: 'ugc',
+      'user generated content': 'ugc',
+      art_track: 'stream',
+      sound_recording: 'stream',
+      // DDEX use types (DSR)
+      ondemandstream: 'stream',
+      noninteractivestream: 'stream',
+      permanentdownload: 'download',
+      conditionaldownload: 'download',
+      usergeneratedcontent: 'ugc'
+    };
+  }
+
+  // ========== Report Sources ==========
+
+  /**
+   * Describe report stored on local disk (content is streamed later)
+   */
+  async fromFile(filePath, meta = {}) {
+    const stats = await fs.promises.stat(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`Report path is not a file: ${filePath}`);
+    }
+
+    const head = await this.readFileHead(filePath, 4096);
+
+    return {
+      source: 'file',
+      filePath,
+      fileName: meta.fileName || path.basename(filePath),
+      mimeType: meta.mimeType || null,
+      size: stats.size,
+      compression: this.isGzip(head) ? 'gzip' : null,
+      format: this.detectFormat(this.isGzip(head) ? await this.readGzipHead(filePath) : head)
+    };
+  }
+
+  /**
+   * Describe in-memory report content
+   */
+  fromBuffer(buffer, meta = {}) {
+    let content = Buffer.isBuffer(buffer) ? buffer : Buffer.from(String(buffer), 'utf8');
+    let compression = null;
+
+    if (this.isGzip(content)) {
+      content = zlib.gunzipSync(content);
+      compression = 'gzip';
+    }
+
+    return {
+      source: 'buffer',
+      buffer: content,
+      fileName: meta.fileName || null,
+      mimeType: meta.mimeType || null,
+      size: content.length,
+      compression,
+      format: this.detectFormat(content.subarray(0, 4096))
+    };
+  }
+
+  /**
+   * Download report from HTTP(S) URL
+   */
+  async fromURL(fileUrl, options = {}) {
+    const { maxBytes = MAX_DOWNLOAD_BYTES, headers = {} } = options;
+    const response = await fetch(fileUrl, { headers });
+
+    if (!response.ok) {
+      throw new Error(`Report download failed with HTTP ${response.status}: ${fileUrl}`);
+    }
+
+    const declaredLength = parseInt(response.headers.get('content-length'), 10);
+    if (declaredLength > maxBytes) {
+      throw new Error(`Report exceeds maximum download size (${declaredLength} bytes)`);
+    }
+
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        throw new Error(`Report exceeds maximum download size (${maxBytes} bytes)`);
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+
+    const fileName = decodeURIComponent(new URL(fileUrl).pathname.split('/').pop() || '') || null;
+    return this.fromBuffer(Buffer.concat(chunks), {
+      fileName,
+      mimeType: (response.headers.get('content-type') || '').split(';')[0] || null
+    });
+  }
+
+  /**
+   * SHA-256 fingerprint of report content
+   * Computed over decompressed bytes so a gzipped re-upload matches the original
+   */
+  async fingerprint(report) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of this.openReportStream(report)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  async readFileHead(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async readGzipHead(filePath) {
+    const chunks = [];
+    let size = 0;
+    const stream = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+
+    try {
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= 4096) break;
+      }
+    } finally {
+      stream.destroy();
+    }
+
+    return Buffer.concat(chunks).subarray(0, 4096);
+  }
+
+  isGzip(buffer) {
+    return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  }
+
+  // ========== Format Detection ==========
+
+  /**
+   * Detect report format from leading bytes
+   * Returns one of the RoyaltyIngestionJob.reportFormats keys
+   */
+  detectFormat(head) {
+    if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'excel';
+    if (head.length >= 4 && head.readUInt32BE(0) === 0xd0cf11e0) return 'excel';
+
+    const text = this.decodeText(head).replace(/^\s+/, '');
+    if (text.startsWith('{') || text.startsWith('[')) return 'json';
+    if (text.startsWith('<')) return 'xml';
+    // DDEX DSR flat files open with a HEAD record or its "#HEAD" column header row
+    if (/^#?HEAD\t/.test(text)) return 'dsr';
+
+    return 'csv';
+  }
+
+  /**
+   * Format implied by file name or MIME type, using declared report formats
+   */
+  formatFromMetadata(reportFormats, fileName, mimeType) {
+    const extension = fileName ? path.extname(fileName).toLowerCase() : null;
+
+    for (const [format, signatures] of Object.entries(reportFormats)) {
+      if (mimeType && signatures.includes(mimeType)) return format;
+      if (extension && signatures.includes(extension)) return format;
+    }
+
+    if (extension === '.tsv' || extension === '.txt' || mimeType === 'text/tab-separated-values') {
+      return 'csv';
+    }
+
+    return null;
+  }
+
+  detectEncoding(head) {
+    if (head.length >= 2 && head[0] === 0xff && head[1] === 0xfe) return 'utf16le';
+    return 'utf8';
+  }
+
+  decodeText(buffer) {
+    return buffer.toString(this.detectEncoding(buffer)).replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Detect delimiter from the first line, ignoring quoted content
+   */
+  detectDelimiter(sample) {
+    const counts = Object.fromEntries(this.delimiters.map(d => [d, 0]));
+    let inQuotes = false;
+
+    for (const char of sample) {
+      if (char === '"') inQuotes = !inQuotes;
+      else if (!inQuotes && char === '\n') break;
+      else if (!inQuotes && char in counts) counts[char]++;
+    }
+
+    const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return best[1] > 0 ? best[0] : ',';
+  }
+
+  // ========== Tabular Readers ==========
+
+  /**
+   * Stream rows of a delimited text report
+   * Accepts any async iterable of Buffer/string chunks
+   */
+  async *parseDelimitedStream(chunks, options = {}) {
+    let parser = null;
+    let decoder = null;
+    let pending = '';
+
+    for await (const chunk of chunks) {
+      if (!decoder) {
+        const head = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        decoder = new StringDecoder(options.encoding || this.detectEncoding(head));
+      }
+
+      let text = Buffer.isBuffer(chunk) ? decoder.write(chunk) : chunk;
+
+      if (!parser) {
+        pending += text;
+        // Wait for a complete first line before sniffing the delimiter
+        if (pending.indexOf('\n') === -1 && pending.length < 65536) continue;
+        text = pending.replace(/^\uFEFF/, '');
+        parser = new DelimitedRowParser(options.delimiter || this.detectDelimiter(text));
+      }
+
+      for (const row of parser.push(text)) {
+        yield row;
+      }
+    }
+
+    if (!parser) {
+      const text = (pending + (decoder ? decoder.end() : '')).replace(/^\uFEFF/, '');
+      parser = new DelimitedRowParser(options.delimiter || this.detectDelimiter(text));
+      for (const row of parser.push(text)) yield row;
+    } else if (decoder) {
+      for (const row of parser.push(decoder.end())) yield row;
+    }
+
+    for (const row of parser.end()) {
+      yield row;
+    }
+  }
+
+  /**
+   * Parse a single delimited line (convenience for callers with pre-split lines)
+   */
+  parseDelimitedLine(line, delimiter = ',') {
+    const parser = new DelimitedRowParser(delimiter);
+    const rows = parser.push(line).concat(parser.end());
+    return rows[0] || [];
+  }
+
+  /**
+   * Read rows from the first worksheet of an XLSX workbook
+   */
+  readWorkbookRows(buffer, options = {}) {
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xd0cf11e0) {
+      throw new Error('Legacy .xls (BIFF) workbooks are not supported; export the report as .xlsx or CSV');
+    }
+
+    const entries = readZip(buffer);
+    const workbookXml = readZipText(entries, 'xl/workbook.xml');
+    if (!workbookXml) {
+      throw new Error('Invalid XLSX workbook: xl/workbook.xml not found');
+    }
+
+    const workbook = parseXml(workbookXml);
+    const sheets = findAll(workbook, 'sheet');
+    if (sheets.length === 0) {
+      throw new Error('XLSX workbook contains no worksheets');
+    }
+
+    const sheet = options.sheetName
+      ? sheets.find(s => s.attributes.name === options.sheetName)
+      : sheets[0];
+    if (!sheet) {
+      throw new Error(`Worksheet not found: ${options.sheetName}`);
+    }
+
+    const relationId = Object.entries(sheet.attributes).find(([key]) => localName(key) === 'id')?.[1];
+    const sheetPath = this.resolveWorksheetPath(entries, relationId);
+    const sharedStrings = this.readSharedStrings(entries);
+    const sheetDoc = parseXml(readZipText(entries, sheetPath));
+
+    return findAll(sheetDoc, 'row').map(row => {
+      const values = [];
+      for (const cell of childElements(row, 'c')) {
+        const index = cell.attributes.r ? this.columnIndex(cell.attributes.r) : values.length;
+        while (values.length < index) values.push('');
+        values[index] = this.readCellValue(cell, sharedStrings);
+      }
+      return values;
+    });
+  }
+
+  resolveWorksheetPath(entries, relationId) {
+    const relsXml = readZipText(entries, 'xl/_rels/workbook.xml.rels');
+    if (relsXml && relationId) {
+      const relationship = findAll(parseXml(relsXml), 'Relationship')
+        .find(rel => rel.attributes.Id === relationId);
+      if (relationship) {
+        const target = relationship.attributes.Target.replace(/^\//, '');
+        return target.startsWith('xl/') ? target : `xl/${target}`;
+      }
+    }
+    return 'xl/worksheets/sheet1.xml';
+  }
+
+  readSharedStrings(entries) {
+    const xml = readZipText(entries, 'xl/sharedStrings.xml');
+    if (!xml) return [];
+
+    // Rich text items keep text in several <t> runs; phonetic runs (<rPh>) are skipped
+    return findAll(parseXml(xml, { preserveWhitespace: true }), 'si').map(item =>
+      childElements(item)
+        .filter(child => localName(child.name) !== 'rPh')
+        .map(child => (localName(child.name) === 't' ? textContent(child) : findAll(child, 't').map(textContent).join('')))
+        .join('')
+    );
+  }
+
+  readCellValue(cell, sharedStrings) {
+    const type = cell.attributes.t;
+    const valueNode = childElements(cell, 'v')[0];
+    const raw = valueNode ? textContent(valueNode) : '';
+
+    switch (type) {
+      case 's':
+        return sharedStrings[parseInt(raw, 10)] ?? '';
+      case 'inlineStr':
+        return findAll(cell, 't').map(textContent).join('');
+      case 'b':
+        return raw === '1' ? 'TRUE' : 'FALSE';
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Convert A1-style reference to zero-based column index
+   */
+  columnIndex(reference) {
+    const letters = /^[A-Z]+/i.exec(reference)[0].toUpperCase();
+    let index = 0;
+    for (const letter of letters) {
+      index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  /**
+   * Extract record objects from JSON report content
+   */
+  readJsonRecords(text) {
+    const data = JSON.parse(text);
+    if (Array.isArray(data)) return data;
+
+    for (const key of ['records', 'rows', 'data', 'items', 'results', 'lines', 'transactions']) {
+      if (Array.isArray(data[key])) return data[key];
+    }
+
+    const arrays = Object.values(data).filter(Array.isArray);
+    if (arrays.length === 1) return arrays[0];
+
+    throw new Error('JSON report does not contain a record array');
+  }
+
+  /**
+   * Extract record objects from XML report content
+   * The most repeated element name is taken as the record element
+   */
+  readXmlRecords(text) {
+    const root = parseXml(text);
+    const candidates = new Map();
+
+    const visit = (node) => {
+      const children = childElements(node);
+      const counts = {};
+      for (const child of children) {
+        const name = localName(child.name);
+        counts[name] = (counts[name] || 0) + 1;
+      }
+      for (const [name, count] of Object.entries(counts)) {
+        const existing = candidates.get(name);
+        if (!existing || existing.count < count) {
+          candidates.set(name, { count, parent: node });
+        }
+      }
+      children.forEach(visit);
+    };
+    visit(root);
+
+    const [recordName, best] = [...candidates.entries()]
+      .filter(([, candidate]) => candidate.count > 0)
+      .sort((a, b) => b[1].count - a[1].count)[0] || [];
+
+    if (!recordName) {
+      throw new Error('XML report does not contain any records');
+    }
+
+    return childElements(best.parent, recordName).map(element => {
+      const record = { ...element.attributes };
+      for (const field of childElements(element)) {
+        record[localName(field.name)] = textContent(field).trim();
+      }
+      return record;
+    });
+  }
+
+  // ========== Record Iteration ==========
+
+  /**
+   * Iterate header-keyed records of a report, whatever its format
+   */
+  async *iterateRecords(report, platform) {
+    if (report.format === 'json' || report.format === 'xml') {
+      const text = this.decodeText(await this.readReportBuffer(report));
+      const records = report.format === 'json' ? this.readJsonRecords(text) : this.readXmlRecords(text);
+      for (const record of records) {
+        yield this.flattenRecord(record);
+      }
+      return;
+    }
+
+    const rows = report.format === 'excel'
+      ? this.readWorkbookRows(await this.readReportBuffer(report))
+      : this.parseDelimitedStream(this.openReportStream(report));
+
+    let headers = null;
+    const buffered = [];
+
+    for await (const row of rows) {
+      if (!headers) {
+        buffered.push(row);
+        if (buffered.length < HEADER_SCAN_ROWS) continue;
+        headers = this.detectHeaderRow(buffered, platform);
+        yield* this.rowsToRecords(buffered.slice(headers.index + 1), headers.cells);
+        continue;
+      }
+      yield* this.rowsToRecords([row], headers.cells);
+    }
+
+    if (!headers && buffered.length > 0) {
+      headers = this.detectHeaderRow(buffered, platform);
+      yield* this.rowsToRecords(buffered.slice(headers.index + 1), headers.cells);
+    }
+  }
+
+  *rowsToRecords(rows, headers) {
+    for (const row of rows) {
+      if (row.every(value => !String(value).trim())) continue;
+      const record = {};
+      headers.forEach((header, index) => {
+        if (header) record[header] = row[index] !== undefined ? String(row[index]).trim() : '';
+      });
+      yield record;
+    }
+  }
+
+  /**
+   * Pick the header row: reports often carry a preamble (account, period) above it
+   */
+  detectHeaderRow(rows, platform) {
+    const layout = this.platformLayouts[platform];
+    const aliases = new Set();
+
+    for (const layoutDef of layout ? [layout] : Object.values(this.platformLayouts)) {
+      for (const list of Object.values({ ...layoutDef.columns, ...layoutDef.extras })) {
+        list.forEach(alias => aliases.add(this.normalizeHeader(alias)));
+      }
+    }
+
+    let best = { index: 0, score: -1 };
+    rows.forEach((row, index) => {
+      const score = row.filter(cell => aliases.has(this.normalizeHeader(cell))).length;
+      if (score > best.score) best = { index, score };
+    });
+
+    return { index: best.index, cells: rows[best.index].map(cell => String(cell).trim()) };
+  }
+
+  /**
+   * Flatten nested JSON records one level deep (e.g. { track: { isrc } } -> 'track isrc')
+   */
+  flattenRecord(record, prefix = '') {
+    const flat = {};
+    for (const [key, value] of Object.entries(record || {})) {
+      const name = prefix ? `${prefix} ${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value) && !prefix) {
+        Object.assign(flat, this.flattenRecord(value, key));
+        if (!(key in flat)) flat[key] = value;
+      } else {
+        flat[name] = value;
+      }
+    }
+    return flat;
+  }
+
+  openReportStream(report) {
+    if (report.source === 'file') {
+      const stream = fs.createReadStream(report.filePath, { highWaterMark: 256 * 1024 });
+      return report.compression === 'gzip' ? stream.pipe(zlib.createGunzip()) : stream;
+    }
+    return [report.buffer];
+  }
+
+  async readReportBuffer(report) {
+    if (report.source !== 'file') return report.buffer;
+
+    const content = await fs.promises.readFile(report.filePath);
+    const buffer = report.compression === 'gzip' ? zlib.gunzipSync(content) : content;
+    report.buffer = buffer;
+    return buffer;
+  }
+
+  // ========== Layout Resolution ==========
+
+  normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Resolve platform layout against actual report headers
+   */
+  resolveLayout(headers, platform) {
+    const layout = this.platformLayouts[platform];
+    if (!layout) {
+      throw new Error(`No column layout defined for platform: ${platform}`);
+    }
+
+    const byNormalized = new Map();
+    headers.forEach(header => {
+      const key = this.normalizeHeader(header);
+      if (key && !byNormalized.has(key)) byNormalized.set(key, header);
+    });
+
+    const pick = (aliases) => {
+      for (const alias of aliases) {
+        const header = byNormalized.get(this.normalizeHeader(alias));
+        if (header !== undefined) return header;
+      }
+      return null;
+    };
+
+    const columns = {};
+    for (const [field, aliases] of Object.entries(layout.columns)) {
+      columns[field] = pick(aliases);
+    }
+
+    const extras = {};
+    for (const [field, aliases] of Object.entries(layout.extras || {})) {
+      extras[field] = pick(aliases);
+    }
+
+    const missing = [];
+    if (!columns.revenue) missing.push('revenue');
+    if (!columns.isrc && !columns.track_title) missing.push('isrc or track title');
+
+    if (missing.length > 0) {
+      throw new Error(`Unrecognised ${platform} report layout: missing ${missing.join(', ')} column(s). Headers: ${headers.join(', ')}`);
+    }
+
+    return { platform, columns, extras, defaults: layout.defaults };
+  }
+
+  /**
+   * Score how well headers match each platform layout
+   */
+  detectPlatform(headers) {
+    const normalized = new Set(headers.map(h => this.normalizeHeader(h)));
+    let best = { platform: null, score: 0 };
+
+    for (const [platform, layout] of Object.entries(this.platformLayouts)) {
+      const aliases = [...Object.values(layout.columns), ...Object.values(layout.extras || {})].flat();
+      const score = aliases.filter(alias => normalized.has(this.normalizeHeader(alias))).length;
+      if (score > best.score) best = { platform, score };
+    }
+
+    return best.platform;
+  }
+
+  /**
+   * Map raw report record onto the normalized earnings record
+   */
+  normalizeRecord(raw, layout, jobData = {}) {
+    const { columns, extras, defaults } = layout;
+    const value = (column) => {
+      if (!column) return null;
+      const cell = raw[column];
+      if (cell === undefined || cell === null) return null;
+      const text = String(cell).trim();
+      return text === '' ? null : text;
+    };
+
+    // A lone comma is ambiguous ("12,500"); reports in comma-decimal layouts always mean 12.5
+    const amountOptions = { decimalComma: (jobData.decimal_separator || defaults.decimal_separator) === ',' };
+
+    const periodStartRaw = value(columns.period_start);
+    const periodEndRaw = value(columns.period_end);
+    const periodStart = this.parseReportDate(periodStartRaw, 'start') || jobData.period_start || null;
+    const periodEnd = this.parseReportDate(periodEndRaw, 'end') || jobData.period_end || null;
+
+    const record = {
+      platform: layout.platform,
+      track_title: value(columns.track_title),
+      artist_name: value(columns.artist_name),
+      album_name: value(columns.album_name) || '',
+      isrc: this.normalizeIdentifier(value(columns.isrc)),
+      upc: this.normalizeIdentifier(value(columns.upc)),
+      territory: this.normalizeTerritory(value(columns.territory)),
+      streams: this.parseInteger(value(columns.streams)),
+      revenue: this.parseAmount(value(columns.revenue), amountOptions),
+      currency: (value(columns.currency) || defaults.currency).toUpperCase(),
+      period_start: periodStart,
+      period_end: periodEnd,
+      report_date: jobData.report_date,
+      product_type: this.normalizeProductType(value(columns.product_type)) || defaults.product_type
+    };
+
+    for (const [field, column] of Object.entries(extras || {})) {
+      record[field] = value(column);
+    }
+
+    return record;
+  }
+
+  /**
+   * Rows that are report totals rather than sales lines
+   */
+  isSummaryRow(record) {
+    const first = Object.values(record).find(v => v !== null && String(v).trim() !== '');
+    return typeof first === 'string' && /^(grand\s+)?totals?:?$/i.test(first.trim());
+  }
+
+  // ========== Value Parsing ==========
+
+  /**
+   * Parse monetary amount in US or European notation
+   * Supports currency symbols and codes, thousands separators, exponents
+   * and (negative) notation
+   * @param {Object} options - { decimalComma: a lone comma is always the decimal separator }
+   */
+  parseAmount(input, options = {}) {
+    if (input === null || input === undefined || input === '') return 0;
+    if (typeof input === 'number') return input;
+
+    let text = String(input).trim();
+
+    // Keep an exponent (1.5E-3) apart before letters and signs are stripped
+    let exponent = '';
+    const exponentMatch = text.match(/\d[eE]([+-]?\d+)\)?$/);
+    if (exponentMatch) {
+      exponent = `e${exponentMatch[1]}`;
+      text = text.slice(0, exponentMatch.index + 1) + (text.endsWith(')') ? ')' : '');
+    }
+
+    // Currency codes and symbols
+    text = text.replace(/[^0-9.,()+\s-]/g, '').trim();
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+    text = text.replace(/[^0-9.,]/g, '');
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      // Whichever separator comes last is the decimal separator
+      text = lastComma > lastDot
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    } else if (lastComma !== -1) {
+      const decimals = text.length - lastComma - 1;
+      const groups = text.split(',').length - 1;
+      // Thousands are never grouped after a zero integer part (0,001)
+      const decimalComma = options.decimalComma || decimals !== 3 || /^0*$/.test(text.slice(0, lastComma));
+      text = groups === 1 && decimalComma ? text.replace(',', '.') : text.replace(/,/g, '');
+    } else if (text.split('.').length > 2) {
+      // 1.234.567 groups thousands with dots
+      text = text.replace(/\./g, '');
+    }
+
+    const amount = parseFloat(text + exponent);
+    if (Number.isNaN(amount)) return NaN;
+    return negative ? -amount : amount;
+  }
+
+  parseInteger(input) {
+    if (input === null || input === undefined || input === '') return 0;
+    // Unit counts are whole, so a dot before three digits (European 1.200) groups thousands
+    if (typeof input === 'string' && /^\s*-?\d{1,3}(\.\d{3})+\s*$/.test(input)) {
+      return parseInt(input.replace(/[\s.]/g, ''), 10);
+    }
+    const amount = this.parseAmount(input);
+    return Number.isNaN(amount) ? NaN : Math.round(amount);
+  }
+
+  /**
+   * Parse report date into ISO date (YYYY-MM-DD)
+   * Month-only values resolve to the first or last day depending on bound
+   */
+  parseReportDate(input, bound = 'start') {
+    if (!input) return null;
+    const text = String(input).trim();
+    let match;
+
+    const iso = (year, month, day) =>
+      `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const lastDay = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const monthBound = (year, month) => iso(year, month, bound === 'end' ? lastDay(year, month) : 1);
+
+    if ((match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text))) return iso(match[1], match[2], match[3]);
+    if ((match = /^(\d{4})(\d{2})(\d{2})$/.exec(text))) return iso(match[1], match[2], match[3]);
+    if ((match = /^(\d{4})[-/](\d{1,2})$/.exec(text))) return monthBound(+match[1], +match[2]);
+    if ((match = /^(\d{4})(\d{2})$/.exec(text))) return monthBound(+match[1], +match[2]);
+    if ((match = /^(\d{1,2})\/(\d{4})$/.exec(text))) return monthBound(+match[2], +match[1]);
+
+    if ((match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(text))) {
+      // Slash dates are US (MM/DD/YYYY) unless the first part cannot be a month; dots are European
+      const [first, second] = [+match[1], +match[2]];
+      const european = text.includes('.') || first > 12;
+      return european ? iso(match[3], second, first) : iso(match[3], first, second);
+    }
+
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+      // Excel serial date (1900 date system)
+      const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(parseFloat(text)) * 86400000);
+      return date.toISOString().slice(0, 10);
+    }
+
+    const parsed = new Date(text);
+    if (!Number.isNaN(parsed.getTime())) {
+      return parsed.toISOString().slice(0, 10);
+    }
+
+    logger.warn('Unparseable report date', { value: text });
+    return null;
+  }
+
+  normalizeIdentifier(value) {
+    if (!value) return null;
+    const normalized = String(value).replace(/[\s-]/g, '').toUpperCase();
+    return normalized || null;
+  }
+
+  normalizeTerritory(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    return text.length <= 3 ? text.toUpperCase() : text;
+  }
+
+  normalizeProductType(value) {
+    if (!value) return null;
+    const key = String(value).trim().toLowerCase();
+    return this.productTypeMap[key] || key.replace(/\s+/g, '_');
+  }
+}
+
+module.exports = new ReportParserUtil();
@@ -0,0 +1,331 @@
+/**
+ * Statement PDF Utility
+ * Lays out a royalty statement document (see StatementExportService.getStatementDocument)
+ * as a branded PDF: header with logo and label details, balance summary, earnings
+ * breakdowns, recoupment deductions, payments and a footer on every page
+ */
+
+const { PdfDocument } = require('../../utils/pdf.util.cjs');
+
+// Page sizes in points
+const PAPER_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 }
+};
+
+const MARGIN = 48;
+const ROW_HEIGHT = 13;
+const FOOTER_HEIGHT = 30;
+
+const SECTION_TITLES = {
+  platforms: 'Earnings by platform',
+  territories: 'Earnings by territory',
+  tracks: 'Earnings by track',
+  deductions: 'Recoupment deductions',
+  payments: 'Payments'
+};
+
+class StatementPdfUtil {
+  /**
+   * '#RRGGBB' as PDF [r, g, b]
+   */
+  color(hex) {
+    const value = /^#[0-9a-f]{6}$/i.test(hex || '') ? hex : '#1F3A5F';
+    return [1, 3, 5].map(offset => parseInt(value.slice(offset, offset + 2), 16) / 255);
+  }
+
+  formatters(template, currency) {
+    const locale = template.number_locale || 'en-US';
+    const money = new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const integer = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 });
+    const decimal = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    return {
+      money: (value) => money.format(Number(value || 0)),
+      integer: (value) => integer.format(Number(value || 0)),
+      percent: (value) => (value === null || value === undefined ? 'various' : `${decimal.format(Number(value))}%`),
+      date: (value) => (value ? String(value instanceof Date ? value.toISOString() : value).slice(0, 10) : '')
+    };
+  }
+
+  /**
+   * First `limit` rows with the remainder summed into an "Other" row
+   */
+  limitRows(rows, limit, labelKey, sumKeys) {
+    if (!limit || rows.length <= limit) return rows;
+
+    const kept = rows.slice(0, limit - 1);
+    const rest = rows.slice(limit - 1);
+    const other = { [labelKey]: `Other (${rest.length})`, other: true };
+    for (const key of sumKeys) {
+      other[key] = Math.round(rest.reduce((sum, row) => sum + Number(row[key] || 0) * 1e6, 0)) / 1e6;
+    }
+    return [...kept, other];
+  }
+
+  render(document, template) {
+    const paper = PAPER_SIZES[template.paper_size] || PAPER_SIZES.letter;
+    const accent = this.color(template.accent_color);
+    const format = this.formatters(template, document.statement.currency);
+    const statement = document.statement;
+
+    const doc = new PdfDocument({
+      Title: `${template.title} ${statement.period_start} - ${statement.period_end}`,
+      Author: template.company_name || null,
+      Subject: `${statement.platform} royalties for ${document.payee.name}`,
+      Creator: template.company_name || null
+    });
+    doc.addFont('regular', 'Times-Roman');
+    doc.addFont('bold', 'Times-Bold');
+    doc.addFont('italic', 'Times-Italic');
+
+    const contentWidth = paper.width - MARGIN * 2;
+    const right = paper.width - MARGIN;
+    let page;
+    let y;
+
+    const fit = (font, size, text, width) => {
+      let value = String(text ?? '');
+      if (doc.widthOf(font, value, size) <= width) return value;
+      while (value.length > 1 && doc.widthOf(font, `${value}…`, size) > width) value = value.slice(0, -1);
+      return `${value.trimEnd()}…`;
+    };
+    const write = (font, size, x, text, { align = 'left', color = [0, 0, 0], width = null } = {}) => {
+      const value = width ? fit(font, size, text, width) : String(text ?? '');
+      const textWidth = doc.widthOf(font, value, size);
+      const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+      page.fillColor(color).text(font, size, left, y, value);
+    };
+    const newPage = () => {
+      page = doc.addPage({ width: paper.width, height: paper.height });
+      page.rect(0, paper.height - 8, paper.width, 8, accent);
+      y = paper.height - MARGIN;
+    };
+    const ensureSpace = (height) => {
+      if (y - height < MARGIN + FOOTER_HEIGHT) {
+        newPage();
+        return true;
+      }
+      return false;
+    };
+
+    // ========== Header ==========
+
+    newPage();
+    const headerTop = y;
+    let logoBottom = headerTop;
+    if (template.logo_image) {
+      try {
+        const logo = doc.addImage('logo', template.logo_image);
+        const height = Math.min(48, logo.height);
+        const width = Math.min(160, logo.width * height / logo.height);
+        const scaledHeight = logo.height * width / logo.width;
+        page.image('logo', MARGIN, headerTop - scaledHeight + 10, width, scaledHeight);
+        logoBottom = headerTop - scaledHeight - 4;
+      } catch (error) {
+        // An unreadable logo leaves the header text-only
+      }
+    }
+
+    const companyLines = [template.company_name, ...String(template.company_address || '').split(/\r?\n/), template.contact_email]
+      .map(line => (line || '').trim())
+      .filter(Boolean);
+    companyLines.forEach((line, index) => {
+      write(index === 0 ? 'bold' : 'regular', index === 0 ? 11 : 9, right, line, { align: 'right', width: contentWidth / 2 });
+      y -= index === 0 ? 14 : 11;
+    });
+
+    y = Math.min(y, logoBottom) - 14;
+    write('bold', 20, MARGIN, template.title, { color: accent, width: contentWidth });
+    y -= 24;
+
+    // Payee block on the left, statement details on the right
+    const blockTop = y;
+    const payeeLines = [document.payee.legal_name || document.payee.name, ...document.payee.address_lines];
+    if (document.payee.legal_name && document.payee.legal_name !== document.payee.name) {
+      payeeLines.splice(1, 0, `p/k/a ${document.payee.name}`);
+    }
+    payeeLines.forEach((line, index) => {
+      write(index === 0 ? 'bold' : 'regular', 10, MARGIN, line, { width: contentWidth / 2 - 10 });
+      y -= 13;
+    });
+    const payeeBottom = y;
+
+    y = blockTop;
+    const details = [
+      ['Statement', statement.reference],
+      ['Period', `${format.date(statement.period_start)} to ${format.date(statement.period_end)}`],
+      ['Platform', statement.platform],
+      ['Issued', format.date(statement.generated_at)],
+      ['Currency', statement.currency]
+    ];
+    for (const [label, value] of details) {
+      write('bold', 9, right - 150, `${label}:`, { align: 'right' });
+      write('regular', 9, right, value, { align: 'right', width: 145 });
+      y -= 12;
+    }
+    y = Math.min(y, payeeBottom) - 12;
+
+    // ========== Summary ==========
+
+    if (template.sections.includes('summary')) {
+      const account = document.account;
+      const totals = document.totals;
+      const rows = account
+        ? [
+          ['Opening balance', account.opening_balance, true],
+          ['Royalties this statement', account.earnings],
+          ['Recoupment deductions', -account.recoupment],
+          account.adjustments ? ['Adjustments', account.adjustments] : null,
+          ['Payments', -(account.payments - account.tax_withheld)],
+          account.tax_withheld ? ['Tax withheld', -account.tax_withheld] : null,
+          ['Closing balance', account.closing_balance, true]
+        ].filter(Boolean)
+        : [
+          ['Royalties this statement', totals.gross_revenue],
+          ['Recoupment deductions', -totals.recouped_amount],
+          ['Payable', totals.payable_amount, true]
+        ];
+
+      ensureSpace(rows.length * 16 + 30);
+      const boxHeight = rows.length * 16 + 12;
+      page.rect(MARGIN, y - boxHeight + 12, contentWidth, boxHeight, accent.map(value => 1 - (1 - value) * 0.08));
+      y -= 4;
+      for (const [label, amount, strong] of rows) {
+        write(strong ? 'bold' : 'regular', 11, MARGIN + 12, label);
+        write(strong ? 'bold' : 'regular', 11, right - 12, format.money(amount), { align: 'right' });
+        y -= 16;
+      }
+      y -= 14;
+    }
+
+    // ========== Tables ==========
+
+    const table = (title, columns, rows, totalRow = null) => {
+      const header = () => {
+        write('bold', 12, MARGIN, title, { color: accent });
+        y -= 16;
+        let x = MARGIN;
+        for (const column of columns) {
+          const width = column.width * contentWidth;
+          write('bold', 8.5, column.align === 'right' ? x + width - 4 : x, column.label, { align: column.align, width: width - 4, color: accent });
+          x += width;
+        }
+        page.line(MARGIN, y - 3, right, y - 3, 0.75, accent);
+        y -= ROW_HEIGHT + 1;
+      };
+      const row = (values, font) => {
+        if (ensureSpace(ROW_HEIGHT)) {
+          header();
+        }
+        let x = MARGIN;
+        columns.forEach((column, index) => {
+          const width = column.width * contentWidth;
+          write(font, 8.5, column.align === 'right' ? x + width - 4 : x, values[index], { align: column.align, width: width - 6 });
+          x += width;
+        });
+        y -= ROW_HEIGHT;
+      };
+
+      ensureSpace(ROW_HEIGHT * 4 + 16);
+      header();
+      if (rows.length === 0) {
+        write('italic', 8.5, MARGIN, 'None');
+        y -= ROW_HEIGHT;
+      }
+      rows.forEach(values => row(values, 'regular'));
+      if (totalRow) {
+        page.line(MARGIN, y + ROW_HEIGHT - 3, right, y + ROW_HEIGHT - 3, 0.5, [0.6, 0.6, 0.6]);
+        row(totalRow, 'bold');
+      }
+      y -= 14;
+    };
+
+    const limit = template.max_rows;
+    const totals = document.totals;
+
+    for (const section of template.sections) {
+      if (section === 'platforms') {
+        table(SECTION_TITLES.platforms, [
+          { label: 'Platform', width: 0.3 },
+          { label: 'Revenue type', width: 0.25 },
+          { label: 'Units', width: 0.15, align: 'right' },
+          { label: 'Gross revenue', width: 0.15, align: 'right' },
+          { label: 'Your share', width: 0.15, align: 'right' }
+        ], this.limitRows(document.platforms, limit, 'platform', ['streams', 'line_revenue', 'amount']).map(row => [
+          row.platform, row.revenue_type || '', format.integer(row.streams), format.money(row.line_revenue), format.money(row.amount)
+        ]), ['Total', '', format.integer(totals.streams), format.money(totals.line_revenue), format.money(totals.gross_revenue)]);
+      } else if (section === 'territories') {
+        table(SECTION_TITLES.territories, [
+          { label: 'Territory', width: 0.55 },
+          { label: 'Units', width: 0.15, align: 'right' },
+          { label: 'Gross revenue', width: 0.15, align: 'right' },
+          { label: 'Your share', width: 0.15, align: 'right' }
+        ], this.limitRows(document.territories, limit, 'territory', ['streams', 'line_revenue', 'amount']).map(row => [
+          row.territory, format.integer(row.streams), format.money(row.line_revenue), format.money(row.amount)
+        ]), ['Total', format.integer(totals.streams), format.money(totals.line_revenue), format.money(totals.gross_revenue)]);
+      } else if (section === 'tracks') {
+        const showIsrc = template.show_isrc !== false;
+        table(SECTION_TITLES.tracks, [
+          { label: 'Track', width: showIsrc ? 0.3 : 0.45 },
+          showIsrc && { label: 'ISRC', width: 0.15 },
+          { label: 'Units', width: 0.11, align: 'right' },
+          { label: 'Gross revenue', width: 0.16, align: 'right' },
+          { label: 'Split', width: 0.12, align: 'right' },
+          { label: 'Your share', width: 0.16, align: 'right' }
+        ].filter(Boolean), this.limitRows(document.tracks, limit, 'track_title', ['streams', 'line_revenue', 'amount']).map(row => [
+          row.track_title || 'Unknown track',
+          showIsrc && (row.isrc || ''),
+          format.integer(row.streams),
+          format.money(row.line_revenue),
+          row.other ? '' : format.percent(row.split_percentage),
+          format.money(row.amount)
+        ].filter(value => value !== false)), [
+          'Total', showIsrc && '', format.integer(totals.streams), format.money(totals.line_revenue), '', format.money(totals.gross_revenue)
+        ].filter(value => value !== false));
+      } else if (section === 'deductions') {
+        table(SECTION_TITLES.deductions, [
+          { label: 'Cost', width: 0.4 },
+          { label: 'Release', width: 0.28 },
+          { label: 'Recouped', width: 0.16, align: 'right' },
+          { label: 'Unrecouped', width: 0.16, align: 'right' }
+        ], document.deductions.map(row => [
+          [row.expense_type, row.description].filter(Boolean).join(': '),
+          row.release_title || 'All releases',
+          format.money(row.amount),
+          format.money(row.remaining)
+        ]), document.deductions.length > 0 ? ['Total', '', format.money(totals.recouped_amount), ''] : null);
+      } else if (section === 'payments' && document.account) {
+        table(SECTION_TITLES.payments, [
+          { label: 'Date', width: 0.14 },
+          { label: 'Description', width: 0.38 },
+          { label: 'Amount', width: 0.16, align: 'right' },
+          { label: 'Tax withheld', width: 0.16, align: 'right' },
+          { label: 'Paid', width: 0.16, align: 'right' }
+        ], document.account.payment_items.map(row => [
+          format.date(row.date),
+          row.description,
+          format.money(row.amount),
+          format.money(row.tax_withheld),
+          format.money(row.amount - row.tax_withheld)
+        ]));
+      }
+    }
+
+    // ========== Footer ==========
+
+    const footer = template.footer_text || (template.company_name ? `Issued by ${template.company_name}` : '');
+    doc.pages.forEach((footerPage, index) => {
+      page = footerPage;
+      y = MARGIN;
+      page.line(MARGIN, MARGIN + 12, right, MARGIN + 12, 0.5, [0.7, 0.7, 0.7]);
+      if (footer) write('italic', 8, MARGIN, footer, { color: [0.35, 0.35, 0.35], width: contentWidth - 80 });
+      write('regular', 8, right, `Page ${index + 1} of ${doc.pages.length}`, { align: 'right', color: [0.35, 0.35, 0.35] });
+    });
+
+    return doc.toBuffer();
+  }
+}
+
+module.exports = new StatementPdfUtil();
+module.exports.PAPER_SIZES = PAPER_SIZES;
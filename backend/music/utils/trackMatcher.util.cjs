@@ -0,0 +1,281 @@
+/**
+ * Track Matcher Utilities
+ * Fuzzy scoring of royalty report lines against catalog tracks
+ * Used to suggest candidates for report lines that could not be matched by ISRC
+ */
+
+class TrackMatcherUtil {
+  constructor() {
+    // Relative weight of each signal; weights of signals missing from the report line are redistributed
+    this.weights = {
+      title: 0.5,
+      artist: 0.3,
+      duration: 0.1,
+      upc: 0.1
+    };
+
+    // Candidates below this score are not worth a reviewer's attention
+    this.minCandidateScore = 0.35;
+    this.maxCandidates = 5;
+
+    // Duration difference (seconds) still treated as identical, and where the score reaches zero
+    this.durationTolerance = 2;
+    this.durationCutoff = 30;
+
+    // Title decorations that do not identify a different recording
+    this.titleNoise = [
+      /\b(?:feat|ft|featuring)\b\.?.*$/,
+      /\b(?:\d{4}\s+)?remaster(?:ed)?(?:\s+\d{4})?(?:\s+version)?\b/g,
+      /\b(?:explicit|clean|album|single|original)\s+version\b/g,
+      /\b(?:explicit|clean)\b/g
+    ];
+
+    this.artistSeparators = /\s*(?:,|&|\+|\/|;|\bx\b|\band\b|\bfeat\b\.?|\bft\b\.?|\bfeaturing\b|\bwith\b|\bvs\b\.?)\s*/;
+  }
+
+  // ========== Normalization ==========
+
+  /**
+   * Lowercase, strip diacritics and punctuation
+   */
+  normalizeText(value) {
+    return String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalize track title for matching
+   * Drops featured artists and remaster/explicit tags, keeps mix and version names
+   * (a remix or live take is a different recording)
+   */
+  normalizeTitle(title) {
+    let text = String(title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      // Bracketed featuring credits: "Song (feat. X)" / "Song [ft. X]"
+      .replace(/[([]\s*(?:feat|ft|featuring|with)\b[^)\]]*[)\]]/g, ' ')
+      .replace(/[()[\]{}]/g, ' ')
+      .replace(/\s+-\s+/g, ' ');
+
+    for (const pattern of this.titleNoise) {
+      text = text.replace(pattern, ' ');
+    }
+
+    return this.normalizeText(text);
+  }
+
+  /**
+   * Split artist credit into normalized individual artist names
+   */
+  splitArtists(artist) {
+    const text = String(artist || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+
+    return text
+      .split(this.artistSeparators)
+      .map(name => this.normalizeText(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Normalized primary artist of a credit
+   */
+  normalizeArtist(artist) {
+    return this.splitArtists(artist)[0] || '';
+  }
+
+  /**
+   * Parse reported duration: seconds, milliseconds, "m:ss" or "h:mm:ss"
+   */
+  parseDuration(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number') {
+      return value > 0 ? Math.round(value > 36000 ? value / 1000 : value) : null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+(?::\d{1,2}){1,2}$/.test(text)) {
+      return text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) || null;
+    }
+
+    const iso = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i.exec(text);
+    if (iso && (iso[1] || iso[2] || iso[3])) {
+      return Math.round((parseInt(iso[1] || 0, 10) * 3600) + (parseInt(iso[2] || 0, 10) * 60) + parseFloat(iso[3] || 0)) || null;
+    }
+
+    const number = Number(text.replace(',', '.'));
+    return Number.isFinite(number) && number > 0 ? this.parseDuration(number) : null;
+  }
+
+  // ========== Similarity ==========
+
+  /**
+   * Sørensen–Dice coefficient over character bigrams
+   */
+  diceCoefficient(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.slice(i, i + 2);
+      const count = bigrams.get(bigram);
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
+      }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+
+  /**
+   * Similarity of two normalized strings, tolerant to word order
+   */
+  similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const sortedA = a.split(' ').sort().join(' ');
+    const sortedB = b.split(' ').sort().join(' ');
+
+    return Math.max(this.diceCoefficient(a, b), this.diceCoefficient(sortedA, sortedB));
+  }
+
+  /**
+   * Best similarity between any artist of the line and any artist of the candidate
+   */
+  artistSimilarity(lineArtist, candidateArtists) {
+    const lineNames = this.splitArtists(lineArtist);
+    const candidateNames = candidateArtists.flatMap(name => this.splitArtists(name));
+    let best = 0;
+
+    for (const lineName of lineNames) {
+      for (const candidateName of candidateNames) {
+        best = Math.max(best, this.similarity(lineName, candidateName));
+        if (best === 1) return best;
+      }
+    }
+
+    return best;
+  }
+
+  durationSimilarity(lineDuration, trackDuration) {
+    const difference = Math.abs(lineDuration - trackDuration);
+    if (difference <= this.durationTolerance) return 1;
+    if (difference >= this.durationCutoff) return 0;
+    return 1 - (difference - this.durationTolerance) / (this.durationCutoff - this.durationTolerance);
+  }
+
+  // ========== Scoring ==========
+
+  /**
+   * Score catalog track against a report line
+   *
+   * line: { track_title, artist_name, upc, duration }
+   * candidate: { track_id, release_id, title, duration, artist_name, stage_name, upc, ... }
+   * Returns score in [0, 1] with per-signal breakdown
+   */
+  scoreCandidate(line, candidate) {
+    const breakdown = {
+      title: this.similarity(this.normalizeTitle(line.track_title), this.normalizeTitle(candidate.title)),
+      artist: this.artistSimilarity(
+        line.artist_name,
+        [candidate.artist_name, candidate.stage_name].filter(Boolean)
+      )
+    };
+
+    const lineDuration = this.parseDuration(line.duration);
+    if (lineDuration && candidate.duration) {
+      breakdown.duration = this.durationSimilarity(lineDuration, Number(candidate.duration));
+    }
+
+    const lineUpc = this.normalizeCode(line.upc);
+    if (lineUpc) {
+      breakdown.upc = lineUpc === this.normalizeCode(candidate.upc) ? 1 : 0;
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [signal, value] of Object.entries(breakdown)) {
+      weighted += value * this.weights[signal];
+      totalWeight += this.weights[signal];
+    }
+
+    const round = (value) => Math.round(value * 10000) / 10000;
+
+    return {
+      score: round(totalWeight > 0 ? weighted / totalWeight : 0),
+      breakdown: Object.fromEntries(Object.entries(breakdown).map(([signal, value]) => [signal, round(value)]))
+    };
+  }
+
+  /**
+   * Score and rank candidates, best first
+   */
+  rankCandidates(line, candidates, options = {}) {
+    const {
+      minScore = this.minCandidateScore,
+      limit = this.maxCandidates
+    } = options;
+
+    return candidates
+      .map(candidate => {
+        const { score, breakdown } = this.scoreCandidate(line, candidate);
+        return {
+          track_id: candidate.track_id,
+          release_id: candidate.release_id,
+          title: candidate.title,
+          artist_name: candidate.stage_name || candidate.artist_name,
+          release_title: candidate.release_title || null,
+          isrc: candidate.isrc || null,
+          upc: candidate.upc || null,
+          duration: candidate.duration || null,
+          score,
+          breakdown
+        };
+      })
+      .filter(candidate => candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Strip UPC/EAN to digits; EAN-13 with a leading zero equals the 12-digit UPC
+   */
+  normalizeCode(value) {
+    if (!value) return null;
+    const digits = String(value).replace(/\D/g, '');
+    if (!digits) return null;
+    return digits.length === 13 && digits[0] === '0' ? digits.slice(1) : digits;
+  }
+
+  /**
+   * Significant words of a title or artist, longest first (used to pre-filter the catalog)
+   */
+  searchTerms(value, limit = 3) {
+    const stopWords = new Set(['the', 'and', 'feat', 'with', 'version', 'remix', 'edit', 'mix', 'live']);
+    return [...new Set(this.normalizeText(value).split(' '))]
+      .filter(word => word.length >= 3 && !stopWords.has(word))
+      .sort((a, b) => b.length - a.length)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new TrackMatcherUtil();
@@ -0,0 +1,233 @@
+/**
+ * Waveform Utilities
+ * Min/max peak data in the audiowaveform JSON layout (version 2), computed
+ * once at a fine zoom and merged into coarser zoom levels for the player
+ */
+
+const pcmDecoder = require('./pcmDecoder.util.cjs');
+
+const WAVEFORM_VERSION = 2;
+const DEFAULT_SAMPLES_PER_PIXEL = 256;
+const DEFAULT_LEVELS = 6;
+
+/**
+ * Running min/max per channel over fixed-size pixel windows
+ */
+class PeakBuilder {
+  constructor(channelCount, samplesPerPixel) {
+    this.channelCount = channelCount;
+    this.samplesPerPixel = samplesPerPixel;
+    this.mins = Array.from({ length: channelCount }, () => []);
+    this.maxs = Array.from({ length: channelCount }, () => []);
+    this.currentMin = new Float64Array(channelCount).fill(Infinity);
+    this.currentMax = new Float64Array(channelCount).fill(-Infinity);
+    this.fill = 0;
+    this.frames = 0;
+  }
+
+  process(channels, frames) {
+    let offset = 0;
+    while (offset < frames) {
+      const count = Math.min(frames - offset, this.samplesPerPixel - this.fill);
+
+      for (let c = 0; c < this.channelCount; c++) {
+        const input = channels[c];
+        let min = this.currentMin[c];
+        let max = this.currentMax[c];
+        for (let i = offset; i < offset + count; i++) {
+          const sample = input[i];
+          if (sample < min) min = sample;
+          if (sample > max) max = sample;
+        }
+        this.currentMin[c] = min;
+        this.currentMax[c] = max;
+      }
+
+      offset += count;
+      this.fill += count;
+      if (this.fill === this.samplesPerPixel) this.flush();
+    }
+    this.frames += frames;
+  }
+
+  flush() {
+    for (let c = 0; c < this.channelCount; c++) {
+      this.mins[c].push(this.currentMin[c]);
+      this.maxs[c].push(this.currentMax[c]);
+    }
+    this.currentMin.fill(Infinity);
+    this.currentMax.fill(-Infinity);
+    this.fill = 0;
+  }
+
+  finish() {
+    if (this.fill > 0) this.flush();
+    return { mins: this.mins, maxs: this.maxs, frames: this.frames };
+  }
+}
+
+class WaveformUtil {
+  constructor() {
+    this.defaults = {
+      samplesPerPixel: DEFAULT_SAMPLES_PER_PIXEL,
+      levels: DEFAULT_LEVELS,
+      bits: 8
+    };
+  }
+
+  createBuilder(channelCount, samplesPerPixel = DEFAULT_SAMPLES_PER_PIXEL) {
+    return new PeakBuilder(channelCount, samplesPerPixel);
+  }
+
+  /**
+   * Peaks of a WAV, AIFF or FLAC file already run through AudioInspectorUtil
+   * @returns {Object} { sample_rate, channels, duration_ms, levels: [waveform, ...] }
+   */
+  async generate(buffer, inspection, options = {}) {
+    const { samplesPerPixel, levels, bits } = { ...this.defaults, ...options };
+    if (bits !== 8 && bits !== 16) {
+      throw new Error('Waveform bits must be 8 or 16');
+    }
+
+    const builder = this.createBuilder(inspection.channels, samplesPerPixel);
+    let sinceYield = 0;
+
+    for (const { channels, frames } of pcmDecoder.blocks(buffer, inspection)) {
+      builder.process(channels, frames);
+
+      sinceYield += frames;
+      if (sinceYield >= inspection.sample_rate * 5) {
+        sinceYield = 0;
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    const peaks = builder.finish();
+    const base = this.toWaveform(peaks, inspection.sample_rate, samplesPerPixel, bits);
+
+    const zoomLevels = [base];
+    for (let level = 1; level < levels; level++) {
+      const coarser = this.downsample(zoomLevels[level - 1], 2);
+      if (coarser.length < 1) break;
+      zoomLevels.push(coarser);
+      if (coarser.length === 1) break;
+    }
+
+    return {
+      sample_rate: inspection.sample_rate,
+      channels: inspection.channels,
+      duration_ms: Math.round((peaks.frames / inspection.sample_rate) * 1000),
+      levels: zoomLevels
+    };
+  }
+
+  /**
+   * Quantise float peaks into an audiowaveform v2 object; data holds
+   * min, max per channel for each pixel
+   */
+  toWaveform(peaks, sampleRate, samplesPerPixel, bits) {
+    const channelCount = peaks.mins.length;
+    const length = channelCount > 0 ? peaks.mins[0].length : 0;
+    const scale = bits === 8 ? 128 : 32768;
+    const quantise = (value) => Math.max(-scale, Math.min(scale - 1, Math.round(value * scale)));
+
+    const data = new Array(length * channelCount * 2);
+    let index = 0;
+    for (let pixel = 0; pixel < length; pixel++) {
+      for (let c = 0; c < channelCount; c++) {
+        data[index++] = quantise(peaks.mins[c][pixel]);
+        data[index++] = quantise(peaks.maxs[c][pixel]);
+      }
+    }
+
+    return {
+      version: WAVEFORM_VERSION,
+      channels: channelCount,
+      sample_rate: sampleRate,
+      samples_per_pixel: samplesPerPixel,
+      bits,
+      length,
+      data
+    };
+  }
+
+  /**
+   * Merge every `factor` pixels into one
+   */
+  downsample(waveform, factor) {
+    const { channels } = waveform;
+    const length = Math.ceil(waveform.length / factor);
+    const data = new Array(length * channels * 2);
+
+    for (let pixel = 0; pixel < length; pixel++) {
+      const first = pixel * factor;
+      const last = Math.min(waveform.length, first + factor);
+      for (let c = 0; c < channels; c++) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let source = first; source < last; source++) {
+          const index = (source * channels + c) * 2;
+          if (waveform.data[index] < min) min = waveform.data[index];
+          if (waveform.data[index + 1] > max) max = waveform.data[index + 1];
+        }
+        data[(pixel * channels + c) * 2] = min;
+        data[(pixel * channels + c) * 2 + 1] = max;
+      }
+    }
+
+    return {
+      ...waveform,
+      samples_per_pixel: waveform.samples_per_pixel * factor,
+      length,
+      data
+    };
+  }
+
+  /**
+   * Single-channel view taking the extremes across all channels
+   */
+  mergeChannels(waveform) {
+    if (waveform.channels === 1) return waveform;
+
+    const { channels, length } = waveform;
+    const data = new Array(length * 2);
+    for (let pixel = 0; pixel < length; pixel++) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (let c = 0; c < channels; c++) {
+        const index = (pixel * channels + c) * 2;
+        if (waveform.data[index] < min) min = waveform.data[index];
+        if (waveform.data[index + 1] > max) max = waveform.data[index + 1];
+      }
+      data[pixel * 2] = min;
+      data[pixel * 2 + 1] = max;
+    }
+
+    return { ...waveform, channels: 1, data };
+  }
+
+  /**
+   * Zoom level for a request: an exact samples_per_pixel match, otherwise
+   * the coarsest level that still has at least `pixels` points
+   */
+  selectLevel(levels, { samplesPerPixel, pixels } = {}) {
+    if (levels.length === 0) return null;
+
+    if (samplesPerPixel) {
+      const exact = levels.find(level => level.samples_per_pixel === samplesPerPixel);
+      if (exact) return exact;
+      return levels.reduce((best, level) => (
+        Math.abs(level.samples_per_pixel - samplesPerPixel) < Math.abs(best.samples_per_pixel - samplesPerPixel) ? level : best
+      ));
+    }
+
+    if (pixels) {
+      const wideEnough = levels.filter(level => level.length >= pixels);
+      return wideEnough.length > 0 ? wideEnough[wideEnough.length - 1] : levels[0];
+    }
+
+    return levels[0];
+  }
+}
+
+module.exports = new WaveformUtil();
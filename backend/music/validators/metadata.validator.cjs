@@ -5,6 +5,7 @@
  */
 
 const logger = require('../../config/logger.cjs');
+const imageSpecs = require('../utils/imageSpecs.util.cjs');
 
 class MetadataValidator {
   constructor() {
@@ -34,7 +35,7 @@ class MetadataValidator {
       this.validateReleaseIdentifiers(releaseData);
       this.validateGenreAndLanguage(releaseData);
       this.validateCopyrightInfo(releaseData);
-      this.validateArtworkRequirements(releaseData);
+      this.validateArtworkRequirements(releaseData, targetChannels);
       
       // Distribution-specific validation
       if (validateForDistribution) {
@@ -318,13 +319,25 @@ class MetadataValidator {
   /**
    * Validate artwork requirements
    */
-  validateArtworkRequirements(releaseData) {
-    if (!releaseData.artwork_url && !releaseData.artwork_file) {
+  validateArtworkRequirements(releaseData, targetChannels = []) {
+    const artwork = releaseData.artwork;
+    if (!releaseData.artwork_url && !releaseData.artwork_file && !(artwork && artwork.cover && artwork.cover.url)) {
       this.addError('missing_artwork', 'Artwork is required for release', 'artwork');
     }
 
-    // Additional artwork validation would go here
-    // (dimensions, format, file size, etc.)
+    // Uploaded covers carry their decoded inspection; re-check it for the channels now targeted
+    if (!artwork || !artwork.inspection) return;
+
+    const aliases = { apple: 'apple_music', youtube: 'youtube_music', amazon: 'amazon_music' };
+    const channels = targetChannels.length > 0
+      ? targetChannels.map(channel => aliases[channel.toLowerCase()] || channel.toLowerCase())
+      : Object.keys((artwork.validation && artwork.validation.platforms) || {});
+    const imageData = imageSpecs.fromInspection(artwork.inspection);
+
+    channels.filter(channel => imageSpecs.getPlatformSpecs(channel)).forEach(channel => {
+      const result = imageSpecs.validateImageForPlatform(imageData, channel);
+      result.errors.forEach(message => this.addError(`artwork_${channel}`, message, 'artwork'));
+    });
   }
 
   // ========== Track Validation Methods ==========
@@ -90,7 +90,8 @@ const royaltySplitSchema = Joi.object({
 // Walidator dla wydatku
 const expenseSchema = Joi.object({
     release_id: Joi.string().uuid().optional(),
-    category: Joi.string().valid('recording', 'mixing', 'mastering', 'artwork', 'marketing', 'distribution', 'other').required(),
+    artist_id: Joi.string().uuid().optional(),
+    category: Joi.string().valid('advance', 'recording', 'mixing', 'mastering', 'artwork', 'marketing', 'distribution', 'other').required(),
     description: Joi.string().min(1).max(500).required(),
     amount: Joi.number().min(0).required(),
     currency: Joi.string().length(3).default('USD'),
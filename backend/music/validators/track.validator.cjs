@@ -5,6 +5,7 @@
  */
 
 const MetadataValidator = require('./metadata.validator.cjs');
+const audioInspector = require('../utils/audioInspector.util.cjs');
 const logger = require('../../config/logger.cjs');
 
 class TrackValidator extends MetadataValidator {
@@ -194,14 +195,87 @@ class TrackValidator extends MetadataValidator {
       return;
     }
 
+    // Once the upload has been inspected, check the file itself rather than the declared specs
+    let audioData = trackData;
+    if (trackData.audio_metadata) {
+      await this.validateAudioInspection(trackData);
+      audioData = this.withInspectedSpecs(trackData);
+    }
+
     // File format validation
-    await this.validateAudioFileFormat(trackData);
+    await this.validateAudioFileFormat(audioData);
     
     // File size validation
-    await this.validateAudioFileSize(trackData);
+    await this.validateAudioFileSize(audioData);
     
     // Audio specifications validation
-    await this.validateAudioSpecifications(trackData);
+    await this.validateAudioSpecifications(audioData);
+  }
+
+  /**
+   * Validate inspected audio file against the declared track specs
+   */
+  async validateAudioInspection(trackData) {
+    const inspection = trackData.audio_metadata;
+
+    for (const error of inspection.errors || []) {
+      this.addError('audio_file_invalid', error, 'audio_file');
+    }
+
+    for (const warning of inspection.warnings || []) {
+      this.addWarning('audio_file_warning', warning, 'audio_file');
+    }
+
+    const fields = {
+      format: 'audio_file_format',
+      sample_rate: 'sample_rate',
+      bit_depth: 'bit_depth',
+      channels: 'audio_channels',
+      duration: 'duration_ms',
+      bitrate: 'audio_bitrate',
+      isrc: 'isrc'
+    };
+
+    const mismatches = audioInspector.compareWithDeclared(inspection, {
+      format: trackData.audio_file_format,
+      sampleRate: trackData.sample_rate,
+      bitDepth: trackData.bit_depth,
+      channels: trackData.audio_channels,
+      duration: trackData.duration_ms,
+      bitrate: trackData.audio_bitrate,
+      isrc: trackData.isrc
+    });
+
+    for (const mismatch of mismatches) {
+      const code = `audio_${mismatch.field}_mismatch`;
+      if (mismatch.severity === 'error') {
+        this.addError(code, mismatch.message, fields[mismatch.field]);
+      } else {
+        this.addWarning(code, mismatch.message, fields[mismatch.field]);
+      }
+    }
+  }
+
+  /**
+   * Track data with technical fields replaced by the inspected values
+   */
+  withInspectedSpecs(trackData) {
+    const inspection = trackData.audio_metadata;
+    const inspected = {
+      audio_file_format: inspection.format,
+      sample_rate: inspection.sample_rate,
+      bit_depth: inspection.bit_depth,
+      audio_channels: inspection.channels,
+      duration_ms: inspection.duration_ms,
+      audio_bitrate: inspection.lossless ? null : inspection.bitrate_kbps,
+      file_size_bytes: inspection.file_size
+    };
+
+    const merged = { ...trackData };
+    for (const [field, value] of Object.entries(inspected)) {
+      if (value !== null && value !== undefined) merged[field] = value;
+    }
+    return merged;
   }
 
   /**
@@ -799,7 +873,13 @@ class TrackValidator extends MetadataValidator {
     }
 
     // ISRC validation
-    if (!trackData.isrc) {
+    const embeddedIsrc = trackData.audio_metadata?.metadata?.isrc;
+    if (!trackData.isrc && embeddedIsrc) {
+      this.addWarning('missing_isrc', 
+        `ISRC code is required for distribution; the audio file is tagged with ${embeddedIsrc}`, 
+        'isrc'
+      );
+    } else if (!trackData.isrc) {
       this.addWarning('missing_isrc', 
         'ISRC code is required for distribution', 
         'isrc'
@@ -125,7 +125,29 @@ const config = {
         agency: process.env.ISBN_AGENCY || 'Polska Izba Książki',
         publisherPrefix: process.env.ISBN_PUBLISHER_PREFIX, // e.g., "978-83-XXXXX"
         registrantElement: process.env.ISBN_REGISTRANT_ELEMENT,
-        autoAssign: process.env.ISBN_AUTO_ASSIGN === 'true'
+        autoAssign: process.env.ISBN_AUTO_ASSIGN === 'true',
+        lowStockThreshold: parseInt(process.env.ISBN_LOW_STOCK_THRESHOLD || '10') // Warn when a block has this many ISBNs left
+    },
+    
+    // ONIX Feed Configuration
+    ONIX: {
+        senderName: process.env.ONIX_SENDER_NAME || 'HardbanRecords',
+        senderEmail: process.env.ONIX_SENDER_EMAIL,
+        publisherName: process.env.ONIX_PUBLISHER_NAME || 'HardbanRecords Publishing',
+        imprintName: process.env.ONIX_IMPRINT_NAME,
+        recordPrefix: process.env.ONIX_RECORD_PREFIX || 'com.hardbanrecords.publishing'
+    },
+    
+    // Print-on-demand Interior Configuration
+    PRINT: {
+        fonts: {
+            regular: process.env.PRINT_FONT_REGULAR, // Paths to TrueType (.ttf) files
+            bold: process.env.PRINT_FONT_BOLD,
+            italic: process.env.PRINT_FONT_ITALIC
+        },
+        defaultTrimSize: process.env.PRINT_DEFAULT_TRIM_SIZE || '6x9',
+        defaultPaperType: process.env.PRINT_DEFAULT_PAPER_TYPE || 'white', // white, cream, color_standard, color_premium
+        fontSize: parseFloat(process.env.PRINT_FONT_SIZE || '11')
     },
     
     // Email Configuration
@@ -258,6 +258,85 @@ class FormatConversionController {
         }
     }
 
+    /**
+     * Get cover spread dimensions for a print edition
+     */
+    static async getCoverSpec(req, res) {
+        try {
+            const userId = req.user.id;
+            const { publicationId, pageCount, trimSize, paperType } = req.query;
+
+            const spec = await FormatConversionService.getCoverSpec({
+                publicationId,
+                pageCount: pageCount ? parseInt(pageCount) : undefined,
+                trimSize,
+                paperType
+            }, userId);
+
+            res.json({
+                success: true,
+                data: spec
+            });
+
+        } catch (error) {
+            logger.error('Error calculating cover spec:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a full cover spread PDF for a publication
+     */
+    static async generateCoverSpread(req, res) {
+        try {
+            const userId = req.user.id;
+            const { publicationId } = req.params;
+            const { pageCount, trimSize, paperType, backgroundColor } = req.body;
+
+            const cover = await FormatConversionService.generateCoverSpread(publicationId, {
+                pageCount,
+                trimSize,
+                paperType,
+                backgroundColor
+            }, userId);
+
+            res.status(201).json({
+                success: true,
+                message: 'Cover spread generated successfully',
+                data: cover
+            });
+
+        } catch (error) {
+            logger.error('Error generating cover spread:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Validate a publication's cover image for stores and print
+     */
+    static async validateCover(req, res) {
+        try {
+            const userId = req.user.id;
+            const { publicationId } = req.params;
+            const { stores, trimSize } = req.body;
+
+            const result = await FormatConversionService.validateCover(publicationId, { stores, trimSize }, userId);
+
+            res.json({
+                success: true,
+                message: result.is_valid
+                    ? 'Cover meets all requirements'
+                    : `Cover does not meet requirements for ${result.validation.summary.incompatible.join(', ')}`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error('Error validating cover:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get conversion templates/presets
      */
@@ -279,9 +358,10 @@ class FormatConversionController {
                     description: 'High quality PDF for printing',
                     targetFormat: 'PDF',
                     options: {
-                        dpi: 300,
-                        colorProfile: 'CMYK',
-                        bleedMargins: true
+                        trimSize: '6x9',
+                        paperType: 'cream',
+                        bleed: false,
+                        fontSize: 11
                     }
                 },
                 'web-optimized-epub': {
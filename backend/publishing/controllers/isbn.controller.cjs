@@ -0,0 +1,167 @@
+/**
+ * ISBN Controller
+ * Agency block administration, per-format ISBN assignment and the
+ * assignment log export
+ */
+
+const IsbnBlockService = require('../services/isbnBlock.service.cjs');
+const logger = require('../../config/logger.cjs');
+
+class IsbnController {
+    /**
+     * List ISBN blocks with usage and low-stock flags
+     */
+    static async getBlocks(req, res) {
+        try {
+            const blocks = await IsbnBlockService.listBlocks({
+                includeRetired: req.query.includeRetired === 'true'
+            });
+
+            res.json({
+                success: true,
+                data: blocks
+            });
+
+        } catch (error) {
+            logger.error('Error listing ISBN blocks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Register a block purchased from an ISBN agency
+     */
+    static async createBlock(req, res) {
+        try {
+            const block = await IsbnBlockService.createBlock(req.body, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'ISBN block registered successfully',
+                data: block
+            });
+
+        } catch (error) {
+            logger.error('Error registering ISBN block:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Retire, reactivate or make a block the default
+     */
+    static async updateBlock(req, res) {
+        try {
+            const block = await IsbnBlockService.updateBlock(req.params.blockId, req.body);
+
+            res.json({
+                success: true,
+                message: 'ISBN block updated successfully',
+                data: block
+            });
+
+        } catch (error) {
+            logger.error('Error updating ISBN block:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * ISBNs of a publication by format
+     */
+    static async getPublicationIsbns(req, res) {
+        try {
+            const { publicationId } = req.params;
+
+            await IsbnBlockService.verifyPublicationOwner(publicationId, req.user.id);
+            const isbns = await IsbnBlockService.getPublicationIsbns(publicationId);
+
+            res.json({
+                success: true,
+                data: isbns
+            });
+
+        } catch (error) {
+            logger.error('Error getting publication ISBNs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign the next free ISBN (or a given one) to a publication format
+     */
+    static async assignIsbn(req, res) {
+        try {
+            const { publicationId, format } = req.params;
+            const { blockId, isbn } = req.body;
+
+            await IsbnBlockService.verifyPublicationOwner(publicationId, req.user.id);
+            const result = await IsbnBlockService.assignIsbn(publicationId, format, { blockId, isbn }, req.user.id);
+
+            res.status(result.assigned ? 201 : 200).json({
+                success: true,
+                message: result.assigned ? 'ISBN assigned successfully' : 'Format already has an ISBN',
+                data: result.isbn,
+                warnings: result.warnings
+            });
+
+        } catch (error) {
+            logger.error('Error assigning ISBN:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel ISBNs that were never published
+     */
+    static async cancelIsbns(req, res) {
+        try {
+            const { isbns, reason } = req.body;
+
+            const cancelled = await IsbnBlockService.cancelIsbns(isbns, reason);
+
+            res.json({
+                success: true,
+                message: `${cancelled.length} ISBN(s) cancelled`,
+                data: cancelled
+            });
+
+        } catch (error) {
+            logger.error('Error cancelling ISBNs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Export the assignment log for the ISBN agency (CSV or JSON)
+     */
+    static async exportAssignmentLog(req, res) {
+        try {
+            const { blockId, from, to, includeCancelled, format = 'csv' } = req.query;
+
+            const entries = await IsbnBlockService.getAssignmentLog({
+                blockId,
+                from,
+                to,
+                includeCancelled: includeCancelled === 'true'
+            });
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="isbn-assignments-${new Date().toISOString().slice(0, 10)}.csv"`);
+                return res.send(IsbnBlockService.assignmentLogToCSV(entries));
+            }
+
+            res.json({
+                success: true,
+                data: entries
+            });
+
+        } catch (error) {
+            logger.error('Error exporting ISBN assignment log:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = IsbnController;
@@ -9,6 +9,7 @@ const PublicationService = require('../services/publication.service.cjs');
 const ChapterService = require('../services/chapter.service.cjs');
 const RightsManagementService = require('../services/rightsManagement.service.cjs');
 const CollaborationService = require('../services/collaboration.service.cjs');
+const OnixService = require('../services/onix.service.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 const { validateRequest } = require('../../middleware/validate.cjs');
 
@@ -712,6 +713,94 @@ class PublicationController {
             next(error);
         }
     }
+
+    /**
+     * Export publication as ONIX 3.0
+     * GET /api/publishing/publications/:id/onix
+     */
+    static async exportOnix(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { addressee, format = 'json' } = req.query;
+            const userId = req.user.id;
+
+            const result = await OnixService.exportPublications([id], userId, {
+                addresseeName: addressee
+            });
+
+            if (format === 'xml') {
+                res.set('Content-Disposition', `attachment; filename="onix-${id}.xml"`);
+                return res.type('application/xml').send(result.xml);
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Export several publications as one ONIX 3.0 feed
+     * POST /api/publishing/publications/onix/export
+     */
+    static async exportOnixFeed(req, res, next) {
+        try {
+            const { publication_ids, addressee, message_number, format = 'json' } = req.body;
+            const userId = req.user.id;
+
+            if (!Array.isArray(publication_ids) || publication_ids.length === 0) {
+                throw new AppError('publication_ids must be a non-empty array', 400);
+            }
+
+            const result = await OnixService.exportPublications(publication_ids, userId, {
+                addresseeName: addressee,
+                messageNumber: message_number
+            });
+
+            if (format === 'xml') {
+                res.set('Content-Disposition', 'attachment; filename="onix-feed.xml"');
+                return res.type('application/xml').send(result.xml);
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Import publications from a retailer/distributor ONIX 3.0 feed
+     * POST /api/publishing/publications/onix/import
+     */
+    static async importOnix(req, res, next) {
+        try {
+            const { xml, author_id, dry_run = false } = req.body;
+            const userId = req.user.id;
+
+            if (!xml) {
+                throw new AppError('ONIX XML is required', 400);
+            }
+
+            const result = await OnixService.importFeed(xml, userId, {
+                author_id,
+                dry_run: dry_run === true || dry_run === 'true'
+            });
+
+            res.json({
+                success: true,
+                message: result.dry_run ? 'ONIX feed checked (dry run)' : 'ONIX feed imported',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = PublicationController;
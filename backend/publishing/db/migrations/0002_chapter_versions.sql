@@ -0,0 +1,23 @@
+-- Chapter version history
+-- Plik: 0002_chapter_versions.sql
+-- Snapshots of chapter content taken by editors and by collaborative editing sessions
+
+CREATE TABLE IF NOT EXISTS chapter_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    chapter_id UUID NOT NULL REFERENCES chapters(id) ON DELETE CASCADE,
+    publication_id UUID NOT NULL REFERENCES publications(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL, -- 1, 2, 3... per chapter
+    content TEXT NOT NULL,
+    content_hash VARCHAR(64) NOT NULL, -- SHA-256 of content
+    word_count INTEGER,
+    change_description TEXT,
+    source VARCHAR(30) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'collaborative_session', 'restore', 'import')),
+    session_revision INTEGER, -- Co-editing revision the snapshot was taken at
+    contributors JSONB NOT NULL DEFAULT '[]', -- User IDs whose edits are in this snapshot
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(chapter_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chapter_versions_chapter ON chapter_versions(chapter_id, version_number DESC);
+CREATE INDEX IF NOT EXISTS idx_chapter_versions_publication ON chapter_versions(publication_id);
@@ -0,0 +1,68 @@
+-- ISBN blocks and per-format assignment
+-- Plik: 0003_isbn_blocks.sql
+-- Blocks purchased from an ISBN agency, the counter ISBNs are allocated from and the assignment log
+
+-- A registrant element (978-83-12345) and the range of publication elements bought under it
+CREATE TABLE IF NOT EXISTS isbn_blocks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    agency VARCHAR(200) NOT NULL,
+    prefix_element CHAR(3) NOT NULL CHECK (prefix_element IN ('978', '979')),
+    registration_group VARCHAR(5) NOT NULL,
+    registrant_element VARCHAR(7) NOT NULL,
+    range_start INTEGER NOT NULL CHECK (range_start >= 0),
+    range_end INTEGER NOT NULL,
+    next_element INTEGER NOT NULL, -- range_end + 1 once the block is used up
+    low_stock_threshold INTEGER NOT NULL DEFAULT 10,
+    low_stock_notified_at TIMESTAMP WITH TIME ZONE,
+    imprint VARCHAR(200),
+    purchased_at DATE,
+    notes TEXT,
+    is_default BOOLEAN DEFAULT false,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'exhausted', 'retired')),
+    created_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (range_end >= range_start),
+    CHECK (next_element BETWEEN range_start AND range_end + 1),
+    UNIQUE(prefix_element, registration_group, registrant_element, range_start)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_isbn_blocks_default ON isbn_blocks ((true)) WHERE is_default;
+
+-- Hyphenated registrant prefixes (978-83-12345); ISBNs from outside any block keep
+-- the 9 digits after the prefix element as their title identifier
+ALTER TABLE isbn_registry ALTER COLUMN publisher_prefix TYPE VARCHAR(15);
+ALTER TABLE isbn_registry ALTER COLUMN title_identifier TYPE VARCHAR(9);
+
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS block_id UUID REFERENCES isbn_blocks(id) ON DELETE RESTRICT;
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS format VARCHAR(20) CHECK (format IN ('ebook', 'paperback', 'hardcover', 'audiobook'));
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS publication_element INTEGER;
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS assigned_by UUID;
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS published_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE isbn_registry ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+-- One live ISBN per publication format
+CREATE UNIQUE INDEX IF NOT EXISTS idx_isbn_registry_publication_format
+    ON isbn_registry(publication_id, format) WHERE status IN ('assigned', 'published');
+CREATE INDEX IF NOT EXISTS idx_isbn_registry_block ON isbn_registry(block_id, publication_element);
+CREATE INDEX IF NOT EXISTS idx_isbn_registry_assigned_at ON isbn_registry(assigned_at);
+
+-- Active ISBNs per publication format, read by ISBNModel and the ONIX export
+CREATE TABLE IF NOT EXISTS isbns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    publication_id UUID REFERENCES publications(id) ON DELETE CASCADE,
+    isbn_13 CHAR(13) NOT NULL,
+    isbn_10 CHAR(10),
+    format_type VARCHAR(20),
+    assigned_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    deactivated_at TIMESTAMP WITH TIME ZONE,
+    deactivation_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_isbns_publication ON isbns(publication_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_isbns_isbn_13_active ON isbns(isbn_13) WHERE status = 'active';
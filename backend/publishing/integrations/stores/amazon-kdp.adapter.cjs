@@ -1,6 +1,8 @@
 // Amazon KDP (Kindle Direct Publishing) Integration Adapter
 // Primary eBook and print-on-demand platform
 
+const PrintLayout = require('../../utils/printLayout.util.cjs');
+
 class AmazonKDPAdapter {
   constructor(accessKey = null, secretKey = null, sellerId = null) {
     this.accessKey = accessKey;
@@ -21,8 +23,18 @@ class AmazonKDPAdapter {
     };
   }
 
-  async publishBook(bookData, manuscript, coverImage) {
+  async publishBook(bookData, manuscript, coverImage, printFiles = {}) {
     try {
+      const print = bookData.printEnabled ? this.checkPrintFiles(bookData, printFiles) : null;
+      if (print && !print.valid) {
+        return {
+          success: false,
+          platform: this.platform,
+          error: 'Print files do not meet KDP paperback specifications',
+          validation_errors: print.errors
+        };
+      }
+
       const publicationData = {
         title: bookData.title,
         subtitle: bookData.subtitle || '',
@@ -49,11 +61,15 @@ class AmazonKDPAdapter {
             enabled: bookData.printEnabled || false,
             trim_size: bookData.trimSize || '6x9',
             paper_type: bookData.paperType || 'white',
-            bleed: bookData.bleed || false
+            bleed: bookData.bleed || false,
+            page_count: print ? print.pageCount : null,
+            spine_width: print ? print.spineWidth : null
           }
         },
         manuscript_file: manuscript,
-        cover_image: coverImage
+        cover_image: coverImage,
+        print_interior_file: print ? printFiles.interior.toString('base64') : null,
+        print_cover_file: print ? printFiles.cover.toString('base64') : null
       };
 
       const response = await this.makeRequest('POST', '/books', publicationData);
@@ -75,6 +91,42 @@ class AmazonKDPAdapter {
     }
   }
 
+  // Paperbacks need an interior PDF at the trim size (plus bleed) and a full
+  // cover whose spine matches the interior page count
+  checkPrintFiles(bookData, printFiles) {
+    const trimSize = bookData.trimSize || '6x9';
+    const paperType = bookData.paperType || 'white';
+    const { interior, cover } = printFiles;
+    const errors = [];
+
+    if (!Buffer.isBuffer(interior)) errors.push('Print interior PDF is required for paperback publishing');
+    if (!Buffer.isBuffer(cover)) errors.push('Print cover PDF is required for paperback publishing');
+    if (errors.length > 0) return { valid: false, errors };
+
+    try {
+      const interiorCheck = PrintLayout.checkInterior(interior, { trimSize, bleed: bookData.bleed || false, paperType });
+      errors.push(...interiorCheck.errors);
+
+      const pageCount = interiorCheck.pageCount || bookData.pageCount;
+      if (!pageCount) {
+        errors.push('Interior page count could not be determined');
+        return { valid: false, errors };
+      }
+
+      const coverCheck = PrintLayout.checkCover(cover, { pageCount, trimSize, paperType });
+      errors.push(...coverCheck.errors);
+
+      return {
+        valid: errors.length === 0,
+        errors,
+        pageCount,
+        spineWidth: coverCheck.spec ? coverCheck.spec.spineWidth : null
+      };
+    } catch (error) {
+      return { valid: false, errors: [...errors, error.message] };
+    }
+  }
+
   async getSalesAnalytics(asin, startDate, endDate) {
     try {
       const params = new URLSearchParams({
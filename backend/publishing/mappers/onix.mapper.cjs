@@ -0,0 +1,735 @@
+/**
+ * ONIX Mapper - ONIX for Books 3.0 Transformation Layer
+ * Maps publications to ONIX 3.0 Product records and parses retailer or
+ * distributor ONIX feeds (reference or short tags) back into publication data
+ */
+
+const {
+    element,
+    serializeXml,
+    parseXml,
+    localName,
+    childElements,
+    firstChild,
+    findAll,
+    escapeXml,
+    textContent,
+    textAt
+} = require('../../utils/xml.util.cjs');
+
+const ONIX_NAMESPACE = 'http://ns.editeur.org/onix/3.0/reference';
+
+// Publication format -> ProductForm (List 150) and ProductFormDetail (List 175)
+const PRODUCT_FORMS = {
+    ebook: { form: 'ED', detail: 'E101' },
+    epub: { form: 'ED', detail: 'E101' },
+    pdf: { form: 'ED', detail: 'E107' },
+    mobi: { form: 'ED', detail: 'E116' },
+    azw3: { form: 'ED', detail: 'E116' },
+    paperback: { form: 'BC' },
+    hardcover: { form: 'BB' },
+    audiobook: { form: 'AJ', detail: 'A103' },
+    mp3: { form: 'AJ', detail: 'A103' },
+    wav: { form: 'AJ', detail: 'A104' },
+    m4a: { form: 'AJ', detail: 'A107' }
+};
+
+// Publication status -> PublishingStatus (List 64) and ProductAvailability (List 65)
+const PUBLISHING_STATUS = {
+    draft: { status: '02', availability: '10' },
+    review: { status: '02', availability: '10' },
+    approved: { status: '02', availability: '10' },
+    published: { status: '04', availability: '20' },
+    suspended: { status: '11', availability: '46' },
+    archived: { status: '07', availability: '51' }
+};
+
+// ISO 639-1 (publications.language) -> ISO 639-2/B (ONIX List 74)
+const LANGUAGE_CODES = {
+    ar: 'ara', cs: 'cze', da: 'dan', de: 'ger', el: 'gre', en: 'eng', es: 'spa',
+    fi: 'fin', fr: 'fre', he: 'heb', hi: 'hin', hu: 'hun', it: 'ita', ja: 'jpn',
+    ko: 'kor', nl: 'dut', no: 'nor', pl: 'pol', pt: 'por', ro: 'rum', ru: 'rus',
+    sk: 'slo', sv: 'swe', tr: 'tur', uk: 'ukr', zh: 'chi'
+};
+
+// Short tags of the composites and elements read by the importer
+const SHORT_TAGS = {
+    ONIXmessage: 'ONIXMessage', header: 'Header', sender: 'Sender', x298: 'SenderName',
+    x299: 'ContactName', j272: 'EmailAddress', x307: 'SentDateTime', m186: 'DefaultCurrencyCode',
+    product: 'Product', a001: 'RecordReference', a002: 'NotificationType',
+    productidentifier: 'ProductIdentifier', b221: 'ProductIDType', b233: 'IDTypeName', b244: 'IDValue',
+    descriptivedetail: 'DescriptiveDetail', x314: 'ProductComposition', b012: 'ProductForm',
+    b333: 'ProductFormDetail', collection: 'Collection', x329: 'CollectionType',
+    titledetail: 'TitleDetail', b202: 'TitleType', titleelement: 'TitleElement',
+    x409: 'TitleElementLevel', x410: 'PartNumber', b203: 'TitleText', b030: 'TitlePrefix',
+    b031: 'TitleWithoutPrefix', b029: 'Subtitle', contributor: 'Contributor', b034: 'SequenceNumber',
+    b035: 'ContributorRole', b036: 'PersonName', b037: 'PersonNameInverted', b039: 'NamesBeforeKey',
+    b040: 'KeyNames', b047: 'CorporateName', b044: 'BiographicalNote', language: 'Language',
+    b253: 'LanguageRole', b252: 'LanguageCode', extent: 'Extent', b218: 'ExtentType',
+    b219: 'ExtentValue', b220: 'ExtentUnit', subject: 'Subject', x425: 'MainSubject',
+    b067: 'SubjectSchemeIdentifier', b069: 'SubjectCode', b070: 'SubjectHeadingText',
+    audiencerange: 'AudienceRange', b074: 'AudienceRangeQualifier', b075: 'AudienceRangePrecision',
+    b076: 'AudienceRangeValue', collateraldetail: 'CollateralDetail', textcontent: 'TextContent',
+    x426: 'TextType', x427: 'ContentAudience', d104: 'Text', supportingresource: 'SupportingResource',
+    x436: 'ResourceContentType', x437: 'ResourceMode', resourceversion: 'ResourceVersion',
+    x441: 'ResourceForm', x435: 'ResourceLink', publishingdetail: 'PublishingDetail',
+    imprint: 'Imprint', b079: 'ImprintName', publisher: 'Publisher', b291: 'PublishingRole',
+    b081: 'PublisherName', b394: 'PublishingStatus', publishingdate: 'PublishingDate',
+    x448: 'PublishingDateRole', b306: 'Date', salesrights: 'SalesRights', b089: 'SalesRightsType',
+    territory: 'Territory', x449: 'CountriesIncluded', x450: 'RegionsIncluded',
+    x451: 'CountriesExcluded', x452: 'RegionsExcluded', relatedmaterial: 'RelatedMaterial',
+    relatedproduct: 'RelatedProduct', x455: 'ProductRelationCode', productsupply: 'ProductSupply',
+    supplydetail: 'SupplyDetail', supplier: 'Supplier', j292: 'SupplierRole', j137: 'SupplierName',
+    j396: 'ProductAvailability', price: 'Price', x462: 'PriceType', j151: 'PriceAmount',
+    j152: 'CurrencyCode'
+};
+
+class OnixMapper {
+
+    // ========== Publication to ONIX ==========
+
+    /**
+     * Wrap Product records in an ONIXMessage with its Header
+     */
+    static toMessage(products, header = {}) {
+        return element('ONIXMessage', { release: '3.0', xmlns: ONIX_NAMESPACE }, [
+            element('Header', {}, [
+                element('Sender', {}, [
+                    element('SenderName', {}, header.senderName),
+                    header.contactName && element('ContactName', {}, header.contactName),
+                    header.email && element('EmailAddress', {}, header.email)
+                ]),
+                header.addresseeName && element('Addressee', {}, [
+                    element('AddresseeName', {}, header.addresseeName)
+                ]),
+                header.messageNumber && element('MessageNumber', {}, header.messageNumber),
+                element('SentDateTime', {}, this.formatDateTime(header.sentAt || new Date()))
+            ]),
+            products
+        ]);
+    }
+
+    static toXml(message) {
+        return serializeXml(message);
+    }
+
+    /**
+     * Build one Product record for a publication format
+     *
+     * data: { publication, author, format: { format_type, isbn_13, isbn_10 },
+     *         relatedIsbns, categories, rights, publisher: { name, imprint }, recordPrefix }
+     * Rights are expected with regions already expanded to countries.
+     */
+    static toProduct(data) {
+        const { publication, format, relatedIsbns = [], recordPrefix } = data;
+        const formatType = format.format_type || publication.publication_type;
+
+        return element('Product', {}, [
+            element('RecordReference', {}, `${recordPrefix}.${publication.id}.${formatType}`),
+            element('NotificationType', {}, publication.status === 'published' ? '03' : '02'),
+            this.toIdentifier('01', `${publication.id}:${formatType}`, recordPrefix),
+            format.isbn_13 && this.toIdentifier('15', format.isbn_13),
+            format.isbn_10 && this.toIdentifier('02', format.isbn_10),
+            this.toDescriptiveDetail(data, formatType),
+            this.toCollateralDetail(publication),
+            this.toPublishingDetail(data),
+            relatedIsbns.length > 0 && element('RelatedMaterial', {},
+                relatedIsbns.map(isbn => element('RelatedProduct', {}, [
+                    // 06: alternative format of the same work
+                    element('ProductRelationCode', {}, '06'),
+                    this.toIdentifier('15', isbn)
+                ]))
+            ),
+            this.toProductSupply(data, formatType)
+        ]);
+    }
+
+    static toIdentifier(type, value, typeName = null) {
+        return element('ProductIdentifier', {}, [
+            element('ProductIDType', {}, type),
+            typeName && element('IDTypeName', {}, typeName),
+            element('IDValue', {}, value)
+        ]);
+    }
+
+    static toDescriptiveDetail(data, formatType) {
+        const { publication, author, categories = [] } = data;
+        const form = PRODUCT_FORMS[formatType] || PRODUCT_FORMS.ebook;
+        const keywords = this.toList(publication.keywords);
+
+        return element('DescriptiveDetail', {}, [
+            element('ProductComposition', {}, '00'),
+            element('ProductForm', {}, form.form),
+            form.detail && element('ProductFormDetail', {}, form.detail),
+            form.form === 'ED' && element('EpubTechnicalProtection', {},
+                this.toTechnicalProtection(publication.drm_settings)
+            ),
+            publication.series_name
+                ? element('Collection', {}, [
+                    // 10: publisher collection (series)
+                    element('CollectionType', {}, '10'),
+                    element('TitleDetail', {}, [
+                        element('TitleType', {}, '01'),
+                        element('TitleElement', {}, [
+                            element('TitleElementLevel', {}, '02'),
+                            publication.series_number && element('PartNumber', {}, publication.series_number),
+                            element('TitleText', {}, publication.series_name)
+                        ])
+                    ])
+                ])
+                : element('NoCollection'),
+            element('TitleDetail', {}, [
+                element('TitleType', {}, '01'),
+                element('TitleElement', {}, [
+                    element('TitleElementLevel', {}, '01'),
+                    element('TitleText', {}, publication.title),
+                    publication.subtitle && element('Subtitle', {}, publication.subtitle)
+                ])
+            ]),
+            author
+                ? element('Contributor', {}, [
+                    element('SequenceNumber', {}, '1'),
+                    element('ContributorRole', {}, 'A01'),
+                    element('PersonName', {}, author.pen_name),
+                    author.biography && element('BiographicalNote', {}, author.biography)
+                ])
+                : element('NoContributor'),
+            element('NoEdition'),
+            publication.language && element('Language', {}, [
+                element('LanguageRole', {}, '01'),
+                element('LanguageCode', {}, LANGUAGE_CODES[publication.language] || publication.language)
+            ]),
+            publication.page_count && element('Extent', {}, [
+                element('ExtentType', {}, '00'),
+                element('ExtentValue', {}, publication.page_count),
+                element('ExtentUnit', {}, '03')
+            ]),
+            publication.word_count && element('Extent', {}, [
+                element('ExtentType', {}, '02'),
+                element('ExtentValue', {}, publication.word_count),
+                element('ExtentUnit', {}, '02')
+            ]),
+            categories.map((code, index) => element('Subject', {}, [
+                index === 0 && element('MainSubject'),
+                // 10: BISAC Subject Heading
+                element('SubjectSchemeIdentifier', {}, '10'),
+                element('SubjectCode', {}, code)
+            ])),
+            keywords.length > 0 && element('Subject', {}, [
+                element('SubjectSchemeIdentifier', {}, '20'),
+                element('SubjectHeadingText', {}, keywords.join('; '))
+            ]),
+            (publication.reading_age_min || publication.reading_age_max) && element('AudienceRange', {}, [
+                // 17: interest age, years
+                element('AudienceRangeQualifier', {}, '17'),
+                publication.reading_age_min && [
+                    element('AudienceRangePrecision', {}, '03'),
+                    element('AudienceRangeValue', {}, publication.reading_age_min)
+                ],
+                publication.reading_age_max && [
+                    element('AudienceRangePrecision', {}, '04'),
+                    element('AudienceRangeValue', {}, publication.reading_age_max)
+                ]
+            ])
+        ]);
+    }
+
+    static toCollateralDetail(publication) {
+        if (!publication.description && !publication.cover_image) return null;
+
+        return element('CollateralDetail', {}, [
+            publication.description && element('TextContent', {}, [
+                element('TextType', {}, '03'),
+                element('ContentAudience', {}, '00'),
+                // 02: HTML (escaped), 06: plain text
+                element('Text', { textformat: /<[a-z][^>]*>/i.test(publication.description) ? '02' : '06' },
+                    publication.description
+                )
+            ]),
+            publication.cover_image && element('SupportingResource', {}, [
+                element('ResourceContentType', {}, '01'),
+                element('ContentAudience', {}, '00'),
+                element('ResourceMode', {}, '03'),
+                element('ResourceVersion', {}, [
+                    element('ResourceForm', {}, '02'),
+                    element('ResourceLink', {}, publication.cover_image)
+                ])
+            ])
+        ]);
+    }
+
+    static toPublishingDetail(data) {
+        const { publication, publisher = {}, rights = [] } = data;
+        const status = PUBLISHING_STATUS[publication.status] || PUBLISHING_STATUS.draft;
+
+        return element('PublishingDetail', {}, [
+            publisher.imprint && element('Imprint', {}, [
+                element('ImprintName', {}, publisher.imprint)
+            ]),
+            publisher.name && element('Publisher', {}, [
+                element('PublishingRole', {}, '01'),
+                element('PublisherName', {}, publisher.name)
+            ]),
+            element('PublishingStatus', {}, status.status),
+            publication.publication_date && element('PublishingDate', {}, [
+                element('PublishingDateRole', {}, '01'),
+                element('Date', {}, this.formatDate(publication.publication_date))
+            ]),
+            publication.first_publication_date && element('PublishingDate', {}, [
+                element('PublishingDateRole', {}, '11'),
+                element('Date', {}, this.formatDate(publication.first_publication_date))
+            ]),
+            rights.map(right => this.toSalesRights(right))
+        ]);
+    }
+
+    /**
+     * Territorial rights row -> SalesRights (exclusive 01, non-exclusive 02)
+     */
+    static toSalesRights(right) {
+        const countries = (right.countries || []).join(' ');
+        let territory;
+
+        switch (right.territory_type) {
+            case 'worldwide':
+                territory = [element('RegionsIncluded', {}, 'WORLD')];
+                break;
+            case 'exclude_countries':
+                territory = [
+                    element('RegionsIncluded', {}, 'WORLD'),
+                    countries && element('CountriesExcluded', {}, countries)
+                ];
+                break;
+            default:
+                territory = [element('CountriesIncluded', {}, countries)];
+        }
+
+        return element('SalesRights', {}, [
+            element('SalesRightsType', {}, right.exclusive ? '01' : '02'),
+            element('Territory', {}, territory)
+        ]);
+    }
+
+    static toProductSupply(data, formatType) {
+        const { publication, publisher = {} } = data;
+        const status = PUBLISHING_STATUS[publication.status] || PUBLISHING_STATUS.draft;
+        const prices = this.toPrices(publication.price_settings, formatType);
+
+        return element('ProductSupply', {}, [
+            element('SupplyDetail', {}, [
+                element('Supplier', {}, [
+                    element('SupplierRole', {}, '01'),
+                    element('SupplierName', {}, publisher.name)
+                ]),
+                element('ProductAvailability', {}, status.availability),
+                prices.length > 0
+                    ? prices.map(price => element('Price', {}, [
+                        element('PriceType', {}, price.type),
+                        element('PriceAmount', {}, price.amount.toFixed(2)),
+                        element('CurrencyCode', {}, price.currency)
+                    ]))
+                    // 02: price to be announced
+                    : element('UnpricedItemType', {}, '02')
+            ])
+        ]);
+    }
+
+    /**
+     * Per-currency prices from price_settings ({ USD: { retail_price, wholesale_price } }),
+     * optionally keyed by format first ({ ebook: { USD: {...} } })
+     */
+    static toPrices(priceSettings, formatType) {
+        const settings = priceSettings || {};
+        const byCurrency = settings[formatType] && typeof settings[formatType] === 'object'
+            ? settings[formatType]
+            : settings;
+        const prices = [];
+
+        for (const [currency, price] of Object.entries(byCurrency)) {
+            if (!/^[A-Z]{3}$/.test(currency) || !price || typeof price !== 'object') continue;
+
+            if (typeof price.retail_price === 'number') {
+                // 02: RRP including tax, 01: RRP excluding tax
+                prices.push({ type: price.includes_tax ? '02' : '01', amount: price.retail_price, currency });
+            }
+            if (typeof price.wholesale_price === 'number') {
+                prices.push({ type: '05', amount: price.wholesale_price, currency });
+            }
+        }
+
+        return prices;
+    }
+
+    static toTechnicalProtection(drmSettings) {
+        if (!drmSettings || drmSettings.enabled === false) return '00';
+        if (/watermark|social/i.test(drmSettings.type || drmSettings.provider || '')) return '03';
+        return drmSettings.enabled ? '02' : '00';
+    }
+
+    // ========== ONIX to Publication ==========
+
+    /**
+     * Parse an ONIX 3.0 message into header info and product data
+     */
+    static fromMessage(xml) {
+        const root = this.expandShortTags(parseXml(xml));
+        if (localName(root.name) !== 'ONIXMessage') {
+            throw new Error(`Not an ONIX message: root element is <${root.name}>`);
+        }
+
+        const release = root.attributes.release;
+        if (release && !release.startsWith('3.')) {
+            throw new Error(`Unsupported ONIX release ${release}; only ONIX 3.0 is supported`);
+        }
+
+        const header = firstChild(root, 'Header');
+        const defaultCurrency = textAt(header, 'DefaultCurrencyCode');
+
+        return {
+            header: {
+                sender: textAt(header, 'Sender/SenderName'),
+                sent_at: textAt(header, 'SentDateTime')
+            },
+            products: childElements(root, 'Product').map(product => this.fromProduct(product, { defaultCurrency }))
+        };
+    }
+
+    /**
+     * Map one Product record onto publication fields, identifiers, rights and prices
+     */
+    static fromProduct(product, options = {}) {
+        const detail = firstChild(product, 'DescriptiveDetail');
+        const publishing = firstChild(product, 'PublishingDetail');
+        const identifiers = this.readIdentifiers(product);
+        const form = textAt(detail, 'ProductForm');
+        const formDetails = childElements(detail, 'ProductFormDetail').map(node => this.text(node));
+        const title = this.readTitle(detail);
+        const series = this.readSeries(detail);
+        const bisac = childElements(detail, 'Subject')
+            .filter(subject => textAt(subject, 'SubjectSchemeIdentifier') === '10' && textAt(subject, 'SubjectCode'))
+            .sort((a, b) => Number(Boolean(firstChild(b, 'MainSubject'))) - Number(Boolean(firstChild(a, 'MainSubject'))))
+            .map(subject => textAt(subject, 'SubjectCode'));
+        const keywords = childElements(detail, 'Subject')
+            .filter(subject => textAt(subject, 'SubjectSchemeIdentifier') === '20')
+            .flatMap(subject => (textAt(subject, 'SubjectHeadingText') || '').split(/\s*[;,]\s*/))
+            .filter(Boolean);
+        const ages = this.readAudienceRange(detail);
+
+        return {
+            record_reference: textAt(product, 'RecordReference'),
+            notification_type: textAt(product, 'NotificationType'),
+            identifiers,
+            format_type: this.toFormatType(form, formDetails),
+            publishing_status: textAt(publishing, 'PublishingStatus'),
+            publisher: textAt(publishing, 'Publisher/PublisherName'),
+            contributors: this.readContributors(detail),
+            related_isbns: findAll(firstChild(product, 'RelatedMaterial'), 'RelatedProduct')
+                .filter(related => textAt(related, 'ProductRelationCode') === '06')
+                .map(related => this.readIdentifiers(related).isbn_13)
+                .filter(Boolean),
+            rights: this.readSalesRights(publishing),
+            publication: {
+                title: title.title,
+                subtitle: title.subtitle,
+                series_name: series.name,
+                series_number: series.number,
+                description: this.readDescription(product),
+                language: this.readLanguage(detail),
+                isbn_13: identifiers.isbn_13,
+                isbn_10: identifiers.isbn_10,
+                publication_date: this.readPublishingDate(publishing, '01'),
+                first_publication_date: this.readPublishingDate(publishing, '11'),
+                page_count: this.readExtent(detail, ['00', '11'], '03'),
+                word_count: this.readExtent(detail, ['02'], '02'),
+                reading_age_min: ages.min,
+                reading_age_max: ages.max,
+                cover_image: this.readCoverImage(product),
+                keywords: keywords.length > 0 ? keywords : null,
+                categories: bisac.length > 0 ? bisac : null,
+                publication_type: this.toPublicationType(form),
+                price_settings: this.readPrices(product, options.defaultCurrency)
+            }
+        };
+    }
+
+    static readIdentifiers(node) {
+        const identifiers = { isbn_13: null, isbn_10: null, proprietary: [] };
+
+        for (const identifier of childElements(node, 'ProductIdentifier')) {
+            const type = textAt(identifier, 'ProductIDType');
+            const value = (textAt(identifier, 'IDValue') || '').replace(/[\s-]/g, '');
+            if (!value) continue;
+
+            if (type === '15' || (type === '03' && /^97[89]\d{10}$/.test(value))) {
+                identifiers.isbn_13 = identifiers.isbn_13 || value;
+            } else if (type === '02') {
+                identifiers.isbn_10 = value.toUpperCase();
+            } else if (type === '01') {
+                identifiers.proprietary.push({ type_name: textAt(identifier, 'IDTypeName'), value });
+            }
+        }
+
+        return identifiers;
+    }
+
+    static readTitle(detail) {
+        const titleDetail = childElements(detail, 'TitleDetail')
+            .find(node => textAt(node, 'TitleType') === '01') || firstChild(detail, 'TitleDetail');
+        const titleElement = childElements(titleDetail, 'TitleElement')
+            .find(node => textAt(node, 'TitleElementLevel') === '01') || firstChild(titleDetail, 'TitleElement');
+
+        const prefixed = [textAt(titleElement, 'TitlePrefix'), textAt(titleElement, 'TitleWithoutPrefix')]
+            .filter(Boolean)
+            .join(' ');
+
+        return {
+            title: textAt(titleElement, 'TitleText') || prefixed || null,
+            subtitle: textAt(titleElement, 'Subtitle')
+        };
+    }
+
+    static readSeries(detail) {
+        const collection = childElements(detail, 'Collection')
+            .find(node => (textAt(node, 'CollectionType') || '10') === '10');
+        const titleElement = collection && findAll(collection, 'TitleElement')
+            .find(node => textAt(node, 'TitleElementLevel') === '02');
+        if (!titleElement) return { name: null, number: null };
+
+        const number = parseInt(textAt(titleElement, 'PartNumber'), 10);
+        return {
+            name: textAt(titleElement, 'TitleText'),
+            number: Number.isNaN(number) ? null : number
+        };
+    }
+
+    static readContributors(detail) {
+        return childElements(detail, 'Contributor').map((contributor, index) => {
+            const inverted = textAt(contributor, 'PersonNameInverted');
+            const keyed = [textAt(contributor, 'NamesBeforeKey'), textAt(contributor, 'KeyNames')]
+                .filter(Boolean)
+                .join(' ');
+
+            return {
+                sequence: parseInt(textAt(contributor, 'SequenceNumber'), 10) || index + 1,
+                roles: childElements(contributor, 'ContributorRole').map(node => this.text(node)),
+                name: textAt(contributor, 'PersonName')
+                    || keyed
+                    || (inverted ? inverted.split(/,\s*/).reverse().join(' ') : null)
+                    || textAt(contributor, 'CorporateName'),
+                biography: textAt(contributor, 'BiographicalNote')
+            };
+        }).sort((a, b) => a.sequence - b.sequence);
+    }
+
+    static readLanguage(detail) {
+        const language = childElements(detail, 'Language')
+            .find(node => textAt(node, 'LanguageRole') === '01');
+        const code = language ? (textAt(language, 'LanguageCode') || '').toLowerCase() : null;
+        if (!code) return null;
+
+        const iso1 = Object.keys(LANGUAGE_CODES).find(key => LANGUAGE_CODES[key] === code);
+        return iso1 || (code.length === 2 ? code : null);
+    }
+
+    static readExtent(detail, types, unit) {
+        const extent = childElements(detail, 'Extent')
+            .find(node => types.includes(textAt(node, 'ExtentType')) && textAt(node, 'ExtentUnit') === unit);
+        const value = extent ? parseInt(textAt(extent, 'ExtentValue'), 10) : NaN;
+        return Number.isNaN(value) ? null : value;
+    }
+
+    static readAudienceRange(detail) {
+        const range = childElements(detail, 'AudienceRange')
+            .find(node => textAt(node, 'AudienceRangeQualifier') === '17');
+        const ages = { min: null, max: null };
+        if (!range) return ages;
+
+        // Precision/value pairs: 01 exact, 03 from, 04 to
+        let precision = null;
+        for (const child of childElements(range)) {
+            const name = localName(child.name);
+            if (name === 'AudienceRangePrecision') {
+                precision = this.text(child);
+            } else if (name === 'AudienceRangeValue') {
+                const value = parseInt(this.text(child), 10);
+                if (precision === '01' || precision === '03') ages.min = value;
+                if (precision === '01' || precision === '04') ages.max = value;
+            }
+        }
+
+        return ages;
+    }
+
+    static readDescription(product) {
+        const contents = findAll(firstChild(product, 'CollateralDetail'), 'TextContent');
+        const content = contents.find(node => textAt(node, 'TextType') === '03')
+            || contents.find(node => textAt(node, 'TextType') === '02');
+        const text = content && firstChild(content, 'Text');
+        if (!text) return null;
+
+        // XHTML descriptions keep their markup; escaped HTML decodes to markup already
+        const markup = text.attributes.textformat === '05'
+            ? text.children
+                .map(child => (child.type === 'text'
+                    ? escapeXml(child.value)
+                    : serializeXml(child, { declaration: false, indent: '' })))
+                .join('')
+            : textContent(text);
+        return markup.trim() || null;
+    }
+
+    static readCoverImage(product) {
+        const resource = findAll(firstChild(product, 'CollateralDetail'), 'SupportingResource')
+            .find(node => textAt(node, 'ResourceContentType') === '01');
+        return resource ? textAt(firstChild(resource, 'ResourceVersion'), 'ResourceLink') : null;
+    }
+
+    static readPublishingDate(publishing, role) {
+        const date = childElements(publishing, 'PublishingDate')
+            .find(node => textAt(node, 'PublishingDateRole') === role);
+        return date ? this.parseDate(textAt(date, 'Date')) : null;
+    }
+
+    /**
+     * SalesRights -> territorial rights rows; "not for sale" territories are
+     * carved out of a worldwide grant
+     */
+    static readSalesRights(publishing) {
+        const rights = [];
+        const notForSale = [];
+
+        for (const salesRights of childElements(publishing, 'SalesRights')) {
+            const type = textAt(salesRights, 'SalesRightsType');
+            const territory = firstChild(salesRights, 'Territory');
+            const included = this.splitCodes(textAt(territory, 'CountriesIncluded'));
+            const excluded = this.splitCodes(textAt(territory, 'CountriesExcluded'));
+            const world = this.splitCodes(textAt(territory, 'RegionsIncluded')).includes('WORLD');
+
+            if (type === '03') {
+                notForSale.push(...included);
+                continue;
+            }
+            if (type !== '01' && type !== '02') continue;
+
+            let right;
+            if (world && excluded.length > 0) {
+                right = { territory_type: 'exclude_countries', countries: excluded };
+            } else if (world) {
+                right = { territory_type: 'worldwide', countries: [] };
+            } else if (included.length > 0) {
+                right = { territory_type: 'countries', countries: included };
+            } else {
+                continue;
+            }
+
+            rights.push({ ...right, rights_type: 'distribution', exclusive: type === '01', regions: [] });
+        }
+
+        if (notForSale.length > 0) {
+            for (const right of rights) {
+                if (right.territory_type === 'worldwide' || right.territory_type === 'exclude_countries') {
+                    right.territory_type = 'exclude_countries';
+                    right.countries = [...new Set([...right.countries, ...notForSale])];
+                }
+            }
+        }
+
+        return rights;
+    }
+
+    /**
+     * Prices by currency in price_settings shape; tax-inclusive RRP wins over exclusive
+     */
+    static readPrices(product, defaultCurrency = null) {
+        const settings = {};
+
+        for (const price of findAll(firstChild(product, 'ProductSupply'), 'Price')) {
+            const type = textAt(price, 'PriceType');
+            const currency = (textAt(price, 'CurrencyCode') || defaultCurrency || '').toUpperCase();
+            const amount = parseFloat(textAt(price, 'PriceAmount'));
+            if (!currency || Number.isNaN(amount)) continue;
+
+            const entry = settings[currency] || (settings[currency] = {});
+            if (type === '02' || (type === '01' && entry.retail_price === undefined)) {
+                entry.retail_price = amount;
+                entry.includes_tax = type === '02';
+            } else if (type === '05' && entry.wholesale_price === undefined) {
+                entry.wholesale_price = amount;
+            }
+        }
+
+        return Object.keys(settings).length > 0 ? settings : null;
+    }
+
+    static toFormatType(form, details = []) {
+        if (!form) return null;
+        if (form === 'ED' || form === 'EA' || form === 'DG') {
+            if (details.includes('E107')) return 'pdf';
+            if (details.includes('E116')) return 'mobi';
+            return 'ebook';
+        }
+        return this.toPublicationType(form);
+    }
+
+    static toPublicationType(form) {
+        if (!form) return null;
+        if (form === 'BB') return 'hardcover';
+        if (form.startsWith('B')) return 'paperback';
+        if (form.startsWith('A')) return 'audiobook';
+        if (form.startsWith('E') || form === 'DG') return 'ebook';
+        return null;
+    }
+
+    // ========== Helpers ==========
+
+    /**
+     * Rename short-tag elements (<product>, <b244>) to their reference names
+     */
+    static expandShortTags(node) {
+        if (node.type !== 'element') return node;
+        const name = SHORT_TAGS[localName(node.name)] || node.name;
+        return {
+            ...node,
+            name,
+            // XHTML inside <Text> keeps its own element names
+            children: name === 'Text' ? node.children : node.children.map(child => this.expandShortTags(child))
+        };
+    }
+
+    static text(node) {
+        return textContent(node).trim();
+    }
+
+    static splitCodes(value) {
+        return value ? value.trim().split(/\s+/).map(code => code.toUpperCase()) : [];
+    }
+
+    static toList(value) {
+        if (!value) return [];
+        if (Array.isArray(value)) return value.filter(Boolean);
+        return String(value).split(/\s*[;,]\s*/).filter(Boolean);
+    }
+
+    /**
+     * ONIX dates are YYYYMMDD (or YYYYMM / YYYY with a dateformat)
+     */
+    static parseDate(value) {
+        const match = /^(\d{4})-?(\d{2})?-?(\d{2})?/.exec(value || '');
+        if (!match) return null;
+        return `${match[1]}-${match[2] || '01'}-${match[3] || '01'}`;
+    }
+
+    static formatDate(value) {
+        if (value instanceof Date) {
+            const pad = (number) => String(number).padStart(2, '0');
+            return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}`;
+        }
+        return String(value).slice(0, 10).replace(/-/g, '');
+    }
+
+    static formatDateTime(value) {
+        return `${new Date(value).toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+    }
+}
+
+module.exports = OnixMapper;
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const config = require('../config/env.cjs');
+const logger = require('../config/logger.cjs');
+
+/**
+ * Chapter Version Model
+ * Numbered content snapshots forming each chapter's version history
+ */
+class ChapterVersionModel {
+    constructor() {
+        this.supabase = createClient(config.SUPABASE_URL, config.SUPABASE_ANON_KEY);
+        this.tableName = 'chapter_versions';
+    }
+
+    /**
+     * Record a new version of a chapter
+     * @param {Object} versionData - Snapshot data
+     * @returns {Promise<Object>} Created version
+     */
+    async create(versionData) {
+        try {
+            const {
+                chapter_id,
+                publication_id,
+                content = '',
+                change_description = '',
+                source = 'manual',
+                session_revision = null,
+                contributors = [],
+                created_by = null
+            } = versionData;
+
+            const latest = await this.findLatest(chapter_id);
+
+            const { data, error } = await this.supabase
+                .from(this.tableName)
+                .insert({
+                    chapter_id,
+                    publication_id,
+                    version_number: latest ? latest.version_number + 1 : 1,
+                    content,
+                    content_hash: this.hashContent(content),
+                    word_count: this.countWords(content),
+                    change_description,
+                    source,
+                    session_revision,
+                    contributors,
+                    created_by
+                })
+                .select()
+                .single();
+
+            if (error) {
+                logger.error('Failed to create chapter version', {
+                    error: error.message,
+                    chapterId: chapter_id,
+                    source
+                });
+                throw error;
+            }
+
+            logger.info('Chapter version created', {
+                versionId: data.id,
+                chapterId: data.chapter_id,
+                versionNumber: data.version_number,
+                source: data.source
+            });
+
+            return data;
+        } catch (error) {
+            logger.error('Chapter version creation error', {
+                error: error.message,
+                chapterId: versionData.chapter_id
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get version by ID
+     * @param {string} id - Version ID
+     * @returns {Promise<Object|null>} Version data
+     */
+    async findById(id) {
+        try {
+            const { data, error } = await this.supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') {
+                logger.error('Failed to fetch chapter version', {
+                    error: error.message,
+                    versionId: id
+                });
+                throw error;
+            }
+
+            return data;
+        } catch (error) {
+            logger.error('Chapter version fetch error', {
+                error: error.message,
+                versionId: id
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the most recent version of a chapter
+     * @param {string} chapterId - Chapter ID
+     * @returns {Promise<Object|null>} Latest version without its content
+     */
+    async findLatest(chapterId) {
+        const { data, error } = await this.supabase
+            .from(this.tableName)
+            .select('id, version_number, content_hash, created_at')
+            .eq('chapter_id', chapterId)
+            .order('version_number', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            logger.error('Failed to fetch latest chapter version', {
+                error: error.message,
+                chapterId
+            });
+            throw error;
+        }
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * List a chapter's versions
+     * @param {string} chapterId - Chapter ID
+     * @param {Object} options - { page, limit, include_content, sort_order }
+     * @returns {Promise<Object>} { versions, pagination }
+     */
+    async findByChapter(chapterId, options = {}) {
+        try {
+            const { page = 1, limit = 20, include_content = false, sort_order = 'desc' } = options;
+            const offset = (page - 1) * limit;
+
+            const selectFields = include_content
+                ? '*'
+                : 'id, chapter_id, version_number, content_hash, word_count, change_description, source, session_revision, contributors, created_by, created_at';
+
+            const { data, error, count } = await this.supabase
+                .from(this.tableName)
+                .select(selectFields, { count: 'exact' })
+                .eq('chapter_id', chapterId)
+                .order('version_number', { ascending: sort_order === 'asc' })
+                .range(offset, offset + limit - 1);
+
+            if (error) {
+                logger.error('Failed to fetch chapter versions', {
+                    error: error.message,
+                    chapterId,
+                    options
+                });
+                throw error;
+            }
+
+            return {
+                versions: data || [],
+                pagination: {
+                    page,
+                    limit,
+                    total: count || 0,
+                    pages: Math.ceil((count || 0) / limit)
+                }
+            };
+        } catch (error) {
+            logger.error('Chapter versions fetch error', {
+                error: error.message,
+                chapterId
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * SHA-256 of chapter content, used to skip identical snapshots
+     * @param {string} content - Chapter content
+     * @returns {string} Hex digest
+     */
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content || '').digest('hex');
+    }
+
+    /**
+     * Count words in text content
+     * @param {string} content - Text content
+     * @returns {number} Word count
+     * @private
+     */
+    countWords(content) {
+        if (!content || typeof content !== 'string') {
+            return 0;
+        }
+
+        return content
+            .replace(/<[^>]*>/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 0)
+            .length;
+    }
+}
+
+module.exports = ChapterVersionModel;
@@ -595,6 +595,37 @@ class PublicationModel {
         }
     }
 
+    /**
+     * Get publication by ISBN-13
+     * @param {string} isbn13 - ISBN-13 without hyphens
+     * @returns {Promise<Object|null>} Publication data
+     */
+    async findByIsbn(isbn13) {
+        try {
+            const { data, error } = await this.supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('isbn_13', isbn13)
+                .maybeSingle();
+
+            if (error) {
+                logger.error('Failed to fetch publication by ISBN', {
+                    error: error.message,
+                    isbn13
+                });
+                throw error;
+            }
+
+            return data;
+        } catch (error) {
+            logger.error('Publication fetch by ISBN error', {
+                error: error.message,
+                isbn13
+            });
+            throw error;
+        }
+    }
+
     /**
      * Search publications
      * @param {string} searchTerm - Search term
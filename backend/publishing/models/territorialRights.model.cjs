@@ -577,6 +577,15 @@ class TerritorialRightsModel {
      * @returns {boolean} Whether country is in regions
      */
     isCountryInRegions(country, regions) {
+        return this.getRegionCountries(regions).includes(country);
+    }
+
+    /**
+     * Helper: Expand region codes to their country codes
+     * @param {Array} regions - Region codes
+     * @returns {Array} Country codes
+     */
+    getRegionCountries(regions = []) {
         // This would need a proper country-to-region mapping
         // For now, using simplified mapping
         const regionMappings = {
@@ -589,9 +598,7 @@ class TerritorialRightsModel {
             'MIDDLE_EAST': ['AE', 'SA', 'QA', 'KW', 'BH', 'OM', 'JO', 'LB', 'IL']
         };
 
-        return regions.some(region => 
-            regionMappings[region] && regionMappings[region].includes(country)
-        );
+        return [...new Set(regions.flatMap(region => regionMappings[region] || []))];
     }
 
     /**
@@ -9,6 +9,19 @@ const { supabase } = require('../../../db.cjs');
 const { AppError } = require('../../../middleware/errorHandler.cjs');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
+const { diffSequences, diffText, merge3 } = require('../../utils/diff.util.cjs');
+
+// Conflict resolutions accepted from callers, mapped to the side they keep
+const CONFLICT_SIDES = { target: 'target', ours: 'target', source: 'source', theirs: 'source', both: 'both' };
+
+const BLOCK_TAGS = 'p|h[1-6]|blockquote|ul|ol|pre|table|figure|div|section';
+const BLOCK_CLOSE_PATTERN = new RegExp(`</(?:${BLOCK_TAGS})>`, 'i');
+const BLOCK_SPLIT_PATTERN = new RegExp(`(?<=</(?:${BLOCK_TAGS})>)`, 'i');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+const normalizeBlock = block => block.replace(/\s+/g, ' ');
 
 class VersionModel {
     /**
@@ -361,7 +374,8 @@ class VersionModel {
                 resolve_conflicts = 'manual',
                 merge_strategy = 'recursive',
                 commit_message = '',
-                auto_delete_source = false
+                auto_delete_source = false,
+                resolutions = {}
             } = mergeOptions;
 
             // Get latest versions from both branches
@@ -379,20 +393,26 @@ class VersionModel {
             const latestSource = sourceVersions[0];
             const latestTarget = targetVersions[0];
 
-            // Check for conflicts
-            const conflicts = await this.detectMergeConflicts(latestSource, latestTarget);
+            // Check for conflicts; 'ours' and 'theirs' take one side wholesale
+            const wholesale = merge_strategy === 'ours' || merge_strategy === 'theirs';
+            const conflicts = wholesale ? [] : await this.detectMergeConflicts(latestSource, latestTarget);
+            const unresolved = conflicts.filter(conflict => !resolutions[conflict.id]);
 
-            if (conflicts.length > 0 && resolve_conflicts === 'manual') {
+            if (unresolved.length > 0 && resolve_conflicts === 'manual') {
                 return {
                     status: 'conflicts',
                     conflicts,
+                    unresolved_count: unresolved.length,
                     merge_id: uuidv4(),
                     message: 'Merge conflicts detected. Manual resolution required.'
                 };
             }
 
             // Perform merge
-            const mergedContent = await this.performMerge(latestSource, latestTarget, merge_strategy, conflicts);
+            const mergedContent = await this.performMerge(latestSource, latestTarget, merge_strategy, conflicts, {
+                resolve_conflicts,
+                resolutions
+            });
 
             // Create merge version
             const mergeVersion = await this.create({
@@ -935,41 +955,507 @@ class VersionModel {
         return Object.fromEntries(branchMap);
     }
 
+    /**
+     * Find the most recent common ancestor of two versions
+     * Merge versions record the merged-in version as a second parent
+     * @param {Object} sourceVersion - Version being merged in
+     * @param {Object} targetVersion - Version being merged into
+     * @returns {Promise<Object|null>} Merge base version
+     */
+    static async findMergeBase(sourceVersion, targetVersion) {
+        const { data: versions, error } = await supabase
+            .from('versions')
+            .select('id, parent_version_id, metadata, created_at')
+            .eq('publication_id', targetVersion.publication_id);
+
+        if (error) {
+            throw new AppError(`Failed to load version history: ${error.message}`, 500);
+        }
+
+        const byId = new Map((versions || []).map(version => [version.id, version]));
+        const ancestorsOf = (version) => {
+            const seen = new Set();
+            const queue = [version.id];
+            while (queue.length > 0) {
+                const id = queue.shift();
+                if (!id || seen.has(id)) continue;
+                seen.add(id);
+                const node = id === version.id ? version : byId.get(id);
+                if (node) queue.push(node.parent_version_id, node.metadata?.source_version_id);
+            }
+            return seen;
+        };
+
+        const sourceAncestors = ancestorsOf(sourceVersion);
+        const common = [...ancestorsOf(targetVersion)].filter(id => sourceAncestors.has(id));
+        if (common.length === 0) return null;
+
+        const createdAt = id => new Date((byId.get(id) || {}).created_at || 0).getTime();
+        const baseId = common.reduce((latest, id) => (createdAt(id) > createdAt(latest) ? id : latest));
+
+        return this.findById(baseId);
+    }
+
+    /**
+     * Merge two versions against their merge base
+     * @returns {Promise<Object>} { content, conflicts, base_version_id }
+     */
+    static async threeWayMerge(sourceVersion, targetVersion, options = {}) {
+        const base = await this.findMergeBase(sourceVersion, targetVersion);
+        const result = this.mergeContent(base ? base.content : undefined, targetVersion.content, sourceVersion.content, options);
+        return { ...result, base_version_id: base ? base.id : null };
+    }
+
     static async detectMergeConflicts(sourceVersion, targetVersion) {
-        // Implementation for detecting merge conflicts
-        // This would analyze content differences and identify conflicting changes
-        console.log(`Detecting conflicts between ${sourceVersion.id} and ${targetVersion.id}`);
-        return [];
+        const { conflicts } = await this.threeWayMerge(sourceVersion, targetVersion);
+        return conflicts;
+    }
+
+    /**
+     * Produce merged content for a branch merge
+     * 'ours' keeps the target untouched and 'theirs' takes the source wholesale;
+     * other strategies merge three-way, settling each conflict from
+     * options.resolutions (by conflict id) or options.resolve_conflicts
+     */
+    static async performMerge(sourceVersion, targetVersion, strategy, conflicts, options = {}) {
+        switch (strategy) {
+            case 'ours':
+                return targetVersion.content;
+            case 'theirs':
+                return sourceVersion.content;
+            default: {
+                const { content } = await this.threeWayMerge(sourceVersion, targetVersion, options);
+                return content;
+            }
+        }
+    }
+
+    /**
+     * Three-way merge of version content
+     * Chapters (and other lists of keyed objects) are matched by key, text
+     * is merged paragraph by paragraph; anything both sides changed
+     * differently is reported as a conflict and kept from the target
+     * unless a resolution says otherwise
+     * @param {*} base - Merge base content (undefined when unrelated)
+     * @param {*} target - Content being merged into
+     * @param {*} source - Content being merged in
+     * @param {Object} options - { resolve_conflicts, resolutions }
+     * @returns {Object} { content, conflicts }
+     */
+    static mergeContent(base, target, source, options = {}) {
+        const { resolve_conflicts = 'manual', resolutions = {} } = options;
+        const context = {
+            conflicts: [],
+            choose: (conflict) => {
+                const choice = resolutions[conflict.id] || resolve_conflicts;
+                if (choice && typeof choice === 'object') return choice;
+                return CONFLICT_SIDES[choice] || null;
+            }
+        };
+
+        const content = this.mergeValue(base, target, source, '', context);
+        return { content, conflicts: context.conflicts };
+    }
+
+    static mergeValue(base, target, source, path, context) {
+        if (isDeepStrictEqual(target, source)) return target;
+        if (isDeepStrictEqual(base, target)) return source;
+        if (isDeepStrictEqual(base, source)) return target;
+
+        const fresh = base === undefined || base === null;
+
+        if (typeof target === 'string' && typeof source === 'string' && (fresh || typeof base === 'string')) {
+            return this.mergeText(fresh ? '' : base, target, source, path, context);
+        }
+
+        if (Array.isArray(target) && Array.isArray(source) && (fresh || Array.isArray(base))) {
+            const baseList = fresh ? [] : base;
+            return [baseList, target, source].every(list => this.isKeyedList(list))
+                ? this.mergeKeyedList(baseList, target, source, path, context)
+                : this.mergeList(baseList, target, source, path, context);
+        }
+
+        if (isPlainObject(target) && isPlainObject(source) && (fresh || isPlainObject(base))) {
+            const baseObject = fresh ? {} : base;
+            const merged = {};
+            for (const key of new Set([...Object.keys(target), ...Object.keys(source)])) {
+                const value = this.mergeValue(baseObject[key], target[key], source[key], joinPath(path, key), context);
+                if (value !== undefined) merged[key] = value;
+            }
+            return merged;
+        }
+
+        const choice = this.recordConflict(context, {
+            type: target === undefined || source === undefined ? 'delete_modify' : 'value',
+            path,
+            base,
+            target,
+            source
+        });
+
+        // Keeping both sides of a delete/modify conflict means keeping the edit
+        return this.pickResolution(choice, target, source, target === undefined ? source : target);
+    }
+
+    static mergeText(base, target, source, path, context) {
+        const html = [base, target, source].some(text => BLOCK_CLOSE_PATTERN.test(text));
+        const separator = html ? '\n' : '\n\n';
+        const [baseBlocks, targetBlocks, sourceBlocks] = [base, target, source]
+            .map(text => this.splitParagraphs(text, html));
+
+        const blocks = [];
+        for (const region of merge3(baseBlocks, targetBlocks, sourceBlocks, normalizeBlock)) {
+            if (!region.conflict) {
+                blocks.push(...region.items);
+                continue;
+            }
+
+            const choice = this.recordConflict(context, {
+                type: 'content',
+                path,
+                position: {
+                    paragraph: region.baseStart + 1,
+                    target_paragraph: region.oursStart + 1,
+                    source_paragraph: region.theirsStart + 1
+                },
+                base: region.base.join(separator),
+                target: region.ours.join(separator),
+                source: region.theirs.join(separator)
+            });
+
+            const resolved = this.pickResolution(choice, region.ours, region.theirs, [...region.ours, ...region.theirs]);
+            blocks.push(...(Array.isArray(resolved) ? resolved : [resolved]));
+        }
+
+        return blocks.join(separator);
+    }
+
+    static mergeKeyedList(base, target, source, path, context) {
+        const index = list => new Map(list.map(item => [this.itemKey(item), item]));
+        const keys = list => list.map(item => this.itemKey(item));
+        const [baseItems, targetItems, sourceItems] = [index(base), index(target), index(source)];
+
+        // Where both sides reordered the same stretch, target order comes first
+        const order = [];
+        for (const region of merge3(keys(base), keys(target), keys(source))) {
+            order.push(...(region.conflict ? [...region.ours, ...region.theirs] : region.items));
+        }
+
+        const merged = [];
+        const seen = new Set();
+        for (const key of [...order, ...targetItems.keys(), ...sourceItems.keys()]) {
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            const baseItem = baseItems.get(key);
+            const targetItem = targetItems.get(key);
+            const sourceItem = sourceItems.get(key);
+            const conflictCount = context.conflicts.length;
+
+            const value = this.mergeValue(baseItem, targetItem, sourceItem, `${path}[${key}]`, context);
+            if (value !== undefined) merged.push(value);
+
+            const title = (targetItem || sourceItem || baseItem).title;
+            if (title) {
+                context.conflicts.slice(conflictCount).forEach(conflict => {
+                    if (!conflict.item_title) conflict.item_title = title;
+                });
+            }
+        }
+
+        return merged;
+    }
+
+    static mergeList(base, target, source, path, context) {
+        const merged = [];
+        for (const region of merge3(base, target, source, item => JSON.stringify(item))) {
+            if (!region.conflict) {
+                merged.push(...region.items);
+                continue;
+            }
+
+            const choice = this.recordConflict(context, {
+                type: 'list',
+                path,
+                position: { index: region.baseStart },
+                base: region.base,
+                target: region.ours,
+                source: region.theirs
+            });
+
+            const both = [...region.ours, ...region.theirs.filter(item => !region.ours.some(other => isDeepStrictEqual(other, item)))];
+            const resolved = this.pickResolution(choice, region.ours, region.theirs, both);
+            merged.push(...(Array.isArray(resolved) ? resolved : [resolved]));
+        }
+        return merged;
+    }
+
+    /**
+     * Register a conflict and look up how it should be resolved
+     * Ids are derived from the conflicting content so they stay stable
+     * between a conflict report and the follow-up merge request
+     */
+    static recordConflict(context, conflict) {
+        conflict.id = crypto
+            .createHash('sha1')
+            .update(JSON.stringify([conflict.path, conflict.position, conflict.base, conflict.target, conflict.source]))
+            .digest('hex')
+            .slice(0, 16);
+
+        const choice = context.choose(conflict);
+        conflict.resolved = Boolean(choice);
+        if (choice) {
+            conflict.resolution = typeof choice === 'string' ? choice : 'custom';
+        }
+
+        context.conflicts.push(conflict);
+        return choice || 'target';
+    }
+
+    static pickResolution(choice, target, source, both) {
+        if (choice && typeof choice === 'object') return choice.content;
+        if (choice === 'source') return source;
+        if (choice === 'both') return both;
+        return target;
+    }
+
+    /**
+     * Identity of an item in a list of chapters, sections and the like
+     */
+    static itemKey(item) {
+        const key = item.id ?? item.chapter_id ??
+            (item.chapter_number !== undefined && item.chapter_number !== null ? `#${item.chapter_number}` : null) ??
+            item.title ?? null;
+        return key === null ? null : String(key);
     }
 
-    static async performMerge(sourceVersion, targetVersion, strategy, conflicts) {
-        // Implementation for performing the actual merge
-        // This would merge content based on the specified strategy
-        console.log(`Performing ${strategy} merge with ${conflicts.length} conflicts`);
-        return targetVersion.content;
+    static isKeyedList(list) {
+        if (!list.every(isPlainObject)) return false;
+        const keys = list.map(item => this.itemKey(item));
+        return !keys.includes(null) && new Set(keys).size === keys.length;
     }
 
-    static calculateContentDiff(content1, content2, options) {
-        // Implementation for calculating content differences
-        console.log(`Calculating diff with ${options.diff_type} format`);
+    /**
+     * Split text into paragraphs; HTML is split after each closing block tag
+     */
+    static splitParagraphs(text, html = BLOCK_CLOSE_PATTERN.test(text)) {
+        if (!text) return [];
+        const blocks = html ? text.split(BLOCK_SPLIT_PATTERN) : text.split(/\r?\n[ \t]*\r?\n/);
+        return blocks.map(block => block.trim()).filter(Boolean);
+    }
+
+    static calculateContentDiff(content1, content2, options = {}) {
         const changes = {
             added: [],
             removed: [],
             modified: []
         };
-        
-        // Basic diff logic would go here
-        if (JSON.stringify(content1) !== JSON.stringify(content2)) {
-            changes.modified.push({
-                type: 'content_change',
-                old_content: content1,
-                new_content: content2
-            });
-        }
-        
+
+        this.diffValue(content1, content2, '', changes, options);
+
         return changes;
     }
 
+    static diffValue(oldValue, newValue, path, changes, options) {
+        if (isDeepStrictEqual(oldValue, newValue)) return;
+
+        if (oldValue === undefined || oldValue === null) {
+            changes.added.push({ path, content: newValue });
+            return;
+        }
+
+        if (newValue === undefined || newValue === null) {
+            changes.removed.push({ path, content: oldValue });
+            return;
+        }
+
+        if (typeof oldValue === 'string' && typeof newValue === 'string') {
+            changes.modified.push({ type: 'text', path, ...this.diffTextContent(oldValue, newValue, options) });
+            return;
+        }
+
+        if (Array.isArray(oldValue) && Array.isArray(newValue) && this.isKeyedList(oldValue) && this.isKeyedList(newValue)) {
+            const oldItems = new Map(oldValue.map(item => [this.itemKey(item), item]));
+            const newItems = new Map(newValue.map(item => [this.itemKey(item), item]));
+
+            const oldOrder = [...oldItems.keys()].filter(key => newItems.has(key));
+            const newOrder = [...newItems.keys()].filter(key => oldItems.has(key));
+            if (!isDeepStrictEqual(oldOrder, newOrder)) {
+                changes.modified.push({ type: 'order', path, old_order: oldOrder, new_order: newOrder });
+            }
+
+            for (const key of new Set([...oldItems.keys(), ...newItems.keys()])) {
+                this.diffValue(oldItems.get(key), newItems.get(key), `${path}[${key}]`, changes, options);
+            }
+            return;
+        }
+
+        if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+            for (const key of new Set([...Object.keys(oldValue), ...Object.keys(newValue)])) {
+                this.diffValue(oldValue[key], newValue[key], joinPath(path, key), changes, options);
+            }
+            return;
+        }
+
+        changes.modified.push({ type: 'value', path, old_value: oldValue, new_value: newValue });
+    }
+
+    /**
+     * Paragraph-aligned diff of two texts in the requested diff_type
+     * unified: hunks with context_lines paragraphs of context
+     * side_by_side: aligned rows of old and new paragraphs
+     * word / character: inline segments within changed paragraphs
+     */
+    static diffTextContent(oldText, newText, options = {}) {
+        const { diff_type = 'unified', context_lines = 3, ignore_whitespace = false } = options;
+        const html = BLOCK_CLOSE_PATTERN.test(oldText) || BLOCK_CLOSE_PATTERN.test(newText);
+        const oldBlocks = this.splitParagraphs(oldText, html);
+        const newBlocks = this.splitParagraphs(newText, html);
+        const ops = diffSequences(oldBlocks, newBlocks, ignore_whitespace ? normalizeBlock : undefined);
+
+        const statistics = { paragraphs_added: 0, paragraphs_removed: 0, paragraphs_unchanged: 0 };
+        ops.forEach(op => {
+            if (op.type === 'equal') statistics.paragraphs_unchanged += op.oldEnd - op.oldStart;
+            else if (op.type === 'delete') statistics.paragraphs_removed += op.oldEnd - op.oldStart;
+            else statistics.paragraphs_added += op.newEnd - op.newStart;
+        });
+
+        switch (diff_type) {
+            case 'word':
+            case 'character': {
+                const segments = this.inlineDiff(oldBlocks, newBlocks, ops, {
+                    mode: diff_type,
+                    ignoreWhitespace: ignore_whitespace,
+                    separator: html ? '\n' : '\n\n'
+                });
+                return { segments, statistics };
+            }
+            case 'side_by_side':
+                return { rows: this.sideBySideRows(oldBlocks, newBlocks, ops), statistics };
+            default:
+                return { hunks: this.unifiedHunks(oldBlocks, newBlocks, ops, context_lines), statistics };
+        }
+    }
+
+    static unifiedHunks(oldBlocks, newBlocks, ops, contextLines) {
+        const lines = [];
+        let oldLine = 0;
+        let newLine = 0;
+        ops.forEach(op => {
+            if (op.type === 'equal') {
+                oldBlocks.slice(op.oldStart, op.oldEnd).forEach(text => {
+                    lines.push({ type: 'context', text, old_before: oldLine++, new_before: newLine++ });
+                });
+            } else if (op.type === 'delete') {
+                oldBlocks.slice(op.oldStart, op.oldEnd).forEach(text => {
+                    lines.push({ type: 'removed', text, old_before: oldLine++, new_before: newLine });
+                });
+            } else {
+                newBlocks.slice(op.newStart, op.newEnd).forEach(text => {
+                    lines.push({ type: 'added', text, old_before: oldLine, new_before: newLine++ });
+                });
+            }
+        });
+
+        const ranges = [];
+        lines.forEach((line, index) => {
+            if (line.type === 'context') return;
+            const start = Math.max(0, index - contextLines);
+            const end = Math.min(lines.length, index + contextLines + 1);
+            const last = ranges[ranges.length - 1];
+            if (last && start <= last.end) last.end = Math.max(last.end, end);
+            else ranges.push({ start, end });
+        });
+
+        return ranges.map(({ start, end }) => {
+            const slice = lines.slice(start, end);
+            const oldLines = slice.filter(line => line.type !== 'added').length;
+            const newLines = slice.filter(line => line.type !== 'removed').length;
+            const oldStart = slice[0].old_before + (oldLines > 0 ? 1 : 0);
+            const newStart = slice[0].new_before + (newLines > 0 ? 1 : 0);
+
+            return {
+                header: `@@ -${oldStart},${oldLines} +${newStart},${newLines} @@`,
+                old_start: oldStart,
+                old_lines: oldLines,
+                new_start: newStart,
+                new_lines: newLines,
+                lines: slice.map(line => ({ type: line.type, text: line.text }))
+            };
+        });
+    }
+
+    static sideBySideRows(oldBlocks, newBlocks, ops) {
+        const rows = [];
+        for (let i = 0; i < ops.length; i++) {
+            const op = ops[i];
+            if (op.type === 'equal') {
+                for (let k = 0; k < op.oldEnd - op.oldStart; k++) {
+                    rows.push({
+                        type: 'equal',
+                        left_line: op.oldStart + k + 1,
+                        right_line: op.newStart + k + 1,
+                        left: oldBlocks[op.oldStart + k],
+                        right: newBlocks[op.newStart + k]
+                    });
+                }
+                continue;
+            }
+
+            // A deletion followed by an insertion pairs up row by row
+            const oldStart = op.oldStart;
+            const newStart = op.newStart;
+            while (ops[i + 1] && ops[i + 1].type !== 'equal') i++;
+            const removed = oldBlocks.slice(oldStart, ops[i].oldEnd);
+            const added = newBlocks.slice(newStart, ops[i].newEnd);
+
+            for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+                const hasLeft = k < removed.length;
+                const hasRight = k < added.length;
+                rows.push({
+                    type: hasLeft && hasRight ? 'modified' : hasLeft ? 'removed' : 'added',
+                    left_line: hasLeft ? oldStart + k + 1 : null,
+                    right_line: hasRight ? newStart + k + 1 : null,
+                    left: hasLeft ? removed[k] : null,
+                    right: hasRight ? added[k] : null
+                });
+            }
+        }
+        return rows;
+    }
+
+    static inlineDiff(oldBlocks, newBlocks, ops, { mode, ignoreWhitespace, separator }) {
+        const segments = [];
+        const push = (type, value) => {
+            if (!value) return;
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) last.value += value;
+            else segments.push({ type, value });
+        };
+
+        for (let i = 0; i < ops.length; i++) {
+            if (segments.length > 0) push('equal', separator);
+
+            const op = ops[i];
+            if (op.type === 'equal') {
+                push('equal', newBlocks.slice(op.newStart, op.newEnd).join(separator));
+                continue;
+            }
+
+            // Changed paragraphs are compared as one run so edits that
+            // split or join paragraphs still line up word by word
+            const oldStart = op.oldStart;
+            const newStart = op.newStart;
+            while (ops[i + 1] && ops[i + 1].type !== 'equal') i++;
+            const oldRun = oldBlocks.slice(oldStart, ops[i].oldEnd).join(separator);
+            const newRun = newBlocks.slice(newStart, ops[i].newEnd).join(separator);
+
+            diffText(oldRun, newRun, { mode, ignoreWhitespace }).forEach(segment => push(segment.type, segment.value));
+        }
+
+        return segments;
+    }
+
     static calculateDiffStatistics(content1, content2) {
         // Implementation for calculating diff statistics
         const text1 = typeof content1 === 'string' ? content1 : JSON.stringify(content1);
@@ -13,13 +13,23 @@ const ConversionController = require('../controllers/conversion.controller.cjs')
 const auth = require('../../middleware/auth.cjs');
 const validate = require('../../middleware/validate.cjs');
 const { body, param, query } = require('express-validator');
+const { TRIM_SIZES, PAPER_TYPES } = require('../utils/printLayout.util.cjs');
+const { STORE_SPECS } = require('../utils/coverSpecs.util.cjs');
 
 // ========== Validation Rules ==========
 
+const printOptionsValidation = [
+    body('conversionOptions.trimSize').optional().isIn(Object.keys(TRIM_SIZES)).withMessage('Unsupported trim size'),
+    body('conversionOptions.paperType').optional().isIn(Object.keys(PAPER_TYPES)).withMessage('Unsupported paper type'),
+    body('conversionOptions.bleed').optional().isBoolean().withMessage('Bleed must be boolean'),
+    body('conversionOptions.fontSize').optional().isFloat({ min: 8, max: 16 }).withMessage('Font size must be between 8-16')
+];
+
 const convertValidation = [
     param('publicationId').isUUID().withMessage('Valid publication ID required'),
     body('targetFormat').isIn(['PDF', 'EPUB', 'MOBI', 'AZW3']).withMessage('Valid target format required'),
-    body('conversionOptions').optional().isObject().withMessage('Conversion options must be an object')
+    body('conversionOptions').optional().isObject().withMessage('Conversion options must be an object'),
+    ...printOptionsValidation
 ];
 
 const jobIdValidation = [
@@ -30,7 +40,8 @@ const batchConvertValidation = [
     body('publicationIds').isArray({ min: 1, max: 10 }).withMessage('Publication IDs array required (max 10)'),
     body('publicationIds.*').isUUID().withMessage('All publication IDs must be valid UUIDs'),
     body('targetFormat').isIn(['PDF', 'EPUB', 'MOBI', 'AZW3']).withMessage('Valid target format required'),
-    body('conversionOptions').optional().isObject().withMessage('Conversion options must be an object')
+    body('conversionOptions').optional().isObject().withMessage('Conversion options must be an object'),
+    ...printOptionsValidation
 ];
 
 const historyValidation = [
@@ -50,6 +61,29 @@ const previewValidation = [
     body('conversionOptions').optional().isObject().withMessage('Conversion options must be an object')
 ];
 
+const coverSpecValidation = [
+    query('publicationId').optional().isUUID().withMessage('Valid publication ID required'),
+    query('pageCount').optional().isInt({ min: 24, max: 828 }).withMessage('Page count must be between 24-828'),
+    query('trimSize').optional().isIn(Object.keys(TRIM_SIZES)).withMessage('Unsupported trim size'),
+    query('paperType').optional().isIn(Object.keys(PAPER_TYPES)).withMessage('Unsupported paper type')
+];
+
+const coverSpreadValidation = [
+    param('publicationId').isUUID().withMessage('Valid publication ID required'),
+    body('pageCount').optional().isInt({ min: 24, max: 828 }).withMessage('Page count must be between 24-828'),
+    body('trimSize').optional().isIn(Object.keys(TRIM_SIZES)).withMessage('Unsupported trim size'),
+    body('paperType').optional().isIn(Object.keys(PAPER_TYPES)).withMessage('Unsupported paper type'),
+    body('backgroundColor').optional().isArray({ min: 3, max: 3 }).withMessage('Background color must be [r, g, b]'),
+    body('backgroundColor.*').optional().isFloat({ min: 0, max: 1 }).withMessage('Color components must be between 0-1')
+];
+
+const coverValidation = [
+    param('publicationId').isUUID().withMessage('Valid publication ID required'),
+    body('stores').optional().isArray().withMessage('Stores must be an array'),
+    body('stores.*').isIn(Object.keys(STORE_SPECS)).withMessage('Unsupported store'),
+    body('trimSize').optional().isIn(Object.keys(TRIM_SIZES)).withMessage('Unsupported trim size')
+];
+
 // ========== Routes ==========
 
 /**
@@ -168,4 +202,40 @@ router.post('/preview/:publicationId',
     ConversionController.previewConversion
 );
 
+/**
+ * @route   GET /api/publishing/conversion/print/cover-spec
+ * @desc    Calculate print cover spread dimensions (spine width from page count and paper)
+ * @access  Private
+ */
+router.get('/print/cover-spec',
+    auth,
+    coverSpecValidation,
+    validate,
+    ConversionController.getCoverSpec
+);
+
+/**
+ * @route   POST /api/publishing/conversion/print/:publicationId/cover
+ * @desc    Generate a full cover spread PDF for the print edition
+ * @access  Private
+ */
+router.post('/print/:publicationId/cover',
+    auth,
+    coverSpreadValidation,
+    validate,
+    ConversionController.generateCoverSpread
+);
+
+/**
+ * @route   POST /api/publishing/conversion/covers/:publicationId/validate
+ * @desc    Check the cover image against store requirements and, with a trim size, print resolution
+ * @access  Private
+ */
+router.post('/covers/:publicationId/validate',
+    auth,
+    coverValidation,
+    validate,
+    ConversionController.validateCover
+);
+
 module.exports = router;
@@ -14,6 +14,7 @@ const storeRoutes = require('./store.cjs');
 const analyticsRoutes = require('./analytics.cjs');
 const rightsRoutes = require('./rights.cjs');
 const conversionRoutes = require('./conversion.cjs');
+const isbnRoutes = require('./isbn.cjs');
 
 // Import middleware
 const logger = require('../config/logger.cjs');
@@ -56,6 +57,12 @@ router.use('/rights', rightsRoutes);
  */
 router.use('/conversion', conversionRoutes);
 
+/**
+ * ISBN block and assignment routes
+ * All routes under /api/publishing/isbn
+ */
+router.use('/isbn', isbnRoutes);
+
 // ========== API Documentation Route ==========
 
 /**
@@ -99,6 +106,11 @@ router.get('/', (req, res) => {
                 base: '/api/publishing/conversion',
                 methods: ['GET', 'POST', 'DELETE'],
                 description: 'Format conversion services'
+            },
+            isbn: {
+                base: '/api/publishing/isbn',
+                methods: ['GET', 'POST', 'PATCH'],
+                description: 'ISBN blocks, per-format assignment and agency reporting'
             }
         },
         features: [
@@ -0,0 +1,158 @@
+/**
+ * ISBN Routes
+ * Agency blocks and the assignment log are admin-only; assigning ISBNs to a
+ * publication's formats is open to its owner
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const IsbnController = require('../controllers/isbn.controller.cjs');
+
+// Import middleware
+const auth = require('../../middleware/auth.cjs');
+const validate = require('../../middleware/validate.cjs');
+const { requireRole } = require('../../middleware/authRole.cjs');
+const { body, param, query } = require('express-validator');
+const { ISBN_FORMATS } = require('../utils/isbn.util.cjs');
+
+// ========== Validation Rules ==========
+
+const createBlockValidation = [
+    body('prefix').optional().matches(/^97[89][\s-]\d{1,5}[\s-]\d{1,7}$/).withMessage('Prefix must look like 978-83-12345'),
+    body('prefix_element').if(body('prefix').not().exists()).isIn(['978', '979']).withMessage('Prefix element must be 978 or 979'),
+    body('registration_group').if(body('prefix').not().exists()).matches(/^\d{1,5}$/).withMessage('Registration group must be 1-5 digits'),
+    body('registrant_element').if(body('prefix').not().exists()).matches(/^\d{1,7}$/).withMessage('Registrant element must be 1-7 digits'),
+    body('range_start').optional().isInt({ min: 0 }).withMessage('Range start must be a non-negative integer'),
+    body('range_end').optional().isInt({ min: 0 }).withMessage('Range end must be a non-negative integer'),
+    body('low_stock_threshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold must be a non-negative integer'),
+    body('purchased_at').optional().isISO8601().withMessage('Purchase date must be a valid date'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be boolean')
+];
+
+const updateBlockValidation = [
+    param('blockId').isUUID().withMessage('Valid block ID required'),
+    body('status').optional().isIn(['active', 'exhausted', 'retired']).withMessage('Invalid status'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be boolean'),
+    body('low_stock_threshold').optional().isInt({ min: 0 }).withMessage('Low-stock threshold must be a non-negative integer')
+];
+
+const publicationValidation = [
+    param('publicationId').isUUID().withMessage('Valid publication ID required')
+];
+
+const assignValidation = [
+    ...publicationValidation,
+    param('format').isIn(ISBN_FORMATS).withMessage(`Format must be one of: ${ISBN_FORMATS.join(', ')}`),
+    body('blockId').optional().isUUID().withMessage('Valid block ID required'),
+    body('isbn').optional().isString().withMessage('ISBN must be a string')
+];
+
+const cancelValidation = [
+    body('isbns').isArray({ min: 1, max: 100 }).withMessage('ISBNs array required (max 100)'),
+    body('isbns.*').isString().withMessage('Each ISBN must be a string'),
+    body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+];
+
+const exportValidation = [
+    query('blockId').optional().isUUID().withMessage('Valid block ID required'),
+    query('from').optional().isISO8601().withMessage('From must be a valid date'),
+    query('to').optional().isISO8601().withMessage('To must be a valid date'),
+    query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+];
+
+// ========== Blocks ==========
+
+/**
+ * @route   GET /api/publishing/isbn/blocks
+ * @desc    List ISBN blocks with remaining ISBNs and low-stock flags
+ * @access  Private (Admin)
+ */
+router.get('/blocks',
+    auth,
+    requireRole(['admin']),
+    IsbnController.getBlocks
+);
+
+/**
+ * @route   POST /api/publishing/isbn/blocks
+ * @desc    Register an agency block (prefix 978-<group>-<registrant>, optional range)
+ * @access  Private (Admin)
+ */
+router.post('/blocks',
+    auth,
+    requireRole(['admin']),
+    createBlockValidation,
+    validate,
+    IsbnController.createBlock
+);
+
+/**
+ * @route   PATCH /api/publishing/isbn/blocks/:blockId
+ * @desc    Retire a block, make it the default or change its low-stock threshold
+ * @access  Private (Admin)
+ */
+router.patch('/blocks/:blockId',
+    auth,
+    requireRole(['admin']),
+    updateBlockValidation,
+    validate,
+    IsbnController.updateBlock
+);
+
+// ========== Assignment ==========
+
+/**
+ * @route   GET /api/publishing/isbn/publications/:publicationId
+ * @desc    ISBNs assigned to a publication's formats
+ * @access  Private
+ */
+router.get('/publications/:publicationId',
+    auth,
+    publicationValidation,
+    validate,
+    IsbnController.getPublicationIsbns
+);
+
+/**
+ * @route   POST /api/publishing/isbn/publications/:publicationId/:format
+ * @desc    Assign the next free ISBN of a block (default block unless blockId) or register one ({ isbn })
+ * @access  Private
+ */
+router.post('/publications/:publicationId/:format',
+    auth,
+    assignValidation,
+    validate,
+    IsbnController.assignIsbn
+);
+
+/**
+ * @route   POST /api/publishing/isbn/cancel
+ * @desc    Cancel ISBNs that were never published; they are not reused
+ * @access  Private (Admin)
+ */
+router.post('/cancel',
+    auth,
+    requireRole(['admin']),
+    cancelValidation,
+    validate,
+    IsbnController.cancelIsbns
+);
+
+// ========== Assignment Log ==========
+
+/**
+ * @route   GET /api/publishing/isbn/assignments/export
+ * @desc    Export the assignment log for the ISBN agency (csv or json)
+ * @access  Private (Admin)
+ */
+router.get('/assignments/export',
+    auth,
+    requireRole(['admin']),
+    exportValidation,
+    validate,
+    IsbnController.exportAssignmentLog
+);
+
+module.exports = router;
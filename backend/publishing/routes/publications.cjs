@@ -295,4 +295,36 @@ router.post('/:id/versions/:versionId/restore',
     PublicationController.restoreVersion
 );
 
+// ========== ONIX Metadata ==========
+
+/**
+ * @route   POST /api/publishing/publications/onix/export
+ * @desc    Export publications as one ONIX 3.0 feed
+ * @access  Private
+ */
+router.post('/onix/export', 
+    requireAuth,
+    PublicationController.exportOnixFeed
+);
+
+/**
+ * @route   POST /api/publishing/publications/onix/import
+ * @desc    Create or update publications from an ONIX 3.0 feed
+ * @access  Private
+ */
+router.post('/onix/import', 
+    requireAuth,
+    PublicationController.importOnix
+);
+
+/**
+ * @route   GET /api/publishing/publications/:id/onix
+ * @desc    Export publication as ONIX 3.0 product records
+ * @access  Private
+ */
+router.get('/:id/onix', 
+    requireAuth,
+    PublicationController.exportOnix
+);
+
 module.exports = router;
@@ -23,11 +23,15 @@ const salesRoutes = require('./routes/sales.cjs');
 const distributionRoutes = require('./routes/distribution.cjs');
 const adminRoutes = require('./routes/admin.cjs');
 
+// Import real-time services
+const CoEditingSocketService = require('./services/coEditingSocket.service.cjs');
+
 class PublishingServer {
     constructor() {
         this.app = express();
         this.supabase = null;
         this.server = null;
+        this.coEditingSocket = null;
         
         this.initializeSupabase();
         this.setupMiddleware();
@@ -245,6 +249,8 @@ class PublishingServer {
                 });
             });
 
+            this.coEditingSocket = new CoEditingSocketService(this.server);
+
             this.server.on('error', (error) => {
                 if (error.code === 'EADDRINUSE') {
                     logger.error(`Publishing Server: Port ${port} is already in use`);
@@ -270,6 +276,15 @@ class PublishingServer {
     async shutdown(exitCode = 0) {
         logger.info('Publishing Server: Starting graceful shutdown...');
 
+        if (this.coEditingSocket) {
+            try {
+                await this.coEditingSocket.close();
+                logger.info('Publishing Server: Co-editing sessions saved and closed');
+            } catch (error) {
+                logger.error('Publishing Server: Failed to close co-editing sessions', { error: error.message });
+            }
+        }
+
         if (this.server) {
             this.server.close(() => {
                 logger.info('Publishing Server: HTTP server closed');
@@ -7,10 +7,12 @@
 
 const ChapterModel = require('../models/chapter.model.cjs');
 const PublicationModel = require('../models/publication.model.cjs');
-const VersionModel = require('../models/version.model.cjs');
+const ChapterVersionModel = require('../models/chapterVersion.model.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 const { v4: uuidv4 } = require('uuid');
 
+const chapterVersionModel = new ChapterVersionModel();
+
 class ChapterService {
     /**
      * Create comprehensive chapter with advanced content processing
@@ -97,7 +99,8 @@ class ChapterService {
                 chapter.id,
                 content,
                 authorId,
-                'Initial chapter creation'
+                'Initial chapter creation',
+                chapter.publication_id
             );
 
             // Set up chapter workflow if specified
@@ -629,19 +632,15 @@ class ChapterService {
     /**
      * Create chapter version record
      */
-    static async createChapterVersion(chapterId, content, authorId, changeDescription) {
+    static async createChapterVersion(chapterId, content, authorId, changeDescription, publicationId) {
         try {
-            return await VersionModel.create({
-                entity_type: 'chapter',
-                entity_id: chapterId,
-                content_snapshot: content,
-                version_number: '1.0.0',
+            return await chapterVersionModel.create({
+                chapter_id: chapterId,
+                publication_id: publicationId,
+                content,
                 change_description: changeDescription,
-                created_by: authorId,
-                metadata: {
-                    content_size: content.length,
-                    created_via: 'chapter_service'
-                }
+                source: 'manual',
+                created_by: authorId
             });
         } catch (error) {
             console.error('Error creating chapter version:', error);
@@ -649,6 +648,13 @@ class ChapterService {
         }
     }
 
+    /**
+     * Get a chapter's version history, including collaborative session snapshots
+     */
+    static async getChapterVersions(chapterId, options = {}) {
+        return chapterVersionModel.findByChapter(chapterId, options);
+    }
+
     /**
      * Set up chapter workflow
      */
@@ -0,0 +1,635 @@
+/**
+ * Co-Editing Service - Real-time Collaborative Chapter Editing
+ * Keeps one shared document per chapter and merges concurrent edits with
+ * operational transformation; tracks presence, cursors and expiring section
+ * locks, and snapshots the text into the chapter version history
+ * Sessions live in process memory, so every editor of a chapter has to be
+ * connected to the same server instance
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const ChapterModel = require('../models/chapter.model.cjs');
+const ChapterVersionModel = require('../models/chapterVersion.model.cjs');
+const CollaborationModel = require('../models/collaboration.model.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const ot = require('../../utils/textOperation.util.cjs');
+const logger = require('../config/logger.cjs');
+
+const chapterModel = new ChapterModel();
+const chapterVersionModel = new ChapterVersionModel();
+
+const SESSION_DEFAULTS = {
+    lock_ttl_ms: 2 * 60 * 1000,
+    max_lock_ttl_ms: 15 * 60 * 1000,
+    snapshot_interval_ms: 60 * 1000,
+    snapshot_after_operations: 200,
+    history_limit: 1000
+};
+
+const LOCK_SWEEP_INTERVAL_MS = 5000;
+
+const PRESENCE_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04', '#dc2626'];
+
+// chapterId -> session, plus in-flight loads so parallel joins share one session
+const sessions = new Map();
+const loading = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+class CoEditingService {
+    /**
+     * Listen to a chapter's session events
+     * Events: operation, presence, cursor, locks, snapshot, closed
+     * @param {string} chapterId - Chapter ID
+     * @param {Function} listener - Called with each event object
+     * @returns {Function} Unsubscribe
+     */
+    static subscribe(chapterId, listener) {
+        events.on(chapterId, listener);
+        return () => events.off(chapterId, listener);
+    }
+
+    /**
+     * Check that a user may open a chapter and whether they may change it
+     * Publication owners and active collaborators with edit_content edit;
+     * other active collaborators join read-only
+     * @param {string} chapterId - Chapter ID
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} { chapter, access }
+     */
+    static async authorize(chapterId, userId) {
+        const chapter = await chapterModel.findById(chapterId);
+        if (!chapter) {
+            throw new AppError('Chapter not found', 404);
+        }
+
+        const ownerId = chapter.publications ? chapter.publications.author_id : null;
+        if (ownerId && ownerId === userId) {
+            return { chapter, access: { role: 'author', can_edit: true } };
+        }
+
+        const collaboration = await CollaborationModel.findByPublicationAndCollaborator(chapter.publication_id, userId);
+        if (!collaboration || collaboration.status !== 'active') {
+            throw new AppError('Not a collaborator on this publication', 403);
+        }
+
+        return {
+            chapter,
+            access: {
+                role: collaboration.collaboration_type,
+                can_edit: (collaboration.permissions || []).includes('edit_content')
+            }
+        };
+    }
+
+    /**
+     * Start (or reuse) the editing session of a chapter
+     * @param {Object|string} chapter - Chapter row or chapter ID
+     * @param {Object} settings - Overrides for SESSION_DEFAULTS
+     * @returns {Promise<Object>} Session
+     */
+    static async openSession(chapter, settings = {}) {
+        const chapterId = typeof chapter === 'string' ? chapter : chapter.id;
+        if (sessions.has(chapterId)) return sessions.get(chapterId);
+        if (loading.has(chapterId)) return loading.get(chapterId);
+
+        const load = (async () => {
+            const row = typeof chapter === 'string' ? await chapterModel.findById(chapterId) : chapter;
+            if (!row) {
+                throw new AppError('Chapter not found', 404);
+            }
+
+            const session = {
+                chapter_id: row.id,
+                publication_id: row.publication_id,
+                title: row.title,
+                content: row.content || '',
+                revision: 0,
+                history: [],
+                participants: new Map(),
+                locks: new Map(),
+                contributors: new Set(),
+                settings: { ...SESSION_DEFAULTS, ...settings },
+                snapshot_revision: 0,
+                snapshot_timer: null,
+                lock_timer: null,
+                started_at: new Date()
+            };
+
+            sessions.set(chapterId, session);
+            logger.info('Co-editing session started', { chapterId, publicationId: session.publication_id });
+            return session;
+        })();
+
+        loading.set(chapterId, load);
+        try {
+            return await load;
+        } finally {
+            loading.delete(chapterId);
+        }
+    }
+
+    /**
+     * Add a user to a chapter's session
+     * A user may hold several connections (tabs); they stay present until the last one leaves
+     * @param {string} chapterId - Chapter ID
+     * @param {Object} user - { id, name }
+     * @param {Object} settings - Session settings used when the session is created
+     * @returns {Promise<Object>} Session state for the joining client
+     */
+    static async join(chapterId, user, settings = {}) {
+        const { chapter, access } = await this.authorize(chapterId, user.id);
+        const session = await this.openSession(chapter, settings);
+
+        let participant = session.participants.get(user.id);
+        if (participant) {
+            participant.connections += 1;
+        } else {
+            participant = {
+                user_id: user.id,
+                name: user.name || null,
+                role: access.role,
+                can_edit: access.can_edit,
+                color: PRESENCE_COLORS[session.participants.size % PRESENCE_COLORS.length],
+                cursor: null,
+                connections: 1,
+                joined_at: new Date()
+            };
+            session.participants.set(user.id, participant);
+        }
+        participant.last_seen = new Date();
+
+        this.emit(session, { type: 'presence', participants: this.describeParticipants(session) });
+
+        return { ...this.describe(session), access };
+    }
+
+    /**
+     * Drop one of a user's connections; the last one releases their locks
+     * and, when nobody is left, the session is snapshotted and closed
+     * @param {string} chapterId - Chapter ID
+     * @param {string} userId - User ID
+     */
+    static async leave(chapterId, userId) {
+        const session = sessions.get(chapterId);
+        if (!session) return;
+
+        const participant = session.participants.get(userId);
+        if (participant && --participant.connections > 0) return;
+
+        session.participants.delete(userId);
+        const released = this.releaseLocks(session, lock => lock.user_id === userId);
+
+        this.emit(session, { type: 'presence', participants: this.describeParticipants(session) });
+        if (released) {
+            this.emit(session, { type: 'locks', locks: this.describeLocks(session) });
+        }
+
+        if (session.participants.size === 0) {
+            await this.closeSession(session, 'All participants left');
+        }
+    }
+
+    /**
+     * Apply a client operation made against `revision`
+     * The operation is transformed over everything applied since, checked
+     * against other users' section locks and broadcast to the session
+     * @param {string} chapterId - Chapter ID
+     * @param {string} userId - Author of the operation
+     * @param {number} revision - Revision the client based the operation on
+     * @param {Array} operation - Text operation
+     * @param {string} origin - Connection the operation came from (not echoed back)
+     * @returns {Object} { revision, operation } as applied
+     */
+    static receiveOperation(chapterId, userId, revision, operation, origin = null) {
+        const session = this.requireSession(chapterId);
+        const participant = session.participants.get(userId);
+
+        if (!participant) {
+            throw new AppError('Join the session before editing', 403);
+        }
+        if (!participant.can_edit) {
+            throw new AppError('You have read-only access to this chapter', 403);
+        }
+        if (!ot.isValid(operation)) {
+            throw new AppError('Malformed operation', 400);
+        }
+        if (!Number.isInteger(revision) || revision < 0 || revision > session.revision) {
+            throw new AppError(`Unknown revision ${revision}`, 409);
+        }
+
+        const firstKept = session.history.length > 0 ? session.history[0].revision - 1 : session.revision;
+        if (revision < firstKept) {
+            throw new AppError('Revision is too old to merge; resynchronise the document', 409);
+        }
+
+        const concurrent = session.history.filter(entry => entry.revision > revision);
+        const expectedLength = concurrent.length > 0 ? ot.baseLength(concurrent[0].operation) : session.content.length;
+        if (ot.baseLength(operation) !== expectedLength) {
+            throw new AppError(`Operation does not match the document at revision ${revision}`, 409);
+        }
+
+        let transformed = ot.normalize(operation);
+        for (const entry of concurrent) {
+            [transformed] = ot.transform(transformed, entry.operation);
+        }
+
+        this.expireLocks(session);
+        const blocking = this.findBlockingLock(session, transformed, userId);
+        if (blocking) {
+            throw new AppError(`Section "${blocking.label || 'locked text'}" is locked by another editor`, 423);
+        }
+
+        if (ot.isNoop(transformed)) {
+            return { revision: session.revision, operation: transformed };
+        }
+
+        session.content = ot.apply(session.content, transformed);
+        session.revision += 1;
+        session.history.push({ revision: session.revision, operation: transformed, user_id: userId });
+        if (session.history.length > session.settings.history_limit) {
+            session.history.splice(0, session.history.length - session.settings.history_limit);
+        }
+
+        this.transformPositions(session, transformed, userId);
+        session.contributors.add(userId);
+        participant.last_seen = new Date();
+
+        this.emit(session, {
+            type: 'operation',
+            revision: session.revision,
+            operation: transformed,
+            user_id: userId,
+            origin
+        });
+
+        this.scheduleSnapshot(session);
+
+        return { revision: session.revision, operation: transformed };
+    }
+
+    /**
+     * Record where a participant's caret or selection is
+     * @param {string} chapterId - Chapter ID
+     * @param {string} userId - User ID
+     * @param {Object|null} cursor - { index, length } in document offsets, null to hide
+     * @returns {Object|null} Stored cursor
+     */
+    static updateCursor(chapterId, userId, cursor) {
+        const session = this.requireSession(chapterId);
+        const participant = session.participants.get(userId);
+        if (!participant) {
+            throw new AppError('Join the session before sharing a cursor', 403);
+        }
+
+        if (cursor && Number.isInteger(cursor.index)) {
+            const index = Math.max(0, Math.min(cursor.index, session.content.length));
+            const length = Math.max(0, Math.min(Number(cursor.length) || 0, session.content.length - index));
+            participant.cursor = { index, length };
+        } else {
+            participant.cursor = null;
+        }
+        participant.last_seen = new Date();
+
+        this.emit(session, { type: 'cursor', user_id: userId, cursor: participant.cursor });
+        return participant.cursor;
+    }
+
+    /**
+     * Lock a stretch of the chapter for one editor
+     * Locks expire after ttl_ms unless renewed by locking again or by editing inside them
+     * @param {string} chapterId - Chapter ID
+     * @param {string} userId - User ID
+     * @param {Object} section - { start, end, label, lock_id } in document offsets
+     * @param {number} ttlMs - Lock lifetime
+     * @returns {Object} Lock
+     */
+    static lockSection(chapterId, userId, section = {}, ttlMs = null) {
+        const session = this.requireSession(chapterId);
+        const participant = session.participants.get(userId);
+        if (!participant || !participant.can_edit) {
+            throw new AppError('Only editors in the session can lock sections', 403);
+        }
+
+        const start = Number(section.start);
+        const end = Number(section.end);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > session.content.length) {
+            throw new AppError('Section must be a non-empty range inside the chapter', 400);
+        }
+
+        this.expireLocks(session);
+        const ttl = Math.min(ttlMs || session.settings.lock_ttl_ms, session.settings.max_lock_ttl_ms);
+
+        for (const lock of session.locks.values()) {
+            if (lock.user_id !== userId && start < lock.end && end > lock.start) {
+                throw new AppError(`Section overlaps text locked by ${lock.user_name || 'another editor'}`, 409);
+            }
+        }
+
+        const existing = section.lock_id ? session.locks.get(section.lock_id) : null;
+        if (existing && existing.user_id !== userId) {
+            throw new AppError('Lock belongs to another editor', 403);
+        }
+
+        const lock = existing || { id: uuidv4(), user_id: userId, user_name: participant.name, acquired_at: new Date() };
+        Object.assign(lock, {
+            start,
+            end,
+            label: section.label || lock.label || null,
+            expires_at: new Date(Date.now() + ttl),
+            ttl_ms: ttl
+        });
+
+        session.locks.set(lock.id, lock);
+        this.ensureLockSweep(session);
+        this.emit(session, { type: 'locks', locks: this.describeLocks(session) });
+
+        return { ...lock };
+    }
+
+    /**
+     * Release a lock; the publication owner may release anyone's
+     * @param {string} chapterId - Chapter ID
+     * @param {string} userId - User ID
+     * @param {string} lockId - Lock ID
+     * @returns {boolean} Whether a lock was released
+     */
+    static unlockSection(chapterId, userId, lockId) {
+        const session = this.requireSession(chapterId);
+        const lock = session.locks.get(lockId);
+        if (!lock) return false;
+
+        const participant = session.participants.get(userId);
+        if (lock.user_id !== userId && !(participant && participant.role === 'author')) {
+            throw new AppError('Lock belongs to another editor', 403);
+        }
+
+        session.locks.delete(lockId);
+        this.emit(session, { type: 'locks', locks: this.describeLocks(session) });
+        return true;
+    }
+
+    /**
+     * Save the current text to the chapter and its version history
+     * Nothing is written when the text has not changed since the last snapshot
+     * @param {string} chapterId - Chapter ID
+     * @param {Object} options - { user_id, description }
+     * @returns {Promise<Object|null>} Created chapter version
+     */
+    static async snapshot(chapterId, options = {}) {
+        const session = sessions.get(chapterId);
+        if (!session) return null;
+        return this.saveSnapshot(session, options);
+    }
+
+    /**
+     * Snapshot and close a chapter's session, disconnecting its clients
+     * @param {string} chapterId - Chapter ID
+     * @param {string} reason - Shown to connected clients
+     * @returns {Promise<Object|null>} Final chapter version, if one was written
+     */
+    static async endSession(chapterId, reason = 'Session ended') {
+        const session = sessions.get(chapterId);
+        if (!session) return null;
+        return this.closeSession(session, reason);
+    }
+
+    /**
+     * Current state of a chapter's session, or null when nobody is editing it
+     */
+    static getSessionState(chapterId) {
+        const session = sessions.get(chapterId);
+        return session ? this.describe(session) : null;
+    }
+
+    static listSessions() {
+        return [...sessions.values()].map(session => ({
+            chapter_id: session.chapter_id,
+            publication_id: session.publication_id,
+            title: session.title,
+            revision: session.revision,
+            participants: session.participants.size,
+            locks: session.locks.size,
+            started_at: session.started_at
+        }));
+    }
+
+    // Helper Methods
+
+    static requireSession(chapterId) {
+        const session = sessions.get(chapterId);
+        if (!session) {
+            throw new AppError('No active editing session for this chapter', 404);
+        }
+        return session;
+    }
+
+    static emit(session, event) {
+        events.emit(session.chapter_id, { chapter_id: session.chapter_id, ...event });
+    }
+
+    static describe(session) {
+        return {
+            chapter_id: session.chapter_id,
+            publication_id: session.publication_id,
+            title: session.title,
+            revision: session.revision,
+            content: session.content,
+            participants: this.describeParticipants(session),
+            locks: this.describeLocks(session),
+            started_at: session.started_at
+        };
+    }
+
+    static describeParticipants(session) {
+        return [...session.participants.values()].map(participant => ({
+            user_id: participant.user_id,
+            name: participant.name,
+            role: participant.role,
+            can_edit: participant.can_edit,
+            color: participant.color,
+            cursor: participant.cursor,
+            joined_at: participant.joined_at,
+            last_seen: participant.last_seen
+        }));
+    }
+
+    static describeLocks(session) {
+        return [...session.locks.values()].map(lock => ({ ...lock }));
+    }
+
+    /**
+     * First lock held by someone else that the operation would change
+     * Inserting at a lock's edge is allowed; inside it or deleting across it is not
+     */
+    static findBlockingLock(session, operation, userId) {
+        const ranges = ot.affectedRanges(operation);
+        for (const lock of session.locks.values()) {
+            if (lock.user_id === userId) continue;
+            if (ranges.some(range => range.start < lock.end && range.end > lock.start)) {
+                return lock;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Carry cursors and lock ranges through an applied operation
+     * Text typed at a lock's edge stays outside it; editing inside
+     * one's own lock keeps it alive
+     */
+    static transformPositions(session, operation, authorId) {
+        for (const participant of session.participants.values()) {
+            if (!participant.cursor) continue;
+            const { index, length } = participant.cursor;
+            const ownCursor = participant.user_id === authorId;
+            const start = ot.transformIndex(index, operation, ownCursor);
+            const end = ot.transformIndex(index + length, operation, ownCursor);
+            participant.cursor = { index: start, length: Math.max(0, end - start) };
+        }
+
+        const ranges = ot.affectedRanges(operation);
+        for (const lock of session.locks.values()) {
+            const touched = lock.user_id === authorId && ranges.some(range => range.start <= lock.end && range.end >= lock.start);
+            lock.start = ot.transformIndex(lock.start, operation, true);
+            lock.end = Math.max(lock.start, ot.transformIndex(lock.end, operation, false));
+            if (touched) {
+                lock.expires_at = new Date(Date.now() + lock.ttl_ms);
+            }
+        }
+    }
+
+    static expireLocks(session) {
+        const now = Date.now();
+        const expired = this.releaseLocks(session, lock => new Date(lock.expires_at).getTime() <= now);
+        if (expired) {
+            this.emit(session, { type: 'locks', locks: this.describeLocks(session) });
+        }
+        return expired;
+    }
+
+    static releaseLocks(session, predicate) {
+        let released = 0;
+        for (const [id, lock] of session.locks) {
+            if (predicate(lock)) {
+                session.locks.delete(id);
+                released++;
+            }
+        }
+        return released;
+    }
+
+    static ensureLockSweep(session) {
+        if (session.lock_timer) return;
+        session.lock_timer = setInterval(() => {
+            this.expireLocks(session);
+            if (session.locks.size === 0) {
+                clearInterval(session.lock_timer);
+                session.lock_timer = null;
+            }
+        }, LOCK_SWEEP_INTERVAL_MS);
+        session.lock_timer.unref();
+    }
+
+    static scheduleSnapshot(session) {
+        const pending = session.revision - session.snapshot_revision;
+        if (pending >= session.settings.snapshot_after_operations) {
+            this.saveSnapshot(session).catch(error => {
+                logger.error('Co-editing snapshot failed', { chapterId: session.chapter_id, error: error.message });
+            });
+            return;
+        }
+
+        if (session.snapshot_timer) return;
+        session.snapshot_timer = setTimeout(() => {
+            session.snapshot_timer = null;
+            this.saveSnapshot(session).catch(error => {
+                logger.error('Co-editing snapshot failed', { chapterId: session.chapter_id, error: error.message });
+            });
+        }, session.settings.snapshot_interval_ms);
+        session.snapshot_timer.unref();
+    }
+
+    static async saveSnapshot(session, options = {}) {
+        if (session.snapshot_timer) {
+            clearTimeout(session.snapshot_timer);
+            session.snapshot_timer = null;
+        }
+
+        if (session.revision === session.snapshot_revision && !options.force) {
+            return null;
+        }
+
+        const revision = session.revision;
+        const content = session.content;
+        const contributors = [...session.contributors];
+        const edits = revision - session.snapshot_revision;
+
+        // Claim the revision first so overlapping triggers do not write twice
+        session.snapshot_revision = revision;
+        session.contributors.clear();
+
+        try {
+            await chapterModel.update(session.chapter_id, { content });
+
+            const latest = await chapterVersionModel.findLatest(session.chapter_id);
+            if (latest && latest.content_hash === chapterVersionModel.hashContent(content)) {
+                return null;
+            }
+
+            const version = await chapterVersionModel.create({
+                chapter_id: session.chapter_id,
+                publication_id: session.publication_id,
+                content,
+                change_description: options.description || `Collaborative editing: ${edits} edit${edits === 1 ? '' : 's'}`,
+                source: 'collaborative_session',
+                session_revision: revision,
+                contributors,
+                created_by: options.user_id || contributors[0] || null
+            });
+
+            this.emit(session, {
+                type: 'snapshot',
+                version: {
+                    id: version.id,
+                    version_number: version.version_number,
+                    session_revision: revision,
+                    created_at: version.created_at
+                }
+            });
+
+            return version;
+        } catch (error) {
+            // Let the next trigger retry with everything since the last good snapshot
+            session.snapshot_revision = Math.min(session.snapshot_revision, revision - edits);
+            contributors.forEach(userId => session.contributors.add(userId));
+            throw error;
+        }
+    }
+
+    static async closeSession(session, reason) {
+        let version = null;
+        try {
+            version = await this.saveSnapshot(session);
+        } catch (error) {
+            logger.error('Final co-editing snapshot failed', { chapterId: session.chapter_id, error: error.message });
+        }
+
+        // Someone may have joined while the snapshot was being written
+        if (session.participants.size > 0 && reason === 'All participants left') {
+            return version;
+        }
+
+        if (session.lock_timer) clearInterval(session.lock_timer);
+        if (session.snapshot_timer) clearTimeout(session.snapshot_timer);
+        sessions.delete(session.chapter_id);
+
+        this.emit(session, { type: 'closed', reason, revision: session.revision });
+        logger.info('Co-editing session closed', { chapterId: session.chapter_id, reason, revision: session.revision });
+
+        return version;
+    }
+}
+
+module.exports = CoEditingService;
@@ -0,0 +1,253 @@
+/**
+ * Co-Editing Socket Service - WebSocket Transport for Chapter Co-Editing
+ * One channel per chapter at /ws/publishing/chapters/:chapterId, authenticated
+ * with the same JWT as the REST API (?token= or an Authorization header)
+ *
+ * Client -> server: operation { revision, operation }, cursor { cursor },
+ *   lock { start, end, label, lock_id, ttl_ms }, unlock { lock_id },
+ *   snapshot { description }, resync, ping
+ * Server -> client: init, ack, operation, presence, cursor, locks,
+ *   lock_acquired, rejected, snapshot, closed, pong, error
+ */
+
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const CoEditingService = require('./coEditing.service.cjs');
+const logger = require('../config/logger.cjs');
+
+const CHANNEL_PATTERN = /^\/ws\/publishing\/chapters\/([^/]+)\/?$/;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_PAYLOAD_BYTES = 2 * 1024 * 1024;
+
+class CoEditingSocketService {
+    constructor(server) {
+        this.wss = new WebSocket.Server({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+        this.channels = new Map();
+
+        this.handleUpgrade = this.handleUpgrade.bind(this);
+        server.on('upgrade', this.handleUpgrade);
+        this.server = server;
+
+        this.heartbeat = setInterval(() => this.checkConnections(), HEARTBEAT_INTERVAL_MS);
+        this.heartbeat.unref();
+    }
+
+    handleUpgrade(request, socket, head) {
+        const url = new URL(request.url, 'http://localhost');
+        const match = url.pathname.match(CHANNEL_PATTERN);
+        if (!match) return; // another WebSocket service owns this path
+
+        const user = this.authenticate(request, url);
+        if (!user) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(request, socket, head, (ws) => {
+            this.handleConnection(ws, decodeURIComponent(match[1]), user);
+        });
+    }
+
+    authenticate(request, url) {
+        const header = request.headers.authorization || '';
+        const token = url.searchParams.get('token') || (header.startsWith('Bearer ') ? header.slice(7) : null);
+        if (!token) return null;
+
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
+            const id = decoded.id || decoded.sub;
+            if (!id) return null;
+            return { id, name: decoded.name || decoded.username || decoded.email || null };
+        } catch (error) {
+            logger.warn('Co-editing connection rejected: invalid token', { error: error.message });
+            return null;
+        }
+    }
+
+    async handleConnection(ws, chapterId, user) {
+        ws.connectionId = uuidv4();
+        ws.chapterId = chapterId;
+        ws.user = user;
+        ws.isAlive = true;
+        ws.joined = false;
+
+        ws.on('pong', () => { ws.isAlive = true; });
+        ws.on('close', () => this.handleClose(ws));
+        ws.on('message', (raw) => this.handleMessage(ws, raw));
+
+        try {
+            const state = await CoEditingService.join(chapterId, user);
+            if (ws.readyState !== WebSocket.OPEN) {
+                await CoEditingService.leave(chapterId, user.id);
+                return;
+            }
+
+            ws.joined = true;
+            this.addToChannel(chapterId, ws);
+            this.send(ws, { type: 'init', user_id: user.id, ...state });
+        } catch (error) {
+            this.send(ws, { type: 'error', message: error.message, status: error.statusCode || 500 });
+            ws.close(error.statusCode === 403 || error.statusCode === 404 ? 4403 : 1011, error.message.slice(0, 120));
+        }
+    }
+
+    async handleMessage(ws, raw) {
+        if (!ws.joined) return;
+
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            this.send(ws, { type: 'error', message: 'Messages must be JSON' });
+            return;
+        }
+
+        const { chapterId, user } = ws;
+        try {
+            switch (message.type) {
+                case 'operation': {
+                    const applied = CoEditingService.receiveOperation(
+                        chapterId, user.id, message.revision, message.operation, ws.connectionId
+                    );
+                    this.send(ws, { type: 'ack', revision: applied.revision });
+                    break;
+                }
+                case 'cursor':
+                    CoEditingService.updateCursor(chapterId, user.id, message.cursor);
+                    break;
+                case 'lock': {
+                    const lock = CoEditingService.lockSection(chapterId, user.id, message, message.ttl_ms);
+                    this.send(ws, { type: 'lock_acquired', request_id: message.request_id, lock });
+                    break;
+                }
+                case 'unlock':
+                    CoEditingService.unlockSection(chapterId, user.id, message.lock_id);
+                    break;
+                case 'snapshot': {
+                    const version = await CoEditingService.snapshot(chapterId, {
+                        user_id: user.id,
+                        description: message.description
+                    });
+                    if (!version) {
+                        this.send(ws, { type: 'snapshot', version: null });
+                    }
+                    break;
+                }
+                case 'resync':
+                    this.send(ws, { type: 'init', user_id: user.id, ...CoEditingService.getSessionState(chapterId) });
+                    break;
+                case 'ping':
+                    this.send(ws, { type: 'pong', at: Date.now() });
+                    break;
+                default:
+                    this.send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+            }
+        } catch (error) {
+            const state = CoEditingService.getSessionState(chapterId);
+            this.send(ws, {
+                type: message.type === 'operation' ? 'rejected' : 'error',
+                request: message.type,
+                request_id: message.request_id,
+                message: error.message,
+                status: error.statusCode || 500,
+                revision: state ? state.revision : null
+            });
+
+            if (!error.statusCode || error.statusCode >= 500) {
+                logger.error('Co-editing message failed', { chapterId, userId: user.id, type: message.type, error: error.message });
+            }
+        }
+    }
+
+    async handleClose(ws) {
+        if (!ws.joined) return;
+        ws.joined = false;
+        this.removeFromChannel(ws.chapterId, ws);
+
+        try {
+            await CoEditingService.leave(ws.chapterId, ws.user.id);
+        } catch (error) {
+            logger.error('Co-editing leave failed', { chapterId: ws.chapterId, userId: ws.user.id, error: error.message });
+        }
+    }
+
+    addToChannel(chapterId, ws) {
+        let channel = this.channels.get(chapterId);
+        if (!channel) {
+            channel = {
+                clients: new Set(),
+                unsubscribe: CoEditingService.subscribe(chapterId, (event) => this.relay(chapterId, event))
+            };
+            this.channels.set(chapterId, channel);
+        }
+        channel.clients.add(ws);
+    }
+
+    removeFromChannel(chapterId, ws) {
+        const channel = this.channels.get(chapterId);
+        if (!channel) return;
+
+        channel.clients.delete(ws);
+        if (channel.clients.size === 0) {
+            channel.unsubscribe();
+            this.channels.delete(chapterId);
+        }
+    }
+
+    relay(chapterId, event) {
+        const channel = this.channels.get(chapterId);
+        if (!channel) return;
+
+        const { origin, ...payload } = event;
+        for (const client of channel.clients) {
+            // The author of an operation gets an ack instead of an echo
+            if (event.type === 'operation' && client.connectionId === origin) continue;
+            this.send(client, payload);
+        }
+
+        if (event.type === 'closed') {
+            for (const client of channel.clients) {
+                client.joined = false;
+                client.close(1000, 'Session closed');
+            }
+            channel.unsubscribe();
+            this.channels.delete(chapterId);
+        }
+    }
+
+    send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    checkConnections() {
+        this.wss.clients.forEach((ws) => {
+            if (!ws.isAlive) {
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        });
+    }
+
+    async close() {
+        clearInterval(this.heartbeat);
+        this.server.off('upgrade', this.handleUpgrade);
+
+        const chapterIds = [...this.channels.keys()];
+        await Promise.all(chapterIds.map(chapterId =>
+            CoEditingService.endSession(chapterId, 'Server shutting down').catch(error => {
+                logger.error('Failed to close co-editing session', { chapterId, error: error.message });
+            })
+        ));
+
+        this.wss.clients.forEach(ws => ws.terminate());
+        await new Promise(resolve => this.wss.close(resolve));
+    }
+}
+
+module.exports = CoEditingSocketService;
@@ -10,6 +10,7 @@ const VersionModel = require('../models/version.model.cjs');
 const PublicationModel = require('../models/publication.model.cjs');
 const AuthorModel = require('../models/author.model.cjs');
 const NotificationModel = require('../models/notification.model.cjs');
+const CoEditingService = require('./coEditing.service.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 const { v4: uuidv4 } = require('uuid');
 
@@ -775,39 +776,85 @@ class CollaborationService {
         return { valid: true, errors: [] };
     }
 
+    // Editing sessions are per chapter: the session ID is the chapter ID and
+    // the live document, presence and locks are held by CoEditingService
+
     static async startCollaborativeSession(publicationId, sessionId, participants, settings) {
-        // Implementation would start real-time editing session
-        return { session_id: sessionId, status: 'started', participants: participants.length };
+        await CoEditingService.openSession(sessionId, settings);
+        const state = CoEditingService.getSessionState(sessionId);
+
+        if (state.publication_id !== publicationId) {
+            if (state.participants.length === 0) {
+                await CoEditingService.endSession(sessionId, 'Chapter does not belong to publication');
+            }
+            throw new AppError('Chapter does not belong to this publication', 400);
+        }
+
+        return {
+            session_id: sessionId,
+            status: 'started',
+            revision: state.revision,
+            participants: participants.length,
+            websocket_path: `/ws/publishing/chapters/${sessionId}`
+        };
     }
 
     static async joinCollaborativeSession(sessionId, userId, context) {
-        // Implementation would add user to session
-        return { session_id: sessionId, user_id: userId, status: 'joined' };
+        const state = await CoEditingService.join(sessionId, { id: userId, name: context.name });
+        return { session_id: sessionId, user_id: userId, status: 'joined', ...state };
     }
 
     static async leaveCollaborativeSession(sessionId, userId) {
-        // Implementation would remove user from session
+        await CoEditingService.leave(sessionId, userId);
         return { session_id: sessionId, user_id: userId, status: 'left' };
     }
 
-    static async syncCollaborativeChanges(sessionId, changes, conflictResolution) {
-        // Implementation would sync changes with conflict resolution
-        return { session_id: sessionId, changes_synced: changes.length, conflicts: 0 };
+    /**
+     * Apply a batch of changes ({ user_id, revision, operation }) in order
+     * With automatic resolution, changes that cannot be merged are reported
+     * as conflicts; otherwise the first one aborts the sync
+     */
+    static async syncCollaborativeChanges(sessionId, changes = [], conflictResolution) {
+        const applied = [];
+        const conflicts = [];
+
+        for (const change of changes) {
+            try {
+                applied.push(CoEditingService.receiveOperation(sessionId, change.user_id, change.revision, change.operation));
+            } catch (error) {
+                if (conflictResolution !== 'automatic') throw error;
+                conflicts.push({ user_id: change.user_id, revision: change.revision, reason: error.message });
+            }
+        }
+
+        const state = CoEditingService.getSessionState(sessionId);
+        return {
+            session_id: sessionId,
+            changes_synced: applied.length,
+            conflicts: conflicts.length,
+            rejected: conflicts,
+            revision: state ? state.revision : null
+        };
     }
 
     static async lockEditingSection(sessionId, section, userId) {
-        // Implementation would lock content section for editing
-        return { session_id: sessionId, section, locked_by: userId, status: 'locked' };
+        const lock = CoEditingService.lockSection(sessionId, userId, section, section.ttl_ms);
+        return { session_id: sessionId, section, locked_by: userId, status: 'locked', lock };
     }
 
     static async unlockEditingSection(sessionId, section, userId) {
-        // Implementation would unlock content section
-        return { session_id: sessionId, section, unlocked_by: userId, status: 'unlocked' };
+        const released = CoEditingService.unlockSection(sessionId, userId, section.lock_id || section.id);
+        return { session_id: sessionId, section, unlocked_by: userId, status: released ? 'unlocked' : 'not_locked' };
     }
 
     static async endCollaborativeSession(sessionId, userId) {
-        // Implementation would end editing session
-        return { session_id: sessionId, ended_by: userId, status: 'ended' };
+        const version = await CoEditingService.endSession(sessionId, 'Session ended by editor');
+        return {
+            session_id: sessionId,
+            ended_by: userId,
+            status: 'ended',
+            version_id: version ? version.id : null
+        };
     }
 
     static async updateSessionAnalytics(sessionId, action, result) {
@@ -7,11 +7,27 @@
 
 const ChapterModel = require('../models/chapter.model.cjs');
 const PublicationModel = require('../models/publication.model.cjs');
+const ManuscriptReader = require('../utils/manuscriptReader.util.cjs');
+const { storageHelpers } = require('../../config/storage.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
 
+const chapterModel = new ChapterModel();
+const publicationModel = new PublicationModel();
+
+// Confidence in each way of finding chapter breaks
+const DETECTION_CONFIDENCE = {
+    epub_navigation: 0.95,
+    epub_spine: 0.8,
+    docx_headings: 0.9,
+    pdf_outline: 0.85,
+    pdf_font_size: 0.65,
+    chapter_pattern: 0.5,
+    none: 0.3
+};
+
 class ContentIngestionService {
     /**
      * Process comprehensive file upload and content ingestion
@@ -102,7 +118,8 @@ class ContentIngestionService {
                 chapterDetection = await this.detectChapterStructure(
                     contentProcessing.content,
                     file_type,
-                    metadataResult
+                    metadataResult,
+                    contentProcessing.document
                 );
             }
 
@@ -115,6 +132,10 @@ class ContentIngestionService {
                 userId
             );
 
+            // Parsed documents hold image data; report only the summary
+            const contentSummary = { ...contentProcessing };
+            delete contentSummary.document;
+
             // Update ingestion session
             ingestionSession.status = 'completed';
             ingestionSession.completed_at = new Date();
@@ -126,7 +147,7 @@ class ContentIngestionService {
                 {
                     backup_info: backupInfo,
                     metadata_result: metadataResult,
-                    content_processing: contentProcessing,
+                    content_processing: contentSummary,
                     content_validation: contentValidation,
                     chapter_detection: chapterDetection,
                     import_result: importResult
@@ -137,7 +158,7 @@ class ContentIngestionService {
                 ingestion_session: ingestionSession,
                 backup_info: backupInfo,
                 metadata_extraction: metadataResult,
-                content_processing: contentProcessing,
+                content_processing: contentSummary,
                 content_validation: contentValidation,
                 chapter_detection: chapterDetection,
                 import_result: importResult,
@@ -448,7 +469,7 @@ class ContentIngestionService {
             }
 
             // Check publication permissions
-            const publication = await PublicationModel.findById(publicationId);
+            const publication = await publicationModel.findById(publicationId);
             if (!publication) {
                 return {
                     valid: false,
@@ -551,6 +572,7 @@ class ContentIngestionService {
         try {
             let content = '';
             let processing_info = {};
+            let document = null;
 
             switch (fileType.toLowerCase()) {
                 case 'txt':
@@ -566,16 +588,36 @@ class ContentIngestionService {
                     processing_info = { format: 'markdown', converted_to_html: options.convert_to_html };
                     break;
                 case 'pdf':
-                    content = await this.extractPDFText(filePath, options);
-                    processing_info = { format: 'pdf', pages_processed: content.split('\n\n').length };
+                    document = await this.extractPDFText(filePath, options);
+                    content = this.manuscriptText(document);
+                    processing_info = {
+                        format: 'pdf',
+                        pages_processed: document.metadata.pages,
+                        chapters_found: document.chapters.length,
+                        warnings: document.warnings
+                    };
                     break;
                 case 'docx':
-                    content = await this.extractDOCXText(filePath, options);
-                    processing_info = { format: 'docx', formatting_preserved: options.preserve_formatting };
+                    document = await this.extractDOCXText(filePath, options);
+                    content = this.manuscriptText(document);
+                    processing_info = {
+                        format: 'docx',
+                        formatting_preserved: true,
+                        chapters_found: document.chapters.length,
+                        footnotes_found: document.footnotes,
+                        images_found: document.images.length,
+                        warnings: document.warnings
+                    };
                     break;
                 case 'epub':
-                    content = await this.extractEPUBText(filePath, options);
-                    processing_info = { format: 'epub', chapters_found: content.split('---CHAPTER---').length };
+                    document = await this.extractEPUBText(filePath, options);
+                    content = this.manuscriptText(document);
+                    processing_info = {
+                        format: 'epub',
+                        chapters_found: document.chapters.length,
+                        images_found: document.images.length,
+                        warnings: document.warnings
+                    };
                     break;
                 default:
                     throw new Error(`Unsupported file type for processing: ${fileType}`);
@@ -583,6 +625,7 @@ class ContentIngestionService {
 
             return {
                 content,
+                document,
                 processing_info,
                 content_length: content.length,
                 word_count: this.countWords(content),
@@ -642,8 +685,9 @@ class ContentIngestionService {
 
     /**
      * Detect chapter structure
+     * @param {Object} [document] - Parsed manuscript for DOCX, EPUB and PDF uploads
      */
-    static async detectChapterStructure(content, fileType, metadata) {
+    static async detectChapterStructure(content, fileType, metadata, document = null) {
         try {
             const detection = {
                 chapters_detected: [],
@@ -654,18 +698,27 @@ class ContentIngestionService {
             // Different detection strategies based on content type
             switch (fileType.toLowerCase()) {
                 case 'epub':
-                    detection.chapters_detected = await this.detectEPUBChapters(content, metadata);
+                    detection.chapters_detected = await this.detectEPUBChapters(content, metadata, document);
                     detection.confidence = 0.9;
                     break;
                 case 'docx':
-                    detection.chapters_detected = await this.detectDOCXChapters(content, metadata);
+                    detection.chapters_detected = await this.detectDOCXChapters(content, metadata, document);
                     detection.confidence = 0.8;
                     break;
+                case 'pdf':
+                    detection.chapters_detected = await this.detectPDFChapters(content, metadata, document);
+                    detection.confidence = 0.7;
+                    break;
                 default:
                     detection.chapters_detected = await this.detectGenericChapters(content);
                     detection.confidence = 0.6;
             }
 
+            if (document) {
+                detection.detection_method = document.structure;
+                detection.confidence = DETECTION_CONFIDENCE[document.structure] ?? detection.confidence;
+            }
+
             return {
                 detection_successful: true,
                 detection
@@ -689,24 +742,28 @@ class ContentIngestionService {
                 publication_updated: false,
                 import_summary: {}
             };
+            const imageUrls = await this.uploadManuscriptImages(publicationId, contentProcessing.document);
 
             // If chapters were detected, create them
             if (chapterDetection && chapterDetection.detection_successful && chapterDetection.detection.chapters_detected.length > 0) {
                 for (const [index, chapterInfo] of chapterDetection.detection.chapters_detected.entries()) {
                     try {
-                        const chapter = await ChapterModel.create({
+                        // Word counts come from the plain text, not the HTML markup
+                        const content = this.linkManuscriptImages(chapterInfo.content, imageUrls);
+                        const text = chapterInfo.text ?? chapterInfo.content;
+                        const chapter = await chapterModel.create({
                             publication_id: publicationId,
                             chapter_number: index + 1,
                             title: chapterInfo.title || `Chapter ${index + 1}`,
-                            content: chapterInfo.content,
-                            word_count: this.countWords(chapterInfo.content),
-                            character_count: chapterInfo.content.length,
-                            estimated_reading_time: this.calculateReadingTime(chapterInfo.content),
+                            content,
+                            word_count: this.countWords(text),
+                            character_count: text.length,
+                            estimated_reading_time: this.calculateReadingTime(text),
                             created_by: userId,
                             updated_by: userId,
                             content_metadata: {
                                 imported_from: metadata?.metadata?.title || 'Unknown source',
-                                import_method: 'auto_detection',
+                                import_method: chapterDetection.detection.detection_method || 'auto_detection',
                                 original_format: contentProcessing.processing_info.format
                             }
                         });
@@ -718,7 +775,7 @@ class ContentIngestionService {
                 }
             } else {
                 // Create single chapter with all content
-                const chapter = await ChapterModel.create({
+                const chapter = await chapterModel.create({
                     publication_id: publicationId,
                     chapter_number: 1,
                     title: metadata?.metadata?.title || 'Imported Content',
@@ -738,19 +795,18 @@ class ContentIngestionService {
                 importResults.chapters_created.push(chapter);
             }
 
-            // Update publication metadata if available
-            if (metadata?.metadata) {
-                await PublicationModel.updateMetadata(publicationId, {
-                    imported_metadata: metadata.metadata,
-                    last_import: new Date(),
-                    total_imported_chapters: importResults.chapters_created.length
-                });
+            // Keep the publication's word count in step with the imported chapters
+            if (importResults.chapters_created.length > 0) {
+                await publicationModel.update(publicationId, {
+                    word_count: importResults.chapters_created.reduce((sum, ch) => sum + (ch.word_count || 0), 0)
+                }, userId);
                 importResults.publication_updated = true;
             }
 
             importResults.import_summary = {
                 total_chapters: importResults.chapters_created.length,
                 total_words: importResults.chapters_created.reduce((sum, ch) => sum + ch.word_count, 0),
+                images_uploaded: imageUrls.size,
                 import_method: chapterDetection?.detection_successful ? 'auto_chapters' : 'single_chapter'
             };
 
@@ -760,6 +816,36 @@ class ContentIngestionService {
         }
     }
 
+    /**
+     * Upload images embedded in a manuscript, mapping their package paths to public URLs
+     */
+    static async uploadManuscriptImages(publicationId, document) {
+        const imageUrls = new Map();
+        if (!document || document.images.length === 0) {
+            return imageUrls;
+        }
+
+        const importId = uuidv4();
+        for (const image of document.images) {
+            const filePath = `publications/${publicationId}/images/${importId}/${image.name.replace(/[^\w./-]/g, '_')}`;
+            try {
+                await storageHelpers.uploadFile(image.data, filePath, { contentType: image.mediaType });
+                imageUrls.set(image.name, storageHelpers.getPublicUrl(filePath));
+            } catch (error) {
+                console.error(`Error uploading manuscript image ${image.name}:`, error);
+            }
+        }
+        return imageUrls;
+    }
+
+    static linkManuscriptImages(content, imageUrls) {
+        if (imageUrls.size === 0) {
+            return content;
+        }
+        return content.replace(/(<img\b[^>]*?\bsrc=")([^"]*)(")/g, (match, before, src, after) =>
+            (imageUrls.has(src) ? `${before}${imageUrls.get(src)}${after}` : match));
+    }
+
     // Utility methods
     static countWords(content) {
         return content.trim().split(/\s+/).filter(word => word.length > 0).length;
@@ -830,17 +916,18 @@ class ContentIngestionService {
         };
     }
 
-    // File processing placeholder methods
+    // File processing methods
     static async extractPDFMetadata(filePath, options) {
-        return { title: 'PDF Document', pages: 10 };
+        return ManuscriptReader.readPdfMetadata(await fs.readFile(filePath));
     }
 
     static async extractEPUBMetadata(filePath, options) {
-        return { title: 'EPUB Book', chapters: 5 };
+        const metadata = ManuscriptReader.readEpubMetadata(await fs.readFile(filePath));
+        return { ...metadata, author: metadata.authors.join(', ') || null };
     }
 
     static async extractDOCXMetadata(filePath, options) {
-        return { title: 'Word Document', author: 'Unknown' };
+        return ManuscriptReader.readDocxMetadata(await fs.readFile(filePath));
     }
 
     static async extractGenericMetadata(filePath, options) {
@@ -857,30 +944,52 @@ class ContentIngestionService {
         return content; // Would convert markdown to HTML if needed
     }
 
+    // Manuscript readers return { title, author, metadata, structure, chapters, images, warnings }
     static async extractPDFText(filePath, options) {
-        return 'Extracted PDF text content'; // Placeholder
+        const document = ManuscriptReader.readPdf(await fs.readFile(filePath));
+        if (document.chapters.length === 0) {
+            throw new Error(document.warnings[0] || 'No text found in PDF');
+        }
+        return document;
     }
 
     static async extractDOCXText(filePath, options) {
-        return 'Extracted DOCX text content'; // Placeholder
+        return ManuscriptReader.readDocx(await fs.readFile(filePath));
     }
 
     static async extractEPUBText(filePath, options) {
-        return 'Extracted EPUB text content'; // Placeholder
+        return ManuscriptReader.readEpub(await fs.readFile(filePath));
     }
 
-    // Chapter detection placeholder methods
-    static async detectEPUBChapters(content, metadata) {
-        return [
-            { title: 'Chapter 1', content: 'Chapter 1 content...' },
-            { title: 'Chapter 2', content: 'Chapter 2 content...' }
-        ];
+    static manuscriptText(document) {
+        return document.chapters
+            .map(chapter => [chapter.title, chapter.text].filter(Boolean).join('\n\n'))
+            .join('\n\n');
     }
 
-    static async detectDOCXChapters(content, metadata) {
-        return [
-            { title: 'Chapter 1', content: 'Chapter 1 content...' }
-        ];
+    // Chapter detection
+    static async detectEPUBChapters(content, metadata, document = null) {
+        return this.manuscriptChapters(document, content);
+    }
+
+    static async detectDOCXChapters(content, metadata, document = null) {
+        return this.manuscriptChapters(document, content);
+    }
+
+    static async detectPDFChapters(content, metadata, document = null) {
+        return this.manuscriptChapters(document, content);
+    }
+
+    static async manuscriptChapters(document, content) {
+        if (!document || document.chapters.length === 0) {
+            return this.detectGenericChapters(content);
+        }
+        return document.chapters.map(chapter => ({
+            title: chapter.title,
+            content: chapter.content,
+            text: chapter.text,
+            footnotes: chapter.footnotes
+        }));
     }
 
     static async detectGenericChapters(content) {
@@ -3,9 +3,22 @@
  * Automatic conversion between publication formats (EPUB, PDF, MOBI, etc.)
  */
 
+const fs = require('fs');
 const db = require('../../db.cjs');
 const logger = require('../../config/logger.cjs');
+const { storageHelpers } = require('../../config/storage.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
+const ChapterModel = require('../models/chapter.model.cjs');
+const EpubBuilder = require('../utils/epubBuilder.util.cjs');
+const PrintLayout = require('../utils/printLayout.util.cjs');
+const CoverSpecs = require('../utils/coverSpecs.util.cjs');
+const imageUtil = require('../../utils/image.util.cjs');
+const config = require('../config/env.cjs');
+
+const chapterModel = new ChapterModel();
+
+// Formats packaged directly from the publication's chapters
+const CHAPTER_FORMATS = ['epub', 'pdf'];
 
 class FormatConversionService {
     /**
@@ -31,10 +44,14 @@ class FormatConversionService {
 
             const publication = pubCheck.rows[0];
             const sourceFiles = pubCheck.rows.filter(row => row.format);
+            const fromChapters = this.buildsFromChapters(targetFormat);
 
-            if (sourceFiles.length === 0) {
+            if (sourceFiles.length === 0 && !fromChapters) {
                 throw new AppError('No source files found for conversion', 400);
             }
+            if (fromChapters) {
+                sourceFiles.unshift({ format: 'chapters', file_url: null });
+            }
 
             // Check if target format already exists
             const existingFormat = sourceFiles.find(file => file.format === targetFormat);
@@ -384,9 +401,11 @@ class FormatConversionService {
             `, [jobId]);
 
             // Validate source file accessibility
-            const isAccessible = await this.validateSourceFile(sourceFile.file_url);
-            if (!isAccessible) {
-                throw new Error('Source file is not accessible');
+            if (sourceFile.format !== 'chapters') {
+                const isAccessible = await this.validateSourceFile(sourceFile.file_url);
+                if (!isAccessible) {
+                    throw new Error('Source file is not accessible');
+                }
             }
 
             // Update progress
@@ -394,8 +413,9 @@ class FormatConversionService {
 
             // Perform actual conversion based on formats
             const convertedFile = await this.performConversion(
-                sourceFile.file_url,
-                sourceFile.format,
+                jobId,
+                publication,
+                sourceFile,
                 targetFormat,
                 options
             );
@@ -470,7 +490,13 @@ class FormatConversionService {
     /**
      * Perform actual format conversion
      */
-    static async performConversion(sourceUrl, sourceFormat, targetFormat, options) {
+    static async performConversion(jobId, publication, sourceFile, targetFormat, options) {
+        if (this.buildsFromChapters(targetFormat)) {
+            return targetFormat.toLowerCase() === 'pdf'
+                ? this.buildPrintPdf(jobId, publication, options)
+                : this.buildEpub(jobId, publication, options);
+        }
+
         // Mock implementation - would integrate with conversion services like:
         // - Pandoc for document conversions
         // - Calibre for e-book conversions
@@ -487,12 +513,340 @@ class FormatConversionService {
         };
     }
 
+    /**
+     * Package the publication's chapters and metadata as EPUB 3
+     * Builder progress is reported as job progress between 25% and 70%
+     */
+    static async buildEpub(jobId, publication, options = {}) {
+        const chapters = await this.loadChapters(publication);
+        const authors = await this.getAuthorNames(publication);
+        const cover = await this.fetchCoverImage(publication.cover_image);
+
+        let reportedProgress = 25;
+        const epub = await EpubBuilder.build({
+            identifier: publication.isbn_13 ? `urn:isbn:${publication.isbn_13}` : `urn:uuid:${publication.id}`,
+            title: publication.title,
+            subtitle: publication.subtitle,
+            language: publication.language,
+            direction: options.direction,
+            authors,
+            publisher: options.publisher || 'HardbanRecords Publishing',
+            description: publication.description,
+            date: publication.publication_date,
+            subjects: Array.isArray(publication.categories) ? publication.categories : [],
+            series: publication.series_name
+                ? { name: publication.series_name, position: publication.series_number }
+                : null,
+            cover: cover ? { data: cover } : null,
+            chapters: chapters.map(chapter => ({
+                title: chapter.title,
+                content: chapter.content,
+                format: chapter.content_format
+            })),
+            css: options.css
+        }, {
+            onProgress: async (percent) => {
+                const progress = 25 + Math.round(percent * 0.45);
+                if (progress >= reportedProgress + 5) {
+                    reportedProgress = progress;
+                    await this.updateJobProgress(jobId, progress);
+                }
+            }
+        });
+
+        const validation = EpubBuilder.validate(epub.buffer);
+        if (!validation.valid) {
+            throw new Error(`EPUB failed structural checks: ${validation.errors.join('; ')}`);
+        }
+
+        if (epub.warnings.length > 0) {
+            logger.warn(`EPUB built with warnings for job ${jobId}:`, epub.warnings);
+        }
+
+        return {
+            buffer: epub.buffer,
+            size: epub.size,
+            format: 'epub',
+            warnings: epub.warnings
+        };
+    }
+
+    /**
+     * Typeset the publication's chapters as a print-ready interior PDF
+     * Layout progress is reported as job progress between 25% and 70%
+     */
+    static async buildPrintPdf(jobId, publication, options = {}) {
+        const chapters = await this.loadChapters(publication);
+        const authors = await this.getAuthorNames(publication);
+        const fonts = await this.loadPrintFonts();
+
+        let reportedProgress = 25;
+        const interior = await PrintLayout.buildInterior({
+            title: publication.title,
+            subtitle: publication.subtitle,
+            authors,
+            publisher: options.publisher || 'HardbanRecords Publishing',
+            isbn: publication.isbn_13,
+            year: publication.publication_date ? new Date(publication.publication_date).getFullYear() : null,
+            chapters: chapters.map(chapter => ({
+                title: chapter.title,
+                content: chapter.content,
+                format: chapter.content_format
+            }))
+        }, {
+            trimSize: options.trimSize || config.PRINT.defaultTrimSize,
+            paperType: options.paperType || config.PRINT.defaultPaperType,
+            bleed: Boolean(options.bleed),
+            fontSize: options.fontSize || config.PRINT.fontSize,
+            tableOfContents: options.tableOfContents,
+            fonts,
+            onProgress: async (percent) => {
+                const progress = 25 + Math.round(percent * 0.45);
+                if (progress >= reportedProgress + 5) {
+                    reportedProgress = progress;
+                    await this.updateJobProgress(jobId, progress);
+                }
+            }
+        });
+
+        // Cover spreads and store listings are sized from the printed page count
+        await db.query('UPDATE publications SET page_count = $2 WHERE id = $1', [publication.id, interior.pageCount]);
+
+        if (interior.warnings.length > 0) {
+            logger.warn(`Print PDF built with warnings for job ${jobId}:`, interior.warnings);
+        }
+
+        return {
+            buffer: interior.buffer,
+            size: interior.size,
+            format: 'pdf',
+            warnings: interior.warnings,
+            print: {
+                pageCount: interior.pageCount,
+                trimSize: interior.trimSize,
+                paperType: interior.paperType,
+                bleed: interior.bleed,
+                gutter: interior.gutter,
+                spineWidth: interior.spineWidth,
+                fontsEmbedded: interior.fontsEmbedded
+            }
+        };
+    }
+
+    /**
+     * Cover spread dimensions for a publication's print edition, or for an
+     * explicit page count
+     */
+    static async getCoverSpec(options, userId) {
+        let pageCount = options.pageCount;
+
+        if (options.publicationId) {
+            const publication = await this.getOwnedPublication(options.publicationId, userId);
+            pageCount = pageCount || publication.page_count;
+        }
+        if (!pageCount) {
+            throw new AppError('Page count is unknown; generate the print PDF first or pass pageCount', 400);
+        }
+
+        try {
+            return PrintLayout.calculateCoverSpread({
+                pageCount: Number(pageCount),
+                trimSize: options.trimSize || config.PRINT.defaultTrimSize,
+                paperType: options.paperType || config.PRINT.defaultPaperType
+            });
+        } catch (error) {
+            throw new AppError(error.message, 400);
+        }
+    }
+
+    /**
+     * Build and store a full cover PDF (back, spine, front) for a publication
+     */
+    static async generateCoverSpread(publicationId, options, userId) {
+        try {
+            const publication = await this.getOwnedPublication(publicationId, userId);
+            const spec = await this.getCoverSpec({ ...options, pageCount: options.pageCount || publication.page_count }, userId);
+            const [authors, frontImage, fonts] = await Promise.all([
+                this.getAuthorNames(publication),
+                this.fetchCoverImage(publication.cover_image),
+                this.loadPrintFonts()
+            ]);
+
+            const cover = PrintLayout.buildCoverSpread({
+                title: publication.title,
+                authors,
+                description: publication.description
+            }, spec, {
+                frontImage,
+                backgroundColor: options.backgroundColor,
+                fonts
+            });
+
+            const filePath = `covers/pub_${publicationId}_spread_${Date.now()}.pdf`;
+            await storageHelpers.uploadFile(cover.buffer, filePath, { contentType: 'application/pdf' });
+
+            logger.info(`Cover spread generated for publication ${publicationId} (${spec.pageCount} pages, spine ${spec.spineWidth}in)`);
+
+            return {
+                url: storageHelpers.getPublicUrl(filePath),
+                size: cover.size,
+                spec,
+                warnings: cover.warnings
+            };
+
+        } catch (error) {
+            logger.error('Error generating cover spread:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a publication's cover against store requirements and, with a
+     * trim size, against its print edition
+     */
+    static async validateCover(publicationId, options, userId) {
+        const publication = await this.getOwnedPublication(publicationId, userId);
+        const stores = options.stores && options.stores.length > 0
+            ? options.stores
+            : CoverSpecs.getSupportedStores();
+
+        const unknown = stores.filter(store => !CoverSpecs.getStoreSpecs(store));
+        if (unknown.length > 0) {
+            throw new AppError(`Unsupported stores: ${unknown.join(', ')}. Supported: ${CoverSpecs.getSupportedStores().join(', ')}`, 400);
+        }
+
+        const image = await this.loadCoverImage(publication);
+        const result = this.checkCoverImage(image, stores, { trimSize: options.trimSize });
+
+        logger.info(`Cover validated for publication ${publicationId}: ${result.validation.summary.incompatible.length} incompatible target(s)`);
+        return result;
+    }
+
+    /**
+     * Download a publication's cover for validation; unlike conversion, a
+     * missing cover is an error here
+     */
+    static async loadCoverImage(publication) {
+        if (!publication.cover_image) {
+            throw new AppError('Publication has no cover image', 400);
+        }
+
+        const image = await this.fetchCoverImage(publication.cover_image);
+        if (!image) {
+            throw new AppError('Cover image could not be downloaded for validation', 422);
+        }
+        return image;
+    }
+
+    /**
+     * Inspect cover image bytes and validate them
+     * @returns {Object} { is_valid, inspection, validation }
+     */
+    static checkCoverImage(buffer, stores, options = {}) {
+        let inspection;
+        try {
+            inspection = imageUtil.inspectImage(buffer);
+        } catch (error) {
+            throw new AppError(`Cover image cannot be read: ${error.message}`, 422);
+        }
+
+        // Transparency needs the pixels; CMYK and other undecodable covers are judged on their headers
+        if (inspection.color_mode !== 'CMYK' && inspection.decodable) {
+            try {
+                inspection.transparent = imageUtil.hasTransparency(imageUtil.decodeImage(buffer));
+            } catch (error) {
+                throw new AppError(`Cover image cannot be decoded: ${error.message}`, 422);
+            }
+        }
+
+        const validation = CoverSpecs.validateCover(imageUtil.toImageData(inspection), stores, options);
+        return {
+            is_valid: validation.summary.incompatible.length === 0,
+            inspection,
+            validation
+        };
+    }
+
+    static async getOwnedPublication(publicationId, userId) {
+        const result = await db.query(
+            'SELECT * FROM publications WHERE id = $1 AND user_id = $2',
+            [publicationId, userId]
+        );
+        if (result.rows.length === 0) {
+            throw new AppError('Publication not found or access denied', 404);
+        }
+        return result.rows[0];
+    }
+
+    static async loadChapters(publication) {
+        const chapters = await chapterModel.findByPublicationId(publication.id);
+        if (!chapters || chapters.length === 0) {
+            throw new Error('Publication has no published chapters to package');
+        }
+        return chapters;
+    }
+
+    static async getAuthorNames(publication) {
+        if (!publication.author_id) return [];
+        const result = await db.query('SELECT pen_name FROM authors WHERE id = $1', [publication.author_id]);
+        return result.rows.map(row => row.pen_name);
+    }
+
+    /**
+     * Configured TrueType fonts for print; styles without a readable file
+     * fall back to the standard (non-embedded) Times family
+     */
+    static async loadPrintFonts() {
+        const fonts = {};
+        for (const [style, fontPath] of Object.entries(config.PRINT.fonts)) {
+            if (!fontPath) continue;
+            try {
+                fonts[style] = await fs.promises.readFile(fontPath);
+            } catch (error) {
+                logger.warn(`Print font ${style} could not be read (${fontPath}): ${error.message}`);
+            }
+        }
+        return fonts;
+    }
+
+    /**
+     * Download the cover image; a missing cover does not fail the conversion
+     */
+    static async fetchCoverImage(url) {
+        if (!url) return null;
+
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        } catch (error) {
+            logger.warn(`Cover image could not be fetched (${url}): ${error.message}`);
+            return null;
+        }
+    }
+
+    static buildsFromChapters(targetFormat) {
+        return CHAPTER_FORMATS.includes(String(targetFormat).toLowerCase());
+    }
+
     /**
      * Store converted file
      */
     static async storeConvertedFile(publicationId, convertedFile, targetFormat) {
-        // Mock implementation - would upload to storage service
         const fileName = `pub_${publicationId}_${Date.now()}.${targetFormat.toLowerCase()}`;
+
+        if (convertedFile.buffer) {
+            const filePath = `conversions/${fileName}`;
+            const formatInfo = this.getSupportedFormats().formatInfo[targetFormat.toUpperCase()];
+            await storageHelpers.uploadFile(convertedFile.buffer, filePath, {
+                contentType: formatInfo ? formatInfo.mimeType : 'application/octet-stream'
+            });
+            return storageHelpers.getPublicUrl(filePath);
+        }
+
+        // Mock implementation - would upload to storage service
         return `https://storage.hardbanrecords.com/conversions/${fileName}`;
     }
 
@@ -0,0 +1,625 @@
+/**
+ * ISBN Block Service
+ * Agency blocks, allocation of the next free ISBN per publication format,
+ * low-stock warnings and the assignment log reported back to the agency
+ */
+
+const db = require('../../db.cjs');
+const logger = require('../../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+const IsbnUtil = require('../utils/isbn.util.cjs');
+const { ISBN_FORMATS } = require('../utils/isbn.util.cjs');
+const config = require('../config/env.cjs');
+
+const BLOCK_STATUSES = ['active', 'exhausted', 'retired'];
+
+const LOG_COLUMNS = [
+    ['isbn_13', 'ISBN-13'],
+    ['isbn_10', 'ISBN-10'],
+    ['title', 'Title'],
+    ['subtitle', 'Subtitle'],
+    ['contributor', 'Contributor'],
+    ['format', 'Format'],
+    ['language', 'Language'],
+    ['publisher', 'Publisher'],
+    ['imprint', 'Imprint'],
+    ['publication_date', 'Publication Date'],
+    ['assigned_at', 'Assigned'],
+    ['status', 'Status']
+];
+
+class IsbnBlockService {
+    static async withTransaction(work) {
+        const client = await db.getClient();
+
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                throw new AppError(`ISBN already registered: ${error.detail || error.message}`, 409);
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // ========== Blocks ==========
+
+    /**
+     * Blocks with usage counts; remaining counts the publication elements
+     * not yet handed out by the allocator
+     */
+    static async listBlocks({ includeRetired = false } = {}) {
+        const result = await db.query(`
+            SELECT b.*,
+                COUNT(r.id) FILTER (WHERE r.status IN ('assigned', 'published')) AS assigned_count,
+                COUNT(r.id) FILTER (WHERE r.status = 'cancelled') AS cancelled_count
+            FROM isbn_blocks b
+            LEFT JOIN isbn_registry r ON r.block_id = b.id
+            ${includeRetired ? '' : "WHERE b.status <> 'retired'"}
+            GROUP BY b.id
+            ORDER BY b.is_default DESC, b.created_at
+        `);
+
+        return result.rows.map(block => this.formatBlock(block));
+    }
+
+    static async getBlock(blockId) {
+        const result = await db.query('SELECT * FROM isbn_blocks WHERE id = $1', [blockId]);
+        if (result.rows.length === 0) {
+            throw new AppError('ISBN block not found', 404);
+        }
+        return this.formatBlock(result.rows[0]);
+    }
+
+    static formatBlock(block) {
+        const remaining = block.range_end - block.next_element + 1;
+        const formatted = {
+            ...block,
+            prefix: `${block.prefix_element}-${block.registration_group}-${block.registrant_element}`,
+            size: block.range_end - block.range_start + 1,
+            remaining,
+            low_stock: block.status === 'active' && remaining <= block.low_stock_threshold
+        };
+
+        if (block.assigned_count !== undefined) {
+            formatted.assigned_count = parseInt(block.assigned_count);
+            formatted.cancelled_count = parseInt(block.cancelled_count);
+        }
+        return formatted;
+    }
+
+    /**
+     * Register a block bought from an agency. Either `prefix` ('978-83-12345')
+     * or the separate elements are accepted; without a range the block covers
+     * every publication element of the registrant
+     */
+    static async createBlock(data, userId) {
+        const elements = data.prefix
+            ? IsbnUtil.parsePrefix(data.prefix)
+            : {
+                prefixElement: data.prefix_element,
+                registrationGroup: data.registration_group,
+                registrantElement: data.registrant_element
+            };
+
+        if (!elements) {
+            throw new AppError('Prefix must have the form 978-<group>-<registrant>', 400);
+        }
+
+        const problem = IsbnUtil.validatePrefix(elements);
+        if (problem) {
+            throw new AppError(problem, 400);
+        }
+
+        const { prefixElement, registrationGroup, registrantElement } = elements;
+        const capacity = IsbnUtil.registrantCapacity(registrationGroup, registrantElement);
+        const rangeStart = data.range_start !== undefined ? parseInt(data.range_start) : 0;
+        const rangeEnd = data.range_end !== undefined ? parseInt(data.range_end) : capacity - 1;
+
+        if (!(rangeStart >= 0 && rangeEnd >= rangeStart && rangeEnd < capacity)) {
+            throw new AppError(`Range must lie within 0-${capacity - 1} for this registrant element`, 400);
+        }
+
+        return this.withTransaction(async (client) => {
+            const overlap = await client.query(`
+                SELECT id, range_start, range_end FROM isbn_blocks
+                WHERE prefix_element = $1 AND registration_group = $2 AND registrant_element = $3
+                  AND range_start <= $5 AND range_end >= $4
+            `, [prefixElement, registrationGroup, registrantElement, rangeStart, rangeEnd]);
+
+            if (overlap.rows.length > 0) {
+                const existing = overlap.rows[0];
+                throw new AppError(`Range overlaps block ${existing.id} (${existing.range_start}-${existing.range_end})`, 409);
+            }
+
+            if (data.is_default) {
+                await client.query('UPDATE isbn_blocks SET is_default = false WHERE is_default');
+            }
+
+            const result = await client.query(`
+                INSERT INTO isbn_blocks (
+                    agency, prefix_element, registration_group, registrant_element,
+                    range_start, range_end, next_element, low_stock_threshold,
+                    imprint, purchased_at, notes, is_default, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $5, $7, $8, $9, $10, $11, $12)
+                RETURNING *
+            `, [
+                data.agency || config.ISBN.agency,
+                prefixElement,
+                registrationGroup,
+                registrantElement,
+                rangeStart,
+                rangeEnd,
+                data.low_stock_threshold !== undefined ? parseInt(data.low_stock_threshold) : config.ISBN.lowStockThreshold,
+                data.imprint || null,
+                data.purchased_at || null,
+                data.notes || null,
+                Boolean(data.is_default),
+                userId
+            ]);
+
+            const block = this.formatBlock(result.rows[0]);
+            logger.info(`ISBN block ${block.prefix} (${rangeStart}-${rangeEnd}) registered from ${block.agency}`);
+            return block;
+        });
+    }
+
+    /**
+     * Change a block's status, default flag, threshold, imprint or notes
+     */
+    static async updateBlock(blockId, changes) {
+        if (changes.status !== undefined && !BLOCK_STATUSES.includes(changes.status)) {
+            throw new AppError(`Status must be one of: ${BLOCK_STATUSES.join(', ')}`, 400);
+        }
+
+        return this.withTransaction(async (client) => {
+            const current = await client.query('SELECT * FROM isbn_blocks WHERE id = $1 FOR UPDATE', [blockId]);
+            if (current.rows.length === 0) {
+                throw new AppError('ISBN block not found', 404);
+            }
+
+            const block = current.rows[0];
+            if (changes.status === 'active' && block.next_element > block.range_end) {
+                throw new AppError('A used-up block cannot be reactivated', 400);
+            }
+            if (changes.is_default && (changes.status || block.status) !== 'active') {
+                throw new AppError('Only an active block can be the default', 400);
+            }
+
+            if (changes.is_default) {
+                await client.query('UPDATE isbn_blocks SET is_default = false WHERE is_default AND id <> $1', [blockId]);
+            }
+
+            const result = await client.query(`
+                UPDATE isbn_blocks SET
+                    status = COALESCE($2, status),
+                    is_default = CASE WHEN COALESCE($2, status) <> 'active' THEN false ELSE COALESCE($3, is_default) END,
+                    low_stock_threshold = COALESCE($4, low_stock_threshold),
+                    low_stock_notified_at = CASE WHEN $4::int IS NULL THEN low_stock_notified_at END,
+                    imprint = COALESCE($5, imprint),
+                    notes = COALESCE($6, notes),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                blockId,
+                changes.status ?? null,
+                changes.is_default ?? null,
+                changes.low_stock_threshold !== undefined ? parseInt(changes.low_stock_threshold) : null,
+                changes.imprint ?? null,
+                changes.notes ?? null
+            ]);
+
+            return this.formatBlock(result.rows[0]);
+        });
+    }
+
+    /**
+     * Lock the requested block, or the default one; null when no block is
+     * configured and `optional` is set
+     */
+    static async lockBlock(client, blockId, { optional = false } = {}) {
+        const result = blockId
+            ? await client.query('SELECT * FROM isbn_blocks WHERE id = $1 FOR UPDATE', [blockId])
+            : await client.query("SELECT * FROM isbn_blocks WHERE is_default AND status = 'active' FOR UPDATE");
+
+        if (result.rows.length === 0) {
+            if (optional && !blockId) return null;
+            throw new AppError(blockId ? 'ISBN block not found' : 'No default ISBN block configured', blockId ? 404 : 400);
+        }
+
+        const block = result.rows[0];
+        if (block.status !== 'active') {
+            throw new AppError(`ISBN block ${block.prefix_element}-${block.registration_group}-${block.registrant_element} is ${block.status}`, 409);
+        }
+        return block;
+    }
+
+    /**
+     * Next publication element of a locked block that is not already in the
+     * registry (ISBNs registered by hand or before the block was set up)
+     */
+    static async nextFreeIsbn(client, block) {
+        const prefix = `${block.prefix_element}${block.registration_group}${block.registrant_element}`;
+        const taken = await client.query(
+            'SELECT isbn_13 FROM isbn_registry WHERE isbn_13 LIKE $1',
+            [`${prefix}%`]
+        );
+        const used = new Set(taken.rows.map(row => IsbnUtil.elementOf(block, row.isbn_13)));
+
+        let element = block.next_element;
+        while (element <= block.range_end && used.has(element)) {
+            element++;
+        }
+
+        if (element > block.range_end) {
+            throw new AppError(`ISBN block ${this.formatBlock(block).prefix} is used up; register a new block`, 409);
+        }
+
+        const next = element + 1;
+        await client.query(
+            `UPDATE isbn_blocks SET next_element = $2::int,
+                status = CASE WHEN $2::int > range_end THEN 'exhausted' ELSE status END,
+                is_default = CASE WHEN $2::int > range_end THEN false ELSE is_default END,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [block.id, next]
+        );
+        block.next_element = next;
+
+        return { element, ...IsbnUtil.build(block, element) };
+    }
+
+    /**
+     * Warning for a block at or below its low-stock threshold. It is returned
+     * on every allocation but logged only once per threshold
+     */
+    static async checkLowStock(client, block) {
+        const { remaining, low_stock: lowStock, prefix } = this.formatBlock(block);
+        if (!lowStock && remaining > 0) return null;
+
+        if (!block.low_stock_notified_at) {
+            await client.query('UPDATE isbn_blocks SET low_stock_notified_at = CURRENT_TIMESTAMP WHERE id = $1', [block.id]);
+            logger.warn(`ISBN block ${prefix} (${block.agency}) has ${remaining} ISBN(s) left`);
+        }
+
+        return {
+            type: remaining === 0 ? 'block_exhausted' : 'block_low_stock',
+            block_id: block.id,
+            prefix,
+            remaining,
+            message: remaining === 0
+                ? `ISBN block ${prefix} is used up`
+                : `ISBN block ${prefix} has ${remaining} ISBN(s) left`
+        };
+    }
+
+    // ========== Assignment ==========
+
+    static async getPublication(client, publicationId) {
+        const result = await client.query(
+            'SELECT id, user_id, title, publication_type, isbn_13, isbn_10 FROM publications WHERE id = $1',
+            [publicationId]
+        );
+        if (result.rows.length === 0) {
+            throw new AppError('Publication not found', 404);
+        }
+        return result.rows[0];
+    }
+
+    static async verifyPublicationOwner(publicationId, userId) {
+        const publication = await this.getPublication(db, publicationId);
+        if (publication.user_id !== userId) {
+            throw new AppError('Not authorized to manage ISBNs of this publication', 403);
+        }
+        return publication;
+    }
+
+    static async getPublicationIsbns(publicationId) {
+        const result = await db.query(`
+            SELECT r.isbn_13, r.isbn_10, r.format, r.status, r.assigned_at, r.published_at,
+                r.block_id, r.publisher_prefix, r.title_identifier
+            FROM isbn_registry r
+            WHERE r.publication_id = $1
+            ORDER BY r.assigned_at NULLS LAST, r.created_at
+        `, [publicationId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Give a publication format its ISBN: the next free one of the block
+     * (default block when none is named) or an existing ISBN passed in
+     * `isbn`. A format that already has a live ISBN keeps it. With `optional`,
+     * a missing default block returns null instead of failing
+     */
+    static async assignIsbn(publicationId, format, { blockId, isbn, optional = false } = {}, userId) {
+        if (!ISBN_FORMATS.includes(format)) {
+            throw new AppError(`Format must be one of: ${ISBN_FORMATS.join(', ')}`, 400);
+        }
+
+        const result = await this.withTransaction(async (client) => {
+            const publication = await this.getPublication(client, publicationId);
+
+            const existing = await client.query(`
+                SELECT * FROM isbn_registry
+                WHERE publication_id = $1 AND format = $2 AND status IN ('assigned', 'published')
+            `, [publicationId, format]);
+
+            if (existing.rows.length > 0) {
+                return { assigned: false, isbn: existing.rows[0], warnings: [] };
+            }
+
+            const allocation = isbn
+                ? await this.registerExternalIsbn(client, isbn)
+                : await this.allocateFromBlock(client, blockId, { optional });
+            if (!allocation) return null;
+
+            return this.recordAssignment(client, publication, format, allocation, userId);
+        });
+
+        if (result && result.assigned) {
+            logger.info(`ISBN ${result.isbn.isbn_13} assigned to ${format} of publication ${publicationId}`);
+        }
+        return result;
+    }
+
+    static async allocateFromBlock(client, blockId, options) {
+        const block = await this.lockBlock(client, blockId, options);
+        if (!block) return null;
+
+        const isbn = await this.nextFreeIsbn(client, block);
+        const warning = await this.checkLowStock(client, block);
+        return { block, isbn, warnings: warning ? [warning] : [] };
+    }
+
+    /**
+     * An ISBN obtained outside the allocator. One that falls inside a
+     * registered block is linked to it so the allocator never hands it out
+     */
+    static async registerExternalIsbn(client, value) {
+        const isbn13 = IsbnUtil.normalize(value);
+        if (!IsbnUtil.isValidIsbn13(isbn13)) {
+            throw new AppError(`Invalid ISBN-13: ${value}`, 400);
+        }
+
+        const blocks = await client.query(`
+            SELECT * FROM isbn_blocks
+            WHERE $1 LIKE prefix_element || registration_group || registrant_element || '%'
+        `, [isbn13]);
+
+        const block = blocks.rows.find(candidate => {
+            const element = IsbnUtil.elementOf(candidate, isbn13);
+            return element >= candidate.range_start && element <= candidate.range_end;
+        });
+
+        if (block) {
+            const element = IsbnUtil.elementOf(block, isbn13);
+            return { block, isbn: { element, ...IsbnUtil.build(block, element) }, warnings: [] };
+        }
+
+        return {
+            block: null,
+            isbn: {
+                element: null,
+                isbn13,
+                isbn10: IsbnUtil.toIsbn10(isbn13),
+                publicationElement: null
+            },
+            warnings: []
+        };
+    }
+
+    /**
+     * Registry entry, the active ISBN record read by ONIX, and the
+     * publication's own ISBN when the format is its primary edition
+     */
+    static async recordAssignment(client, publication, format, allocation, userId) {
+        const { block, isbn, warnings } = allocation;
+        const prefix = block
+            ? `${block.prefix_element}-${block.registration_group}-${block.registrant_element}`
+            : isbn.isbn13.slice(0, 3);
+
+        const registry = await client.query(`
+            INSERT INTO isbn_registry (
+                isbn_13, isbn_10, publication_id, publisher_prefix, title_identifier,
+                allocated_date, status, block_id, format, publication_element,
+                assigned_by, assigned_at
+            ) VALUES ($1, $2, $3, $4, $5, CURRENT_DATE, 'assigned', $6, $7, $8, $9, CURRENT_TIMESTAMP)
+            RETURNING *
+        `, [
+            isbn.isbn13,
+            isbn.isbn10,
+            publication.id,
+            prefix,
+            isbn.publicationElement || isbn.isbn13.slice(3, 12),
+            block ? block.id : null,
+            format,
+            isbn.element,
+            userId
+        ]);
+
+        await client.query(`
+            INSERT INTO isbns (publication_id, isbn_13, isbn_10, format_type, status)
+            VALUES ($1, $2, $3, $4, 'active')
+        `, [publication.id, isbn.isbn13, isbn.isbn10, format]);
+
+        if (publication.publication_type === format && !publication.isbn_13) {
+            await client.query(
+                'UPDATE publications SET isbn_13 = $2, isbn_10 = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [publication.id, isbn.isbn13, isbn.isbn10]
+            );
+        }
+
+        return {
+            assigned: true,
+            isbn: { ...registry.rows[0], hyphenated: isbn.hyphenated || null },
+            warnings
+        };
+    }
+
+    /**
+     * ISBNs for each ISBN-bearing format of a new publication. Without a
+     * default block nothing is assigned and the publication is created as usual
+     */
+    static async assignForFormats(publicationId, formats, userId) {
+        const wanted = [...new Set(formats)].filter(format => ISBN_FORMATS.includes(format));
+        const results = [];
+
+        for (const format of wanted) {
+            const result = await this.assignIsbn(publicationId, format, { optional: true }, userId);
+
+            if (!result) {
+                logger.info(`No default ISBN block; publication ${publicationId} created without ISBNs`);
+                break;
+            }
+            results.push({ format, ...result });
+        }
+
+        return results;
+    }
+
+    /**
+     * Withdraw ISBNs that never reached the market. Agencies do not allow an
+     * ISBN to be reused, so cancelled ISBNs are never allocated again
+     */
+    static async cancelIsbns(values, reason) {
+        const isbns = (values || []).map(value => IsbnUtil.normalize(value)).filter(Boolean);
+        if (isbns.length === 0) {
+            throw new AppError('No ISBNs to cancel', 400);
+        }
+
+        return this.withTransaction(async (client) => {
+            const rows = await client.query(
+                'SELECT isbn_13, status, publication_id FROM isbn_registry WHERE isbn_13 = ANY($1::text[]) FOR UPDATE',
+                [isbns]
+            );
+
+            const missing = isbns.filter(isbn => !rows.rows.some(row => row.isbn_13 === isbn));
+            if (missing.length > 0) {
+                throw new AppError(`ISBNs not in the registry: ${missing.join(', ')}`, 404);
+            }
+
+            const published = rows.rows.filter(row => row.status === 'published');
+            if (published.length > 0) {
+                throw new AppError(`Published ISBNs cannot be cancelled: ${published.map(row => row.isbn_13).join(', ')}`, 409);
+            }
+
+            const cancelled = await client.query(`
+                UPDATE isbn_registry SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $2
+                WHERE isbn_13 = ANY($1::text[]) AND status <> 'cancelled'
+                RETURNING isbn_13, publication_id, format, cancelled_at
+            `, [isbns, reason || null]);
+
+            await client.query(`
+                UPDATE isbns SET status = 'inactive', deactivated_at = CURRENT_TIMESTAMP,
+                    deactivation_reason = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE isbn_13 = ANY($1::text[]) AND status = 'active'
+            `, [isbns, reason || 'ISBN cancelled']);
+
+            await client.query(`
+                UPDATE publications SET isbn_13 = NULL, isbn_10 = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE isbn_13 = ANY($1::text[])
+            `, [isbns]);
+
+            logger.info(`${cancelled.rows.length} ISBN(s) cancelled${reason ? `: ${reason}` : ''}`);
+            return cancelled.rows;
+        });
+    }
+
+    /**
+     * Assigned ISBNs of a publication become published once it goes live
+     */
+    static async markPublished(publicationId) {
+        const result = await db.query(`
+            UPDATE isbn_registry SET status = 'published', published_at = CURRENT_TIMESTAMP
+            WHERE publication_id = $1 AND status = 'assigned'
+            RETURNING isbn_13
+        `, [publicationId]);
+
+        return result.rows.map(row => row.isbn_13);
+    }
+
+    // ========== Assignment Log ==========
+
+    /**
+     * Assignment log in the shape ISBN agencies ask for: one line per
+     * assigned ISBN with its title, contributor, format and publication data
+     */
+    static async getAssignmentLog({ blockId, from, to, includeCancelled = false } = {}) {
+        const params = [];
+        const conditions = ['r.assigned_at IS NOT NULL'];
+
+        if (blockId) {
+            params.push(blockId);
+            conditions.push(`r.block_id = $${params.length}`);
+        }
+        if (from) {
+            params.push(from);
+            conditions.push(`r.assigned_at >= $${params.length}`);
+        }
+        if (to) {
+            params.push(to);
+            conditions.push(`r.assigned_at < ($${params.length}::date + 1)`);
+        }
+        if (!includeCancelled) {
+            conditions.push("r.status <> 'cancelled'");
+        }
+
+        const result = await db.query(`
+            SELECT r.isbn_13, r.isbn_10, r.format, r.status, r.assigned_at, r.cancelled_at,
+                r.cancellation_reason, r.publication_element,
+                b.prefix_element, b.registration_group, b.registrant_element, b.agency, b.imprint,
+                p.title, p.subtitle, p.language, p.publication_date, p.series_name, p.series_number,
+                a.pen_name AS contributor
+            FROM isbn_registry r
+            LEFT JOIN isbn_blocks b ON b.id = r.block_id
+            LEFT JOIN publications p ON p.id = r.publication_id
+            LEFT JOIN authors a ON a.id = p.author_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY r.isbn_13
+        `, params);
+
+        return result.rows.map(row => ({
+            isbn_13: row.prefix_element
+                ? IsbnUtil.build(row, row.publication_element).hyphenated
+                : row.isbn_13,
+            isbn_10: row.isbn_10,
+            title: row.title,
+            subtitle: row.subtitle,
+            series: row.series_name ? `${row.series_name}${row.series_number ? ` #${row.series_number}` : ''}` : null,
+            contributor: row.contributor,
+            format: row.format,
+            language: row.language,
+            publisher: config.ONIX.publisherName,
+            imprint: row.imprint || config.ONIX.imprintName || null,
+            publication_date: row.publication_date,
+            agency: row.agency,
+            assigned_at: row.assigned_at,
+            status: row.status,
+            cancellation_reason: row.cancellation_reason
+        }));
+    }
+
+    static assignmentLogToCSV(entries) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [LOG_COLUMNS.map(([, header]) => header).join(',')];
+        entries.forEach(entry => {
+            lines.push(LOG_COLUMNS.map(([key]) => escape(entry[key])).join(','));
+        });
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = IsbnBlockService;
@@ -0,0 +1,429 @@
+/**
+ * ONIX Service - ONIX 3.0 Metadata Exchange
+ * Exports publications as ONIX for Books 3.0 feeds for retailers and
+ * distributors, and imports their ONIX feeds into the catalog
+ */
+
+const PublicationModel = require('../models/publication.model.cjs');
+const AuthorModel = require('../models/author.model.cjs');
+const ISBNModel = require('../models/isbn.model.cjs');
+const BISACCategoryModel = require('../models/bisacCategory.model.cjs');
+const TerritorialRightsModel = require('../models/territorialRights.model.cjs');
+const OnixMapper = require('../mappers/onix.mapper.cjs');
+const config = require('../config/env.cjs');
+const logger = require('../config/logger.cjs');
+const { AppError } = require('../../middleware/errorHandler.cjs');
+
+const publicationModel = new PublicationModel();
+const authorModel = new AuthorModel();
+const isbnModel = new ISBNModel();
+const bisacCategoryModel = new BISACCategoryModel();
+const territorialRightsModel = new TerritorialRightsModel();
+
+// Publication fields an ONIX import may set
+const IMPORTED_FIELDS = [
+    'title', 'subtitle', 'series_name', 'series_number', 'description', 'language',
+    'publication_date', 'first_publication_date', 'page_count', 'word_count',
+    'reading_age_min', 'reading_age_max', 'cover_image', 'keywords', 'categories', 'price_settings'
+];
+
+class OnixService {
+    // ========== Export ==========
+
+    /**
+     * Build an ONIX message with one Product per format of each publication
+     * @param {Array<string>} publicationIds - Publications to export
+     * @param {string} userId - Requesting user
+     * @param {Object} options - Header options (addresseeName, messageNumber)
+     * @returns {Promise<Object>} { xml, product_count, warnings }
+     */
+    static async exportPublications(publicationIds, userId, options = {}) {
+        if (!Array.isArray(publicationIds) || publicationIds.length === 0) {
+            throw new AppError('At least one publication ID is required', 400);
+        }
+
+        const products = [];
+        const warnings = [];
+
+        for (const publicationId of publicationIds) {
+            const publication = await publicationModel.findById(publicationId);
+            if (!publication) {
+                throw new AppError(`Publication ${publicationId} not found`, 404);
+            }
+            this.assertAccess(publication, userId);
+
+            const records = await this.buildProductRecords(publication, warnings);
+            products.push(...records.map(record => OnixMapper.toProduct(record)));
+        }
+
+        const message = OnixMapper.toMessage(products, {
+            senderName: config.ONIX.senderName,
+            email: config.ONIX.senderEmail,
+            addresseeName: options.addresseeName,
+            messageNumber: options.messageNumber
+        });
+
+        logger.info('ONIX feed exported', {
+            publications: publicationIds.length,
+            products: products.length,
+            warnings: warnings.length,
+            userId
+        });
+
+        return {
+            xml: OnixMapper.toXml(message),
+            product_count: products.length,
+            warnings
+        };
+    }
+
+    /**
+     * Mapper input for each format of a publication
+     */
+    static async buildProductRecords(publication, warnings) {
+        const [author, isbns, rights] = await Promise.all([
+            publication.author_id ? authorModel.findById(publication.author_id) : null,
+            isbnModel.findByPublicationId(publication.id, { status: 'active' }),
+            territorialRightsModel.findByPublicationId(publication.id, { rightsType: 'distribution' })
+        ]);
+
+        const formats = isbns && isbns.length > 0
+            ? isbns
+            : [{
+                format_type: publication.publication_type,
+                isbn_13: publication.isbn_13,
+                isbn_10: publication.isbn_10
+            }];
+
+        if (formats.some(format => !format.isbn_13)) {
+            warnings.push({ publication_id: publication.id, message: 'Format without ISBN exported with proprietary ID only' });
+        }
+        if (!rights || rights.length === 0) {
+            warnings.push({ publication_id: publication.id, message: 'No active distribution rights; SalesRights omitted' });
+        }
+
+        const salesRights = (rights || []).map(right => this.expandRegions(right));
+
+        return formats.map(format => ({
+            publication,
+            author,
+            format,
+            relatedIsbns: formats
+                .filter(other => other !== format && other.isbn_13)
+                .map(other => other.isbn_13),
+            categories: Array.isArray(publication.categories) ? publication.categories : [],
+            rights: salesRights,
+            publisher: {
+                name: config.ONIX.publisherName,
+                imprint: config.ONIX.imprintName
+            },
+            recordPrefix: config.ONIX.recordPrefix
+        }));
+    }
+
+    /**
+     * ONIX territories list countries, so region-based rights are expanded
+     */
+    static expandRegions(right) {
+        if (right.territory_type === 'regions') {
+            return {
+                ...right,
+                territory_type: 'countries',
+                countries: [...new Set([
+                    ...(right.countries || []),
+                    ...territorialRightsModel.getRegionCountries(right.regions)
+                ])]
+            };
+        }
+        if (right.territory_type === 'exclude_regions') {
+            return {
+                ...right,
+                territory_type: 'exclude_countries',
+                countries: [...new Set([
+                    ...(right.countries || []),
+                    ...territorialRightsModel.getRegionCountries(right.regions)
+                ])]
+            };
+        }
+        return right;
+    }
+
+    // ========== Import ==========
+
+    /**
+     * Create or update publications from a retailer/distributor ONIX feed
+     *
+     * Products are matched by ISBN (or our own proprietary ID); unmatched products
+     * that list an already imported product as an alternative format become an
+     * extra format of that publication. Failures are reported per product.
+     * @param {string} xml - ONIX 3.0 message
+     * @param {string} userId - Importing user
+     * @param {Object} options - { author_id, dry_run }
+     * @returns {Promise<Object>} Import summary
+     */
+    static async importFeed(xml, userId, options = {}) {
+        const { author_id: authorId = null, dry_run: dryRun = false } = options;
+
+        if (!xml || typeof xml !== 'string') {
+            throw new AppError('ONIX XML is required', 400);
+        }
+
+        let message;
+        try {
+            message = OnixMapper.fromMessage(xml);
+        } catch (error) {
+            throw new AppError(`Invalid ONIX feed: ${error.message}`, 400);
+        }
+
+        const summary = {
+            header: message.header,
+            dry_run: dryRun,
+            created: [],
+            updated: [],
+            archived: [],
+            skipped: [],
+            errors: [],
+            warnings: []
+        };
+        const context = { userId, authorId, dryRun, imported: new Map(), rightsReplaced: new Set() };
+
+        for (const product of message.products) {
+            try {
+                await this.importProduct(product, context, summary);
+            } catch (error) {
+                summary.errors.push({
+                    record_reference: product.record_reference,
+                    isbn_13: product.identifiers.isbn_13,
+                    error: error.message
+                });
+            }
+        }
+
+        logger.info('ONIX feed imported', {
+            sender: message.header.sender,
+            products: message.products.length,
+            created: summary.created.length,
+            updated: summary.updated.length,
+            archived: summary.archived.length,
+            errors: summary.errors.length,
+            dryRun,
+            userId
+        });
+
+        return summary;
+    }
+
+    static async importProduct(product, context, summary) {
+        const { userId, dryRun, imported } = context;
+        const isbn13 = product.identifiers.isbn_13;
+        const entry = { record_reference: product.record_reference, isbn_13: isbn13 };
+
+        const publication = await this.findExistingPublication(product);
+
+        // 05: delete
+        if (product.notification_type === '05') {
+            if (!publication) {
+                summary.skipped.push({ ...entry, reason: 'Delete notice for unknown product' });
+                return;
+            }
+            this.assertAccess(publication, userId);
+            if (!dryRun) {
+                await publicationModel.updateStatus(publication.id, 'archived', userId, 'Deleted in ONIX feed');
+            }
+            summary.archived.push({ ...entry, publication_id: publication.id });
+            return;
+        }
+
+        if (!isbn13 && !publication) {
+            summary.skipped.push({ ...entry, reason: 'Product has no ISBN-13' });
+            return;
+        }
+
+        const fields = await this.toPublicationFields(product, summary);
+
+        if (publication) {
+            this.assertAccess(publication, userId);
+            if (!dryRun) {
+                await publicationModel.update(publication.id, fields, userId);
+                await this.syncIsbn(publication.id, product);
+                await this.replaceRights(publication.id, product, context);
+            }
+            this.remember(imported, product, publication.id);
+            summary.updated.push({ ...entry, publication_id: publication.id });
+            return;
+        }
+
+        // Alternative format of a product earlier in this feed
+        const sibling = product.related_isbns.find(isbn => imported.has(isbn));
+        if (sibling) {
+            const publicationId = imported.get(sibling);
+            if (!dryRun) {
+                await this.syncIsbn(publicationId, product);
+            }
+            this.remember(imported, product, publicationId);
+            summary.updated.push({ ...entry, publication_id: publicationId, format_type: product.format_type });
+            return;
+        }
+
+        if (!fields.title) {
+            throw new Error('Product has no title');
+        }
+        if (!fields.cover_image) {
+            throw new Error('Product has no cover image resource');
+        }
+
+        const authorId = await this.resolveAuthor(product, context);
+        let publicationId = `dry-run:${product.record_reference}`;
+
+        if (!dryRun) {
+            const created = await publicationModel.create({
+                price_settings: {},
+                categories: [],
+                ...fields,
+                isbn_13: isbn13,
+                isbn_10: product.identifiers.isbn_10,
+                publication_type: product.publication.publication_type || 'ebook',
+                author_id: authorId,
+                created_by: userId
+            });
+            publicationId = created.id;
+
+            await this.syncIsbn(publicationId, product);
+            await this.replaceRights(publicationId, product, context);
+        }
+
+        this.remember(imported, product, publicationId);
+        summary.created.push({ ...entry, publication_id: publicationId });
+    }
+
+    /**
+     * Match a product by ISBN, falling back to the proprietary ID we export
+     */
+    static async findExistingPublication(product) {
+        const { isbn_13: isbn13, isbn_10: isbn10, proprietary } = product.identifiers;
+
+        if (isbn13) {
+            const publication = await publicationModel.findByIsbn(isbn13);
+            if (publication) return publication;
+
+            const availability = await isbnModel.checkAvailability(isbn13, isbn10);
+            if (availability.activeConflict) {
+                return publicationModel.findById(availability.conflictDetails.publicationId);
+            }
+        }
+
+        const own = proprietary.find(identifier => identifier.type_name === config.ONIX.recordPrefix);
+        if (own) {
+            return publicationModel.findById(own.value.split(':')[0]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Publication columns from a product; absent values never overwrite existing data
+     */
+    static async toPublicationFields(product, summary) {
+        const fields = {};
+        for (const field of IMPORTED_FIELDS) {
+            const value = product.publication[field];
+            if (value !== null && value !== undefined) fields[field] = value;
+        }
+
+        if (fields.categories) {
+            const known = [];
+            for (const code of fields.categories) {
+                if (await bisacCategoryModel.findByCode(code)) {
+                    known.push(code);
+                } else {
+                    summary.warnings.push({
+                        record_reference: product.record_reference,
+                        message: `Unknown BISAC code ${code} ignored`
+                    });
+                }
+            }
+            if (known.length > 0) {
+                fields.categories = known;
+            } else {
+                delete fields.categories;
+            }
+        }
+
+        return fields;
+    }
+
+    /**
+     * Author from options, else the first A01 contributor (found or created by pen name)
+     */
+    static async resolveAuthor(product, context) {
+        if (context.authorId) return context.authorId;
+
+        const contributor = product.contributors.find(candidate => candidate.roles.includes('A01'))
+            || product.contributors[0];
+        if (!contributor || !contributor.name) {
+            throw new Error('Product has no author; pass author_id to import it');
+        }
+
+        const existing = await authorModel.findByPenName(contributor.name);
+        if (existing) return existing.id;
+        if (context.dryRun) return null;
+
+        const author = await authorModel.create({
+            pen_name: contributor.name,
+            biography: contributor.biography,
+            created_by: context.userId
+        });
+        return author.id;
+    }
+
+    static async syncIsbn(publicationId, product) {
+        const { isbn_13: isbn13, isbn_10: isbn10 } = product.identifiers;
+        if (!isbn13) return;
+
+        const existing = await isbnModel.findByPublicationId(publicationId, { status: 'active' });
+        if ((existing || []).some(record => record.isbn_13 === isbn13)) return;
+
+        await isbnModel.create({
+            publication_id: publicationId,
+            isbn_13: isbn13,
+            isbn_10: isbn10,
+            format_type: product.format_type || product.publication.publication_type
+        });
+    }
+
+    /**
+     * Feed SalesRights replace the publication's active distribution rights (once per import)
+     */
+    static async replaceRights(publicationId, product, context) {
+        if (product.rights.length === 0 || context.rightsReplaced.has(publicationId)) return;
+        context.rightsReplaced.add(publicationId);
+
+        const current = await territorialRightsModel.findByPublicationId(publicationId, { rightsType: 'distribution' });
+        for (const right of current || []) {
+            await territorialRightsModel.expire(right.id, 'Replaced by ONIX import');
+        }
+
+        const startDate = new Date().toISOString();
+        for (const right of product.rights) {
+            await territorialRightsModel.create({
+                ...right,
+                publication_id: publicationId,
+                start_date: startDate
+            });
+        }
+    }
+
+    // ========== Helper Methods ==========
+
+    static assertAccess(publication, userId) {
+        if (publication.author_id !== userId && publication.created_by !== userId) {
+            throw new AppError('Unauthorized access to publication', 403);
+        }
+    }
+
+    static remember(imported, product, publicationId) {
+        if (product.identifiers.isbn_13) imported.set(product.identifiers.isbn_13, publicationId);
+    }
+}
+
+module.exports = OnixService;
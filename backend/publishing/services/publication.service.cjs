@@ -9,6 +9,7 @@ const PublicationModel = require('../models/publication.model.cjs');
 const AuthorModel = require('../models/author.model.cjs');
 const ChapterModel = require('../models/chapter.model.cjs');
 const ISBNModel = require('../models/isbn.model.cjs');
+const IsbnBlockService = require('./isbnBlock.service.cjs');
 const PublicationFormatModel = require('../models/publicationFormat.model.cjs');
 const BISACCategoryModel = require('../models/bisacCategory.model.cjs');
 const TerritorialRightsModel = require('../models/territorialRights.model.cjs');
@@ -71,16 +72,14 @@ class PublicationService {
                 }
             });
 
-            // Auto-assign ISBN if requested
-            if (auto_assign_isbn && publication_type === 'book') {
+            // Auto-assign an ISBN per format from the default block
+            if (auto_assign_isbn) {
                 try {
-                    await ISBNModel.create({
-                        publication_id: publication.id,
-                        isbn_type: '13',
-                        status: 'assigned',
-                        assigned_by: authorId,
-                        auto_assigned: true
-                    });
+                    await IsbnBlockService.assignForFormats(
+                        publication.id,
+                        [publication_type, ...planned_formats],
+                        authorId
+                    );
                 } catch (error) {
                     console.warn('Failed to auto-assign ISBN:', error.message);
                 }
@@ -461,6 +460,9 @@ class PublicationService {
                 }
             );
 
+            // Assigned ISBNs are now in use and can no longer be cancelled
+            await IsbnBlockService.markPublished(publicationId);
+
             // Execute publishing to channels
             const publishingResults = await this.executePublishingToChannels(
                 publication,
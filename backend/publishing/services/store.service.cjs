@@ -6,6 +6,8 @@
 const db = require('../../db.cjs');
 const logger = require('../../config/logger.cjs');
 const { AppError } = require('../../middleware/errorHandler.cjs');
+const FormatConversionService = require('./conversion.service.cjs');
+const CoverSpecs = require('../utils/coverSpecs.util.cjs');
 
 class PublishingStoreService {
     /**
@@ -48,6 +50,26 @@ class PublishingStoreService {
         }
     }
 
+    /**
+     * Reject the submission when the cover fails a selected store's image
+     * requirements, before anything is sent to the store
+     */
+    static async checkCoverForStores(publication, stores) {
+        const storeKeys = stores
+            .map(store => CoverSpecs.storeKey(store.name))
+            .filter(key => CoverSpecs.getStoreSpecs(key));
+        if (storeKeys.length === 0) return;
+
+        const image = await FormatConversionService.loadCoverImage(publication);
+        const { validation } = FormatConversionService.checkCoverImage(image, storeKeys);
+
+        if (validation.summary.incompatible.length > 0) {
+            const problems = validation.summary.incompatible
+                .map(key => `${key}: ${validation.stores[key].errors.join('; ')}`);
+            throw new AppError(`Cover image does not meet store requirements (${problems.join(' | ')})`, 422);
+        }
+    }
+
     /**
      * Submit publication to stores
      */
@@ -59,7 +81,7 @@ class PublishingStoreService {
 
             // Verify user owns the publication
             const pubCheck = await client.query(
-                'SELECT user_id, status, title FROM publications WHERE id = $1',
+                'SELECT user_id, status, title, cover_image FROM publications WHERE id = $1',
                 [publicationId]
             );
 
@@ -86,6 +108,8 @@ class PublishingStoreService {
                 throw new AppError('No valid stores selected', 400);
             }
 
+            await this.checkCoverForStores(pubCheck.rows[0], storesResult.rows);
+
             const submissions = [];
 
             for (const store of storesResult.rows) {
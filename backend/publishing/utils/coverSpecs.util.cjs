@@ -0,0 +1,193 @@
+/**
+ * Cover Specifications Utility
+ * Book cover requirements of the ebook stores and of print editions, checked
+ * against decoded cover images (see utils/image.util.cjs)
+ */
+
+const imageUtil = require('../../utils/image.util.cjs');
+const { TRIM_SIZES, BLEED } = require('./printLayout.util.cjs');
+
+const MB = 1024 * 1024;
+
+// Keyed by the normalized publishing_stores name (see storeKey)
+const STORE_SPECS = {
+    amazon_kindle: {
+        formats: ['jpeg'],
+        minDimensions: { width: 625, height: 1000 },
+        maxDimensions: { width: 10000, height: 10000 },
+        preferredDimensions: { width: 1600, height: 2560 },
+        aspectRatio: 0.625,
+        maxFileSize: 50 * MB,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    apple_books: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 1400, height: 1400 },
+        preferredDimensions: { width: 1600, height: 2400 },
+        aspectRatio: 2 / 3,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    google_play_books: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 640, height: 1000 },
+        preferredDimensions: { width: 1600, height: 2560 },
+        aspectRatio: 0.625,
+        maxFileSize: 10 * MB,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    barnes_noble: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 1400, height: 1400 },
+        maxDimensions: { width: 2800, height: 4200 },
+        preferredDimensions: { width: 1600, height: 2400 },
+        aspectRatio: 2 / 3,
+        maxFileSize: 2 * MB,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    kobo: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 1400, height: 1400 },
+        preferredDimensions: { width: 1600, height: 2400 },
+        aspectRatio: 2 / 3,
+        maxFileSize: 5 * MB,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    draft2digital: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 1600, height: 2400 },
+        preferredDimensions: { width: 1600, height: 2400 },
+        aspectRatio: 2 / 3,
+        maxFileSize: 10 * MB,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    smashwords: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 1400, height: 2100 },
+        preferredDimensions: { width: 1600, height: 2400 },
+        aspectRatio: 2 / 3,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    },
+    lulu: {
+        formats: ['jpeg', 'png'],
+        minDimensions: { width: 1400, height: 2100 },
+        preferredDimensions: { width: 1600, height: 2400 },
+        aspectRatio: 2 / 3,
+        maxFileSize: 10 * MB,
+        colorMode: 'RGB',
+        supportsTransparency: false
+    }
+};
+
+// Print covers are placed at trim size, so resolution comes from pixels per inch of trim
+const PRINT_DPI = 300;
+
+class CoverSpecsUtil {
+    /**
+     * Spec key for a publishing_stores name ('Barnes & Noble' -> 'barnes_noble')
+     */
+    storeKey(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    getStoreSpecs(store) {
+        return STORE_SPECS[this.storeKey(store)] || null;
+    }
+
+    getSupportedStores() {
+        return Object.keys(STORE_SPECS);
+    }
+
+    /**
+     * Front cover requirements for a print edition. The front panel runs to
+     * the bleed on the outer edge, top and bottom
+     */
+    getPrintSpecs(trimSize) {
+        const trim = TRIM_SIZES[trimSize];
+        if (!trim) return null;
+
+        const panel = { width: trim.width + BLEED, height: trim.height + BLEED * 2 };
+        return {
+            formats: ['jpeg', 'png'],
+            minDimensions: {
+                width: Math.ceil(panel.width * PRINT_DPI),
+                height: Math.ceil(panel.height * PRINT_DPI)
+            },
+            aspectRatio: panel.width / panel.height,
+            aspectTolerance: 0.02,
+            panel,
+            supportsTransparency: false
+        };
+    }
+
+    /**
+     * Check a cover against one store's requirements
+     */
+    validateForStore(imageData, store) {
+        const specs = this.getStoreSpecs(store);
+        if (!specs) {
+            return { isValid: false, errors: [`Unsupported store: ${store}`], warnings: [] };
+        }
+
+        const { errors, warnings } = imageUtil.checkImageSpec(imageData, specs, store);
+        return { isValid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Check a front cover for printing at a trim size. CMYK is fine for print,
+     * and the minimum dimensions are the panel at 300 dpi, whatever dpi the
+     * file itself declares
+     */
+    validateForPrint(imageData, trimSize) {
+        const specs = this.getPrintSpecs(trimSize);
+        if (!specs) {
+            return { isValid: false, errors: [`Unsupported trim size: ${trimSize}`], warnings: [] };
+        }
+
+        const target = `print (${trimSize})`;
+        const { errors, warnings } = imageUtil.checkImageSpec({ ...imageData, dpi: null }, specs, target);
+        const effectiveDpi = imageData.width && imageData.height
+            ? Math.floor(Math.min(imageData.width / specs.panel.width, imageData.height / specs.panel.height))
+            : null;
+
+        return { isValid: errors.length === 0, errors, warnings, effectiveDpi };
+    }
+
+    /**
+     * Validate a cover for several stores and, with a trim size, for print
+     * @returns {Object} { stores: { key: result }, print, summary }
+     */
+    validateCover(imageData, stores, options = {}) {
+        const results = {};
+        for (const store of stores) {
+            results[store] = this.validateForStore(imageData, store);
+        }
+
+        const targets = { ...results };
+        let print = null;
+        if (options.trimSize) {
+            print = this.validateForPrint(imageData, options.trimSize);
+            targets.print = print;
+        }
+
+        const names = Object.keys(targets);
+        return {
+            stores: results,
+            print,
+            summary: {
+                compatible: names.filter(name => targets[name].isValid),
+                incompatible: names.filter(name => !targets[name].isValid)
+            }
+        };
+    }
+}
+
+module.exports = new CoverSpecsUtil();
+module.exports.STORE_SPECS = STORE_SPECS;
+module.exports.PRINT_DPI = PRINT_DPI;
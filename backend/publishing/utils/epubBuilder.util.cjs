@@ -0,0 +1,635 @@
+/**
+ * EPUB Builder Utilities
+ * Packages publication metadata and chapters as EPUB 3 (with an NCX for
+ * EPUB 2 reading systems) and checks the structure of finished packages
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { element, serializeXml, escapeXml, parseXml, childElements, findAll, localName } = require('../../utils/xml.util.cjs');
+const { createZip, readZip, readZipText } = require('../../utils/zip.util.cjs');
+
+const NAMESPACES = {
+    opf: 'http://www.idpf.org/2007/opf',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    xhtml: 'http://www.w3.org/1999/xhtml',
+    ops: 'http://www.idpf.org/2007/ops',
+    ncx: 'http://www.daisy.org/z3986/2005/ncx/',
+    container: 'urn:oasis:names:tc:opendocument:xmlns:container'
+};
+
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'yi', 'ps'];
+
+// Named HTML entities seen in manuscripts; XHTML only knows the XML five
+const HTML_ENTITIES = {
+    nbsp: 160, copy: 169, reg: 174, deg: 176, middot: 183, laquo: 171, raquo: 187,
+    ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220,
+    rdquo: 8221, bdquo: 8222, hellip: 8230, bull: 8226, trade: 8482, euro: 8364
+};
+
+const VOID_ELEMENTS = ['br', 'hr', 'img', 'wbr', 'col', 'area', 'source'];
+
+const DEFAULT_CSS = `body {
+    margin: 0 5%;
+    font-family: serif;
+    line-height: 1.5;
+    text-align: justify;
+    hyphens: auto;
+    -epub-hyphens: auto;
+}
+
+h1, h2, h3, h4 {
+    font-family: sans-serif;
+    line-height: 1.2;
+    text-align: left;
+    page-break-after: avoid;
+}
+
+h1 {
+    margin: 3em 0 1.5em;
+    font-size: 1.6em;
+}
+
+p {
+    margin: 0;
+    text-indent: 1.5em;
+}
+
+h1 + p, h2 + p, h3 + p, hr + p, blockquote + p {
+    text-indent: 0;
+}
+
+blockquote {
+    margin: 1em 2em;
+    font-style: italic;
+}
+
+hr {
+    margin: 1.5em 30%;
+    border: none;
+    border-top: 1px solid currentColor;
+}
+
+pre, code {
+    font-family: monospace;
+    font-size: 0.9em;
+}
+
+pre {
+    white-space: pre-wrap;
+    text-align: left;
+}
+
+section.cover {
+    margin: 0;
+    padding: 0;
+    text-align: center;
+}
+
+section.cover img {
+    max-width: 100%;
+    max-height: 100%;
+}
+
+[dir="rtl"] body, body[dir="rtl"] {
+    text-align: right;
+}
+`;
+
+class EpubBuilderUtil {
+
+    // ========== Building ==========
+
+    /**
+     * Build an EPUB package
+     *
+     * book: { identifier, title, subtitle, language, direction, authors, publisher,
+     *         description, date, modified, subjects, series: { name, position },
+     *         cover: { data, mediaType }, chapters: [{ title, content, format }], css }
+     * Returns { buffer, size, chapters, warnings }.
+     */
+    async build(book, options = {}) {
+        const { onProgress = () => {} } = options;
+        const warnings = [];
+
+        if (!book.title) throw new Error('EPUB requires a title');
+        if (!Array.isArray(book.chapters) || book.chapters.length === 0) {
+            throw new Error('EPUB requires at least one chapter');
+        }
+
+        const language = (book.language || 'en').trim();
+        const direction = book.direction || (RTL_LANGUAGES.includes(language.slice(0, 2).toLowerCase()) ? 'rtl' : 'ltr');
+        const context = { ...book, language, direction, identifier: book.identifier || `urn:uuid:${crypto.randomUUID()}` };
+
+        const chapters = [];
+        for (const [index, chapter] of book.chapters.entries()) {
+            const number = String(index + 1).padStart(3, '0');
+            const body = this.toXhtmlBody(chapter.content, chapter.format, warnings, chapter.title);
+            chapters.push({
+                id: `chapter-${number}`,
+                href: `text/chapter-${number}.xhtml`,
+                title: chapter.title || `Chapter ${index + 1}`,
+                body
+            });
+            await onProgress(Math.round(((index + 1) / book.chapters.length) * 80), 'chapters');
+        }
+
+        const cover = book.cover ? this.resolveCover(book.cover, warnings) : null;
+        const files = [
+            { name: 'mimetype', data: 'application/epub+zip', compress: false },
+            { name: 'META-INF/container.xml', data: this.buildContainer() },
+            { name: 'OEBPS/content.opf', data: this.buildPackage(context, chapters, cover) },
+            { name: 'OEBPS/nav.xhtml', data: this.buildNav(context, chapters, cover) },
+            { name: 'OEBPS/toc.ncx', data: this.buildNcx(context, chapters) },
+            { name: 'OEBPS/styles/book.css', data: book.css ? `${DEFAULT_CSS}\n${book.css}\n` : DEFAULT_CSS }
+        ];
+
+        if (cover) {
+            files.push(
+                { name: `OEBPS/${cover.href}`, data: cover.data },
+                { name: 'OEBPS/text/cover.xhtml', data: this.buildCoverPage(context, cover) }
+            );
+        }
+        for (const chapter of chapters) {
+            files.push({
+                name: `OEBPS/${chapter.href}`,
+                data: this.buildDocument(context, chapter.title, this.chapterSection(chapter))
+            });
+        }
+
+        await onProgress(90, 'packaging');
+        const buffer = createZip(files, { modified: context.modified });
+        await onProgress(100, 'packaged');
+
+        return {
+            buffer,
+            size: buffer.length,
+            identifier: context.identifier,
+            chapters: chapters.length,
+            warnings
+        };
+    }
+
+    buildContainer() {
+        return serializeXml(element('container', { version: '1.0', xmlns: NAMESPACES.container }, [
+            element('rootfiles', {}, [
+                element('rootfile', { 'full-path': 'OEBPS/content.opf', 'media-type': 'application/oebps-package+xml' })
+            ])
+        ]));
+    }
+
+    /**
+     * OPF package document: metadata, manifest and spine
+     */
+    buildPackage(book, chapters, cover) {
+        const authors = (book.authors || []).filter(Boolean);
+        const subjects = (book.subjects || []).filter(Boolean);
+        const modified = (book.modified ? new Date(book.modified) : new Date()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+        const metadata = element('metadata', { 'xmlns:dc': NAMESPACES.dc }, [
+            element('dc:identifier', { id: 'pub-id' }, book.identifier),
+            element('dc:title', { id: 'title' }, book.title),
+            element('meta', { refines: '#title', property: 'title-type' }, 'main'),
+            book.subtitle && [
+                element('dc:title', { id: 'subtitle' }, book.subtitle),
+                element('meta', { refines: '#subtitle', property: 'title-type' }, 'subtitle')
+            ],
+            element('dc:language', {}, book.language),
+            authors.map((name, index) => [
+                element('dc:creator', { id: `creator-${index + 1}` }, name),
+                element('meta', { refines: `#creator-${index + 1}`, property: 'role', scheme: 'marc:relators' }, 'aut')
+            ]),
+            book.publisher && element('dc:publisher', {}, book.publisher),
+            book.date && element('dc:date', {}, (book.date instanceof Date ? book.date.toISOString() : String(book.date)).slice(0, 10)),
+            book.description && element('dc:description', {}, this.decodeHtmlEntities(this.stripTags(book.description))),
+            subjects.map((code, index) => [
+                element('dc:subject', { id: `subject-${index + 1}` }, code),
+                element('meta', { refines: `#subject-${index + 1}`, property: 'authority' }, 'BISAC'),
+                element('meta', { refines: `#subject-${index + 1}`, property: 'term' }, code)
+            ]),
+            book.series && book.series.name && [
+                element('meta', { property: 'belongs-to-collection', id: 'series' }, book.series.name),
+                element('meta', { refines: '#series', property: 'collection-type' }, 'series'),
+                book.series.position && element('meta', { refines: '#series', property: 'group-position' }, book.series.position)
+            ],
+            element('meta', { property: 'dcterms:modified' }, modified),
+            // EPUB 2 reading systems find the cover through this
+            cover && element('meta', { name: 'cover', content: 'cover-image' })
+        ]);
+
+        const manifest = element('manifest', {}, [
+            element('item', { id: 'nav', href: 'nav.xhtml', 'media-type': 'application/xhtml+xml', properties: 'nav' }),
+            element('item', { id: 'ncx', href: 'toc.ncx', 'media-type': 'application/x-dtbncx+xml' }),
+            element('item', { id: 'css', href: 'styles/book.css', 'media-type': 'text/css' }),
+            cover && [
+                element('item', { id: 'cover-image', href: cover.href, 'media-type': cover.mediaType, properties: 'cover-image' }),
+                element('item', { id: 'cover', href: 'text/cover.xhtml', 'media-type': 'application/xhtml+xml' })
+            ],
+            chapters.map(chapter => element('item', {
+                id: chapter.id,
+                href: chapter.href,
+                'media-type': 'application/xhtml+xml'
+            }))
+        ]);
+
+        const spine = element('spine', {
+            toc: 'ncx',
+            'page-progression-direction': book.direction === 'rtl' ? 'rtl' : null
+        }, [
+            cover && element('itemref', { idref: 'cover', linear: 'no' }),
+            element('itemref', { idref: 'nav', linear: 'no' }),
+            chapters.map(chapter => element('itemref', { idref: chapter.id }))
+        ]);
+
+        return serializeXml(element('package', {
+            xmlns: NAMESPACES.opf,
+            version: '3.0',
+            'unique-identifier': 'pub-id',
+            'xml:lang': book.language,
+            dir: book.direction
+        }, [metadata, manifest, spine]));
+    }
+
+    /**
+     * EPUB 3 navigation document with table of contents and landmarks
+     */
+    buildNav(book, chapters, cover) {
+        const toc = chapters
+            .map(chapter => `        <li><a href="${escapeXml(chapter.href)}">${escapeXml(chapter.title)}</a></li>`)
+            .join('\n');
+        const landmarks = [
+            cover && '        <li><a epub:type="cover" href="text/cover.xhtml">Cover</a></li>',
+            '        <li><a epub:type="toc" href="nav.xhtml#toc">Table of Contents</a></li>',
+            `        <li><a epub:type="bodymatter" href="${escapeXml(chapters[0].href)}">Start of Content</a></li>`
+        ].filter(Boolean).join('\n');
+
+        const body = `<nav epub:type="toc" id="toc" role="doc-toc">
+      <h1>Table of Contents</h1>
+      <ol>
+${toc}
+      </ol>
+    </nav>
+    <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+      <h2>Landmarks</h2>
+      <ol>
+${landmarks}
+      </ol>
+    </nav>`;
+
+        return this.buildDocument(book, 'Table of Contents', body, '');
+    }
+
+    /**
+     * NCX for EPUB 2 reading systems
+     */
+    buildNcx(book, chapters) {
+        return serializeXml(element('ncx', { xmlns: NAMESPACES.ncx, version: '2005-1', 'xml:lang': book.language }, [
+            element('head', {}, [
+                element('meta', { name: 'dtb:uid', content: book.identifier }),
+                element('meta', { name: 'dtb:depth', content: '1' }),
+                element('meta', { name: 'dtb:totalPageCount', content: '0' }),
+                element('meta', { name: 'dtb:maxPageNumber', content: '0' })
+            ]),
+            element('docTitle', {}, [element('text', {}, book.title)]),
+            (book.authors || []).filter(Boolean).slice(0, 1).map(name =>
+                element('docAuthor', {}, [element('text', {}, name)])
+            ),
+            element('navMap', {}, chapters.map((chapter, index) =>
+                element('navPoint', { id: `navpoint-${index + 1}`, playOrder: index + 1 }, [
+                    element('navLabel', {}, [element('text', {}, chapter.title)]),
+                    element('content', { src: chapter.href })
+                ])
+            ))
+        ]));
+    }
+
+    buildCoverPage(book, cover) {
+        const body = `<section class="cover" epub:type="cover">
+      <img src="../${escapeXml(cover.href)}" alt="${escapeXml(book.title)}"/>
+    </section>`;
+        return this.buildDocument(book, book.title, body);
+    }
+
+    chapterSection(chapter) {
+        // Manuscripts often open with their own chapter heading
+        const heading = /^\s*<h1[\s>]/i.test(chapter.body)
+            ? ''
+            : `\n      <h1 id="${chapter.id}-title">${escapeXml(chapter.title)}</h1>`;
+
+        return `<section epub:type="chapter" role="doc-chapter" id="${chapter.id}">${heading}
+${chapter.body}
+    </section>`;
+    }
+
+    /**
+     * XHTML content document wrapper
+     */
+    buildDocument(book, title, body, stylesheetPrefix = '../') {
+        const dir = book.direction === 'rtl' ? ' dir="rtl"' : '';
+        const lang = escapeXml(book.language);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="${NAMESPACES.xhtml}" xmlns:epub="${NAMESPACES.ops}" xml:lang="${lang}" lang="${lang}"${dir}>
+  <head>
+    <meta charset="UTF-8"/>
+    <title>${escapeXml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="${stylesheetPrefix}styles/book.css"/>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>
+`;
+    }
+
+    /**
+     * Cover image with its media type sniffed from the data
+     */
+    resolveCover(cover, warnings) {
+        const data = Buffer.isBuffer(cover.data) ? cover.data : null;
+        const mediaType = data ? this.detectImageType(data) || cover.mediaType : null;
+        const extensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+        if (!data || !extensions[mediaType]) {
+            warnings.push('Cover image is missing or not a JPEG, PNG, GIF, WebP or SVG image; cover omitted');
+            return null;
+        }
+
+        return { data, mediaType, href: `images/cover.${extensions[mediaType]}` };
+    }
+
+    detectImageType(data) {
+        if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+        if (data.length >= 8 && data.readUInt32BE(0) === 0x89504e47) return 'image/png';
+        if (data.length >= 6 && data.toString('latin1', 0, 4) === 'GIF8') return 'image/gif';
+        if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+        if (/^\s*(<\?xml[^>]*>\s*)?<svg[\s>]/.test(data.toString('utf8', 0, 256))) return 'image/svg+xml';
+        return null;
+    }
+
+    // ========== Chapter Content ==========
+
+    /**
+     * Chapter content (HTML, Markdown or plain text) as well-formed XHTML
+     */
+    toXhtmlBody(content, format, warnings, title) {
+        const source = String(content || '').replace(/\r\n?/g, '\n').trim();
+        const kind = format || (/<\/?(p|div|h[1-6]|br|em|strong|ul|ol|blockquote|span)\b[^>]*>/i.test(source) ? 'html' : 'markdown');
+
+        if (kind === 'html') {
+            const xhtml = this.htmlToXhtml(source);
+            try {
+                parseXml(`<div>${xhtml}</div>`);
+                return xhtml;
+            } catch (error) {
+                warnings.push(`Chapter "${title}" is not well-formed HTML (${error.message}); markup dropped`);
+                return this.textToXhtml(this.decodeHtmlEntities(this.stripTags(source)));
+            }
+        }
+        if (kind === 'text') {
+            return this.textToXhtml(source);
+        }
+        return this.markdownToXhtml(source);
+    }
+
+    htmlToXhtml(html) {
+        const bodyMatch = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+
+        return (bodyMatch ? bodyMatch[1] : html)
+            .replace(/<!DOCTYPE[^>]*>|<\?xml[^>]*\?>|<!--[\s\S]*?-->/gi, '')
+            .replace(/<(script|style|iframe|object|form)\b[\s\S]*?<\/\1\s*>/gi, '')
+            .replace(/<\/?(html|head|body|meta|link)\b[^>]*>/gi, '')
+            // Event handler attributes are not allowed in EPUB content documents
+            .replace(/\s+on[a-z]+\s*=\s*("[^"]*"|'[^']*')/gi, '')
+            // Images outside the package cannot be referenced; keep their alt text
+            .replace(/<img\b[^>]*>/gi, tag => {
+                const alt = /\salt\s*=\s*("([^"]*)"|'([^']*)')/i.exec(tag);
+                return alt ? alt[2] || alt[3] || '' : '';
+            })
+            .replace(new RegExp(`<(${VOID_ELEMENTS.join('|')})\\b([^>]*?)\\s*/?>`, 'gi'), '<$1$2/>')
+            .replace(/<(\/?)([a-z][a-z0-9]*)\b/gi, (tag, slash, name) => `<${slash}${name.toLowerCase()}`)
+            .replace(/&(?!(#\d+|#x[0-9a-f]+|amp|lt|gt|quot|apos);)([a-z]+;)?/gi, (match, numeric, named) => {
+                const code = named && HTML_ENTITIES[named.slice(0, -1).toLowerCase()];
+                if (code) return `&#${code};`;
+                return named ? `&amp;${named}` : '&amp;';
+            })
+            .trim();
+    }
+
+    textToXhtml(text) {
+        return text
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map(paragraph => `      <p>${escapeXml(paragraph).replace(/\n/g, '<br/>')}</p>`)
+            .join('\n');
+    }
+
+    /**
+     * Markdown subset used by the editor: headings, paragraphs, emphasis, code,
+     * links, lists, block quotes, rules and fenced code blocks
+     */
+    markdownToXhtml(markdown) {
+        const lines = markdown.split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+        let quote = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) blocks.push(`<p>${this.inlineMarkdown(paragraph.join('\n'))}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${this.inlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+        const flushQuote = () => {
+            if (quote.length > 0) blocks.push(`<blockquote>${this.markdownToXhtml(quote.join('\n'))}</blockquote>`);
+            quote = [];
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushList();
+            flushQuote();
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            let match;
+
+            if (/^```/.test(line)) {
+                flushAll();
+                const code = [];
+                for (i++; i < lines.length && !/^```/.test(lines[i]); i++) code.push(lines[i]);
+                blocks.push(`<pre><code>${escapeXml(code.join('\n'))}</code></pre>`);
+            } else if (/^\s*$/.test(line)) {
+                flushAll();
+            } else if ((match = /^>\s?(.*)$/.exec(line))) {
+                flushParagraph();
+                flushList();
+                quote.push(match[1]);
+            } else if ((match = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line))) {
+                flushAll();
+                const level = match[1].length;
+                blocks.push(`<h${level}>${this.inlineMarkdown(match[2])}</h${level}>`);
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushAll();
+                blocks.push('<hr/>');
+            } else if ((match = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/.exec(line))) {
+                flushParagraph();
+                flushQuote();
+                const tag = match[1] ? 'ul' : 'ol';
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push(match[3]);
+            } else if (list && /^\s+\S/.test(line)) {
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+            } else {
+                flushList();
+                flushQuote();
+                paragraph.push(line);
+            }
+        }
+        flushAll();
+
+        return blocks.map(block => `      ${block}`).join('\n');
+    }
+
+    inlineMarkdown(text) {
+        const codeSpans = [];
+
+        return escapeXml(text)
+            .replace(/`([^`]+)`/g, (match, code) => {
+                codeSpans.push(`<code>${code}</code>`);
+                return `\u0000${codeSpans.length - 1}\u0000`;
+            })
+            // Remote images cannot be referenced from the package; keep their alt text
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, '<a href="$2">$1</a>')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(\*|_)(?=\S)([\s\S]*?\S)\1/g, '<em>$2</em>')
+            .replace(/ {2,}\n/g, '<br/>')
+            .replace(/\n/g, ' ')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+    }
+
+    stripTags(html) {
+        return String(html)
+            .replace(/<(br|\/p|\/div|\/h[1-6]|\/li)\b[^>]*>/gi, '\n\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    decodeHtmlEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            const named = { amp: 38, lt: 60, gt: 62, quot: 34, apos: 39, ...HTML_ENTITIES }[entity.toLowerCase()];
+            return named ? String.fromCodePoint(named) : match;
+        });
+    }
+
+    // ========== Validation ==========
+
+    /**
+     * Structural checks of an EPUB package (OCF container, OPF, navigation)
+     */
+    validate(buffer) {
+        const errors = [];
+        let entries;
+
+        try {
+            entries = readZip(buffer);
+        } catch (error) {
+            return { valid: false, errors: [`Not a ZIP container: ${error.message}`] };
+        }
+
+        // The mimetype entry must come first, stored, without extra fields
+        const firstNameLength = buffer.readUInt16LE(26);
+        const firstName = buffer.toString('utf8', 30, 30 + firstNameLength);
+        if (firstName !== 'mimetype') {
+            errors.push('First entry must be "mimetype"');
+        } else if (buffer.readUInt16LE(8) !== 0 || buffer.readUInt16LE(28) !== 0) {
+            errors.push('"mimetype" must be stored uncompressed without extra fields');
+        } else if (readZipText(entries, 'mimetype') !== 'application/epub+zip') {
+            errors.push('"mimetype" must contain application/epub+zip');
+        }
+
+        const parse = (name) => {
+            const text = readZipText(entries, name);
+            if (text === null) {
+                errors.push(`Missing ${name}`);
+                return null;
+            }
+            try {
+                return parseXml(text);
+            } catch (error) {
+                errors.push(`${name} is not well-formed: ${error.message}`);
+                return null;
+            }
+        };
+
+        const container = parse('META-INF/container.xml');
+        const rootfile = container && findAll(container, 'rootfile')[0];
+        const opfPath = rootfile && rootfile.attributes['full-path'];
+        if (container && !opfPath) errors.push('container.xml declares no rootfile');
+
+        const opf = opfPath && parse(opfPath);
+        if (!opf) return { valid: false, errors };
+
+        const baseDir = path.posix.dirname(opfPath);
+        const metadata = childElements(opf, 'metadata')[0];
+        const uniqueId = opf.attributes['unique-identifier'];
+        const identifiers = findAll(metadata, 'identifier');
+
+        if (opf.attributes.version !== '3.0') errors.push('Package version must be 3.0');
+        if (!identifiers.some(node => node.attributes.id === uniqueId)) {
+            errors.push(`unique-identifier "${uniqueId}" does not reference a dc:identifier`);
+        }
+        for (const required of ['title', 'language']) {
+            if (findAll(metadata, required).length === 0) errors.push(`Missing dc:${required}`);
+        }
+        if (!findAll(metadata, 'meta').some(node => node.attributes.property === 'dcterms:modified')) {
+            errors.push('Missing dcterms:modified');
+        }
+
+        const items = findAll(childElements(opf, 'manifest')[0], 'item');
+        const itemsById = new Map(items.map(item => [item.attributes.id, item]));
+        const navItems = items.filter(item => (item.attributes.properties || '').split(/\s+/).includes('nav'));
+        if (navItems.length !== 1) errors.push('Manifest must contain exactly one nav document');
+
+        for (const item of items) {
+            const entryName = path.posix.join(baseDir, item.attributes.href || '');
+            if (!entries.has(entryName)) {
+                errors.push(`Manifest item ${item.attributes.id} points to missing ${entryName}`);
+            } else if (item.attributes['media-type'] === 'application/xhtml+xml') {
+                const document = parse(entryName);
+                if (document && localName(document.name) !== 'html') errors.push(`${entryName} is not an XHTML document`);
+            }
+        }
+
+        const itemrefs = findAll(childElements(opf, 'spine')[0], 'itemref');
+        if (itemrefs.length === 0) errors.push('Spine is empty');
+        for (const itemref of itemrefs) {
+            if (!itemsById.has(itemref.attributes.idref)) {
+                errors.push(`Spine references unknown item ${itemref.attributes.idref}`);
+            }
+        }
+
+        if (navItems.length === 1) {
+            const nav = parse(path.posix.join(baseDir, navItems[0].attributes.href));
+            if (nav && !findAll(nav, 'nav').some(node => node.attributes['epub:type'] === 'toc')) {
+                errors.push('Navigation document has no toc nav');
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+}
+
+module.exports = new EpubBuilderUtil();
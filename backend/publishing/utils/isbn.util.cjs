@@ -0,0 +1,143 @@
+/**
+ * ISBN Utility
+ * ISBN-13 composition from agency blocks (prefix, registration group,
+ * registrant and publication elements), check digits and ISBN-10 derivation
+ */
+
+const PREFIX_ELEMENTS = ['978', '979'];
+
+// Publication formats that each need their own ISBN
+const ISBN_FORMATS = ['ebook', 'paperback', 'hardcover', 'audiobook'];
+
+// Registration group, registrant and publication elements share these digits
+const ELEMENT_DIGITS = 9;
+
+class IsbnUtil {
+    normalize(value) {
+        if (!value) return null;
+        const isbn = String(value).replace(/[\s-]/g, '').toUpperCase();
+        return isbn || null;
+    }
+
+    /**
+     * Mod-10 check digit of the first 12 digits (weights 1, 3, 1, ...)
+     */
+    checkDigit13(body) {
+        let sum = 0;
+        for (let i = 0; i < 12; i++) {
+            sum += Number(body[i]) * (i % 2 === 0 ? 1 : 3);
+        }
+        return String((10 - (sum % 10)) % 10);
+    }
+
+    /**
+     * Mod-11 check digit of the first 9 digits; 10 is written as X
+     */
+    checkDigit10(body) {
+        let sum = 0;
+        for (let i = 0; i < 9; i++) {
+            sum += Number(body[i]) * (10 - i);
+        }
+        const check = (11 - (sum % 11)) % 11;
+        return check === 10 ? 'X' : String(check);
+    }
+
+    isValidIsbn13(value) {
+        const isbn = this.normalize(value);
+        if (!isbn || !/^97[89]\d{10}$/.test(isbn)) return false;
+        return this.checkDigit13(isbn) === isbn[12];
+    }
+
+    /**
+     * ISBN-10 equivalent; only 978 ISBNs have one
+     */
+    toIsbn10(isbn13) {
+        const isbn = this.normalize(isbn13);
+        if (!isbn || !isbn.startsWith('978')) return null;
+        const body = isbn.slice(3, 12);
+        return `${body}${this.checkDigit10(body)}`;
+    }
+
+    /**
+     * Split an agency prefix such as '978-83-12345' into its elements
+     */
+    parsePrefix(value) {
+        const parts = String(value || '').trim().split(/[\s-]+/).filter(Boolean);
+        if (parts.length !== 3) return null;
+
+        const [prefixElement, registrationGroup, registrantElement] = parts;
+        return { prefixElement, registrationGroup, registrantElement };
+    }
+
+    /**
+     * Digits left for publication elements under a registrant
+     */
+    publicationElementLength(registrationGroup, registrantElement) {
+        return ELEMENT_DIGITS - registrationGroup.length - registrantElement.length;
+    }
+
+    /**
+     * Problem with a block's prefix elements, or null when it is usable
+     */
+    validatePrefix({ prefixElement, registrationGroup, registrantElement }) {
+        if (!PREFIX_ELEMENTS.includes(prefixElement)) {
+            return `Prefix element must be one of: ${PREFIX_ELEMENTS.join(', ')}`;
+        }
+        if (!/^\d{1,5}$/.test(registrationGroup || '')) {
+            return 'Registration group must be 1-5 digits';
+        }
+        if (!/^\d{1,7}$/.test(registrantElement || '')) {
+            return 'Registrant element must be 1-7 digits';
+        }
+        if (this.publicationElementLength(registrationGroup, registrantElement) < 1) {
+            return 'Registration group and registrant element leave no digits for publication elements';
+        }
+        return null;
+    }
+
+    /**
+     * Number of publication elements a registrant element leaves room for
+     */
+    registrantCapacity(registrationGroup, registrantElement) {
+        return Math.pow(10, this.publicationElementLength(registrationGroup, registrantElement));
+    }
+
+    /**
+     * ISBN-13, ISBN-10 (978 only) and the hyphenated form for a publication
+     * element of a block
+     */
+    build(block, publicationElement) {
+        const { prefix_element: prefix, registration_group: group, registrant_element: registrant } = block;
+        const length = this.publicationElementLength(group, registrant);
+
+        if (publicationElement < 0 || publicationElement >= Math.pow(10, length)) {
+            throw new Error(`Publication element ${publicationElement} does not fit ${prefix}-${group}-${registrant}`);
+        }
+
+        const element = String(publicationElement).padStart(length, '0');
+        const body = `${prefix}${group}${registrant}${element}`;
+        const check = this.checkDigit13(body);
+
+        return {
+            isbn13: `${body}${check}`,
+            isbn10: this.toIsbn10(`${body}${check}`),
+            hyphenated: `${prefix}-${group}-${registrant}-${element}-${check}`,
+            publicationElement: element
+        };
+    }
+
+    /**
+     * Publication element of an ISBN-13 under a block, or null when the ISBN
+     * is not covered by the block's registrant
+     */
+    elementOf(block, isbn13) {
+        const prefix = `${block.prefix_element}${block.registration_group}${block.registrant_element}`;
+        const isbn = this.normalize(isbn13);
+        if (!isbn || !isbn.startsWith(prefix)) return null;
+        return parseInt(isbn.slice(prefix.length, 12), 10);
+    }
+}
+
+module.exports = new IsbnUtil();
+module.exports.ISBN_FORMATS = ISBN_FORMATS;
+module.exports.PREFIX_ELEMENTS = PREFIX_ELEMENTS;
@@ -0,0 +1,1274 @@
+/**
+ * Manuscript Reader Utility
+ * Recovers text, chapter structure, footnotes and images from uploaded
+ * DOCX, EPUB and PDF manuscripts so they can be imported as chapters
+ */
+
+const path = require('path');
+const { parseXml, escapeXml, localName, childElements, firstChild, findAll, findFirst, textContent } = require('../../utils/xml.util.cjs');
+const { readZip, readZipText } = require('../../utils/zip.util.cjs');
+const { PdfReader } = require('../../utils/pdfReader.util.cjs');
+const EpubBuilder = require('./epubBuilder.util.cjs');
+
+// Headings that open a chapter even when they are not styled as one
+const CHAPTER_PATTERN = /^(chapter|rozdzia[łl]|part|cz[eę][sś][cć]|prologue?|epilogue?|epilog|interlude)\b/i;
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'wbr', 'col', 'area', 'source']);
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'head', 'title', 'meta', 'link', 'noscript']);
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'section', 'article', 'aside',
+    'header', 'footer', 'figure', 'figcaption', 'pre', 'table', 'tr', 'ul', 'ol', 'dl', 'dt', 'dd', 'hr'
+]);
+const CONTAINER_ELEMENTS = new Set(['body', 'section', 'div', 'article', 'main']);
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.emf': 'image/emf',
+    '.wmf': 'image/wmf'
+};
+
+// Front matter shorter than this (title pages, author lines) is not kept as a chapter
+const MIN_FRONT_MATTER_WORDS = 12;
+
+/**
+ * Attribute lookup that ignores the namespace prefix (w:val, r:embed, ...)
+ */
+function attr(node, name) {
+    if (!node || !node.attributes) return undefined;
+    if (node.attributes[name] !== undefined) return node.attributes[name];
+    const key = Object.keys(node.attributes).find(attribute => localName(attribute) === name);
+    return key === undefined ? undefined : node.attributes[key];
+}
+
+function countWords(text) {
+    return (String(text || '').match(/\S+/g) || []).length;
+}
+
+function normalizeTitle(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+class ManuscriptReaderUtil {
+    // ========== Shared ==========
+
+    openPackage(buffer, label) {
+        try {
+            return readZip(buffer);
+        } catch (error) {
+            throw new Error(`Invalid ${label} file: ${error.message}`);
+        }
+    }
+
+    mediaTypeFor(fileName) {
+        return IMAGE_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+    }
+
+    /**
+     * Split heading/paragraph blocks into chapters at the top heading level,
+     * falling back to "Chapter N" style paragraphs
+     */
+    splitIntoChapters(blocks, warnings) {
+        let source = 'headings';
+        let levels = blocks.filter(block => block.kind === 'heading').map(block => block.level);
+
+        if (levels.length === 0) {
+            for (const block of blocks) {
+                if (block.kind === 'paragraph' && block.text.length <= 80 && CHAPTER_PATTERN.test(block.text.trim())) {
+                    block.kind = 'heading';
+                    block.level = 1;
+                }
+            }
+            levels = blocks.filter(block => block.kind === 'heading').map(block => block.level);
+            source = levels.length > 0 ? 'pattern' : 'none';
+        }
+
+        const top = levels.length > 0 ? Math.min(...levels) : null;
+        const chapters = [];
+        const front = { title: 'Front Matter', blocks: [] };
+        let current = null;
+
+        for (const block of blocks) {
+            if (block.kind === 'heading' && block.level === top) {
+                current = { title: block.text.trim(), blocks: [] };
+                chapters.push(current);
+            } else {
+                (current || front).blocks.push(block);
+            }
+        }
+
+        const frontWords = countWords(front.blocks.map(block => block.text).join(' '));
+        if (frontWords >= MIN_FRONT_MATTER_WORDS || (chapters.length === 0 && front.blocks.length > 0)) {
+            chapters.unshift(front);
+        } else if (frontWords > 0) {
+            warnings.push(`Skipped ${frontWords} words before the first chapter heading`);
+        }
+
+        return {
+            source,
+            chapters: chapters.map((chapter, index) => ({
+                title: chapter.title || `Chapter ${index + 1}`,
+                ...this.renderBlocks(chapter.blocks, top)
+            }))
+        };
+    }
+
+    /**
+     * Render blocks to HTML (subheadings, paragraphs, nested lists, tables)
+     * with the footnotes they reference appended
+     */
+    renderBlocks(blocks, topLevel) {
+        const html = [];
+        const text = [];
+        const notes = [];
+
+        for (let index = 0; index < blocks.length; index++) {
+            const block = blocks[index];
+
+            if (block.kind === 'list-item') {
+                const items = [];
+                while (index < blocks.length && blocks[index].kind === 'list-item') items.push(blocks[index++]);
+                index--;
+                html.push(this.renderList(items));
+                items.forEach(item => {
+                    text.push(item.text);
+                    notes.push(...(item.notes || []));
+                });
+                continue;
+            }
+
+            if (block.kind === 'heading') {
+                const level = Math.min(6, 2 + Math.max(0, block.level - (topLevel || 1) - 1));
+                html.push(`<h${level}>${block.html || escapeXml(block.text)}</h${level}>`);
+            } else if (block.kind === 'paragraph') {
+                html.push(`<p>${block.html}</p>`);
+            } else {
+                html.push(block.html);
+            }
+            text.push(block.text);
+            notes.push(...(block.notes || []));
+        }
+
+        if (notes.length > 0) {
+            html.push(`<section class="footnotes"><ol>${notes.map(note =>
+                `<li id="fn-${note.number}" value="${note.number}">${note.html} <a href="#fnref-${note.number}">↩</a></li>`
+            ).join('')}</ol></section>`);
+        }
+
+        return {
+            content: html.join('\n'),
+            text: text.filter(Boolean).join('\n\n'),
+            footnotes: notes.length
+        };
+    }
+
+    renderList(items) {
+        const base = Math.min(...items.map(item => item.depth));
+        let html = '';
+        const open = [];
+
+        for (const item of items) {
+            const depth = item.depth - base;
+            while (open.length > depth + 1) html += `</li></${open.pop()}>`;
+            if (open.length === depth + 1) {
+                html += '</li>';
+            }
+            while (open.length < depth + 1) {
+                const tag = item.ordered ? 'ol' : 'ul';
+                if (open.length > 0 && open.length < depth) html += '<li>';
+                html += `<${tag}>`;
+                open.push(tag);
+            }
+            html += `<li>${item.html}`;
+        }
+        while (open.length > 0) html += `</li></${open.pop()}>`;
+        return html;
+    }
+
+    /**
+     * Serialize parsed (X)HTML nodes back to HTML, dropping scripts and
+     * letting the caller rewrite image sources
+     */
+    toHtml(node, rewriteSource) {
+        if (node.type === 'text') return escapeXml(node.value);
+
+        const name = node.name;
+        const tag = localName(name);
+        if (DROPPED_ELEMENTS.has(tag)) return '';
+
+        const attributes = Object.entries(node.attributes || {})
+            .filter(([key]) => !key.startsWith('xmlns') && !/^on/i.test(key))
+            .map(([key, value]) => {
+                const isSource = (tag === 'img' && key === 'src') || (tag === 'image' && localName(key) === 'href');
+                return ` ${key}="${escapeXml(isSource && rewriteSource ? rewriteSource(value) : value)}"`;
+            })
+            .join('');
+
+        if (VOID_ELEMENTS.has(tag)) return `<${name}${attributes}/>`;
+        const children = (node.children || []).map(child => this.toHtml(child, rewriteSource)).join('');
+        return `<${name}${attributes}>${children}</${name}>`;
+    }
+
+    /**
+     * Plain text of parsed (X)HTML nodes with paragraph breaks between blocks
+     */
+    toText(nodes) {
+        const walk = (node) => {
+            if (node.type === 'text') return node.value.replace(/\s+/g, ' ');
+            const tag = localName(node.name);
+            if (DROPPED_ELEMENTS.has(tag)) return '';
+            if (tag === 'br') return '\n';
+            const inner = (node.children || []).map(walk).join('');
+            return BLOCK_ELEMENTS.has(tag) ? `\n\n${inner}\n\n` : inner;
+        };
+
+        return nodes.map(walk).join('')
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // ========== DOCX ==========
+
+    /**
+     * Read a DOCX manuscript: headings become chapters and subheadings,
+     * run formatting, lists, tables, footnotes and embedded images are kept
+     */
+    readDocx(buffer) {
+        const entries = this.openPackage(buffer, 'DOCX');
+        const documentPath = this.findDocxDocument(entries);
+        const xml = readZipText(entries, documentPath);
+        if (!xml) throw new Error('Invalid DOCX file: word/document.xml not found');
+
+        const base = path.posix.dirname(documentPath);
+        const warnings = [];
+        const context = {
+            entries,
+            base,
+            styles: this.readDocxStyles(readZipText(entries, `${base}/styles.xml`)),
+            numbering: this.readDocxNumbering(readZipText(entries, `${base}/numbering.xml`)),
+            notes: this.readDocxNotes(entries, base),
+            noteCount: 0,
+            images: new Map(),
+            warnings
+        };
+
+        const body = findFirst(parseXml(xml, { preserveWhitespace: true }), 'body');
+        const blocks = this.docxBlocks(body, context, this.readRelationships(entries, documentPath));
+        const metadata = this.readDocxProperties(entries);
+
+        // A Title-styled paragraph names the book rather than opening a chapter
+        const titleBlock = blocks.find(block => block.kind === 'title');
+        const title = metadata.title || (titleBlock ? titleBlock.text : null);
+        const { chapters, source } = this.splitIntoChapters(blocks.filter(block => block.kind !== 'title'), warnings);
+
+        return {
+            format: 'docx',
+            title,
+            author: metadata.author || null,
+            language: metadata.language || null,
+            metadata,
+            structure: source === 'headings' ? 'docx_headings' : (source === 'pattern' ? 'chapter_pattern' : 'none'),
+            chapters,
+            images: Array.from(context.images.values()),
+            footnotes: context.noteCount,
+            warnings
+        };
+    }
+
+    findDocxDocument(entries) {
+        const rels = readZipText(entries, '_rels/.rels');
+        if (rels) {
+            const relationship = findAll(parseXml(rels), 'Relationship')
+                .find(node => /\/officeDocument$/.test(attr(node, 'Type') || ''));
+            if (relationship) return attr(relationship, 'Target').replace(/^\//, '');
+        }
+        return 'word/document.xml';
+    }
+
+    readRelationships(entries, partPath) {
+        const relsPath = `${path.posix.dirname(partPath)}/_rels/${path.posix.basename(partPath)}.rels`;
+        const xml = readZipText(entries, relsPath);
+        const relationships = new Map();
+        if (!xml) return relationships;
+
+        for (const node of findAll(parseXml(xml), 'Relationship')) {
+            relationships.set(attr(node, 'Id'), {
+                target: attr(node, 'Target'),
+                external: attr(node, 'TargetMode') === 'External'
+            });
+        }
+        return relationships;
+    }
+
+    readDocxStyles(xml) {
+        const styles = new Map();
+        if (!xml) return styles;
+
+        for (const node of findAll(parseXml(xml), 'style')) {
+            const paragraph = firstChild(node, 'pPr');
+            const run = firstChild(node, 'rPr');
+            const outline = paragraph && firstChild(paragraph, 'outlineLvl');
+            const numbering = paragraph && firstChild(paragraph, 'numPr');
+
+            styles.set(attr(node, 'styleId'), {
+                name: attr(firstChild(node, 'name'), 'val') || '',
+                basedOn: attr(firstChild(node, 'basedOn'), 'val') || null,
+                outlineLevel: outline ? Number(attr(outline, 'val')) : null,
+                numId: numbering ? attr(firstChild(numbering, 'numId'), 'val') : null,
+                bold: run ? this.toggle(firstChild(run, 'b')) : undefined,
+                italic: run ? this.toggle(firstChild(run, 'i')) : undefined
+            });
+        }
+        return styles;
+    }
+
+    readDocxNumbering(xml) {
+        const numbering = new Map();
+        if (!xml) return numbering;
+
+        const root = parseXml(xml);
+        const abstracts = new Map();
+        for (const node of childElements(root, 'abstractNum')) {
+            const levels = new Map();
+            for (const level of childElements(node, 'lvl')) {
+                levels.set(Number(attr(level, 'ilvl')), attr(firstChild(level, 'numFmt'), 'val') || 'decimal');
+            }
+            abstracts.set(attr(node, 'abstractNumId'), levels);
+        }
+        for (const node of childElements(root, 'num')) {
+            numbering.set(attr(node, 'numId'), abstracts.get(attr(firstChild(node, 'abstractNumId'), 'val')) || new Map());
+        }
+        return numbering;
+    }
+
+    readDocxNotes(entries, base) {
+        const notes = new Map();
+        for (const kind of ['footnote', 'endnote']) {
+            const partPath = `${base}/${kind}s.xml`;
+            const xml = readZipText(entries, partPath);
+            if (!xml) continue;
+
+            const rels = this.readRelationships(entries, partPath);
+            for (const node of findAll(parseXml(xml, { preserveWhitespace: true }), kind)) {
+                // Separator and continuation notes carry no content
+                if (attr(node, 'type') && attr(node, 'type') !== 'normal') continue;
+                notes.set(`${kind}:${attr(node, 'id')}`, { node, rels });
+            }
+        }
+        return notes;
+    }
+
+    readDocxProperties(entries) {
+        const metadata = {};
+        const core = readZipText(entries, 'docProps/core.xml');
+        if (core) {
+            const root = parseXml(core);
+            const fields = {
+                title: 'title',
+                author: 'creator',
+                subject: 'subject',
+                description: 'description',
+                keywords: 'keywords',
+                language: 'language',
+                created: 'created',
+                modified: 'modified'
+            };
+            for (const [key, name] of Object.entries(fields)) {
+                const value = textContent(findFirst(root, name)).trim();
+                if (value) metadata[key] = value;
+            }
+        }
+
+        const app = readZipText(entries, 'docProps/app.xml');
+        if (app) {
+            const root = parseXml(app);
+            for (const [key, name] of Object.entries({ pages: 'Pages', words: 'Words', application: 'Application' })) {
+                const value = textContent(findFirst(root, name)).trim();
+                if (value) metadata[key] = /^\d+$/.test(value) ? Number(value) : value;
+            }
+        }
+        return metadata;
+    }
+
+    docxBlocks(container, context, rels) {
+        const blocks = [];
+        for (const node of childElements(container)) {
+            const name = localName(node.name);
+            if (name === 'p') {
+                const block = this.docxParagraph(node, context, rels);
+                if (block) blocks.push(block);
+            } else if (name === 'tbl') {
+                blocks.push(this.docxTable(node, context, rels));
+            } else if (name === 'sdt') {
+                blocks.push(...this.docxBlocks(firstChild(node, 'sdtContent'), context, rels));
+            } else if (['customXml', 'ins', 'moveTo'].includes(name)) {
+                blocks.push(...this.docxBlocks(node, context, rels));
+            }
+        }
+        return blocks;
+    }
+
+    docxParagraph(node, context, rels) {
+        const properties = firstChild(node, 'pPr');
+        const styleId = properties ? attr(firstChild(properties, 'pStyle'), 'val') : null;
+        const notes = [];
+        const html = this.docxInline(node, context, rels, notes).trim();
+        const text = this.htmlText(html);
+
+        if (!text && !/<img\b/.test(html)) return null;
+
+        const styleName = this.styleValue(context.styles, styleId, style => style.name) || '';
+        if (/^(title)$/i.test(styleName)) return { kind: 'title', text, html, notes };
+
+        const directOutline = properties && firstChild(properties, 'outlineLvl');
+        const outlineLevel = directOutline
+            ? Number(attr(directOutline, 'val'))
+            : this.styleValue(context.styles, styleId, style => style.outlineLevel);
+        const namedLevel = /^heading\s*(\d)$/i.exec(styleName);
+        const level = namedLevel ? Number(namedLevel[1]) : (outlineLevel !== null && outlineLevel !== undefined && outlineLevel < 9 ? outlineLevel + 1 : null);
+        if (level) return { kind: 'heading', level, text, html, notes };
+
+        const numberingProperties = properties && firstChild(properties, 'numPr');
+        const numId = numberingProperties
+            ? attr(firstChild(numberingProperties, 'numId'), 'val')
+            : this.styleValue(context.styles, styleId, style => style.numId);
+        if (numId && numId !== '0') {
+            const depth = numberingProperties ? Number(attr(firstChild(numberingProperties, 'ilvl'), 'val') || 0) : 0;
+            const format = (context.numbering.get(numId) || new Map()).get(depth) || 'bullet';
+            return { kind: 'list-item', depth, ordered: format !== 'bullet' && format !== 'none', text, html, notes };
+        }
+
+        if (/quote/i.test(styleName)) {
+            return { kind: 'raw', text, html: `<blockquote><p>${html}</p></blockquote>`, notes };
+        }
+        return { kind: 'paragraph', text, html, notes };
+    }
+
+    docxTable(node, context, rels) {
+        const notes = [];
+        const rows = childElements(node, 'tr').map(row => {
+            const cells = childElements(row, 'tc').map(cell => {
+                const paragraphs = this.docxBlocks(cell, context, rels);
+                paragraphs.forEach(paragraph => notes.push(...(paragraph.notes || [])));
+                return paragraphs.map(paragraph => paragraph.html).join('<br/>');
+            });
+            return `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+        });
+
+        return {
+            kind: 'raw',
+            html: `<table>${rows.join('')}</table>`,
+            text: this.htmlText(rows.join('\n').replace(/<\/td>/g, '\t')),
+            notes
+        };
+    }
+
+    /**
+     * Inline content of a paragraph (runs, hyperlinks, tracked insertions)
+     */
+    docxInline(node, context, rels, notes) {
+        let html = '';
+        for (const child of childElements(node)) {
+            const name = localName(child.name);
+            if (name === 'r') {
+                html += this.docxRun(child, context, rels, notes);
+            } else if (name === 'hyperlink') {
+                const inner = this.docxInline(child, context, rels, notes);
+                const relationship = rels.get(attr(child, 'id'));
+                const anchor = attr(child, 'anchor');
+                const href = relationship ? relationship.target : (anchor ? `#${anchor}` : null);
+                html += href ? `<a href="${escapeXml(href)}">${inner}</a>` : inner;
+            } else if (['ins', 'moveTo', 'smartTag', 'customXml', 'fldSimple'].includes(name)) {
+                html += this.docxInline(child, context, rels, notes);
+            } else if (name === 'sdt') {
+                html += this.docxInline(firstChild(child, 'sdtContent') || child, context, rels, notes);
+            } else if (name === 'oMath' || name === 'oMathPara') {
+                html += escapeXml(findAll(child, 't').map(textContent).join(''));
+            }
+            // w:del and w:moveFrom hold deleted text
+        }
+
+        // Adjacent runs with the same formatting produce </em><em>
+        for (let pass = 0; pass < 2; pass++) html = html.replace(/<\/(strong|em|u|s|sub|sup)><\1>/g, '');
+        return html;
+    }
+
+    docxRun(run, context, rels, notes) {
+        const properties = firstChild(run, 'rPr');
+        const styleId = properties ? attr(firstChild(properties, 'rStyle'), 'val') : null;
+        const format = {
+            bold: this.toggle(properties && firstChild(properties, 'b')) ?? this.styleValue(context.styles, styleId, style => style.bold) ?? false,
+            italic: this.toggle(properties && firstChild(properties, 'i')) ?? this.styleValue(context.styles, styleId, style => style.italic) ?? false,
+            underline: Boolean(properties && firstChild(properties, 'u') && attr(firstChild(properties, 'u'), 'val') !== 'none'),
+            strike: Boolean(this.toggle(properties && (firstChild(properties, 'strike') || firstChild(properties, 'dstrike')))),
+            vertical: properties ? attr(firstChild(properties, 'vertAlign'), 'val') : null
+        };
+
+        let html = '';
+        for (const child of childElements(run)) {
+            const name = localName(child.name);
+            if (name === 't') {
+                html += escapeXml(textContent(child));
+            } else if (name === 'tab' || name === 'ptab') {
+                html += '\t';
+            } else if (name === 'br' || name === 'cr') {
+                if (!attr(child, 'type') || attr(child, 'type') === 'textWrapping') html += '<br/>';
+            } else if (name === 'noBreakHyphen') {
+                html += '‑';
+            } else if (name === 'sym') {
+                const code = parseInt(attr(child, 'char') || '', 16);
+                // Symbol font glyphs live in the private use area and have no text
+                if (code && (code < 0xe000 || code > 0xf8ff)) html += escapeXml(String.fromCharCode(code));
+            } else if (name === 'drawing' || name === 'pict' || name === 'object') {
+                html += this.docxImage(child, context, rels);
+            } else if (name === 'footnoteReference' || name === 'endnoteReference') {
+                return html + this.docxNoteReference(name.replace('Reference', ''), attr(child, 'id'), context, notes);
+            }
+        }
+
+        if (!html) return '';
+        if (format.vertical === 'superscript') html = `<sup>${html}</sup>`;
+        if (format.vertical === 'subscript') html = `<sub>${html}</sub>`;
+        if (format.strike) html = `<s>${html}</s>`;
+        if (format.underline) html = `<u>${html}</u>`;
+        if (format.italic) html = `<em>${html}</em>`;
+        if (format.bold) html = `<strong>${html}</strong>`;
+        return html;
+    }
+
+    docxNoteReference(kind, id, context, notes) {
+        const note = context.notes.get(`${kind}:${id}`);
+        if (!note) return '';
+
+        const number = ++context.noteCount;
+        const paragraphs = this.docxBlocks(note.node, context, note.rels);
+        notes.push({
+            number,
+            html: paragraphs.map(paragraph => paragraph.html).join(' ').trim()
+        });
+        return `<sup><a id="fnref-${number}" href="#fn-${number}">${number}</a></sup>`;
+    }
+
+    docxImage(node, context, rels) {
+        const blip = findFirst(node, 'blip');
+        const imageData = findFirst(node, 'imagedata');
+        const relationshipId = blip ? attr(blip, 'embed') : (imageData ? attr(imageData, 'id') : null);
+        const relationship = relationshipId ? rels.get(relationshipId) : null;
+        if (!relationship) return '';
+
+        if (relationship.external) {
+            context.warnings.push(`Linked image ${relationship.target} was not imported`);
+            return '';
+        }
+
+        const partPath = relationship.target.startsWith('/')
+            ? relationship.target.slice(1)
+            : path.posix.normalize(`${context.base}/${relationship.target}`);
+        const entry = context.entries.get(partPath);
+        if (!entry) {
+            context.warnings.push(`Image ${partPath} is missing from the document`);
+            return '';
+        }
+
+        const name = `media/${path.posix.basename(partPath)}`;
+        if (!context.images.has(name)) {
+            context.images.set(name, { name, mediaType: this.mediaTypeFor(partPath), data: entry.read() });
+        }
+
+        const properties = findFirst(node, 'docPr');
+        const alt = (properties && (attr(properties, 'descr') || attr(properties, 'title'))) || '';
+        return `<img src="${escapeXml(name)}" alt="${escapeXml(alt)}"/>`;
+    }
+
+    toggle(node) {
+        if (!node) return undefined;
+        const value = attr(node, 'val');
+        return value === undefined || !['false', '0', 'off', 'none'].includes(value);
+    }
+
+    styleValue(styles, styleId, getter) {
+        let current = styleId;
+        for (let depth = 0; current && depth < 10; depth++) {
+            const style = styles.get(current);
+            if (!style) return undefined;
+            const value = getter(style);
+            if (value !== null && value !== undefined && value !== '') return value;
+            current = style.basedOn;
+        }
+        return undefined;
+    }
+
+    htmlText(html) {
+        return EpubBuilder.decodeHtmlEntities(html
+            .replace(/<sup><a id="fnref-\d+"[^>]*>\d+<\/a><\/sup>/g, '')
+            .replace(/<br\/>/g, '\n')
+            .replace(/<[^>]+>/g, ''))
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+    }
+
+    // ========== EPUB ==========
+
+    /**
+     * Read an EPUB: chapters follow the navigation document (or NCX) over
+     * the linear spine; documents without a TOC entry continue the previous chapter
+     */
+    readEpub(buffer) {
+        const entries = this.openPackage(buffer, 'EPUB');
+        const warnings = [];
+        const { opfPath, opf } = this.readEpubPackage(entries);
+        const opfDir = path.posix.dirname(opfPath);
+        const resolve = (from, href) => path.posix.normalize(path.posix.join(from === '.' ? '' : from, decodeURIComponent(href)));
+        const metadata = this.readOpfMetadata(opf);
+
+        const manifest = new Map();
+        for (const item of findAll(findFirst(opf, 'manifest'), 'item')) {
+            manifest.set(attr(item, 'id'), {
+                id: attr(item, 'id'),
+                path: resolve(opfDir, attr(item, 'href') || ''),
+                mediaType: attr(item, 'media-type') || '',
+                properties: (attr(item, 'properties') || '').split(/\s+/)
+            });
+        }
+
+        const spineNode = findFirst(opf, 'spine');
+        const spine = findAll(spineNode, 'itemref')
+            .filter(ref => attr(ref, 'linear') !== 'no')
+            .map(ref => manifest.get(attr(ref, 'idref')))
+            .filter(item => item && /html/.test(item.mediaType));
+        if (spine.length === 0) throw new Error('Invalid EPUB file: the spine lists no content documents');
+
+        let toc = this.readEpubToc(entries, manifest, spineNode, resolve);
+        if (toc.length === 1 && toc[0].children.length > 1) toc = toc[0].children;
+        const spinePaths = new Set(spine.map(item => item.path));
+        toc = toc.filter(entry => spinePaths.has(entry.path));
+
+        const images = new Map();
+        const chapters = [];
+        let current = null;
+
+        for (const item of spine) {
+            const targets = toc.filter(entry => entry.path === item.path);
+            const isNav = item.properties.includes('nav');
+            const isCover = /cover/i.test(item.id) || /cover/i.test(path.posix.basename(item.path));
+            if (targets.length === 0 && (isNav || (isCover && chapters.length === 0))) continue;
+
+            const body = this.readEpubDocument(entries, item.path, warnings);
+            if (!body) continue;
+
+            const fragmentTargets = new Map(targets.filter(entry => entry.fragment).map(entry => [entry.fragment, entry]));
+            const documentTarget = targets.find(entry => !entry.fragment);
+            const rewriteSource = (src) => {
+                if (/^[a-z]+:/i.test(src)) return src;
+                const imagePath = resolve(path.posix.dirname(item.path), src.split('#')[0]);
+                const entry = entries.get(imagePath);
+                if (!entry) return src;
+                const name = opfDir !== '.' && imagePath.startsWith(`${opfDir}/`) ? imagePath.slice(opfDir.length + 1) : imagePath;
+                if (!images.has(name)) images.set(name, { name, mediaType: this.mediaTypeFor(name), data: entry.read() });
+                return name;
+            };
+
+            const startChapter = (title) => {
+                current = { title, nodes: [], rewriteSource };
+                chapters.push(current);
+            };
+
+            if (documentTarget) {
+                startChapter(documentTarget.title);
+            } else if (toc.length === 0 || (!current && fragmentTargets.size === 0)) {
+                startChapter(this.epubDocumentTitle(body) || (toc.length === 0 ? null : 'Front Matter'));
+            }
+
+            for (const node of this.epubBlocks(body, fragmentTargets)) {
+                const starts = node.type === 'element' ? this.idsWithin(node).find(id => fragmentTargets.has(id)) : null;
+                if (starts) {
+                    startChapter(fragmentTargets.get(starts).title);
+                } else if (!current) {
+                    startChapter('Front Matter');
+                }
+                current.nodes.push({ node, rewriteSource });
+            }
+        }
+
+        const rendered = chapters
+            .map((chapter, index) => {
+                const heading = this.dropTitleHeading(chapter.nodes.map(entry => entry.node), chapter.title);
+                chapter.nodes = chapter.nodes.filter(entry => entry.node !== heading);
+                const nodes = chapter.nodes.map(entry => entry.node);
+                return {
+                    title: chapter.title || `Chapter ${index + 1}`,
+                    content: chapter.nodes.map(entry => this.toHtml(entry.node, entry.rewriteSource)).join('').trim(),
+                    text: this.toText(nodes),
+                    footnotes: 0
+                };
+            })
+            // Cover and title pages carry no text of their own
+            .filter(chapter => chapter.text || !/cover|title page/i.test(chapter.title));
+
+        return {
+            format: 'epub',
+            title: metadata.title || null,
+            author: metadata.authors.join(', ') || null,
+            language: metadata.language || null,
+            metadata,
+            structure: toc.length > 0 ? 'epub_navigation' : 'epub_spine',
+            chapters: rendered,
+            images: Array.from(images.values()),
+            footnotes: 0,
+            warnings
+        };
+    }
+
+    readEpubPackage(entries) {
+        const container = readZipText(entries, 'META-INF/container.xml');
+        if (!container) throw new Error('Invalid EPUB file: META-INF/container.xml not found');
+
+        const rootfile = findFirst(parseXml(container), 'rootfile');
+        const opfPath = rootfile && attr(rootfile, 'full-path');
+        const opfXml = opfPath && readZipText(entries, opfPath);
+        if (!opfXml) throw new Error('Invalid EPUB file: package document not found');
+
+        return { opfPath, opf: parseXml(opfXml) };
+    }
+
+    readOpfMetadata(opf) {
+        const metadataNode = findFirst(opf, 'metadata');
+        const values = (name) => findAll(metadataNode, name).map(node => textContent(node).trim()).filter(Boolean);
+
+        return {
+            title: values('title')[0] || null,
+            authors: values('creator'),
+            language: values('language')[0] || null,
+            identifier: values('identifier')[0] || null,
+            publisher: values('publisher')[0] || null,
+            description: values('description')[0] || null,
+            date: values('date')[0] || null,
+            subjects: values('subject'),
+            version: attr(opf, 'version') || null
+        };
+    }
+
+    /**
+     * Table of contents as [{ title, path, fragment, children }] from the
+     * EPUB 3 navigation document, or the NCX for EPUB 2 packages
+     */
+    readEpubToc(entries, manifest, spineNode, resolve) {
+        const items = Array.from(manifest.values());
+        const navItem = items.find(item => item.properties.includes('nav'));
+
+        if (navItem) {
+            const xml = readZipText(entries, navItem.path);
+            if (xml) {
+                const root = parseXml(this.normalizeEntities(xml));
+                const navs = findAll(root, 'nav');
+                const nav = navs.find(node => /\btoc\b/.test(attr(node, 'type') || '')) || navs[0];
+                const list = nav && firstChild(nav, 'ol');
+                const readList = (ol) => childElements(ol, 'li').map(li => {
+                    const link = firstChild(li, 'a') || firstChild(li, 'span');
+                    const [href, fragment] = (attr(link, 'href') || '').split('#');
+                    return {
+                        title: textContent(link).replace(/\s+/g, ' ').trim(),
+                        path: href ? resolve(path.posix.dirname(navItem.path), href) : null,
+                        fragment: fragment || null,
+                        children: firstChild(li, 'ol') ? readList(firstChild(li, 'ol')) : []
+                    };
+                });
+                if (list) return readList(list);
+            }
+        }
+
+        const ncxItem = manifest.get(attr(spineNode, 'toc'))
+            || items.find(item => item.mediaType === 'application/x-dtbncx+xml');
+        const ncxXml = ncxItem && readZipText(entries, ncxItem.path);
+        if (!ncxXml) return [];
+
+        const readPoints = (parent) => childElements(parent, 'navPoint').map(point => {
+            const [href, fragment] = (attr(firstChild(point, 'content'), 'src') || '').split('#');
+            return {
+                title: textContent(findFirst(firstChild(point, 'navLabel'), 'text')).replace(/\s+/g, ' ').trim(),
+                path: href ? resolve(path.posix.dirname(ncxItem.path), href) : null,
+                fragment: fragment || null,
+                children: readPoints(point)
+            };
+        });
+        return readPoints(findFirst(parseXml(ncxXml), 'navMap'));
+    }
+
+    readEpubDocument(entries, documentPath, warnings) {
+        const xml = readZipText(entries, documentPath);
+        if (!xml) {
+            warnings.push(`Spine document ${documentPath} is missing`);
+            return null;
+        }
+
+        try {
+            return findFirst(parseXml(this.normalizeEntities(xml), { preserveWhitespace: true }), 'body');
+        } catch (error) {
+            warnings.push(`Could not parse ${documentPath} (${error.message}); imported as plain text`);
+            const text = EpubBuilder.decodeHtmlEntities(EpubBuilder.stripTags(xml.replace(/<head[\s\S]*?<\/head>/i, '')));
+            return parseXml(`<body>${EpubBuilder.textToXhtml(text)}</body>`, { preserveWhitespace: true });
+        }
+    }
+
+    /**
+     * XHTML in the wild uses HTML named entities that XML does not define
+     */
+    normalizeEntities(xml) {
+        return xml.replace(/&([a-zA-Z][a-zA-Z0-9]*);/g, (match, name) =>
+            (['amp', 'lt', 'gt', 'quot', 'apos'].includes(name) ? match : EpubBuilder.decodeHtmlEntities(match)));
+    }
+
+    /**
+     * Top-level nodes of a body, descending into wrappers that contain a
+     * TOC target so chapters can start part-way through a document
+     */
+    epubBlocks(container, targets) {
+        const blocks = [];
+        for (const child of container.children || []) {
+            const tag = child.type === 'element' ? localName(child.name) : null;
+            const ids = tag ? this.idsWithin(child) : [];
+            const ownId = tag ? attr(child, 'id') : null;
+            const containsTarget = ids.some(id => targets.has(id) && id !== ownId);
+
+            if (tag && CONTAINER_ELEMENTS.has(tag) && containsTarget && !targets.has(ownId)) {
+                blocks.push(...this.epubBlocks(child, targets));
+            } else {
+                blocks.push(child);
+            }
+        }
+        return blocks;
+    }
+
+    idsWithin(node) {
+        const ids = [];
+        const visit = (current) => {
+            if (current.type !== 'element') return;
+            const id = attr(current, 'id');
+            if (id) ids.push(id);
+            (current.children || []).forEach(visit);
+        };
+        visit(node);
+        return ids;
+    }
+
+    /**
+     * Remove the heading that repeats the chapter title at the start of its
+     * content (looking inside wrapper sections), as DOCX and PDF chapters do.
+     * Returns the heading when it is one of the given nodes.
+     */
+    dropTitleHeading(nodes, title) {
+        const wanted = normalizeTitle(title);
+        let siblings = nodes;
+
+        for (let depth = 0; siblings && depth < 5; depth++) {
+            const index = siblings.findIndex(node => node.type === 'element' || node.value.trim());
+            const node = siblings[index];
+            if (!node || node.type !== 'element') return null;
+
+            const tag = localName(node.name);
+            if (/^h[1-6]$/.test(tag)) {
+                if (normalizeTitle(textContent(node)) !== wanted) return null;
+                if (depth === 0) return node;
+                siblings.splice(index, 1);
+                return null;
+            }
+            if (!CONTAINER_ELEMENTS.has(tag) && tag !== 'header') return null;
+            siblings = node.children;
+        }
+        return null;
+    }
+
+    epubDocumentTitle(body) {
+        for (const level of ['h1', 'h2', 'h3']) {
+            const heading = findFirst(body, level);
+            const text = heading ? textContent(heading).replace(/\s+/g, ' ').trim() : '';
+            if (text) return text;
+        }
+        return null;
+    }
+
+    // ========== PDF ==========
+
+    /**
+     * Read a PDF: text runs are rebuilt into lines and paragraphs; chapters
+     * come from the outline, or from headings set noticeably larger than body text
+     */
+    readPdf(buffer) {
+        let pdf;
+        try {
+            pdf = new PdfReader(buffer);
+        } catch (error) {
+            throw new Error(`Invalid PDF file: ${error.message}`);
+        }
+
+        const warnings = [];
+        const info = pdf.getInfo();
+        const pages = pdf.getPages().map((page, index) => {
+            let items = [];
+            try {
+                items = pdf.extractText(page);
+            } catch (error) {
+                warnings.push(`Could not read text on page ${index + 1}: ${error.message}`);
+            }
+            return { index, box: page.mediaBox, lines: this.pdfLines(items) };
+        });
+
+        const metadata = { ...info, pages: pages.length };
+        const result = {
+            format: 'pdf',
+            title: info.title || null,
+            author: info.author || null,
+            language: null,
+            metadata,
+            structure: 'none',
+            chapters: [],
+            images: [],
+            footnotes: 0,
+            warnings
+        };
+
+        if (!pages.some(page => page.lines.length > 0)) {
+            warnings.push('The PDF contains no extractable text; scanned pages need OCR before import');
+            return result;
+        }
+
+        this.removeRunningElements(pages);
+        const bodySize = this.bodyFontSize(pages);
+        const blocks = this.pdfBlocks(pages, bodySize);
+
+        let outline = [];
+        try {
+            outline = pdf.getOutline();
+        } catch (error) {
+            warnings.push(`Could not read the PDF outline: ${error.message}`);
+        }
+        if (outline.length === 1 && outline[0].children.length > 1) outline = outline[0].children;
+        outline = outline.filter(entry => entry.title && entry.pageIndex !== null);
+
+        if (outline.length > 0) {
+            this.applyOutline(blocks, outline);
+            result.structure = 'pdf_outline';
+        }
+
+        const titleBlock = blocks.find(block => block.kind === 'title');
+        if (!result.title && titleBlock) result.title = titleBlock.text;
+
+        const { chapters, source } = this.splitIntoChapters(blocks.filter(block => block.kind !== 'title'), warnings);
+        if (outline.length === 0) {
+            result.structure = source === 'headings' ? 'pdf_font_size' : (source === 'pattern' ? 'chapter_pattern' : 'none');
+        }
+        result.chapters = chapters;
+        return result;
+    }
+
+    /**
+     * Merge positioned text runs into lines with their formatting spans.
+     * Producers often draw text grouped by font rather than in reading
+     * order, so runs are ordered by baseline (top down) and then by x.
+     */
+    pdfLines(items) {
+        const rows = [];
+        for (const item of items.slice().sort((a, b) => b.y - a.y)) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(row.y - item.y) <= Math.max(row.size, item.size || 1) * 0.35) {
+                row.items.push(item);
+            } else {
+                rows.push({ y: item.y, size: item.size || 1, items: [item] });
+            }
+        }
+
+        // Superscripts (footnote marks) sit a little above their line's baseline
+        for (let index = rows.length - 1; index >= 0; index--) {
+            const row = rows[index];
+            const below = rows[index + 1];
+            const raised = below && row.size < below.size * 0.85
+                && row.y - below.y > 0 && row.y - below.y < below.size * 0.7;
+            if (raised) {
+                below.items.push(...row.items.map(item => ({ ...item, superscript: true })));
+                rows.splice(index, 1);
+            }
+        }
+
+        const lines = [];
+        for (const row of rows) {
+            let line = null;
+            for (const item of row.items.sort((a, b) => a.x - b.x)) {
+                const size = item.size || 1;
+                if (line) {
+                    const gap = item.x - line.end;
+                    const previous = line.spans[line.spans.length - 1];
+                    if ((gap > size * 0.15 || previous.spaceAfter) && !/\s$/.test(previous.text) && !/^\s/.test(item.text)) {
+                        previous.text += ' ';
+                    }
+                    line.spans.push({ ...item });
+                    line.end = Math.max(line.end, item.x + item.width);
+                } else {
+                    line = { y: row.y, x: item.x, end: item.x + item.width, size, spans: [{ ...item }] };
+                    lines.push(line);
+                }
+            }
+        }
+
+        return lines
+            .map(line => {
+                const weight = (predicate) => line.spans.filter(predicate).reduce((sum, span) => sum + span.text.trim().length, 0);
+                const total = weight(() => true) || 1;
+                const sizes = new Map();
+                line.spans.forEach(span => sizes.set(span.size, (sizes.get(span.size) || 0) + span.text.length));
+
+                return {
+                    ...line,
+                    text: line.spans.map(span => span.text).join('').replace(/\s+/g, ' ').trim(),
+                    size: Array.from(sizes.entries()).sort((a, b) => b[1] - a[1])[0][0],
+                    bold: weight(span => span.bold) / total > 0.5,
+                    italic: weight(span => span.italic) / total > 0.5
+                };
+            })
+            .filter(line => line.text);
+    }
+
+    /**
+     * Drop running heads, running feet and folios: short lines near the top or
+     * bottom edge that repeat across pages or are only a page number
+     */
+    removeRunningElements(pages) {
+        const isMargin = (page, line) => {
+            const [, bottom, , top] = page.box;
+            const height = top - bottom || 1;
+            return line.y > top - height * 0.1 || line.y < bottom + height * 0.1;
+        };
+        const keyOf = (line) => line.text.toLowerCase().replace(/\d+/g, '#');
+        const counts = new Map();
+
+        for (const page of pages) {
+            const keys = new Set(page.lines.filter(line => isMargin(page, line)).map(keyOf));
+            keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        }
+
+        const threshold = Math.max(2, Math.ceil(pages.length * 0.3));
+        for (const page of pages) {
+            page.lines = page.lines.filter(line => {
+                if (!isMargin(page, line) || line.text.length > 100) return true;
+                const folio = /^[\s\-–—|.]*(page\s+)?(\d+|[ivxlcdm]+)(\s+(of|z|\/)\s+\d+)?[\s\-–—|.]*$/i.test(line.text);
+                return !folio && counts.get(keyOf(line)) < threshold;
+            });
+        }
+    }
+
+    bodyFontSize(pages) {
+        const sizes = new Map();
+        for (const page of pages) {
+            for (const line of page.lines) {
+                const size = Math.round(line.size * 2) / 2;
+                sizes.set(size, (sizes.get(size) || 0) + line.text.length);
+            }
+        }
+        return Array.from(sizes.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    /**
+     * Group lines into heading and paragraph blocks. Paragraphs break on
+     * extra leading, first-line indents and short lines ending a sentence.
+     */
+    pdfBlocks(pages, bodySize) {
+        const blocks = [];
+        const gaps = [];
+        for (const page of pages) {
+            for (let i = 1; i < page.lines.length; i++) {
+                const gap = page.lines[i - 1].y - page.lines[i].y;
+                if (gap > 0 && Math.abs(page.lines[i].size - bodySize) < 0.5) gaps.push(gap);
+            }
+        }
+        gaps.sort((a, b) => a - b);
+        const leading = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : bodySize * 1.2;
+
+        const isHeading = (line) => line.text.length <= 120 && (
+            line.size >= bodySize * 1.3
+            || (line.bold && line.size >= bodySize * 1.1 && line.text.length <= 80)
+            || (CHAPTER_PATTERN.test(line.text) && line.text.length <= 60 && (line.bold || line.size > bodySize * 1.1))
+        );
+
+        let paragraph = null;
+        for (const page of pages) {
+            const bodyLines = page.lines.filter(line => Math.abs(line.size - bodySize) < 0.5);
+            const left = bodyLines.length > 0 ? Math.min(...bodyLines.map(line => line.x)) : 0;
+            const right = bodyLines.length > 0 ? Math.max(...bodyLines.map(line => line.end)) : 0;
+            let previous = null;
+
+            for (const line of page.lines) {
+                if (isHeading(line)) {
+                    const last = blocks[blocks.length - 1];
+                    const continues = last && last.kind === 'heading' && last.page === page.index
+                        && Math.abs(last.size - line.size) < 0.5 && previous && previous.y - line.y < line.size * 2.5;
+                    if (continues) {
+                        last.text += ` ${line.text}`;
+                    } else {
+                        blocks.push({ kind: 'heading', size: line.size, page: page.index, text: line.text });
+                    }
+                    paragraph = null;
+                    previous = line;
+                    continue;
+                }
+
+                const endsSentence = (text) => /[.!?…:"”»)]$/.test(text);
+                const startsNew = !paragraph
+                    || (previous === null && endsSentence(paragraph.text))
+                    || (previous !== null && (
+                        previous.y - line.y > leading * 1.4
+                        || Math.abs(previous.size - line.size) >= 0.5
+                        // First-line indent; a hanging indent follows the paragraph's own first line
+                        || (line.x - previous.x > bodySize * 0.8 && paragraph.lines > 1)
+                        || /^([•●▪◦■‣*]|\d{1,3}[.)])\s/.test(line.text)
+                        || (previous.end < right - bodySize * 4 && endsSentence(previous.text))
+                    ))
+                    || (previous === null && line.x - left > bodySize * 0.8);
+
+                if (startsNew) {
+                    paragraph = { kind: 'paragraph', page: page.index, text: '', spans: [], lines: 0 };
+                    blocks.push(paragraph);
+                }
+                this.appendLine(paragraph, line);
+                previous = line;
+            }
+        }
+
+        // Heading levels follow font size, largest first
+        const sizeOf = (block) => Math.round(block.size * 2) / 2;
+        const counts = new Map();
+        blocks.filter(block => block.kind === 'heading').forEach(block => counts.set(sizeOf(block), (counts.get(sizeOf(block)) || 0) + 1));
+        const sizes = Array.from(counts.keys()).sort((a, b) => b - a);
+
+        // A one-off size above repeated headings is the title page, not a chapter
+        while (sizes.length > 1 && counts.get(sizes[0]) === 1 && sizes.slice(1).some(size => counts.get(size) > 1)) {
+            const title = blocks.find(block => block.kind === 'heading' && sizeOf(block) === sizes[0]);
+            title.kind = 'title';
+            sizes.shift();
+        }
+
+        return blocks.map(block => {
+            if (block.kind === 'title') return { kind: 'title', page: block.page, text: block.text, html: escapeXml(block.text) };
+            if (block.kind === 'heading') {
+                return { ...block, level: sizes.indexOf(sizeOf(block)) + 1, html: escapeXml(block.text) };
+            }
+            return { kind: 'paragraph', page: block.page, text: block.text, html: this.spansToHtml(block.spans) };
+        });
+    }
+
+    appendLine(paragraph, line) {
+        paragraph.lines++;
+        const hyphenated = /\p{L}-$/u.test(paragraph.text) && /^\p{Ll}/u.test(line.text);
+        const last = paragraph.spans[paragraph.spans.length - 1];
+
+        if (hyphenated) {
+            paragraph.text = paragraph.text.slice(0, -1) + line.text;
+            last.text = last.text.replace(/-\s*$/, '');
+        } else {
+            paragraph.text = paragraph.text ? `${paragraph.text} ${line.text}` : line.text;
+            if (last) last.text = `${last.text.replace(/\s+$/, '')} `;
+        }
+
+        line.spans.forEach((span, index) => {
+            const text = index === 0 ? span.text.replace(/^\s+/, '') : span.text;
+            const previous = paragraph.spans[paragraph.spans.length - 1];
+            const superscript = Boolean(span.superscript);
+            if (previous && previous.bold === span.bold && previous.italic === span.italic && previous.superscript === superscript) {
+                previous.text += text;
+            } else {
+                paragraph.spans.push({ text, bold: span.bold, italic: span.italic, superscript });
+            }
+        });
+    }
+
+    spansToHtml(spans) {
+        return spans.map(span => {
+            const text = span.text.replace(/\s+/g, ' ');
+            if (!text.trim()) return text;
+            // Keep surrounding spaces outside the formatting tags
+            const [, before, inner, after] = /^(\s*)(.*?)(\s*)$/s.exec(text);
+            let html = escapeXml(inner);
+            if (span.superscript) html = `<sup>${html}</sup>`;
+            if (span.italic) html = `<em>${html}</em>`;
+            if (span.bold) html = `<strong>${html}</strong>`;
+            return before + html + after;
+        }).join('').trim();
+    }
+
+    /**
+     * Mark outline destinations as chapter headings: the matching heading or
+     * line on the destination page, or an inserted heading at the page start
+     */
+    applyOutline(blocks, outline) {
+        blocks.forEach(block => {
+            if (block.kind === 'heading') block.level += 1;
+        });
+
+        let searchFrom = 0;
+        for (const entry of outline) {
+            const wanted = normalizeTitle(entry.title);
+            let index = blocks.findIndex((block, position) =>
+                position >= searchFrom && block.page === entry.pageIndex
+                && (normalizeTitle(block.text) === wanted || (block.kind === 'heading' && wanted.startsWith(normalizeTitle(block.text)) && block.text.length > 2)));
+
+            if (index !== -1) {
+                Object.assign(blocks[index], { kind: 'heading', level: 1, text: entry.title, html: escapeXml(entry.title) });
+            } else {
+                index = blocks.findIndex((block, position) => position >= searchFrom && block.page >= entry.pageIndex);
+                if (index === -1) index = blocks.length;
+                blocks.splice(index, 0, { kind: 'heading', level: 1, page: entry.pageIndex, text: entry.title, html: escapeXml(entry.title) });
+            }
+            searchFrom = index + 1;
+        }
+    }
+
+    // ========== Metadata ==========
+
+    /**
+     * Package metadata only, without walking the document content
+     */
+    readDocxMetadata(buffer) {
+        const entries = this.openPackage(buffer, 'DOCX');
+        const properties = this.readDocxProperties(entries);
+        return {
+            ...properties,
+            has_footnotes: entries.has('word/footnotes.xml'),
+            image_count: Array.from(entries.keys()).filter(name => /^word\/media\//.test(name)).length
+        };
+    }
+
+    readEpubMetadata(buffer) {
+        const entries = this.openPackage(buffer, 'EPUB');
+        const { opf } = this.readEpubPackage(entries);
+        return {
+            ...this.readOpfMetadata(opf),
+            spine_items: findAll(findFirst(opf, 'spine'), 'itemref').length
+        };
+    }
+
+    readPdfMetadata(buffer) {
+        let pdf;
+        try {
+            pdf = new PdfReader(buffer);
+        } catch (error) {
+            throw new Error(`Invalid PDF file: ${error.message}`);
+        }
+        let outlineEntries = 0;
+        try {
+            outlineEntries = pdf.getOutline().length;
+        } catch (error) {
+            outlineEntries = 0;
+        }
+        return { ...pdf.getInfo(), pages: pdf.getPages().length, outline_entries: outlineEntries };
+    }
+}
+
+module.exports = new ManuscriptReaderUtil();
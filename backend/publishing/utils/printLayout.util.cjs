@@ -0,0 +1,861 @@
+/**
+ * Print Layout Utility
+ * Typesets publication chapters as a print-ready interior PDF (trim size,
+ * gutter, running heads, folios, optional bleed) and calculates cover spreads
+ */
+
+const { parseXml, childElements, localName } = require('../../utils/xml.util.cjs');
+const { PdfDocument, POINTS_PER_INCH, inches, inspectPdf } = require('../../utils/pdf.util.cjs');
+const EpubBuilder = require('./epubBuilder.util.cjs');
+
+// Trim sizes in inches
+const TRIM_SIZES = {
+    '5x8': { width: 5, height: 8 },
+    '5.06x7.81': { width: 5.06, height: 7.81 },
+    '5.25x8': { width: 5.25, height: 8 },
+    '5.5x8.5': { width: 5.5, height: 8.5 },
+    '6x9': { width: 6, height: 9 },
+    '6.14x9.21': { width: 6.14, height: 9.21 },
+    '6.69x9.61': { width: 6.69, height: 9.61 },
+    '7x10': { width: 7, height: 10 },
+    '7.5x9.25': { width: 7.5, height: 9.25 },
+    '8x10': { width: 8, height: 10 },
+    '8.5x11': { width: 8.5, height: 11 }
+};
+
+// Sheet thickness in inches per page, and the longest book each stock allows
+const PAPER_TYPES = {
+    white: { thickness: 0.002252, maxPages: 828 },
+    cream: { thickness: 0.0025, maxPages: 776 },
+    color_standard: { thickness: 0.002252, maxPages: 600 },
+    color_premium: { thickness: 0.002347, maxPages: 828 }
+};
+
+// Inside margin grows with page count so text stays clear of the binding
+const GUTTER_MARGINS = [
+    { maxPages: 150, margin: 0.375 },
+    { maxPages: 300, margin: 0.5 },
+    { maxPages: 500, margin: 0.625 },
+    { maxPages: 700, margin: 0.75 },
+    { maxPages: Infinity, margin: 0.875 }
+];
+
+const BLEED = 0.125;
+const MIN_PAGES = 24;
+const SPINE_TEXT_MIN_PAGES = 79;
+const MARGINS = { outside: 0.5, top: 0.75, bottom: 0.75 };
+const COVER_SAFE_MARGIN = 0.125;
+const BARCODE_AREA = { width: 2, height: 1.2, inset: 0.25 };
+
+// Size tolerance when checking uploaded files, in points
+const SIZE_TOLERANCE = 1;
+
+const STANDARD_FONTS = { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' };
+
+class PrintLayoutUtil {
+    // ========== Specifications ==========
+
+    getTrimSize(trimSize) {
+        const size = TRIM_SIZES[trimSize];
+        if (!size) {
+            throw new Error(`Unsupported trim size "${trimSize}" (supported: ${Object.keys(TRIM_SIZES).join(', ')})`);
+        }
+        return size;
+    }
+
+    getPaperType(paperType) {
+        const paper = PAPER_TYPES[paperType];
+        if (!paper) {
+            throw new Error(`Unsupported paper type "${paperType}" (supported: ${Object.keys(PAPER_TYPES).join(', ')})`);
+        }
+        return paper;
+    }
+
+    gutterFor(pageCount) {
+        return GUTTER_MARGINS.find(bracket => pageCount <= bracket.maxPages).margin;
+    }
+
+    spineWidth(pageCount, paperType) {
+        return this.round(pageCount * this.getPaperType(paperType).thickness);
+    }
+
+    /**
+     * Full cover dimensions (back + spine + front, with bleed) in inches,
+     * measured from the bottom left corner of the bleed area
+     */
+    calculateCoverSpread({ pageCount, trimSize, paperType = 'white' }) {
+        const trim = this.getTrimSize(trimSize);
+        const paper = this.getPaperType(paperType);
+        const pages = Number(pageCount);
+
+        if (!Number.isInteger(pages) || pages < MIN_PAGES || pages > paper.maxPages) {
+            throw new Error(`Page count must be between ${MIN_PAGES} and ${paper.maxPages} for ${paperType} paper`);
+        }
+
+        const spine = this.spineWidth(pages, paperType);
+        const width = this.round(BLEED * 2 + trim.width * 2 + spine);
+        const height = this.round(BLEED * 2 + trim.height);
+        const panel = (x, panelWidth) => ({ x: this.round(x), y: BLEED, width: panelWidth, height: trim.height });
+
+        const back = panel(BLEED, trim.width);
+        const front = panel(BLEED + trim.width + spine, trim.width);
+
+        return {
+            trimSize,
+            paperType,
+            pageCount: pages,
+            bleed: BLEED,
+            spineWidth: spine,
+            width,
+            height,
+            widthPoints: Math.round(width * POINTS_PER_INCH * 100) / 100,
+            heightPoints: Math.round(height * POINTS_PER_INCH * 100) / 100,
+            spineText: pages >= SPINE_TEXT_MIN_PAGES,
+            safeMargin: COVER_SAFE_MARGIN,
+            panels: {
+                back,
+                spine: panel(BLEED + trim.width, spine),
+                front
+            },
+            barcode: {
+                x: this.round(back.x + back.width - BARCODE_AREA.inset - BARCODE_AREA.width),
+                y: this.round(back.y + BARCODE_AREA.inset),
+                width: BARCODE_AREA.width,
+                height: BARCODE_AREA.height
+            }
+        };
+    }
+
+    /**
+     * Interior page size in inches; bleed adds to the outside edge and to the
+     * top and bottom
+     */
+    interiorPageSize(trimSize, bleed = false) {
+        const trim = this.getTrimSize(trimSize);
+        return {
+            width: this.round(trim.width + (bleed ? BLEED : 0)),
+            height: this.round(trim.height + (bleed ? BLEED * 2 : 0))
+        };
+    }
+
+    // ========== Interior ==========
+
+    /**
+     * Typeset a book interior
+     *
+     * book: { title, subtitle, authors, publisher, isbn, year,
+     *         chapters: [{ title, content, format }] }
+     * options: { trimSize, paperType, bleed, fontSize, tableOfContents,
+     *            fonts: { regular, bold, italic } (TrueType data), onProgress }
+     * Returns { buffer, size, pageCount, gutter, fontsEmbedded, warnings, ... }.
+     */
+    async buildInterior(book, options = {}) {
+        const {
+            trimSize = '6x9',
+            paperType = 'white',
+            bleed = false,
+            fontSize = 11,
+            onProgress = () => {}
+        } = options;
+        const warnings = [];
+
+        if (!book.title) throw new Error('Print interior requires a title');
+        if (!Array.isArray(book.chapters) || book.chapters.length === 0) {
+            throw new Error('Print interior requires at least one chapter');
+        }
+        if (fontSize < 8 || fontSize > 16) {
+            throw new Error('Body font size must be between 8 and 16 points');
+        }
+
+        const trim = this.getTrimSize(trimSize);
+        const paper = this.getPaperType(paperType);
+        const doc = this.createDocument(book, options.fonts, warnings);
+
+        const chapters = [];
+        for (const [index, chapter] of book.chapters.entries()) {
+            const title = chapter.title || `Chapter ${index + 1}`;
+            const xhtml = EpubBuilder.toXhtmlBody(chapter.content, chapter.format, warnings, title);
+            chapters.push({ title, blocks: this.dropRepeatedTitle(this.toBlocks(xhtml), title) });
+            await onProgress(Math.round(((index + 1) / book.chapters.length) * 40), 'chapters');
+        }
+
+        const context = {
+            doc,
+            book,
+            trimSize,
+            trim,
+            fontSize,
+            leading: Math.round(fontSize * 1.35 * 100) / 100,
+            tableOfContents: options.tableOfContents !== undefined ? options.tableOfContents : chapters.length > 1
+        };
+
+        // The gutter depends on the page count, which depends on the gutter;
+        // repeat until the bracket is stable
+        let gutter = this.gutterFor(MIN_PAGES);
+        let pages = this.paginate(context, chapters, gutter);
+        for (let attempt = 0; attempt < 3 && this.gutterFor(pages.length) !== gutter; attempt++) {
+            gutter = this.gutterFor(pages.length);
+            pages = this.paginate(context, chapters, gutter);
+        }
+        await onProgress(80, 'layout');
+
+        if (pages.length < MIN_PAGES) {
+            warnings.push(`Interior has ${pages.length} pages; print-on-demand paperbacks need at least ${MIN_PAGES}`);
+        }
+        if (pages.length > paper.maxPages) {
+            throw new Error(`Interior has ${pages.length} pages; ${paperType} paper allows at most ${paper.maxPages}`);
+        }
+
+        this.render(doc, context, pages, { gutter, bleed });
+        const buffer = doc.toBuffer();
+        await onProgress(100, 'rendered');
+
+        return {
+            buffer,
+            size: buffer.length,
+            pageCount: pages.length,
+            trimSize,
+            paperType,
+            bleed: Boolean(bleed),
+            gutter,
+            spineWidth: this.spineWidth(pages.length, paperType),
+            fontsEmbedded: doc.embedsAllFonts,
+            warnings
+        };
+    }
+
+    createDocument(book, fonts = {}, warnings) {
+        const doc = new PdfDocument({
+            Title: book.title,
+            Author: (book.authors || []).join(', ') || null,
+            Subject: book.subtitle || null,
+            Creator: book.publisher || null
+        });
+
+        for (const [style, standardName] of Object.entries(STANDARD_FONTS)) {
+            doc.addFont(style, fonts[style] || standardName);
+        }
+        if (!doc.embedsAllFonts) {
+            warnings.push('Standard fonts are not embedded; configure TrueType print fonts before uploading to a printer');
+        }
+        return doc;
+    }
+
+    /**
+     * Block list from chapter XHTML: headings, paragraphs, quotes, list
+     * items, preformatted text and scene breaks
+     */
+    toBlocks(xhtml) {
+        // Whitespace between inline elements separates words
+        const root = parseXml(`<div>${xhtml}</div>`, { preserveWhitespace: true });
+        const blocks = [];
+        this.collectBlocks(root, blocks, {});
+        return blocks;
+    }
+
+    collectBlocks(node, blocks, context) {
+        let inline = [];
+        const flushInline = () => {
+            if (inline.some(run => run.text.trim())) {
+                blocks.push({ type: 'paragraph', runs: inline, quote: context.quote });
+            }
+            inline = [];
+        };
+
+        for (const child of node.children) {
+            if (child.type === 'text') {
+                inline.push({ text: child.value, style: 'regular' });
+                continue;
+            }
+            if (child.type !== 'element') continue;
+
+            const name = localName(child.name).toLowerCase();
+            const heading = /^h([1-6])$/.exec(name);
+
+            if (heading) {
+                flushInline();
+                blocks.push({ type: 'heading', level: Number(heading[1]), runs: this.collectRuns(child, 'bold') });
+            } else if (name === 'p') {
+                flushInline();
+                blocks.push({ type: 'paragraph', runs: this.collectRuns(child, 'regular'), quote: context.quote });
+            } else if (name === 'blockquote') {
+                flushInline();
+                this.collectBlocks(child, blocks, { ...context, quote: true });
+            } else if (name === 'ul' || name === 'ol') {
+                flushInline();
+                childElements(child, 'li').forEach((item, index) => {
+                    const marker = name === 'ol' ? `${index + 1}.` : '•';
+                    blocks.push({ type: 'item', marker, runs: this.collectRuns(item, 'regular'), quote: context.quote });
+                });
+            } else if (name === 'pre') {
+                flushInline();
+                blocks.push({ type: 'preformatted', runs: this.collectRuns(child, 'regular') });
+            } else if (name === 'hr') {
+                flushInline();
+                blocks.push({ type: 'break' });
+            } else if (['div', 'section', 'article', 'header', 'footer', 'aside', 'figure'].includes(name)) {
+                flushInline();
+                this.collectBlocks(child, blocks, context);
+            } else {
+                inline.push(...this.collectRuns(child, 'regular', name));
+            }
+        }
+
+        flushInline();
+    }
+
+    /**
+     * Styled text runs of an inline element tree; <br/> becomes "\n"
+     */
+    collectRuns(node, style, name = null) {
+        const tag = name || localName(node.name).toLowerCase();
+        let current = style;
+        if (['em', 'i', 'cite', 'dfn'].includes(tag)) current = style === 'bold' ? 'bold' : 'italic';
+        if (['strong', 'b'].includes(tag)) current = 'bold';
+        if (tag === 'br') return [{ text: '\n', style }];
+
+        const runs = [];
+        for (const child of node.children) {
+            if (child.type === 'text') {
+                runs.push({ text: child.value, style: current });
+            } else if (child.type === 'element') {
+                runs.push(...this.collectRuns(child, current));
+            }
+        }
+        return runs;
+    }
+
+    dropRepeatedTitle(blocks, title) {
+        const first = blocks[0];
+        if (first && first.type === 'heading'
+            && first.runs.map(run => run.text).join('').trim().toLowerCase() === title.trim().toLowerCase()) {
+            return blocks.slice(1);
+        }
+        return blocks;
+    }
+
+    // ========== Pagination ==========
+
+    /**
+     * Pages of positioned lines; y is measured down from the top of the text block
+     */
+    paginate(context, chapters, gutter) {
+        const { trim, fontSize, leading } = context;
+        const blockWidth = inches(trim.width - gutter - MARGINS.outside);
+        const blockHeight = inches(trim.height - MARGINS.top - MARGINS.bottom);
+        const pages = [];
+
+        const newPage = (type, properties = {}) => {
+            const page = { type, lines: [], cursor: 0, ...properties };
+            pages.push(page);
+            return page;
+        };
+        const toRecto = () => {
+            if (pages.length % 2 === 1) newPage('blank');
+        };
+        const centered = (page, text, style, size, spaceAfter) => {
+            for (const line of this.breakLines(context, [{ text, style }], blockWidth, { size, align: 'center' })) {
+                page.lines.push({ ...line, y: page.cursor + size });
+                page.cursor += size * 1.3;
+            }
+            page.cursor += spaceAfter;
+        };
+
+        // Title page and copyright page
+        const titlePage = newPage('front');
+        titlePage.cursor = blockHeight * 0.25;
+        centered(titlePage, context.book.title, 'bold', fontSize * 2.2, fontSize * 1.5);
+        if (context.book.subtitle) centered(titlePage, context.book.subtitle, 'italic', fontSize * 1.4, fontSize * 3);
+        if (context.book.authors && context.book.authors.length > 0) {
+            centered(titlePage, context.book.authors.join(', '), 'regular', fontSize * 1.4, 0);
+        }
+        if (context.book.publisher) {
+            titlePage.cursor = blockHeight - fontSize * 2;
+            centered(titlePage, context.book.publisher, 'regular', fontSize, 0);
+        }
+
+        const copyrightPage = newPage('front');
+        const small = Math.max(fontSize - 2, 8);
+        copyrightPage.cursor = blockHeight - small * 1.4 * 6;
+        const notice = [
+            `Copyright © ${context.book.year || new Date().getFullYear()} ${(context.book.authors || []).join(', ')}`.trim(),
+            'All rights reserved.',
+            context.book.isbn ? `ISBN: ${context.book.isbn}` : null,
+            context.book.publisher ? `Published by ${context.book.publisher}` : null
+        ].filter(Boolean);
+        for (const text of notice) {
+            for (const line of this.breakLines(context, [{ text, style: 'regular' }], blockWidth, { size: small })) {
+                copyrightPage.lines.push({ ...line, y: copyrightPage.cursor + small });
+                copyrightPage.cursor += small * 1.4;
+            }
+        }
+
+        // Contents pages are reserved now and filled once chapter pages are known
+        const contentsPages = [];
+        const contentsHeading = fontSize * 2 + fontSize * 1.4 * 1.3 + leading * 2;
+        const contentsPerPage = Math.floor((blockHeight - contentsHeading) / leading);
+        if (context.tableOfContents) {
+            const count = Math.ceil(chapters.length / contentsPerPage);
+            toRecto();
+            for (let i = 0; i < count; i++) contentsPages.push(newPage('contents', { entries: [] }));
+        }
+
+        const chapterStarts = [];
+        for (const chapter of chapters) {
+            toRecto();
+            let page = newPage('chapter', { opening: true, chapterTitle: chapter.title });
+            chapterStarts.push(pages.length);
+
+            // Sunk chapter opening
+            page.cursor = blockHeight * 0.2;
+            centered(page, chapter.title, 'bold', fontSize * 1.8, leading * 2);
+
+            let previous = null;
+            for (const block of chapter.blocks) {
+                const lines = this.layoutBlock(context, block, previous, blockWidth);
+                previous = block;
+                if (lines.length === 0) continue;
+
+                const spaceBefore = block.type === 'heading' || block.type === 'break' || block.type === 'preformatted'
+                    ? leading
+                    : 0;
+                const keepWithNext = block.type === 'heading' ? 2 : 0;
+                let index = 0;
+
+                if (page.cursor > 0) page.cursor += spaceBefore;
+
+                while (index < lines.length) {
+                    const available = Math.floor((blockHeight - page.cursor) / leading);
+                    const remaining = lines.length - index;
+                    let take = Math.min(available, remaining);
+
+                    // No widows (a lone last line) and no orphans (a lone first line)
+                    if (take < remaining && remaining - take === 1) take -= 1;
+                    if (index === 0 && take < remaining && take < 2) take = 0;
+                    if (take === remaining && keepWithNext && available - take < keepWithNext) take = 0;
+
+                    for (const line of lines.slice(index, index + take)) {
+                        page.lines.push({ ...line, y: page.cursor + context.fontSize });
+                        page.cursor += leading;
+                    }
+                    index += take;
+
+                    if (index < lines.length) {
+                        page = newPage('chapter', { chapterTitle: chapter.title });
+                    }
+                }
+            }
+        }
+
+        // Books are printed on sheets, so the page count is always even
+        if (pages.length % 2 === 1) newPage('blank');
+
+        if (contentsPages.length > 0) {
+            contentsPages[0].cursor = fontSize * 2;
+            centered(contentsPages[0], 'Contents', 'bold', fontSize * 1.4, leading * 2);
+        }
+        chapters.forEach((chapter, index) => {
+            const contentsPage = contentsPages[Math.floor(index / contentsPerPage)];
+            if (!contentsPage) return;
+            const folio = String(chapterStarts[index]);
+            const folioWidth = context.doc.widthOf('regular', folio, fontSize);
+            const titleWidth = blockWidth - folioWidth - fontSize * 2;
+            const [line] = this.breakLines(context,
+                [{ text: this.truncate(context.doc, 'regular', chapter.title, titleWidth, fontSize), style: 'regular' }],
+                titleWidth, { size: fontSize });
+            line.runs.push({ font: 'regular', text: folio, x: blockWidth - folioWidth });
+            contentsPage.lines.push({ ...line, y: contentsPage.cursor + fontSize });
+            contentsPage.cursor += leading;
+        });
+
+        return pages;
+    }
+
+    layoutBlock(context, block, previous, width) {
+        const { fontSize } = context;
+        const indent = fontSize * 1.5;
+        const quoteIndent = block.quote ? fontSize * 2 : 0;
+
+        switch (block.type) {
+            case 'heading':
+                return this.breakLines(context, block.runs, width, {
+                    size: fontSize * (block.level <= 2 ? 1.2 : 1),
+                    align: block.level <= 2 ? 'center' : 'left'
+                });
+            case 'break':
+                return this.breakLines(context, [{ text: '*   *   *', style: 'regular' }], width, { size: fontSize, align: 'center' });
+            case 'preformatted':
+                return this.breakLines(context, block.runs, width - indent, { size: fontSize * 0.9, align: 'left', keepSpaces: true })
+                    .map(line => ({ ...line, x: line.x + indent }));
+            case 'item': {
+                const markerIndent = quoteIndent + indent;
+                return this.breakLines(context, block.runs, width - markerIndent - quoteIndent, { size: fontSize, align: 'justify' })
+                    .map((line, index) => ({
+                        ...line,
+                        x: line.x + markerIndent,
+                        runs: index === 0
+                            ? [{ font: 'regular', text: block.marker, x: -indent * 0.75 }, ...line.runs]
+                            : line.runs
+                    }));
+            }
+            default: {
+                // First paragraph after a heading or break is set flush left
+                const flush = !previous || previous.type === 'heading' || previous.type === 'break' || block.quote;
+                return this.breakLines(context, block.runs, width - quoteIndent * 2, {
+                    size: fontSize,
+                    align: 'justify',
+                    firstIndent: flush ? 0 : indent
+                }).map(line => ({ ...line, x: line.x + quoteIndent }));
+            }
+        }
+    }
+
+    /**
+     * Greedy line breaking of styled runs
+     *
+     * Returns lines of { x, size, width, runs: [{ font, text, x }] } where run x
+     * is relative to the line start; justified lines spread the word gaps.
+     */
+    breakLines(context, runs, width, options = {}) {
+        const { size = context.fontSize, align = 'left', firstIndent = 0, keepSpaces = false } = options;
+        const { doc } = context;
+        const space = doc.widthOf('regular', ' ', size);
+        const words = this.toWords(runs, keepSpaces);
+        const lines = [];
+        let current = [];
+        let currentWidth = 0;
+
+        const measure = (word) => word.pieces.reduce((sum, piece) => sum + doc.widthOf(piece.font, piece.text, size), 0);
+        const available = () => width - (lines.length === 0 ? firstIndent : 0);
+        const finish = (last) => {
+            if (current.length === 0) return;
+            const indent = lines.length === 0 ? firstIndent : 0;
+            const gaps = current.length - 1;
+            const slack = available() - currentWidth;
+            const stretch = align === 'justify' && !last && gaps > 0 ? slack / gaps : 0;
+            const offset = align === 'center' ? slack / 2 : (align === 'right' ? slack : 0);
+
+            const lineRuns = [];
+            let x = indent + Math.max(offset, 0);
+            for (const word of current) {
+                for (const piece of word.pieces) {
+                    lineRuns.push({ font: piece.font, text: piece.text, x });
+                    x += doc.widthOf(piece.font, piece.text, size);
+                }
+                x += space + stretch;
+            }
+            lines.push({ x: 0, size, width: currentWidth, runs: lineRuns });
+            current = [];
+            currentWidth = 0;
+        };
+
+        for (const word of words) {
+            if (word.pieces.length > 0) {
+                let wordWidth = measure(word);
+
+                if (current.length > 0 && currentWidth + space + wordWidth > available()) {
+                    finish(false);
+                }
+
+                // Split words longer than a whole line
+                while (current.length === 0 && wordWidth > available() && word.pieces.some(piece => piece.text.length > 1)) {
+                    const [head, tail] = this.splitWord(doc, word, available(), size);
+                    current.push(head);
+                    currentWidth = measure(head);
+                    finish(false);
+                    word.pieces = tail.pieces;
+                    wordWidth = measure(word);
+                }
+
+                currentWidth += (current.length > 0 ? space : 0) + wordWidth;
+                current.push(word);
+            }
+            if (word.lineBreak) finish(true);
+        }
+        finish(true);
+
+        return lines;
+    }
+
+    /**
+     * Words as lists of styled pieces (a word can change style mid-way)
+     */
+    toWords(runs, keepSpaces) {
+        const words = [];
+        let word = { pieces: [] };
+
+        for (const run of runs) {
+            const font = run.style === 'bold' || run.style === 'italic' ? run.style : 'regular';
+            const text = String(run.text).replace(/\r/g, '');
+            const tokens = keepSpaces ? text.split(/(\n)/) : text.split(/(\s+)/);
+
+            for (const token of tokens) {
+                if (token === '') continue;
+                if (keepSpaces ? token === '\n' : /^\s+$/.test(token)) {
+                    word.lineBreak = token.includes('\n') && (keepSpaces || run.text === '\n');
+                    words.push(word);
+                    word = { pieces: [] };
+                } else {
+                    word.pieces.push({ font, text: keepSpaces ? token.replace(/\t/g, '    ') : token });
+                }
+            }
+        }
+        words.push(word);
+
+        return words;
+    }
+
+    splitWord(doc, word, width, size) {
+        const head = { pieces: [] };
+        let used = 0;
+        const pieces = [...word.pieces];
+
+        while (pieces.length > 0) {
+            const piece = pieces.shift();
+            let text = '';
+            for (const char of piece.text) {
+                const charWidth = doc.widthOf(piece.font, char, size);
+                if (used + charWidth > width && (head.pieces.length > 0 || text)) {
+                    if (text) head.pieces.push({ font: piece.font, text });
+                    const rest = piece.text.slice(text.length);
+                    return [head, { pieces: [{ font: piece.font, text: rest }, ...pieces] }];
+                }
+                text += char;
+                used += charWidth;
+            }
+            head.pieces.push({ font: piece.font, text });
+        }
+        return [head, { pieces: [] }];
+    }
+
+    // ========== Rendering ==========
+
+    /**
+     * Draw the paginated lines; odd page numbers are recto (gutter on the left)
+     */
+    render(doc, context, pages, { gutter, bleed }) {
+        const { trim, fontSize, book } = context;
+        const bleedPoints = bleed ? inches(BLEED) : 0;
+        const pageSize = this.interiorPageSize(context.trimSize, bleed);
+        const trimWidth = inches(trim.width);
+        const trimHeight = inches(trim.height);
+        const blockWidth = inches(trim.width - gutter - MARGINS.outside);
+        const headerSize = Math.max(fontSize - 2, 7);
+
+        pages.forEach((page, index) => {
+            const number = index + 1;
+            const recto = number % 2 === 1;
+            // Bleed is added on the outside edge, which is on the left of a verso
+            const trimLeft = recto ? 0 : bleedPoints;
+            const width = inches(pageSize.width);
+            const height = inches(pageSize.height);
+
+            const pdfPage = doc.addPage({
+                width,
+                height,
+                trimBox: [trimLeft, bleedPoints, trimLeft + trimWidth, bleedPoints + trimHeight],
+                bleedBox: [0, 0, width, height]
+            });
+
+            const blockLeft = trimLeft + inches(recto ? gutter : MARGINS.outside);
+            const blockTop = bleedPoints + trimHeight - inches(MARGINS.top);
+
+            for (const line of page.lines) {
+                pdfPage.textRuns(line.size, blockLeft + line.x, blockTop - line.y, line.runs);
+            }
+
+            if (page.type !== 'chapter') return;
+
+            if (!page.opening) {
+                const header = recto ? page.chapterTitle : book.title;
+                const [line] = this.breakLines(context, [{ text: this.truncate(doc, 'italic', header, blockWidth, headerSize), style: 'italic' }],
+                    blockWidth, { size: headerSize, align: 'center' });
+                pdfPage.textRuns(headerSize, blockLeft, blockTop + inches(MARGINS.top) * 0.45, line.runs);
+            }
+
+            const folio = String(number);
+            const folioWidth = doc.widthOf('regular', folio, headerSize);
+            pdfPage.text('regular', headerSize, blockLeft + (blockWidth - folioWidth) / 2,
+                bleedPoints + inches(MARGINS.bottom) * 0.45, folio);
+        });
+    }
+
+    truncate(doc, font, text, width, size) {
+        if (doc.widthOf(font, text, size) <= width) return text;
+        let shortened = text;
+        while (shortened.length > 1 && doc.widthOf(font, `${shortened}…`, size) > width) {
+            shortened = shortened.slice(0, -1);
+        }
+        return `${shortened.trimEnd()}…`;
+    }
+
+    // ========== Cover ==========
+
+    /**
+     * Build a full cover (back, spine and front) for a calculated spread
+     *
+     * book: { title, subtitle, authors, description }
+     * options: { frontImage (JPEG/PNG), backgroundColor [r, g, b], fonts }
+     */
+    buildCoverSpread(book, spec, options = {}) {
+        const warnings = [];
+        const doc = this.createDocument(book, options.fonts, warnings);
+        const background = options.backgroundColor || [1, 1, 1];
+        const ink = background.reduce((sum, value) => sum + value, 0) / 3 < 0.5 ? [1, 1, 1] : [0, 0, 0];
+        const point = value => inches(value);
+
+        const width = point(spec.width);
+        const height = point(spec.height);
+        const page = doc.addPage({
+            width,
+            height,
+            trimBox: [point(spec.bleed), point(spec.bleed), width - point(spec.bleed), height - point(spec.bleed)],
+            bleedBox: [0, 0, width, height]
+        });
+        page.rect(0, 0, width, height, background).fillColor(ink);
+
+        const { back, spine, front } = spec.panels;
+        const context = { doc, fontSize: 11 };
+
+        // Front: the cover art fills the front panel and its bleed
+        if (options.frontImage) {
+            const image = doc.addImage('front', options.frontImage);
+            const area = { x: point(front.x), y: 0, width: width - point(front.x), height };
+            const scale = Math.max(area.width / image.width, area.height / image.height);
+            const drawWidth = image.width * scale;
+            const drawHeight = image.height * scale;
+
+            if (Math.abs(image.width / image.height - area.width / area.height) > 0.05) {
+                warnings.push('Front cover image aspect ratio differs from the trim size; it will be cropped');
+            }
+            page.clip(area.x, area.y, area.width, area.height)
+                .image('front', area.x + (area.width - drawWidth) / 2, area.y + (area.height - drawHeight) / 2, drawWidth, drawHeight)
+                .restore();
+        } else {
+            const titleSize = 28;
+            const frontWidth = point(front.width - spec.safeMargin * 4);
+            let y = point(front.y + front.height * 0.7);
+            for (const line of this.breakLines(context, [{ text: book.title, style: 'bold' }], frontWidth, { size: titleSize, align: 'center' })) {
+                page.textRuns(titleSize, point(front.x + spec.safeMargin * 2), y, line.runs);
+                y -= titleSize * 1.2;
+            }
+            if (book.authors && book.authors.length > 0) {
+                const [line] = this.breakLines(context, [{ text: book.authors.join(', '), style: 'regular' }], frontWidth, { size: 16, align: 'center' });
+                page.textRuns(16, point(front.x + spec.safeMargin * 2), point(front.y + front.height * 0.2), line.runs);
+            }
+            warnings.push('No front cover image; a text-only front cover was generated');
+        }
+
+        // Spine: title and author read top to bottom
+        if (spec.spineText) {
+            const spineText = [book.title, (book.authors || []).join(', ')].filter(Boolean).join('  ·  ');
+            const available = point(spine.height - spec.safeMargin * 4);
+            const size = Math.min(point(spine.width) * 0.55, 14);
+            const textWidth = doc.widthOf('bold', spineText, size);
+
+            if (textWidth > available) {
+                warnings.push('Spine text is longer than the spine and was left off');
+            } else {
+                page.rotatedText('bold', size, point(spine.x + spine.width / 2) + size * 0.35,
+                    point(spine.y + spine.height / 2) + textWidth / 2, spineText, -90);
+            }
+        }
+
+        // Back: description, kept clear of the barcode area
+        if (book.description) {
+            const text = EpubBuilder.decodeHtmlEntities(EpubBuilder.stripTags(String(book.description)));
+            const left = point(back.x + spec.safeMargin * 3);
+            const textWidth = point(back.width - spec.safeMargin * 6);
+            const floor = point(spec.barcode.y + spec.barcode.height + spec.safeMargin);
+            let y = point(back.y + back.height - spec.safeMargin * 4);
+            let truncated = false;
+
+            for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+                for (const line of this.breakLines(context, [{ text: paragraph, style: 'regular' }], textWidth, { size: 11, align: 'justify' })) {
+                    if (y < floor) {
+                        truncated = true;
+                        break;
+                    }
+                    page.textRuns(11, left, y, line.runs);
+                    y -= 11 * 1.35;
+                }
+                y -= 11 * 0.6;
+            }
+            if (truncated) warnings.push('Back cover description did not fit and was shortened');
+        }
+
+        const buffer = doc.toBuffer();
+        return { buffer, size: buffer.length, spec, fontsEmbedded: doc.embedsAllFonts, warnings };
+    }
+
+    // ========== Checks ==========
+
+    /**
+     * Check an interior PDF against the trim size and bleed setting
+     */
+    checkInterior(buffer, { trimSize, bleed = false, paperType = 'white' }) {
+        const errors = [];
+        let info;
+        try {
+            info = inspectPdf(buffer);
+        } catch (error) {
+            return { valid: false, errors: [error.message], pageCount: null };
+        }
+
+        const expected = this.interiorPageSize(trimSize, bleed);
+        this.checkBox(info.mediaBox, expected, 'Interior page size', errors);
+
+        if (info.pageCount !== null) {
+            const paper = this.getPaperType(paperType);
+            if (info.pageCount < MIN_PAGES || info.pageCount > paper.maxPages) {
+                errors.push(`Interior has ${info.pageCount} pages; ${paperType} paper requires ${MIN_PAGES}-${paper.maxPages}`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors, pageCount: info.pageCount };
+    }
+
+    /**
+     * Check a cover PDF against the spread calculated for the interior
+     */
+    checkCover(buffer, { pageCount, trimSize, paperType = 'white' }) {
+        const errors = [];
+        let info;
+        try {
+            info = inspectPdf(buffer);
+        } catch (error) {
+            return { valid: false, errors: [error.message], spec: null };
+        }
+
+        const spec = this.calculateCoverSpread({ pageCount, trimSize, paperType });
+        this.checkBox(info.mediaBox, spec, 'Cover size', errors);
+        if (info.pageCount !== null && info.pageCount !== 1) {
+            errors.push(`Cover must be a single page (found ${info.pageCount})`);
+        }
+
+        return { valid: errors.length === 0, errors, spec };
+    }
+
+    checkBox(box, expected, label, errors) {
+        if (!box) {
+            errors.push(`${label} could not be read`);
+            return;
+        }
+
+        const width = (box[2] - box[0]) / POINTS_PER_INCH;
+        const height = (box[3] - box[1]) / POINTS_PER_INCH;
+        const tolerance = SIZE_TOLERANCE / POINTS_PER_INCH;
+        if (Math.abs(width - expected.width) > tolerance || Math.abs(height - expected.height) > tolerance) {
+            errors.push(`${label} is ${this.round(width)}" x ${this.round(height)}"; expected ${expected.width}" x ${expected.height}"`);
+        }
+    }
+
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+module.exports = new PrintLayoutUtil();
+module.exports.TRIM_SIZES = TRIM_SIZES;
+module.exports.PAPER_TYPES = PAPER_TYPES;
+module.exports.BLEED = BLEED;
@@ -0,0 +1,76 @@
+const { merge3 } = require('../utils/diff.util.cjs');
+
+const base = ['Chapter One', 'It was a dark night.', 'The rain fell.', 'Nobody came.'];
+
+const merged = (regions) => regions.flatMap(region => region.items);
+const conflicts = (regions) => regions.filter(region => region.conflict);
+
+describe('Three-way merge', () => {
+  test('combines edits to different lines without conflicts', () => {
+    const ours = ['Chapter 1', 'It was a dark night.', 'The rain fell.', 'Nobody came.'];
+    const theirs = ['Chapter One', 'It was a dark night.', 'The rain fell.', 'Somebody came.'];
+
+    const regions = merge3(base, ours, theirs);
+
+    expect(conflicts(regions)).toEqual([]);
+    expect(merged(regions)).toEqual(['Chapter 1', 'It was a dark night.', 'The rain fell.', 'Somebody came.']);
+    expect(regions.filter(region => region.stable).map(region => region.baseStart)).toEqual([1]);
+  });
+
+  test('takes an edit made identically on both sides once', () => {
+    const edited = ['Chapter One', 'It was a stormy night.', 'The rain fell.', 'Nobody came.'];
+
+    const regions = merge3(base, edited, [...edited]);
+
+    expect(conflicts(regions)).toEqual([]);
+    expect(merged(regions)).toEqual(edited);
+  });
+
+  test('flags overlapping different edits as a conflict', () => {
+    const ours = ['Chapter One', 'It was a stormy night.', 'The rain fell.', 'Nobody came.'];
+    const theirs = ['Chapter One', 'It was a quiet night.', 'The rain stopped.', 'Nobody came.'];
+
+    const regions = merge3(base, ours, theirs);
+    const [conflict] = conflicts(regions);
+
+    expect(conflicts(regions)).toHaveLength(1);
+    expect(conflict).toMatchObject({
+      baseStart: 1,
+      oursStart: 1,
+      theirsStart: 1,
+      base: ['It was a dark night.', 'The rain fell.'],
+      ours: ['It was a stormy night.', 'The rain fell.'],
+      theirs: ['It was a quiet night.', 'The rain stopped.']
+    });
+    expect(conflict).not.toHaveProperty('items');
+  });
+
+  test('keeps a single side appending at the end of the text', () => {
+    const theirs = [...base, 'The end.'];
+
+    const regions = merge3(base, [...base], theirs);
+
+    expect(conflicts(regions)).toEqual([]);
+    expect(merged(regions)).toEqual(theirs);
+  });
+
+  test('treats different insertions at the end of the text as a conflict', () => {
+    const regions = merge3(base, [...base, 'The end.'], [...base, 'To be continued.']);
+    const [conflict] = conflicts(regions);
+
+    expect(merged(regions.slice(0, -1))).toEqual(base);
+    expect(conflict).toMatchObject({ baseStart: 4, base: [], ours: ['The end.'], theirs: ['To be continued.'] });
+    expect(merge3(base, [...base, 'The end.'], [...base, 'The end.']).every(region => !region.conflict)).toBe(true);
+  });
+
+  test('compares items through the key function', () => {
+    const ours = ['Chapter One', 'It was a  dark night. ', 'The rain fell.', 'Nobody came.'];
+    const theirs = ['Chapter One', 'It was a dark night.', 'The rain fell.', 'Nobody came!'];
+    const normalize = (line) => line.replace(/\s+/g, ' ').trim();
+
+    const regions = merge3(base, ours, theirs, normalize);
+
+    expect(conflicts(regions)).toEqual([]);
+    expect(merged(regions)).toEqual(['Chapter One', 'It was a dark night.', 'The rain fell.', 'Nobody came!']);
+  });
+});
@@ -0,0 +1,136 @@
+const path = require('path');
+const DsrParser = require('../music/utils/dsrParser.util.cjs');
+
+// Spotify DSR (Basic Audio Profile) for March 2026: an album block and a single block
+const DSR_FILE = path.join(__dirname, 'fixtures', 'dsr', 'spotify-basic-audio.tsv');
+
+const jobData = { platform: 'spotify', report_date: '2026-04-05' };
+
+async function parse(report) {
+  const records = [];
+  for await (const record of DsrParser.iterateRecords(report, jobData)) {
+    records.push(record);
+  }
+  return records;
+}
+
+const bufferReport = (rows) => ({ source: 'buffer', buffer: Buffer.from(rows.map(row => row.join('\t')).join('\n')) });
+
+// Revenue as stored in royalty_lines (DECIMAL(14,6)), summed to the cent
+const centsOf = (records) => Math.round(records.reduce((sum, record) => sum + Number(record.revenue.toFixed(6)), 0) * 100);
+
+describe('DSR flat file', () => {
+  let records;
+
+  beforeAll(async () => {
+    records = await parse({ source: 'file', filePath: DSR_FILE });
+  });
+
+  test('yields one record per usage record in file order', () => {
+    expect(records.map(record => record.sales_transaction_id)).toEqual(['TX-1', 'TX-2', 'TX-3', 'TX-4', 'TX-5']);
+    expect(records.every(record => record.platform === 'spotify' && record.report_date === '2026-04-05')).toBe(true);
+  });
+
+  test('maps the release and resource of a usage record', () => {
+    expect(records[0]).toEqual({
+      platform: 'spotify',
+      track_title: 'Midnight',
+      artist_name: 'Night Drive, Sam Lee',
+      album_name: 'Night Drive',
+      isrc: 'USSL12600001',
+      upc: '0602445123456',
+      territory: 'SE',
+      streams: 1,
+      revenue: 10 / 7,
+      currency: 'EUR',
+      period_start: '2026-03-01',
+      period_end: '2026-03-31',
+      report_date: '2026-04-05',
+      product_type: 'stream',
+      commercial_model: 'AdvertisementSupportedModel',
+      duration: 205,
+      dsp_resource_id: 'SPTRK001',
+      dsp_release_id: 'SPALB001',
+      sales_transaction_id: 'TX-1'
+    });
+  });
+
+  test('matches resources and releases by DSP identifier', () => {
+    expect(records[1]).toMatchObject({ track_title: 'Headlights', isrc: 'USSL12600002', dsp_release_id: 'SPALB001', duration: 179 });
+  });
+
+  test('lets the usage record override the summary context', () => {
+    expect(records[2]).toMatchObject({ territory: 'AT', streams: 2500, revenue: 6.25, commercial_model: 'SubscriptionModel' });
+  });
+
+  test('reports release-level sales against the release', () => {
+    expect(records[3]).toMatchObject({
+      track_title: 'Night Drive',
+      isrc: null,
+      upc: '0602445123456',
+      product_type: 'download',
+      revenue: 7.99,
+      duration: null,
+      dsp_resource_id: null
+    });
+  });
+
+  test('uses the only resource of a block and keeps escaped separators', () => {
+    expect(records[4]).toMatchObject({
+      track_title: 'Tour|Bus',
+      artist_name: 'Tour|Bus',
+      album_name: 'Tour|Bus',
+      isrc: 'USSL12600003',
+      upc: '0602445654321',
+      duration: 240
+    });
+  });
+
+  test('allocates summary revenue pro rata by usages', () => {
+    const allocated = records.filter(record => record.commercial_model === 'AdvertisementSupportedModel');
+
+    expect(allocated.map(record => record.streams)).toEqual([1, 2, 4]);
+    expect(allocated[1].revenue).toBeCloseTo(2 * allocated[0].revenue, 10);
+    expect(allocated[2].revenue).toBeCloseTo(4 * allocated[0].revenue, 10);
+    expect(centsOf(allocated)).toBe(1000);
+  });
+});
+
+describe('DSR pro-rata revenue', () => {
+  const HEAD = ['HEAD', 'dsrf/3.0', 'BasicAudioProfile', '1.2', 'MSG-1', '', '1', '1', '2026-03-01', '2026-03-31'];
+  const summary = (revenue, usages) => ['SY01', 'SR1', 'Spotify', '', 'SubscriptionModel', 'OnDemandStream', 'US', '', usages, '', 'USD', revenue];
+  const resource = (block, isrc) => ['AS01', block, 'A1', '', isrc, `Track ${block}`, '', 'Artist', '', 'PT3M', 'SoundRecording'];
+  const usage = (block, usages) => ['SU01', block, 'SR1', `TX-${block}`, 'A1', '', '', '', '', '', '', '', usages];
+
+  test.each([
+    ['0.10', ['1', '1', '1']],
+    ['100.00', ['3', '3', '1']],
+    ['1234.57', ['17', '5', '999', '1', '61']],
+    ['0.01', ['2', '1']]
+  ])('adds back to a summary of %s', async (revenue, usages) => {
+    const total = usages.reduce((sum, count) => sum + Number(count), 0);
+    const rows = [HEAD, summary(revenue, String(total))];
+    usages.forEach((count, index) => {
+      const block = `B${index + 1}`;
+      rows.push(resource(block, `USAAA260000${index}`), usage(block, count));
+    });
+
+    const records = await parse(bufferReport(rows));
+
+    expect(records).toHaveLength(usages.length);
+    expect(centsOf(records)).toBe(Math.round(Number(revenue) * 100));
+  });
+
+  test('reads column order from header rows', async () => {
+    const records = await parse(bufferReport([
+      HEAD,
+      summary('9.00', '3'),
+      resource('B1', 'USAAA2600001'),
+      ['#SU01', 'BlockId', 'Usages', 'SummaryRecordId', 'ResourceReference'],
+      ['SU01', 'B1', '2', 'SR1', 'A1']
+    ]));
+
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ track_title: 'Track B1', streams: 2, revenue: 6, currency: 'USD', territory: 'US' });
+  });
+});
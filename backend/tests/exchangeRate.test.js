@@ -0,0 +1,193 @@
+const path = require('path');
+const db = require('../db.cjs');
+const ExchangeRateService = require('../music/services/exchangeRate.service.cjs');
+const EcbRateSource = require('../music/integrations/exchangeRates/ecb.source.cjs');
+const CurrencyUtil = require('../music/utils/currency.util.cjs');
+
+// ECB history feed: Thu 2026-02-26, Fri 2026-02-27 and Mon 2026-03-02, newest first
+const ECB_FILE = path.join(__dirname, 'fixtures/exchangeRates/eurofxref-hist.xml');
+
+const shiftDate = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * In-memory exchange_rates table answering the service's upsert and range select
+ */
+function createRateStore() {
+  const rows = new Map();
+
+  const query = vi.fn(async (sql, params = []) => {
+    if (/INSERT INTO exchange_rates/.test(sql)) {
+      const [dates, bases, currencies, rates, source] = params;
+      dates.forEach((date, index) => {
+        rows.set(`${date}|${bases[index]}|${currencies[index]}`, {
+          rate_date: date,
+          base_currency: bases[index],
+          currency: currencies[index],
+          rate: String(rates[index]),
+          source
+        });
+      });
+      return { rows: [], rowCount: dates.length };
+    }
+    if (/FROM exchange_rates/.test(sql)) {
+      const [start, end, lookback] = params;
+      const from = shiftDate(start, -lookback);
+      return {
+        rows: [...rows.values()]
+          .filter(row => row.rate_date >= from && row.rate_date <= end)
+          .sort((a, b) => a.rate_date.localeCompare(b.rate_date))
+      };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return { query, rows };
+}
+
+const line = (currency, revenue, overrides = {}) => ({ currency, revenue, ...overrides });
+
+describe('ECB rate source', () => {
+  const source = new EcbRateSource();
+
+  test('reads publication days oldest first with the euro as base', async () => {
+    const days = await source.fetchRates({ file: ECB_FILE });
+
+    expect(days.map(day => day.date)).toEqual(['2026-02-26', '2026-02-27', '2026-03-02']);
+    expect(days.every(day => day.base === 'EUR' && day.rates.EUR === 1)).toBe(true);
+    expect(days[1].rates).toEqual({ EUR: 1, USD: 1.08, JPY: 162, GBP: 0.85, CHF: 0.94 });
+  });
+
+  test('skips unpublished rates and days without rates', () => {
+    const days = source.parse(`
+      <Cube>
+        <Cube time="2026-03-03"><Cube currency="USD" rate="1.0910"/><Cube currency="RUB" rate="0"/></Cube>
+        <Cube time="2026-03-04"><Cube currency="USD" rate=""/></Cube>
+        <Cube time="03/05/2026"><Cube currency="USD" rate="1.0920"/></Cube>
+      </Cube>
+    `);
+
+    expect(days).toEqual([{ date: '2026-03-03', base: 'EUR', rates: { EUR: 1, USD: 1.091 } }]);
+  });
+
+  test('rejects a feed without rates', () => {
+    expect(() => source.parse('<html><body>Service unavailable</body></html>')).toThrow('No exchange rates found in ECB feed');
+  });
+});
+
+describe('Exchange rate lookup', () => {
+  let store;
+
+  beforeEach(() => {
+    CurrencyUtil.historicalRates.clear();
+    store = createRateStore();
+    vi.spyOn(db, 'query').mockImplementation(store.query);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('stores every published rate except the base', async () => {
+    const summary = await ExchangeRateService.importRates({ source: 'ecb', file: ECB_FILE });
+
+    expect(summary).toEqual({ source: 'ecb', days: 3, rates: 10, firstDate: '2026-02-26', lastDate: '2026-03-02' });
+    expect([...store.rows.values()].some(row => row.currency === 'EUR')).toBe(false);
+    expect(store.rows.get('2026-02-27|EUR|CHF')).toMatchObject({ rate: '0.94', source: 'ecb' });
+  });
+
+  test('resolves a weekend to the rate of the Friday before', async () => {
+    await ExchangeRateService.importRates({ file: ECB_FILE });
+    CurrencyUtil.historicalRates.clear();
+
+    for (const date of ['2026-02-28', '2026-03-01']) {
+      await ExchangeRateService.loadRates(date);
+      expect(CurrencyUtil.getRateInfo('EUR', 'USD', date)).toEqual({ rate: 1.08, rate_date: '2026-02-27', source: 'ecb' });
+    }
+    await ExchangeRateService.loadRates('2026-03-02');
+    expect(CurrencyUtil.getRateInfo('EUR', 'USD', '2026-03-02').rate_date).toBe('2026-03-02');
+  });
+
+  test('crosses two foreign currencies through the base', async () => {
+    await ExchangeRateService.importRates({ file: ECB_FILE });
+
+    expect(CurrencyUtil.getRateInfo('GBP', 'USD', '2026-02-27').rate).toBeCloseTo(1.08 / 0.85, 10);
+    expect(CurrencyUtil.getRateInfo('JPY', 'GBP', '2026-02-27').rate).toBeCloseTo(0.85 / 162, 10);
+  });
+
+  test('looks back no further than the lookback window', async () => {
+    await ExchangeRateService.importRates({ file: ECB_FILE });
+    const lastCovered = shiftDate('2026-03-02', CurrencyUtil.maxRateLookbackDays);
+
+    expect(CurrencyUtil.findHistoricalRates(lastCovered).date).toBe('2026-03-02');
+    expect(CurrencyUtil.findHistoricalRates(shiftDate(lastCovered, 1))).toBeNull();
+    expect(() => CurrencyUtil.getRateInfo('EUR', 'USD', '2026-02-25')).toThrow('No EUR/USD exchange rate on or before 2026-02-25');
+  });
+});
+
+describe('Royalty line conversion', () => {
+  let store;
+  const period = { start: '2026-02-01', end: '2026-02-28' };
+
+  beforeEach(async () => {
+    CurrencyUtil.historicalRates.clear();
+    store = createRateStore();
+    vi.spyOn(db, 'query').mockImplementation(store.query);
+    // Rates come from the stored table only; the feeds are not reachable
+    vi.spyOn(EcbRateSource.prototype, 'readFeed').mockRejectedValue(new Error('getaddrinfo ENOTFOUND www.ecb.europa.eu'));
+
+    await store.query('INSERT INTO exchange_rates', [
+      ['2026-01-30', '2026-02-02', '2026-02-27', '2026-02-27', '2026-02-27'],
+      ['EUR', 'EUR', 'EUR', 'EUR', 'EUR'],
+      ['USD', 'USD', 'USD', 'JPY', 'GBP'],
+      [1.02, 1.04, 1.08, 162, 0.85],
+      'ecb'
+    ]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('converts at the rate of the last business day of the period', async () => {
+    const lines = [line('USD', 12.5), line('EUR', 100), line('JPY', 16200, { period_end: '2026-03-01' })];
+
+    const used = await ExchangeRateService.convertLines(lines, period);
+
+    expect(lines[0]).toMatchObject({ usd_revenue: 12.5, fx_rate: 1, fx_rate_date: null, fx_source: null });
+    expect(lines[1]).toMatchObject({ fx_rate: 1.08, fx_rate_date: '2026-02-27', fx_source: 'ecb' });
+    expect(lines[1].usd_revenue).toBeCloseTo(108, 10);
+    expect(lines[2].usd_revenue).toBeCloseTo(108, 10);
+    expect(lines[2].fx_rate_date).toBe('2026-02-27');
+    expect(used.map(rate => `${rate.currency}:${rate.rate_date}`)).toEqual(['EUR:2026-02-27', 'JPY:2026-02-27']);
+  });
+
+  test('uses the period start on that basis, falling back to the ingestion period', async () => {
+    const lines = [line('EUR', 100, { period_start: '2026-02-02' }), line('EUR', 50)];
+
+    await ExchangeRateService.convertLines(lines, period, 'period_start');
+
+    expect(lines.map(item => [item.usd_revenue, item.fx_rate_date])).toEqual([[104, '2026-02-02'], [51, '2026-01-30']]);
+  });
+
+  test('rejects lines without a stored or importable rate', async () => {
+    const lines = [line('EUR', 100), line('EUR', 100, { period_end: '2025-12-31' }), line('GBP', 100, { period_end: '2026-01-15' })];
+
+    await expect(ExchangeRateService.convertLines(lines, period))
+      .rejects.toThrow('Exchange rates missing for 2025-12-31, 2026-01-15; import rates for the reporting period first');
+    expect(EcbRateSource.prototype.readFeed).toHaveBeenCalled();
+    expect(lines.some(item => 'usd_revenue' in item)).toBe(false);
+  });
+
+  test('leaves USD-only reports alone', async () => {
+    const lines = [line('USD', 10, { period_end: '2025-12-31' })];
+
+    await ExchangeRateService.convertLines(lines, period);
+
+    expect(lines[0].usd_revenue).toBe(10);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
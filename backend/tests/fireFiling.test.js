@@ -0,0 +1,126 @@
+const FireFiling = require('../music/integrations/taxFilings/fire.filing.cjs');
+
+const { AMOUNT_CODES } = FireFiling;
+
+// Positions as listed in IRS Publication 1220 (1-based, inclusive length)
+const field = (record, start, length) => record.slice(start - 1, start - 1 + length);
+
+const filing = (options = {}) => new FireFiling({
+  transmitter: {
+    tin: '12-3456789',
+    tcc: '5a1b2',
+    name: 'Sonic Label LLC',
+    address: '100 Main Street',
+    city: 'Nashville',
+    state: 'TN',
+    zip: '37203-1234',
+    contactName: 'Pat Doe',
+    contactPhone: '(615) 555-0100',
+    contactEmail: 'tax@sonic.example'
+  },
+  payer: { tin: '123456789', name: 'Sonic Label LLC', address: '100 Main Street', city: 'Nashville', state: 'TN', zip: '37203', phone: '615-555-0100' },
+  ...options
+});
+
+const returns = [
+  {
+    formType: 'MISC',
+    payees: [
+      { tin: '987-65-4321', tinType: 'SSN', name: 'Zoë Martínez', address: '1 Elm St', address2: 'Apt 2', city: 'Austin', state: 'TX', zip: '78701', amounts: { 2: 125075 } },
+      { tin: '98-7654321', tinType: 'EIN', name: 'The Royal Band LLC', entityType: 'llc', accountNumber: 'ART-0042', city: 'Denver', state: 'CO', zip: '80202', amounts: { 2: 99, 3: 50000 } }
+    ]
+  },
+  { formType: 'NEC', payees: [{ tin: '111223333', tinType: 'SSN', name: 'Sam Lee', city: 'Reno', state: 'NV', zip: '89501', amounts: { 1: 60000 } }] },
+  { formType: 'MISC', payees: [] }
+];
+
+describe('IRS FIRE filing', () => {
+  const file = filing().build(2026, returns);
+  const records = file.content.match(/[^\r\n]*\r\n/g);
+
+  test('writes 750-byte records ending in CR/LF', () => {
+    expect(Buffer.byteLength(file.content, 'utf8')).toBe(750 * file.recordCount);
+    expect(records).toHaveLength(file.recordCount);
+    expect(records.every(record => record.length === 750 && record.endsWith('\r\n'))).toBe(true);
+    expect(file.fileName).toBe('IRS-1099-2026.txt');
+  });
+
+  test('writes one A/B/C group per return type with content and no K records', () => {
+    expect(records.map(record => record[0]).join('')).toBe('TABBCABCF');
+    expect(records.filter(record => record[0] === 'A').map(record => field(record, 26, 2))).toEqual(['A ', 'NE']);
+    expect(records.filter(record => record[0] === 'A').every(record => field(record, 6, 1) === ' ')).toBe(true);
+  });
+
+  test('numbers records sequentially', () => {
+    expect(records.map(record => Number(field(record, 500, 8)))).toEqual(records.map((record, index) => index + 1));
+  });
+
+  test('T and F records count every payee and A record', () => {
+    const transmitter = records[0];
+    const end = records[records.length - 1];
+
+    expect(field(transmitter, 2, 4)).toBe('2026');
+    expect(field(transmitter, 16, 5)).toBe('5A1B2');
+    expect(Number(field(transmitter, 296, 8))).toBe(3);
+    expect(Number(field(end, 2, 8))).toBe(records.filter(record => record[0] === 'A').length);
+    expect(Number(field(end, 50, 8))).toBe(records.filter(record => record[0] === 'B').length);
+    expect(file.payeeCount).toBe(3);
+  });
+
+  test('C records total the B record amounts of their group', () => {
+    let group = [];
+    for (const record of records) {
+      if (record[0] === 'A') group = [];
+      if (record[0] === 'B') group.push(record);
+      if (record[0] !== 'C') continue;
+
+      expect(Number(field(record, 2, 8))).toBe(group.length);
+      AMOUNT_CODES.forEach((code, index) => {
+        const total = group.reduce((sum, payee) => sum + Number(field(payee, 55 + index * 12, 12)), 0);
+        expect(Number(field(record, 16 + index * 18, 18))).toBe(total);
+      });
+    }
+
+    const [, , , , misc] = records;
+    expect(Number(field(misc, 16 + 18, 18))).toBe(125174);
+    expect(Number(field(misc, 16 + 2 * 18, 18))).toBe(50000);
+  });
+
+  test('lists only the amount codes in use on the A record', () => {
+    const [misc, nec] = records.filter(record => record[0] === 'A');
+
+    expect(field(misc, 28, 18).trim()).toBe('23');
+    expect(field(nec, 28, 18).trim()).toBe('1');
+  });
+
+  test('writes payee identity fields', () => {
+    const [individual, entity] = records.filter(record => record[0] === 'B');
+
+    expect(field(individual, 7, 4)).toBe('MART');
+    expect(field(individual, 11, 10)).toBe('2987654321');
+    expect(field(individual, 288, 40).trim()).toBe('ZOE MARTINEZ');
+    expect(field(individual, 368, 40).trim()).toBe('1 ELM ST APT 2');
+    expect(field(entity, 7, 4)).toBe('ROYA');
+    expect(field(entity, 11, 10)).toBe('1987654321');
+    expect(field(entity, 21, 20).trim()).toBe('ART0042');
+  });
+
+  test('marks test files', () => {
+    const test = filing({ test: true }).build(2026, returns);
+
+    expect(field(test.content, 28, 1)).toBe('T');
+    expect(field(file.content, 28, 1)).toBe(' ');
+    expect(test.fileName).toBe('IRS-1099-2026-TEST.txt');
+  });
+
+  test('reports missing payer and transmitter settings', () => {
+    expect(filing().missingConfig()).toEqual([]);
+    expect(new FireFiling({ payer: { tin: '12-3456789' } }).missingConfig()).toEqual([
+      'TAX_PAYER_TIN',
+      'TAX_PAYER_NAME',
+      'TAX_PAYER_ADDRESS',
+      'TAX_FIRE_TCC',
+      'TAX_FIRE_CONTACT_NAME'
+    ]);
+  });
+});
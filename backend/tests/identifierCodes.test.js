@@ -0,0 +1,89 @@
+const IdentifierCodes = require('../music/utils/identifierCodes.util.cjs');
+
+describe('ISRC codes', () => {
+  test('parses the ISO 3901 elements of a code in any notation', () => {
+    expect(IdentifierCodes.parseIsrc('us-s1z-99-00001')).toEqual({
+      isrc: 'USS1Z9900001',
+      countryCode: 'US',
+      registrantCode: 'S1Z',
+      year: '99',
+      designation: 1
+    });
+    expect(IdentifierCodes.formatIsrc('USS1Z9900001')).toBe('US-S1Z-99-00001');
+  });
+
+  test.each([
+    ['USS1Z990001'],
+    ['USS1Z99000012'],
+    ['U1S1Z9900001'],
+    ['USS1ZA900001'],
+    ['USS1Z99A0001'],
+    ['']
+  ])('rejects the malformed code %j', (value) => {
+    expect(IdentifierCodes.isValidIsrc(value)).toBe(false);
+  });
+
+  test('builds codes with a zero-padded designation within range', () => {
+    expect(IdentifierCodes.buildIsrc('gb', 'a1b', '26', 42)).toBe('GBA1B2600042');
+    expect(IdentifierCodes.buildIsrc('GB', 'A1B', '26', 99999)).toBe('GBA1B2699999');
+    expect(() => IdentifierCodes.buildIsrc('GB', 'A1B', '26', 0)).toThrow(/out of range/);
+    expect(() => IdentifierCodes.buildIsrc('GB', 'A1B', '26', 100000)).toThrow(/out of range/);
+  });
+
+  test('uses the two-digit year of assignment', () => {
+    expect(IdentifierCodes.isrcYear(new Date('2007-06-30T23:00:00Z'))).toBe('07');
+  });
+
+  test('validates registrant prefixes', () => {
+    expect(IdentifierCodes.validateRegistrant('US', 'S1Z')).toBeNull();
+    expect(IdentifierCodes.validateRegistrant('USA', 'S1Z')).toMatch(/two letters/);
+    expect(IdentifierCodes.validateRegistrant('US', 'S1')).toMatch(/three letters or digits/);
+  });
+});
+
+describe('UPC and EAN codes', () => {
+  test.each([
+    ['03600029145', 2],
+    ['400638133393', 1],
+    ['978030640615', 7],
+    ['501234567890', 0]
+  ])('check digit of %s is %i', (body, expected) => {
+    expect(IdentifierCodes.checkDigit(body)).toBe(expected);
+  });
+
+  test('accepts UPC-A and EAN-13 codes only with the right check digit', () => {
+    expect(IdentifierCodes.isValidGtin('036000291452')).toBe(true);
+    expect(IdentifierCodes.isValidGtin('4006381333931')).toBe(true);
+    expect(IdentifierCodes.isValidGtin('400 6381 33393 1')).toBe(true);
+    expect(IdentifierCodes.isValidGtin('4006381333932')).toBe(false);
+    expect(IdentifierCodes.isValidGtin('96385074')).toBe(false);
+    expect(IdentifierCodes.gtinFormat('036000291452')).toBe('upc');
+    expect(IdentifierCodes.gtinFormat('4006381333931')).toBe('ean');
+  });
+
+  test('sizes a company prefix by the item reference digits it leaves', () => {
+    expect(IdentifierCodes.prefixCapacity('0360002', 'upc')).toBe(10000);
+    expect(IdentifierCodes.prefixCapacity('5012345', 'ean')).toBe(100000);
+    expect(IdentifierCodes.prefixCapacity('50123456789', 'ean')).toBe(10);
+  });
+
+  test('validates company prefix lengths per format', () => {
+    expect(IdentifierCodes.validatePrefix('5012345', 'ean')).toBeNull();
+    expect(IdentifierCodes.validatePrefix('501234567890', 'ean')).toMatch(/7-11 digits/);
+    expect(IdentifierCodes.validatePrefix('03600', 'upc')).toMatch(/6-10 digits/);
+    expect(IdentifierCodes.validatePrefix('50A2345', 'ean')).toMatch(/digits only/);
+    expect(IdentifierCodes.validatePrefix('5012345', 'isbn')).toMatch(/upc, ean/);
+  });
+
+  test('builds valid codes for every item reference of a prefix', () => {
+    expect(IdentifierCodes.buildGtin('036000', 29145, 'upc')).toBe('036000291452');
+    expect(IdentifierCodes.buildGtin('5012345', 0, 'ean')).toBe('5012345000008');
+
+    const capacity = IdentifierCodes.prefixCapacity('50123456', 'ean');
+    const codes = Array.from({ length: capacity }, (_, item) => IdentifierCodes.buildGtin('50123456', item, 'ean'));
+
+    expect(codes.every(code => code.length === 13 && IdentifierCodes.isValidGtin(code))).toBe(true);
+    expect(new Set(codes).size).toBe(capacity);
+    expect(() => IdentifierCodes.buildGtin('50123456', capacity, 'ean')).toThrow(/does not fit/);
+  });
+});
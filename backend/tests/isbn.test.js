@@ -0,0 +1,74 @@
+const IsbnUtil = require('../publishing/utils/isbn.util.cjs');
+
+const block = (prefix, group, registrant) => ({ prefix_element: prefix, registration_group: group, registrant_element: registrant });
+
+describe('ISBN check digits', () => {
+  test.each([
+    ['978030640615', '7'],
+    ['979109063607', '1'],
+    ['978186197271', '2'],
+    ['978000000000', '2']
+  ])('ISBN-13 check digit of %s is %s', (body, expected) => {
+    expect(IsbnUtil.checkDigit13(body)).toBe(expected);
+  });
+
+  test('validates ISBN-13s with and without hyphens', () => {
+    expect(IsbnUtil.isValidIsbn13('978-0-306-40615-7')).toBe(true);
+    expect(IsbnUtil.isValidIsbn13('979 10 90636 07 1')).toBe(true);
+    expect(IsbnUtil.isValidIsbn13('978-0-306-40615-8')).toBe(false);
+    expect(IsbnUtil.isValidIsbn13('977-0-306-40615-7')).toBe(false);
+    expect(IsbnUtil.isValidIsbn13('0306406152')).toBe(false);
+  });
+
+  test('derives the ISBN-10 of 978 ISBNs only', () => {
+    expect(IsbnUtil.toIsbn10('9780306406157')).toBe('0306406152');
+    expect(IsbnUtil.toIsbn10('9780804429573')).toBe('080442957X');
+    expect(IsbnUtil.toIsbn10('9791090636071')).toBeNull();
+  });
+});
+
+describe('ISBN blocks', () => {
+  test('parses and validates agency prefixes', () => {
+    expect(IsbnUtil.parsePrefix('978-83-12345')).toEqual({ prefixElement: '978', registrationGroup: '83', registrantElement: '12345' });
+    expect(IsbnUtil.parsePrefix('978-83')).toBeNull();
+    expect(IsbnUtil.validatePrefix(IsbnUtil.parsePrefix('978-83-12345'))).toBeNull();
+    expect(IsbnUtil.validatePrefix(IsbnUtil.parsePrefix('977-83-12345'))).toMatch(/978, 979/);
+    expect(IsbnUtil.validatePrefix(IsbnUtil.parsePrefix('978-123456-1'))).toMatch(/Registration group/);
+    expect(IsbnUtil.validatePrefix(IsbnUtil.parsePrefix('978-83-1234567'))).toMatch(/no digits for publication elements/);
+  });
+
+  test.each([
+    ['0', '306', 100000],
+    ['83', '12345', 100],
+    ['99937', '1234', 1],
+    ['1', '1234567', 10]
+  ])('registration group %s with registrant %s leaves room for %i publications', (group, registrant, capacity) => {
+    expect(IsbnUtil.registrantCapacity(group, registrant)).toBe(capacity);
+  });
+
+  test('builds the ISBN-13, ISBN-10 and hyphenated form of a publication', () => {
+    expect(IsbnUtil.build(block('978', '0', '306'), 40615)).toEqual({
+      isbn13: '9780306406157',
+      isbn10: '0306406152',
+      hyphenated: '978-0-306-40615-7',
+      publicationElement: '40615'
+    });
+    expect(IsbnUtil.build(block('979', '10', '90636'), 7)).toMatchObject({ isbn13: '9791090636071', isbn10: null, hyphenated: '979-10-90636-07-1' });
+  });
+
+  test('fills a block with valid ISBNs up to its capacity', () => {
+    const small = block('978', '83', '12345');
+    const capacity = IsbnUtil.registrantCapacity('83', '12345');
+    const isbns = Array.from({ length: capacity }, (_, element) => IsbnUtil.build(small, element).isbn13);
+
+    expect(isbns.every(isbn => IsbnUtil.isValidIsbn13(isbn))).toBe(true);
+    expect(isbns.map(isbn => IsbnUtil.elementOf(small, isbn))).toEqual(Array.from({ length: capacity }, (_, element) => element));
+    expect(() => IsbnUtil.build(small, capacity)).toThrow(/does not fit 978-83-12345/);
+    expect(() => IsbnUtil.build(small, -1)).toThrow(/does not fit/);
+  });
+
+  test('does not claim ISBNs outside the registrant', () => {
+    expect(IsbnUtil.elementOf(block('978', '83', '12345'), '9788312346001')).toBeNull();
+    expect(IsbnUtil.elementOf(block('978', '0', '306'), '978-0-306-40615-7')).toBe(40615);
+  });
+});
@@ -0,0 +1,273 @@
+const db = require('../db.cjs');
+const JobQueue = require('../music/jobs/jobQueue.cjs');
+
+const { JobCancelledError, JobTimeoutError } = JobQueue;
+
+const MINUTE = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createQueue(handler, options = {}) {
+  return new JobQueue('test', { handler, retryDelay: MINUTE, maxRetryDelay: 10 * MINUTE, ...options });
+}
+
+function claimed(queue, overrides = {}) {
+  return queue.format({
+    id: 'job-1',
+    queue: 'test',
+    status: 'processing',
+    priority: 3,
+    data: {},
+    attempts: 1,
+    max_attempts: 3,
+    timeout_ms: MINUTE,
+    cancel_requested: false,
+    ...overrides
+  });
+}
+
+/**
+ * Final state written for the job: `finish` sets status = $3, a retry sets
+ * status = 'retrying' with the backoff delay in $3
+ */
+function writes(spy) {
+  return spy.mock.calls
+    .filter(([sql]) => /UPDATE background_jobs\s+SET status = (\$3|'retrying')/.test(sql))
+    .map(([sql, params]) => (/status = 'retrying'/.test(sql)
+      ? { status: 'retrying', delay: params[2], error: params[3] }
+      : { status: params[2], error: params[4] }));
+}
+
+describe('Job queue retries', () => {
+  let spy;
+
+  beforeEach(() => {
+    spy = vi.spyOn(db, 'query').mockResolvedValue({ rows: [], rowCount: 1 });
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('backs off exponentially up to the maximum delay', () => {
+    const queue = createQueue(async () => {});
+
+    expect([1, 2, 3, 4, 5, 6].map(attempt => queue.getRetryDelay(attempt))).toEqual([
+      MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE, 10 * MINUTE, 10 * MINUTE
+    ]);
+  });
+
+  test('keeps the backoff jitter within 10%', () => {
+    const queue = createQueue(async () => {});
+
+    Math.random.mockReturnValue(0);
+    expect(queue.getRetryDelay(2)).toBe(1.8 * MINUTE);
+    Math.random.mockReturnValue(0.999999);
+    expect(queue.getRetryDelay(2)).toBeCloseTo(2.2 * MINUTE, -1);
+  });
+
+  test('schedules a failed attempt again after the backoff', async () => {
+    const queue = createQueue(async () => { throw new Error('Platform API unavailable'); });
+
+    await queue.execute(claimed(queue, { attempts: 2 }));
+
+    expect(writes(spy)).toEqual([{ status: 'retrying', delay: 2 * MINUTE, error: 'Platform API unavailable' }]);
+    expect(queue.running.size).toBe(0);
+  });
+
+  test('fails for good on the last attempt and notifies once', async () => {
+    const onFailed = vi.fn();
+    const queue = createQueue(async () => { throw new Error('Platform API unavailable'); }, { onFailed });
+    const job = claimed(queue, { attempts: 3 });
+
+    await queue.execute(job);
+
+    expect(writes(spy)).toEqual([{ status: 'failed', error: 'Platform API unavailable' }]);
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(onFailed.mock.calls[0][0]).toBe(job);
+  });
+
+  test('does not retry errors the queue marks as permanent', async () => {
+    const queue = createQueue(async () => { throw new Error('Release not found'); }, {
+      isRetryable: error => !/not found/.test(error.message)
+    });
+
+    await queue.execute(claimed(queue));
+
+    expect(writes(spy)).toEqual([{ status: 'failed', error: 'Release not found' }]);
+  });
+
+  test('records the handler outcome on success', async () => {
+    const queue = createQueue(async () => ({ status: 'partially_completed', result: { delivered: 2 } }));
+
+    await queue.execute(claimed(queue));
+
+    expect(writes(spy)).toEqual([{ status: 'partially_completed', error: null }]);
+    expect(spy.mock.calls.find(([sql]) => /SET status = \$3/.test(sql))[1][3]).toBe('{"delivered":2}');
+  });
+});
+
+describe('Job queue cancellation', () => {
+  let spy;
+
+  beforeEach(() => {
+    spy = vi.spyOn(db, 'query').mockImplementation(async (sql) => {
+      if (/SET status = 'cancelled'/.test(sql)) return { rows: [], rowCount: 0 };
+      if (/SET cancel_requested = true/.test(sql)) return { rows: [{ id: 'job-1', status: 'processing', cancel_requested: true }], rowCount: 1 };
+      return { rows: [], rowCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('cancels a waiting job at once', async () => {
+    spy.mockResolvedValueOnce({ rows: [{ id: 'job-1', status: 'cancelled' }], rowCount: 1 });
+    const queue = createQueue(async () => {});
+
+    const { status } = await queue.cancel('job-1', 'Wrong report');
+
+    expect(status).toBe('cancelled');
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops a running job at its next cancellation check', async () => {
+    const processed = [];
+    let cancelled;
+    const cancelRequested = new Promise(resolve => { cancelled = resolve; });
+    const queue = createQueue(async (job, context) => {
+      for (const record of [1, 2, 3, 4]) {
+        context.throwIfCancelled();
+        processed.push(record);
+        if (record === 2) await cancelRequested;
+      }
+    });
+
+    const execution = queue.execute(claimed(queue));
+    const { status } = await queue.cancel('job-1', 'Wrong report');
+    cancelled();
+    await execution;
+
+    expect(status).toBe('cancelling');
+    expect(processed).toEqual([1, 2]);
+    expect(writes(spy)).toEqual([{ status: 'cancelled', error: null }]);
+  });
+
+  test('does not run a job cancelled before it started', async () => {
+    const handler = vi.fn();
+    const queue = createQueue(handler);
+
+    await queue.execute(claimed(queue, { cancel_requested: true }));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(writes(spy)).toEqual([{ status: 'cancelled', error: null }]);
+  });
+
+  test('aborts the signal and raises a cancellation error', async () => {
+    let aborted;
+    let thrown;
+    const queue = createQueue(async (job, context) => {
+      await queue.cancel(job.id);
+      aborted = context.signal.aborted;
+      try {
+        context.throwIfCancelled();
+      } catch (error) {
+        thrown = error;
+        throw error;
+      }
+    });
+
+    await queue.execute(claimed(queue));
+
+    expect(aborted).toBe(true);
+    expect(thrown).toBeInstanceOf(JobCancelledError);
+  });
+});
+
+describe('Job queue timeouts', () => {
+  let spy;
+
+  beforeEach(() => {
+    spy = vi.spyOn(db, 'query').mockResolvedValue({ rows: [], rowCount: 1 });
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Handler that takes 10 ms per record and checks for cancellation in between
+  const recordHandler = (processed, records = 20) => async (job, context) => {
+    for (let record = 1; record <= records; record++) {
+      context.throwIfCancelled();
+      await sleep(10);
+      processed.push(record);
+    }
+    return { result: { processed: processed.length } };
+  };
+
+  test('stop the handler between records and retry with backoff', async () => {
+    const processed = [];
+    const queue = createQueue(recordHandler(processed));
+
+    await queue.execute(claimed(queue, { timeout_ms: 35 }));
+
+    expect(processed.length).toBeGreaterThan(0);
+    expect(processed.length).toBeLessThan(20);
+    expect(writes(spy)).toEqual([{ status: 'retrying', delay: MINUTE, error: 'Job execution timed out after 0s' }]);
+  });
+
+  test('end in the timeout status on the last attempt', async () => {
+    const onFailed = vi.fn();
+    const queue = createQueue(recordHandler([]), { onFailed });
+
+    await queue.execute(claimed(queue, { attempts: 3, timeout_ms: 35 }));
+
+    expect(writes(spy)).toEqual([{ status: 'timeout', error: 'Job execution timed out after 0s' }]);
+    expect(onFailed.mock.calls[0][1]).toBeInstanceOf(JobTimeoutError);
+  });
+
+  test('follow the queue retry policy', async () => {
+    const queue = createQueue(recordHandler([]), { isRetryable: error => !(error instanceof JobTimeoutError) });
+
+    await queue.execute(claimed(queue, { timeout_ms: 35 }));
+
+    expect(writes(spy).map(write => write.status)).toEqual(['timeout']);
+  });
+
+  test('count as a timeout whatever the aborted handler throws', async () => {
+    const queue = createQueue(async (job, context) => {
+      await new Promise((resolve, reject) => {
+        context.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+      });
+    });
+
+    await queue.execute(claimed(queue, { attempts: 3, timeout_ms: 20 }));
+
+    expect(writes(spy)).toEqual([{ status: 'timeout', error: 'Job execution timed out after 0s' }]);
+  });
+
+  test('hold the worker slot until the handler stops', async () => {
+    const processed = [];
+    const queue = createQueue(async (job, context) => {
+      // Ignores the signal and finishes its current batch
+      await sleep(60);
+      processed.push('batch');
+      context.throwIfCancelled();
+    });
+
+    const execution = queue.execute(claimed(queue, { timeout_ms: 20 }));
+    await sleep(40);
+
+    expect(queue.running.has('job-1')).toBe(true);
+    expect(writes(spy)).toEqual([]);
+
+    await execution;
+
+    expect(processed).toEqual(['batch']);
+    expect(queue.running.size).toBe(0);
+    expect(writes(spy).map(write => write.status)).toEqual(['retrying']);
+  });
+});
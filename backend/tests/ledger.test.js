@@ -0,0 +1,384 @@
+const LedgerService = require('../music/services/ledger.service.cjs');
+
+const { ACCOUNTS } = LedgerService;
+
+/**
+ * In-memory journal answering the ledger service's queries
+ */
+function createJournal() {
+  const accounts = [];
+  const entries = [];
+  const lines = [];
+
+  const accountOf = (id) => accounts.find(account => account.id === id);
+
+  const query = vi.fn(async (sql, params = []) => {
+    if (/INSERT INTO ledger_accounts/.test(sql)) {
+      const [code, name, accountType, partyType, partyId, currency] = params;
+      if (!accounts.some(a => a.code === code && a.party_type === partyType && a.party_id === partyId && a.currency === currency)) {
+        accounts.push({ id: `account-${accounts.length + 1}`, code, name, account_type: accountType, party_type: partyType, party_id: partyId, currency });
+      }
+      return { rows: [] };
+    }
+    if (/SELECT \* FROM ledger_accounts\s+WHERE code = \$1/.test(sql)) {
+      const [code, partyType, partyId, currency] = params;
+      return { rows: accounts.filter(a => a.code === code && a.party_type === partyType && a.party_id === partyId && a.currency === currency) };
+    }
+    if (/SELECT \* FROM ledger_accounts WHERE id = \$1/.test(sql)) {
+      return { rows: [accountOf(params[0])].filter(Boolean) };
+    }
+    if (/INSERT INTO journal_entries/.test(sql)) {
+      const [date, sourceType, sourceId, description, reversesEntryId] = params;
+      const entry = {
+        id: `entry-${entries.length + 1}`,
+        entry_number: entries.length + 1,
+        entry_date: date,
+        source_type: sourceType,
+        source_id: sourceId,
+        description,
+        reverses_entry_id: reversesEntryId
+      };
+      entries.push(entry);
+      return { rows: [entry] };
+    }
+    if (/INSERT INTO journal_lines/.test(sql)) {
+      const [entryId, accountId, debit, credit, memo] = params;
+      lines.push({ id: lines.length + 1, entry_id: entryId, account_id: accountId, debit, credit, memo });
+      return { rows: [] };
+    }
+    if (/SELECT je\.\*\s+FROM journal_entries je/.test(sql)) {
+      const [sourceType, sourceId] = params;
+      return {
+        rows: entries.filter(entry => entry.source_type === sourceType && entry.source_id === sourceId
+          && !entry.reverses_entry_id && !entries.some(other => other.reverses_entry_id === entry.id))
+      };
+    }
+    if (/SELECT jl\.account_id, jl\.debit, jl\.credit, jl\.memo, a\.currency/.test(sql)) {
+      return {
+        rows: lines.filter(line => line.entry_id === params[0])
+          .map(line => ({ ...line, currency: accountOf(line.account_id).currency }))
+      };
+    }
+    if (/SELECT a\.code, je\.source_type, SUM\(jl\.credit - jl\.debit\) AS net/.test(sql)) {
+      const [artistIds, currency, ...codes] = params;
+      const groups = new Map();
+      for (const line of lines) {
+        const account = accountOf(line.account_id);
+        if (account.party_type !== 'artist' || !artistIds.includes(account.party_id)) continue;
+        if (account.currency !== currency || !codes.includes(account.code)) continue;
+
+        const { source_type: sourceType } = entries.find(entry => entry.id === line.entry_id);
+        const key = `${account.code}|${sourceType}`;
+        const group = groups.get(key) || { code: account.code, source_type: sourceType, net: 0 };
+        group.net += Math.round((line.credit - line.debit) * 100);
+        groups.set(key, group);
+      }
+      return { rows: [...groups.values()].map(group => ({ ...group, net: (group.net / 100).toFixed(2) })) };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  // Lines of an entry as [account code, party, debit, credit]
+  const postings = (entry) => lines
+    .filter(line => line.entry_id === entry.id)
+    .map(line => {
+      const account = accountOf(line.account_id);
+      return [account.code, account.party_id, line.debit, line.credit];
+    });
+
+  return { client: { query }, accounts, entries, lines, postings };
+}
+
+describe('Journal entries', () => {
+  test('post balanced lines, dropping zero lines and moving negative amounts to the other side', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postEntry(journal.client, {
+      sourceType: 'manual',
+      description: 'Platform remittance',
+      lines: [
+        { account: 'bank', debit: 120.10 },
+        { account: 'platformReceivable', partyId: 'spotify', credit: 100 },
+        { account: 'platformReceivable', partyId: 'deezer', debit: -20.10 },
+        { account: 'labelCosts', debit: 0 }
+      ]
+    });
+
+    expect(entry).toMatchObject({ entry_number: 1, total: 120.1 });
+    expect(journal.postings(entry)).toEqual([
+      [ACCOUNTS.bank.code, null, 120.1, 0],
+      [ACCOUNTS.platformReceivable.code, 'spotify', 0, 100],
+      [ACCOUNTS.platformReceivable.code, 'deezer', 0, 20.1]
+    ]);
+  });
+
+  test('balance to the cent whatever the floating-point sum', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postEntry(journal.client, {
+      sourceType: 'manual',
+      description: 'Split',
+      lines: [
+        { account: 'bank', debit: 0.3 },
+        { account: 'labelRevenue', credit: 0.1 },
+        { account: 'labelRevenue', credit: 0.2 }
+      ]
+    });
+
+    expect(entry.total).toBe(0.3);
+  });
+
+  test('are rejected when debits and credits differ, before anything is written', async () => {
+    const journal = createJournal();
+
+    await expect(LedgerService.postEntry(journal.client, {
+      sourceType: 'manual',
+      description: 'Off by a cent',
+      lines: [
+        { account: 'bank', debit: 100 },
+        { account: 'labelRevenue', credit: 99.99 }
+      ]
+    })).rejects.toThrow();
+
+    expect(journal.entries).toEqual([]);
+    expect(journal.lines).toEqual([]);
+  });
+
+  test('are not posted when every line is zero', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postEntry(journal.client, {
+      sourceType: 'manual',
+      description: 'Nothing',
+      lines: [{ account: 'bank', debit: 0 }, { account: 'labelRevenue', credit: 0.004 }]
+    });
+
+    expect(entry).toBeNull();
+    expect(journal.entries).toEqual([]);
+  });
+
+  test('keep per-artist accounts apart and reuse them', async () => {
+    const journal = createJournal();
+    const statement = (id, artistId) => ({ id, artist_id: artistId, platform: 'spotify', gross_revenue: 10, period_start: '2026-03-01', period_end: '2026-03-31' });
+
+    await LedgerService.postStatement(journal.client, statement('s-1', 'artist-1'));
+    await LedgerService.postStatement(journal.client, statement('s-2', 'artist-2'));
+    await LedgerService.postStatement(journal.client, statement('s-3', 'artist-1'));
+
+    expect(journal.accounts.map(account => [account.code, account.party_id])).toEqual([
+      [ACCOUNTS.artistRoyalties.code, null],
+      [ACCOUNTS.royaltiesPayable.code, 'artist-1'],
+      [ACCOUNTS.royaltiesPayable.code, 'artist-2']
+    ]);
+  });
+});
+
+describe('Reversals', () => {
+  const payout = {
+    id: 'payout-1',
+    artist_id: 'artist-1',
+    amount: 76,
+    currency: 'USD',
+    gross_amount: 100,
+    withholding_amount: 24,
+    withholding_rate: 24,
+    withholding_reason: 'backup',
+    payment_method: 'bank_transfer'
+  };
+
+  test('mirror every open entry of the source', async () => {
+    const journal = createJournal();
+    await LedgerService.postPayoutRequest(journal.client, payout);
+    await LedgerService.postPayoutSettlement(journal.client, payout);
+    const [request, settlement] = journal.entries;
+
+    const reversals = await LedgerService.reverseSource(journal.client, 'payout', 'payout-1', null, 'returned by bank (R01)');
+
+    expect(reversals).toHaveLength(2);
+    expect(reversals.map(entry => entry.reverses_entry_id)).toEqual([request.id, settlement.id]);
+    expect(reversals[0].description).toBe('Reversal of #1: returned by bank (R01)');
+    for (const [index, original] of [request, settlement].entries()) {
+      expect(journal.postings(reversals[index])).toEqual(
+        expect.arrayContaining(journal.postings(original).map(([code, party, debit, credit]) => [code, party, credit, debit]))
+      );
+    }
+  });
+
+  test('skip entries already reversed and reversals themselves', async () => {
+    const journal = createJournal();
+    await LedgerService.postPayoutRequest(journal.client, payout);
+    await LedgerService.reverseSource(journal.client, 'payout', 'payout-1');
+
+    expect(await LedgerService.reverseSource(journal.client, 'payout', 'payout-1')).toEqual([]);
+    expect(journal.entries).toHaveLength(2);
+  });
+
+  test('leave other sources alone', async () => {
+    const journal = createJournal();
+    await LedgerService.postPayoutRequest(journal.client, payout);
+    await LedgerService.postPayoutRequest(journal.client, { ...payout, id: 'payout-2' });
+
+    await LedgerService.reverseSource(journal.client, 'payout', 'payout-2');
+
+    expect(journal.entries.map(entry => [entry.source_id, entry.reverses_entry_id])).toEqual([
+      ['payout-1', null],
+      ['payout-2', null],
+      ['payout-2', 'entry-2']
+    ]);
+  });
+});
+
+describe('Payout postings', () => {
+  test('split a request into the net sent and the tax withheld', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postPayoutRequest(journal.client, {
+      id: 'payout-1',
+      artist_id: 'artist-1',
+      amount: 76,
+      currency: 'USD',
+      gross_amount: 100,
+      withholding_amount: 24,
+      withholding_rate: 24,
+      withholding_reason: 'backup',
+      payment_method: 'paypal'
+    });
+
+    expect(journal.postings(entry)).toEqual([
+      [ACCOUNTS.royaltiesPayable.code, 'artist-1', 100, 0],
+      [ACCOUNTS.payoutsInTransit.code, 'artist-1', 0, 76],
+      [ACCOUNTS.withholdingTax.code, null, 0, 24]
+    ]);
+    expect(journal.lines[2].memo).toBe('24% backup');
+  });
+
+  test('post the net amount only when nothing is withheld', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postPayoutRequest(journal.client, {
+      id: 'payout-1', artist_id: 'artist-1', amount: 50, currency: 'USD', withholding_amount: 0, payment_method: 'paypal'
+    });
+
+    expect(journal.postings(entry)).toEqual([
+      [ACCOUNTS.royaltiesPayable.code, 'artist-1', 50, 0],
+      [ACCOUNTS.payoutsInTransit.code, 'artist-1', 0, 50]
+    ]);
+  });
+
+  test('book a request in the base currency of a converted payout', async () => {
+    const journal = createJournal();
+
+    await LedgerService.postPayoutRequest(journal.client, {
+      id: 'payout-1', artist_id: 'artist-1', amount: 92, currency: 'EUR', base_amount: 100, base_currency: 'USD', payment_method: 'sepa'
+    });
+
+    expect(journal.accounts.map(account => account.currency)).toEqual(['USD', 'USD']);
+    expect(journal.lines.map(line => line.debit + line.credit)).toEqual([100, 100]);
+  });
+
+  test('charge the rail fee to payment fees at settlement', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postPayoutSettlement(journal.client, {
+      id: 'payout-1', artist_id: 'artist-1', amount: 76, currency: 'USD', processing_fee: 1.82, payment_method: 'paypal', transaction_id: 'PP-1'
+    }, null, '2026-10-20');
+
+    expect(entry).toMatchObject({ description: 'Payout paid (PP-1)', entry_date: '2026-10-20', total: 77.82 });
+    expect(journal.postings(entry)).toEqual([
+      [ACCOUNTS.payoutsInTransit.code, 'artist-1', 76, 0],
+      [ACCOUNTS.paymentFees.code, null, 1.82, 0],
+      [ACCOUNTS.bank.code, null, 0, 77.82]
+    ]);
+    expect(journal.lines[1].memo).toBe('paypal fee');
+  });
+
+  test('convert the settlement fee at the payout rate', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postPayoutSettlement(journal.client, {
+      id: 'payout-1', artist_id: 'artist-1', amount: 80, currency: 'EUR', base_amount: 100, base_currency: 'USD', processing_fee: 1.90, payment_method: 'paypal'
+    });
+
+    expect(journal.postings(entry)).toEqual([
+      [ACCOUNTS.payoutsInTransit.code, 'artist-1', 100, 0],
+      [ACCOUNTS.paymentFees.code, null, 2.38, 0],
+      [ACCOUNTS.bank.code, null, 0, 102.38]
+    ]);
+  });
+
+  test('settle without a fee line when the rail charges nothing', async () => {
+    const journal = createJournal();
+
+    const entry = await LedgerService.postPayoutSettlement(journal.client, {
+      id: 'payout-1', artist_id: 'artist-1', amount: 76, currency: 'USD', processing_fee: '0.00', payment_method: 'bank_transfer'
+    });
+
+    expect(journal.postings(entry)).toEqual([
+      [ACCOUNTS.payoutsInTransit.code, 'artist-1', 76, 0],
+      [ACCOUNTS.bank.code, null, 0, 76]
+    ]);
+  });
+});
+
+describe('Payee balance', () => {
+  const statement = { id: 'statement-1', artist_id: 'artist-1', platform: 'spotify', gross_revenue: 500, period_start: '2026-03-01', period_end: '2026-03-31' };
+  const payout = {
+    id: 'payout-1',
+    artist_id: 'artist-1',
+    amount: 152,
+    currency: 'USD',
+    gross_amount: 200,
+    withholding_amount: 48,
+    withholding_rate: 24,
+    withholding_reason: 'backup',
+    payment_method: 'paypal',
+    processing_fee: 3.34
+  };
+
+  async function journalWithPayout() {
+    const journal = createJournal();
+    await LedgerService.postStatement(journal.client, statement);
+    await LedgerService.postRecoupment(journal.client, statement, 100);
+    await LedgerService.postPayoutRequest(journal.client, payout);
+    // Another artist's earnings do not count
+    await LedgerService.postStatement(journal.client, { ...statement, id: 'statement-2', artist_id: 'artist-2' });
+    return journal;
+  }
+
+  test('shows earnings, recoupment and a payout in transit', async () => {
+    const journal = await journalWithPayout();
+
+    const balance = await LedgerService.getPayeeBalance(['artist-1'], 'usd', journal.client);
+
+    // Tax withheld has left the balance and counts as paid on the artist's behalf
+    expect(balance).toEqual({ earned: 500, recouped: 100, paid: 48, inTransit: 152, available: 200 });
+  });
+
+  test('moves a settled payout from in transit to paid', async () => {
+    const journal = await journalWithPayout();
+    await LedgerService.postPayoutSettlement(journal.client, payout);
+
+    const balance = await LedgerService.getPayeeBalance(['artist-1'], 'USD', journal.client);
+
+    expect(balance).toEqual({ earned: 500, recouped: 100, paid: 200, inTransit: 0, available: 200 });
+  });
+
+  test('returns a reversed payout to the available balance', async () => {
+    const journal = await journalWithPayout();
+    await LedgerService.postPayoutSettlement(journal.client, payout);
+    await LedgerService.reverseSource(journal.client, 'payout', 'payout-1');
+
+    const balance = await LedgerService.getPayeeBalance(['artist-1'], 'USD', journal.client);
+
+    expect(balance).toMatchObject({ earned: 500, recouped: 100, inTransit: 0, available: 400 });
+    expect(balance.paid).toBeCloseTo(0);
+  });
+
+  test('adds up several artists paid to the same user', async () => {
+    const journal = await journalWithPayout();
+
+    const balance = await LedgerService.getPayeeBalance(['artist-1', 'artist-2'], 'USD', journal.client);
+
+    expect(balance).toMatchObject({ earned: 1000, available: 700 });
+  });
+});
@@ -0,0 +1,103 @@
+const AudioInspector = require('../music/utils/audioInspector.util.cjs');
+const Loudness = require('../music/utils/loudness.util.cjs');
+
+// EBU Tech 3341 / 3342 allow +/-0.1 LU on the reference signals
+const TOLERANCE = 0.1;
+
+function* sine({ sampleRate, channels = 1, frequency = 1000, dbfs, seconds }) {
+  const amplitude = Math.pow(10, dbfs / 20);
+  const total = Math.round(sampleRate * seconds);
+  for (let start = 0; start < total; start += 4800) {
+    const frames = Math.min(4800, total - start);
+    const samples = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+      samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * (start + i) / sampleRate);
+    }
+    yield { channels: new Array(channels).fill(samples), frames };
+  }
+}
+
+function measure(sampleRate, channelCount, ...parts) {
+  const meter = Loudness.createMeter(sampleRate, channelCount);
+  for (const part of parts) {
+    for (const { channels, frames } of sine({ sampleRate, channels: channelCount, ...part })) {
+      meter.process(channels, frames);
+    }
+  }
+  return meter.finish();
+}
+
+function wav16(sampleRate, dbfs, seconds) {
+  const frames = Math.round(sampleRate * seconds);
+  const buffer = Buffer.alloc(44 + frames * 2);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + frames * 2, 4);
+  buffer.write('WAVEfmt ', 8, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(frames * 2, 40);
+
+  const amplitude = Math.pow(10, dbfs / 20) * 32768;
+  for (let i = 0; i < frames; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 997 * i / sampleRate)), 44 + i * 2);
+  }
+  return buffer;
+}
+
+describe('Loudness measurement', () => {
+  test('a 997 Hz mono sine at -20 dBFS measures -23 LUFS', () => {
+    const result = measure(48000, 1, { frequency: 997, dbfs: -20, seconds: 10 });
+
+    expect(Math.abs(result.integrated_lufs - -23)).toBeLessThanOrEqual(TOLERANCE);
+    expect(Math.abs(result.momentary_max_lufs - -23)).toBeLessThanOrEqual(TOLERANCE);
+    expect(Math.abs(result.short_term_max_lufs - -23)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.loudness_range_lu).toBe(0);
+    expect(result.duration_ms).toBe(10000);
+  });
+
+  test('a stereo 1 kHz sine at -23 dBFS measures -23 LUFS at 44.1 kHz too', () => {
+    const result = measure(44100, 2, { dbfs: -23, seconds: 10 });
+
+    expect(Math.abs(result.integrated_lufs - -23)).toBeLessThanOrEqual(TOLERANCE);
+  });
+
+  test('gates quiet passages relative to the programme', () => {
+    // Tech 3341 case 5 (-26/-20/-26 LUFS), played on one channel
+    const result = measure(48000, 1,
+      { dbfs: -23, seconds: 20 },
+      { dbfs: -17, seconds: 20.1 },
+      { dbfs: -23, seconds: 20 }
+    );
+
+    expect(Math.abs(result.integrated_lufs - -23)).toBeLessThanOrEqual(TOLERANCE);
+  });
+
+  test('measures the loudness range between two levels', () => {
+    // Tech 3342 case 1: 20 s at -20 LUFS followed by 20 s at -30 LUFS
+    const result = measure(48000, 1, { dbfs: -17, seconds: 20 }, { dbfs: -27, seconds: 20 });
+
+    expect(Math.abs(result.loudness_range_lu - 10)).toBeLessThanOrEqual(TOLERANCE);
+  });
+
+  test('reports the true peak of a sine at its amplitude', () => {
+    const result = measure(48000, 2, { frequency: 997, dbfs: -20, seconds: 1 });
+
+    expect(result.sample_peak_dbfs).toBe(-20);
+    expect(Math.abs(result.true_peak_dbtp - -20)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.channels).toHaveLength(2);
+  });
+
+  test('analyzes a 16-bit WAV master', async () => {
+    const buffer = wav16(48000, -20, 5);
+    const result = await Loudness.analyze(buffer, AudioInspector.inspect(buffer));
+
+    expect(Math.abs(result.integrated_lufs - -23)).toBeLessThanOrEqual(TOLERANCE);
+    expect(result.sample_rate).toBe(48000);
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const AchRail = require('../music/integrations/paymentRails/ach.rail.cjs');
+const SepaRail = require('../music/integrations/paymentRails/sepa.rail.cjs');
+const PaypalRail = require('../music/integrations/paymentRails/paypal.rail.cjs');
+const { parseXml, findAll, textAt, textContent } = require('../utils/xml.util.cjs');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'payouts', name), 'utf8');
+
+const batch = {
+  reference: 'PB-20261018-0007',
+  number: 7,
+  executionDate: '2026-10-20',
+  createdAt: new Date('2026-10-18T14:05:09Z')
+};
+
+const withReferences = (rail, items) => items.map((item, index) => ({ ...item, reference: rail.referenceFor(batch, index) }));
+
+describe('NACHA file', () => {
+  const rail = new AchRail({
+    odfiRouting: '021000021',
+    companyName: 'Sonic Label LLC',
+    companyId: '1234567890',
+    destinationName: 'JPMorgan Chase'
+  });
+  const items = withReferences(rail, [
+    {
+      payoutId: '5f0c1d2e-3a4b-4c5d-8e6f-7a8b9c0d1e2f',
+      amountCents: 125075,
+      details: { routing_number: '011000015', account_number: '123456789', account_type: 'checking', account_holder_name: 'Zoë Martínez' }
+    },
+    {
+      payoutId: '9a8b7c6d-5e4f-4a3b-9c2d-1e0f9a8b7c6d',
+      amountCents: 99,
+      details: { routing_number: '026009593', account_number: '9876-54321', account_type: 'savings', account_holder_name: 'The Very Long Band Name Collective' }
+    }
+  ]);
+  const file = rail.buildFile(batch, items);
+  const records = file.content.split('\r\n').slice(0, -1);
+
+  test('matches the golden file', () => {
+    expect(file.fileName).toBe('PB-20261018-0007.ach');
+    expect(file.content).toBe(fixture('nacha-credit-batch.ach'));
+  });
+
+  test('writes 94-character records padded to a multiple of 10 with all-nines filler', () => {
+    expect(records.every(record => record.length === 94)).toBe(true);
+    expect(records).toHaveLength(10);
+    expect(records.slice(6)).toEqual(new Array(4).fill('9'.repeat(94)));
+    expect(records.map(record => record[0]).join('')).toBe('1566899999');
+  });
+
+  test('pads alphanumeric fields with blanks and numeric fields with zeros', () => {
+    const [, , first, second] = records;
+
+    expect(first.slice(1, 3)).toBe('22');
+    expect(second.slice(1, 3)).toBe('32');
+    expect(first.slice(12, 29)).toBe('123456789        ');
+    expect(first.slice(29, 39)).toBe('0000125075');
+    expect(first.slice(54, 76)).toBe('ZOE MARTINEZ          ');
+    expect(second.slice(54, 76)).toBe('THE VERY LONG BAND NAM');
+    expect(second.slice(79, 94)).toBe('021000020007002');
+  });
+
+  test('batch and file control totals reconcile with the entries', () => {
+    const entries = records.filter(record => record[0] === '6');
+    const batchControl = records.find(record => record[0] === '8');
+    const fileControl = records.find(record => record[0] === '9' && record !== '9'.repeat(94));
+    const entryHash = entries.reduce((sum, entry) => sum + Number(entry.slice(3, 11)), 0) % 1e10;
+    const credits = entries.reduce((sum, entry) => sum + Number(entry.slice(29, 39)), 0);
+
+    expect(Number(batchControl.slice(4, 10))).toBe(entries.length);
+    expect(Number(batchControl.slice(10, 20))).toBe(entryHash);
+    expect(Number(batchControl.slice(20, 32))).toBe(0);
+    expect(Number(batchControl.slice(32, 44))).toBe(credits);
+    expect(credits).toBe(125174);
+
+    expect(Number(fileControl.slice(1, 7))).toBe(1);
+    expect(Number(fileControl.slice(7, 13))).toBe(records.length / 10);
+    expect(Number(fileControl.slice(13, 21))).toBe(entries.length);
+    expect(fileControl.slice(21, 31)).toBe(batchControl.slice(10, 20));
+    expect(fileControl.slice(43, 55)).toBe(batchControl.slice(32, 44));
+  });
+
+  test('adds a block once the records outgrow the first', () => {
+    const many = withReferences(rail, Array.from({ length: 7 }, () => items[0]));
+    const content = rail.buildFile(batch, many).content.split('\r\n').slice(0, -1);
+
+    expect(content).toHaveLength(20);
+    expect(content[10].slice(7, 13)).toBe('000002');
+  });
+});
+
+describe('SEPA pain.001 file', () => {
+  const rail = new SepaRail({
+    debtorName: 'Sonic Label GmbH',
+    debtorIban: 'DE89370400440532013000',
+    debtorBic: 'COBADEFFXXX',
+    initiatingPartyId: 'DE98ZZZ09999999999'
+  });
+  const file = rail.buildFile(batch, withReferences(rail, [
+    {
+      amountCents: 123456,
+      details: { iban: 'FR14 2004 1010 0505 0001 3M02 606', bic: 'PSST FR PP SCE', account_holder_name: 'Łukasz Ørsted & Søn' },
+      remittance: 'Royalties Q3 2026 <statement 42>'
+    },
+    { amountCents: 1, details: { iban: 'NL91ABNA0417164300', account_holder_name: 'Anne de Vries' }, remittance: 'Royalties Q3 2026' }
+  ]));
+
+  test('matches the golden file', () => {
+    expect(file.fileName).toBe('PB-20261018-0007.xml');
+    expect(file.content).toBe(fixture('pain001-credit-batch.xml'));
+  });
+
+  test('control sums and counts match the transactions at both levels', () => {
+    const document = parseXml(file.content);
+    const amounts = findAll(document, 'InstdAmt').map(node => Math.round(Number(textContent(node)) * 100));
+    const total = (amounts.reduce((sum, cents) => sum + cents, 0) / 100).toFixed(2);
+
+    expect(total).toBe('1234.57');
+    expect(textAt(document, 'CstmrCdtTrfInitn/GrpHdr/CtrlSum')).toBe(total);
+    expect(textAt(document, 'CstmrCdtTrfInitn/PmtInf/CtrlSum')).toBe(total);
+    expect(textAt(document, 'CstmrCdtTrfInitn/GrpHdr/NbOfTxs')).toBe(String(amounts.length));
+    expect(textAt(document, 'CstmrCdtTrfInitn/PmtInf/NbOfTxs')).toBe(String(amounts.length));
+  });
+
+  test('keeps text fields within the SEPA character set', () => {
+    const document = parseXml(file.content);
+    const names = findAll(document, 'Cdtr').map(node => textAt(node, 'Nm'));
+
+    expect(names).toEqual(['Lukasz Orsted + Son', 'Anne de Vries']);
+    expect(findAll(document, 'Ustrd').map(textContent)).toEqual(['Royalties Q3 2026 statement 42', 'Royalties Q3 2026']);
+  });
+});
+
+describe('PayPal payouts file', () => {
+  test('matches the golden file', () => {
+    const rail = new PaypalRail({ note: 'Royalties, "Q3" 2026' });
+    const file = rail.buildFile(batch, withReferences(rail, [
+      { amountCents: 4250, currency: 'USD', details: { paypal_email: ' artist@example.com ' } },
+      { amountCents: 123456, currency: 'JPY', details: { email: 'band@example.jp' } }
+    ]));
+
+    expect(file.fileName).toBe('PB-20261018-0007.csv');
+    expect(file.content).toBe(fixture('paypal-payouts.csv'));
+  });
+
+  test('charges 2% plus a fixed fee per payout', () => {
+    const rail = new PaypalRail();
+
+    expect(rail.fee(4250, 'USD')).toBe(115);
+    expect(rail.fee(100000, 'EUR')).toBe(2030);
+    expect(rail.fee(123456, 'JPY')).toBe(2500);
+    expect(new PaypalRail({ feePercent: 0, fixedFee: 0 }).fee(4250, 'USD')).toBe(0);
+  });
+});
+
+describe('Bank rail fees', () => {
+  test('are the configured charge per payment, none by default', () => {
+    expect(new AchRail({ itemFee: 0.25 }).fee(125075, 'USD')).toBe(25);
+    expect(new SepaRail({ itemFee: '0.10' }).fee(123456, 'EUR')).toBe(10);
+    expect(new AchRail().fee(125075, 'USD')).toBe(0);
+    expect(new SepaRail().fee(1, 'EUR')).toBe(0);
+  });
+});
@@ -0,0 +1,237 @@
+const RecoupmentService = require('../music/services/recoupment.service.cjs');
+const LedgerService = require('../music/services/ledger.service.cjs');
+
+const expense = (id, releaseId, amount, dateIncurred) => ({
+  id,
+  release_id: releaseId,
+  artist_id: 'artist-1',
+  expense_type: releaseId ? 'marketing' : 'tour_support',
+  description: id,
+  amount,
+  currency: 'USD',
+  recoupable_amount: amount,
+  date_incurred: dateIncurred,
+  is_recoupable: true
+});
+
+// Two release pools and an artist-level cost, oldest first
+const EXPENSES = [
+  expense('video-a', 'release-a', 300, '2026-01-10'),
+  expense('ads-b', 'release-b', 200, '2026-01-20'),
+  expense('tour', null, 150, '2026-02-01'),
+  expense('later', 'release-a', 1000, '2026-05-01')
+];
+
+/**
+ * In-memory expenses, contract and recoupment ledger answering the service's queries
+ */
+function createStore(contract) {
+  const ledger = [];
+  const recouped = (expenseId) => ledger.filter(entry => entry.expense_id === expenseId).reduce((sum, entry) => sum + entry.amount, 0);
+
+  const query = vi.fn(async (sql, params = []) => {
+    if (/FROM expenses e[\s\S]*FOR UPDATE OF e/.test(sql)) {
+      const [artistId, date] = params;
+      return {
+        rows: EXPENSES
+          .filter(row => row.artist_id === artistId && row.date_incurred <= date)
+          .map(row => ({ ...row, recouped: String(recouped(row.id)) }))
+      };
+    }
+    if (/FROM recoupment_contracts/.test(sql)) {
+      return { rows: contract ? [{ id: 'contract-1', artist_id: params[0], ...contract }] : [] };
+    }
+    if (/INSERT INTO recoupment_ledger[\s\S]*'reversal'/.test(sql)) {
+      const reversed = ledger.filter(entry => entry.statement_id === params[0] && entry.entry_type === 'recoupment'
+        && !ledger.some(other => other.reverses_entry_id === entry.id));
+      const rows = reversed.map(entry => {
+        const reversal = { ...entry, id: ledger.length + 1, entry_type: 'reversal', amount: -entry.amount, reverses_entry_id: entry.id };
+        ledger.push(reversal);
+        return { amount: String(reversal.amount) };
+      });
+      return { rows };
+    }
+    if (/INSERT INTO recoupment_ledger[\s\S]*'recoupment'/.test(sql)) {
+      const [artistId, expenseId, statementId, contractId, releaseId, amount, waterfall, percentage] = params;
+      ledger.push({
+        id: ledger.length + 1,
+        entry_type: 'recoupment',
+        artist_id: artistId,
+        expense_id: expenseId,
+        statement_id: statementId,
+        contract_id: contractId,
+        release_id: releaseId,
+        amount,
+        waterfall,
+        recoup_percentage: percentage
+      });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return { client: { query }, ledger, recouped };
+}
+
+const payeeWith = (earnings) => {
+  const lines = Object.entries(earnings).map(([releaseId, amount]) => ({ release_id: releaseId, amount }));
+  return { artist_id: 'artist-1', lines, gross_revenue: lines.reduce((sum, line) => sum + line.amount, 0) };
+};
+
+const context = { periodStart: '2026-03-01', periodEnd: '2026-03-31', userId: 'user-1' };
+
+describe('Statement recoupment', () => {
+  beforeEach(() => {
+    vi.spyOn(LedgerService, 'postRecoupment').mockResolvedValue(null);
+    vi.spyOn(LedgerService, 'reverseSource').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test.each([
+    [
+      'cross-collateralized at 100% pays the oldest costs first from all earnings',
+      { waterfall: 'cross_collateralized', recoup_percentage: '100.00' },
+      { 'release-a': 400, 'release-b': 100 },
+      [['video-a', 'release-a', 300, 0], ['ads-b', 'release-b', 200, 0]],
+      500
+    ],
+    [
+      'cross-collateralized at 50% stops at half the earnings',
+      { waterfall: 'cross_collateralized', recoup_percentage: '50.00' },
+      { 'release-a': 400, 'release-b': 100 },
+      [['video-a', 'release-a', 250, 50]],
+      250
+    ],
+    [
+      'per-release pays release costs from that release only, then artist costs from what is left',
+      { waterfall: 'per_release', recoup_percentage: '100.00' },
+      { 'release-a': 400, 'release-b': 100 },
+      [['video-a', 'release-a', 300, 0], ['ads-b', 'release-b', 100, 100], ['tour', null, 100, 50]],
+      500
+    ],
+    [
+      'per-release at 50% caps each release pool at half its earnings',
+      { waterfall: 'per_release', recoup_percentage: '50.00' },
+      { 'release-a': 400, 'release-b': 100 },
+      [['video-a', 'release-a', 200, 100], ['ads-b', 'release-b', 50, 150]],
+      250
+    ],
+    [
+      'per-release leaves earnings of releases without costs to artist-level costs',
+      { waterfall: 'per_release', recoup_percentage: '100.00' },
+      { 'release-a': 400, 'release-c': 300 },
+      [['video-a', 'release-a', 300, 0], ['tour', null, 150, 0]],
+      450
+    ],
+    [
+      'a partial percentage is rounded down to the cent',
+      { waterfall: 'cross_collateralized', recoup_percentage: '33.33' },
+      { 'release-a': 100.01 },
+      [['video-a', 'release-a', 33.33, 266.67]],
+      33.33
+    ],
+    [
+      'without a contract the default terms apply',
+      null,
+      { 'release-a': 400, 'release-b': 100 },
+      [['video-a', 'release-a', 250, 50]],
+      250
+    ]
+  ])('%s', async (name, contract, earnings, expected, recouped) => {
+    const store = createStore(contract);
+    const statement = { id: 'statement-1', artist_id: 'artist-1', platform: 'spotify' };
+
+    const result = await RecoupmentService.applyToStatement(store.client, statement, payeeWith(earnings), context);
+
+    expect(result.details.map(detail => [detail.expense_id, detail.release_id, detail.amount, detail.remaining])).toEqual(expected);
+    expect(result.recouped).toBe(recouped);
+    expect(result.contract).toEqual({
+      id: contract ? 'contract-1' : null,
+      waterfall: contract ? contract.waterfall : 'cross_collateralized',
+      recoup_percentage: contract ? Number(contract.recoup_percentage) : 50
+    });
+    expect(store.ledger.reduce((sum, entry) => sum + Math.round(entry.amount * 100), 0) / 100).toBe(recouped);
+    expect(LedgerService.postRecoupment).toHaveBeenCalledWith(store.client, statement, recouped, 'user-1');
+  });
+
+  test('records the pool each amount was recouped from', async () => {
+    const store = createStore({ waterfall: 'per_release', recoup_percentage: '100.00' });
+
+    await RecoupmentService.applyToStatement(store.client, { id: 'statement-1' }, payeeWith({ 'release-a': 400, 'release-b': 100 }), context);
+
+    expect(store.ledger.map(entry => [entry.expense_id, entry.release_id, entry.waterfall, entry.recoup_percentage])).toEqual([
+      ['video-a', 'release-a', 'per_release', '100.00'],
+      ['ads-b', 'release-b', 'per_release', '100.00'],
+      ['tour', null, 'per_release', '100.00']
+    ]);
+  });
+
+  test('carries open balances into the next statement', async () => {
+    const store = createStore({ waterfall: 'cross_collateralized', recoup_percentage: '100.00' });
+
+    await RecoupmentService.applyToStatement(store.client, { id: 'statement-1' }, payeeWith({ 'release-a': 250 }), context);
+    const next = await RecoupmentService.applyToStatement(store.client, { id: 'statement-2' }, payeeWith({ 'release-b': 1000 }), context);
+
+    expect(next.details.map(detail => [detail.expense_id, detail.amount])).toEqual([['video-a', 50], ['ads-b', 200], ['tour', 150]]);
+    expect(next.recouped).toBe(400);
+  });
+
+  test('withholds nothing without outstanding costs', async () => {
+    const store = createStore({ waterfall: 'cross_collateralized', recoup_percentage: '100.00' });
+
+    const result = await RecoupmentService.applyToStatement(store.client, { id: 'statement-1' }, payeeWith({ 'release-a': 400 }), {
+      ...context,
+      periodEnd: '2025-12-31'
+    });
+
+    expect(result).toEqual({ recouped: 0, details: [], contract: null });
+    expect(LedgerService.postRecoupment).not.toHaveBeenCalled();
+  });
+});
+
+describe('Statement recoupment reversal', () => {
+  beforeEach(() => {
+    vi.spyOn(LedgerService, 'postRecoupment').mockResolvedValue(null);
+    vi.spyOn(LedgerService, 'reverseSource').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('returns the costs to their open balance', async () => {
+    const store = createStore({ waterfall: 'per_release', recoup_percentage: '100.00' });
+    await RecoupmentService.applyToStatement(store.client, { id: 'statement-1' }, payeeWith({ 'release-a': 400, 'release-b': 100 }), context);
+
+    const reversed = await RecoupmentService.reverseStatement(store.client, 'statement-1', 'user-1');
+
+    expect(reversed).toBe(500);
+    expect(EXPENSES.map(row => store.recouped(row.id))).toEqual([0, 0, 0, 0]);
+    expect(LedgerService.reverseSource).toHaveBeenCalledWith(store.client, 'recoupment', 'statement-1', 'user-1', 'statement rewritten');
+  });
+
+  test('lets the rewritten statement recoup the same costs again', async () => {
+    const store = createStore({ waterfall: 'cross_collateralized', recoup_percentage: '100.00' });
+    const statement = { id: 'statement-1' };
+    await RecoupmentService.applyToStatement(store.client, statement, payeeWith({ 'release-a': 400 }), context);
+
+    await RecoupmentService.reverseStatement(store.client, 'statement-1');
+    const rewritten = await RecoupmentService.applyToStatement(store.client, statement, payeeWith({ 'release-a': 350 }), context);
+
+    expect(rewritten.details.map(detail => [detail.expense_id, detail.amount, detail.remaining])).toEqual([['video-a', 300, 0], ['ads-b', 50, 150]]);
+    expect(EXPENSES.map(row => store.recouped(row.id))).toEqual([300, 50, 0, 0]);
+  });
+
+  test('reverses each entry once', async () => {
+    const store = createStore({ waterfall: 'cross_collateralized', recoup_percentage: '100.00' });
+    await RecoupmentService.applyToStatement(store.client, { id: 'statement-1' }, payeeWith({ 'release-a': 400 }), context);
+    await RecoupmentService.applyToStatement(store.client, { id: 'statement-2' }, payeeWith({ 'release-a': 100 }), context);
+
+    expect(await RecoupmentService.reverseStatement(store.client, 'statement-1')).toBe(400);
+    expect(await RecoupmentService.reverseStatement(store.client, 'statement-1')).toBe(0);
+    expect(EXPENSES.map(row => store.recouped(row.id))).toEqual([0, 100, 0, 0]);
+  });
+});
@@ -0,0 +1,164 @@
+const ReportParser = require('../music/utils/reportParser.util.cjs');
+
+async function readRecords(content, platform) {
+  const report = ReportParser.fromBuffer(Buffer.from(content, 'utf8'), { fileName: 'report.csv' });
+  const records = [];
+  for await (const raw of ReportParser.iterateRecords(report, platform)) {
+    records.push(raw);
+  }
+  return records;
+}
+
+describe('Report column layouts', () => {
+  test('maps Spotify headers onto normalized fields, ignoring case and punctuation', () => {
+    const layout = ReportParser.resolveLayout(
+      ['Track Name', 'artist name', 'ISRC', 'Country', 'Quantity', 'Royalty', 'Currency', 'Period Start', 'Period End'],
+      'spotify'
+    );
+
+    expect(layout.columns.track_title).toBe('Track Name');
+    expect(layout.columns.artist_name).toBe('artist name');
+    expect(layout.columns.territory).toBe('Country');
+    expect(layout.columns.streams).toBe('Quantity');
+    expect(layout.columns.revenue).toBe('Royalty');
+    expect(layout.columns.upc).toBeNull();
+  });
+
+  test('prefers the first alias when a report carries several revenue columns', () => {
+    const layout = ReportParser.resolveLayout(
+      ['Title', 'Artist', 'ISRC', 'Royalty', 'Extended Partner Share', 'Partner Share Currency'],
+      'apple_music'
+    );
+
+    expect(layout.columns.revenue).toBe('Extended Partner Share');
+    expect(layout.columns.currency).toBe('Partner Share Currency');
+  });
+
+  test('rejects layouts without revenue or a track identifier', () => {
+    expect(() => ReportParser.resolveLayout(['Track Name', 'Artist Name'], 'spotify')).toThrow(/missing revenue/);
+    expect(() => ReportParser.resolveLayout(['Royalty', 'Country'], 'spotify')).toThrow(/isrc or track title/);
+    expect(() => ReportParser.resolveLayout(['Royalty'], 'napster')).toThrow(/No column layout/);
+  });
+
+  test('detects the platform from report headers', () => {
+    expect(ReportParser.detectPlatform(['Asset Title', 'Asset ISRC', 'Views', 'Partner Revenue', 'Asset ID'])).toBe('youtube_music');
+    expect(ReportParser.detectPlatform(['Song Title', 'ISRC/ISBN', 'Extended Partner Share', 'Vendor Identifier'])).toBe('apple_music');
+    expect(ReportParser.detectPlatform(['foo', 'bar'])).toBeNull();
+  });
+
+  test('falls back to platform defaults for currency and product type', () => {
+    const layout = ReportParser.resolveLayout(['Title', 'Artist', 'ISRC', 'Nb of plays', 'Royalties'], 'deezer');
+    const record = ReportParser.normalizeRecord(
+      { Title: 'Song', Artist: 'Band', ISRC: 'us-abc-26-00001', 'Nb of plays': '1 204', Royalties: '3,61' },
+      layout,
+      { period_start: '2026-03-01', period_end: '2026-03-31' }
+    );
+
+    expect(record).toMatchObject({
+      platform: 'deezer',
+      isrc: 'USABC2600001',
+      streams: 1204,
+      revenue: 3.61,
+      currency: 'EUR',
+      product_type: 'stream',
+      period_start: '2026-03-01',
+      period_end: '2026-03-31'
+    });
+  });
+
+  test('skips the preamble above the header row and flags total rows', async () => {
+    const csv = [
+      'Account;Label Inc',
+      'Statement period;2026-03',
+      '',
+      'Track Name;Artist Name;ISRC;Country;Quantity;Royalty;Currency',
+      'First;Band;USABC2600001;us;1.200;1.234,56;eur',
+      'Second;Band;USABC2600002;DE;10;(0,42);EUR',
+      'Total;;;;1.210;1.234,14;'
+    ].join('\r\n');
+
+    const rows = await readRecords(csv, 'spotify');
+    const layout = ReportParser.resolveLayout(Object.keys(rows[0]), 'spotify');
+    const records = rows.filter(row => !ReportParser.isSummaryRow(row)).map(row => ReportParser.normalizeRecord(row, layout));
+
+    expect(rows).toHaveLength(3);
+    expect(ReportParser.isSummaryRow(rows[2])).toBe(true);
+    expect(records.map(record => [record.track_title, record.territory, record.streams, record.revenue, record.currency])).toEqual([
+      ['First', 'US', 1200, 1234.56, 'EUR'],
+      ['Second', 'DE', 10, -0.42, 'EUR']
+    ]);
+  });
+});
+
+describe('Report value parsing', () => {
+  test.each([
+    ['1,234.56', 1234.56],
+    ['1.234,56', 1234.56],
+    ['1 234,56 €', 1234.56],
+    ['$0.0042', 0.0042],
+    ['3,5', 3.5],
+    ['1,234', 1234],
+    ['1,234,567', 1234567],
+    ['-0.42', -0.42],
+    ['(12.50)', -12.5],
+    ['12.50-', -12.5],
+    ['', 0],
+    [null, 0],
+    [7.25, 7.25],
+    ['0,001', 0.001],
+    ['-0,001', -0.001],
+    ['12,500', 12500],
+    ['12,500', 12.5, { decimalComma: true }],
+    ['1,234.56', 1234.56, { decimalComma: true }],
+    ['EUR 12,50', 12.5],
+    ['EUR -12,50', -12.5],
+    ['USD 1,234.50', 1234.5],
+    ['1.234.567', 1234567],
+    ['1.5E-3', 0.0015],
+    ['-2.5e+2', -250],
+    ['(1.5E-3)', -0.0015]
+  ])('parseAmount(%j) = %d %j', (input, expected, options) => {
+    expect(ReportParser.parseAmount(input, options)).toBeCloseTo(expected, 10);
+  });
+
+  test('reads a lone comma as the decimal separator in comma-decimal layouts', () => {
+    const layout = ReportParser.resolveLayout(['Title', 'ISRC', 'Royalties'], 'deezer');
+
+    expect(ReportParser.normalizeRecord({ Title: 'Song', ISRC: 'USABC2600001', Royalties: '12,500' }, layout).revenue).toBe(12.5);
+    expect(ReportParser.normalizeRecord({ Title: 'Song', ISRC: 'USABC2600001', Royalties: '12,500' }, layout, { decimal_separator: '.' }).revenue).toBe(12500);
+  });
+
+  test('returns NaN for text that is not an amount', () => {
+    expect(ReportParser.parseAmount('n/a')).toBeNaN();
+    expect(ReportParser.parseInteger('n/a')).toBeNaN();
+  });
+
+  test('rounds unit counts to whole numbers', () => {
+    expect(ReportParser.parseInteger('1,204')).toBe(1204);
+    expect(ReportParser.parseInteger('1.204.000')).toBe(1204000);
+    expect(ReportParser.parseInteger('3.6')).toBe(4);
+    expect(ReportParser.parseInteger('')).toBe(0);
+  });
+
+  test.each([
+    ['2026-03-15', 'start', '2026-03-15'],
+    ['2026-03-15T10:00:00Z', 'start', '2026-03-15'],
+    ['20260315', 'start', '2026-03-15'],
+    ['2026-02', 'start', '2026-02-01'],
+    ['2026-02', 'end', '2026-02-28'],
+    ['2024/02', 'end', '2024-02-29'],
+    ['202611', 'end', '2026-11-30'],
+    ['03/2026', 'end', '2026-03-31'],
+    ['03/04/2026', 'start', '2026-03-04'],
+    ['13/04/2026', 'start', '2026-04-13'],
+    ['03.04.2026', 'start', '2026-04-03'],
+    ['46096', 'start', '2026-03-15']
+  ])('parseReportDate(%j, %s) = %s', (input, bound, expected) => {
+    expect(ReportParser.parseReportDate(input, bound)).toBe(expected);
+  });
+
+  test('returns null for missing or unparseable dates', () => {
+    expect(ReportParser.parseReportDate('')).toBeNull();
+    expect(ReportParser.parseReportDate('last month')).toBeNull();
+  });
+});
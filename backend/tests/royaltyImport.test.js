@@ -0,0 +1,126 @@
+const zlib = require('zlib');
+const db = require('../db.cjs');
+const ReportParser = require('../music/utils/reportParser.util.cjs');
+const RoyaltyImportService = require('../music/services/royaltyImport.service.cjs');
+
+const line = (overrides = {}) => ({
+  platform: 'spotify',
+  period_start: '2026-03-01',
+  period_end: '2026-03-31',
+  territory: 'US',
+  isrc: 'USABC2600001',
+  track_title: 'Song',
+  artist_name: 'Band',
+  revenue_type: 'stream',
+  currency: 'USD',
+  streams: 100,
+  revenue: 1.5,
+  usd_revenue: 1.5,
+  ...overrides
+});
+
+const keyed = (overrides) => {
+  const result = line(overrides);
+  result.line_key = RoyaltyImportService.buildLineKey(result);
+  return result;
+};
+
+describe('Report fingerprints', () => {
+  const csv = 'Track Name,Artist Name,Royalty\r\nSong,Band,1.50\r\n';
+
+  test('is the same for a report and its gzipped re-upload', async () => {
+    const plain = ReportParser.fromBuffer(Buffer.from(csv));
+    const gzipped = ReportParser.fromBuffer(zlib.gzipSync(csv));
+
+    expect(gzipped.compression).toBe('gzip');
+    expect(await ReportParser.fingerprint(gzipped)).toBe(await ReportParser.fingerprint(plain));
+  });
+
+  test('changes when a single amount changes', async () => {
+    const original = await ReportParser.fingerprint(ReportParser.fromBuffer(Buffer.from(csv)));
+    const restated = await ReportParser.fingerprint(ReportParser.fromBuffer(Buffer.from(csv.replace('1.50', '1.51'))));
+
+    expect(original).toMatch(/^[0-9a-f]{64}$/);
+    expect(restated).not.toBe(original);
+  });
+
+  test('looks up earlier imports of the file for the platform', async () => {
+    const spy = vi.spyOn(db, 'query').mockResolvedValue({ rows: [{ id: 'ingestion-1' }] });
+
+    try {
+      expect(await RoyaltyImportService.findByFingerprint('abc', 'spotify')).toEqual({ id: 'ingestion-1' });
+      expect(spy.mock.calls[0][0]).toMatch(/status IN \('active', 'superseded'\)/);
+      expect(spy.mock.calls[0][1]).toEqual(['abc', 'spotify']);
+
+      spy.mockResolvedValue({ rows: [] });
+      expect(await RoyaltyImportService.findByFingerprint('def')).toBeNull();
+      expect(spy.mock.calls[1][1]).toEqual(['def']);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('Royalty line keys', () => {
+  test('identify a recording by ISRC regardless of case', () => {
+    expect(RoyaltyImportService.buildLineKey(line({ isrc: 'usabc2600001' })))
+      .toBe(RoyaltyImportService.buildLineKey(line()));
+  });
+
+  test('fall back to the normalized title and artist without an ISRC', () => {
+    const key = RoyaltyImportService.buildLineKey(line({ isrc: null, track_title: 'Café  (Remix)', artist_name: 'THE Band' }));
+
+    expect(key).toBe(RoyaltyImportService.buildLineKey(line({ isrc: null, track_title: 'cafe remix', artist_name: 'the band' })));
+    expect(key).toContain('title:cafe remix/the band');
+  });
+
+  test('keep revenue types, currencies, territories and periods apart', () => {
+    const base = RoyaltyImportService.buildLineKey(line());
+
+    expect(RoyaltyImportService.buildLineKey(line({ revenue_type: 'download' }))).not.toBe(base);
+    expect(RoyaltyImportService.buildLineKey(line({ currency: 'EUR' }))).not.toBe(base);
+    expect(RoyaltyImportService.buildLineKey(line({ territory: 'DE' }))).not.toBe(base);
+    expect(RoyaltyImportService.buildLineKey(line({ period_end: '2026-03-30' }))).not.toBe(base);
+  });
+});
+
+describe('Re-import reconciliation', () => {
+  test('an identical re-import changes nothing', () => {
+    const previous = [keyed(), keyed({ territory: 'DE' })];
+    const current = [keyed(), keyed({ territory: 'DE' })];
+
+    const result = RoyaltyImportService.reconcileLines(previous, current);
+
+    expect(result.summary).toMatchObject({ added: 0, changed: 0, removed: 0, unchanged: 2, revenue_delta_usd: 0 });
+    expect(result.summary.revenue_delta_by_currency).toEqual({});
+  });
+
+  test('classifies added, changed and removed lines of a restated report', () => {
+    const previous = [keyed(), keyed({ territory: 'DE' }), keyed({ territory: 'FR', currency: 'EUR', revenue: 2, usd_revenue: 2.2 })];
+    const current = [
+      keyed({ revenue: 1.75, usd_revenue: 1.75 }),
+      keyed({ territory: 'DE' }),
+      keyed({ territory: 'GB', revenue: 0.5, usd_revenue: 0.5 })
+    ];
+
+    const result = RoyaltyImportService.reconcileLines(previous, current);
+
+    expect(result.added.map(item => item.territory)).toEqual(['GB']);
+    expect(result.changed.map(item => item.current.territory)).toEqual(['US']);
+    expect(result.unchanged.map(item => item.current.territory)).toEqual(['DE']);
+    expect(result.removed.map(item => item.territory)).toEqual(['FR']);
+    expect(result.summary).toMatchObject({
+      previous_revenue_usd: 5.2,
+      current_revenue_usd: 3.75,
+      revenue_delta_usd: -1.45,
+      revenue_delta_by_currency: { USD: 0.75, EUR: -2 }
+    });
+  });
+
+  test('treats revenue noise below the stored precision as unchanged', () => {
+    expect(RoyaltyImportService.lineDiffers(line({ revenue: '1.5000001' }), line())).toBe(false);
+    expect(RoyaltyImportService.lineDiffers(line({ revenue: '1.500001' }), line())).toBe(true);
+    expect(RoyaltyImportService.lineDiffers(line({ streams: '100' }), line())).toBe(false);
+    expect(RoyaltyImportService.lineDiffers(line({ track_id: 't1' }), line())).toBe(true);
+  });
+});
@@ -0,0 +1,110 @@
+const RoyaltyStatementService = require('../music/services/royaltyStatement.service.cjs');
+const RoyaltyImportService = require('../music/services/royaltyImport.service.cjs');
+
+const line = (overrides = {}) => ({
+  ingestion_line_id: 'line-1',
+  track_id: 'track-1',
+  release_id: 'release-1',
+  primary_artist_id: 'primary',
+  territory: 'US',
+  revenue_type: 'stream',
+  streams: 300,
+  usd_revenue: 1,
+  ...overrides
+});
+
+const split = (id, artistId, percentage, trackId = null) => ({ id, artist_id: artistId, percentage, track_id: trackId });
+
+const total = (allocations) => RoyaltyImportService.roundRevenue(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+
+describe('Royalty split allocation', () => {
+  test('gives the whole line to the primary artist without splits', () => {
+    expect(RoyaltyStatementService.allocateLine(line(), [])).toEqual([
+      { artist_id: 'primary', split_id: null, split_percentage: 100, amount: 1 }
+    ]);
+    expect(RoyaltyStatementService.allocateLine(line({ primary_artist_id: null }), [])).toEqual([]);
+  });
+
+  test('thirds of a line always add up to the line revenue', () => {
+    for (const revenue of [1, 0.01, 0.1, 2.000001, 1234.56789]) {
+      const allocations = RoyaltyStatementService.allocateLine(line({ usd_revenue: revenue }), [
+        split('s1', 'a', 100 / 3),
+        split('s2', 'b', 100 / 3),
+        split('s3', 'c', 100 / 3)
+      ]);
+
+      expect(allocations).toHaveLength(3);
+      expect(total(allocations)).toBe(RoyaltyImportService.roundRevenue(revenue));
+    }
+  });
+
+  test('puts the rounding difference on the largest share', () => {
+    const allocations = RoyaltyStatementService.allocateLine(line(), [
+      split('s1', 'a', 50),
+      split('s2', 'b', 100 / 6),
+      split('s3', 'c', 100 / 6),
+      split('s4', 'd', 100 / 6)
+    ]);
+
+    // Three sixths round up to 0.166667 each; the half absorbs the extra millionth
+    expect(allocations.map(allocation => allocation.amount)).toEqual([0.499999, 0.166667, 0.166667, 0.166667]);
+    expect(total(allocations)).toBe(1);
+  });
+
+  test('splits negative corrections the same way', () => {
+    const allocations = RoyaltyStatementService.allocateLine(line({ usd_revenue: -0.1 }), [
+      split('s1', 'a', 100 / 3),
+      split('s2', 'b', 100 / 3),
+      split('s3', 'c', 100 / 3)
+    ]);
+
+    expect(allocations.every(allocation => allocation.amount < 0)).toBe(true);
+    expect(total(allocations)).toBe(-0.1);
+  });
+
+  test('scales over-allocated splits down to 100%', () => {
+    const allocations = RoyaltyStatementService.allocateLine(line(), [split('s1', 'a', 60), split('s2', 'b', '60')]);
+
+    expect(allocations.map(allocation => [allocation.artist_id, allocation.split_percentage, allocation.amount])).toEqual([
+      ['a', 50, 0.5],
+      ['b', 50, 0.5]
+    ]);
+  });
+
+  test('gives an under-allocated remainder to the primary artist', () => {
+    const allocations = RoyaltyStatementService.allocateLine(line(), [split('s1', 'a', 30)]);
+
+    expect(allocations.map(allocation => [allocation.artist_id, allocation.split_id, allocation.amount])).toEqual([
+      ['a', 's1', 0.3],
+      ['primary', null, 0.7]
+    ]);
+  });
+
+  test('track splits override release splits', () => {
+    const releaseSplits = [split('r1', 'a', 100), split('t1', 'b', 100, 'track-1')];
+
+    expect(RoyaltyStatementService.splitsForLine(line(), releaseSplits).map(item => item.id)).toEqual(['t1']);
+    expect(RoyaltyStatementService.splitsForLine(line({ track_id: 'track-2' }), releaseSplits).map(item => item.id)).toEqual(['r1']);
+  });
+});
+
+describe('Statement grouping', () => {
+  test('credits a payee with two shares of a line its streams once', () => {
+    const splits = new Map([['release-1', [split('s1', 'a', 25), split('s2', 'a', 25), split('s3', 'b', 50)]]]);
+    const payees = RoyaltyStatementService.groupLinesByPayee([
+      line(),
+      line({ ingestion_line_id: 'line-2', territory: 'DE', streams: 100, usd_revenue: 0.3 })
+    ], splits);
+
+    const a = payees.get('a');
+    const b = payees.get('b');
+
+    expect(a.total_streams).toBe(400);
+    expect(a.lines).toHaveLength(4);
+    expect(a.gross_revenue).toBe(0.65);
+    expect(a.revenue_by_territory).toEqual({ US: 0.5, DE: 0.15 });
+    expect(b.gross_revenue).toBe(0.65);
+    expect(RoyaltyImportService.roundRevenue(a.gross_revenue + b.gross_revenue)).toBe(1.3);
+    expect(a).not.toHaveProperty('countedLines');
+  });
+});
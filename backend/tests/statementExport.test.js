@@ -0,0 +1,335 @@
+const db = require('../db.cjs');
+const StatementExportService = require('../music/services/statementExport.service.cjs');
+const RoyaltyStatementService = require('../music/services/royaltyStatement.service.cjs');
+const { isZip, readZip, readZipText, crc32 } = require('../utils/zip.util.cjs');
+const { PdfReader } = require('../utils/pdfReader.util.cjs');
+const { parseXml, findAll, findFirst, childElements, textContent } = require('../utils/xml.util.cjs');
+
+const STATEMENT_ID = '3f9a1c2e-5b7d-4e8f-9a0b-1c2d3e4f5a6b';
+
+const STATEMENT = {
+  id: STATEMENT_ID,
+  artist_id: 'artist-1',
+  artist_name: 'Night Drive',
+  platform: 'spotify',
+  period_start: '2026-03-01',
+  period_end: '2026-03-31',
+  currency: 'USD',
+  status: 'approved',
+  generated_at: '2026-04-10',
+  gross_revenue: '71.83',
+  recouped_amount: '20.00',
+  payable_amount: '51.83',
+  recoupment_details: [{ expense_id: 'expense-1', expense_type: 'marketing', description: 'Video', release_id: 'release-1', amount: 20, remaining: 280 }],
+  legal_name: 'Jane Doe',
+  address_line1: '1 Elm St',
+  city: 'Austin',
+  state: 'TX',
+  postal_code: '78701',
+  country: 'US'
+};
+
+const track = (id, title, isrc, split) => ({ track_id: id, track_title: title, isrc, release_id: 'release-1', split_percentage: String(split) });
+const MIDNIGHT = track('track-1', 'Midnight', 'USSL12600001', 50);
+const HEADLIGHTS = track('track-2', 'Headlights, "Radio Edit"', 'USSL12600002', 100);
+const TOUR_BUS = track('track-3', 'Tour Bus', 'USSL12600003', 25);
+
+const line = (source, territory, revenueType, streams, revenue, amount) => ({
+  ...source,
+  platform: 'spotify',
+  territory,
+  revenue_type: revenueType,
+  period_start: null,
+  period_end: null,
+  streams: String(streams),
+  line_revenue: revenue,
+  amount,
+  currency: 'USD'
+});
+
+// Payee shares at full precision; they round to the statement's 71.83
+const LINES = [
+  line(MIDNIGHT, 'US', 'stream', 12000, '48.123456', '24.061728'),
+  line(MIDNIGHT, 'GB', 'stream', 3000, '11.000002', '5.500001'),
+  line(MIDNIGHT, 'US', 'download', 3, '2.970000', '1.485000'),
+  line(HEADLIGHTS, 'US', 'stream', 8000, '32.333333', '32.333333'),
+  line(HEADLIGHTS, 'DE', 'stream', 1500, '5.666667', '5.666667'),
+  line(TOUR_BUS, 'SE', 'stream', 700, '2.801234', '0.700309'),
+  line(TOUR_BUS, 'US', 'stream', 100, '0.404040', '0.101010'),
+  line(HEADLIGHTS, 'GB', 'download', 2, '1.980000', '1.980000')
+];
+
+const TOTAL_STREAMS = 25305;
+
+const cents = (value) => Math.round(Number(value) * 100);
+const sumCents = (values) => cents(values.reduce((sum, value) => sum + Number(value), 0));
+
+function mockStatement({ lines = LINES, template = null } = {}) {
+  vi.spyOn(RoyaltyStatementService, 'getStatementLines').mockResolvedValue(lines);
+  vi.spyOn(db, 'query').mockImplementation(async (sql) => {
+    if (/FROM royalty_statements s/.test(sql)) return { rows: [STATEMENT] };
+    if (/FROM releases/.test(sql)) return { rows: [{ id: 'release-1', title: 'Night Drive' }] };
+    if (/FROM journal_lines/.test(sql)) return { rows: [] };
+    if (/FROM statement_templates/.test(sql)) return { rows: template ? [template] : [] };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+/**
+ * Minimal RFC 4180 reader for the exported CSV
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\r' && content[i + 1] === '\n') {
+      rows.push([...row, value]);
+      row = [];
+      value = '';
+      i++;
+    } else {
+      value += char;
+    }
+  }
+
+  const [header, ...records] = rows;
+  return records.map(record => Object.fromEntries(header.map((name, index) => [name, record[index]])));
+}
+
+/**
+ * Worksheet rows by number as { A: value, B: value, ... }, numbers as numbers
+ */
+function sheetRows(entries, sheetIndex) {
+  const sheet = parseXml(readZipText(entries, `xl/worksheets/sheet${sheetIndex}.xml`));
+  return findAll(sheet, 'row').map(row => Object.fromEntries(childElements(row, 'c').map(cell => {
+    const column = cell.attributes.r.replace(/\d+$/, '');
+    const value = cell.attributes.t === 'inlineStr' ? textContent(findFirst(cell, 't')) : Number(textContent(findFirst(cell, 'v')));
+    return [column, value];
+  })));
+}
+
+/**
+ * CRC-32 per entry name as recorded in the ZIP central directory
+ */
+function centralChecksums(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const checksums = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    checksums.set(name, buffer.readUInt32LE(offset + 16));
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return checksums;
+}
+
+function sheetIndexes(entries) {
+  const workbook = parseXml(readZipText(entries, 'xl/workbook.xml'));
+  return Object.fromEntries(findAll(workbook, 'sheet').map((sheet, index) => [sheet.attributes.name, index + 1]));
+}
+
+describe('Statement CSV export', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('has one row per statement line adding up to the statement', async () => {
+    mockStatement();
+
+    const { content, contentType, fileName } = await StatementExportService.exportStatement(STATEMENT_ID, { format: 'csv' });
+    const rows = parseCsv(content);
+
+    expect(contentType).toBe('text/csv; charset=utf-8');
+    expect(fileName).toBe('statement-night-drive-spotify-2026-03-01-2026-03-31.csv');
+    expect(rows).toHaveLength(LINES.length);
+    expect(sumCents(rows.map(row => row.amount))).toBe(cents(STATEMENT.gross_revenue));
+    expect(rows.reduce((sum, row) => sum + Number(row.units), 0)).toBe(TOTAL_STREAMS);
+    expect(rows.every(row => row.statement_id === STATEMENT_ID && row.period_end === '2026-03-31' && row.currency === 'USD')).toBe(true);
+  });
+
+  test('quotes values with commas and quotes', async () => {
+    mockStatement();
+
+    const { content } = await StatementExportService.exportStatement(STATEMENT_ID, { format: 'csv' });
+
+    expect(content).toContain('"Headlights, ""Radio Edit"""');
+    expect(parseCsv(content)[3].track_title).toBe('Headlights, "Radio Edit"');
+  });
+});
+
+describe('Statement XLSX export', () => {
+  let exported;
+  let entries;
+  let sheets;
+
+  beforeAll(async () => {
+    mockStatement();
+    exported = await StatementExportService.exportStatement(STATEMENT_ID, { format: 'xlsx' });
+    vi.restoreAllMocks();
+
+    entries = readZip(exported.content);
+    sheets = sheetIndexes(entries);
+  });
+
+  test('is a valid package with every part declared and referenced', () => {
+    expect(exported.contentType).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(isZip(exported.content)).toBe(true);
+
+    const types = parseXml(readZipText(entries, '[Content_Types].xml'));
+    const overrides = findAll(types, 'Override').map(override => override.attributes.PartName.slice(1));
+    const rootRels = findAll(parseXml(readZipText(entries, '_rels/.rels')), 'Relationship').map(rel => rel.attributes.Target);
+    const workbookRels = findAll(parseXml(readZipText(entries, 'xl/_rels/workbook.xml.rels')), 'Relationship');
+    const sheetIds = findAll(parseXml(readZipText(entries, 'xl/workbook.xml')), 'sheet').map(sheet => sheet.attributes['r:id']);
+
+    expect(overrides.every(name => entries.has(name))).toBe(true);
+    expect([...entries.keys()].filter(name => name.endsWith('.xml') && name !== '[Content_Types].xml').sort()).toEqual([...overrides].sort());
+    expect(rootRels).toEqual(['xl/workbook.xml']);
+    expect(workbookRels.every(rel => entries.has(`xl/${rel.attributes.Target}`))).toBe(true);
+    expect(sheetIds.every(id => workbookRels.some(rel => rel.attributes.Id === id))).toBe(true);
+  });
+
+  test('stores every entry with a matching checksum and size', () => {
+    const checksums = centralChecksums(exported.content);
+
+    expect([...checksums.keys()]).toEqual([...entries.keys()]);
+    for (const entry of entries.values()) {
+      const data = entry.read();
+      expect(data.length).toBe(entry.size);
+      expect(checksums.get(entry.name)).toBe(crc32(data));
+      expect(() => parseXml(data.toString('utf8'))).not.toThrow();
+    }
+  });
+
+  test('has a sheet per section with the statement lines', () => {
+    expect(Object.keys(sheets)).toEqual(['Summary', 'Platforms', 'Territories', 'Tracks', 'Deductions', 'Lines']);
+
+    const lines = sheetRows(entries, sheets.Lines).slice(1);
+    expect(lines).toHaveLength(LINES.length);
+    expect(sumCents(lines.map(row => row.L))).toBe(cents(STATEMENT.gross_revenue));
+    expect(lines.reduce((sum, row) => sum + row.I, 0)).toBe(TOTAL_STREAMS);
+  });
+
+  test.each([
+    ['Platforms', 'C', 'D', 'E'],
+    ['Territories', 'B', 'C', 'D'],
+    ['Tracks', 'E', 'F', 'G']
+  ])('%s rows add up to the total row and the statement', (name, units, revenue, share) => {
+    const rows = sheetRows(entries, sheets[name]).slice(1);
+    const total = rows.pop();
+
+    expect(total.A).toBe('Total');
+    expect(total[units]).toBe(TOTAL_STREAMS);
+    expect(rows.reduce((sum, row) => sum + row[units], 0)).toBe(TOTAL_STREAMS);
+    expect(sumCents(rows.map(row => row[revenue]))).toBe(cents(total[revenue]));
+    expect(sumCents(rows.map(row => row[share]))).toBe(cents(total[share]));
+    expect(total[share]).toBe(Number(STATEMENT.gross_revenue));
+  });
+
+  test('summarises royalties, deductions and the payable amount', () => {
+    const summary = sheetRows(entries, sheets.Summary).filter(row => typeof row.B === 'number');
+
+    expect(summary).toEqual([
+      { A: 'Royalties this statement', B: 71.83 },
+      { A: 'Recoupment deductions', B: -20 },
+      { A: 'Payable', B: 51.83 }
+    ]);
+    expect(cents(summary[0].B) + cents(summary[1].B)).toBe(cents(summary[2].B));
+    expect(sheetRows(entries, sheets.Deductions)[1]).toEqual({ A: 'marketing', B: 'Video', C: 'Night Drive', D: 20, E: 280 });
+  });
+});
+
+describe('Statement PDF export', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const render = async (template) => {
+    mockStatement({ template });
+    const { content, contentType } = await StatementExportService.exportStatement(STATEMENT_ID, { format: 'pdf' });
+    expect(contentType).toBe('application/pdf');
+    return content;
+  };
+
+  const pageText = (reader, page) => reader.extractText(page).map(item => item.text).join(' ');
+
+  test('has a cross-reference table pointing at every object', async () => {
+    const pdf = await render();
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.7\n')).toBe(true);
+    expect(text.endsWith('%%EOF\n')).toBe(true);
+
+    const xrefOffset = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+    const [, first, count] = /^xref\n(\d+) (\d+)\n/.exec(text.slice(xrefOffset));
+    const table = text.slice(xrefOffset).split('\n').slice(2, 2 + Number(count));
+    const size = Number(/trailer\n<< \/Size (\d+)/.exec(text)[1]);
+
+    expect(Number(first)).toBe(0);
+    expect(size).toBe(Number(count));
+    expect(table[0]).toBe('0000000000 65535 f ');
+    table.slice(1).forEach((entry, index) => {
+      expect(entry).toMatch(/^\d{10} 00000 n $/);
+      expect(text.startsWith(`${index + 1} 0 obj\n`, Number(entry.slice(0, 10)))).toBe(true);
+    });
+  });
+
+  test('reads back with the statement totals', async () => {
+    const reader = new PdfReader(await render());
+    const pages = reader.getPages();
+    const text = pages.map(page => pageText(reader, page)).join(' ');
+
+    expect(reader.getInfo()).toMatchObject({ title: 'Royalty Statement 2026-03-01 - 2026-03-31', subject: 'spotify royalties for Night Drive' });
+    expect(pages).toHaveLength(1);
+    expect(pages[0].mediaBox).toEqual([0, 0, 612, 792]);
+    expect(text).toContain('Royalties this statement $71.83');
+    expect(text).toContain('Recoupment deductions -$20.00');
+    expect(text).toContain('Payable $51.83');
+    expect(text).toContain('Total 25,305 $105.28 $71.83');
+    expect(text).toContain('Page 1 of 1');
+  });
+
+  test('uses the paper size of the template', async () => {
+    const reader = new PdfReader(await render({ id: 'template-1', paper_size: 'a4' }));
+
+    expect(reader.getPages()[0].mediaBox.map(Math.round)).toEqual([0, 0, 595, 842]);
+  });
+
+  test('numbers every page of a statement running over several pages', async () => {
+    const lines = Array.from({ length: 120 }, (item, index) => line(
+      track(`track-${index + 1}`, `Track ${index + 1}`, `USSL1260${String(index + 1).padStart(4, '0')}`, 100),
+      'US', 'stream', 10, '0.040000', '0.040000'
+    ));
+    mockStatement({ lines, template: { id: 'template-1', max_rows: 500, sections: ['tracks'] } });
+
+    const reader = new PdfReader((await StatementExportService.exportStatement(STATEMENT_ID)).content);
+    const pages = reader.getPages();
+
+    expect(pages.length).toBeGreaterThan(1);
+    pages.forEach((page, index) => {
+      expect(pageText(reader, page)).toContain(`Page ${index + 1} of ${pages.length}`);
+    });
+    expect(pages.map(page => pageText(reader, page)).join(' ').match(/Track \d+/g)).toHaveLength(120);
+    expect(pageText(reader, pages[pages.length - 1])).toContain('Total 1,200 $4.80 $71.83');
+  });
+});
@@ -0,0 +1,127 @@
+const db = require('../db.cjs');
+const TaxService = require('../music/services/tax.service.cjs');
+
+// payee_tax_profiles columns (migration 0016), in table order
+const PROFILE_COLUMNS = [
+  'id', 'artist_id', 'form_type', 'legal_name', 'business_name', 'entity_type', 'tin_type', 'tin_encrypted',
+  'tin_last4', 'address_line1', 'address_line2', 'city', 'state', 'postal_code', 'country', 'treaty_country',
+  'treaty_article', 'treaty_rate', 'form_1099_type', 'exempt_payee_code', 'backup_withholding', 'vat_status',
+  'vat_number', 'signature_name', 'signed_at', 'expires_at', 'submitted_by', 'created_at', 'updated_at'
+];
+
+const TABLES = { a: 'artist', p: 'profile', pay: 'pay' };
+
+/**
+ * Row as node-pg builds it from the query's select list: columns are assigned
+ * in order, so the last of two columns with the same name wins
+ */
+function pgRow(sql, sources) {
+  const selectList = sql.match(/SELECT([\s\S]*?)\bFROM\b/)[1];
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selectList) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current.trim());
+
+  const row = {};
+  for (const item of items) {
+    if (item === 'p.*') {
+      for (const column of PROFILE_COLUMNS) row[column] = sources.profile ? sources.profile[column] ?? null : null;
+      continue;
+    }
+    const [, expression, alias] = item.match(/^([\s\S]+?)(?:\s+AS\s+(\w+))?$/);
+    const reference = expression.match(/^(\w+)\.(\w+)$/);
+    const name = alias || reference[2];
+    row[name] = reference ? (sources[TABLES[reference[1]]] || {})[reference[2]] ?? null : sources.computed[name];
+  }
+  return row;
+}
+
+const artist = { id: 'artist-1', name: 'Undocumented Band' };
+
+describe('Payees without a tax profile', () => {
+  let spy;
+
+  beforeEach(() => {
+    spy = vi.spyOn(db, 'query').mockImplementation(async (sql) => ({
+      rows: [pgRow(sql, {
+        artist,
+        profile: null,
+        pay: { gross: '1250.00', withheld: '300.00', payout_count: '3' },
+        computed: { profile_status: 'missing', total_count: '1' }
+      })]
+    }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('keep their artist ID in the tax status and withholding check', async () => {
+    const withholding = vi.spyOn(TaxService, 'determineWithholding').mockResolvedValue({ rate: 24, reason: 'undocumented', form_type: null });
+
+    const [payee] = await TaxService.getPayeeTaxStatus([artist.id]);
+
+    expect(payee).toMatchObject({ artist_id: 'artist-1', artist_name: 'Undocumented Band', status: 'missing', profile: null });
+    expect(withholding).toHaveBeenCalledWith('artist-1');
+    expect(spy.mock.calls[0][1]).toEqual([['artist-1']]);
+  });
+
+  test('are listed as missing with their artist ID', async () => {
+    const { profiles, pagination } = await TaxService.listProfiles({ status: 'missing' });
+
+    expect(profiles).toEqual([{ artist_id: 'artist-1', artist_name: 'Undocumented Band', status: 'missing', profile: null }]);
+    expect(pagination.total).toBe(1);
+  });
+
+  test('are reported on a 1099-MISC under their artist ID', async () => {
+    const { recipients } = await TaxService.get1099Data(2026);
+
+    expect(recipients).toHaveLength(1);
+    expect(recipients[0]).toMatchObject({
+      artist_id: 'artist-1',
+      legal_name: 'Undocumented Band',
+      form: '1099-MISC',
+      missing_tin: true,
+      boxes: { 2: 1250, 4: 300 }
+    });
+  });
+});
+
+describe('Payees with a tax profile', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('are listed with the profile', async () => {
+    const profile = {
+      id: 'profile-1',
+      artist_id: artist.id,
+      form_type: 'W-9',
+      legal_name: 'Jane Doe',
+      entity_type: 'individual',
+      tin_type: 'SSN',
+      tin_last4: '4321',
+      country: 'US',
+      form_1099_type: 'MISC',
+      signed_at: '2026-01-15'
+    };
+    vi.spyOn(db, 'query').mockImplementation(async (sql) => ({
+      rows: [pgRow(sql, { artist, profile, computed: { profile_status: 'valid', total_count: '1' } })]
+    }));
+
+    const { profiles } = await TaxService.listProfiles();
+
+    expect(profiles[0]).toMatchObject({ artist_id: 'artist-1', status: 'valid' });
+    expect(profiles[0].profile).toMatchObject({ id: 'profile-1', form_type: 'W-9', legal_name: 'Jane Doe' });
+  });
+});
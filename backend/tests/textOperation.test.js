@@ -0,0 +1,101 @@
+const TextOperation = require('../utils/textOperation.util.cjs');
+
+// Small deterministic PRNG so failures reproduce
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function randomOperation(doc, next) {
+  const ops = [];
+  let index = 0;
+  while (index < doc.length) {
+    const count = 1 + Math.floor(next() * Math.min(5, doc.length - index));
+    const roll = next();
+    if (roll < 0.2) ops.push('xyz'.slice(0, 1 + Math.floor(next() * 3)));
+    if (roll < 0.5) ops.push(count);
+    else if (roll < 0.8) ops.push(-count);
+    else ops.push(count, 'é');
+    index += count;
+  }
+  if (next() < 0.3) ops.push('end');
+  return TextOperation.normalize(ops);
+}
+
+describe('Text operations', () => {
+  test('apply retains, inserts and deletes', () => {
+    expect(TextOperation.apply('hello world', [6, 'brave new ', 5])).toBe('hello brave new world');
+    expect(TextOperation.apply('hello world', [-6, 5])).toBe('world');
+    expect(() => TextOperation.apply('hello', [4])).toThrow(/base length/);
+  });
+
+  test('fromDiff produces the operation between two texts', () => {
+    const operation = TextOperation.fromDiff('the quick fox', 'the slow fox');
+
+    expect(operation).toEqual([4, 'slow', -5, 4]);
+    expect(TextOperation.apply('the quick fox', operation)).toBe('the slow fox');
+    expect(TextOperation.isNoop(TextOperation.fromDiff('same', 'same'))).toBe(true);
+  });
+
+  test('normalize merges neighbours and keeps inserts ahead of deletes', () => {
+    expect(TextOperation.normalize([1, 2, -1, 'a', -2, 'b', 3])).toEqual([3, 'ab', -3, 3]);
+    expect(TextOperation.isValid([1, 'a', -1])).toBe(true);
+    expect(TextOperation.isValid([0])).toBe(false);
+    expect(TextOperation.isValid([''])).toBe(false);
+  });
+
+  test('compose has the effect of applying both operations', () => {
+    const next = random(7);
+    for (let run = 0; run < 200; run++) {
+      const doc = 'lorem ipsum dolor'.slice(0, Math.floor(next() * 18));
+      const a = randomOperation(doc, next);
+      const afterA = TextOperation.apply(doc, a);
+      const b = randomOperation(afterA, next);
+
+      expect(TextOperation.apply(doc, TextOperation.compose(a, b))).toBe(TextOperation.apply(afterA, b));
+    }
+    expect(() => TextOperation.compose([1], [2])).toThrow(/lengths/);
+  });
+
+  test('transform makes concurrent operations converge', () => {
+    const next = random(42);
+    for (let run = 0; run < 300; run++) {
+      const doc = 'concurrent editing'.slice(0, Math.floor(next() * 19));
+      const a = randomOperation(doc, next);
+      const b = randomOperation(doc, next);
+      const [aPrime, bPrime] = TextOperation.transform(a, b);
+
+      expect(TextOperation.apply(TextOperation.apply(doc, a), bPrime)).toBe(TextOperation.apply(TextOperation.apply(doc, b), aPrime));
+    }
+  });
+
+  test('transform puts the first operation\'s text first on a tied insert', () => {
+    const [aPrime, bPrime] = TextOperation.transform([2, 'A', 1], [2, 'B', 1]);
+
+    expect(TextOperation.apply('abX', [2, 'A', 1])).toBe('abAX');
+    expect(TextOperation.apply('abAX', bPrime)).toBe('abABX');
+    expect(TextOperation.apply('abBX', aPrime)).toBe('abABX');
+  });
+
+  test('transform drops text both sides deleted', () => {
+    const [aPrime, bPrime] = TextOperation.transform([1, -3, 2], [2, -3, 1]);
+
+    expect(TextOperation.apply('abcdef', [1, -3, 2])).toBe('aef');
+    expect(TextOperation.apply('aef', bPrime)).toBe('af');
+    expect(TextOperation.apply('abf', aPrime)).toBe('af');
+  });
+
+  test('transformIndex moves positions through edits', () => {
+    expect(TextOperation.transformIndex(5, [2, 'abc', 3])).toBe(8);
+    expect(TextOperation.transformIndex(2, [2, 'abc', 3], true)).toBe(5);
+    expect(TextOperation.transformIndex(2, [2, 'abc', 3], false)).toBe(2);
+    expect(TextOperation.transformIndex(4, [1, -5, 2])).toBe(1);
+  });
+
+  test('affectedRanges reports where an operation touches the old text', () => {
+    expect(TextOperation.affectedRanges([2, 'x', 3, -4, 1])).toEqual([{ start: 2, end: 2 }, { start: 5, end: 9 }]);
+  });
+});
@@ -0,0 +1,94 @@
+const TrackMatcher = require('../music/utils/trackMatcher.util.cjs');
+
+describe('Track matcher normalization', () => {
+  test('drops featured artists and remaster tags but keeps version names', () => {
+    expect(TrackMatcher.normalizeTitle('Song Title (feat. Someone) - 2011 Remastered Version')).toBe('song title');
+    expect(TrackMatcher.normalizeTitle('Song Title [Explicit]')).toBe('song title');
+    expect(TrackMatcher.normalizeTitle('Song Title (Live at Wembley)')).toBe('song title live at wembley');
+  });
+
+  test('splits artist credits into individual names', () => {
+    expect(TrackMatcher.splitArtists('Beyoncé & Jay-Z feat. Kendrick Lamar')).toEqual(['beyonce', 'jay z', 'kendrick lamar']);
+    expect(TrackMatcher.normalizeArtist('Daft Punk, Pharrell Williams')).toBe('daft punk');
+  });
+
+  test.each([
+    ['3:25', 205],
+    ['1:02:03', 3723],
+    ['PT3M25S', 205],
+    [205000, 205],
+    ['205,4', 205],
+    ['', null],
+    ['n/a', null]
+  ])('parseDuration(%j) = %j', (input, expected) => {
+    expect(TrackMatcher.parseDuration(input)).toBe(expected);
+  });
+
+  test('treats an EAN-13 with a leading zero as the same UPC', () => {
+    expect(TrackMatcher.normalizeCode('0 123456 789012')).toBe('123456789012');
+    expect(TrackMatcher.normalizeCode('123456789012')).toBe('123456789012');
+  });
+});
+
+describe('Track matcher scoring', () => {
+  test('bigram similarity ignores word order', () => {
+    expect(TrackMatcher.diceCoefficient('night', 'nacht')).toBe(0.25);
+    expect(TrackMatcher.similarity('hello world', 'world hello')).toBe(1);
+    expect(TrackMatcher.similarity('', 'hello')).toBe(0);
+  });
+
+  test('scores an exact match with every signal as 1', () => {
+    const result = TrackMatcher.scoreCandidate(
+      { track_title: 'Song Title - Remastered 2011', artist_name: 'The Band feat. X', duration: '3:25', upc: '0123456789012' },
+      { title: 'Song Title', artist_name: 'The Band', duration: 206, upc: '123456789012' }
+    );
+
+    expect(result).toEqual({ score: 1, breakdown: { title: 1, artist: 1, duration: 1, upc: 1 } });
+  });
+
+  test('redistributes the weight of signals missing from the report line', () => {
+    const result = TrackMatcher.scoreCandidate(
+      { track_title: 'Song Title', artist_name: 'The Band' },
+      { title: 'Song Title', artist_name: 'The Band', duration: 206, upc: '123456789012' }
+    );
+
+    expect(result).toEqual({ score: 1, breakdown: { title: 1, artist: 1 } });
+  });
+
+  test('penalises durations beyond the cutoff by their weight only', () => {
+    const result = TrackMatcher.scoreCandidate(
+      { track_title: 'Song Title', artist_name: 'The Band', duration: 260 },
+      { title: 'Song Title', artist_name: 'The Band', duration: 206 }
+    );
+
+    expect(result.breakdown.duration).toBe(0);
+    expect(result.score).toBeCloseTo(0.8 / 0.9, 4);
+    expect(TrackMatcher.durationSimilarity(206, 222)).toBeCloseTo(0.5, 10);
+  });
+
+  test('matches the stage name when the legal artist name differs', () => {
+    const result = TrackMatcher.scoreCandidate(
+      { track_title: 'Song Title', artist_name: 'MC Stage' },
+      { title: 'Song Title', artist_name: 'John Smith', stage_name: 'MC Stage' }
+    );
+
+    expect(result.breakdown.artist).toBe(1);
+  });
+
+  test('ranks candidates best first and drops those under the minimum score', () => {
+    const ranked = TrackMatcher.rankCandidates({ track_title: 'Midnight City', artist_name: 'M83' }, [
+      { track_id: 'wait', title: 'Wait', artist_name: 'M83' },
+      { track_id: 'remix', title: 'Midnight City (Remix)', artist_name: 'M83' },
+      { track_id: 'other', title: 'Something Else', artist_name: 'Other' },
+      { track_id: 'exact', title: 'Midnight City', artist_name: 'M83' }
+    ]);
+
+    expect(ranked.map(candidate => candidate.track_id)).toEqual(['exact', 'remix', 'wait']);
+    expect(ranked[0].score).toBe(1);
+    expect(ranked[1].score).toBeLessThan(1);
+    expect(TrackMatcher.rankCandidates({ track_title: 'Midnight City', artist_name: 'M83' }, [
+      { track_id: 'exact', title: 'Midnight City', artist_name: 'M83' },
+      { track_id: 'remix', title: 'Midnight City (Remix)', artist_name: 'M83' }
+    ], { limit: 1 })).toHaveLength(1);
+  });
+});
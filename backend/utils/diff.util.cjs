@@ -0,0 +1,277 @@
+/**
+ * Diff Utilities
+ * Sequence diffing (Myers), three-way merging (diff3) and tokenizers
+ * Used for version comparison and branch merges of publication content
+ */
+
+// Past this many edits a diff is reported as one wholesale replacement;
+// the trace grows quadratically with the edit distance
+const MAX_EDIT_DISTANCE = 2000;
+
+const WORD_PATTERN = /<[^>]*>|\s+|[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*|[^\s\p{L}\p{N}_]/gu;
+
+/**
+ * Split text into diffable tokens
+ * 'word' keeps whitespace, punctuation and markup tags as their own tokens;
+ * 'character' splits into code points
+ * @param {string} text
+ * @param {string} mode - word | character
+ * @returns {string[]}
+ */
+function tokenize(text, mode = 'word') {
+  if (!text) return [];
+  if (mode === 'character') return Array.from(text);
+  return text.match(WORD_PATTERN) || [];
+}
+
+function internKeys(a, b, key) {
+  const ids = new Map();
+  const intern = (item) => {
+    const k = key(item);
+    let id = ids.get(k);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(k, id);
+    }
+    return id;
+  };
+  return [a.map(intern), b.map(intern)];
+}
+
+/**
+ * Myers O(ND) shortest edit script between the trimmed middles of a and b
+ * Returns matched index pairs relative to the slices
+ */
+function myersMatches(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= max && d <= MAX_EDIT_DISTANCE; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    if (found) break;
+  }
+
+  if (!found) return [];
+
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d];
+    const at = (k) => row[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    if (d > 0) {
+      if (x === prevX) y--;
+      else x--;
+    }
+  }
+
+  return matches.reverse();
+}
+
+/**
+ * Pairs of indices [i, j] where a[i] and b[j] belong to the longest common subsequence
+ * @param {Array} a
+ * @param {Array} b
+ * @param {Function} key - maps an item to its comparison key
+ * @returns {Array<[number, number]>}
+ */
+function matchSequences(a, b, key = (item) => item) {
+  const [ka, kb] = internKeys(a, b, key);
+  const matches = [];
+
+  let start = 0;
+  while (start < ka.length && start < kb.length && ka[start] === kb[start]) {
+    matches.push([start, start]);
+    start++;
+  }
+
+  let endA = ka.length;
+  let endB = kb.length;
+  const tail = [];
+  while (endA > start && endB > start && ka[endA - 1] === kb[endB - 1]) {
+    endA--;
+    endB--;
+    tail.push([endA, endB]);
+  }
+
+  for (const [i, j] of myersMatches(ka.slice(start, endA), kb.slice(start, endB))) {
+    matches.push([i + start, j + start]);
+  }
+
+  return matches.concat(tail.reverse());
+}
+
+/**
+ * Edit script between two sequences as runs of equal, delete and insert operations
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {Function} key - maps an item to its comparison key
+ * @returns {Array<{type: string, oldStart: number, oldEnd: number, newStart: number, newEnd: number}>}
+ */
+function diffSequences(a, b, key) {
+  const ops = [];
+  const push = (type, oldStart, oldEnd, newStart, newEnd) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type && last.oldEnd === oldStart && last.newEnd === newStart) {
+      last.oldEnd = oldEnd;
+      last.newEnd = newEnd;
+    } else {
+      ops.push({ type, oldStart, oldEnd, newStart, newEnd });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  for (const [mi, mj] of matchSequences(a, b, key).concat([[a.length, b.length]])) {
+    if (i < mi) push('delete', i, mi, j, j);
+    if (j < mj) push('insert', mi, mi, j, mj);
+    if (mi < a.length) push('equal', mi, mi + 1, mj, mj + 1);
+    i = mi + 1;
+    j = mj + 1;
+  }
+
+  return ops;
+}
+
+/**
+ * Token-level diff of two strings
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} options - { mode: 'word'|'character', ignoreWhitespace }
+ * @returns {Array<{type: string, value: string}>} equal, removed and added segments
+ */
+function diffText(oldText, newText, options = {}) {
+  const { mode = 'word', ignoreWhitespace = false } = options;
+  const a = tokenize(oldText, mode);
+  const b = tokenize(newText, mode);
+  const key = ignoreWhitespace ? (token) => (/^\s+$/.test(token) ? ' ' : token) : undefined;
+  const segments = [];
+  const push = (type, value) => {
+    if (!value) return;
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.value += value;
+    else segments.push({ type, value });
+  };
+
+  for (const op of diffSequences(a, b, key)) {
+    if (op.type === 'equal') push('equal', b.slice(op.newStart, op.newEnd).join(''));
+    else if (op.type === 'delete') push('removed', a.slice(op.oldStart, op.oldEnd).join(''));
+    else push('added', b.slice(op.newStart, op.newEnd).join(''));
+  }
+
+  return segments;
+}
+
+/**
+ * Three-way merge of two sequences derived from a common base
+ * Stable regions are unchanged on both sides; changed regions carry the
+ * resolved items when only one side (or both identically) touched them,
+ * and are flagged as conflicts when both sides changed them differently
+ * @param {Array} base
+ * @param {Array} ours
+ * @param {Array} theirs
+ * @param {Function} key - maps an item to its comparison key
+ * @returns {Array<Object>} regions
+ */
+function merge3(base, ours, theirs, key = (item) => item) {
+  const matchOurs = new Array(base.length).fill(null);
+  const matchTheirs = new Array(base.length).fill(null);
+  for (const [i, j] of matchSequences(base, ours, key)) matchOurs[i] = j;
+  for (const [i, j] of matchSequences(base, theirs, key)) matchTheirs[i] = j;
+
+  const same = (x, y) => x.length === y.length && x.every((item, index) => key(item) === key(y[index]));
+  const regions = [];
+  let o = 0;
+  let a = 0;
+  let b = 0;
+
+  const emitChanged = (oEnd, aEnd, bEnd) => {
+    const region = {
+      stable: false,
+      baseStart: o,
+      oursStart: a,
+      theirsStart: b,
+      base: base.slice(o, oEnd),
+      ours: ours.slice(a, aEnd),
+      theirs: theirs.slice(b, bEnd)
+    };
+    if (region.base.length === 0 && region.ours.length === 0 && region.theirs.length === 0) return;
+
+    const oursChanged = !same(region.ours, region.base);
+    const theirsChanged = !same(region.theirs, region.base);
+    region.conflict = oursChanged && theirsChanged && !same(region.ours, region.theirs);
+    if (!region.conflict) region.items = theirsChanged ? region.theirs : region.ours;
+    regions.push(region);
+  };
+
+  while (o < base.length || a < ours.length || b < theirs.length) {
+    let run = 0;
+    while (
+      o + run < base.length &&
+      matchOurs[o + run] === a + run &&
+      matchTheirs[o + run] === b + run
+    ) {
+      run++;
+    }
+
+    if (run > 0) {
+      regions.push({ stable: true, baseStart: o, items: base.slice(o, o + run) });
+      o += run;
+      a += run;
+      b += run;
+      continue;
+    }
+
+    let next = o;
+    while (next < base.length && (matchOurs[next] === null || matchTheirs[next] === null)) next++;
+
+    if (next === base.length) {
+      emitChanged(base.length, ours.length, theirs.length);
+      break;
+    }
+
+    emitChanged(next, matchOurs[next], matchTheirs[next]);
+    o = next;
+    a = matchOurs[next];
+    b = matchTheirs[next];
+  }
+
+  return regions;
+}
+
+module.exports = {
+  tokenize,
+  matchSequences,
+  diffSequences,
+  diffText,
+  merge3
+};
@@ -0,0 +1,637 @@
+/**
+ * Image Utilities
+ * Inspection of uploaded JPEG/PNG artwork (real pixel size, colour space,
+ * ICC profile, resolution), rule checks against a target's image spec, and
+ * resizing/encoding of delivery variants
+ */
+
+const zlib = require('zlib');
+const jpeg = require('./jpeg.util.cjs');
+const png = require('./png.util.cjs');
+
+// Decoding budget: a 7000x7000 cover still fits, decompression bombs don't
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+const MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png' };
+
+// Signatures of formats we recognise only to reject them with a clear message
+const OTHER_FORMATS = [
+  { name: 'GIF', test: data => data.toString('latin1', 0, 4) === 'GIF8' },
+  { name: 'WebP', test: data => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP' },
+  { name: 'TIFF', test: data => ['II*\0', 'MM\0*'].includes(data.toString('latin1', 0, 4)) },
+  { name: 'BMP', test: data => data.toString('latin1', 0, 2) === 'BM' },
+  { name: 'HEIC', test: data => data.toString('latin1', 4, 8) === 'ftyp' }
+];
+
+const ICC_COLOR_SPACES = { 'RGB ': 'RGB', 'CMYK': 'CMYK', 'GRAY': 'Grayscale' };
+const INCHES_PER_METRE = 39.3701;
+const INCHES_PER_CM = 0.393701;
+
+function detectFormat(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpeg';
+  if (png.isPng(data)) return 'png';
+  return null;
+}
+
+function formatFileSize(bytes) {
+  if (!bytes) return '0 Bytes';
+  const units = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(2))} ${units[i]}`;
+}
+
+// ========== Inspection ==========
+
+/**
+ * Header, colour space and description of an ICC profile
+ */
+function parseIccProfile(profile) {
+  if (!profile || profile.length < 132) return null;
+
+  const rawColorSpace = profile.toString('latin1', 16, 20);
+  let description = null;
+
+  const tagCount = profile.readUInt32BE(128);
+  for (let i = 0; i < tagCount && 132 + (i + 1) * 12 <= profile.length; i++) {
+    const entry = 132 + i * 12;
+    if (profile.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+    const offset = profile.readUInt32BE(entry + 4);
+    const type = profile.toString('latin1', offset, offset + 4);
+    if (type === 'desc') {
+      const length = profile.readUInt32BE(offset + 8);
+      description = profile.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+    } else if (type === 'mluc' && profile.readUInt32BE(offset + 8) > 0) {
+      // First localised record, UTF-16BE
+      const length = profile.readUInt32BE(offset + 20);
+      const start = offset + profile.readUInt32BE(offset + 24);
+      const utf16 = Buffer.from(profile.subarray(start, start + length));
+      utf16.swap16();
+      description = utf16.toString('utf16le').replace(/\0+$/, '');
+    }
+    break;
+  }
+
+  return {
+    description,
+    color_space: ICC_COLOR_SPACES[rawColorSpace] || rawColorSpace.trim(),
+    device_class: profile.toString('latin1', 12, 16).trim(),
+    version: `${profile[8]}.${profile[9] >> 4}`,
+    size: profile.length,
+    is_srgb: /srgb/i.test(description || '')
+  };
+}
+
+/**
+ * Orientation and resolution tags from IFD0 of an Exif block
+ */
+function readExif(data) {
+  const tiff = data.subarray(6);
+  if (tiff.length < 8) return {};
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = offset => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = offset => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const rational = offset => (offset + 8 <= tiff.length && u32(offset + 4) ? u32(offset) / u32(offset + 4) : null);
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return {};
+  const result = {};
+  const count = u16(ifd);
+  for (let i = 0; i < count && ifd + 2 + (i + 1) * 12 <= tiff.length; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = u16(entry);
+    if (tag === 0x0112) result.orientation = u16(entry + 8);
+    else if (tag === 0x011a) result.xResolution = rational(u32(entry + 8));
+    else if (tag === 0x011b) result.yResolution = rational(u32(entry + 8));
+    else if (tag === 0x0128) result.resolutionUnit = u16(entry + 8);
+  }
+  return result;
+}
+
+function inspectJpeg(data) {
+  const result = { format: 'jpeg', progressive: false, orientation: 1 };
+  const iccChunks = [];
+  let jfif = null;
+  let exif = {};
+  let offset = 2;
+
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xff) throw new Error(`Invalid JPEG marker at byte ${offset}`);
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0xda) break;
+
+    const length = data.readUInt16BE(offset + 2);
+    const body = data.subarray(offset + 4, offset + 2 + length);
+
+    if (marker === 0xe0 && body.toString('latin1', 0, 5) === 'JFIF\0') {
+      jfif = { units: body[7], x: body.readUInt16BE(8), y: body.readUInt16BE(10) };
+    } else if (marker === 0xe1 && body.toString('latin1', 0, 6) === 'Exif\0\0') {
+      exif = readExif(body);
+    } else if (marker === 0xe2 && body.toString('latin1', 0, 12) === 'ICC_PROFILE\0') {
+      iccChunks.push({ sequence: body[12], data: body.subarray(14) });
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = body[5];
+      const sampling = Array.from({ length: components }, (_, i) => body[7 + i * 3]);
+      result.bit_depth = body[0];
+      result.height = body.readUInt16BE(1);
+      result.width = body.readUInt16BE(3);
+      result.channels = components;
+      result.progressive = marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce;
+      result.decodable = [0xc0, 0xc1, 0xc2].includes(marker) && body[0] === 8 && components !== 4;
+      result.color_mode = { 1: 'Grayscale', 3: 'RGB', 4: 'CMYK' }[components] || `${components}-channel`;
+      if (components === 3) {
+        const luma = sampling[0];
+        const chroma = sampling[1];
+        const h = (luma >> 4) / (chroma >> 4);
+        const v = (luma & 15) / (chroma & 15);
+        result.chroma_subsampling = h === 2 && v === 2 ? '4:2:0' : (h === 2 && v === 1 ? '4:2:2' : (h === 1 && v === 1 ? '4:4:4' : `${h}x${v}`));
+      }
+    }
+    offset += 2 + length;
+  }
+
+  if (!result.width || !result.height) throw new Error('JPEG has no frame header');
+  result.has_alpha = false;
+
+  if (iccChunks.length > 0) {
+    iccChunks.sort((a, b) => a.sequence - b.sequence);
+    result.icc_profile_data = Buffer.concat(iccChunks.map(chunk => chunk.data));
+  }
+
+  // Exif resolution wins over JFIF, which many encoders leave at 1:1 or 72 dpi
+  if (exif.xResolution && exif.resolutionUnit !== 1) {
+    const factor = exif.resolutionUnit === 3 ? 1 / INCHES_PER_CM : 1;
+    result.dpi = {
+      x: Math.round(exif.xResolution * factor),
+      y: Math.round((exif.yResolution || exif.xResolution) * factor),
+      source: 'exif'
+    };
+  } else if (jfif && jfif.units !== 0 && jfif.x > 0) {
+    const factor = jfif.units === 2 ? 1 / INCHES_PER_CM : 1;
+    result.dpi = { x: Math.round(jfif.x * factor), y: Math.round(jfif.y * factor), source: 'jfif' };
+  }
+  if (exif.orientation >= 1 && exif.orientation <= 8) result.orientation = exif.orientation;
+
+  return result;
+}
+
+function inspectPng(data) {
+  const { header, chunks } = png.readChunks(data);
+  const channels = { 0: 1, 2: 3, 3: 3, 4: 2, 6: 4 }[header.colorType];
+  const transparency = chunks.some(chunk => chunk.type === 'tRNS');
+  const result = {
+    format: 'png',
+    width: header.width,
+    height: header.height,
+    bit_depth: header.bitDepth,
+    channels: channels + (transparency && (header.colorType === 0 || header.colorType === 2 || header.colorType === 3) ? 1 : 0),
+    color_mode: header.colorType === 3 ? 'Indexed' : (header.colorType === 0 || header.colorType === 4 ? 'Grayscale' : 'RGB'),
+    png_color_type: header.colorTypeName,
+    interlaced: header.interlace === 1,
+    has_alpha: header.colorType === 4 || header.colorType === 6 || transparency,
+    decodable: true,
+    orientation: 1
+  };
+
+  for (const { type, body } of chunks) {
+    if (type === 'pHYs' && body[8] === 1) {
+      result.dpi = {
+        x: Math.round(body.readUInt32BE(0) / INCHES_PER_METRE),
+        y: Math.round(body.readUInt32BE(4) / INCHES_PER_METRE),
+        source: 'phys'
+      };
+    } else if (type === 'iCCP') {
+      const nameEnd = body.indexOf(0);
+      try {
+        result.icc_profile_data = zlib.inflateSync(body.subarray(nameEnd + 2));
+      } catch (error) {
+        result.icc_profile_error = `Embedded ICC profile is corrupt: ${error.message}`;
+      }
+    } else if (type === 'sRGB') {
+      result.srgb_chunk = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Everything knowable about an image without decoding its pixels.
+ * Width and height are as displayed, i.e. after Exif orientation
+ * @returns {Object} { format, mime_type, width, height, bit_depth, channels, color_mode,
+ *                     has_alpha, icc_profile, dpi, orientation, file_size, megapixels, ... }
+ */
+function inspectImage(data) {
+  const format = detectFormat(data);
+  if (!format) {
+    const other = OTHER_FORMATS.find(candidate => candidate.test(data));
+    throw new Error(other
+      ? `${other.name} images are not supported; upload a JPEG or PNG`
+      : 'File is not a JPEG or PNG image');
+  }
+
+  const result = format === 'jpeg' ? inspectJpeg(data) : inspectPng(data);
+  const { icc_profile_data: iccData, ...inspection } = result;
+
+  if (inspection.orientation >= 5) {
+    [inspection.width, inspection.height] = [inspection.height, inspection.width];
+  }
+
+  inspection.mime_type = MIME_TYPES[format];
+  inspection.icc_profile = iccData ? parseIccProfile(iccData) : null;
+  inspection.dpi = inspection.dpi || null;
+  inspection.file_size = data.length;
+  inspection.megapixels = Math.round((inspection.width * inspection.height) / 10000) / 100;
+  inspection.aspect_ratio = Math.round((inspection.width / inspection.height) * 1000) / 1000;
+
+  return inspection;
+}
+
+/**
+ * Raw ICC profile bytes, for carrying the profile over into rendered variants
+ */
+function extractIccProfile(data) {
+  const format = detectFormat(data);
+  if (format === 'jpeg') return inspectJpeg(data).icc_profile_data || null;
+  if (format === 'png') return inspectPng(data).icc_profile_data || null;
+  return null;
+}
+
+// ========== Pixels ==========
+
+/**
+ * Decode to 8-bit RGB or RGBA, upright according to Exif orientation
+ * @returns {Object} { width, height, channels (3 or 4), data }
+ */
+function decodeImage(data, options = {}) {
+  const { maxPixels = MAX_PIXELS } = options;
+  const format = detectFormat(data);
+  let decoded;
+
+  if (format === 'jpeg') {
+    const image = jpeg.decodeJpeg(data, { maxPixels });
+    decoded = { width: image.width, height: image.height, channels: image.components, data: image.data };
+  } else if (format === 'png') {
+    decoded = png.decodePng(data, { maxPixels });
+  } else {
+    throw new Error('Only JPEG and PNG images can be decoded');
+  }
+
+  const image = toRgb(decoded);
+  const orientation = format === 'jpeg' ? inspectJpeg(data).orientation : 1;
+  return orientation > 1 ? applyOrientation(image, orientation) : image;
+}
+
+function toRgb(image) {
+  if (image.channels === 3 || image.channels === 4) return image;
+
+  const alpha = image.channels === 2;
+  const channels = alpha ? 4 : 3;
+  const pixels = image.width * image.height;
+  const output = new Uint8Array(pixels * channels);
+  for (let i = 0; i < pixels; i++) {
+    const grey = image.data[i * image.channels];
+    output[i * channels] = grey;
+    output[i * channels + 1] = grey;
+    output[i * channels + 2] = grey;
+    if (alpha) output[i * channels + 3] = image.data[i * 2 + 1];
+  }
+  return { width: image.width, height: image.height, channels, data: output };
+}
+
+/**
+ * Rotate/flip pixels for Exif orientations 2-8
+ */
+function applyOrientation(image, orientation) {
+  const { width, height, channels, data } = image;
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const output = new Uint8Array(data.length);
+
+  const source = {
+    2: (x, y) => [width - 1 - x, y],
+    3: (x, y) => [width - 1 - x, height - 1 - y],
+    4: (x, y) => [x, height - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, height - 1 - x],
+    7: (x, y) => [width - 1 - y, height - 1 - x],
+    8: (x, y) => [width - 1 - y, x]
+  }[orientation];
+  if (!source) return image;
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [sx, sy] = source(x, y);
+      const from = (sy * width + sx) * channels;
+      const to = (y * outWidth + x) * channels;
+      for (let c = 0; c < channels; c++) output[to + c] = data[from + c];
+    }
+  }
+  return { width: outWidth, height: outHeight, channels, data: output };
+}
+
+/**
+ * Whether any pixel is not fully opaque
+ */
+function hasTransparency(image) {
+  if (image.channels !== 4) return false;
+  for (let i = 3; i < image.data.length; i += 4) {
+    if (image.data[i] !== 255) return true;
+  }
+  return false;
+}
+
+/**
+ * Composite an RGBA image onto a solid background
+ */
+function flattenAlpha(image, background = [255, 255, 255]) {
+  if (image.channels !== 4) return image;
+
+  const pixels = image.width * image.height;
+  const output = new Uint8Array(pixels * 3);
+  for (let i = 0; i < pixels; i++) {
+    const alpha = image.data[i * 4 + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      output[i * 3 + c] = Math.round(image.data[i * 4 + c] * alpha + background[c] * (1 - alpha));
+    }
+  }
+  return { width: image.width, height: image.height, channels: 3, data: output };
+}
+
+function lanczos3(x) {
+  if (x === 0) return 1;
+  if (x <= -3 || x >= 3) return 0;
+  const px = Math.PI * x;
+  return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+}
+
+/**
+ * Normalised Lanczos-3 taps for every output position along one axis;
+ * the kernel is stretched when downscaling so it also low-pass filters
+ */
+function buildKernel(sourceSize, targetSize) {
+  const scale = sourceSize / targetSize;
+  const stretch = Math.max(1, scale);
+  const radius = 3 * stretch;
+  const taps = Math.ceil(radius) * 2 + 1;
+  const starts = new Int32Array(targetSize);
+  const weights = new Float32Array(targetSize * taps);
+
+  for (let i = 0; i < targetSize; i++) {
+    const center = (i + 0.5) * scale - 0.5;
+    const start = Math.ceil(center - radius);
+    starts[i] = start;
+    let total = 0;
+    for (let t = 0; t < taps; t++) {
+      const weight = lanczos3((start + t - center) / stretch);
+      weights[i * taps + t] = weight;
+      total += weight;
+    }
+    for (let t = 0; t < taps; t++) weights[i * taps + t] /= total;
+  }
+
+  return { starts, weights, taps };
+}
+
+/**
+ * Lanczos-3 resample to an exact size (separable, edges clamped)
+ */
+function resizeImage(image, width, height) {
+  const { channels } = image;
+  if (width === image.width && height === image.height) return image;
+
+  const horizontal = buildKernel(image.width, width);
+  const vertical = buildKernel(image.height, height);
+  const temp = new Float32Array(width * image.height * channels);
+  const lastColumn = image.width - 1;
+  const lastRow = image.height - 1;
+
+  for (let y = 0; y < image.height; y++) {
+    const row = y * image.width;
+    for (let x = 0; x < width; x++) {
+      const start = horizontal.starts[x];
+      const base = x * horizontal.taps;
+      for (let c = 0; c < channels; c++) {
+        let sum = 0;
+        for (let t = 0; t < horizontal.taps; t++) {
+          const weight = horizontal.weights[base + t];
+          if (weight === 0) continue;
+          const sx = Math.min(lastColumn, Math.max(0, start + t));
+          sum += image.data[(row + sx) * channels + c] * weight;
+        }
+        temp[(y * width + x) * channels + c] = sum;
+      }
+    }
+  }
+
+  const output = new Uint8ClampedArray(width * height * channels);
+  const rowLength = width * channels;
+  const accumulator = new Float32Array(rowLength);
+  for (let y = 0; y < height; y++) {
+    const start = vertical.starts[y];
+    const base = y * vertical.taps;
+    accumulator.fill(0);
+    for (let t = 0; t < vertical.taps; t++) {
+      const weight = vertical.weights[base + t];
+      if (weight === 0) continue;
+      const from = Math.min(lastRow, Math.max(0, start + t)) * rowLength;
+      for (let i = 0; i < rowLength; i++) accumulator[i] += temp[from + i] * weight;
+    }
+    output.set(accumulator, y * rowLength);
+  }
+
+  return { width, height, channels, data: output };
+}
+
+/**
+ * Scale into a width x height box. `cover` crops the centre to the box's
+ * aspect ratio; `contain` letterboxes onto the background colour
+ */
+function fitImage(image, width, height, options = {}) {
+  const { fit = 'cover', background = [0, 0, 0] } = options;
+  const sourceRatio = image.width / image.height;
+  const targetRatio = width / height;
+
+  if (Math.abs(sourceRatio - targetRatio) < 0.001) return resizeImage(image, width, height);
+
+  if (fit === 'cover') {
+    const cropWidth = sourceRatio > targetRatio ? Math.round(image.height * targetRatio) : image.width;
+    const cropHeight = sourceRatio > targetRatio ? image.height : Math.round(image.width / targetRatio);
+    return resizeImage(cropImage(image, Math.floor((image.width - cropWidth) / 2),
+      Math.floor((image.height - cropHeight) / 2), cropWidth, cropHeight), width, height);
+  }
+
+  const scaledWidth = sourceRatio > targetRatio ? width : Math.round(height * sourceRatio);
+  const scaledHeight = sourceRatio > targetRatio ? Math.round(width / sourceRatio) : height;
+  const scaled = resizeImage(image, scaledWidth, scaledHeight);
+  const output = new Uint8Array(width * height * image.channels);
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < image.channels; c++) output[i * image.channels + c] = c < 3 ? background[c] : 255;
+  }
+  const left = Math.floor((width - scaledWidth) / 2);
+  const top = Math.floor((height - scaledHeight) / 2);
+  for (let y = 0; y < scaledHeight; y++) {
+    const from = y * scaledWidth * image.channels;
+    output.set(scaled.data.subarray(from, from + scaledWidth * image.channels), ((top + y) * width + left) * image.channels);
+  }
+  return { width, height, channels: image.channels, data: output };
+}
+
+function cropImage(image, left, top, width, height) {
+  const { channels } = image;
+  const output = new Uint8Array(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    const from = ((top + y) * image.width + left) * channels;
+    output.set(image.data.subarray(from, from + width * channels), y * width * channels);
+  }
+  return { width, height, channels, data: output };
+}
+
+/**
+ * Resize (when needed) and encode a baseline JPEG, stepping the quality
+ * down until the file fits `maxFileSize`
+ * @returns {Object} { buffer, width, height, quality, file_size }
+ */
+function renderJpeg(image, options = {}) {
+  const {
+    width = image.width,
+    height = image.height,
+    fit = 'cover',
+    quality = 85,
+    minQuality = 60,
+    maxFileSize = null,
+    dpi = 72,
+    iccProfile = null
+  } = options;
+
+  const sized = flattenAlpha(fitImage(image, width, height, { fit }));
+  let currentQuality = quality;
+  let buffer = jpeg.encodeJpeg(sized, { quality: currentQuality, dpi, iccProfile });
+  while (maxFileSize && buffer.length > maxFileSize && currentQuality - 5 >= minQuality) {
+    currentQuality -= 5;
+    buffer = jpeg.encodeJpeg(sized, { quality: currentQuality, dpi, iccProfile });
+  }
+
+  return { buffer, width, height, quality: currentQuality, file_size: buffer.length };
+}
+
+// ========== Spec Checks ==========
+
+/**
+ * Inspection result in the camelCase shape image specs are written against
+ */
+function toImageData(inspection) {
+  return {
+    format: inspection.format,
+    width: inspection.width,
+    height: inspection.height,
+    fileSize: inspection.file_size,
+    colorMode: inspection.color_mode === 'Indexed' ? 'RGB' : inspection.color_mode,
+    bitDepth: inspection.bit_depth,
+    hasAlpha: inspection.has_alpha,
+    transparent: inspection.transparent !== undefined ? inspection.transparent : inspection.has_alpha,
+    iccProfile: inspection.icc_profile,
+    dpi: inspection.dpi ? Math.min(inspection.dpi.x, inspection.dpi.y) : null
+  };
+}
+
+/**
+ * Check image properties against one target's spec
+ * @param {Object} imageData - { format, width, height, fileSize, colorMode, iccProfile, dpi, transparent }
+ * @param {Object} spec - formats, min/maxDimensions, aspectRatio, aspectTolerance, requiresSquare,
+ *                        min/maxFileSize, colorMode, supportsTransparency, minDpi
+ * @param {string} target - Platform or store name used in messages
+ * @returns {Object} { errors, warnings }
+ */
+function checkImageSpec(imageData, spec, target) {
+  const errors = [];
+  const warnings = [];
+
+  if (!spec.formats.includes(imageData.format?.toLowerCase())) {
+    errors.push(`Unsupported format '${imageData.format}' for ${target}. Supported: ${spec.formats.join(', ')}`);
+  }
+
+  if (imageData.width && imageData.height) {
+    if (imageData.width < spec.minDimensions.width || imageData.height < spec.minDimensions.height) {
+      errors.push(`Dimensions ${imageData.width}x${imageData.height} below minimum ${spec.minDimensions.width}x${spec.minDimensions.height} for ${target}`);
+    }
+
+    if (spec.maxDimensions && (imageData.width > spec.maxDimensions.width || imageData.height > spec.maxDimensions.height)) {
+      warnings.push(`Dimensions ${imageData.width}x${imageData.height} exceed recommended maximum ${spec.maxDimensions.width}x${spec.maxDimensions.height} for ${target}`);
+    }
+
+    const actualRatio = imageData.width / imageData.height;
+    const expectedRatio = spec.aspectRatio;
+    const tolerance = spec.aspectTolerance || 0.05;
+
+    if (expectedRatio && Math.abs(actualRatio - expectedRatio) > tolerance) {
+      if (spec.requiresSquare && expectedRatio === 1) {
+        errors.push(`Image must be square (1:1 aspect ratio) for ${target}. Current: ${Math.round(actualRatio * 100) / 100}:1`);
+      } else if (spec.requiresAspectRatio) {
+        errors.push(`Aspect ratio ${Math.round(actualRatio * 100) / 100}:1 must be ${Math.round(expectedRatio * 100) / 100}:1 for ${target}`);
+      } else {
+        warnings.push(`Aspect ratio ${Math.round(actualRatio * 100) / 100}:1 doesn't match recommended ${Math.round(expectedRatio * 100) / 100}:1 for ${target}`);
+      }
+    }
+  }
+
+  if (imageData.fileSize) {
+    if (spec.maxFileSize && imageData.fileSize > spec.maxFileSize) {
+      errors.push(`File size ${formatFileSize(imageData.fileSize)} exceeds maximum ${formatFileSize(spec.maxFileSize)} for ${target}`);
+    }
+
+    if (spec.minFileSize && imageData.fileSize < spec.minFileSize) {
+      warnings.push(`File size ${formatFileSize(imageData.fileSize)} below recommended minimum ${formatFileSize(spec.minFileSize)} for ${target}`);
+    }
+  }
+
+  // Stores reject CMYK outright; greyscale is accepted but flagged
+  if (imageData.colorMode === 'CMYK' && spec.colorMode === 'RGB') {
+    errors.push(`CMYK images are rejected by ${target}; convert the image to RGB`);
+  } else if (spec.colorMode && imageData.colorMode && imageData.colorMode !== spec.colorMode) {
+    warnings.push(`Color mode '${imageData.colorMode}' should be '${spec.colorMode}' for ${target}`);
+  }
+
+  const icc = imageData.iccProfile;
+  if (icc) {
+    const label = icc.description ? `'${icc.description}'` : 'profile';
+    if (imageData.colorMode && icc.color_space !== imageData.colorMode && !(icc.color_space === 'RGB' && imageData.colorMode === 'Grayscale')) {
+      errors.push(`Embedded ICC ${label} describes ${icc.color_space} data but the image is ${imageData.colorMode}`);
+    } else if (icc.color_space === 'RGB' && !icc.is_srgb) {
+      warnings.push(`Embedded ICC ${label} is not sRGB; colors may shift on ${target}`);
+    }
+  }
+
+  if (imageData.transparent && spec.supportsTransparency === false) {
+    warnings.push(`${target} does not accept transparency; delivered images are flattened onto white`);
+  }
+
+  if (spec.minDpi && imageData.dpi && imageData.dpi < spec.minDpi) {
+    warnings.push(`Resolution ${imageData.dpi} dpi is below the ${spec.minDpi} dpi expected by ${target}`);
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  MAX_PIXELS,
+  detectFormat,
+  formatFileSize,
+  parseIccProfile,
+  inspectImage,
+  extractIccProfile,
+  decodeImage,
+  applyOrientation,
+  hasTransparency,
+  flattenAlpha,
+  resizeImage,
+  fitImage,
+  renderJpeg,
+  toImageData,
+  checkImageSpec
+};
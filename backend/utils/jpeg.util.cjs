@@ -0,0 +1,889 @@
+/**
+ * JPEG Utilities
+ * Decodes baseline and progressive (Huffman) JPEGs to 8-bit samples and
+ * encodes RGB or greyscale images as baseline JPEG with the standard
+ * Huffman tables and IJG quality scaling
+ */
+
+// Zig-zag position -> natural (row-major) coefficient index
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// DCT basis: COS[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * pi / 16)
+const COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+  }
+}
+
+// ITU T.81 Annex K example tables (natural order)
+const LUMINANCE_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const CHROMINANCE_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99
+];
+
+const STANDARD_HUFFMAN = {
+  dcLuminance: {
+    counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  },
+  dcChrominance: {
+    counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+    symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  },
+  acLuminance: {
+    counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    symbols: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+      0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+      0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+      0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+      0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+      0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+      0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+      0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+      0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+      0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa
+    ]
+  },
+  acChrominance: {
+    counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    symbols: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+      0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+      0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+      0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+      0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+      0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+      0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+      0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+      0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+      0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+      0xf9, 0xfa
+    ]
+  }
+};
+
+const isRestartMarker = (marker) => marker >= 0xd0 && marker <= 0xd7;
+
+// ========== Decoding ==========
+
+/**
+ * 16-bit lookahead table: entry = (code length << 8) | symbol, 0 for invalid codes
+ */
+function buildDecodeTable(counts, symbols) {
+  const table = new Uint16Array(65536);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      const first = code << (16 - length);
+      const span = 1 << (16 - length);
+      if (first + span > table.length) throw new Error('Invalid Huffman table');
+      table.fill((length << 8) | symbols[k++], first, first + span);
+      code++;
+    }
+    code <<= 1;
+  }
+  return table;
+}
+
+/**
+ * Entropy-coded segment reader; removes byte stuffing and stops at markers
+ */
+class ScanReader {
+  constructor(data, offset) {
+    this.data = data;
+    this.pos = offset;
+    this.buffer = 0;
+    this.count = 0;
+    this.marker = null;
+    this.truncated = false;
+  }
+
+  fill() {
+    while (this.count <= 16) {
+      let byte = 0;
+      if (this.marker === null) {
+        if (this.pos >= this.data.length) {
+          this.truncated = true;
+        } else if (this.data[this.pos] === 0xff) {
+          const next = this.data[this.pos + 1];
+          if (next === 0x00) {
+            byte = 0xff;
+            this.pos += 2;
+          } else if (next === 0xff) {
+            this.pos++; // fill byte
+            continue;
+          } else {
+            this.marker = next;
+          }
+        } else {
+          byte = this.data[this.pos++];
+        }
+      }
+      this.buffer = ((this.buffer << 8) | byte) >>> 0;
+      this.count += 8;
+    }
+  }
+
+  skip(bits) {
+    this.count -= bits;
+    this.buffer &= (1 << this.count) - 1;
+  }
+
+  readBits(bits) {
+    if (bits === 0) return 0;
+    this.fill();
+    const value = (this.buffer >>> (this.count - bits)) & ((1 << bits) - 1);
+    this.skip(bits);
+    return value;
+  }
+
+  readBit() {
+    return this.readBits(1);
+  }
+
+  decodeHuffman(table) {
+    this.fill();
+    const entry = table[(this.buffer >>> (this.count - 16)) & 0xffff];
+    if (entry === 0) throw new Error('Invalid Huffman code');
+    this.skip(entry >> 8);
+    return entry & 0xff;
+  }
+
+  receiveExtend(bits) {
+    if (bits === 0) return 0;
+    const value = this.readBits(bits);
+    return value < 1 << (bits - 1) ? value - (1 << bits) + 1 : value;
+  }
+
+  /**
+   * Drop buffered bits and step over the RSTn marker ending an interval
+   */
+  restart() {
+    this.buffer = 0;
+    this.count = 0;
+    if (this.marker === null) {
+      while (this.pos + 1 < this.data.length
+        && !(this.data[this.pos] === 0xff && isRestartMarker(this.data[this.pos + 1]))) {
+        this.pos++;
+      }
+      if (this.pos + 1 < this.data.length) this.marker = this.data[this.pos + 1];
+    }
+    if (this.marker !== null && isRestartMarker(this.marker)) {
+      this.pos += 2;
+      this.marker = null;
+    }
+  }
+
+  /**
+   * Offset of the marker that follows the scan
+   */
+  end() {
+    let pos = this.pos;
+    while (pos + 1 < this.data.length) {
+      if (this.data[pos] === 0xff && this.data[pos + 1] !== 0x00 && this.data[pos + 1] !== 0xff
+        && !isRestartMarker(this.data[pos + 1])) {
+        return pos;
+      }
+      pos++;
+    }
+    return this.data.length;
+  }
+}
+
+function decodeBaseline(reader, component, offset) {
+  const coefficients = component.coefficients;
+  const size = reader.decodeHuffman(component.dcTable);
+  component.pred += reader.receiveExtend(size);
+  coefficients[offset] = component.pred;
+
+  let k = 1;
+  while (k < 64) {
+    const rs = reader.decodeHuffman(component.acTable);
+    const s = rs & 15;
+    const r = rs >> 4;
+    if (s === 0) {
+      if (r < 15) break;
+      k += 16;
+      continue;
+    }
+    k += r;
+    if (k > 63) throw new Error('AC coefficient out of range');
+    coefficients[offset + ZIGZAG[k]] = reader.receiveExtend(s);
+    k++;
+  }
+}
+
+function decodeDcFirst(reader, component, offset, scan) {
+  const size = reader.decodeHuffman(component.dcTable);
+  component.pred += reader.receiveExtend(size);
+  component.coefficients[offset] = component.pred * (1 << scan.successive);
+}
+
+function decodeDcRefine(reader, component, offset, scan) {
+  if (reader.readBit()) component.coefficients[offset] |= 1 << scan.successive;
+}
+
+function decodeAcFirst(reader, component, offset, scan) {
+  if (scan.eobrun > 0) {
+    scan.eobrun--;
+    return;
+  }
+
+  let k = scan.spectralStart;
+  while (k <= scan.spectralEnd) {
+    const rs = reader.decodeHuffman(component.acTable);
+    const s = rs & 15;
+    const r = rs >> 4;
+    if (s === 0) {
+      if (r < 15) {
+        scan.eobrun = reader.readBits(r) + (1 << r) - 1;
+        break;
+      }
+      k += 16;
+      continue;
+    }
+    k += r;
+    if (k > 63) throw new Error('AC coefficient out of range');
+    component.coefficients[offset + ZIGZAG[k]] = reader.receiveExtend(s) * (1 << scan.successive);
+    k++;
+  }
+}
+
+/**
+ * Successive approximation refinement of AC coefficients (T.81 G.1.2.3)
+ */
+function decodeAcRefine(reader, component, offset, scan) {
+  const coefficients = component.coefficients;
+  const positive = 1 << scan.successive;
+  const negative = -1 << scan.successive;
+  const refine = (index) => {
+    if (reader.readBit() && (coefficients[index] & positive) === 0) {
+      coefficients[index] += coefficients[index] >= 0 ? positive : negative;
+    }
+  };
+
+  let k = scan.spectralStart;
+  if (scan.eobrun === 0) {
+    for (; k <= scan.spectralEnd; k++) {
+      const rs = reader.decodeHuffman(component.acTable);
+      let r = rs >> 4;
+      let value = 0;
+
+      if ((rs & 15) !== 0) {
+        value = reader.readBit() ? positive : negative;
+      } else if (r !== 15) {
+        scan.eobrun = (1 << r) + reader.readBits(r);
+        break;
+      }
+
+      // Refine non-zero history, placing the new value after r zero coefficients
+      while (k <= scan.spectralEnd) {
+        const index = offset + ZIGZAG[k];
+        if (coefficients[index] !== 0) {
+          refine(index);
+        } else {
+          if (r === 0) break;
+          r--;
+        }
+        k++;
+      }
+
+      if (value !== 0 && k <= scan.spectralEnd) {
+        coefficients[offset + ZIGZAG[k]] = value;
+      }
+    }
+  }
+
+  if (scan.eobrun > 0) {
+    for (; k <= scan.spectralEnd; k++) {
+      const index = offset + ZIGZAG[k];
+      if (coefficients[index] !== 0) refine(index);
+    }
+    scan.eobrun--;
+  }
+}
+
+function decodeScan(data, offset, frame, components, scan, restartInterval) {
+  let decodeBlock;
+  if (!frame.progressive) decodeBlock = decodeBaseline;
+  else if (scan.spectralStart === 0) decodeBlock = scan.successivePrev === 0 ? decodeDcFirst : decodeDcRefine;
+  else decodeBlock = scan.successivePrev === 0 ? decodeAcFirst : decodeAcRefine;
+
+  const reader = new ScanReader(data, offset);
+  const single = components.length === 1;
+  const mcuCount = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  const interval = restartInterval || mcuCount;
+
+  components.forEach(component => { component.pred = 0; });
+  scan.eobrun = 0;
+
+  let mcu = 0;
+  while (mcu < mcuCount) {
+    for (let n = 0; n < interval && mcu < mcuCount; n++, mcu++) {
+      if (single) {
+        const component = components[0];
+        const row = Math.floor(mcu / component.blocksPerLine);
+        const col = mcu % component.blocksPerLine;
+        decodeBlock(reader, component, 64 * (row * component.blocksPerLineForMcu + col), scan);
+        continue;
+      }
+
+      const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+      const mcuCol = mcu % frame.mcusPerLine;
+      for (const component of components) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            const row = mcuRow * component.v + v;
+            const col = mcuCol * component.h + h;
+            decodeBlock(reader, component, 64 * (row * component.blocksPerLineForMcu + col), scan);
+          }
+        }
+      }
+    }
+
+    if (mcu < mcuCount) {
+      reader.restart();
+      components.forEach(component => { component.pred = 0; });
+      scan.eobrun = 0;
+    }
+  }
+
+  return { next: reader.end(), truncated: reader.truncated };
+}
+
+/**
+ * Dequantise and inverse-DCT every block of a component into a sample plane
+ */
+function buildComponentPlane(component, quant) {
+  const width = component.blocksPerLineForMcu * 8;
+  const height = component.blocksPerColumnForMcu * 8;
+  const plane = new Uint8ClampedArray(width * height);
+  const block = new Float64Array(64);
+  const rows = new Float64Array(64);
+
+  for (let blockRow = 0; blockRow < component.blocksPerColumnForMcu; blockRow++) {
+    for (let blockCol = 0; blockCol < component.blocksPerLineForMcu; blockCol++) {
+      const offset = 64 * (blockRow * component.blocksPerLineForMcu + blockCol);
+      for (let i = 0; i < 64; i++) block[i] = component.coefficients[offset + i] * quant[i];
+
+      for (let v = 0; v < 8; v++) {
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += COS[x * 8 + u] * block[v * 8 + u];
+          rows[v * 8 + x] = sum;
+        }
+      }
+
+      const origin = blockRow * 8 * width + blockCol * 8;
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += COS[y * 8 + v] * rows[v * 8 + x];
+          plane[origin + y * width + x] = Math.round(sum + 128);
+        }
+      }
+    }
+  }
+
+  return { plane, width };
+}
+
+/**
+ * Decode a JPEG into interleaved 8-bit samples
+ * @returns {Object} { width, height, components (1 or 3), data, truncated }
+ */
+function decodeJpeg(data, options = {}) {
+  const { maxPixels = Infinity } = options;
+  if (data[0] !== 0xff || data[1] !== 0xd8) throw new Error('Not a JPEG file');
+
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let adobe = null;
+  let restartInterval = 0;
+  let truncated = false;
+  let offset = 2;
+
+  while (offset + 1 < data.length) {
+    if (data[offset] !== 0xff) throw new Error(`Invalid JPEG marker at byte ${offset}`);
+    const marker = data[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    if (marker === 0xd8 || marker === 0x01 || isRestartMarker(marker)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = data.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = offset + 2 + length;
+    if (end > data.length) throw new Error('JPEG segment runs past the end of the file');
+
+    if (marker === 0xdb) {
+      for (let p = start; p < end;) {
+        const precision = data[p] >> 4;
+        const table = new Uint16Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision === 0 ? data[p + 1 + k] : data.readUInt16BE(p + 1 + k * 2);
+        }
+        quantTables[data[p] & 15] = table;
+        p += 1 + (precision === 0 ? 64 : 128);
+      }
+    } else if (marker === 0xc4) {
+      for (let p = start; p < end;) {
+        const counts = Array.from(data.subarray(p + 1, p + 17));
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const table = buildDecodeTable(counts, data.subarray(p + 17, p + 17 + total));
+        (data[p] >> 4 === 0 ? dcTables : acTables)[data[p] & 15] = table;
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = data.readUInt16BE(start);
+    } else if (marker === 0xee && data.toString('latin1', start, start + 5) === 'Adobe') {
+      adobe = { transform: data[start + 11] };
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      if (![0xc0, 0xc1, 0xc2].includes(marker)) {
+        throw new Error('Only baseline and progressive Huffman JPEGs can be decoded');
+      }
+      if (data[start] !== 8) throw new Error(`${data[start]}-bit JPEG samples are not supported`);
+
+      frame = {
+        progressive: marker === 0xc2,
+        height: data.readUInt16BE(start + 1),
+        width: data.readUInt16BE(start + 3),
+        components: []
+      };
+      if (frame.width === 0 || frame.height === 0) throw new Error('JPEG has no image dimensions');
+      if (frame.width * frame.height > maxPixels) {
+        throw new Error(`Image of ${frame.width}x${frame.height} exceeds the ${maxPixels} pixel limit`);
+      }
+
+      const count = data[start + 5];
+      for (let i = 0; i < count; i++) {
+        const p = start + 6 + i * 3;
+        frame.components.push({ id: data[p], h: data[p + 1] >> 4, v: data[p + 1] & 15, quantIndex: data[p + 2] });
+      }
+      if (count === 4) throw new Error('CMYK JPEG images cannot be decoded; convert the artwork to RGB');
+      if (count !== 1 && count !== 3) throw new Error(`Unsupported JPEG with ${count} components`);
+
+      frame.maxH = Math.max(...frame.components.map(c => c.h));
+      frame.maxV = Math.max(...frame.components.map(c => c.v));
+      frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+      frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+      for (const component of frame.components) {
+        component.blocksPerLine = Math.ceil(Math.ceil((frame.width * component.h) / frame.maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil((frame.height * component.v) / frame.maxV) / 8);
+        component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+        component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+        component.coefficients = new Int16Array(64 * component.blocksPerLineForMcu * component.blocksPerColumnForMcu);
+      }
+    } else if (marker === 0xda) {
+      if (!frame) throw new Error('JPEG scan before frame header');
+
+      const count = data[start];
+      const components = [];
+      for (let i = 0; i < count; i++) {
+        const id = data[start + 1 + i * 2];
+        const tables = data[start + 2 + i * 2];
+        const component = frame.components.find(c => c.id === id);
+        if (!component) throw new Error(`JPEG scan references unknown component ${id}`);
+        component.dcTable = dcTables[tables >> 4];
+        component.acTable = acTables[tables & 15];
+        components.push(component);
+      }
+
+      const params = start + 1 + count * 2;
+      const scan = {
+        spectralStart: data[params],
+        spectralEnd: data[params + 1],
+        successivePrev: data[params + 2] >> 4,
+        successive: data[params + 2] & 15,
+        eobrun: 0
+      };
+      const needsDc = !frame.progressive || (scan.spectralStart === 0 && scan.successivePrev === 0);
+      const needsAc = !frame.progressive || scan.spectralStart > 0;
+      if (components.some(c => (needsDc && !c.dcTable) || (needsAc && !c.acTable))) {
+        throw new Error('JPEG scan uses an undefined Huffman table');
+      }
+
+      const result = decodeScan(data, end, frame, components, scan, restartInterval);
+      truncated = truncated || result.truncated;
+      offset = result.next;
+      continue;
+    }
+
+    offset = end;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header');
+
+  const planes = frame.components.map((component) => {
+    const quant = quantTables[component.quantIndex];
+    if (!quant) throw new Error('JPEG references an undefined quantization table');
+    return buildComponentPlane(component, quant);
+  });
+
+  const { width, height } = frame;
+  const channels = frame.components.length;
+  const output = new Uint8ClampedArray(width * height * channels);
+
+  // Subsampled components are interpolated bilinearly between sample centres
+  const axis = (size, factor, max, limit) => {
+    const scale = factor / max;
+    const lower = new Int32Array(size);
+    const upper = new Int32Array(size);
+    const weight = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      const position = Math.max(0, (i + 0.5) * scale - 0.5);
+      lower[i] = Math.min(Math.floor(position), limit - 1);
+      upper[i] = Math.min(lower[i] + 1, limit - 1);
+      weight[i] = position - Math.floor(position);
+    }
+    return { lower, upper, weight };
+  };
+
+  frame.components.forEach((component, c) => {
+    const { plane, width: planeWidth } = planes[c];
+    const columns = axis(width, component.h, frame.maxH, component.blocksPerLine * 8);
+    const rows = axis(height, component.v, frame.maxV, component.blocksPerColumn * 8);
+    const full = component.h === frame.maxH && component.v === frame.maxV;
+
+    for (let y = 0; y < height; y++) {
+      const top = rows.lower[y] * planeWidth;
+      const bottom = rows.upper[y] * planeWidth;
+      const wy = rows.weight[y];
+      let index = y * width * channels + c;
+      for (let x = 0; x < width; x++, index += channels) {
+        if (full) {
+          output[index] = plane[y * planeWidth + x];
+          continue;
+        }
+        const left = columns.lower[x];
+        const right = columns.upper[x];
+        const wx = columns.weight[x];
+        const upperRow = plane[top + left] + (plane[top + right] - plane[top + left]) * wx;
+        const lowerRow = plane[bottom + left] + (plane[bottom + right] - plane[bottom + left]) * wx;
+        output[index] = upperRow + (lowerRow - upperRow) * wy;
+      }
+    }
+  });
+
+  // JFIF colour is YCbCr; Adobe transform 0 (or R/G/B component ids) means RGB
+  const ids = frame.components.map(c => c.id).join(',');
+  const isYcc = channels === 3 && (adobe ? adobe.transform !== 0 : ids !== '82,71,66');
+  if (isYcc) {
+    for (let i = 0; i < output.length; i += 3) {
+      const Y = output[i];
+      const cb = output[i + 1] - 128;
+      const cr = output[i + 2] - 128;
+      output[i] = Y + 1.402 * cr;
+      output[i + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+      output[i + 2] = Y + 1.772 * cb;
+    }
+  }
+
+  return {
+    width,
+    height,
+    components: channels,
+    progressive: frame.progressive,
+    data: output,
+    truncated
+  };
+}
+
+// ========== Encoding ==========
+
+function buildEncodeTable({ counts, symbols }) {
+  const codes = new Int32Array(256);
+  const sizes = new Int32Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < counts[length - 1]; i++) {
+      codes[symbols[k]] = code++;
+      sizes[symbols[k]] = length;
+      k++;
+    }
+    code <<= 1;
+  }
+  return { codes, sizes };
+}
+
+/**
+ * IJG quality scaling of a base quantization table
+ */
+function scaleQuantTable(base, quality) {
+  const q = Math.max(1, Math.min(100, Math.round(quality)));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return base.map(value => Math.max(1, Math.min(255, Math.floor((value * scale + 50) / 100))));
+}
+
+class ByteWriter {
+  constructor(capacity) {
+    this.bytes = Buffer.alloc(capacity);
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = Buffer.alloc(Math.max(this.bytes.length * 2, this.length + extra));
+    this.bytes.copy(grown, 0, 0, this.length);
+    this.bytes = grown;
+  }
+
+  byte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  word(value) {
+    this.byte((value >> 8) & 0xff);
+    this.byte(value & 0xff);
+  }
+
+  raw(buffer) {
+    this.ensure(buffer.length);
+    for (let i = 0; i < buffer.length; i++) this.bytes[this.length++] = buffer[i];
+  }
+
+  /**
+   * Entropy-coded bits with 0xFF byte stuffing
+   */
+  bits(code, size) {
+    this.bitBuffer = (this.bitBuffer << size) | code;
+    this.bitCount += size;
+    while (this.bitCount >= 8) {
+      const value = (this.bitBuffer >> (this.bitCount - 8)) & 0xff;
+      this.byte(value);
+      if (value === 0xff) this.byte(0);
+      this.bitCount -= 8;
+      this.bitBuffer &= (1 << this.bitCount) - 1;
+    }
+  }
+
+  flushBits() {
+    if (this.bitCount > 0) this.bits((1 << (8 - this.bitCount)) - 1, 8 - this.bitCount);
+  }
+
+  segment(marker, body) {
+    this.word(0xff00 | marker);
+    this.word(body.length + 2);
+    this.raw(body);
+  }
+
+  toBuffer() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+function encodeBlock(writer, block, quant, previousDc, dcTable, acTable) {
+  const coefficients = new Int32Array(64);
+  const rows = new Float64Array(64);
+
+  // Forward DCT, rows then columns
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += COS[x * 8 + u] * block[y * 8 + x];
+      rows[y * 8 + u] = sum;
+    }
+  }
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += COS[y * 8 + v] * rows[y * 8 + u];
+      coefficients[v * 8 + u] = Math.round(sum / quant[v * 8 + u]);
+    }
+  }
+
+  const category = (value) => {
+    let magnitude = Math.abs(value);
+    let bits = 0;
+    while (magnitude > 0) {
+      bits++;
+      magnitude >>= 1;
+    }
+    return bits;
+  };
+  const emitValue = (value, bits) => {
+    if (bits > 0) writer.bits(value < 0 ? value + (1 << bits) - 1 : value, bits);
+  };
+
+  const dc = coefficients[0];
+  const diff = dc - previousDc;
+  const dcBits = category(diff);
+  writer.bits(dcTable.codes[dcBits], dcTable.sizes[dcBits]);
+  emitValue(diff, dcBits);
+
+  let run = 0;
+  for (let k = 1; k < 64; k++) {
+    const value = coefficients[ZIGZAG[k]];
+    if (value === 0) {
+      run++;
+      continue;
+    }
+    while (run > 15) {
+      writer.bits(acTable.codes[0xf0], acTable.sizes[0xf0]);
+      run -= 16;
+    }
+    const bits = category(value);
+    const symbol = (run << 4) | bits;
+    writer.bits(acTable.codes[symbol], acTable.sizes[symbol]);
+    emitValue(value, bits);
+    run = 0;
+  }
+  if (run > 0) writer.bits(acTable.codes[0x00], acTable.sizes[0x00]);
+
+  return dc;
+}
+
+/**
+ * Encode a baseline JPEG
+ * @param {Object} image - { width, height, channels (1, 3 or 4; alpha is ignored), data }
+ * @param {Object} options - { quality, subsampling ('4:2:0' | '4:4:4'), dpi, iccProfile }
+ * @returns {Buffer}
+ */
+function encodeJpeg(image, options = {}) {
+  const { width, height, channels, data } = image;
+  const { quality = 85, dpi = 72, iccProfile = null } = options;
+  const grey = channels === 1;
+  const subsampling = grey ? '4:4:4' : options.subsampling || (quality >= 90 ? '4:4:4' : '4:2:0');
+  const factor = subsampling === '4:2:0' ? 2 : 1;
+
+  const lumaQuant = scaleQuantTable(LUMINANCE_QUANT, quality);
+  const chromaQuant = scaleQuantTable(CHROMINANCE_QUANT, quality);
+  const tables = {
+    dcLuminance: buildEncodeTable(STANDARD_HUFFMAN.dcLuminance),
+    acLuminance: buildEncodeTable(STANDARD_HUFFMAN.acLuminance),
+    dcChrominance: buildEncodeTable(STANDARD_HUFFMAN.dcChrominance),
+    acChrominance: buildEncodeTable(STANDARD_HUFFMAN.acChrominance)
+  };
+
+  const writer = new ByteWriter(Math.max(4096, Math.round(width * height * 0.5)));
+  writer.word(0xffd8);
+
+  const jfif = Buffer.alloc(14);
+  jfif.write('JFIF\0', 0, 'latin1');
+  jfif[5] = 1;
+  jfif[6] = 1;
+  jfif[7] = 1; // density in dots per inch
+  jfif.writeUInt16BE(Math.round(dpi), 8);
+  jfif.writeUInt16BE(Math.round(dpi), 10);
+  writer.segment(0xe0, jfif);
+
+  if (iccProfile) {
+    // ICC profiles are split over APP2 segments of at most 65519 bytes
+    const chunkSize = 65519;
+    const chunks = Math.ceil(iccProfile.length / chunkSize);
+    for (let i = 0; i < chunks; i++) {
+      const header = Buffer.from('ICC_PROFILE\0\0\0', 'latin1');
+      header[12] = i + 1;
+      header[13] = chunks;
+      writer.segment(0xe2, Buffer.concat([header, iccProfile.subarray(i * chunkSize, (i + 1) * chunkSize)]));
+    }
+  }
+
+  const zigzagged = (table) => Buffer.from(Array.from({ length: 64 }, (_, k) => table[ZIGZAG[k]]));
+  writer.segment(0xdb, Buffer.concat([Buffer.from([0x00]), zigzagged(lumaQuant)]
+    .concat(grey ? [] : [Buffer.from([0x01]), zigzagged(chromaQuant)])));
+
+  const componentCount = grey ? 1 : 3;
+  const sof = [8, height >> 8, height & 0xff, width >> 8, width & 0xff, componentCount, 1, (factor << 4) | factor, 0];
+  if (!grey) sof.push(2, 0x11, 1, 3, 0x11, 1);
+  writer.segment(0xc0, Buffer.from(sof));
+
+  const huffmanSegment = (tableClass, id, { counts, symbols }) => Buffer.from([(tableClass << 4) | id, ...counts, ...symbols]);
+  writer.segment(0xc4, Buffer.concat([
+    huffmanSegment(0, 0, STANDARD_HUFFMAN.dcLuminance),
+    huffmanSegment(1, 0, STANDARD_HUFFMAN.acLuminance)
+  ].concat(grey ? [] : [
+    huffmanSegment(0, 1, STANDARD_HUFFMAN.dcChrominance),
+    huffmanSegment(1, 1, STANDARD_HUFFMAN.acChrominance)
+  ])));
+
+  const sos = grey ? [1, 1, 0x00, 0, 63, 0] : [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0];
+  writer.segment(0xda, Buffer.from(sos));
+
+  // Edge pixels are repeated into partial MCUs
+  const sample = (x, y, c) => data[(Math.min(y, height - 1) * width + Math.min(x, width - 1)) * channels + c];
+  const luma = (x, y) => (grey ? sample(x, y, 0)
+    : 0.299 * sample(x, y, 0) + 0.587 * sample(x, y, 1) + 0.114 * sample(x, y, 2));
+  const cb = (x, y) => -0.168736 * sample(x, y, 0) - 0.331264 * sample(x, y, 1) + 0.5 * sample(x, y, 2) + 128;
+  const cr = (x, y) => 0.5 * sample(x, y, 0) - 0.418688 * sample(x, y, 1) - 0.081312 * sample(x, y, 2) + 128;
+
+  const mcuSize = 8 * factor;
+  const block = new Float64Array(64);
+  let dcY = 0;
+  let dcCb = 0;
+  let dcCr = 0;
+
+  for (let mcuY = 0; mcuY < height; mcuY += mcuSize) {
+    for (let mcuX = 0; mcuX < width; mcuX += mcuSize) {
+      for (let by = 0; by < factor; by++) {
+        for (let bx = 0; bx < factor; bx++) {
+          for (let i = 0; i < 64; i++) {
+            block[i] = luma(mcuX + bx * 8 + (i & 7), mcuY + by * 8 + (i >> 3)) - 128;
+          }
+          dcY = encodeBlock(writer, block, lumaQuant, dcY, tables.dcLuminance, tables.acLuminance);
+        }
+      }
+      if (grey) continue;
+
+      for (const [channel, previous] of [[cb, 'cb'], [cr, 'cr']]) {
+        for (let i = 0; i < 64; i++) {
+          const x = mcuX + (i & 7) * factor;
+          const y = mcuY + (i >> 3) * factor;
+          let sum = 0;
+          for (let dy = 0; dy < factor; dy++) {
+            for (let dx = 0; dx < factor; dx++) sum += channel(x + dx, y + dy);
+          }
+          block[i] = sum / (factor * factor) - 128;
+        }
+        if (previous === 'cb') dcCb = encodeBlock(writer, block, chromaQuant, dcCb, tables.dcChrominance, tables.acChrominance);
+        else dcCr = encodeBlock(writer, block, chromaQuant, dcCr, tables.dcChrominance, tables.acChrominance);
+      }
+    }
+  }
+
+  writer.flushBits();
+  writer.word(0xffd9);
+  return Buffer.from(writer.toBuffer());
+}
+
+module.exports = {
+  ZIGZAG,
+  decodeJpeg,
+  encodeJpeg,
+  scaleQuantTable
+};
@@ -0,0 +1,761 @@
+/**
+ * PDF Utilities
+ * Minimal PDF 1.7 writer: pages with page boxes, text in standard or embedded
+ * TrueType fonts, JPEG/PNG images and simple vector drawing
+ * Used for print-ready book interiors and covers
+ */
+
+const zlib = require('zlib');
+
+const POINTS_PER_INCH = 72;
+
+// Standard font advance widths for WinAnsi codes 32-126 (from the Adobe AFM files)
+const STANDARD_WIDTHS = {
+  'Times-Roman': [
+    250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+    921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+    556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+    333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+    500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+  ],
+  'Times-Bold': [
+    250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 333, 333, 570, 570, 570, 500,
+    930, 722, 667, 722, 722, 667, 611, 778, 778, 389, 500, 778, 667, 944, 722, 778,
+    611, 778, 722, 556, 667, 722, 722, 1000, 722, 722, 667, 333, 278, 333, 581, 500,
+    333, 500, 556, 444, 556, 444, 333, 500, 556, 278, 333, 556, 278, 833, 556, 500,
+    556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444, 394, 220, 394, 520
+  ],
+  'Times-Italic': [
+    250, 333, 420, 500, 500, 833, 778, 214, 333, 333, 500, 675, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 333, 333, 675, 675, 675, 500,
+    920, 611, 611, 667, 722, 611, 611, 722, 722, 333, 444, 667, 556, 833, 667, 722,
+    611, 722, 611, 500, 556, 722, 611, 833, 611, 556, 556, 389, 278, 389, 422, 500,
+    333, 500, 500, 444, 500, 444, 278, 500, 500, 278, 278, 444, 278, 722, 500, 500,
+    500, 500, 389, 389, 278, 500, 444, 667, 444, 444, 389, 400, 275, 400, 541
+  ]
+};
+
+// WinAnsi codes 128-159 by Unicode character, with their (roman) widths
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 500], '‚': [0x82, 333], 'ƒ': [0x83, 500], '„': [0x84, 444],
+  '…': [0x85, 1000], '†': [0x86, 500], '‡': [0x87, 500], 'ˆ': [0x88, 333],
+  '‰': [0x89, 1000], 'Š': [0x8a, 556], '‹': [0x8b, 333], 'Œ': [0x8c, 889],
+  'Ž': [0x8e, 611], '‘': [0x91, 333], '’': [0x92, 333], '“': [0x93, 444],
+  '”': [0x94, 444], '•': [0x95, 350], '–': [0x96, 500], '—': [0x97, 1000],
+  '˜': [0x98, 333], '™': [0x99, 980], 'š': [0x9a, 389], '›': [0x9b, 333],
+  'œ': [0x9c, 722], 'ž': [0x9e, 444], 'Ÿ': [0x9f, 722]
+};
+
+// Letters outside WinAnsi that do not decompose to a base letter
+const TRANSLITERATIONS = { 'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ø': 'O', 'ø': 'o' };
+
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+/**
+ * PDF literal string for document info values
+ */
+function pdfString(value) {
+  const text = String(value);
+  // Non-Latin-1 text is written as UTF-16BE with a byte order mark
+  if (/[^\x00-\xff]/.test(text)) {
+    const utf16 = Buffer.from(text, 'utf16le').swap16();
+    return `<FEFF${toHex(utf16)}>`;
+  }
+  return `(${text.replace(/[\\()]/g, '\\$&').replace(/\r/g, '\\r').replace(/\n/g, '\\n')})`;
+}
+
+function pdfDate(date = new Date()) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3).replace(/\.?0+$/, '');
+}
+
+function inches(value) {
+  return value * POINTS_PER_INCH;
+}
+
+// ========== Fonts ==========
+
+/**
+ * One of the standard 14 fonts (Times family), WinAnsi encoded and not embedded
+ */
+class StandardFont {
+  constructor(name) {
+    if (!STANDARD_WIDTHS[name]) {
+      throw new Error(`Unsupported standard font: ${name}`);
+    }
+    this.name = name;
+    this.embedded = false;
+    this.widths = STANDARD_WIDTHS[name];
+  }
+
+  /**
+   * WinAnsi code and width of a character; unsupported characters fall back
+   * to their base letter or "?"
+   */
+  lookup(char) {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) return [code, this.widths[code - 32]];
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+    if (code === 0xa0) return [0xa0, 250];
+    if (code > 0xa0 && code <= 0xff) {
+      const base = char.normalize('NFD')[0];
+      return [code, base !== char ? this.lookup(base)[1] : 500];
+    }
+
+    const fallback = TRANSLITERATIONS[char] || char.normalize('NFD')[0];
+    return fallback !== char ? this.lookup(fallback) : [63, this.widths[63 - 32]];
+  }
+
+  encode(text) {
+    return `<${toHex(Array.from(text, char => this.lookup(char)[0]))}>`;
+  }
+
+  widthOf(text, size) {
+    let units = 0;
+    for (const char of text) units += this.lookup(char)[1];
+    return units * size / 1000;
+  }
+}
+
+/**
+ * TrueType font embedded whole as a CIDFontType2 with Identity-H encoding
+ */
+class TrueTypeFont {
+  constructor(data) {
+    this.data = data;
+    this.embedded = true;
+    this.usedGlyphs = new Map();
+    this.parse();
+  }
+
+  parse() {
+    const data = this.data;
+    const version = data.readUInt32BE(0);
+    if (version === 0x74746366) throw new Error('TrueType collections (.ttc) are not supported');
+    if (version === 0x4f54544f) throw new Error('CFF-based OpenType fonts are not supported; use TrueType outlines');
+    if (version !== 0x00010000 && version !== 0x74727565) throw new Error('Not a TrueType font');
+
+    this.tables = {};
+    const numTables = data.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      this.tables[data.toString('latin1', record, record + 4)] = {
+        offset: data.readUInt32BE(record + 8),
+        length: data.readUInt32BE(record + 12)
+      };
+    }
+    for (const required of ['head', 'hhea', 'hmtx', 'maxp', 'cmap']) {
+      if (!this.tables[required]) throw new Error(`TrueType font is missing its ${required} table`);
+    }
+
+    const head = this.tables.head.offset;
+    this.unitsPerEm = data.readUInt16BE(head + 18);
+    this.bbox = [36, 38, 40, 42].map(offset => data.readInt16BE(head + offset));
+
+    const hhea = this.tables.hhea.offset;
+    this.ascent = data.readInt16BE(hhea + 4);
+    this.descent = data.readInt16BE(hhea + 6);
+    const numberOfHMetrics = data.readUInt16BE(hhea + 34);
+    const numGlyphs = data.readUInt16BE(this.tables.maxp.offset + 4);
+
+    this.advances = new Uint16Array(numGlyphs);
+    const hmtx = this.tables.hmtx.offset;
+    for (let glyph = 0; glyph < numGlyphs; glyph++) {
+      this.advances[glyph] = glyph < numberOfHMetrics
+        ? data.readUInt16BE(hmtx + glyph * 4)
+        : this.advances[numberOfHMetrics - 1];
+    }
+
+    this.capHeight = Math.round(this.ascent * 0.7);
+    if (this.tables['OS/2']) {
+      const os2 = this.tables['OS/2'].offset;
+      // fsType 0x0002: restricted license embedding
+      if ((data.readUInt16BE(os2 + 8) & 0x000f) === 0x0002) {
+        throw new Error('Font license does not allow embedding');
+      }
+      if (data.readUInt16BE(os2) >= 2 && this.tables['OS/2'].length >= 90) {
+        this.capHeight = data.readInt16BE(os2 + 88);
+      }
+    }
+
+    this.italicAngle = this.tables.post ? data.readInt32BE(this.tables.post.offset + 4) / 65536 : 0;
+    this.name = this.readPostScriptName() || 'EmbeddedFont';
+    this.cmap = this.readCmap();
+  }
+
+  readPostScriptName() {
+    if (!this.tables.name) return null;
+    const data = this.data;
+    const table = this.tables.name.offset;
+    const count = data.readUInt16BE(table + 2);
+    const strings = table + data.readUInt16BE(table + 4);
+
+    for (let i = 0; i < count; i++) {
+      const record = table + 6 + i * 12;
+      if (data.readUInt16BE(record + 6) !== 6) continue;
+      const platform = data.readUInt16BE(record);
+      const length = data.readUInt16BE(record + 8);
+      const start = strings + data.readUInt16BE(record + 10);
+      const raw = data.subarray(start, start + length);
+      const name = platform === 1 ? raw.toString('latin1') : Buffer.from(raw).swap16().toString('utf16le');
+      return name.replace(/[^\x21-\x7e]|[[\](){}<>/%#]/g, '');
+    }
+    return null;
+  }
+
+  /**
+   * Unicode to glyph map from a format 12 or format 4 cmap subtable
+   */
+  readCmap() {
+    const data = this.data;
+    const table = this.tables.cmap.offset;
+    const count = data.readUInt16BE(table + 2);
+    const subtables = [];
+
+    for (let i = 0; i < count; i++) {
+      const record = table + 4 + i * 8;
+      const platform = data.readUInt16BE(record);
+      const encoding = data.readUInt16BE(record + 2);
+      const offset = table + data.readUInt32BE(record + 4);
+      if (platform === 3 || platform === 0) {
+        subtables.push({ platform, encoding, offset, format: data.readUInt16BE(offset) });
+      }
+    }
+
+    const map = new Map();
+    const full = subtables.find(subtable => subtable.format === 12);
+    const bmp = subtables.find(subtable => subtable.format === 4);
+
+    if (full) {
+      const groups = data.readUInt32BE(full.offset + 12);
+      for (let i = 0; i < groups; i++) {
+        const group = full.offset + 16 + i * 12;
+        const start = data.readUInt32BE(group);
+        const end = data.readUInt32BE(group + 4);
+        const glyph = data.readUInt32BE(group + 8);
+        for (let code = start; code <= end && code - start < 0x10000; code++) map.set(code, glyph + code - start);
+      }
+    } else if (bmp) {
+      const offset = bmp.offset;
+      const segments = data.readUInt16BE(offset + 6) / 2;
+      const endCodes = offset + 14;
+      const startCodes = endCodes + segments * 2 + 2;
+      const deltas = startCodes + segments * 2;
+      const rangeOffsets = deltas + segments * 2;
+
+      for (let i = 0; i < segments; i++) {
+        const start = data.readUInt16BE(startCodes + i * 2);
+        const end = data.readUInt16BE(endCodes + i * 2);
+        const delta = data.readInt16BE(deltas + i * 2);
+        const rangeOffset = data.readUInt16BE(rangeOffsets + i * 2);
+
+        for (let code = start; code <= end && code !== 0xffff; code++) {
+          let glyph;
+          if (rangeOffset === 0) {
+            glyph = (code + delta) & 0xffff;
+          } else {
+            const position = rangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+            glyph = data.readUInt16BE(position);
+            if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+          }
+          if (glyph !== 0) map.set(code, glyph);
+        }
+      }
+    } else {
+      throw new Error('TrueType font has no Unicode cmap');
+    }
+
+    return map;
+  }
+
+  glyphFor(char) {
+    return this.cmap.get(char.codePointAt(0)) || 0;
+  }
+
+  encode(text) {
+    const bytes = [];
+    for (const char of text) {
+      const glyph = this.glyphFor(char);
+      if (!this.usedGlyphs.has(glyph)) this.usedGlyphs.set(glyph, char);
+      bytes.push(glyph >> 8, glyph & 0xff);
+    }
+    return `<${toHex(bytes)}>`;
+  }
+
+  widthOf(text, size) {
+    let units = 0;
+    for (const char of text) units += this.advances[this.glyphFor(char)] || 0;
+    return units * size / this.unitsPerEm;
+  }
+
+  scale(value) {
+    return Math.round(value * 1000 / this.unitsPerEm);
+  }
+
+  /**
+   * W array entries for the glyphs used, grouped into consecutive runs
+   */
+  widthArray() {
+    const glyphs = [...this.usedGlyphs.keys()].sort((a, b) => a - b);
+    const parts = [];
+    let run = null;
+
+    for (const glyph of glyphs) {
+      if (run && glyph === run.start + run.widths.length) {
+        run.widths.push(this.scale(this.advances[glyph]));
+      } else {
+        if (run) parts.push(`${run.start} [${run.widths.join(' ')}]`);
+        run = { start: glyph, widths: [this.scale(this.advances[glyph])] };
+      }
+    }
+    if (run) parts.push(`${run.start} [${run.widths.join(' ')}]`);
+    return `[${parts.join(' ')}]`;
+  }
+
+  /**
+   * ToUnicode CMap so text can be searched and copied
+   */
+  toUnicodeCMap() {
+    const entries = [...this.usedGlyphs.entries()]
+      .filter(([glyph]) => glyph !== 0)
+      .map(([glyph, char]) => `<${glyph.toString(16).padStart(4, '0')}> <${toHex(Buffer.from(char, 'utf16le').swap16())}>`);
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += 100) {
+      const chunk = entries.slice(i, i + 100);
+      chunks.push(`${chunk.length} beginbfchar\n${chunk.join('\n')}\nendbfchar`);
+    }
+
+    return [
+      '/CIDInit /ProcSet findresource begin',
+      '12 dict begin',
+      'begincmap',
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+      '/CMapName /Adobe-Identity-UCS def',
+      '/CMapType 2 def',
+      '1 begincodespacerange',
+      '<0000> <FFFF>',
+      'endcodespacerange',
+      ...chunks,
+      'endcmap',
+      'CMapName currentdict /CMap defineresource pop',
+      'end',
+      'end'
+    ].join('\n');
+  }
+}
+
+// ========== Images ==========
+
+/**
+ * Image XObject parameters for a JPEG or PNG file
+ */
+function readImage(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return readJpeg(data);
+  if (data.readUInt32BE(0) === 0x89504e47) return readPng(data);
+  throw new Error('Only JPEG and PNG images are supported');
+}
+
+function readJpeg(data) {
+  let offset = 2;
+  let adobe = false;
+
+  while (offset < data.length) {
+    if (data[offset] !== 0xff) throw new Error('Invalid JPEG marker');
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+
+    if (marker === 0xee && data.toString('latin1', offset + 4, offset + 9) === 'Adobe') adobe = true;
+
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = data[offset + 9];
+      const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[components];
+      if (!colorSpace) throw new Error(`Unsupported JPEG with ${components} components`);
+
+      return {
+        width: data.readUInt16BE(offset + 7),
+        height: data.readUInt16BE(offset + 5),
+        dictionary: `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`
+          + (components === 4 && adobe ? ' /Decode [1 0 1 0 1 0 1 0]' : ''),
+        data
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error('JPEG has no frame header');
+}
+
+function readPng(data) {
+  let offset = 8;
+  let header = null;
+  const idat = [];
+
+  while (offset < data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[header && header.colorType];
+  if (!header || !channels || header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error('Only 8-bit non-interlaced greyscale or RGB PNG images are supported');
+  }
+
+  const pixels = unfilterPng(zlib.inflateSync(Buffer.concat(idat)), header.width, header.height, channels);
+  const colorChannels = channels >= 3 ? 3 : 1;
+  const colorSpace = colorChannels === 3 ? '/DeviceRGB' : '/DeviceGray';
+  const hasAlpha = channels === 2 || channels === 4;
+
+  const color = Buffer.alloc(header.width * header.height * colorChannels);
+  const alpha = hasAlpha ? Buffer.alloc(header.width * header.height) : null;
+  for (let pixel = 0; pixel < header.width * header.height; pixel++) {
+    pixels.copy(color, pixel * colorChannels, pixel * channels, pixel * channels + colorChannels);
+    if (alpha) alpha[pixel] = pixels[pixel * channels + colorChannels];
+  }
+
+  return {
+    width: header.width,
+    height: header.height,
+    dictionary: `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /FlateDecode`,
+    data: zlib.deflateSync(color),
+    alpha: alpha ? zlib.deflateSync(alpha) : null
+  };
+}
+
+/**
+ * Undo PNG scanline filters (None, Sub, Up, Average, Paeth)
+ */
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const output = Buffer.alloc(stride * height);
+
+  for (let row = 0; row < height; row++) {
+    const filter = data[row * (stride + 1)];
+    const input = row * (stride + 1) + 1;
+    const current = row * stride;
+    const previous = current - stride;
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? output[current + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[previous + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[previous + i - bytesPerPixel] : 0;
+      let value = data[input + i];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        value += distances[0] <= distances[1] && distances[0] <= distances[2]
+          ? left
+          : (distances[1] <= distances[2] ? up : upLeft);
+      }
+      output[current + i] = value & 0xff;
+    }
+  }
+
+  return output;
+}
+
+// ========== Document ==========
+
+/**
+ * Drawing operations of one page; coordinates are in points from the bottom left
+ */
+class PdfPage {
+  constructor(document, options) {
+    this.document = document;
+    this.width = options.width;
+    this.height = options.height;
+    this.trimBox = options.trimBox || null;
+    this.bleedBox = options.bleedBox || null;
+    this.operations = [];
+  }
+
+  /**
+   * Text runs on one baseline: [{ font, text, x }] with x relative to the line start
+   */
+  textRuns(size, x, y, runs) {
+    const parts = ['BT', `${formatNumber(x)} ${formatNumber(y)} Td`];
+    let cursor = 0;
+    let currentFont = null;
+
+    for (const run of runs) {
+      if (!run.text) continue;
+      const font = this.document.font(run.font);
+      if (run.font !== currentFont) {
+        parts.push(`/${font.resourceName} ${formatNumber(size)} Tf`);
+        currentFont = run.font;
+      }
+      const offset = (run.x || 0) - cursor;
+      if (offset !== 0) parts.push(`${formatNumber(offset)} 0 Td`);
+      cursor = run.x || 0;
+      parts.push(`${font.instance.encode(run.text)} Tj`);
+    }
+
+    parts.push('ET');
+    this.operations.push(parts.join('\n'));
+    return this;
+  }
+
+  text(font, size, x, y, text) {
+    return this.textRuns(size, x, y, [{ font, text, x: 0 }]);
+  }
+
+  /**
+   * Text rotated about its start point (degrees, counter-clockwise)
+   */
+  rotatedText(font, size, x, y, text, degrees) {
+    const radians = degrees * Math.PI / 180;
+    const cos = formatNumber(Math.cos(radians));
+    const sin = formatNumber(Math.sin(radians));
+    const entry = this.document.font(font);
+
+    this.operations.push([
+      'BT',
+      `/${entry.resourceName} ${formatNumber(size)} Tf`,
+      `${cos} ${sin} ${formatNumber(-Math.sin(radians))} ${cos} ${formatNumber(x)} ${formatNumber(y)} Tm`,
+      `${entry.instance.encode(text)} Tj`,
+      'ET'
+    ].join('\n'));
+    return this;
+  }
+
+  /**
+   * Fill color for the following text and shapes; color is [r, g, b] in 0-1
+   */
+  fillColor(color) {
+    this.operations.push(`${color.map(formatNumber).join(' ')} rg`);
+    return this;
+  }
+
+  /**
+   * Filled rectangle; leaves the fill color set to its color
+   */
+  rect(x, y, width, height, color = [0, 0, 0]) {
+    this.operations.push(`${color.map(formatNumber).join(' ')} rg ${[x, y, width, height].map(formatNumber).join(' ')} re f`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, width = 0.5, color = [0, 0, 0]) {
+    this.operations.push(`${color.map(formatNumber).join(' ')} RG ${formatNumber(width)} w `
+      + `${formatNumber(x1)} ${formatNumber(y1)} m ${formatNumber(x2)} ${formatNumber(y2)} l S`);
+    return this;
+  }
+
+  image(name, x, y, width, height) {
+    const image = this.document.images.get(name);
+    if (!image) throw new Error(`Unknown image: ${name}`);
+    this.operations.push(`q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(y)} cm /${image.resourceName} Do Q`);
+    return this;
+  }
+
+  /**
+   * Restrict the following operations to a rectangle until restore()
+   */
+  clip(x, y, width, height) {
+    this.operations.push(`q ${[x, y, width, height].map(formatNumber).join(' ')} re W n`);
+    return this;
+  }
+
+  restore() {
+    this.operations.push('Q');
+    return this;
+  }
+}
+
+class PdfDocument {
+  constructor(info = {}) {
+    this.info = info;
+    this.fonts = new Map();
+    this.images = new Map();
+    this.pages = [];
+  }
+
+  /**
+   * Register a font under a key: a standard font name or TrueType font data
+   */
+  addFont(key, source) {
+    const instance = Buffer.isBuffer(source) ? new TrueTypeFont(source) : new StandardFont(source);
+    this.fonts.set(key, { instance, resourceName: `F${this.fonts.size + 1}` });
+    return instance;
+  }
+
+  font(key) {
+    const entry = this.fonts.get(key);
+    if (!entry) throw new Error(`Unknown font: ${key}`);
+    return entry;
+  }
+
+  widthOf(fontKey, text, size) {
+    return this.font(fontKey).instance.widthOf(text, size);
+  }
+
+  addImage(name, data) {
+    const image = readImage(data);
+    this.images.set(name, { ...image, resourceName: `Im${this.images.size + 1}` });
+    return { width: image.width, height: image.height };
+  }
+
+  /**
+   * Add a page of width x height points; trimBox/bleedBox are [x1, y1, x2, y2]
+   */
+  addPage(options) {
+    const page = new PdfPage(this, options);
+    this.pages.push(page);
+    return page;
+  }
+
+  get embedsAllFonts() {
+    return [...this.fonts.values()].every(entry => entry.instance.embedded);
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const addStream = (dictionary, data, compress = true) => {
+      const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+      const body = compress ? zlib.deflateSync(raw) : raw;
+      const entries = [dictionary, compress ? '/Filter /FlateDecode' : '', `/Length ${body.length}`].filter(Boolean);
+      return add([Buffer.from(`<< ${entries.join(' ')} >>\nstream\n`, 'latin1'), body, Buffer.from('\nendstream', 'latin1')]);
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+
+    const fontRefs = [];
+    for (const { instance, resourceName } of this.fonts.values()) {
+      fontRefs.push(`/${resourceName} ${this.writeFont(instance, add, addStream)} 0 R`);
+    }
+
+    const imageRefs = [];
+    for (const image of this.images.values()) {
+      const mask = image.alpha
+        ? ` /SMask ${addStream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode`, image.alpha, false)} 0 R`
+        : '';
+      const id = addStream(`/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ${image.dictionary}${mask}`, image.data, false);
+      imageRefs.push(`/${image.resourceName} ${id} 0 R`);
+    }
+
+    const resourcesId = add(`<< /Font << ${fontRefs.join(' ')} >> /XObject << ${imageRefs.join(' ')} >> /ProcSet [/PDF /Text /ImageB /ImageC] >>`);
+
+    const pageIds = this.pages.map(page => {
+      const contentId = addStream('', page.operations.join('\n'));
+      const box = (name, value) => (value ? ` /${name} [${value.map(formatNumber).join(' ')}]` : '');
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}]`
+        + `${box('BleedBox', page.bleedBox)}${box('TrimBox', page.trimBox)} /Resources ${resourcesId} 0 R /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+
+    const info = { Producer: 'HardbanRecords Publishing', CreationDate: new Date(), ...this.info };
+    const infoId = add(`<< ${Object.entries(info)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `/${key} ${value instanceof Date ? pdfString(pdfDate(value)) : pdfString(value)}`)
+      .join(' ')} >>`);
+
+    // Serialize with a cross-reference table
+    const chunks = [Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+
+    objects.forEach((body, index) => {
+      offsets.push(length);
+      const parts = [Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        ...(Array.isArray(body) ? body : [Buffer.from(body, 'latin1')]),
+        Buffer.from('\nendobj\n', 'latin1')];
+      for (const part of parts) {
+        chunks.push(part);
+        length += part.length;
+      }
+    });
+
+    const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`,
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`),
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${length}\n%%EOF\n`];
+    chunks.push(Buffer.from(xref.join(''), 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+
+  writeFont(font, add, addStream) {
+    if (!font.embedded) {
+      return add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`);
+    }
+
+    const fontFileId = addStream(`/Length1 ${font.data.length}`, font.data);
+    const flags = 32 | (font.italicAngle !== 0 ? 64 : 0);
+    const descriptorId = add(`<< /Type /FontDescriptor /FontName /${font.name} /Flags ${flags}`
+      + ` /FontBBox [${font.bbox.map(value => font.scale(value)).join(' ')}] /ItalicAngle ${formatNumber(font.italicAngle)}`
+      + ` /Ascent ${font.scale(font.ascent)} /Descent ${font.scale(font.descent)} /CapHeight ${font.scale(font.capHeight)}`
+      + ` /StemV 80 /FontFile2 ${fontFileId} 0 R >>`);
+    const cidFontId = add(`<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${font.name}`
+      + ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>'
+      + ` /FontDescriptor ${descriptorId} 0 R /W ${font.widthArray()} /CIDToGIDMap /Identity >>`);
+    const toUnicodeId = addStream('', font.toUnicodeCMap());
+
+    return add(`<< /Type /Font /Subtype /Type0 /BaseFont /${font.name} /Encoding /Identity-H`
+      + ` /DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`);
+  }
+}
+
+/**
+ * Page count and first page boxes of a PDF (for checking uploaded files)
+ *
+ * Reads uncompressed page dictionaries only, which covers PDFs without
+ * object streams; returns null values when they cannot be found.
+ */
+function inspectPdf(buffer) {
+  const text = buffer.toString('latin1');
+  if (!text.startsWith('%PDF-')) throw new Error('Not a PDF file');
+
+  const readBox = (name) => {
+    const match = new RegExp(`/${name}\\s*\\[\\s*([-\\d.\\s]+)\\]`).exec(text);
+    return match ? match[1].trim().split(/\s+/).map(Number) : null;
+  };
+  const counts = [...text.matchAll(/\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)/g)].map(match => Number(match[1]));
+
+  return {
+    version: text.slice(5, 8),
+    pageCount: counts.length > 0 ? Math.max(...counts) : null,
+    mediaBox: readBox('MediaBox'),
+    trimBox: readBox('TrimBox'),
+    bleedBox: readBox('BleedBox')
+  };
+}
+
+module.exports = {
+  POINTS_PER_INCH,
+  STANDARD_WIDTHS,
+  inches,
+  PdfDocument,
+  inspectPdf
+};
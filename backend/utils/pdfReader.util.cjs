@@ -0,0 +1,1218 @@
+/**
+ * PDF Reader Utilities
+ * Parses PDF files (xref tables and streams, object streams, common filters)
+ * and extracts positioned text runs, outlines and document info
+ * Used for manuscript ingestion
+ */
+
+const zlib = require('zlib');
+const { STANDARD_WIDTHS } = require('./pdf.util.cjs');
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(Array.from('()<>[]{}/%', char => char.charCodeAt(0)));
+
+// WinAnsi codes 128-159 (the rest of the upper half matches Latin-1)
+const WIN_ANSI_HIGH = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+  0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names that are not derivable from their spelling (Adobe Glyph List subset)
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '−', period: '.',
+  slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?',
+  at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7',
+  eight: '8', nine: '9', endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”',
+  quotesinglbase: '‚', quotedblbase: '„', guillemotleft: '«', guillemotright: '»',
+  guilsinglleft: '‹', guilsinglright: '›', bullet: '•', ellipsis: '…', dagger: '†',
+  daggerdbl: '‡', periodcentered: '·', section: '§', paragraph: '¶', copyright: '©',
+  registered: '®', trademark: '™', degree: '°', exclamdown: '¡', questiondown: '¿',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', germandbls: 'ß', ae: 'æ', AE: 'Æ',
+  oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø', lslash: 'ł', Lslash: 'Ł', dotlessi: 'ı',
+  nbspace: ' ', nonbreakingspace: ' ', Euro: '€', sterling: '£', yen: '¥',
+  cent: '¢', florin: 'ƒ', multiply: '×', divide: '÷', perthousand: '‰'
+};
+
+// Accent suffixes of composite glyph names (eacute = e + acute)
+const ACCENTS = {
+  acute: '́', grave: '̀', circumflex: '̂', dieresis: '̈', tilde: '̃',
+  ring: '̊', cedilla: '̧', caron: '̌', ogonek: '̨', dotaccent: '̇',
+  macron: '̄', breve: '̆', hungarumlaut: '̋'
+};
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+class PdfStream {
+  constructor(dict, raw) {
+    this.dict = dict;
+    this.raw = raw;
+  }
+}
+
+class PdfKeyword {
+  constructor(keyword) {
+    this.keyword = keyword;
+  }
+}
+
+function isName(value, name) {
+  return value instanceof PdfName && (name === undefined || value.name === name);
+}
+
+function nameOf(value) {
+  return value instanceof PdfName ? value.name : null;
+}
+
+// ========== Lexer ==========
+
+/**
+ * Tokenizer for PDF object syntax and content streams
+ */
+class Lexer {
+  constructor(buffer, position = 0, resolveLength = null) {
+    this.buffer = buffer;
+    this.position = position;
+    this.resolveLength = resolveLength;
+  }
+
+  skipWhitespace() {
+    const buffer = this.buffer;
+    while (this.position < buffer.length) {
+      const byte = buffer[this.position];
+      if (WHITESPACE.has(byte)) {
+        this.position++;
+      } else if (byte === 0x25) { // % comment
+        while (this.position < buffer.length && buffer[this.position] !== 0x0a && buffer[this.position] !== 0x0d) {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  atEnd() {
+    this.skipWhitespace();
+    return this.position >= this.buffer.length;
+  }
+
+  readObject() {
+    this.skipWhitespace();
+    const buffer = this.buffer;
+    if (this.position >= buffer.length) throw new Error('Unexpected end of PDF data');
+    const byte = buffer[this.position];
+
+    if (byte === 0x5b) { // [
+      this.position++;
+      const array = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.position >= buffer.length) throw new Error('Unterminated array');
+        if (buffer[this.position] === 0x5d) {
+          this.position++;
+          return array;
+        }
+        array.push(this.readObject());
+      }
+    }
+
+    if (byte === 0x3c && buffer[this.position + 1] === 0x3c) { // <<
+      this.position += 2;
+      const dict = Object.create(null);
+      for (;;) {
+        this.skipWhitespace();
+        if (this.position >= buffer.length) throw new Error('Unterminated dictionary');
+        if (buffer[this.position] === 0x3e && buffer[this.position + 1] === 0x3e) {
+          this.position += 2;
+          break;
+        }
+        const key = this.readObject();
+        if (!(key instanceof PdfName)) throw new Error('Dictionary key is not a name');
+        dict[key.name] = this.readObject();
+      }
+      return this.readStreamBody(dict);
+    }
+
+    if (byte === 0x3c) return this.readHexString();
+    if (byte === 0x28) return this.readLiteralString();
+    if (byte === 0x2f) return new PdfName(this.readName());
+
+    const token = this.readToken();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      const number = Number(token);
+      // "num gen R" references
+      if (/^\d+$/.test(token)) {
+        const saved = this.position;
+        this.skipWhitespace();
+        const gen = this.readToken();
+        if (/^\d+$/.test(gen)) {
+          this.skipWhitespace();
+          if (this.readToken() === 'R') return new PdfRef(number, Number(gen));
+        }
+        this.position = saved;
+      }
+      return number;
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    if (token === '') {
+      this.position++;
+      return new PdfKeyword(String.fromCharCode(byte));
+    }
+    return new PdfKeyword(token);
+  }
+
+  readToken() {
+    const start = this.position;
+    while (this.position < this.buffer.length) {
+      const byte = this.buffer[this.position];
+      if (WHITESPACE.has(byte) || DELIMITERS.has(byte)) break;
+      this.position++;
+    }
+    return this.buffer.toString('latin1', start, this.position);
+  }
+
+  readName() {
+    this.position++;
+    const raw = this.readToken();
+    return raw.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readHexString() {
+    const end = this.buffer.indexOf(0x3e, this.position);
+    if (end === -1) throw new Error('Unterminated hex string');
+    let hex = this.buffer.toString('latin1', this.position + 1, end).replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length % 2 === 1) hex += '0';
+    this.position = end + 1;
+    return Buffer.from(hex, 'hex');
+  }
+
+  readLiteralString() {
+    const buffer = this.buffer;
+    const bytes = [];
+    let depth = 0;
+    this.position++;
+
+    while (this.position < buffer.length) {
+      const byte = buffer[this.position++];
+      if (byte === 0x5c) { // backslash
+        const next = buffer[this.position++];
+        const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+        if (escapes[next] !== undefined) {
+          bytes.push(escapes[next]);
+        } else if (next >= 0x30 && next <= 0x37) {
+          let octal = next - 0x30;
+          for (let i = 0; i < 2 && buffer[this.position] >= 0x30 && buffer[this.position] <= 0x37; i++) {
+            octal = octal * 8 + (buffer[this.position++] - 0x30);
+          }
+          bytes.push(octal & 0xff);
+        } else if (next === 0x0d) {
+          if (buffer[this.position] === 0x0a) this.position++;
+        } else if (next !== 0x0a) {
+          bytes.push(next);
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        bytes.push(byte);
+      } else if (byte === 0x29) {
+        if (depth === 0) return Buffer.from(bytes);
+        depth--;
+        bytes.push(byte);
+      } else {
+        bytes.push(byte);
+      }
+    }
+    throw new Error('Unterminated string');
+  }
+
+  readStreamBody(dict) {
+    const saved = this.position;
+    this.skipWhitespace();
+    if (this.buffer.toString('latin1', this.position, this.position + 6) !== 'stream') {
+      this.position = saved;
+      return dict;
+    }
+
+    this.position += 6;
+    if (this.buffer[this.position] === 0x0d) this.position++;
+    if (this.buffer[this.position] === 0x0a) this.position++;
+
+    const start = this.position;
+    let length = dict.Length;
+    if (length instanceof PdfRef && this.resolveLength) length = this.resolveLength(length);
+
+    let end = typeof length === 'number' ? start + length : -1;
+    if (end < start || end > this.buffer.length
+      || this.buffer.indexOf('endstream', end, 'latin1') - end > 4) {
+      // Missing or wrong /Length: search for the end marker instead
+      end = this.buffer.indexOf('endstream', start, 'latin1');
+      if (end === -1) throw new Error('Unterminated stream');
+      while (end > start && (this.buffer[end - 1] === 0x0a || this.buffer[end - 1] === 0x0d)) end--;
+    }
+
+    this.position = this.buffer.indexOf('endstream', end, 'latin1') + 9;
+    return new PdfStream(dict, this.buffer.subarray(start, end));
+  }
+}
+
+// ========== Filters ==========
+
+function applyPredictor(data, params) {
+  const predictor = params.Predictor || 1;
+  if (predictor < 10) return data;
+
+  const colors = params.Colors || 1;
+  const bits = params.BitsPerComponent || 8;
+  const columns = params.Columns || 1;
+  const bytesPerPixel = Math.max(1, Math.ceil(colors * bits / 8));
+  const rowLength = Math.ceil(columns * colors * bits / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = Buffer.alloc(rows * rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (rowLength + 1)];
+    const input = row * (rowLength + 1) + 1;
+    const current = row * rowLength;
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? output[current + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[current - rowLength + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[current - rowLength + i - bytesPerPixel] : 0;
+      let value = data[input + i];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += Math.floor((left + up) / 2);
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const [a, b, c] = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+        value += a <= b && a <= c ? left : (b <= c ? up : upLeft);
+      }
+      output[current + i] = value & 0xff;
+    }
+  }
+  return output;
+}
+
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch (error) {
+    // Truncated or padded streams are common; keep whatever inflates
+    return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  }
+}
+
+function decodeAscii85(data) {
+  const text = data.toString('latin1').replace(/\s/g, '').replace(/^<~/, '').replace(/~>.*$/, '');
+  const output = [];
+  let group = [];
+
+  const flush = (count) => {
+    while (group.length < 5) group.push(84);
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    output.push(...bytes.slice(0, count));
+    group = [];
+  };
+
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 0) flush(group.length - 1);
+  return Buffer.from(output);
+}
+
+function decodeLzw(data, earlyChange = 1) {
+  const output = [];
+  let dictionary = [];
+  let codeLength = 9;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let previous = null;
+
+  const reset = () => {
+    dictionary = Array.from({ length: 258 }, (_, index) => (index < 256 ? [index] : null));
+    codeLength = 9;
+    previous = null;
+  };
+  reset();
+
+  for (const byte of data) {
+    bitBuffer = (bitBuffer << 8) | byte;
+    bitCount += 8;
+
+    while (bitCount >= codeLength) {
+      const code = (bitBuffer >> (bitCount - codeLength)) & ((1 << codeLength) - 1);
+      bitCount -= codeLength;
+      bitBuffer &= (1 << bitCount) - 1;
+
+      if (code === 256) {
+        reset();
+        continue;
+      }
+      if (code === 257) return Buffer.from(output);
+
+      let entry;
+      if (code < dictionary.length && dictionary[code]) {
+        entry = dictionary[code];
+        if (previous) dictionary.push([...previous, entry[0]]);
+      } else if (previous) {
+        entry = [...previous, previous[0]];
+        dictionary.push(entry);
+      } else {
+        continue;
+      }
+      output.push(...entry);
+      previous = entry;
+
+      if (dictionary.length + earlyChange >= (1 << codeLength) && codeLength < 12) codeLength++;
+    }
+  }
+  return Buffer.from(output);
+}
+
+function decodeRunLength(data) {
+  const output = [];
+  let index = 0;
+  while (index < data.length) {
+    const length = data[index++];
+    if (length === 128) break;
+    if (length < 128) {
+      output.push(...data.subarray(index, index + length + 1));
+      index += length + 1;
+    } else {
+      output.push(...new Array(257 - length).fill(data[index++]));
+    }
+  }
+  return Buffer.from(output);
+}
+
+// ========== Text Decoding ==========
+
+/**
+ * Decode a PDF text string (UTF-16BE with BOM, UTF-8 with BOM, or PDFDocEncoding)
+ */
+function decodeTextString(value) {
+  if (!Buffer.isBuffer(value)) return value === null || value === undefined ? null : String(value);
+  if (value[0] === 0xfe && value[1] === 0xff) {
+    return Buffer.from(value.subarray(2)).swap16().toString('utf16le');
+  }
+  if (value[0] === 0xef && value[1] === 0xbb && value[2] === 0xbf) {
+    return value.subarray(3).toString('utf8');
+  }
+  return Array.from(value, byte => WIN_ANSI_HIGH[byte] || String.fromCharCode(byte)).join('');
+}
+
+function glyphNameToUnicode(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (name.length === 1) return name;
+
+  const uni = /^uni([0-9A-Fa-f]{4})+$/.exec(name);
+  if (uni) return name.slice(3).match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  const u = /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+
+  const base = name.split('.')[0];
+  if (base !== name) return glyphNameToUnicode(base);
+
+  const accent = Object.keys(ACCENTS).find(suffix => name.length > suffix.length && name.endsWith(suffix));
+  if (accent) {
+    const letter = name.slice(0, -accent.length);
+    if (letter.length === 1) return (letter + ACCENTS[accent]).normalize('NFC');
+  }
+  return null;
+}
+
+/**
+ * Parse a ToUnicode CMap into code space ranges and a code to text map
+ */
+function parseToUnicode(data) {
+  const text = data.toString('latin1');
+  const map = new Map();
+  const codespaces = [];
+  const hexToText = (hex) => {
+    const bytes = Buffer.from(hex.length % 4 === 2 ? `00${hex}` : hex, 'hex');
+    return Buffer.from(bytes).swap16().toString('utf16le');
+  };
+
+  for (const block of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g)) {
+      codespaces.push({ bytes: range[1].length / 2, low: parseInt(range[1], 16), high: parseInt(range[2], 16) });
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(entry[1], 16), hexToText(entry[2]));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const pattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    for (const entry of block[1].matchAll(pattern)) {
+      const low = parseInt(entry[1], 16);
+      const high = parseInt(entry[2], 16);
+      if (high - low > 0xffff) continue;
+
+      if (entry[3].startsWith('[')) {
+        const targets = [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(match => match[1]);
+        targets.forEach((hex, index) => map.set(low + index, hexToText(hex)));
+      } else {
+        const start = hexToText(entry[3].slice(1, -1));
+        const last = start.charCodeAt(start.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, start.slice(0, -1) + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+
+  return { map, codespaces };
+}
+
+// ========== Matrices ==========
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// ========== Document ==========
+
+class PdfReader {
+  constructor(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+      throw new Error('Not a PDF file');
+    }
+    this.buffer = buffer;
+    this.xref = new Map();
+    this.cache = new Map();
+    this.fonts = new Map();
+    this.trailer = Object.create(null);
+
+    try {
+      this.readCrossReferences();
+    } catch (error) {
+      this.reconstructCrossReferences();
+    }
+    if (!this.trailer.Root) this.reconstructCrossReferences();
+
+    if (this.trailer.Encrypt) {
+      throw new Error('Encrypted PDFs are not supported; remove the password protection and upload again');
+    }
+  }
+
+  readCrossReferences() {
+    const tail = this.buffer.toString('latin1', Math.max(0, this.buffer.length - 2048));
+    const match = /startxref\s+(\d+)/g;
+    let offset = null;
+    for (const found of tail.matchAll(match)) offset = Number(found[1]);
+    if (offset === null) throw new Error('startxref not found');
+
+    const visited = new Set();
+    while (offset !== null && offset !== undefined && !visited.has(offset)) {
+      visited.add(offset);
+      const lexer = new Lexer(this.buffer, offset);
+      lexer.skipWhitespace();
+      let trailer;
+
+      if (this.buffer.toString('latin1', lexer.position, lexer.position + 4) === 'xref') {
+        lexer.position += 4;
+        trailer = this.readXrefTable(lexer);
+        if (typeof trailer.XRefStm === 'number') this.readXrefStream(trailer.XRefStm);
+      } else {
+        trailer = this.readXrefStream(offset);
+      }
+
+      for (const key of Object.keys(trailer)) {
+        if (!(key in this.trailer)) this.trailer[key] = trailer[key];
+      }
+      offset = typeof trailer.Prev === 'number' ? trailer.Prev : null;
+    }
+  }
+
+  readXrefTable(lexer) {
+    for (;;) {
+      const token = lexer.readObject();
+      if (token instanceof PdfKeyword && token.keyword === 'trailer') break;
+      const start = token;
+      const count = lexer.readObject();
+
+      lexer.skipWhitespace();
+      for (let i = 0; i < count; i++) {
+        lexer.skipWhitespace();
+        const line = this.buffer.toString('latin1', lexer.position, lexer.position + 18);
+        const entry = /^(\d{10}) (\d{5}) ([nf])/.exec(line);
+        if (!entry) throw new Error('Malformed xref entry');
+        lexer.position += 18;
+        const num = start + i;
+        if (entry[3] === 'n' && !this.xref.has(num)) this.xref.set(num, { offset: Number(entry[1]) });
+      }
+    }
+    return lexer.readObject();
+  }
+
+  readXrefStream(offset) {
+    const stream = this.parseIndirectObject(offset);
+    if (!(stream instanceof PdfStream) || !isName(stream.dict.Type, 'XRef')) {
+      throw new Error('Invalid cross-reference stream');
+    }
+
+    const data = this.decodeStream(stream);
+    const widths = stream.dict.W;
+    const index = stream.dict.Index || [0, stream.dict.Size];
+    const entryLength = widths.reduce((sum, width) => sum + width, 0);
+    const field = (position, width, fallback) => {
+      if (width === 0) return fallback;
+      let value = 0;
+      for (let i = 0; i < width; i++) value = value * 256 + data[position + i];
+      return value;
+    };
+
+    let position = 0;
+    for (let section = 0; section < index.length; section += 2) {
+      for (let i = 0; i < index[section + 1]; i++) {
+        const num = index[section] + i;
+        const type = field(position, widths[0], 1);
+        const second = field(position + widths[0], widths[1], 0);
+        const third = field(position + widths[0] + widths[1], widths[2], 0);
+        position += entryLength;
+
+        if (this.xref.has(num)) continue;
+        if (type === 1) this.xref.set(num, { offset: second });
+        else if (type === 2) this.xref.set(num, { stream: second, index: third });
+      }
+    }
+    return stream.dict;
+  }
+
+  /**
+   * Rebuild the object index by scanning for "n g obj" when the xref is damaged
+   */
+  reconstructCrossReferences() {
+    const text = this.buffer.toString('latin1');
+    this.xref.clear();
+    this.cache.clear();
+
+    for (const match of text.matchAll(/(?:^|[\r\n\s])(\d+)\s+(\d+)\s+obj\b/g)) {
+      const offset = match.index + match[0].indexOf(match[1]);
+      this.xref.set(Number(match[1]), { offset });
+    }
+
+    for (const match of text.matchAll(/trailer\s*<</g)) {
+      try {
+        const trailer = new Lexer(this.buffer, match.index + 7).readObject();
+        Object.assign(this.trailer, trailer);
+      } catch (error) {
+        // Ignore unreadable trailers and look for the catalog below
+      }
+    }
+
+    if (!this.trailer.Root) {
+      for (const num of this.xref.keys()) {
+        const object = this.getObject(num);
+        if (object && isName(object.Type, 'Catalog')) {
+          this.trailer.Root = new PdfRef(num, 0);
+          break;
+        }
+      }
+    }
+    if (!this.trailer.Root) throw new Error('PDF has no document catalog');
+  }
+
+  parseIndirectObject(offset) {
+    const lexer = new Lexer(this.buffer, offset, (ref) => this.resolve(ref));
+    lexer.readObject(); // object number
+    lexer.readObject(); // generation
+    const keyword = lexer.readObject();
+    if (!(keyword instanceof PdfKeyword) || keyword.keyword !== 'obj') {
+      throw new Error(`Expected object at offset ${offset}`);
+    }
+    return lexer.readObject();
+  }
+
+  getObject(num) {
+    if (this.cache.has(num)) return this.cache.get(num);
+    const entry = this.xref.get(num);
+    let value = null;
+
+    // Mark as in progress so reference cycles resolve to null
+    this.cache.set(num, null);
+    try {
+      if (entry && entry.offset !== undefined) {
+        value = this.parseIndirectObject(entry.offset);
+      } else if (entry && entry.stream !== undefined) {
+        value = this.readFromObjectStream(entry.stream, entry.index, num);
+      }
+    } catch (error) {
+      value = null;
+    }
+    this.cache.set(num, value);
+    return value;
+  }
+
+  readFromObjectStream(streamNum, index, num) {
+    const stream = this.getObject(streamNum);
+    if (!(stream instanceof PdfStream)) return null;
+
+    if (!stream.objects) {
+      const data = this.decodeStream(stream);
+      const header = new Lexer(data.subarray(0, stream.dict.First));
+      const offsets = [];
+      for (let i = 0; i < stream.dict.N; i++) {
+        offsets.push({ num: header.readObject(), offset: header.readObject() });
+      }
+      stream.objects = new Map(offsets.map(({ num: objectNum, offset }) => {
+        const lexer = new Lexer(data, stream.dict.First + offset);
+        return [objectNum, lexer.readObject()];
+      }));
+    }
+    return stream.objects.get(num) ?? null;
+  }
+
+  resolve(value) {
+    let current = value;
+    for (let depth = 0; current instanceof PdfRef && depth < 32; depth++) {
+      current = this.getObject(current.num);
+    }
+    return current;
+  }
+
+  decodeStream(stream) {
+    if (stream.decoded) return stream.decoded;
+
+    const filters = [].concat(this.resolve(stream.dict.Filter) || []).map(filter => nameOf(this.resolve(filter)));
+    const params = [].concat(this.resolve(stream.dict.DecodeParms) || []).map(param => this.resolve(param) || {});
+    let data = stream.raw;
+
+    filters.forEach((filter, index) => {
+      const param = params[index] || {};
+      switch (filter) {
+        case 'FlateDecode':
+        case 'Fl':
+          data = applyPredictor(inflate(data), param);
+          break;
+        case 'LZWDecode':
+        case 'LZW':
+          data = applyPredictor(decodeLzw(data, param.EarlyChange ?? 1), param);
+          break;
+        case 'ASCIIHexDecode':
+        case 'AHx':
+          data = Buffer.from(data.toString('latin1').replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, ''), 'hex');
+          break;
+        case 'ASCII85Decode':
+        case 'A85':
+          data = decodeAscii85(data);
+          break;
+        case 'RunLengthDecode':
+        case 'RL':
+          data = decodeRunLength(data);
+          break;
+        default:
+          // Image codecs (DCT, JPX, CCITT, JBIG2) are left encoded
+          break;
+      }
+    });
+
+    stream.decoded = data;
+    return data;
+  }
+
+  get catalog() {
+    return this.resolve(this.trailer.Root) || {};
+  }
+
+  /**
+   * Document information dictionary with decoded strings and dates
+   */
+  getInfo() {
+    const info = this.resolve(this.trailer.Info) || {};
+    const result = {};
+    for (const key of ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer']) {
+      const value = decodeTextString(this.resolve(info[key]));
+      if (value && value.trim()) result[key.toLowerCase()] = value.trim();
+    }
+    for (const key of ['CreationDate', 'ModDate']) {
+      const value = decodeTextString(this.resolve(info[key]));
+      const match = value && /D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(value);
+      if (match) {
+        result[key === 'CreationDate' ? 'created' : 'modified'] = new Date(Date.UTC(
+          Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1),
+          Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0)
+        ));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Pages in reading order with inherited resources and media box
+   */
+  getPages() {
+    if (this.pages) return this.pages;
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (ref, inherited) => {
+      const node = this.resolve(ref);
+      if (!node || visited.has(node)) return;
+      visited.add(node);
+
+      const resources = node.Resources !== undefined ? this.resolve(node.Resources) : inherited.resources;
+      const mediaBox = node.MediaBox !== undefined
+        ? (this.resolve(node.MediaBox) || []).map(value => this.resolve(value))
+        : inherited.mediaBox;
+      if (isName(node.Type, 'Pages') || Array.isArray(this.resolve(node.Kids))) {
+        for (const kid of this.resolve(node.Kids) || []) walk(kid, { resources, mediaBox });
+      } else {
+        pages.push({
+          ref: ref instanceof PdfRef ? ref.num : null,
+          dict: node,
+          resources: resources || {},
+          mediaBox: mediaBox && mediaBox.length === 4 ? mediaBox : [0, 0, 612, 792]
+        });
+      }
+    };
+
+    walk(this.catalog.Pages, { resources: {}, mediaBox: null });
+    this.pages = pages;
+    return pages;
+  }
+
+  /**
+   * Document outline as a tree of { title, pageIndex, children }
+   */
+  getOutline() {
+    const outlines = this.resolve(this.catalog.Outlines);
+    if (!outlines) return [];
+
+    const pageIndex = new Map(this.getPages().map((page, index) => [page.ref, index]));
+    const visited = new Set();
+
+    const readLevel = (firstRef, depth) => {
+      const items = [];
+      let ref = firstRef;
+      while (ref && depth < 10) {
+        const key = ref instanceof PdfRef ? ref.num : ref;
+        if (visited.has(key)) break;
+        visited.add(key);
+
+        const item = this.resolve(ref);
+        if (!item) break;
+        const destination = this.resolveDestination(item.Dest !== undefined ? item.Dest : this.actionDestination(item.A));
+        const target = Array.isArray(destination) ? destination[0] : null;
+
+        items.push({
+          title: (decodeTextString(this.resolve(item.Title)) || '').replace(/\s+/g, ' ').trim(),
+          pageIndex: target instanceof PdfRef
+            ? (pageIndex.has(target.num) ? pageIndex.get(target.num) : null)
+            : (typeof target === 'number' ? target : null),
+          children: item.First ? readLevel(item.First, depth + 1) : []
+        });
+        ref = item.Next;
+      }
+      return items;
+    };
+
+    return readLevel(outlines.First, 0);
+  }
+
+  actionDestination(action) {
+    const resolved = this.resolve(action);
+    return resolved && isName(resolved.S, 'GoTo') ? resolved.D : null;
+  }
+
+  resolveDestination(value) {
+    let destination = this.resolve(value);
+    if (destination instanceof PdfName || Buffer.isBuffer(destination)) {
+      const key = destination instanceof PdfName ? destination.name : destination.toString('latin1');
+      destination = this.lookupNamedDestination(key);
+    }
+    if (destination && !Array.isArray(destination) && destination.D) destination = this.resolve(destination.D);
+    return Array.isArray(destination) ? destination : null;
+  }
+
+  lookupNamedDestination(key) {
+    const catalog = this.catalog;
+    const dests = this.resolve(catalog.Dests);
+    if (dests && dests[key] !== undefined) return this.resolve(dests[key]);
+
+    const names = this.resolve(catalog.Names);
+    const tree = names && this.resolve(names.Dests);
+    const search = (node, depth) => {
+      if (!node || depth > 20) return null;
+      const entries = this.resolve(node.Names);
+      if (Array.isArray(entries)) {
+        for (let i = 0; i < entries.length; i += 2) {
+          const name = this.resolve(entries[i]);
+          if (Buffer.isBuffer(name) && name.toString('latin1') === key) return this.resolve(entries[i + 1]);
+        }
+      }
+      for (const kid of this.resolve(node.Kids) || []) {
+        const found = search(this.resolve(kid), depth + 1);
+        if (found) return found;
+      }
+      return null;
+    };
+    return search(tree, 0);
+  }
+
+  // ========== Text ==========
+
+  loadFont(ref) {
+    const key = ref instanceof PdfRef ? ref.num : ref;
+    if (this.fonts.has(key)) return this.fonts.get(key);
+
+    const dict = this.resolve(ref) || {};
+    const subtype = nameOf(this.resolve(dict.Subtype));
+    const baseFont = (nameOf(this.resolve(dict.BaseFont)) || '').replace(/^[A-Z]{6}\+/, '');
+    const composite = subtype === 'Type0';
+    const descendant = composite ? this.resolve((this.resolve(dict.DescendantFonts) || [])[0]) || {} : null;
+    const descriptor = this.resolve((descendant || dict).FontDescriptor) || {};
+    const flags = this.resolve(descriptor.Flags) || 0;
+
+    // Type3 glyph widths are in glyph space, scaled by the font matrix
+    const fontMatrix = subtype === 'Type3' ? (this.resolve(dict.FontMatrix) || []).map(value => this.resolve(value)) : null;
+
+    const font = {
+      name: baseFont,
+      composite,
+      widthScale: fontMatrix && fontMatrix[0] ? Math.abs(fontMatrix[0]) : 0.001,
+      sizeScale: fontMatrix && fontMatrix[3] ? Math.abs(fontMatrix[3]) * 1000 : 1,
+      bold: /bold|black|heavy|semibold|demi/i.test(baseFont) || Boolean(flags & 0x40000),
+      italic: /italic|oblique/i.test(baseFont) || Boolean(flags & 0x40),
+      toUnicode: null,
+      encoding: null,
+      widths: new Map(),
+      defaultWidth: composite ? (this.resolve(descendant.DW) ?? 1000) : 500
+    };
+
+    const toUnicode = this.resolve(dict.ToUnicode);
+    if (toUnicode instanceof PdfStream) {
+      try {
+        font.toUnicode = parseToUnicode(this.decodeStream(toUnicode));
+      } catch (error) {
+        font.toUnicode = null;
+      }
+    }
+
+    if (composite) {
+      const widths = this.resolve(descendant.W) || [];
+      for (let i = 0; i < widths.length;) {
+        const first = this.resolve(widths[i]);
+        const next = this.resolve(widths[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((width, offset) => font.widths.set(first + offset, this.resolve(width)));
+          i += 2;
+        } else {
+          const width = this.resolve(widths[i + 2]);
+          for (let code = first; code <= next; code++) font.widths.set(code, width);
+          i += 3;
+        }
+      }
+    } else {
+      const firstChar = this.resolve(dict.FirstChar) || 0;
+      (this.resolve(dict.Widths) || []).forEach((width, index) => font.widths.set(firstChar + index, this.resolve(width)));
+      font.encoding = this.readSimpleEncoding(this.resolve(dict.Encoding));
+      if (font.widths.size === 0) this.applyStandardWidths(font);
+    }
+
+    this.fonts.set(key, font);
+    return font;
+  }
+
+  /**
+   * Standard 14 fonts may omit /Widths; use Times metrics (Helvetica is
+   * close enough for spacing) and a fixed pitch for Courier
+   */
+  applyStandardWidths(font) {
+    if (/courier/i.test(font.name)) {
+      font.defaultWidth = 600;
+      return;
+    }
+    const family = font.bold ? 'Times-Bold' : (font.italic ? 'Times-Italic' : 'Times-Roman');
+    const scale = /helvetica|arial/i.test(font.name) ? 1.1 : 1;
+    STANDARD_WIDTHS[family].forEach((width, index) => font.widths.set(32 + index, width * scale));
+  }
+
+  readSimpleEncoding(encoding) {
+    const table = new Map();
+    for (let code = 0x20; code <= 0xff; code++) {
+      if (code <= 0x7e || code >= 0xa0) table.set(code, String.fromCharCode(code));
+      else if (WIN_ANSI_HIGH[code]) table.set(code, WIN_ANSI_HIGH[code]);
+    }
+
+    const differences = encoding && !(encoding instanceof PdfName) ? this.resolve(encoding.Differences) : null;
+    if (Array.isArray(differences)) {
+      let code = 0;
+      for (const entry of differences) {
+        const value = this.resolve(entry);
+        if (typeof value === 'number') {
+          code = value;
+        } else if (value instanceof PdfName) {
+          const text = glyphNameToUnicode(value.name);
+          if (text !== null) table.set(code, text);
+          code++;
+        }
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Split a shown string into codes with their text and glyph widths
+   */
+  decodeString(font, bytes) {
+    const glyphs = [];
+    const codespaces = font.toUnicode && font.toUnicode.codespaces.length > 0 ? font.toUnicode.codespaces : null;
+    let position = 0;
+
+    while (position < bytes.length) {
+      let length = font.composite ? 2 : 1;
+      if (codespaces) {
+        for (let candidate = 1; candidate <= 4; candidate++) {
+          if (position + candidate > bytes.length) break;
+          const value = bytes.readUIntBE(position, candidate);
+          if (codespaces.some(range => range.bytes === candidate && value >= range.low && value <= range.high)) {
+            length = candidate;
+            break;
+          }
+        }
+      }
+      length = Math.min(length, bytes.length - position);
+      const code = bytes.readUIntBE(position, length);
+      position += length;
+
+      let text = font.toUnicode ? font.toUnicode.map.get(code) : undefined;
+      if (text === undefined && !font.composite) text = font.encoding.get(code);
+      glyphs.push({
+        code,
+        text: text === undefined ? '' : text,
+        width: font.widths.has(code) ? font.widths.get(code) : font.defaultWidth,
+        isSpace: length === 1 && code === 32
+      });
+    }
+    return glyphs;
+  }
+
+  /**
+   * Positioned text runs of a page: [{ text, x, y, width, size, bold, italic }]
+   * in default user space (origin at the bottom left)
+   */
+  extractText(page) {
+    const items = [];
+    const contents = [].concat(this.resolve(page.dict.Contents) || [])
+      .map(stream => this.resolve(stream))
+      .filter(stream => stream instanceof PdfStream)
+      .map(stream => this.decodeStream(stream));
+
+    this.runContent(Buffer.concat(contents.flatMap(data => [data, Buffer.from('\n')])), page.resources, IDENTITY, items, 0);
+    return items;
+  }
+
+  runContent(data, resources, baseMatrix, items, depth) {
+    const lexer = new Lexer(data);
+    const fontsResource = this.resolve(resources.Font) || {};
+    const xObjects = this.resolve(resources.XObject) || {};
+    const stack = [];
+    let ctm = baseMatrix;
+    let state = { font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+    let operands = [];
+
+    const moveLine = (tx, ty) => {
+      lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+
+    const show = (bytes) => {
+      if (!state.font || !Buffer.isBuffer(bytes)) return;
+      const glyphs = this.decodeString(state.font, bytes);
+      const size = state.size * state.font.sizeScale;
+      const render = multiply([size * state.scale, 0, 0, size, 0, state.rise], multiply(textMatrix, ctm));
+      let advance = 0;
+      let text = '';
+
+      for (const glyph of glyphs) {
+        text += glyph.text;
+        const spacing = state.charSpacing + (glyph.isSpace ? state.wordSpacing : 0);
+        advance += (glyph.width * state.font.widthScale * state.size + spacing) * state.scale;
+      }
+
+      const start = multiply(textMatrix, ctm);
+      const end = multiply(multiply([1, 0, 0, 1, advance, 0], textMatrix), ctm);
+      if (text) {
+        items.push({
+          text,
+          x: render[4],
+          y: render[5],
+          width: Math.hypot(end[4] - start[4], end[5] - start[5]),
+          size: Math.round(Math.hypot(render[2], render[3]) * 100) / 100,
+          bold: state.font.bold,
+          italic: state.font.italic
+        });
+      }
+      textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    };
+
+    while (!lexer.atEnd()) {
+      let token;
+      try {
+        token = lexer.readObject();
+      } catch (error) {
+        break;
+      }
+      if (!(token instanceof PdfKeyword)) {
+        operands.push(token);
+        continue;
+      }
+
+      const op = token.keyword;
+      const args = operands;
+      operands = [];
+
+      switch (op) {
+        case 'q':
+          stack.push({ ctm, state: { ...state } });
+          break;
+        case 'Q': {
+          const saved = stack.pop();
+          if (saved) {
+            ctm = saved.ctm;
+            state = saved.state;
+          }
+          break;
+        }
+        case 'cm':
+          if (args.length === 6) ctm = multiply(args, ctm);
+          break;
+        case 'BT':
+          textMatrix = IDENTITY;
+          lineMatrix = IDENTITY;
+          break;
+        case 'Tf': {
+          const fontRef = fontsResource[nameOf(args[0])];
+          state.font = fontRef ? this.loadFont(fontRef) : null;
+          state.size = typeof args[1] === 'number' ? args[1] : 0;
+          break;
+        }
+        case 'Tc':
+          state.charSpacing = args[0] || 0;
+          break;
+        case 'Tw':
+          state.wordSpacing = args[0] || 0;
+          break;
+        case 'Tz':
+          state.scale = (args[0] ?? 100) / 100;
+          break;
+        case 'TL':
+          state.leading = args[0] || 0;
+          break;
+        case 'Ts':
+          state.rise = args[0] || 0;
+          break;
+        case 'Td':
+          moveLine(args[0] || 0, args[1] || 0);
+          break;
+        case 'TD':
+          state.leading = -(args[1] || 0);
+          moveLine(args[0] || 0, args[1] || 0);
+          break;
+        case 'Tm':
+          if (args.length === 6) {
+            lineMatrix = args;
+            textMatrix = args;
+          }
+          break;
+        case 'T*':
+          moveLine(0, -state.leading);
+          break;
+        case 'Tj':
+          show(args[0]);
+          break;
+        case "'":
+          moveLine(0, -state.leading);
+          show(args[0]);
+          break;
+        case '"':
+          state.wordSpacing = args[0] || 0;
+          state.charSpacing = args[1] || 0;
+          moveLine(0, -state.leading);
+          show(args[2]);
+          break;
+        case 'TJ':
+          for (const element of Array.isArray(args[0]) ? args[0] : []) {
+            if (typeof element === 'number') {
+              const shift = (-element / 1000) * state.size * state.scale;
+              // A large negative kern is how many producers encode a word space
+              if (element < -250 && items.length > 0) items[items.length - 1].spaceAfter = true;
+              textMatrix = multiply([1, 0, 0, 1, shift, 0], textMatrix);
+            } else {
+              show(element);
+            }
+          }
+          break;
+        case 'Do': {
+          const xObject = this.resolve(xObjects[nameOf(args[0])]);
+          if (depth < 5 && xObject instanceof PdfStream && isName(this.resolve(xObject.dict.Subtype), 'Form')) {
+            const matrix = this.resolve(xObject.dict.Matrix) || IDENTITY;
+            const formResources = this.resolve(xObject.dict.Resources) || resources;
+            this.runContent(this.decodeStream(xObject), formResources, multiply(matrix, ctm), items, depth + 1);
+          }
+          break;
+        }
+        case 'BI': {
+          // Skip inline image data up to the EI operator
+          const start = data.indexOf('ID', lexer.position, 'latin1');
+          let end = start === -1 ? -1 : data.indexOf('EI', start + 3, 'latin1');
+          while (end !== -1 && !(WHITESPACE.has(data[end - 1]) && (end + 2 >= data.length || WHITESPACE.has(data[end + 2])))) {
+            end = data.indexOf('EI', end + 2, 'latin1');
+          }
+          lexer.position = end === -1 ? data.length : end + 2;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+}
+
+module.exports = {
+  PdfReader,
+  decodeTextString
+};
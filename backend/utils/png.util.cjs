@@ -0,0 +1,204 @@
+/**
+ * PNG Utilities
+ * Chunk reading and full decoding of PNG images: every colour type and bit
+ * depth, palettes, tRNS transparency and Adam7 interlacing
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each colour type
+const COLOR_TYPE_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const COLOR_TYPE_NAMES = { 0: 'greyscale', 2: 'rgb', 3: 'indexed', 4: 'greyscale_alpha', 6: 'rgba' };
+const VALID_BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes: x start, y start, x step, y step
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+function isPng(data) {
+  return data.length >= 8 && data.subarray(0, 8).equals(SIGNATURE);
+}
+
+/**
+ * Chunk list and parsed header; image data is left compressed
+ */
+function readChunks(data) {
+  if (!isPng(data)) throw new Error('Not a PNG file');
+
+  const chunks = [];
+  let header = null;
+  let offset = 8;
+
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (offset + 12 + length > data.length) throw new Error(`PNG ${type} chunk runs past the end of the file`);
+    const body = data.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    }
+    chunks.push({ type, body });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+
+  if (!header) throw new Error('PNG has no IHDR chunk');
+  if (!VALID_BIT_DEPTHS[header.colorType] || !VALID_BIT_DEPTHS[header.colorType].includes(header.bitDepth)) {
+    throw new Error(`Invalid PNG colour type ${header.colorType} with bit depth ${header.bitDepth}`);
+  }
+  header.colorTypeName = COLOR_TYPE_NAMES[header.colorType];
+
+  return { header, chunks };
+}
+
+/**
+ * Undo the scanline filters of one (sub-)image in place of `output`
+ */
+function unfilter(data, offset, width, height, bytesPerPixel, bitsPerPixel) {
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const output = Buffer.alloc(stride * height);
+
+  for (let row = 0; row < height; row++) {
+    const filter = data[offset + row * (stride + 1)];
+    const input = offset + row * (stride + 1) + 1;
+    const current = row * stride;
+    const previous = current - stride;
+    if (filter > 4) throw new Error(`Invalid PNG filter type ${filter}`);
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? output[current + i - bytesPerPixel] : 0;
+      const up = row > 0 ? output[previous + i] : 0;
+      const upLeft = row > 0 && i >= bytesPerPixel ? output[previous + i - bytesPerPixel] : 0;
+      let value = data[input + i];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const toLeft = Math.abs(estimate - left);
+        const toUp = Math.abs(estimate - up);
+        const toUpLeft = Math.abs(estimate - upLeft);
+        value += toLeft <= toUp && toLeft <= toUpLeft ? left : (toUp <= toUpLeft ? up : upLeft);
+      }
+      output[current + i] = value & 0xff;
+    }
+  }
+
+  return { pixels: output, stride, consumed: (stride + 1) * height };
+}
+
+/**
+ * Decode to 8 bits per sample. Palettes are expanded to RGB, and tRNS
+ * transparency becomes an alpha channel
+ * @returns {Object} { width, height, channels (1-4), data, bitDepth, colorType }
+ */
+function decodePng(data, options = {}) {
+  const { maxPixels = Infinity } = options;
+  const { header, chunks } = readChunks(data);
+  const { width, height, bitDepth, colorType } = header;
+
+  if (width === 0 || height === 0) throw new Error('PNG has no image dimensions');
+  if (width * height > maxPixels) {
+    throw new Error(`Image of ${width}x${height} exceeds the ${maxPixels} pixel limit`);
+  }
+
+  const palette = chunks.find(chunk => chunk.type === 'PLTE');
+  const transparency = chunks.find(chunk => chunk.type === 'tRNS');
+  if (colorType === 3 && !palette) throw new Error('Indexed PNG has no palette');
+
+  const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.body));
+  let raw;
+  try {
+    raw = zlib.inflateSync(compressed);
+  } catch (error) {
+    throw new Error(`PNG image data is corrupt: ${error.message}`);
+  }
+
+  const samples = COLOR_TYPE_CHANNELS[colorType];
+  const bitsPerPixel = samples * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+
+  const hasAlpha = colorType === 4 || colorType === 6 || Boolean(transparency);
+  const colorChannels = colorType === 2 || colorType === 3 || colorType === 6 ? 3 : 1;
+  const channels = colorChannels + (hasAlpha ? 1 : 0);
+  const output = new Uint8Array(width * height * channels);
+
+  // Transparent colour key for greyscale and RGB images (in source sample units)
+  let key = null;
+  if (transparency && colorType === 0) key = [transparency.body.readUInt16BE(0)];
+  if (transparency && colorType === 2) {
+    key = [0, 2, 4].map(offset => transparency.body.readUInt16BE(offset));
+  }
+
+  const readSample = (pixels, rowOffset, x, s) => {
+    if (bitDepth === 8) return pixels[rowOffset + x * samples + s];
+    if (bitDepth === 16) return pixels.readUInt16BE(rowOffset + (x * samples + s) * 2);
+    const bit = x * bitDepth;
+    return (pixels[rowOffset + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+  };
+  const to8 = (value) => (bitDepth === 16 ? value >> 8 : Math.round((value * 255) / maxSample));
+
+  const writePixel = (pixels, rowOffset, x, target) => {
+    const index = target * channels;
+    if (colorType === 3) {
+      const entry = readSample(pixels, rowOffset, x, 0);
+      if (entry * 3 + 2 >= palette.body.length) throw new Error('PNG pixel references a missing palette entry');
+      output[index] = palette.body[entry * 3];
+      output[index + 1] = palette.body[entry * 3 + 1];
+      output[index + 2] = palette.body[entry * 3 + 2];
+      if (hasAlpha) output[index + 3] = entry < transparency.body.length ? transparency.body[entry] : 255;
+      return;
+    }
+
+    const values = [];
+    for (let s = 0; s < samples; s++) values.push(readSample(pixels, rowOffset, x, s));
+    for (let s = 0; s < samples; s++) output[index + s] = to8(values[s]);
+    if (key) {
+      output[index + colorChannels] = key.every((value, s) => values[s] === value) ? 0 : 255;
+    }
+  };
+
+  if (header.interlace === 0) {
+    const { pixels, stride } = unfilter(raw, 0, width, height, bytesPerPixel, bitsPerPixel);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) writePixel(pixels, y * stride, x, y * width + x);
+    }
+  } else {
+    let offset = 0;
+    for (const [startX, startY, stepX, stepY] of ADAM7) {
+      const passWidth = Math.ceil((width - startX) / stepX);
+      const passHeight = Math.ceil((height - startY) / stepY);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+
+      const { pixels, stride, consumed } = unfilter(raw, offset, passWidth, passHeight, bytesPerPixel, bitsPerPixel);
+      for (let y = 0; y < passHeight; y++) {
+        for (let x = 0; x < passWidth; x++) {
+          writePixel(pixels, y * stride, x, (startY + y * stepY) * width + startX + x * stepX);
+        }
+      }
+      offset += consumed;
+    }
+  }
+
+  return { width, height, channels, data: output, bitDepth, colorType };
+}
+
+module.exports = {
+  COLOR_TYPE_NAMES,
+  isPng,
+  readChunks,
+  decodePng
+};
@@ -0,0 +1,310 @@
+/**
+ * Text Operation Utilities
+ * Operational transformation for plain strings, used by real-time co-editing
+ * An operation is an array of components walked over the old document:
+ *   positive integer - retain that many characters
+ *   negative integer - delete that many characters
+ *   string           - insert the string
+ * Lengths are UTF-16 code units, matching JavaScript string indices on both
+ * the server and the browser
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isDelete = (component) => typeof component === 'number' && component < 0;
+const isInsert = (component) => typeof component === 'string';
+
+function pushRetain(ops, count) {
+  if (count <= 0) return;
+  if (isRetain(ops[ops.length - 1])) ops[ops.length - 1] += count;
+  else ops.push(count);
+}
+
+function pushInsert(ops, text) {
+  if (!text) return;
+  const last = ops.length - 1;
+  if (isInsert(ops[last])) {
+    ops[last] += text;
+  } else if (isDelete(ops[last])) {
+    // Keep inserts ahead of deletes so equal edits compare equal
+    if (isInsert(ops[last - 1])) {
+      ops[last - 1] += text;
+    } else {
+      ops.push(ops[last]);
+      ops[last] = text;
+    }
+  } else {
+    ops.push(text);
+  }
+}
+
+function pushDelete(ops, count) {
+  if (count <= 0) return;
+  if (isDelete(ops[ops.length - 1])) ops[ops.length - 1] -= count;
+  else ops.push(-count);
+}
+
+function normalize(operation) {
+  const ops = [];
+  for (const component of operation) {
+    if (isRetain(component)) pushRetain(ops, component);
+    else if (isDelete(component)) pushDelete(ops, -component);
+    else pushInsert(ops, component);
+  }
+  return ops;
+}
+
+function isValid(operation) {
+  return Array.isArray(operation) && operation.every((component) =>
+    (Number.isInteger(component) && component !== 0) || (typeof component === 'string' && component.length > 0)
+  );
+}
+
+function baseLength(operation) {
+  return operation.reduce((total, component) => {
+    if (isRetain(component)) return total + component;
+    if (isDelete(component)) return total - component;
+    return total;
+  }, 0);
+}
+
+function targetLength(operation) {
+  return operation.reduce((total, component) => {
+    if (isRetain(component)) return total + component;
+    if (isInsert(component)) return total + component.length;
+    return total;
+  }, 0);
+}
+
+function isNoop(operation) {
+  return operation.every(isRetain);
+}
+
+/**
+ * Apply an operation to a document
+ * @param {string} doc
+ * @param {Array} operation
+ * @returns {string}
+ */
+function apply(doc, operation) {
+  if (baseLength(operation) !== doc.length) {
+    throw new Error(`Operation base length ${baseLength(operation)} does not match document length ${doc.length}`);
+  }
+
+  const parts = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  }
+  parts.push(doc.slice(index));
+  return parts.join('');
+}
+
+/**
+ * Operation turning oldText into newText, built from the common prefix and suffix
+ */
+function fromDiff(oldText, newText) {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText.charCodeAt(prefix) === newText.charCodeAt(prefix)) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText.charCodeAt(oldText.length - 1 - suffix) === newText.charCodeAt(newText.length - 1 - suffix)
+  ) {
+    suffix++;
+  }
+
+  const ops = [];
+  pushRetain(ops, prefix);
+  pushInsert(ops, newText.slice(prefix, newText.length - suffix));
+  pushDelete(ops, oldText.length - prefix - suffix);
+  pushRetain(ops, suffix);
+  return ops;
+}
+
+/**
+ * Combine two consecutive operations into one with the same effect
+ * @param {Array} a - applied first
+ * @param {Array} b - applied to the result of a
+ * @returns {Array}
+ */
+function compose(a, b) {
+  if (targetLength(a) !== baseLength(b)) {
+    throw new Error('Cannot compose operations: lengths do not line up');
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isDelete(opA)) {
+      pushDelete(ops, -opA);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      pushInsert(ops, opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Cannot compose operations: first operation is too short');
+    }
+
+    if (isRetain(opA) && isRetain(opB)) {
+      const count = Math.min(opA, opB);
+      pushRetain(ops, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else if (isInsert(opA) && isDelete(opB)) {
+      const count = Math.min(opA.length, -opB);
+      opA = opA.length > count ? opA.slice(count) : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    } else if (isInsert(opA) && isRetain(opB)) {
+      const count = Math.min(opA.length, opB);
+      pushInsert(ops, opA.slice(0, count));
+      opA = opA.length > count ? opA.slice(count) : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else {
+      // retain in a, delete in b
+      const count = Math.min(opA, -opB);
+      pushDelete(ops, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * Transform two concurrent operations against each other
+ * Returns [a', b'] so that apply(apply(doc, a), b') === apply(apply(doc, b), a')
+ * When both insert at the same position, a's text ends up first
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {[Array, Array]}
+ */
+function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error('Cannot transform operations with different base lengths');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      pushInsert(aPrime, opA);
+      pushRetain(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      pushRetain(aPrime, opB.length);
+      pushInsert(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Cannot transform operations: one operation is too short');
+    }
+
+    const count = Math.min(Math.abs(opA), Math.abs(opB));
+    if (isRetain(opA) && isRetain(opB)) {
+      pushRetain(aPrime, count);
+      pushRetain(bPrime, count);
+    } else if (isDelete(opA) && isRetain(opB)) {
+      pushDelete(aPrime, count);
+    } else if (isRetain(opA) && isDelete(opB)) {
+      pushDelete(bPrime, count);
+    }
+    // Both deleting the same text: neither side has anything left to do
+
+    opA = Math.abs(opA) > count ? opA - Math.sign(opA) * count : a[i++];
+    opB = Math.abs(opB) > count ? opB - Math.sign(opB) * count : b[j++];
+  }
+
+  return [aPrime, bPrime];
+}
+
+/**
+ * Move a document position through an operation
+ * shiftOnTie decides whether text inserted exactly at the position lands
+ * before it (true, the position moves right) or after it
+ * @param {number} index
+ * @param {Array} operation
+ * @param {boolean} shiftOnTie
+ * @returns {number}
+ */
+function transformIndex(index, operation, shiftOnTie = true) {
+  let position = 0;
+  let result = index;
+
+  for (const component of operation) {
+    if (position > index) break;
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      if (position < index || (position === index && shiftOnTie)) result += component.length;
+    } else {
+      result -= Math.min(-component, Math.max(0, index - position));
+      position -= component;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Ranges of the old document an operation deletes from or inserts into
+ * @returns {Array<{start: number, end: number}>}
+ */
+function affectedRanges(operation) {
+  const ranges = [];
+  let position = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      ranges.push({ start: position, end: position });
+    } else {
+      ranges.push({ start: position, end: position - component });
+      position -= component;
+    }
+  }
+  return ranges;
+}
+
+module.exports = {
+  isRetain,
+  isDelete,
+  isInsert,
+  isValid,
+  isNoop,
+  normalize,
+  baseLength,
+  targetLength,
+  apply,
+  fromDiff,
+  compose,
+  transform,
+  transformIndex,
+  affectedRanges
+};
@@ -0,0 +1,201 @@
+/**
+ * XLSX Utilities
+ * Minimal SpreadsheetML workbook writer: typed columns, bold header and total
+ * rows, inline strings (no shared string table) and a frozen header row
+ */
+
+const { element, serializeXml } = require('./xml.util.cjs');
+const { createZip } = require('./zip.util.cjs');
+
+const NAMESPACES = {
+  main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+  relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  contentTypes: 'http://schemas.openxmlformats.org/package/2006/content-types'
+};
+
+const CONTENT_TYPES = {
+  workbook: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+  worksheet: 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml',
+  styles: 'application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml'
+};
+
+const MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Column formats and their number format ids (164+ are custom, defined in styles.xml)
+const FORMATS = ['text', 'integer', 'money', 'percent', 'date'];
+const NUMBER_FORMATS = { text: 0, integer: 3, money: 4, percent: 164, date: 14 };
+const CUSTOM_FORMATS = [{ id: 164, code: '0.00"%"' }];
+
+// Excel day 0 (1899-12-30, accounting for the 1900 leap year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * A1-style column letters for a zero-based column index
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function toSerialDate(value) {
+  const date = value instanceof Date ? value : new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : (date.getTime() - EXCEL_EPOCH) / 86400000;
+}
+
+/**
+ * Sheet names are limited to 31 characters without []:*?/\ and must be unique
+ */
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((sheet, index) => {
+    const base = String(sheet.name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${index + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function styleIndex(format, bold) {
+  return Math.max(FORMATS.indexOf(format), 0) + (bold ? FORMATS.length : 0);
+}
+
+function stylesXml() {
+  const cellFormat = (format, bold) => element('xf', {
+    numFmtId: NUMBER_FORMATS[format],
+    fontId: bold ? 1 : 0,
+    fillId: 0,
+    borderId: 0,
+    xfId: 0,
+    applyNumberFormat: NUMBER_FORMATS[format] ? 1 : null,
+    applyFont: bold ? 1 : null
+  });
+
+  return serializeXml(element('styleSheet', { xmlns: NAMESPACES.main }, [
+    element('numFmts', { count: CUSTOM_FORMATS.length }, CUSTOM_FORMATS.map(format => element('numFmt', { numFmtId: format.id, formatCode: format.code }))),
+    element('fonts', { count: 2 }, [
+      element('font', {}, [element('sz', { val: 11 }), element('name', { val: 'Calibri' })]),
+      element('font', {}, [element('b'), element('sz', { val: 11 }), element('name', { val: 'Calibri' })])
+    ]),
+    element('fills', { count: 2 }, [
+      element('fill', {}, [element('patternFill', { patternType: 'none' })]),
+      element('fill', {}, [element('patternFill', { patternType: 'gray125' })])
+    ]),
+    element('borders', { count: 1 }, [element('border', {}, [element('left'), element('right'), element('top'), element('bottom'), element('diagonal')])]),
+    element('cellStyleXfs', { count: 1 }, [element('xf', { numFmtId: 0, fontId: 0, fillId: 0, borderId: 0 })]),
+    element('cellXfs', { count: FORMATS.length * 2 }, [
+      ...FORMATS.map(format => cellFormat(format, false)),
+      ...FORMATS.map(format => cellFormat(format, true))
+    ]),
+    element('cellStyles', { count: 1 }, [element('cellStyle', { name: 'Normal', xfId: 0, builtinId: 0 })])
+  ]));
+}
+
+function cell(reference, value, format, bold) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const style = styleIndex(format, bold) || null;
+  if (format === 'date') {
+    const serial = toSerialDate(value);
+    if (serial !== null) return element('c', { r: reference, s: style }, [element('v', {}, [serial])]);
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return element('c', { r: reference, s: style }, [element('v', {}, [value])]);
+  }
+
+  // Control characters are not allowed in XML 1.0
+  const text = String(value).replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+  return element('c', { r: reference, t: 'inlineStr', s: bold ? styleIndex('text', true) : null }, [
+    element('is', {}, [element('t', { 'xml:space': /^\s|\s$/.test(text) ? 'preserve' : null }, [text])])
+  ]);
+}
+
+/**
+ * sheet: { columns: [{ header, width, format }], rows: [[...values] | { values, bold }] }
+ */
+function worksheetXml(sheet) {
+  const columns = sheet.columns || [];
+  const rows = [
+    { values: columns.map(column => column.header), header: true },
+    ...(sheet.rows || []).map(row => (Array.isArray(row) ? { values: row } : row))
+  ];
+
+  const rowElements = rows.map((row, rowIndex) => element('row', { r: rowIndex + 1 },
+    row.values.map((value, columnIndex) => cell(
+      `${columnName(columnIndex)}${rowIndex + 1}`,
+      value,
+      row.header ? 'text' : (columns[columnIndex] || {}).format || 'text',
+      row.header || row.bold
+    ))
+  ));
+
+  return serializeXml(element('worksheet', { xmlns: NAMESPACES.main, 'xmlns:r': NAMESPACES.relationships }, [
+    element('sheetViews', {}, [
+      element('sheetView', { workbookViewId: 0 }, [
+        sheet.freezeHeader !== false && columns.length > 0 && element('pane', { ySplit: 1, topLeftCell: 'A2', activePane: 'bottomLeft', state: 'frozen' })
+      ])
+    ]),
+    columns.some(column => column.width) && element('cols', {}, columns.map((column, index) => column.width ? element('col', {
+      min: index + 1,
+      max: index + 1,
+      width: column.width,
+      customWidth: 1
+    }) : null)),
+    element('sheetData', {}, rowElements)
+  ]), { indent: '' });
+}
+
+/**
+ * Build an .xlsx workbook from `{ name, columns, rows }` sheets
+ */
+function createXlsx(sheets, options = {}) {
+  const names = sheetNames(sheets);
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: serializeXml(element('Types', { xmlns: NAMESPACES.contentTypes }, [
+        element('Default', { Extension: 'rels', ContentType: 'application/vnd.openxmlformats-package.relationships+xml' }),
+        element('Default', { Extension: 'xml', ContentType: 'application/xml' }),
+        element('Override', { PartName: '/xl/workbook.xml', ContentType: CONTENT_TYPES.workbook }),
+        element('Override', { PartName: '/xl/styles.xml', ContentType: CONTENT_TYPES.styles }),
+        ...sheets.map((sheet, index) => element('Override', { PartName: `/xl/worksheets/sheet${index + 1}.xml`, ContentType: CONTENT_TYPES.worksheet }))
+      ]))
+    },
+    {
+      name: '_rels/.rels',
+      data: serializeXml(element('Relationships', { xmlns: NAMESPACES.packageRelationships }, [
+        element('Relationship', { Id: 'rId1', Type: `${NAMESPACES.relationships}/officeDocument`, Target: 'xl/workbook.xml' })
+      ]))
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: serializeXml(element('workbook', { xmlns: NAMESPACES.main, 'xmlns:r': NAMESPACES.relationships }, [
+        element('sheets', {}, names.map((name, index) => element('sheet', { name, sheetId: index + 1, 'r:id': `rId${index + 1}` })))
+      ]))
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: serializeXml(element('Relationships', { xmlns: NAMESPACES.packageRelationships }, [
+        ...sheets.map((sheet, index) => element('Relationship', { Id: `rId${index + 1}`, Type: `${NAMESPACES.relationships}/worksheet`, Target: `worksheets/sheet${index + 1}.xml` })),
+        element('Relationship', { Id: `rId${sheets.length + 1}`, Type: `${NAMESPACES.relationships}/styles`, Target: 'styles.xml' })
+      ]))
+    },
+    { name: 'xl/styles.xml', data: stylesXml() },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: worksheetXml(sheet) }))
+  ];
+
+  return createZip(files, options);
+}
+
+module.exports = {
+  createXlsx,
+  columnName,
+  MIME_TYPE
+};
@@ -0,0 +1,346 @@
+/**
+ * XML Utilities
+ * Lightweight, dependency-free XML parsing and serialization shared by the music and publishing modules
+ * Used for spreadsheet (XLSX) internals, platform XML reports and industry feeds
+ */
+
+const ENTITY_MAP = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Decode XML character and predefined entity references
+ */
+function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text;
+
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(ENTITY_MAP, entity) ? ENTITY_MAP[entity] : match;
+  });
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse attribute string of a start tag
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+
+  return attributes;
+}
+
+/**
+ * Parse XML document into an element tree
+ *
+ * Elements are `{ type: 'element', name, attributes, children }` and text runs are
+ * `{ type: 'text', value }`, so mixed content keeps its original ordering.
+ */
+function parseXml(input, options = {}) {
+  const { preserveWhitespace = false } = options;
+  let xml = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+  if (xml.charCodeAt(0) === 0xfeff) xml = xml.slice(1);
+
+  const root = { type: 'element', name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let position = 0;
+
+  const appendText = (value) => {
+    if (!preserveWhitespace && !value.trim()) return;
+    const parent = stack[stack.length - 1];
+    const last = parent.children[parent.children.length - 1];
+    if (last && last.type === 'text') {
+      last.value += value;
+    } else {
+      parent.children.push({ type: 'text', value });
+    }
+  };
+
+  while (position < xml.length) {
+    const tagStart = xml.indexOf('<', position);
+
+    if (tagStart === -1) {
+      appendText(decodeEntities(xml.slice(position)));
+      break;
+    }
+
+    if (tagStart > position) {
+      appendText(decodeEntities(xml.slice(position, tagStart)));
+    }
+
+    if (xml.startsWith('<!--', tagStart)) {
+      const end = xml.indexOf('-->', tagStart + 4);
+      if (end === -1) throw new Error('Unterminated XML comment');
+      position = end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<![CDATA[', tagStart)) {
+      const end = xml.indexOf(']]>', tagStart + 9);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      appendText(xml.slice(tagStart + 9, end));
+      position = end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<?', tagStart)) {
+      const end = xml.indexOf('?>', tagStart + 2);
+      if (end === -1) throw new Error('Unterminated processing instruction');
+      position = end + 2;
+      continue;
+    }
+
+    if (xml.startsWith('<!', tagStart)) {
+      // DOCTYPE, possibly with an internal subset
+      let depth = 0;
+      let end = tagStart + 2;
+      for (; end < xml.length; end++) {
+        if (xml[end] === '[') depth++;
+        else if (xml[end] === ']') depth--;
+        else if (xml[end] === '>' && depth <= 0) break;
+      }
+      position = end + 1;
+      continue;
+    }
+
+    // Find tag end, skipping over quoted attribute values
+    let tagEnd = tagStart + 1;
+    let quote = null;
+    for (; tagEnd < xml.length; tagEnd++) {
+      const char = xml[tagEnd];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        break;
+      }
+    }
+    if (tagEnd >= xml.length) throw new Error(`Unterminated tag at offset ${tagStart}`);
+
+    const body = xml.slice(tagStart + 1, tagEnd);
+    position = tagEnd + 1;
+
+    if (body[0] === '/') {
+      const name = body.slice(1).trim();
+      const current = stack.pop();
+      if (!current || current.name !== name) {
+        throw new Error(`Mismatched closing tag </${name}> at offset ${tagStart}`);
+      }
+      continue;
+    }
+
+    const selfClosing = body.endsWith('/');
+    const content = selfClosing ? body.slice(0, -1) : body;
+    const nameMatch = /^([^\s/>]+)/.exec(content);
+    if (!nameMatch) throw new Error(`Invalid tag at offset ${tagStart}`);
+
+    const element = {
+      type: 'element',
+      name: nameMatch[1],
+      attributes: parseAttributes(content.slice(nameMatch[1].length)),
+      children: []
+    };
+
+    stack[stack.length - 1].children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  const documentElement = root.children.find(child => child.type === 'element');
+  if (!documentElement) throw new Error('XML document has no root element');
+
+  return documentElement;
+}
+
+/**
+ * Strip namespace prefix from a qualified name
+ */
+function localName(name) {
+  const index = name.indexOf(':');
+  return index === -1 ? name : name.slice(index + 1);
+}
+
+/**
+ * Direct child elements, optionally filtered by local name
+ */
+function childElements(node, name = null) {
+  if (!node || !node.children) return [];
+  return node.children.filter(child =>
+    child.type === 'element' && (!name || localName(child.name) === name)
+  );
+}
+
+/**
+ * First direct child element with the given local name
+ */
+function firstChild(node, name) {
+  return childElements(node, name)[0] || null;
+}
+
+/**
+ * All descendant elements with the given local name (document order)
+ */
+function findAll(node, name) {
+  const results = [];
+  const visit = (current) => {
+    for (const child of current.children || []) {
+      if (child.type !== 'element') continue;
+      if (localName(child.name) === name) results.push(child);
+      visit(child);
+    }
+  };
+  if (node) visit(node);
+  return results;
+}
+
+/**
+ * First descendant element with the given local name
+ */
+function findFirst(node, name) {
+  if (!node) return null;
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (localName(child.name) === name) return child;
+    const nested = findFirst(child, name);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/**
+ * Resolve a slash-separated path of local names, e.g. 'Header/Sender/PartyName'
+ */
+function findPath(node, path) {
+  return path.split('/').reduce((current, segment) => (current ? firstChild(current, segment) : null), node);
+}
+
+/**
+ * Concatenated text content of a node
+ */
+function textContent(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Trimmed text of the element at a relative path, or null when absent
+ */
+function textAt(node, path) {
+  const target = findPath(node, path);
+  if (!target) return null;
+  const text = textContent(target).trim();
+  return text === '' ? null : text;
+}
+
+// ========== Building ==========
+
+/**
+ * Create an element node in the same shape parseXml produces
+ *
+ * Attributes with null/undefined values are dropped. Children may be nodes,
+ * strings/numbers (text) or nested arrays; null, undefined and false are skipped,
+ * so optional elements can be written inline as `condition && element(...)`.
+ */
+function element(name, attributes = {}, children = []) {
+  const normalizedAttributes = {};
+  for (const [key, value] of Object.entries(attributes || {})) {
+    if (value !== null && value !== undefined) normalizedAttributes[key] = String(value);
+  }
+
+  const normalizedChildren = [];
+  const append = (child) => {
+    if (child === null || child === undefined || child === false) return;
+    if (Array.isArray(child)) {
+      child.forEach(append);
+    } else if (typeof child === 'object') {
+      normalizedChildren.push(child);
+    } else {
+      normalizedChildren.push({ type: 'text', value: String(child) });
+    }
+  };
+  append(children);
+
+  return { type: 'element', name, attributes: normalizedAttributes, children: normalizedChildren };
+}
+
+/**
+ * Serialize an element tree to XML text
+ *
+ * Elements holding only element children are indented; text and mixed content
+ * is written as-is so whitespace inside it is preserved.
+ */
+function serializeXml(node, options = {}) {
+  const { declaration = true, indent = '  ' } = options;
+
+  const write = (current, depth, pretty) => {
+    if (current.type === 'text') return escapeXml(current.value);
+
+    const padding = pretty ? indent.repeat(depth) : '';
+    const attributes = Object.entries(current.attributes || {})
+      .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+      .join('');
+    const children = current.children || [];
+
+    if (children.length === 0) {
+      return `${padding}<${current.name}${attributes}/>`;
+    }
+
+    if (!pretty || children.some(child => child.type === 'text')) {
+      const inline = children.map(child => write(child, 0, false)).join('');
+      return `${padding}<${current.name}${attributes}>${inline}</${current.name}>`;
+    }
+
+    const body = children.map(child => write(child, depth + 1, true)).join('\n');
+    return `${padding}<${current.name}${attributes}>\n${body}\n${padding}</${current.name}>`;
+  };
+
+  const prolog = declaration ? `<?xml version="1.0" encoding="UTF-8"?>${indent ? '\n' : ''}` : '';
+  return prolog + write(node, 0, Boolean(indent)) + (indent ? '\n' : '');
+}
+
+module.exports = {
+  parseXml,
+  element,
+  serializeXml,
+  decodeEntities,
+  escapeXml,
+  localName,
+  childElements,
+  firstChild,
+  findAll,
+  findFirst,
+  findPath,
+  textContent,
+  textAt
+};
@@ -0,0 +1,228 @@
+/**
+ * ZIP Utilities
+ * Minimal ZIP archive reader and writer built on zlib
+ * Used for OOXML spreadsheets, EPUB packages and other zip-packaged documents
+ */
+
+const zlib = require('zlib');
+
+const SIGNATURES = {
+  localFile: 0x04034b50,
+  centralDirectory: 0x02014b50,
+  endOfCentralDirectory: 0x06054b50
+};
+
+const METHODS = {
+  stored: 0,
+  deflated: 8
+};
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a buffer (as stored in ZIP headers)
+ */
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Check whether buffer starts with a ZIP local file header
+ */
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === SIGNATURES.localFile;
+}
+
+/**
+ * Locate End Of Central Directory record (scanning back over a trailing comment)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === SIGNATURES.endOfCentralDirectory) {
+      return offset;
+    }
+  }
+  throw new Error('Invalid ZIP archive: end of central directory not found');
+}
+
+/**
+ * Read ZIP archive from buffer
+ *
+ * Returns a Map of entry name to `{ name, size, compressedSize, method, read() }`;
+ * entry data is only inflated when `read()` is called.
+ */
+function readZip(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('ZIP input must be a Buffer');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== SIGNATURES.centralDirectory) {
+      throw new Error(`Invalid ZIP central directory entry at offset ${offset}`);
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const encoding = flags & 0x0800 ? 'utf8' : 'latin1';
+    const name = buffer.toString(encoding, offset + 46, offset + 46 + nameLength);
+
+    if (flags & 0x0001) {
+      throw new Error(`Encrypted ZIP entry not supported: ${name}`);
+    }
+
+    entries.set(name, {
+      name,
+      size,
+      compressedSize,
+      method,
+      isDirectory: name.endsWith('/'),
+      read: () => readEntryData(buffer, localOffset, method, compressedSize, name)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read and decompress entry data from its local file header
+ */
+function readEntryData(buffer, localOffset, method, compressedSize, name) {
+  if (buffer.readUInt32LE(localOffset) !== SIGNATURES.localFile) {
+    throw new Error(`Invalid ZIP local header for entry: ${name}`);
+  }
+
+  const nameLength = buffer.readUInt16LE(localOffset + 26);
+  const extraLength = buffer.readUInt16LE(localOffset + 28);
+  const dataStart = localOffset + 30 + nameLength + extraLength;
+  const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+  if (method === METHODS.stored) return Buffer.from(data);
+  if (method === METHODS.deflated) return zlib.inflateRawSync(data);
+
+  throw new Error(`Unsupported ZIP compression method ${method} for entry: ${name}`);
+}
+
+/**
+ * Read a single entry as UTF-8 text, or null when missing
+ */
+function readZipText(entries, name) {
+  const entry = entries.get(name);
+  return entry ? entry.read().toString('utf8') : null;
+}
+
+/**
+ * DOS date/time fields for ZIP headers
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive from `{ name, data, compress = true }` entries
+ *
+ * Entries are written in the given order with no extra fields, so packages
+ * that need a leading stored entry (EPUB `mimetype`) can pass `compress: false`.
+ */
+function createZip(files, options = {}) {
+  const { time, date } = toDosDateTime(options.modified || new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const deflated = file.compress === false ? null : zlib.deflateRawSync(data);
+    // Keep incompressible data (images) stored
+    const useDeflate = deflated !== null && deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const method = useDeflate ? METHODS.deflated : METHODS.stored;
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(SIGNATURES.localFile, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(SIGNATURES.centralDirectory, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(SIGNATURES.endOfCentralDirectory, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  isZip,
+  readZip,
+  readZipText,
+  createZip,
+  crc32
+};
@@ -32,6 +32,7 @@ const apps = [
     watch: ['./backend/music'],
     ignore_watch: ['node_modules', 'logs'],
     max_memory_restart: '500M',
+    kill_timeout: 25000, // Lets background jobs finish or hand back their lease
     env: {
       NODE_ENV: config.nodeEnv,
       PORT: config.ports.music,
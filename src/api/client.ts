@@ -132,7 +132,10 @@ export const musicApi = {
     create: (releaseId: string, data: any) => apiClient.post(`/music/releases/${releaseId}/tracks`, data),
     update: (id: string, data: any) => apiClient.patch(`/music/tracks/${id}`, data),
     delete: (id: string) => apiClient.delete(`/music/tracks/${id}`),
-    generatePreview: (id: string) => apiClient.post(`/music/tracks/${id}/preview`),
+    getWaveform: (id: string, params?: { pixels?: number; samples_per_pixel?: number; split_channels?: boolean }) =>
+      apiClient.get(`/music/tracks/${id}/audio/waveform`, { params }),
+    generatePreview: (id: string, options?: { duration?: 30 | 60 | 90; start_time?: number | 'auto'; fade_in?: number; fade_out?: number }) =>
+      apiClient.post(`/music/tracks/${id}/audio/preview`, options),
   },
 
   // Distribution
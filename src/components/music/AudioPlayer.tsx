@@ -1,4 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { musicApi } from '../../api/client';
+import { WaveformData, TrackPreview, PreviewDuration } from '../../types/music';
 
 interface AudioPlayerProps {
   src: string;
@@ -6,21 +8,31 @@ interface AudioPlayerProps {
   artist: string;
   artwork?: string;
   autoPlay?: boolean;
+  // Loads the track's waveform from the API
+  trackId?: string;
+  // Plays a rendered preview clip of the track instead of src
+  previewDuration?: PreviewDuration;
   onEnded?: () => void;
   onTimeUpdate?: (currentTime: number) => void;
 }
 
+const WAVEFORM_POINTS = 800;
+const WAVEFORM_HEIGHT = 64;
+
 const AudioPlayer: React.FC<AudioPlayerProps> = ({
   src,
   title,
   artist,
   artwork,
   autoPlay = false,
+  trackId,
+  previewDuration,
   onEnded,
   onTimeUpdate
 }) => {
   const audioRef = useRef<HTMLAudioElement>(null);
   const progressRef = useRef<HTMLDivElement>(null);
+  const waveformRef = useRef<HTMLCanvasElement>(null);
 
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
@@ -28,6 +40,67 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
   const [volume, setVolume] = useState(1);
   const [isLoading, setIsLoading] = useState(true);
   const [showVolumeSlider, setShowVolumeSlider] = useState(false);
+  const [waveform, setWaveform] = useState<WaveformData | null>(null);
+  const [preview, setPreview] = useState<TrackPreview | null>(null);
+  const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+
+  const audioSrc = preview?.url ?? src;
+  // Where the loaded audio starts within the full track
+  const offset = preview?.start_time ?? 0;
+  const trackDuration = waveform ? waveform.duration_ms / 1000 : duration;
+
+  useEffect(() => {
+    if (!trackId) {
+      setWaveform(null);
+      return;
+    }
+
+    let cancelled = false;
+    musicApi.tracks.getWaveform(trackId, { pixels: WAVEFORM_POINTS })
+      .then((response) => {
+        const peaks = response.data?.data;
+        if (!cancelled) setWaveform(peaks && Array.isArray(peaks.data) ? peaks as WaveformData : null);
+      })
+      .catch(() => {
+        if (!cancelled) setWaveform(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId]);
+
+  useEffect(() => {
+    if (!trackId || !previewDuration) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsPreviewLoading(true);
+    musicApi.tracks.generatePreview(trackId, { duration: previewDuration })
+      .then((response) => {
+        const clip = response.data?.data;
+        if (!cancelled) setPreview(clip?.url ? clip as TrackPreview : null);
+      })
+      .catch(() => {
+        // Fall back to the full track in src
+        if (!cancelled) setPreview(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsPreviewLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, previewDuration]);
+
+  useEffect(() => {
+    setIsPlaying(false);
+    setCurrentTime(0);
+    setIsLoading(true);
+  }, [audioSrc]);
 
   useEffect(() => {
     const audio = audioRef.current;
@@ -84,6 +157,60 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
     setCurrentTime(newTime);
   };
 
+  const handleWaveformClick = (e: React.MouseEvent) => {
+    const audio = audioRef.current;
+    const canvas = waveformRef.current;
+    if (!audio || !canvas || duration <= 0) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const percent = (e.clientX - rect.left) / rect.width;
+    // Clicks outside a preview clip jump to its nearest end
+    const newTime = Math.min(duration, Math.max(0, percent * trackDuration - offset));
+
+    audio.currentTime = newTime;
+    setCurrentTime(newTime);
+  };
+
+  useEffect(() => {
+    const canvas = waveformRef.current;
+    const context = canvas?.getContext('2d');
+    if (!canvas || !context || !waveform || waveform.length === 0) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(WAVEFORM_HEIGHT * ratio);
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    context.clearRect(0, 0, width, height);
+
+    const scale = waveform.bits === 8 ? 128 : 32768;
+    const middle = height / 2;
+    const seconds = waveform.duration_ms / 1000;
+    const toX = (time: number) => (seconds > 0 ? (time / seconds) * width : 0);
+    const playedX = toX(offset + currentTime);
+    const clipStartX = preview ? toX(preview.start_time) : 0;
+    const clipEndX = preview ? toX(preview.start_time + preview.duration_ms / 1000) : width;
+
+    for (let x = 0; x < width; x++) {
+      const first = Math.floor((x / width) * waveform.length);
+      const last = Math.max(first + 1, Math.floor(((x + 1) / width) * waveform.length));
+
+      // Peaks are merged to one channel: min, max per point
+      let min = 0;
+      let max = 0;
+      for (let point = first; point < last && point < waveform.length; point++) {
+        min = Math.min(min, waveform.data[point * 2] ?? 0);
+        max = Math.max(max, waveform.data[point * 2 + 1] ?? 0);
+      }
+
+      const inClip = x >= clipStartX && x < clipEndX;
+      context.fillStyle = !inClip ? '#e5e7eb' : x < playedX ? '#6366f1' : '#c7d2fe';
+      const top = middle - (max / scale) * middle;
+      const bottom = middle - (min / scale) * middle;
+      context.fillRect(x, top, 1, Math.max(1, bottom - top));
+    }
+  }, [waveform, preview, offset, currentTime]);
+
   const handleVolumeChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const newVolume = parseFloat(e.target.value);
     setVolume(newVolume);
@@ -105,7 +232,7 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
     <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden max-w-md mx-auto">
       <audio
         ref={audioRef}
-        src={src}
+        src={audioSrc}
         autoPlay={autoPlay}
         preload="metadata"
       />
@@ -147,22 +274,38 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
           <span>{formatTime(duration)}</span>
         </div>
 
-        <div
-          ref={progressRef}
-          onClick={handleProgressClick}
-          className="w-full h-2 bg-gray-200 rounded-full cursor-pointer relative overflow-hidden"
-        >
-          <div
-            className="h-full bg-gradient-to-r from-indigo-500 to-purple-600 rounded-full transition-all duration-100"
-            style={{ width: `${progressPercent}%` }}
+        {waveform ? (
+          <canvas
+            ref={waveformRef}
+            onClick={handleWaveformClick}
+            className="w-full cursor-pointer"
+            style={{ height: `${WAVEFORM_HEIGHT}px` }}
           />
-
-          {/* Progress Thumb */}
+        ) : (
           <div
-            className="absolute top-1/2 transform -translate-y-1/2 w-4 h-4 bg-white border-2 border-indigo-500 rounded-full shadow-md transition-all duration-100"
-            style={{ left: `calc(${progressPercent}% - 8px)` }}
-          />
-        </div>
+            ref={progressRef}
+            onClick={handleProgressClick}
+            className="w-full h-2 bg-gray-200 rounded-full cursor-pointer relative overflow-hidden"
+          >
+            <div
+              className="h-full bg-gradient-to-r from-indigo-500 to-purple-600 rounded-full transition-all duration-100"
+              style={{ width: `${progressPercent}%` }}
+            />
+
+            {/* Progress Thumb */}
+            <div
+              className="absolute top-1/2 transform -translate-y-1/2 w-4 h-4 bg-white border-2 border-indigo-500 rounded-full shadow-md transition-all duration-100"
+              style={{ left: `calc(${progressPercent}% - 8px)` }}
+            />
+          </div>
+        )}
+
+        {preview && (
+          <p className="text-xs text-gray-500 text-center mt-2">
+            Preview {formatTime(preview.start_time)}–{formatTime(preview.start_time + preview.duration_ms / 1000)}
+            {trackDuration > 0 && ` of ${formatTime(trackDuration)}`}
+          </p>
+        )}
       </div>
 
       {/* Controls */}
@@ -178,10 +321,10 @@ const AudioPlayer: React.FC<AudioPlayerProps> = ({
           {/* Play/Pause */}
           <button
             onClick={togglePlay}
-            disabled={isLoading}
+            disabled={isLoading || isPreviewLoading}
             className="w-12 h-12 bg-gradient-to-r from-indigo-500 to-purple-600 hover:from-indigo-600 hover:to-purple-700 disabled:opacity-50 text-white rounded-full flex items-center justify-center transition-all hover:scale-105"
           >
-            {isLoading ? (
+            {isLoading || isPreviewLoading ? (
               <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
             ) : isPlaying ? (
               <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
@@ -1,16 +1,117 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import type {
+  CollaborationCursor,
+  CollaborationParticipant,
+  CollaborationStatus,
+  SectionLock
+} from '../../hooks/useChapterCollaboration';
+
+export interface EditorCollaboration {
+  status: CollaborationStatus;
+  userId: string | null;
+  participants: CollaborationParticipant[];
+  locks: SectionLock[];
+  selection: CollaborationCursor | null;
+  onSelectionChange: (selection: CollaborationCursor | null) => void;
+  onLockSection?: () => void;
+  onUnlockSection?: (lockId: string) => void;
+}
 
 interface TextEditorProps {
   content: string;
-  onChange: (content: string) => void;
+  /** Returning false rejects the edit and restores the previous content */
+  onChange: (content: string) => void | boolean;
   placeholder?: string;
   readOnly?: boolean;
   showFormatting?: boolean;
   autoSave?: boolean;
   onSave?: (content: string) => void;
   className?: string;
+  collaboration?: EditorCollaboration;
+}
+
+interface OverlayMarker {
+  key: string;
+  top: number;
+  left: number;
+  height: number;
+  color: string;
+  label: string;
 }
 
+// Collaboration positions are offsets into the chapter HTML; the DOM only
+// knows text offsets, so convert through the markup (tags count as nothing,
+// entities as one character)
+const htmlIndexToTextOffset = (html: string, index: number) => {
+  let count = 0;
+  let i = 0;
+  while (i < index && i < html.length) {
+    if (html[i] === '<') {
+      const close = html.indexOf('>', i);
+      i = close === -1 ? html.length : close + 1;
+    } else if (html[i] === '&') {
+      const semicolon = html.indexOf(';', i);
+      i = semicolon === -1 || semicolon - i > 10 ? i + 1 : semicolon + 1;
+      count++;
+    } else {
+      i++;
+      count++;
+    }
+  }
+  return count;
+};
+
+const textOffsetToHtmlIndex = (html: string, offset: number) => {
+  let count = 0;
+  let i = 0;
+  while (i < html.length) {
+    if (html[i] === '<') {
+      const close = html.indexOf('>', i);
+      i = close === -1 ? html.length : close + 1;
+      continue;
+    }
+    if (count === offset) return i;
+    if (html[i] === '&') {
+      const semicolon = html.indexOf(';', i);
+      i = semicolon === -1 || semicolon - i > 10 ? i + 1 : semicolon + 1;
+    } else {
+      i++;
+    }
+    count++;
+  }
+  return html.length;
+};
+
+const getTextOffset = (root: HTMLElement, node: Node, offset: number) => {
+  const range = document.createRange();
+  range.setStart(root, 0);
+  range.setEnd(node, offset);
+  return range.toString().length;
+};
+
+const findTextPosition = (root: HTMLElement, offset: number): { node: Node; offset: number } => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let last: Node | null = null;
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const length = node.textContent?.length ?? 0;
+    if (remaining <= length) return { node, offset: remaining };
+    remaining -= length;
+    last = node;
+  }
+  return last ? { node: last, offset: last.textContent?.length ?? 0 } : { node: root, offset: 0 };
+};
+
+const rangeBetween = (root: HTMLElement, start: number, end: number) => {
+  const range = document.createRange();
+  const from = findTextPosition(root, start);
+  const to = findTextPosition(root, Math.max(start, end));
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  return range;
+};
+
 interface FormatButton {
   id: string;
   label: string;
@@ -27,13 +128,16 @@ const TextEditor: React.FC<TextEditorProps> = ({
   showFormatting = true,
   autoSave = false,
   onSave,
-  className = ''
+  className = '',
+  collaboration
 }) => {
   const [editorContent, setEditorContent] = useState(content);
   const [selectedText, setSelectedText] = useState('');
   const [showWordCount, setShowWordCount] = useState(false);
   const [isDirty, setIsDirty] = useState(false);
+  const [overlays, setOverlays] = useState<{ carets: OverlayMarker[]; locks: OverlayMarker[] }>({ carets: [], locks: [] });
   const editorRef = useRef<HTMLDivElement>(null);
+  const containerRef = useRef<HTMLDivElement>(null);
   const lastSavedRef = useRef(content);
 
   const formatButtons: FormatButton[] = [
@@ -57,6 +161,70 @@ const TextEditor: React.FC<TextEditorProps> = ({
     setEditorContent(content);
   }, [content]);
 
+  // Rewriting innerHTML drops the caret; put it back where the session says it is
+  useLayoutEffect(() => {
+    const editor = editorRef.current;
+    const selection = collaboration?.selection;
+    if (!editor || !selection || document.activeElement !== editor) return;
+
+    const html = editor.innerHTML;
+    const start = htmlIndexToTextOffset(html, selection.index);
+    const end = htmlIndexToTextOffset(html, selection.index + selection.length);
+    const range = rangeBetween(editor, start, end);
+    const domSelection = window.getSelection();
+    domSelection?.removeAllRanges();
+    domSelection?.addRange(range);
+  }, [editorContent, collaboration?.selection]);
+
+  // Other editors' carets and locked sections, positioned over the text
+  useLayoutEffect(() => {
+    const editor = editorRef.current;
+    const container = containerRef.current;
+    if (!editor || !container || !collaboration) {
+      setOverlays({ carets: [], locks: [] });
+      return;
+    }
+
+    const html = editor.innerHTML;
+    const origin = container.getBoundingClientRect();
+    const colorOf = (userId: string) =>
+      collaboration.participants.find(participant => participant.user_id === userId)?.color || '#9ca3af';
+
+    const carets: OverlayMarker[] = [];
+    collaboration.participants.forEach(participant => {
+      if (participant.user_id === collaboration.userId || !participant.cursor) return;
+      const offset = htmlIndexToTextOffset(html, participant.cursor.index);
+      const rect = rangeBetween(editor, offset, offset).getClientRects()[0];
+      if (!rect) return;
+      carets.push({
+        key: participant.user_id,
+        top: rect.top - origin.top,
+        left: rect.left - origin.left,
+        height: rect.height || 20,
+        color: participant.color,
+        label: participant.name || 'Collaborator'
+      });
+    });
+
+    const locks: OverlayMarker[] = collaboration.locks.map(lock => {
+      const rect = rangeBetween(
+        editor,
+        htmlIndexToTextOffset(html, lock.start),
+        htmlIndexToTextOffset(html, lock.end)
+      ).getBoundingClientRect();
+      return {
+        key: lock.id,
+        top: rect.top - origin.top,
+        left: 8,
+        height: rect.height || 20,
+        color: colorOf(lock.user_id),
+        label: `Locked by ${lock.user_id === collaboration.userId ? 'you' : lock.user_name || 'another editor'}`
+      };
+    });
+
+    setOverlays({ carets, locks });
+  }, [editorContent, collaboration?.participants, collaboration?.locks, collaboration?.userId]);
+
   useEffect(() => {
     if (autoSave && isDirty && onSave && editorContent !== lastSavedRef.current) {
       const timeoutId = setTimeout(() => {
@@ -70,11 +238,29 @@ const TextEditor: React.FC<TextEditorProps> = ({
     return undefined;
   }, [editorContent, isDirty, autoSave, onSave]);
 
+  const reportSelection = () => {
+    const editor = editorRef.current;
+    const selection = window.getSelection();
+    if (!collaboration || !editor || !selection || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    if (!editor.contains(range.startContainer)) return;
+
+    const html = editor.innerHTML;
+    const start = textOffsetToHtmlIndex(html, getTextOffset(editor, range.startContainer, range.startOffset));
+    const end = textOffsetToHtmlIndex(html, getTextOffset(editor, range.endContainer, range.endOffset));
+    collaboration.onSelectionChange({ index: start, length: Math.max(0, end - start) });
+  };
+
   const handleContentChange = () => {
     if (editorRef.current) {
       const newContent = editorRef.current.innerHTML;
+      if (onChange(newContent) === false) {
+        editorRef.current.innerHTML = editorContent;
+        return;
+      }
       setEditorContent(newContent);
-      onChange(newContent);
+      reportSelection();
       setIsDirty(true);
     }
   };
@@ -157,6 +343,7 @@ const TextEditor: React.FC<TextEditorProps> = ({
     if (selection) {
       setSelectedText(selection.toString());
     }
+    reportSelection();
   };
 
   const getWordCount = (html: string) => {
@@ -270,8 +457,85 @@ const TextEditor: React.FC<TextEditorProps> = ({
         </div>
       )}
 
+      {/* Collaborators */}
+      {collaboration && (
+        <div className="border-b border-gray-200 px-4 py-2 flex flex-wrap items-center gap-3 text-sm">
+          <span className="flex items-center text-gray-600">
+            <span
+              className={`inline-block w-2 h-2 rounded-full mr-2 ${
+                collaboration.status === 'connected' ? 'bg-green-500' : 'bg-orange-400'
+              }`}
+            ></span>
+            {collaboration.status === 'connected' ? 'Live' : 'Connecting...'}
+          </span>
+
+          <div className="flex items-center -space-x-1">
+            {collaboration.participants.map(participant => (
+              <span
+                key={participant.user_id}
+                className="w-7 h-7 rounded-full border-2 border-white flex items-center justify-center text-xs font-semibold text-white"
+                style={{ backgroundColor: participant.color }}
+                title={`${participant.name || 'Collaborator'}${participant.user_id === collaboration.userId ? ' (you)' : ''}${
+                  participant.can_edit ? '' : ' · viewing'
+                }`}
+              >
+                {(participant.name || '?').charAt(0).toUpperCase()}
+              </span>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 ml-auto">
+            {collaboration.locks.map(lock => (
+              <span key={lock.id} className="flex items-center bg-gray-100 text-gray-700 rounded px-2 py-1 text-xs">
+                🔒 {lock.label || 'Section'} · {lock.user_id === collaboration.userId ? 'you' : lock.user_name || 'another editor'}
+                {lock.user_id === collaboration.userId && collaboration.onUnlockSection && (
+                  <button
+                    onClick={() => collaboration.onUnlockSection?.(lock.id)}
+                    className="ml-2 text-gray-500 hover:text-gray-900"
+                    title="Release lock"
+                  >
+                    ✕
+                  </button>
+                )}
+              </span>
+            ))}
+            {collaboration.onLockSection && !readOnly && (
+              <button
+                onClick={collaboration.onLockSection}
+                className="px-2 py-1 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded transition-colors text-xs"
+                title="Lock the paragraph around the cursor while you work on it"
+              >
+                🔒 Lock section
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Editor Content */}
-      <div className="relative">
+      <div className="relative" ref={containerRef}>
+        {overlays.locks.map(marker => (
+          <div
+            key={marker.key}
+            className="absolute w-1 rounded pointer-events-none"
+            style={{ top: marker.top, left: marker.left, height: marker.height, backgroundColor: marker.color }}
+            title={marker.label}
+          />
+        ))}
+        {overlays.carets.map(marker => (
+          <div
+            key={marker.key}
+            className="absolute pointer-events-none"
+            style={{ top: marker.top, left: marker.left, height: marker.height, borderLeft: `2px solid ${marker.color}` }}
+          >
+            <span
+              className="absolute -top-4 left-0 whitespace-nowrap rounded px-1 text-[10px] text-white"
+              style={{ backgroundColor: marker.color }}
+            >
+              {marker.label}
+            </span>
+          </div>
+        ))}
         <div
           ref={editorRef}
           contentEditable={!readOnly}
@@ -0,0 +1,211 @@
+import { act, createElement } from 'react';
+import { Root, createRoot } from 'react-dom/client';
+import ot from '../../backend/utils/textOperation.util.cjs';
+import { TextOperation } from '../lib/textOperation';
+import { useChapterCollaboration } from './useChapterCollaboration';
+
+vi.mock('react-hot-toast', () => ({
+  default: Object.assign(vi.fn(), { error: vi.fn() })
+}));
+
+interface Message {
+  type: string;
+  revision?: number;
+  operation?: TextOperation;
+  [key: string]: unknown;
+}
+
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+const roots: Root[] = [];
+
+const renderHook = <T,>(hook: () => T) => {
+  const result = { current: undefined as unknown as T };
+  const Probe = () => {
+    result.current = hook();
+    return null;
+  };
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(createElement(Probe)));
+  roots.push(root);
+  return { result };
+};
+
+class FakeSocket {
+  static OPEN = 1;
+  static instances: FakeSocket[] = [];
+
+  readyState = FakeSocket.OPEN;
+  sent: Message[] = [];
+  onopen: (() => void) | null = null;
+  onmessage: ((event: { data: string }) => void) | null = null;
+  onclose: ((event: { code: number; reason: string }) => void) | null = null;
+  onerror: ((error: unknown) => void) | null = null;
+
+  constructor(public url: string) {
+    FakeSocket.instances.push(this);
+  }
+
+  send(data: string) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(message: Message) {
+    act(() => this.onmessage?.({ data: JSON.stringify(message) }));
+  }
+}
+
+/** The server's side of the protocol, as in CoEditingService.applyOperation */
+const createServer = (content: string, sockets: FakeSocket[]) => {
+  const history: TextOperation[] = [];
+  const inbox = sockets.map(() => [] as Message[]);
+  const read = sockets.map(() => 0);
+
+  const receiveFrom = (client: number, message: Message) => {
+    let operation = message.operation as TextOperation;
+    for (const concurrent of history.slice(message.revision)) {
+      [operation] = ot.transform(operation, concurrent);
+    }
+    content = ot.apply(content, operation);
+    history.push(operation);
+    inbox.forEach((messages, index) => messages.push(index === client
+      ? { type: 'ack', revision: history.length }
+      : { type: 'operation', revision: history.length, operation }));
+  };
+
+  return {
+    get content() { return content; },
+    /** Process every operation the client has sent so far */
+    collect(client: number) {
+      const socket = sockets[client];
+      for (; read[client] < socket.sent.length; read[client]++) {
+        const message = socket.sent[read[client]];
+        if (message.type === 'operation') receiveFrom(client, message);
+      }
+    },
+    /** Deliver the oldest queued message to the client */
+    deliver(client: number) {
+      const message = inbox[client].shift();
+      if (message) sockets[client].receive(message);
+      return Boolean(message);
+    },
+    pending(client: number) {
+      return inbox[client].length;
+    }
+  };
+};
+
+const init = (socket: FakeSocket, content: string, extra: Record<string, unknown> = {}) => {
+  socket.receive({ type: 'init', content, revision: 0, user_id: socket.url.includes('a-token') ? 'a' : 'b', ...extra });
+};
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+  vi.stubGlobal('WebSocket', FakeSocket);
+  window.localStorage.setItem('auth_token', 'a-token');
+});
+
+afterEach(() => {
+  roots.splice(0).forEach(root => act(() => root.unmount()));
+  vi.unstubAllGlobals();
+  window.localStorage.clear();
+});
+
+describe('useChapterCollaboration', () => {
+  test('sends one operation at a time and buffers edits until the ack', () => {
+    const { result } = renderHook(() => useChapterCollaboration('chapter-1'));
+    const [socket] = FakeSocket.instances;
+    init(socket, 'abc');
+
+    act(() => { result.current.applyLocalChange('abcX'); });
+    act(() => { result.current.applyLocalChange('abcXY'); });
+
+    expect(socket.sent).toEqual([{ type: 'operation', revision: 0, operation: [3, 'X'] }]);
+
+    socket.receive({ type: 'operation', revision: 1, operation: ['Z', 3] });
+    expect(result.current.content).toBe('ZabcXY');
+    expect(result.current.revision).toBe(1);
+
+    // The buffered edit goes out transformed past the remote insert
+    socket.receive({ type: 'ack', revision: 2 });
+    expect(socket.sent[1]).toEqual({ type: 'operation', revision: 2, operation: [5, 'Y'] });
+
+    socket.receive({ type: 'ack', revision: 3 });
+    expect(socket.sent).toHaveLength(2);
+    expect(result.current.revision).toBe(3);
+  });
+
+  test('keeps the caret in place when remote text is inserted before it', () => {
+    const { result } = renderHook(() => useChapterCollaboration('chapter-1'));
+    const [socket] = FakeSocket.instances;
+    init(socket, 'hello world');
+
+    act(() => result.current.updateSelection({ index: 6, length: 5 }));
+    socket.receive({ type: 'operation', revision: 1, operation: ['Oh, ', 11] });
+
+    expect(result.current.content).toBe('Oh, hello world');
+    expect(result.current.selection).toEqual({ index: 10, length: 5 });
+  });
+
+  test('converges with another editor through the server', () => {
+    const a = renderHook(() => useChapterCollaboration('chapter-1'));
+    window.localStorage.setItem('auth_token', 'b-token');
+    const b = renderHook(() => useChapterCollaboration('chapter-1'));
+    const server = createServer('<p>The chapter</p>', FakeSocket.instances);
+    FakeSocket.instances.forEach(socket => init(socket, server.content));
+
+    act(() => { a.result.current.applyLocalChange('<p>The first chapter</p>'); });
+    act(() => { a.result.current.applyLocalChange('<p>The first chapter.</p>'); });
+    act(() => { b.result.current.applyLocalChange('<p>The chapter begins</p>'); });
+    act(() => { b.result.current.applyLocalChange('<p>Chapter begins</p>'); });
+
+    server.collect(1);
+    server.collect(0);
+    while (server.pending(0) || server.pending(1)) {
+      server.deliver(0);
+      server.deliver(1);
+      server.collect(0);
+      server.collect(1);
+    }
+
+    expect(a.result.current.content).toBe(server.content);
+    expect(b.result.current.content).toBe(server.content);
+    expect(a.result.current.revision).toBe(4);
+    expect(b.result.current.revision).toBe(4);
+  });
+
+  test('drops unacknowledged edits and asks for a resync when an edit is rejected', () => {
+    const { result } = renderHook(() => useChapterCollaboration('chapter-1'));
+    const [socket] = FakeSocket.instances;
+    init(socket, 'abc');
+
+    act(() => { result.current.applyLocalChange('abcX'); });
+    act(() => { result.current.applyLocalChange('abcXY'); });
+    socket.receive({ type: 'rejected', message: 'Section is locked' });
+    socket.receive({ type: 'init', content: 'abc', revision: 4, user_id: 'a' });
+    socket.receive({ type: 'ack', revision: 5 });
+
+    expect(socket.sent.map(message => message.type)).toEqual(['operation', 'resync']);
+    expect(result.current.content).toBe('abc');
+  });
+
+  test('refuses edits inside a section locked by someone else', () => {
+    const { result } = renderHook(() => useChapterCollaboration('chapter-1'));
+    const [socket] = FakeSocket.instances;
+    const lock = { id: 'lock-1', user_id: 'b', user_name: 'Bea', start: 0, end: 12, label: null, expires_at: '' };
+    init(socket, '<p>Mine</p>\n<p>Yours</p>', { locks: [lock] });
+
+    let accepted = true;
+    act(() => { accepted = result.current.applyLocalChange('<p>Mine!</p>\n<p>Yours</p>'); });
+    expect(accepted).toBe(false);
+    expect(result.current.content).toBe('<p>Mine</p>\n<p>Yours</p>');
+
+    act(() => { accepted = result.current.applyLocalChange('<p>Mine</p>\n<p>Yours!</p>'); });
+    expect(accepted).toBe(true);
+    expect(socket.sent).toEqual([{ type: 'operation', revision: 0, operation: [20, '!', 4] }]);
+  });
+});
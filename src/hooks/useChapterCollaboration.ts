@@ -0,0 +1,336 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  TextOperation,
+  affectedRanges,
+  apply,
+  compose,
+  fromDiff,
+  isNoop,
+  transform,
+  transformIndex
+} from '../lib/textOperation';
+
+export interface CollaborationCursor {
+  index: number;
+  length: number;
+}
+
+export interface CollaborationParticipant {
+  user_id: string;
+  name: string | null;
+  role: string;
+  can_edit: boolean;
+  color: string;
+  cursor: CollaborationCursor | null;
+}
+
+export interface SectionLock {
+  id: string;
+  user_id: string;
+  user_name: string | null;
+  start: number;
+  end: number;
+  label: string | null;
+  expires_at: string;
+}
+
+export type CollaborationStatus = 'idle' | 'connecting' | 'connected' | 'reconnecting' | 'closed';
+
+interface ServerMessage {
+  type: string;
+  [key: string]: any;
+}
+
+const RECONNECT_DELAY_MS = 3000;
+const BLOCK_OPEN_PATTERN = /<(p|h[1-6]|blockquote|li|pre)\b[^>]*>/gi;
+
+/**
+ * HTML range of the block element (paragraph, heading, quote...) around a position,
+ * falling back to the surrounding line for unstructured text
+ */
+export const blockRangeAt = (html: string, index: number): { start: number; end: number } => {
+  let match: RegExpExecArray | null;
+  let best: { start: number; end: number } | null = null;
+  BLOCK_OPEN_PATTERN.lastIndex = 0;
+
+  while ((match = BLOCK_OPEN_PATTERN.exec(html)) && match.index <= index) {
+    const tag = (match[1] || '').toLowerCase();
+    const close = html.toLowerCase().indexOf(`</${tag}>`, match.index);
+    const end = close === -1 ? html.length : close + tag.length + 3;
+    if (end >= index) best = { start: match.index, end };
+  }
+  if (best) return best;
+
+  const lineStart = html.lastIndexOf('\n', Math.max(0, index - 1)) + 1;
+  const lineEnd = html.indexOf('\n', index);
+  return { start: lineStart, end: lineEnd === -1 ? html.length : lineEnd };
+};
+
+const rangesOverlap = (range: { start: number; end: number }, lock: SectionLock) =>
+  range.start < lock.end && range.end > lock.start;
+
+/**
+ * Live co-editing of a chapter over /ws/publishing/chapters/:id.
+ * Local edits are diffed into operations and sent one at a time; edits made
+ * while waiting for the server's ack are buffered, and remote operations are
+ * transformed against both so every client converges on the server's text.
+ */
+export const useChapterCollaboration = (chapterId: string | null, enabled = true) => {
+  const [status, setStatus] = useState<CollaborationStatus>('idle');
+  const [content, setContent] = useState('');
+  const [revision, setRevision] = useState(0);
+  const [userId, setUserId] = useState<string | null>(null);
+  const [canEdit, setCanEdit] = useState(false);
+  const [participants, setParticipants] = useState<CollaborationParticipant[]>([]);
+  const [locks, setLocks] = useState<SectionLock[]>([]);
+  const [selection, setSelection] = useState<CollaborationCursor | null>(null);
+  const [lastSnapshot, setLastSnapshot] = useState<{ id: string; version_number: number; created_at: string } | null>(null);
+
+  const ws = useRef<WebSocket | null>(null);
+  const docRef = useRef('');
+  const revisionRef = useRef(0);
+  const pendingRef = useRef<TextOperation | null>(null);
+  const bufferRef = useRef<TextOperation | null>(null);
+  const selectionRef = useRef<CollaborationCursor | null>(null);
+  const userIdRef = useRef<string | null>(null);
+  const locksRef = useRef<SectionLock[]>([]);
+
+  const send = useCallback((message: Record<string, unknown>) => {
+    if (ws.current?.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify(message));
+      return true;
+    }
+    return false;
+  }, []);
+
+  const setDocument = (next: string) => {
+    docRef.current = next;
+    setContent(next);
+  };
+
+  const setLocalSelection = (next: CollaborationCursor | null) => {
+    selectionRef.current = next;
+    setSelection(next);
+  };
+
+  const handleMessage = useCallback((message: ServerMessage) => {
+    switch (message.type) {
+      case 'init': {
+        if (pendingRef.current || bufferRef.current) {
+          toast('Reloaded the chapter from the server; your last unsynced edits were discarded', { icon: '⚠️' });
+        }
+        pendingRef.current = null;
+        bufferRef.current = null;
+        revisionRef.current = message.revision;
+        userIdRef.current = message.user_id;
+        locksRef.current = message.locks || [];
+        setDocument(message.content || '');
+        setRevision(message.revision);
+        setUserId(message.user_id);
+        setCanEdit(Boolean(message.access?.can_edit ?? true));
+        setParticipants(message.participants || []);
+        setLocks(message.locks || []);
+        break;
+      }
+      case 'ack': {
+        revisionRef.current = message.revision;
+        setRevision(message.revision);
+        pendingRef.current = bufferRef.current;
+        bufferRef.current = null;
+        if (pendingRef.current) {
+          send({ type: 'operation', revision: revisionRef.current, operation: pendingRef.current });
+        }
+        break;
+      }
+      case 'operation': {
+        let operation: TextOperation = message.operation;
+        if (pendingRef.current) {
+          [pendingRef.current, operation] = transform(pendingRef.current, operation);
+        }
+        if (bufferRef.current) {
+          [bufferRef.current, operation] = transform(bufferRef.current, operation);
+        }
+
+        const current = selectionRef.current;
+        if (current) {
+          const start = transformIndex(current.index, operation, false);
+          const end = transformIndex(current.index + current.length, operation, false);
+          setLocalSelection({ index: start, length: Math.max(0, end - start) });
+        }
+
+        revisionRef.current = message.revision;
+        setRevision(message.revision);
+        setDocument(apply(docRef.current, operation));
+        break;
+      }
+      case 'rejected': {
+        toast.error(message.message || 'Your edit could not be applied');
+        pendingRef.current = null;
+        bufferRef.current = null;
+        send({ type: 'resync' });
+        break;
+      }
+      case 'presence':
+        setParticipants(message.participants || []);
+        break;
+      case 'cursor':
+        setParticipants(prev => prev.map(participant =>
+          participant.user_id === message.user_id ? { ...participant, cursor: message.cursor } : participant
+        ));
+        break;
+      case 'locks':
+        locksRef.current = message.locks || [];
+        setLocks(message.locks || []);
+        break;
+      case 'snapshot':
+        if (message.version) setLastSnapshot(message.version);
+        break;
+      case 'closed':
+        toast(message.reason || 'The editing session was closed');
+        break;
+      case 'error':
+        toast.error(message.message || 'Collaboration error');
+        break;
+      default:
+        break;
+    }
+  }, [send]);
+
+  useEffect(() => {
+    if (!chapterId || !enabled) {
+      setStatus('idle');
+      return undefined;
+    }
+
+    let disposed = false;
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+
+    const connect = () => {
+      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+      const token = window.localStorage.getItem('auth_token') || '';
+      const wsUrl = `${protocol}//${window.location.host}/ws/publishing/chapters/${encodeURIComponent(chapterId)}?token=${encodeURIComponent(token)}`;
+
+      ws.current = new WebSocket(wsUrl);
+
+      ws.current.onopen = () => setStatus('connected');
+
+      ws.current.onmessage = (event) => {
+        try {
+          handleMessage(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Error handling collaboration message:', error);
+          send({ type: 'resync' });
+        }
+      };
+
+      ws.current.onclose = (event) => {
+        ws.current = null;
+        if (disposed) return;
+
+        // 4403: no access to the chapter, retrying will not help
+        if (event.code === 4403) {
+          setStatus('closed');
+          toast.error(event.reason || 'You do not have access to this chapter');
+          return;
+        }
+
+        setStatus('reconnecting');
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      };
+
+      ws.current.onerror = (error) => {
+        console.error('Collaboration WebSocket error:', error);
+      };
+    };
+
+    setStatus('connecting');
+    connect();
+
+    return () => {
+      disposed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      ws.current?.close();
+      ws.current = null;
+      pendingRef.current = null;
+      bufferRef.current = null;
+    };
+  }, [chapterId, enabled, handleMessage, send]);
+
+  /**
+   * Feed an edit made in the editor. Returns false (and keeps the old text)
+   * when the edit touches a section someone else has locked.
+   */
+  const applyLocalChange = useCallback((next: string): boolean => {
+    const operation = fromDiff(docRef.current, next);
+    if (isNoop(operation)) return true;
+
+    const blocked = locksRef.current.find(lock =>
+      lock.user_id !== userIdRef.current && affectedRanges(operation).some(range => rangesOverlap(range, lock))
+    );
+    if (blocked) {
+      toast(`${blocked.user_name || 'Another editor'} is editing this section`, { icon: '🔒' });
+      return false;
+    }
+
+    docRef.current = next;
+    setContent(next);
+
+    if (pendingRef.current) {
+      bufferRef.current = bufferRef.current ? compose(bufferRef.current, operation) : operation;
+    } else {
+      pendingRef.current = operation;
+      send({ type: 'operation', revision: revisionRef.current, operation });
+    }
+    return true;
+  }, [send]);
+
+  const updateSelection = useCallback((next: CollaborationCursor | null) => {
+    const current = selectionRef.current;
+    if (current && next && current.index === next.index && current.length === next.length) return;
+    setLocalSelection(next);
+    send({ type: 'cursor', cursor: next });
+  }, [send]);
+
+  const lockSection = useCallback((start: number, end: number, label?: string) => {
+    send({ type: 'lock', start, end, label });
+  }, [send]);
+
+  /** Lock the paragraph or heading around the caret */
+  const lockCurrentBlock = useCallback(() => {
+    const current = selectionRef.current;
+    if (!current) {
+      toast('Place the cursor in the section you want to lock');
+      return;
+    }
+    const range = blockRangeAt(docRef.current, current.index);
+    const label = docRef.current.slice(range.start, range.end).replace(/<[^>]*>/g, '').trim().slice(0, 40);
+    send({ type: 'lock', start: range.start, end: range.end, label: label || undefined });
+  }, [send]);
+
+  const unlockSection = useCallback((lockId: string) => {
+    send({ type: 'unlock', lock_id: lockId });
+  }, [send]);
+
+  const requestSnapshot = useCallback((description?: string) => {
+    send({ type: 'snapshot', description });
+  }, [send]);
+
+  return {
+    status,
+    content,
+    revision,
+    userId,
+    canEdit,
+    participants,
+    locks,
+    selection,
+    lastSnapshot,
+    applyLocalChange,
+    updateSelection,
+    lockSection,
+    lockCurrentBlock,
+    unlockSection,
+    requestSnapshot
+  };
+};
@@ -0,0 +1,79 @@
+import ServerTextOperation from '../../backend/utils/textOperation.util.cjs';
+import {
+  TextOperation,
+  apply,
+  compose,
+  fromDiff,
+  transform,
+  transformIndex
+} from './textOperation';
+
+// Small deterministic PRNG so failures reproduce
+const random = (seed: number) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+// A few editor-style replacements composed into one operation
+const randomOperation = (doc: string, next: () => number): TextOperation => {
+  let operation: TextOperation = doc ? [doc.length] : [];
+  let text = doc;
+  for (let edit = 0; edit < 3; edit++) {
+    const start = Math.floor(next() * (text.length + 1));
+    const end = start + Math.floor(next() * (text.length - start + 1));
+    const edited = text.slice(0, start) + 'xyé'.slice(0, Math.floor(next() * 4)) + text.slice(end);
+    operation = compose(operation, fromDiff(text, edited));
+    text = edited;
+  }
+  return operation;
+};
+
+describe('Client text operations', () => {
+  test('transform makes concurrent operations converge', () => {
+    const next = random(42);
+    for (let run = 0; run < 300; run++) {
+      const doc = 'concurrent editing'.slice(0, Math.floor(next() * 19));
+      const a = randomOperation(doc, next);
+      const b = randomOperation(doc, next);
+      const [aPrime, bPrime] = transform(a, b);
+
+      expect(apply(apply(doc, a), bPrime)).toBe(apply(apply(doc, b), aPrime));
+    }
+  });
+
+  test('compose has the effect of applying both operations', () => {
+    const next = random(7);
+    for (let run = 0; run < 200; run++) {
+      const doc = 'lorem ipsum dolor'.slice(0, Math.floor(next() * 18));
+      const a = randomOperation(doc, next);
+      const b = randomOperation(apply(doc, a), next);
+
+      expect(apply(doc, compose(a, b))).toBe(apply(apply(doc, a), b));
+    }
+  });
+
+  test('edits typed while the caret moves are diffed around it', () => {
+    const operation = fromDiff('<p>Hello</p>', '<p>Hello, world</p>');
+
+    expect(operation).toEqual([8, ', world', 4]);
+    expect(transformIndex(8, operation, false)).toBe(8);
+    expect(transformIndex(8, operation)).toBe(15);
+  });
+
+  test('gives the same results as the server implementation', () => {
+    const next = random(1234);
+    for (let run = 0; run < 300; run++) {
+      const doc = 'shared chapter text'.slice(0, Math.floor(next() * 20));
+      const a = randomOperation(doc, next);
+      const b = randomOperation(doc, next);
+      const c = randomOperation(apply(doc, a), next);
+
+      expect(transform(a, b)).toEqual(ServerTextOperation.transform(a, b));
+      expect(compose(a, c)).toEqual(ServerTextOperation.compose(a, c));
+      expect(fromDiff(doc, apply(doc, a))).toEqual(ServerTextOperation.fromDiff(doc, apply(doc, a)));
+    }
+  });
+});
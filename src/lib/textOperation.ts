@@ -0,0 +1,233 @@
+/**
+ * Operational transformation for plain strings, mirroring
+ * backend/utils/textOperation.util.cjs so client and server agree on results.
+ * Components: positive number = retain, negative number = delete, string = insert.
+ */
+
+export type TextOperationComponent = number | string;
+export type TextOperation = TextOperationComponent[];
+
+export const isRetain = (component: TextOperationComponent | undefined): component is number =>
+  typeof component === 'number' && component > 0;
+export const isDelete = (component: TextOperationComponent | undefined): component is number =>
+  typeof component === 'number' && component < 0;
+export const isInsert = (component: TextOperationComponent | undefined): component is string =>
+  typeof component === 'string';
+
+const pushRetain = (ops: TextOperation, count: number) => {
+  if (count <= 0) return;
+  const last = ops[ops.length - 1];
+  if (isRetain(last)) ops[ops.length - 1] = last + count;
+  else ops.push(count);
+};
+
+const pushInsert = (ops: TextOperation, text: string) => {
+  if (!text) return;
+  const lastIndex = ops.length - 1;
+  const last = ops[lastIndex];
+  if (isInsert(last)) {
+    ops[lastIndex] = last + text;
+  } else if (isDelete(last)) {
+    const beforeLast = ops[lastIndex - 1];
+    if (isInsert(beforeLast)) {
+      ops[lastIndex - 1] = beforeLast + text;
+    } else {
+      ops.push(last);
+      ops[lastIndex] = text;
+    }
+  } else {
+    ops.push(text);
+  }
+};
+
+const pushDelete = (ops: TextOperation, count: number) => {
+  if (count <= 0) return;
+  const last = ops[ops.length - 1];
+  if (isDelete(last)) ops[ops.length - 1] = last - count;
+  else ops.push(-count);
+};
+
+export const baseLength = (operation: TextOperation): number =>
+  operation.reduce<number>((total, component) => {
+    if (isRetain(component)) return total + component;
+    if (isDelete(component)) return total - component;
+    return total;
+  }, 0);
+
+export const isNoop = (operation: TextOperation): boolean => operation.every(isRetain);
+
+export const apply = (doc: string, operation: TextOperation): string => {
+  if (baseLength(operation) !== doc.length) {
+    throw new Error('Operation does not match the document length');
+  }
+
+  const parts: string[] = [];
+  let index = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      parts.push(doc.slice(index, index + component));
+      index += component;
+    } else if (isInsert(component)) {
+      parts.push(component);
+    } else {
+      index -= component;
+    }
+  }
+  parts.push(doc.slice(index));
+  return parts.join('');
+};
+
+/** Operation turning oldText into newText, built from the common prefix and suffix */
+export const fromDiff = (oldText: string, newText: string): TextOperation => {
+  let prefix = 0;
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  while (prefix < maxPrefix && oldText.charCodeAt(prefix) === newText.charCodeAt(prefix)) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText.charCodeAt(oldText.length - 1 - suffix) === newText.charCodeAt(newText.length - 1 - suffix)
+  ) {
+    suffix++;
+  }
+
+  const ops: TextOperation = [];
+  pushRetain(ops, prefix);
+  pushInsert(ops, newText.slice(prefix, newText.length - suffix));
+  pushDelete(ops, oldText.length - prefix - suffix);
+  pushRetain(ops, suffix);
+  return ops;
+};
+
+/** Combine a and then b into a single operation */
+export const compose = (a: TextOperation, b: TextOperation): TextOperation => {
+  const ops: TextOperation = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isDelete(opA)) {
+      pushDelete(ops, -opA);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      pushInsert(ops, opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Cannot compose operations: lengths do not line up');
+    }
+
+    if (isRetain(opA) && isRetain(opB)) {
+      const count = Math.min(opA, opB);
+      pushRetain(ops, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else if (isInsert(opA) && isDelete(opB)) {
+      const count = Math.min(opA.length, -opB);
+      opA = opA.length > count ? opA.slice(count) : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    } else if (isInsert(opA) && isRetain(opB)) {
+      const count = Math.min(opA.length, opB);
+      pushInsert(ops, opA.slice(0, count));
+      opA = opA.length > count ? opA.slice(count) : a[i++];
+      opB = opB > count ? opB - count : b[j++];
+    } else if (isRetain(opA) && isDelete(opB)) {
+      const count = Math.min(opA, -opB);
+      pushDelete(ops, count);
+      opA = opA > count ? opA - count : a[i++];
+      opB = -opB > count ? opB + count : b[j++];
+    }
+  }
+
+  return ops;
+};
+
+/**
+ * Transform concurrent operations so both orders converge.
+ * Returns [a', b']; on equal insert positions a's text goes first,
+ * which matches how the server orders a client op against its history.
+ */
+export const transform = (a: TextOperation, b: TextOperation): [TextOperation, TextOperation] => {
+  const aPrime: TextOperation = [];
+  const bPrime: TextOperation = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      pushInsert(aPrime, opA);
+      pushRetain(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      pushRetain(aPrime, opB.length);
+      pushInsert(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+    if (opA === undefined || opB === undefined) {
+      throw new Error('Cannot transform operations with different base lengths');
+    }
+
+    const count = Math.min(Math.abs(opA), Math.abs(opB));
+    if (isRetain(opA) && isRetain(opB)) {
+      pushRetain(aPrime, count);
+      pushRetain(bPrime, count);
+    } else if (isDelete(opA) && isRetain(opB)) {
+      pushDelete(aPrime, count);
+    } else if (isRetain(opA) && isDelete(opB)) {
+      pushDelete(bPrime, count);
+    }
+
+    opA = Math.abs(opA) > count ? opA - Math.sign(opA) * count : a[i++];
+    opB = Math.abs(opB) > count ? opB - Math.sign(opB) * count : b[j++];
+  }
+
+  return [aPrime, bPrime];
+};
+
+/** Move a position through an operation; shiftOnTie puts text inserted at the position before it */
+export const transformIndex = (index: number, operation: TextOperation, shiftOnTie = true): number => {
+  let position = 0;
+  let result = index;
+
+  for (const component of operation) {
+    if (position > index) break;
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      if (position < index || (position === index && shiftOnTie)) result += component.length;
+    } else {
+      result -= Math.min(-component, Math.max(0, index - position));
+      position -= component;
+    }
+  }
+
+  return result;
+};
+
+/** Ranges of the old document an operation deletes from or inserts into */
+export const affectedRanges = (operation: TextOperation): Array<{ start: number; end: number }> => {
+  const ranges: Array<{ start: number; end: number }> = [];
+  let position = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      position += component;
+    } else if (isInsert(component)) {
+      ranges.push({ start: position, end: position });
+    } else {
+      ranges.push({ start: position, end: position - component });
+      position -= component;
+    }
+  }
+  return ranges;
+};
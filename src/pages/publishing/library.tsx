@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import LibraryBrowser from '../../components/publishing/LibraryBrowser';
 import TextEditor from '../../components/publishing/TextEditor';
 import ChapterManager from '../../components/publishing/ChapterManager';
+import { useChapterCollaboration } from '../../hooks/useChapterCollaboration';
 import { useNavigate } from 'react-router-dom';
 
 interface Book {
@@ -58,6 +59,12 @@ const LibraryPage: React.FC = () => {
   const [sortOrder, setSortOrder] = useState<'asc' | 'desc'>('desc');
   const [selectedBooks, setSelectedBooks] = useState<string[]>([]);
 
+  // Live co-editing for the open chapter; falls back to local editing while offline
+  const collaboration = useChapterCollaboration(
+    activeView === 'editor' && selectedChapter ? selectedChapter.id : null
+  );
+  const isCollaborating = collaboration.status === 'connected' && collaboration.userId !== null;
+
   // Sample library data
   const sampleLibraryData: LibraryPageData = {
     books: [
@@ -416,14 +423,35 @@ const LibraryPage: React.FC = () => {
             </div>
 
             {selectedChapter && (
-              <TextEditor
-                content={selectedChapter.content}
-                onChange={(content) => setSelectedChapter(prev => prev ? { ...prev, content } : prev)}
-                onSave={handleContentSave}
-                autoSave={true}
-                showFormatting={true}
-                placeholder={`Start writing "${selectedChapter.title}"...`}
-              />
+              isCollaborating ? (
+                <TextEditor
+                  content={collaboration.content}
+                  onChange={collaboration.applyLocalChange}
+                  onSave={() => collaboration.requestSnapshot('Saved from the chapter editor')}
+                  readOnly={!collaboration.canEdit}
+                  showFormatting={true}
+                  placeholder={`Start writing "${selectedChapter.title}"...`}
+                  collaboration={{
+                    status: collaboration.status,
+                    userId: collaboration.userId,
+                    participants: collaboration.participants,
+                    locks: collaboration.locks,
+                    selection: collaboration.selection,
+                    onSelectionChange: collaboration.updateSelection,
+                    onLockSection: collaboration.lockCurrentBlock,
+                    onUnlockSection: collaboration.unlockSection
+                  }}
+                />
+              ) : (
+                <TextEditor
+                  content={selectedChapter.content}
+                  onChange={(content) => setSelectedChapter(prev => prev ? { ...prev, content } : prev)}
+                  onSave={handleContentSave}
+                  autoSave={true}
+                  showFormatting={true}
+                  placeholder={`Start writing "${selectedChapter.title}"...`}
+                />
+              )
             )}
           </div>
         );
@@ -24,6 +24,33 @@ export interface Track {
   trackNumber?: number;
 }
 
+// audiowaveform v2 peaks from GET /music/tracks/:id/audio/waveform
+export interface WaveformData {
+  version: number;
+  channels: number;
+  sample_rate: number;
+  samples_per_pixel: number;
+  bits: 8 | 16;
+  length: number;
+  data: number[];
+  duration_ms: number;
+  zoom_levels: number[];
+}
+
+export type PreviewDuration = 30 | 60 | 90;
+
+export interface TrackPreview {
+  url: string;
+  format: 'wav';
+  duration: PreviewDuration;
+  start_time: number;
+  auto_start: boolean;
+  truncated: boolean;
+  fade_in: number;
+  fade_out: number;
+  duration_ms: number;
+}
+
 export interface ReleaseMetadata {
   description: string;
   tags: string[];
@@ -15,6 +15,10 @@ export default defineConfig({
         target: 'http://localhost:3001',
         changeOrigin: true,
       },
+      '/ws/publishing': {
+        target: 'ws://localhost:3003',
+        ws: true,
+      },
     },
   },
 